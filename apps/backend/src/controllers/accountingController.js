@@ -3,6 +3,7 @@ const Invoice = require('../models/Invoice');
 const Order = require('../models/Order');
 const MaterialV2 = require('../models/MaterialV2');
 const StockTransaction = require('../models/StockTransaction');
+const ScrapDisposal = require('../models/ScrapDisposal');
 const catchAsync = require('../utils/catchAsync');
 const { AppError } = require('../utils/appError');
 
@@ -224,47 +225,67 @@ exports.getPnLSimple = catchAsync(async (req, res, next) => {
         orderCount: 0
     };
 
+    // Other income: scrap sold by weight
+    const scrapSalesResult = await ScrapDisposal.aggregate([
+        {
+            $match: {
+                companyId: new mongoose.Types.ObjectId(companyId),
+                disposalDate: { $gte: start, $lte: end }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalAmount: { $sum: { $toDouble: '$totalAmount' } },
+                totalWeight: { $sum: { $toDouble: '$totalWeight' } },
+                disposalCount: { $sum: 1 }
+            }
+        }
+    ]);
+    const scrapSales = scrapSalesResult[0] || { totalAmount: 0, totalWeight: 0, disposalCount: 0 };
+
     // Calculate basic P&L
     const grossProfit = revenue.totalRevenue - costs.estimatedMaterialCost;
     const grossProfitMargin = revenue.totalRevenue > 0 ? (grossProfit / revenue.totalRevenue) * 100 : 0;
+    const otherIncome = scrapSales.totalAmount;
+    const netProfit = grossProfit + otherIncome;
+    const netProfitMargin = revenue.totalRevenue > 0 ? (netProfit / revenue.totalRevenue) * 100 : 0;
 
-    // Period-wise breakdown
-    let groupByPeriod;
-    switch (period) {
-        case 'daily':
-            groupByPeriod = {
-                year: { $year: '$invoiceDate' },
-                month: { $month: '$invoiceDate' },
-                day: { $dayOfMonth: '$invoiceDate' }
-            };
-            break;
-        case 'weekly':
-            groupByPeriod = {
-                year: { $year: '$invoiceDate' },
-                week: { $week: '$invoiceDate' }
-            };
-            break;
-        case 'quarterly':
-            groupByPeriod = {
-                year: { $year: '$invoiceDate' },
-                quarter: { 
-                    $ceil: { 
-                        $divide: [{ $month: '$invoiceDate' }, { $literal: 3 }] 
-                    } 
-                }
-            };
-            break;
-        case 'yearly':
-            groupByPeriod = {
-                year: { $year: '$invoiceDate' }
-            };
-            break;
-        default: // monthly
-            groupByPeriod = {
-                year: { $year: '$invoiceDate' },
-                month: { $month: '$invoiceDate' }
-            };
-    }
+    // Period-wise breakdown (invoices by invoiceDate, scrap sales by disposalDate)
+    const periodOf = (dateField) => {
+        switch (period) {
+            case 'daily':
+                return {
+                    year: { $year: dateField },
+                    month: { $month: dateField },
+                    day: { $dayOfMonth: dateField }
+                };
+            case 'weekly':
+                return {
+                    year: { $year: dateField },
+                    week: { $week: dateField }
+                };
+            case 'quarterly':
+                return {
+                    year: { $year: dateField },
+                    quarter: { 
+                        $ceil: { 
+                            $divide: [{ $month: dateField }, { $literal: 3 }] 
+                        } 
+                    }
+                };
+            case 'yearly':
+                return {
+                    year: { $year: dateField }
+                };
+            default: // monthly
+                return {
+                    year: { $year: dateField },
+                    month: { $month: dateField }
+                };
+        }
+    };
+    const groupByPeriod = periodOf('$invoiceDate');
 
     const periodWiseRevenueQuery = [
         {
@@ -287,6 +308,37 @@ exports.getPnLSimple = catchAsync(async (req, res, next) => {
 
     const periodWiseRevenue = await Invoice.aggregate(periodWiseRevenueQuery);
 
+    const periodWiseScrapSales = await ScrapDisposal.aggregate([
+        {
+            $match: {
+                companyId: new mongoose.Types.ObjectId(companyId),
+                disposalDate: { $gte: start, $lte: end }
+            }
+        },
+        {
+            $group: {
+                _id: periodOf('$disposalDate'),
+                otherIncome: { $sum: { $toDouble: '$totalAmount' } }
+            }
+        }
+    ]);
+    const periodKey = (id) => JSON.stringify([id.year, id.quarter, id.month, id.week, id.day]);
+    const scrapSalesByPeriod = new Map(periodWiseScrapSales.map(item => [periodKey(item._id), item.otherIncome]));
+    const periodWiseBreakdown = periodWiseRevenue.map(item => ({
+        period: item._id,
+        revenue: item.revenue,
+        collected: item.collected,
+        invoiceCount: item.invoiceCount,
+        otherIncome: scrapSalesByPeriod.get(periodKey(item._id)) || 0
+    }));
+    // Periods with scrap sales but no invoices
+    const invoicedPeriods = new Set(periodWiseRevenue.map(item => periodKey(item._id)));
+    periodWiseScrapSales
+        .filter(item => !invoicedPeriods.has(periodKey(item._id)))
+        .forEach(item => periodWiseBreakdown.push({ period: item._id, revenue: 0, collected: 0, invoiceCount: 0, otherIncome: item.otherIncome }));
+    const periodOrder = (id) => ((((id.year * 10 + (id.quarter || 0)) * 100 + (id.month || 0)) * 100 + (id.week || 0)) * 100) + (id.day || 0);
+    periodWiseBreakdown.sort((a, b) => periodOrder(a.period) - periodOrder(b.period));
+
     res.status(200).json({
         status: 'success',
         data: {
@@ -298,19 +350,26 @@ exports.getPnLSimple = catchAsync(async (req, res, next) => {
                 estimatedCosts: costs.estimatedMaterialCost,
                 grossProfit: grossProfit,
                 grossProfitMargin: Math.round(grossProfitMargin * 100) / 100,
+                otherIncome: otherIncome,
+                netProfit: netProfit,
+                netMargin: Math.round(netProfitMargin * 100) / 100,
                 invoiceCount: revenue.invoiceCount,
                 orderCount: costs.orderCount
             },
-            periodWiseBreakdown: periodWiseRevenue.map(item => ({
-                period: item._id,
-                revenue: item.revenue,
-                collected: item.collected,
-                invoiceCount: item.invoiceCount
-            })),
+            otherIncome: {
+                totalOtherIncome: otherIncome,
+                entries: [{
+                    category: 'Scrap Sales',
+                    subcategory: `${Math.round(scrapSales.totalWeight * 1000) / 1000} kg in ${scrapSales.disposalCount} disposal(s)`,
+                    amount: scrapSales.totalAmount
+                }]
+            },
+            periodWiseBreakdown,
             notes: [
                 'Cost calculation is simplified and uses estimated material costs.',
                 'For accurate P&L, implement detailed cost tracking for materials, labor, and overhead.',
-                'Revenue includes all invoices except drafts and void invoices.'
+                'Revenue includes all invoices except drafts and void invoices.',
+                'Other income is scrap sold by weight; net profit is gross profit plus other income.'
             ]
         }
     });
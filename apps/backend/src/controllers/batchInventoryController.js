@@ -1,4 +1,5 @@
 const BatchInventoryService = require('../services/batchInventoryService');
+const MaterialImportService = require('../services/materialImportService');
 const { protect } = require('./authController');
 const rbac = require('../middleware/rbac');
 
@@ -15,7 +16,7 @@ const recordStockInward = async (req, res) => {
             materialId,
             length, lengthUnit, gauge,
             quantity, actualWeight, actualWeightUnit,
-            totalCost, supplier, invoiceNumber, lotNumber, notes,
+            totalCost, supplier, invoiceNumber, lotNumber, notes, locationId, expiryDate,
             // For new material creation
             name, category, stockUnit, usageUnit, brand, hsnCode, description
         } = req.body;
@@ -32,7 +33,7 @@ const recordStockInward = async (req, res) => {
             materialId,
             length, lengthUnit, gauge,
             quantity, actualWeight, actualWeightUnit,
-            totalCost, supplier, invoiceNumber, lotNumber, notes,
+            totalCost, supplier, invoiceNumber, lotNumber, notes, locationId, expiryDate,
             name, category, stockUnit, usageUnit, brand, hsnCode, description
         });
 
@@ -66,6 +67,8 @@ const recordStockInward = async (req, res) => {
                     purchaseDate: result.batch.purchaseDate,
                     invoiceNumber: result.batch.invoiceNumber,
                     lotNumber: result.batch.lotNumber,
+                    expiryDate: result.batch.expiryDate,
+                    locationId: result.batch.locationId,
                     isActive: result.batch.isActive,
                     isCompleted: result.batch.isCompleted
                 };
@@ -138,6 +141,7 @@ const consumeStock = async (req, res) => {
             quantityNeeded,
             consumptionType = 'Production',
             sortOrder = 'FIFO',
+            batchId,
             notes
         } = req.body;
 
@@ -155,6 +159,7 @@ const consumeStock = async (req, res) => {
             quantityNeeded,
             consumptionType,
             sortOrder,
+            batchId,
             notes,
             userId
         });
@@ -262,7 +267,8 @@ const getAvailableBatches = async (req, res) => {
         const {
             length, lengthUnit, gauge,
             sortOrder = 'FIFO',
-            minQuantity = '0'
+            minQuantity = '0',
+            includeExpired
         } = req.query;
 
         const MaterialV2 = require('../models/MaterialV2');
@@ -279,7 +285,8 @@ const getAvailableBatches = async (req, res) => {
             length: length ? parseFloat(length) : undefined,
             lengthUnit,
             gauge,
-            minQuantity: parseFloat(minQuantity)
+            minQuantity: parseFloat(minQuantity),
+            includeExpired: includeExpired === 'true'
         };
 
         const availableBatches = material.getAvailableBatches(filters, sortOrder);
@@ -290,7 +297,10 @@ const getAvailableBatches = async (req, res) => {
                 currentQuantity: batch.currentQuantity.toString(),
                 supplier: batch.supplier,
                 purchaseDate: batch.purchaseDate,
-                invoiceNumber: batch.invoiceNumber
+                invoiceNumber: batch.invoiceNumber,
+                lotNumber: batch.lotNumber,
+                expiryDate: batch.expiryDate,
+                locationId: batch.locationId
             };
 
             if (material.category === 'Profile') {
@@ -357,7 +367,7 @@ const getMaterialsList = async (req, res) => {
 
         // Get materials from V2 system only
         const materialsV2 = await MaterialV2.find(queryV2)
-                .select('name category stockUnit usageUnit supplier brand aggregatedTotals profileBatches simpleBatches standardLengths referenceGaugeWeights')
+                .select('name category stockUnit usageUnit supplier brand aggregatedTotals profileBatches simpleBatches remnantBatches standardLengths referenceGaugeWeights cuttingParameters')
             .sort({ name: 1 });
 
         // Format V2 materials
@@ -373,10 +383,13 @@ const getMaterialsList = async (req, res) => {
             // Convert Decimal128 values to strings
             const aggregatedTotals = {
                 totalCurrentStock: material.aggregatedTotals?.totalCurrentStock?.toString() || '0',
+                totalReservedStock: material.aggregatedTotals?.totalReservedStock?.toString() || '0',
                 totalCurrentWeight: material.aggregatedTotals?.totalCurrentWeight?.toString() || '0',
                 totalCurrentValue: material.aggregatedTotals?.totalCurrentValue?.toString() || '0',
                 averageRatePerPiece: material.aggregatedTotals?.averageRatePerPiece?.toString() || '0',
                 averageRatePerKg: material.aggregatedTotals?.averageRatePerKg?.toString() || '0',
+                totalRemnantPieces: material.aggregatedTotals?.totalRemnantPieces?.toString() || '0',
+                totalRemnantValue: material.aggregatedTotals?.totalRemnantValue?.toString() || '0',
                 lastUpdated: material.aggregatedTotals?.lastUpdated || new Date()
             };
             
@@ -390,6 +403,7 @@ const getMaterialsList = async (req, res) => {
                 brand: material.brand,
                 aggregatedTotals,
                 activeBatchCount: activeBatches.length,
+                activeRemnantCount: material.activeRemnants.length,
                 hasLowStock: activeBatches.some(batch => 
                     parseFloat(batch.currentQuantity.toString()) <= parseFloat(batch.lowStockThreshold.toString())
                 ),
@@ -403,7 +417,8 @@ const getMaterialsList = async (req, res) => {
                     gauge: g.gauge,
                     referenceWeight: g.referenceWeight.toString(),
                     unitLength: g.unitLength
-                })) : undefined
+                })) : undefined,
+                cuttingParameters: material.cuttingParameters
             };
         });
 
@@ -533,7 +548,11 @@ const getConsumptionHistory = async (req, res) => {
             // If specific order ID is requested, we need to find cutting plans for that order
             const cuttingPlans = await CuttingPlan.find({ orderId }).select('_id');
             const cuttingPlanIds = cuttingPlans.map(cp => cp._id);
-            query.relatedDocumentId = { $in: cuttingPlanIds };
+            // Cutting batch transactions name the order they were charged to directly
+            query.$or = [
+                { relatedDocumentId: { $in: cuttingPlanIds } },
+                { orderId }
+            ];
         }
 
         // Get transactions with pagination
@@ -581,6 +600,22 @@ const getConsumptionHistory = async (req, res) => {
                 } catch (error) {
                     console.warn(`Could not fetch order details for transaction ${transaction._id}:`, error.message);
                 }
+            } else if (transaction.relatedDocumentType === 'CuttingBatch' && transaction.orderId) {
+                try {
+                    const order = await Order.findById(transaction.orderId)
+                        .select('orderIdDisplay clientSnapshot status');
+
+                    if (order) {
+                        orderDetails = {
+                            orderId: order._id,
+                            orderIdDisplay: order.orderIdDisplay,
+                            clientName: order.clientSnapshot?.clientName || 'Unknown Client',
+                            orderStatus: order.status
+                        };
+                    }
+                } catch (error) {
+                    console.warn(`Could not fetch order details for transaction ${transaction._id}:`, error.message);
+                }
             }
 
             enrichedTransactions.push({
@@ -623,6 +658,77 @@ const getConsumptionHistory = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/v2/inventory/remnants/:materialId
+ * Get reusable offcuts (remnants) for a Profile material
+ */
+const getRemnants = async (req, res) => {
+    try {
+        const companyId = req.user.companyId;
+        const { materialId } = req.params;
+        const { gauge, includeCompleted = 'false' } = req.query;
+
+        if (!materialId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Material ID is required'
+            });
+        }
+
+        const result = await BatchInventoryService.getRemnants(materialId, companyId, {
+            gauge,
+            includeCompleted: includeCompleted === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result,
+            count: result.remnants.length
+        });
+
+    } catch (error) {
+        console.error('[BatchInventoryController] Remnants error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/v2/inventory/remnants/:materialId/:remnantId/consume
+ * Consume (action: 'consume') or write off (action: 'writeOff') remnant pieces
+ */
+const consumeRemnant = async (req, res) => {
+    try {
+        const companyId = req.user.companyId;
+        const userId = req.user._id;
+        const { materialId, remnantId } = req.params;
+        const { quantity = 1, action = 'consume', notes } = req.body;
+
+        const result = await BatchInventoryService.consumeRemnant(materialId, remnantId, {
+            companyId,
+            quantity: parseFloat(quantity),
+            action,
+            notes,
+            userId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: action === 'writeOff' ? 'Remnant written off as scrap' : 'Remnant consumed successfully',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('[BatchInventoryController] Remnant consumption error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
 /**
  * DELETE /api/v2/inventory/materials/:materialId
  * Delete a material (only if no active batches exist)
@@ -656,6 +762,97 @@ const deleteMaterial = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/v2/inventory/expiry-alerts
+ * Batches expired or expiring within `days` (default 30) that still have stock
+ */
+const getExpiryAlerts = async (req, res) => {
+    try {
+        const companyId = req.user.companyId;
+        const days = Math.max(0, parseInt(req.query.days, 10) || 30);
+
+        const result = await BatchInventoryService.getExpiryAlerts(companyId, days);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('[BatchInventoryController] Expiry alerts error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/v2/inventory/import/template
+ * Download the CSV template for bulk material and opening stock import
+ */
+const getImportTemplate = async (req, res) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="material-import-template.csv"');
+    res.send(MaterialImportService.getTemplate());
+};
+
+/**
+ * POST /api/v2/inventory/import/preview
+ * Dry run: validate a sheet of materials, gauge weights and opening batches without saving anything
+ */
+const previewMaterialImport = async (req, res) => {
+    try {
+        const companyId = req.user.companyId;
+        const { content, skipExisting } = req.body;
+
+        const report = await MaterialImportService.previewImport(companyId, content, { skipExisting: !!skipExisting });
+
+        res.status(200).json({
+            success: true,
+            message: report.canImport
+                ? `Ready to import ${report.summary.materialCount} material(s) with ${report.summary.batchCount} opening batch(es)`
+                : `${report.summary.errorCount} row(s) have errors`,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('[BatchInventoryController] Import preview error:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/v2/inventory/import
+ * Import a validated sheet: creates all materials and opening stock, or nothing if any row has an error
+ */
+const importMaterials = async (req, res) => {
+    try {
+        const companyId = req.user.companyId;
+        const userId = req.user._id;
+        const { content, skipExisting } = req.body;
+
+        const result = await MaterialImportService.importMaterials(companyId, userId, content, { skipExisting: !!skipExisting });
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${result.materials.length} material(s) with ${result.transactionCount} opening batch(es)`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('[BatchInventoryController] Material import error:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            data: error.report
+        });
+    }
+};
+
 module.exports = {
     recordStockInward,
     consumeStock,
@@ -665,5 +862,11 @@ module.exports = {
     getMaterialsList,
     createSimplifiedMaterial,
     getConsumptionHistory,
-    deleteMaterial
+    getRemnants,
+    consumeRemnant,
+    deleteMaterial,
+    getImportTemplate,
+    previewMaterialImport,
+    importMaterials,
+    getExpiryAlerts
 }; 
\ No newline at end of file
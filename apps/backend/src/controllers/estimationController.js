@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const EstimationService = require('../services/estimationService');
+const EstimationImportService = require('../services/estimationImportService');
 const Estimation = require('../models/Estimation');
 const PDFDocument = require('pdfkit');
 
@@ -32,6 +33,8 @@ module.exports = {
                 projectName, 
                 clientId, 
                 dimensionUnitUsed, 
+                gauge,
+                rateSource,
                 items 
             } = req.body;
 
@@ -72,6 +75,8 @@ module.exports = {
                     projectName, 
                     clientId: cleanedClientId, 
                     dimensionUnitUsed, 
+                    gauge: gauge || undefined,
+                    rateSource: rateSource || null,
                     items: cleanedItems 
                 }, 
                 req.user.companyId, 
@@ -182,6 +187,8 @@ module.exports = {
                 projectName, 
                 clientId, 
                 dimensionUnitUsed, 
+                gauge,
+                rateSource,
                 items,
                 calculatedMaterials,
                 manualCharges,
@@ -204,6 +211,9 @@ module.exports = {
                     projectName, 
                     clientId: cleanedClientId, 
                     dimensionUnitUsed, 
+                    gauge,
+                    // Blank follows the company default; absent leaves it unchanged
+                    ...(rateSource !== undefined && { rateSource: rateSource || null }),
                     items: cleanedItems,
                     calculatedMaterials,
                     manualCharges,
@@ -455,14 +465,156 @@ module.exports = {
         }
     },
 
+    /**
+     * Add a named variant (gauge, glass or product type overrides) to an estimation
+     * @route POST /api/estimations/:id/variants
+     * @access Protected (Manager, Admin)
+     */
+    addVariant: async (req, res) => {
+        try {
+            const estimation = await EstimationService.addVariant(
+                req.params.id,
+                req.body,
+                req.user.companyId
+            );
+
+            res.status(201).json({
+                message: 'Variant added and calculated successfully',
+                estimation
+            });
+        } catch (error) {
+            console.error('Add Estimation Variant Error:', error);
+            res.status(400).json({ 
+                error: error.message 
+            });
+        }
+    },
+
+    /**
+     * Update a variant of an estimation and recalculate it
+     * @route PUT /api/estimations/:id/variants/:variantId
+     * @access Protected (Manager, Admin)
+     */
+    updateVariant: async (req, res) => {
+        try {
+            const estimation = await EstimationService.updateVariant(
+                req.params.id,
+                req.params.variantId,
+                req.body,
+                req.user.companyId
+            );
+
+            res.status(200).json({
+                message: 'Variant updated and recalculated successfully',
+                estimation
+            });
+        } catch (error) {
+            console.error('Update Estimation Variant Error:', error);
+            res.status(400).json({ 
+                error: error.message 
+            });
+        }
+    },
+
+    /**
+     * Delete a variant of an estimation
+     * @route DELETE /api/estimations/:id/variants/:variantId
+     * @access Protected (Manager, Admin)
+     */
+    deleteVariant: async (req, res) => {
+        try {
+            const estimation = await EstimationService.deleteVariant(
+                req.params.id,
+                req.params.variantId,
+                req.user.companyId
+            );
+
+            res.status(200).json({
+                message: 'Variant deleted successfully',
+                estimation
+            });
+        } catch (error) {
+            console.error('Delete Estimation Variant Error:', error);
+            res.status(400).json({ 
+                error: error.message 
+            });
+        }
+    },
+
+    /**
+     * Compare the base estimation and its variants side by side
+     * @route GET /api/estimations/:id/variants/compare
+     * @access Protected (Manager, Admin)
+     */
+    compareVariants: async (req, res) => {
+        try {
+            const comparison = await EstimationService.getVariantComparison(
+                req.params.id,
+                req.user.companyId
+            );
+
+            res.status(200).json(comparison);
+        } catch (error) {
+            console.error('Compare Estimation Variants Error:', error);
+            res.status(error.message === 'Estimation not found' ? 404 : 500).json({ 
+                error: error.message || 'Failed to compare estimation variants' 
+            });
+        }
+    },
+
+    /**
+     * PDF of the side-by-side variant comparison
+     * @route GET /api/estimations/:id/variants/compare/pdf
+     * @access Protected (Manager, Admin)
+     */
+    generateVariantComparisonPDF: async (req, res) => {
+        try {
+            const comparison = await EstimationService.getVariantComparison(
+                req.params.id,
+                req.user.companyId
+            );
+
+            const Company = require('../models/Company');
+            const company = await Company.findById(req.user.companyId);
+
+            const { generateEstimationComparisonPDF } = require('../utils/estimationPdfGenerator');
+            const pdfBuffer = await generateEstimationComparisonPDF(comparison, company);
+
+            if (!isValidPDFBuffer(pdfBuffer)) {
+                return res.status(500).json({ 
+                    status: 'error', 
+                    message: 'Failed to generate PDF: Invalid PDF format' 
+                });
+            }
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="estimation-options-${comparison.estimation.projectName.replace(/\s+/g, '-')}.pdf"`);
+            res.setHeader('Content-Length', pdfBuffer.length);
+            res.end(pdfBuffer);
+        } catch (error) {
+            console.error('Generate Variant Comparison PDF Error:', error);
+            if (error.message === 'Estimation not found') {
+                return res.status(404).json({ 
+                    status: 'error',
+                    message: 'Estimation not found or access denied' 
+                });
+            }
+            return res.status(500).json({ 
+                status: 'error',
+                message: 'Failed to generate PDF' 
+            });
+        }
+    },
+
     convertToQuotation: async (req, res) => {
         try {
             const { id } = req.params;
             const companyId = req.user.companyId;
             const userId = req.user._id;
 
-            // TODO: Implement service logic
-            const quotation = await EstimationService.convertEstimationToQuotation(id, companyId, userId);
+            // Optionally quote one of the estimation's variants instead of the base
+            const variantId = req.body?.variantId || undefined;
+            const quotation = await EstimationService.convertEstimationToQuotation(id, companyId, userId, variantId);
 
             res.status(200).json({
                 message: 'Estimation converted to quotation successfully',
@@ -545,5 +697,112 @@ module.exports = {
                 error: error.message || 'Failed to calculate glass for item' 
             });
         }
+    },
+
+    /**
+     * Download the site measurement sheet template for importing items
+     * @route GET /api/estimations/import/template
+     * @access Protected (Manager, Admin)
+     */
+    getImportTemplate: async (req, res) => {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="estimation-items-template.csv"');
+        res.send(EstimationImportService.getTemplate());
+    },
+
+    /**
+     * Dry run: resolve a sheet of openings into estimation items without saving anything
+     * @route POST /api/estimations/import/preview
+     * @access Protected (Manager, Admin)
+     */
+    previewImport: async (req, res) => {
+        try {
+            const { content, dimensionUnitUsed, sheetUnit, columns } = req.body;
+
+            const report = await EstimationImportService.previewImport(req.user.companyId, content, {
+                dimensionUnit: dimensionUnitUsed,
+                sheetUnit,
+                columns
+            });
+
+            res.status(200).json({
+                message: report.summary.unresolvedCount > 0
+                    ? `${report.summary.importableCount} of ${report.summary.rowCount} row(s) can be imported; ${report.summary.unresolvedCount} unresolved`
+                    : `Ready to import ${report.summary.importableCount} row(s)`,
+                report
+            });
+        } catch (error) {
+            console.error('Preview Estimation Import Error:', error);
+            res.status(error.statusCode || 400).json({ 
+                error: error.message 
+            });
+        }
+    },
+
+    /**
+     * Create an estimation from a sheet of openings and calculate its materials.
+     * Unresolved rows are left out and listed in the report.
+     * @route POST /api/estimations/import
+     * @access Protected (Manager, Admin)
+     */
+    importEstimation: async (req, res) => {
+        try {
+            const { content, ...data } = req.body;
+
+            const { estimation, report, calculationError } = await EstimationImportService.importEstimation(
+                req.user.companyId,
+                req.user._id,
+                content,
+                data
+            );
+
+            res.status(201).json({
+                message: calculationError
+                    ? `Estimation created with ${report.summary.importableCount} item(s), but calculation failed: ${calculationError}`
+                    : `Estimation created and calculated with ${report.summary.importableCount} item(s)`,
+                estimation,
+                report,
+                calculationError
+            });
+        } catch (error) {
+            console.error('Import Estimation Error:', error);
+            res.status(error.statusCode || 400).json({ 
+                error: error.message,
+                report: error.report
+            });
+        }
+    },
+
+    /**
+     * Add (or replace) an estimation's items from a sheet of openings and recalculate it
+     * @route POST /api/estimations/:id/import
+     * @access Protected (Manager, Admin)
+     */
+    importIntoEstimation: async (req, res) => {
+        try {
+            const { content, mode, sheetUnit, columns } = req.body;
+
+            const { estimation, report, calculationError } = await EstimationImportService.importIntoEstimation(
+                req.user.companyId,
+                req.params.id,
+                content,
+                { mode, sheetUnit, columns }
+            );
+
+            res.status(200).json({
+                message: calculationError
+                    ? `${report.summary.importableCount} item(s) imported, but calculation failed: ${calculationError}`
+                    : `${report.summary.importableCount} item(s) imported and estimation recalculated`,
+                estimation,
+                report,
+                calculationError
+            });
+        } catch (error) {
+            console.error('Import Into Estimation Error:', error);
+            res.status(error.statusCode || 400).json({ 
+                error: error.message,
+                report: error.report
+            });
+        }
     }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,64 @@
+const catchAsync = require('../utils/catchAsync');
+const LocationService = require('../services/locationService');
+
+/**
+ * @function getLocations
+ * @description Lists stock locations, default first. Query: includeInactive.
+ */
+exports.getLocations = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const locations = await LocationService.getLocations(companyId, req.query.includeInactive === 'true');
+
+    res.status(200).json({
+        status: 'success',
+        data: { locations }
+    });
+});
+
+/**
+ * @function createLocation
+ * @description Adds a stock location. Body: name, code, address, notes, isDefault.
+ */
+exports.createLocation = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    const location = await LocationService.createLocation(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        data: { location }
+    });
+});
+
+/**
+ * @function updateLocation
+ * @description Updates a location, makes it the default, or (de)activates it.
+ */
+exports.updateLocation = catchAsync(async (req, res, next) => {
+    const { locationId } = req.params;
+    const { companyId } = req.user;
+
+    const location = await LocationService.updateLocation(companyId, locationId, req.body);
+
+    res.status(200).json({
+        status: 'success',
+        data: { location }
+    });
+});
+
+/**
+ * @function getLocationStock
+ * @description Stock held at a location, per material and batch.
+ */
+exports.getLocationStock = catchAsync(async (req, res, next) => {
+    const { locationId } = req.params;
+    const { companyId } = req.user;
+
+    const stock = await LocationService.getStockAtLocation(companyId, locationId);
+
+    res.status(200).json({
+        status: 'success',
+        data: stock
+    });
+});
@@ -1,17 +1,27 @@
 const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
 const catchAsync = require('../utils/catchAsync');
 const { AppError } = require('../utils/appError');
 const CuttingOptimizationService = require('../services/cuttingOptimizationService');
 const Order = require('../models/Order');
 const CuttingPlan = require('../models/CuttingPlan');
+const CuttingBatch = require('../models/CuttingBatch');
 const MaterialV2 = require('../models/MaterialV2');
 const StockTransaction = require('../models/StockTransaction');
 const Company = require('../models/Company');
 const svgGenerator = require('../utils/cuttingPlanSvgGenerator');
 const { generateCuttingPlanPDF } = require('../utils/cuttingPlanPdfGenerator');
+const { generateCutLabelsPDF, LABEL_SIZES, DEFAULT_LABEL_SIZE } = require('../utils/cutLabelPdfGenerator');
+const { fromPlanCuttingParameters } = require('../utils/cuttingConfig');
+const { exportCutList, CUT_LIST_FORMATS } = require('../utils/cutListExporter');
+const Setting = require('../models/Setting');
 const fs = require('fs');
 const path = require('path');
 const OrderService = require('../services/orderService');
+const BatchInventoryService = require('../services/batchInventoryService');
+const ProductionTrackingService = require('../services/productionTrackingService');
+const StockReservationService = require('../services/stockReservationService');
+const InventoryValuationService = require('../services/inventoryValuationService');
 
 /**
  * @controller ManufacturingController
@@ -21,20 +31,351 @@ const OrderService = require('../services/orderService');
 // Simple in-memory set to track orders currently being optimized (prevents race conditions)
 const optimizationInProgress = new Set();
 
+const MAX_OPTIMIZATION_TIME_LIMIT_MS = 30000;
+
+/**
+ * Parses a cutting plan version number from a request parameter.
+ * @param {string|undefined} value - Raw value from req.params or req.query.
+ * @returns {number|null|undefined} The version, undefined when not given, null when invalid.
+ */
+const parsePlanVersion = (value) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const version = parseInt(value, 10);
+    return isNaN(version) || version < 1 ? null : version;
+};
+
+/**
+ * Builds the query for an order's cutting plan: the requested version, or the active one.
+ * Plans created before versioning have no isActive flag and count as active.
+ * @param {string} orderId - The ID of the order.
+ * @param {string} companyId - The ID of the company.
+ * @param {number} [version] - Specific version to load.
+ * @returns {object} Mongoose filter for CuttingPlan.
+ */
+const cuttingPlanQuery = (orderId, companyId, version) => (
+    version !== undefined
+        ? { orderId, companyId, version }
+        : { orderId, companyId, isActive: { $ne: false } }
+);
+
+/**
+ * Validates the strategy and time limit requested for an optimization run.
+ * @returns {AppError|null} The error to report, or null when the options are valid.
+ */
+const validateOptimizationOptions = (strategy, timeLimitMs) => {
+    if (!CuttingOptimizationService.STRATEGY_NAMES.includes(strategy)) {
+        return new AppError(`Unknown cutting strategy '${strategy}'. Use one of: ${CuttingOptimizationService.STRATEGY_NAMES.join(', ')}.`, 400);
+    }
+
+    const parsedTimeLimit = timeLimitMs !== undefined ? parseInt(timeLimitMs, 10) : undefined;
+    if (parsedTimeLimit !== undefined && (isNaN(parsedTimeLimit) || parsedTimeLimit <= 0 || parsedTimeLimit > MAX_OPTIMIZATION_TIME_LIMIT_MS)) {
+        return new AppError(`timeLimitMs must be between 1 and ${MAX_OPTIMIZATION_TIME_LIMIT_MS}.`, 400);
+    }
+    return null;
+};
+
+/**
+ * Checks that every pipe and remnant a cutting plan (or batch) draws from is still in stock.
+ * Nothing is changed; all problems are returned together so the user can fix them in one go.
+ * @param {Array<object>} materialPlans - CuttingPlan/CuttingBatch materialPlans.
+ * @param {string} companyId - The ID of the company.
+ * @param {string|Array<string>} [reservedFor] - The order(s) committing; pipes reserved for other orders don't count.
+ * @returns {Promise<Array<string>>} Validation error messages (empty when the plan can be committed).
+ */
+const validatePlannedStock = async (materialPlans, companyId, reservedFor = null) => {
+    const stockValidationErrors = [];
+    // Pieces the plan draws from each specific batch/remnant, so one source isn't promised twice
+    const plannedDraws = new Map();
+    
+    for (const materialPlan of materialPlans) {
+        for (const pipeUsed of materialPlan.pipesUsed) {
+            // Try to find material in V2 system first, then V1
+            let materialV2 = await MaterialV2.findOne({ 
+                _id: materialPlan.materialId, 
+                companyId: companyId 
+            });
+            
+            let materialV1 = null;
+            if (!materialV2) {
+                materialV1 = await MaterialV2.findOne({ 
+                    _id: materialPlan.materialId, 
+                    companyId: companyId 
+                });
+            }
+
+            if (!materialV2 && !materialV1) {
+                stockValidationErrors.push(`Material ${materialPlan.materialNameSnapshot} not found`);
+                continue;
+            }
+
+            if (materialV2 && pipeUsed.sourceType === 'Remnant') {
+                // VALIDATION ONLY: The exact offcut the optimizer placed cuts on must still be in stock
+                const drawKey = `${materialPlan.materialId}_${pipeUsed.sourceRemnantId}`;
+                plannedDraws.set(drawKey, (plannedDraws.get(drawKey) || 0) + 1);
+
+                const remnant = materialV2.remnantBatches.find(r => r.remnantId === pipeUsed.sourceRemnantId);
+                const remnantQty = remnant && remnant.isActive ? parseFloat(remnant.currentQuantity.toString()) : 0;
+                if (remnantQty < plannedDraws.get(drawKey)) {
+                    stockValidationErrors.push(`Remnant ${pipeUsed.sourceRemnantId} (${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}) of ${materialV2.name} is no longer available. Please re-run optimization`);
+                }
+
+            } else if (materialV2 && pipeUsed.sourceBatchId) {
+                // VALIDATION ONLY: The batch the optimizer assigned must still have enough pipes
+                const drawKey = `${materialPlan.materialId}_${pipeUsed.sourceBatchId}`;
+                plannedDraws.set(drawKey, (plannedDraws.get(drawKey) || 0) + 1);
+
+                const batch = materialV2.profileBatches.find(b => b.batchId === pipeUsed.sourceBatchId);
+                if (batch && materialPlan.gaugeSnapshot && batch.gauge !== materialPlan.gaugeSnapshot) {
+                    stockValidationErrors.push(`Batch ${pipeUsed.sourceBatchId} of ${materialV2.name} is gauge ${batch.gauge || 'unknown'}, but the plan needs gauge ${materialPlan.gaugeSnapshot}. Please re-run optimization`);
+                    continue;
+                }
+                const onHandQty = batch ? parseFloat(batch.currentQuantity.toString()) : 0;
+                const batchQty = batch ? onHandQty - Math.min(MaterialV2.getBatchReserved(batch, reservedFor), onHandQty) : 0;
+                if (batchQty < plannedDraws.get(drawKey)) {
+                    stockValidationErrors.push(`Insufficient stock in batch ${pipeUsed.sourceBatchId} for ${materialV2.name} of length ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}. Available: ${batchQty}, Required: ${plannedDraws.get(drawKey)}. Please re-run optimization`);
+                }
+
+            } else if (materialV2) {
+                // VALIDATION ONLY: Calculate consolidated quantity for the required length
+                const requiredLength = pipeUsed.standardLength.toString();
+                const requiredUnit = pipeUsed.standardLengthUnit;
+                
+                let totalAvailableQuantity = 0;
+                let foundAnyBatch = false;
+                
+                materialV2.profileBatches.forEach(batch => {
+                    if (batch.length.toString() === requiredLength && batch.lengthUnit === requiredUnit &&
+                        (!materialPlan.gaugeSnapshot || batch.gauge === materialPlan.gaugeSnapshot)) {
+                        foundAnyBatch = true;
+                        const batchQty = parseFloat(batch.currentQuantity.toString());
+                        if (batchQty > 0) {
+                            totalAvailableQuantity += batchQty;
+                        }
+                    }
+                });
+
+                if (!foundAnyBatch) {
+                    stockValidationErrors.push(`No stock entry found for ${materialV2.name} of length ${requiredLength} ${requiredUnit}`);
+                    continue;
+                }
+                
+                if (totalAvailableQuantity < 1) {
+                    stockValidationErrors.push(`Insufficient stock for ${materialV2.name} of length ${requiredLength} ${requiredUnit}. Available: ${totalAvailableQuantity}, Required: 1`);
+                }
+
+            } else if (materialV1) {
+                const stockLengthEntry = materialV1.stockByLength.find(
+                    sl => sl.length.toString() === pipeUsed.standardLength.toString() && sl.unit === pipeUsed.standardLengthUnit
+                );
+
+                if (!stockLengthEntry) {
+                    stockValidationErrors.push(`No stock entry found for ${materialV1.name} of length ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}`);
+                    continue;
+                }
+                
+                const currentQuantityNum = parseFloat(stockLengthEntry.quantity.toString());
+                if (currentQuantityNum < 1) {
+                    stockValidationErrors.push(`Insufficient stock for ${materialV1.name} of length ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}. Available: ${currentQuantityNum}, Required: 1`);
+                }
+            }
+        }
+    }
+
+    return stockValidationErrors;
+};
+
+/**
+ * Converts ObjectIds and Decimal128 values of lean material plans to strings for frontend compatibility.
+ * Shared by cutting plans and cutting batches.
+ */
+const serializeMaterialPlans = (materialPlans) => materialPlans?.map(mp => ({
+    ...mp,
+    materialId: mp.materialId ? mp.materialId.toString() : mp.materialId,
+    totalWeight: mp.totalWeight ? mp.totalWeight.toString() : '0',
+    pipesUsed: mp.pipesUsed?.map(pipe => ({
+        ...pipe,
+        standardLength: pipe.standardLength ? pipe.standardLength.toString() : '0',
+        totalCutLengthOnPipe: pipe.totalCutLengthOnPipe ? pipe.totalCutLengthOnPipe.toString() : '0',
+        scrapLength: pipe.scrapLength ? pipe.scrapLength.toString() : '0',
+        calculatedWeight: pipe.calculatedWeight ? pipe.calculatedWeight.toString() : '0',
+        cutsMade: pipe.cutsMade?.map(cut => ({
+            ...cut,
+            requiredLength: cut.requiredLength ? cut.requiredLength.toString() : '0',
+            identifier: cut.identifier
+        })) || []
+    })) || [],
+    totalPipesPerLength: mp.totalPipesPerLength?.map(tppl => ({
+        ...tppl,
+        totalScrap: tppl.totalScrap ? tppl.totalScrap.toString() : '0'
+    })) || []
+})) || [];
+
+/**
+ * Deducts one planned pipe (or remnant) from a MaterialV2 document, using the exact source the optimizer chose.
+ * Does NOT save the material.
+ * @param {object} materialV2 - MaterialV2 document.
+ * @param {object} pipeUsed - CuttingPlan/CuttingBatch pipesUsed entry.
+ * @param {string} [gauge] - Gauge the plan was made for; pipes of other gauges are never drawn.
+ * @param {object} [options] - { valuationMethod, reservedFor }. Under FIFO a batch pipe is drawn from the oldest
+ *   batch of its length and gauge at the planned batch's location that has pipes not reserved for other orders
+ *   (reservedFor: the order(s) committing), whichever batch the optimizer picked.
+ * @returns {object} The stock source drawn from: { batchId, remnantId?, gauge, ratePerPiece, label }
+ */
+const drawPlannedPipe = (materialV2, pipeUsed, gauge = null, options = {}) => {
+    const { valuationMethod, reservedFor = null } = options;
+    const requiredLength = pipeUsed.standardLength.toString();
+    const requiredUnit = pipeUsed.standardLengthUnit;
+
+    if (pipeUsed.sourceType === 'Remnant') {
+        const remnantToUse = materialV2.remnantBatches.find(
+            r => r.remnantId === pipeUsed.sourceRemnantId &&
+                r.isActive &&
+                parseFloat(r.currentQuantity.toString()) >= 1
+        );
+        if (!remnantToUse) {
+            throw new AppError(`Remnant ${pipeUsed.sourceRemnantId} of material ${materialV2.name} is no longer available. Please re-run optimization.`, 400);
+        }
+
+        console.log(`[Commit Cuts Debug] Using remnant: ${remnantToUse.remnantId}, length: ${remnantToUse.length}${remnantToUse.lengthUnit}`);
+        const newQuantity = parseFloat(remnantToUse.currentQuantity.toString()) - 1;
+        remnantToUse.currentQuantity = mongoose.Types.Decimal128.fromString(newQuantity.toString());
+        if (newQuantity <= 0) {
+            remnantToUse.isCompleted = true;
+        }
+
+        return {
+            batchId: remnantToUse.sourceBatchId,
+            remnantId: remnantToUse.remnantId,
+            gauge: remnantToUse.gauge,
+            ratePerPiece: remnantToUse.ratePerPiece,
+            locationId: remnantToUse.locationId,
+            label: `Remnant: ${remnantToUse.remnantId}`
+        };
+    } else {
+        // Find batches that match the required length and have available quantity
+        const availableBatches = materialV2.profileBatches.filter(
+            batch => batch.length.toString() === requiredLength && 
+                    batch.lengthUnit === requiredUnit &&
+                    (!gauge || batch.gauge === gauge) &&
+                    parseFloat(batch.currentQuantity.toString()) > 0
+        );
+
+        if (availableBatches.length === 0) {
+            console.log(`[Commit Cuts Debug] Available batches for ${materialV2.name}:`);
+            materialV2.profileBatches.forEach((batch, index) => {
+                console.log(`  Batch ${index}: ${batch.length}${batch.lengthUnit}, quantity: ${batch.currentQuantity}, gauge: ${batch.gauge}`);
+            });
+            throw new AppError(`No available stock for length ${requiredLength} ${requiredUnit}${gauge ? ` of gauge ${gauge}` : ''} of material ${materialV2.name}.`, 400);
+        }
+        
+        // Use the batch assigned by the optimizer; plans generated before batch tracking fall back to the first available batch
+        let batchToUse = pipeUsed.sourceBatchId
+            ? availableBatches.find(batch => batch.batchId === pipeUsed.sourceBatchId)
+            : availableBatches[0];
+
+        if (valuationMethod === 'FIFO') {
+            // FIFO issues the oldest receipt first, from the location the plan draws at
+            const plannedBatch = materialV2.profileBatches.find(batch => batch.batchId === pipeUsed.sourceBatchId) || batchToUse;
+            const plannedLocation = plannedBatch && plannedBatch.locationId ? plannedBatch.locationId.toString() : '';
+            const oldestFree = availableBatches
+                .filter(batch => (batch.locationId ? batch.locationId.toString() : '') === plannedLocation)
+                .filter(batch => {
+                    const onHandQty = parseFloat(batch.currentQuantity.toString());
+                    return onHandQty - Math.min(MaterialV2.getBatchReserved(batch, reservedFor), onHandQty) >= 1;
+                })
+                .sort((a, b) => new Date(a.purchaseDate || 0) - new Date(b.purchaseDate || 0))[0];
+            batchToUse = oldestFree || batchToUse;
+        }
+
+        if (!batchToUse) {
+            throw new AppError(`Batch ${pipeUsed.sourceBatchId} of material ${materialV2.name} no longer has stock of length ${requiredLength} ${requiredUnit}${gauge ? ` in gauge ${gauge}` : ''}. Please re-run optimization.`, 400);
+        }
+        
+        console.log(`[Commit Cuts Debug] Using batch: ${batchToUse.batchId}, length: ${batchToUse.length}${batchToUse.lengthUnit}, current quantity: ${batchToUse.currentQuantity}`);
+        
+        // Convert quantity to number for comparison and calculation
+        const currentQuantityNum = parseFloat(batchToUse.currentQuantity.toString());
+
+        if (currentQuantityNum < 1) {
+            throw new AppError(`Insufficient stock in selected batch for ${materialV2.name} of length ${requiredLength} ${requiredUnit}. Available: ${currentQuantityNum}, Required: 1`, 400);
+        }
+
+        // Deduct 1 pipe from this batch
+        const newQuantity = currentQuantityNum - 1;
+        console.log(`[Commit Cuts Debug] Updating batch ${batchToUse.batchId} quantity from ${currentQuantityNum} to ${newQuantity}`);
+        batchToUse.currentQuantity = mongoose.Types.Decimal128.fromString(newQuantity.toString());
+
+        return {
+            batch: batchToUse,
+            batchId: batchToUse.batchId,
+            gauge: batchToUse.gauge,
+            ratePerPiece: batchToUse.ratePerPiece,
+            locationId: batchToUse.locationId,
+            label: `Batch: ${batchToUse.batchId}`
+        };
+    }
+};
+
+/**
+ * Rate to cost a pipe drawn by drawPlannedPipe with. Remnants keep their own value; batch pipes follow the
+ * company's valuation method, with weighted averages taken before the commit drew anything.
+ */
+const costDrawnPipe = (materialV2, stockSource, valuationMethod, averageRates) => {
+    if (!stockSource.batch) return parseFloat(stockSource.ratePerPiece.toString());
+    return InventoryValuationService.consumptionRate(materialV2, stockSource.batch, valuationMethod, { averageRates });
+};
+
+/**
+ * Picks the machine profile for a cut-list export: the requested profile, else the built-in default in the
+ * requested format, else the company's default profile (or the built-in default when it has none).
+ * @param {string} companyId - The ID of the company.
+ * @param {object} query - { profileId, format } from req.query.
+ * @returns {Promise<object>} Machine profile (Setting.machineProfiles entry or a plain object).
+ */
+const resolveMachineProfile = async (companyId, { profileId, format }) => {
+    if (format && !CUT_LIST_FORMATS.includes(format)) {
+        throw new AppError(`Invalid cut-list format '${format}'. Use one of: ${CUT_LIST_FORMATS.join(', ')}.`, 400);
+    }
+
+    const settings = await Setting.findOne({ companyId }).select('machineProfiles');
+    const profiles = settings ? settings.machineProfiles : [];
+
+    if (profileId) {
+        const profile = profiles.find(p => p._id.toString() === profileId);
+        if (!profile) {
+            throw new AppError('Machine profile not found.', 404);
+        }
+        return profile;
+    }
+    if (format) {
+        return { format };
+    }
+    return profiles.find(p => p.isDefault) || profiles[0] || {};
+};
+
 /**
  * @function optimizeCutsForOrder
  * @description Controller to trigger the cutting optimization process for a given order.
  * Delegates to cuttingOptimizationService.optimizeCuts.
+ * Accepts an optional cutting strategy and reports how it compares with the greedy baseline.
  * Updates Order status and cuttingPlanId upon successful plan generation.
  */
 exports.optimizeCutsForOrder = catchAsync(async (req, res, next) => {
-    const { orderId } = req.body;
+    const { orderId, strategy = 'greedy', timeLimitMs, locationId, locationMode } = req.body;
     const { companyId, _id: userId } = req.user;
 
     if (!orderId) {
         return next(new AppError('Order ID is required to optimize cuts.', 400));
     }
 
+    const optionsError = validateOptimizationOptions(strategy, timeLimitMs);
+    if (optionsError) {
+        return next(optionsError);
+    }
+    const parsedTimeLimit = timeLimitMs !== undefined ? parseInt(timeLimitMs, 10) : undefined;
+
     // Check if optimization is already in progress for this order
     if (optimizationInProgress.has(orderId)) {
         return next(new AppError('Optimization is already in progress for this order. Please wait for it to complete.', 409)); // 409 Conflict
@@ -64,7 +405,12 @@ exports.optimizeCutsForOrder = catchAsync(async (req, res, next) => {
         let cuttingPlan; // Declare here to be accessible in the scope
         try {
             const optimizer = new CuttingOptimizationService();
-            cuttingPlan = await optimizer.optimizeCuts(orderId, companyId.toString(), userId.toString());
+            cuttingPlan = await optimizer.optimizeCuts(orderId, companyId.toString(), userId.toString(), {
+                strategy,
+                timeLimitMs: parsedTimeLimit,
+                locationId,
+                locationMode
+            });
             
             // The optimizeCuts method now handles updating the order, so we don't need to do it here
             // order.cuttingPlanId = cuttingPlan._id;
@@ -77,7 +423,8 @@ exports.optimizeCutsForOrder = catchAsync(async (req, res, next) => {
                 message: 'Cutting optimization performed and plan generated successfully.',
                 data: {
                     cuttingPlanId: cuttingPlan._id,
-                    orderStatus: cuttingPlan.status || 'Generated'
+                    orderStatus: cuttingPlan.status || 'Generated',
+                    optimization: cuttingPlan.optimization
                 },
             });
 
@@ -107,19 +454,29 @@ exports.optimizeCutsForOrder = catchAsync(async (req, res, next) => {
 /**
  * @function getCuttingPlanByOrderId
  * @description Controller to retrieve the cutting plan for a specific order.
+ * Returns the active version unless a `version` query parameter is given.
  */
 exports.getCuttingPlanByOrderId = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
 
     console.log(`[getCuttingPlanByOrderId] Searching for cutting plan with orderId: ${orderId}, companyId: ${companyId}`);
 
-    const cuttingPlan = await CuttingPlan.findOne({ orderId, companyId })
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version))
         .populate('materialPlans.materialId')
         .lean();
 
     console.log(`[getCuttingPlanByOrderId] Found cutting plan:`, cuttingPlan ? `ID: ${cuttingPlan._id}, Status: ${cuttingPlan.status}` : 'null');
 
+    if (!cuttingPlan && version !== undefined) {
+        return next(new AppError(`Cutting plan version ${version} not found for this order.`, 404));
+    }
+
     if (!cuttingPlan) {
         console.log(`[getCuttingPlanByOrderId] No cutting plan found. Checking if order exists...`);
         const order = await Order.findOne({ _id: orderId, companyId }).select('_id orderIdDisplay cuttingPlanId cuttingPlanStatus status notes');
@@ -181,28 +538,10 @@ exports.getCuttingPlanByOrderId = catchAsync(async (req, res, next) => {
         _id: cuttingPlan._id.toString(),
         orderId: cuttingPlan.orderId.toString(),
         companyId: cuttingPlan.companyId.toString(),
+        version: cuttingPlan.version || 1,
+        isActive: cuttingPlan.isActive !== false,
         generatedBy: cuttingPlan.generatedBy ? cuttingPlan.generatedBy.toString() : null,
-        materialPlans: cuttingPlan.materialPlans?.map(mp => ({
-            ...mp,
-            materialId: mp.materialId ? mp.materialId.toString() : mp.materialId,
-            totalWeight: mp.totalWeight ? mp.totalWeight.toString() : '0',
-            pipesUsed: mp.pipesUsed?.map(pipe => ({
-                ...pipe,
-                standardLength: pipe.standardLength ? pipe.standardLength.toString() : '0',
-                totalCutLengthOnPipe: pipe.totalCutLengthOnPipe ? pipe.totalCutLengthOnPipe.toString() : '0',
-                scrapLength: pipe.scrapLength ? pipe.scrapLength.toString() : '0',
-                calculatedWeight: pipe.calculatedWeight ? pipe.calculatedWeight.toString() : '0',
-                cutsMade: pipe.cutsMade?.map(cut => ({
-                    ...cut,
-                    requiredLength: cut.requiredLength ? cut.requiredLength.toString() : '0',
-                    identifier: cut.identifier
-                })) || []
-            })) || [],
-            totalPipesPerLength: mp.totalPipesPerLength?.map(tppl => ({
-                ...tppl,
-                totalScrap: tppl.totalScrap ? tppl.totalScrap.toString() : '0'
-            })) || []
-        })) || []
+        materialPlans: serializeMaterialPlans(cuttingPlan.materialPlans)
     };
 
     res.status(200).json({
@@ -234,10 +573,15 @@ exports.getCuttingPlanByOrderId = catchAsync(async (req, res, next) => {
 exports.getCuttingPlanSvgByOrderId = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
 
     console.log(`[getCuttingPlanSvgByOrderId] Searching for cutting plan SVG with orderId: ${orderId}, companyId: ${companyId}`);
 
-    const cuttingPlan = await CuttingPlan.findOne({ orderId, companyId })
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version))
         .populate('materialPlans.materialId')
         .lean();
 
@@ -278,10 +622,15 @@ exports.getCuttingPlanSvgByOrderId = catchAsync(async (req, res, next) => {
 exports.getPipeOrderSummaryByOrderId = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
 
     console.log(`[getPipeOrderSummaryByOrderId] Searching for pipe order summary with orderId: ${orderId}, companyId: ${companyId}`);
 
-    const cuttingPlan = await CuttingPlan.findOne({ orderId, companyId })
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version))
         .select('materialPlans.materialId materialPlans.materialNameSnapshot materialPlans.gaugeSnapshot materialPlans.totalPipesPerLength materialPlans.totalWeight materialPlans.usageUnit');
 
     if (!cuttingPlan || !cuttingPlan.materialPlans || cuttingPlan.materialPlans.length === 0) {
@@ -299,7 +648,8 @@ exports.getPipeOrderSummaryByOrderId = catchAsync(async (req, res, next) => {
             unit: p.unit, 
             quantity: p.quantity, 
             totalScrap: p.totalScrap.toString(),
-            scrapUnit: p.scrapUnit || mp.usageUnit // Use scrapUnit if available, fallback to material's usageUnit
+            scrapUnit: p.scrapUnit || mp.usageUnit, // Use scrapUnit if available, fallback to material's usageUnit
+            isRemnant: !!p.isRemnant
         })),
         totalWeight: mp.totalWeight ? mp.totalWeight.toString() : '0',
     }));
@@ -314,6 +664,77 @@ exports.getPipeOrderSummaryByOrderId = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @function getCuttingPlanVersions
+ * @description Controller to list every cutting plan version of an order with its totals (pipes, scrap, weight).
+ */
+exports.getCuttingPlanVersions = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+
+    const optimizer = new CuttingOptimizationService();
+    const versions = await optimizer.listPlanVersions(orderId, companyId);
+
+    res.status(200).json({
+        status: 'success',
+        results: versions.length,
+        data: {
+            versions,
+        },
+    });
+});
+
+/**
+ * @function activateCuttingPlanVersion
+ * @description Controller to make a cutting plan version the active one used by commit-cuts.
+ */
+exports.activateCuttingPlanVersion = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId, _id: userId } = req.user;
+    const version = parsePlanVersion(req.params.version);
+
+    if (!version) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
+
+    const optimizer = new CuttingOptimizationService();
+    const cuttingPlan = await optimizer.activatePlanVersion(orderId, companyId, version, userId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Cutting plan version ${version} is now active.`,
+        data: {
+            cuttingPlanId: cuttingPlan._id,
+            version: cuttingPlan.version,
+        },
+    });
+});
+
+/**
+ * @function compareCuttingPlanVersions
+ * @description Controller to compare two cutting plan versions of an order (pipes, remnants, scrap, weight).
+ */
+exports.compareCuttingPlanVersions = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+    const fromVersion = parsePlanVersion(req.query.from);
+    const toVersion = parsePlanVersion(req.query.to);
+
+    if (!fromVersion || !toVersion) {
+        return next(new AppError('Both "from" and "to" cutting plan versions are required.', 400));
+    }
+
+    const optimizer = new CuttingOptimizationService();
+    const comparison = await optimizer.comparePlanVersions(orderId, companyId, fromVersion, toVersion);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            comparison,
+        },
+    });
+});
+
 /**
  * @function updateOrderStage
  * @description Controller to update the manufacturing stage of an order.
@@ -348,6 +769,10 @@ exports.updateOrderStage = catchAsync(async (req, res, next) => {
 
     await order.save({ session: req.mongoSession });
 
+    if (newStatus === 'On Hold' || previousStatus === 'On Hold') {
+        await StockReservationService.syncWithOrderStatus(order, companyId);
+    }
+
     res.status(200).json({
         status: 'success',
         data: {
@@ -356,6 +781,49 @@ exports.updateOrderStage = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @function recordProductionScan
+ * @description Records a shop-floor scan of a piece or item code (cut, assembled, QC passed, packed).
+ * Delegates to ProductionTrackingService.recordScan, which also advances the order stage once every piece
+ * has reached the scanned stage.
+ */
+exports.recordProductionScan = catchAsync(async (req, res, next) => {
+    const { code, event, notes } = req.body;
+    const { companyId, _id: userId } = req.user;
+
+    if (!code || !event) {
+        return next(new AppError('Scanned code and event are required.', 400));
+    }
+
+    const result = await ProductionTrackingService.recordScan(companyId, userId, { code, event, notes });
+
+    const message = result.recorded.length > 0
+        ? `${result.recorded.length} piece(s) of ${result.order.orderIdDisplay} marked ${event}.`
+        : `Already marked ${event}.`;
+
+    res.status(200).json({
+        status: 'success',
+        message: result.stageAdvancedTo ? `${message} Order moved to ${result.stageAdvancedTo}.` : message,
+        data: result
+    });
+});
+
+/**
+ * @function getOrderProductionProgress
+ * @description Returns piece-level production events of an order rolled up to item and order progress.
+ */
+exports.getOrderProductionProgress = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+
+    const result = await ProductionTrackingService.getOrderProgress(orderId, companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: result
+    });
+});
+
 /**
  * @function commitCutsForOrder
  * @description Controller to commit the cutting plan. 
@@ -385,79 +853,23 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
         if (cuttingPlan.status === 'Committed' || order.cuttingPlanStatus === 'Committed') {
             return next(new AppError('This cutting plan has already been committed.', 400));
         }
+        if (!cuttingPlan.isActive) {
+            return next(new AppError(`Cutting plan version ${cuttingPlan.version} is not the active version. Activate it before committing.`, 400));
+        }
         if (cuttingPlan.status !== 'Generated') {
             return next(new AppError(`Cutting plan status is '${cuttingPlan.status}'. Must be 'Generated' to commit.`, 400));
         }
 
-        // Pre-validate all stock requirements before starting the commit process
-        const stockValidationErrors = [];
-        
-        for (const materialPlan of cuttingPlan.materialPlans) {
-            for (const pipeUsed of materialPlan.pipesUsed) {
-                // Try to find material in V2 system first, then V1
-                let materialV2 = await MaterialV2.findOne({ 
-                    _id: materialPlan.materialId, 
-                    companyId: companyId 
-                });
-                
-                let materialV1 = null;
-                if (!materialV2) {
-                    materialV1 = await MaterialV2.findOne({ 
-                        _id: materialPlan.materialId, 
-                        companyId: companyId 
-                    });
-                }
-
-                if (!materialV2 && !materialV1) {
-                    stockValidationErrors.push(`Material ${materialPlan.materialNameSnapshot} not found`);
-                    continue;
-                }
-
-                if (materialV2) {
-                    // VALIDATION ONLY: Calculate consolidated quantity for the required length
-                    const requiredLength = pipeUsed.standardLength.toString();
-                    const requiredUnit = pipeUsed.standardLengthUnit;
-                    
-                    let totalAvailableQuantity = 0;
-                    let foundAnyBatch = false;
-                    
-                    materialV2.profileBatches.forEach(batch => {
-                        if (batch.length.toString() === requiredLength && batch.lengthUnit === requiredUnit) {
-                            foundAnyBatch = true;
-                            const batchQty = parseFloat(batch.currentQuantity.toString());
-                            if (batchQty > 0) {
-                                totalAvailableQuantity += batchQty;
-                            }
-                        }
-                    });
-
-                    if (!foundAnyBatch) {
-                        stockValidationErrors.push(`No stock entry found for ${materialV2.name} of length ${requiredLength} ${requiredUnit}`);
-                        continue;
-                    }
-                    
-                    if (totalAvailableQuantity < 1) {
-                        stockValidationErrors.push(`Insufficient stock for ${materialV2.name} of length ${requiredLength} ${requiredUnit}. Available: ${totalAvailableQuantity}, Required: 1`);
-                    }
-
-                } else if (materialV1) {
-                    const stockLengthEntry = materialV1.stockByLength.find(
-                        sl => sl.length.toString() === pipeUsed.standardLength.toString() && sl.unit === pipeUsed.standardLengthUnit
-                    );
-
-                    if (!stockLengthEntry) {
-                        stockValidationErrors.push(`No stock entry found for ${materialV1.name} of length ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}`);
-                        continue;
-                    }
-                    
-                    const currentQuantityNum = parseFloat(stockLengthEntry.quantity.toString());
-                    if (currentQuantityNum < 1) {
-                        stockValidationErrors.push(`Insufficient stock for ${materialV1.name} of length ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}. Available: ${currentQuantityNum}, Required: 1`);
-                    }
-                }
+        if (order.cuttingBatchId) {
+            const openBatch = await CuttingBatch.findOne({ _id: order.cuttingBatchId, companyId, status: 'Generated' }).select('batchNumber');
+            if (openBatch) {
+                return next(new AppError(`This order is part of cutting batch ${openBatch.batchNumber}. Commit or cancel the batch instead.`, 400));
             }
         }
 
+        // Pre-validate all stock requirements before starting the commit process
+        const stockValidationErrors = await validatePlannedStock(cuttingPlan.materialPlans, companyId, order._id);
+
         // If there are any stock validation errors, return them all at once
         if (stockValidationErrors.length > 0) {
             const errorMessage = `Cannot commit cutting plan due to insufficient inventory:\n• ${stockValidationErrors.join('\n• ')}`;
@@ -465,6 +877,9 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
         }
 
         // Continue with actual commit process only if validation passes
+        const valuationMethod = await InventoryValuationService.getValuationMethod(companyId);
+        const averageRatesByMaterial = new Map();
+        let remnantsCreated = 0;
         for (const materialPlan of cuttingPlan.materialPlans) {
             for (const pipeUsed of materialPlan.pipesUsed) {
                 console.log(`[Commit Cuts Debug] Processing pipe: ${pipeUsed.standardLength}${pipeUsed.standardLengthUnit} for material ${materialPlan.materialNameSnapshot}`);
@@ -490,44 +905,16 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
                 if (materialV2) {
                     console.log(`[Commit Cuts Debug] Found MaterialV2: ${materialV2.name}, profileBatches count: ${materialV2.profileBatches.length}`);
                     
-                    // COMMIT: Handle MaterialV2 - find a batch with available quantity
-                    const requiredLength = pipeUsed.standardLength.toString();
-                    const requiredUnit = pipeUsed.standardLengthUnit;
-                    
-                    // Find batches that match the required length and have available quantity
-                    const availableBatches = materialV2.profileBatches.filter(
-                        batch => batch.length.toString() === requiredLength && 
-                                batch.lengthUnit === requiredUnit &&
-                                parseFloat(batch.currentQuantity.toString()) > 0
-                    );
-
-                    if (availableBatches.length === 0) {
-                        console.log(`[Commit Cuts Debug] Available batches for ${materialV2.name}:`);
-                        materialV2.profileBatches.forEach((batch, index) => {
-                            console.log(`  Batch ${index}: ${batch.length}${batch.lengthUnit}, quantity: ${batch.currentQuantity}, gauge: ${batch.gauge}`);
-                        });
-                        throw new AppError(`No available stock for length ${requiredLength} ${requiredUnit} of material ${materialV2.name}.`, 400);
-                    }
-                    
-                    // Use the first available batch (you could implement FIFO, LIFO, or other strategies here)
-                    const batchToUse = availableBatches[0];
-                    
-                    console.log(`[Commit Cuts Debug] Using batch: ${batchToUse.batchId}, length: ${batchToUse.length}${batchToUse.lengthUnit}, current quantity: ${batchToUse.currentQuantity}`);
-                    
-                    // Convert quantity to number for comparison and calculation
-                    const currentQuantityNum = parseFloat(batchToUse.currentQuantity.toString());
-
-                    if (currentQuantityNum < 1) {
-                        throw new AppError(`Insufficient stock in selected batch for ${materialV2.name} of length ${requiredLength} ${requiredUnit}. Available: ${currentQuantityNum}, Required: 1`, 400);
+                    const materialKey = materialPlan.materialId.toString();
+                    if (!averageRatesByMaterial.has(materialKey)) {
+                        averageRatesByMaterial.set(materialKey, InventoryValuationService.averageRates(materialV2));
                     }
 
-                    // Deduct 1 pipe from this batch
-                    const newQuantity = currentQuantityNum - 1;
-                    console.log(`[Commit Cuts Debug] Updating batch ${batchToUse.batchId} quantity from ${currentQuantityNum} to ${newQuantity}`);
-                    batchToUse.currentQuantity = mongoose.Types.Decimal128.fromString(newQuantity.toString());
+                    // COMMIT: Handle MaterialV2 - deduct the exact source the optimizer planned for this pipe
+                    const stockSource = drawPlannedPipe(materialV2, pipeUsed, materialPlan.gaugeSnapshot, { valuationMethod, reservedFor: order._id });
                     
                     // Create Stock Transaction
-                    const unitRate = parseFloat(batchToUse.ratePerPiece.toString());
+                    const unitRate = costDrawnPipe(materialV2, stockSource, valuationMethod, averageRatesByMaterial.get(materialKey));
                     const totalValue = unitRate * 1; // 1 piece consumed
                     
                     const stockTransaction = new StockTransaction({
@@ -536,22 +923,60 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
                         type: 'Outward-OrderCut',
                         length: pipeUsed.standardLength, 
                         lengthUnit: pipeUsed.standardLengthUnit,
+                        remnantId: stockSource.remnantId,
+                        batchId: stockSource.batchId,
+                        valuationMethod,
                         quantityChange: mongoose.Types.Decimal128.fromString("-1"),
                         quantityUnit: 'pcs', // Assuming one pipe is one piece
-                        unitRateAtTransaction: batchToUse.ratePerPiece,
+                        unitRateAtTransaction: mongoose.Types.Decimal128.fromString(unitRate.toString()),
                         totalValueChange: mongoose.Types.Decimal128.fromString((-totalValue).toString()), // Negative because it's consumption
                         relatedDocumentType: 'CuttingPlan',
                         relatedDocumentId: cuttingPlan._id,
-                        notes: `Cut for Order ${order.orderIdDisplay}, Cutting Plan ${cuttingPlan._id.toString().slice(-6)}. Material: ${materialPlan.materialNameSnapshot}, Pipe: ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}, Batch: ${batchToUse.batchId}`,
+                        notes: `Cut for Order ${order.orderIdDisplay}, Cutting Plan ${cuttingPlan._id.toString().slice(-6)}. Material: ${materialPlan.materialNameSnapshot}, Pipe: ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}, ${stockSource.label}`,
                         createdBy: userId,
                         transactionDate: new Date(),
                     });
                     await stockTransaction.save();
                     console.log(`[Commit Cuts Debug] Stock transaction created: ${stockTransaction._id}`);
+
+                    // Keep the offcut as a reusable remnant instead of letting it disappear
+                    const remnant = pipeUsed.scrapLength ? BatchInventoryService.addRemnantFromPipe(materialV2, {
+                        scrapLength: pipeUsed.scrapLength,
+                        scrapUnit: materialPlan.usageUnit,
+                        gauge: materialPlan.gaugeSnapshot || stockSource.gauge,
+                        sourceBatch: stockSource, // Booked at zero value: this order is charged the whole pipe
+                        pipeLength: pipeUsed.standardLength,
+                        pipeLengthUnit: pipeUsed.standardLengthUnit,
+                        cuttingPlanId: cuttingPlan._id,
+                        orderId: order._id,
+                        notes: `Offcut from Order ${order.orderIdDisplay}`,
+                        cuttingConfig: fromPlanCuttingParameters(materialPlan)
+                    }) : null;
                     
+                    InventoryValuationService.revalueToAverage(materialV2, valuationMethod, averageRatesByMaterial.get(materialKey));
                     await materialV2.save();
                     console.log(`[Commit Cuts Debug] MaterialV2 saved successfully for ${materialV2.name}`);
 
+                    if (remnant) {
+                        await StockTransaction.create({
+                            companyId,
+                            materialId: materialPlan.materialId,
+                            type: 'Remnant-Inward',
+                            length: remnant.length,
+                            lengthUnit: remnant.lengthUnit,
+                            remnantId: remnant.remnantId,
+                            quantityChange: mongoose.Types.Decimal128.fromString('1'),
+                            quantityUnit: 'pcs',
+                            unitRateAtTransaction: remnant.ratePerPiece,
+                            relatedDocumentType: 'CuttingPlan',
+                            relatedDocumentId: cuttingPlan._id,
+                            notes: `Remnant ${remnant.length.toString()} ${remnant.lengthUnit} kept from Order ${order.orderIdDisplay}, Pipe: ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}, ${stockSource.label} [Remnant: ${remnant.remnantId}]`,
+                            createdBy: userId,
+                            transactionDate: new Date(),
+                        });
+                        remnantsCreated++;
+                    }
+
                 } else if (materialV1) {
                     console.log(`[Commit Cuts Debug] Found MaterialV1: ${materialV1.name}, stockByLength count: ${materialV1.stockByLength.length}`);
                     
@@ -619,7 +1044,7 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
         
         const historyEntry = {
             status: order.status,
-            notes: `Cutting plan ${cuttingPlan._id.toString().slice(-6)} committed. Production stage: ${order.status}`,
+            notes: `Cutting plan ${cuttingPlan._id.toString().slice(-6)} (version ${cuttingPlan.version}) committed. Production stage: ${order.status}${remnantsCreated > 0 ? `. ${remnantsCreated} reusable remnant(s) returned to stock` : ''}`,
             updatedBy: userId,
             timestamp: new Date(),
         };
@@ -628,12 +1053,19 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
         await cuttingPlan.save();
         await order.save();
 
+        // The pipes are now consumed; drop this order's profile reservations and move others' off emptied batches
+        await StockReservationService.releaseForOrder(order._id, companyId, {
+            category: 'Profile',
+            materialIds: order.aggregatedOrderMaterials.filter(m => m.materialCategory === 'Profile').map(m => m.materialId)
+        });
+
         res.status(200).json({
             status: 'success',
             message: 'Cuts committed successfully. Inventory updated and order status changed.',
             data: {
                 order,
                 cuttingPlan,
+                remnantsCreated,
             },
         });
 
@@ -648,6 +1080,331 @@ exports.commitCutsForOrder = catchAsync(async (req, res, next) => {
     }
 });
 
+/**
+ * @function optimizeCutsForBatch
+ * @description Optimizes the cuts of several queued orders together, so cuts of different orders
+ * for the same material and gauge can share a pipe. Creates a CuttingBatch; each order keeps its own plan.
+ */
+exports.optimizeCutsForBatch = catchAsync(async (req, res, next) => {
+    const { orderIds, strategy = 'greedy', timeLimitMs, notes, locationId, locationMode } = req.body;
+    const { companyId, _id: userId } = req.user;
+
+    if (!Array.isArray(orderIds) || orderIds.length < 2) {
+        return next(new AppError('Provide at least two order IDs to optimize together.', 400));
+    }
+    if (orderIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return next(new AppError('One or more order IDs are invalid.', 400));
+    }
+
+    const optionsError = validateOptimizationOptions(strategy, timeLimitMs);
+    if (optionsError) {
+        return next(optionsError);
+    }
+
+    const busyOrderIds = orderIds.filter(id => optimizationInProgress.has(id.toString()));
+    if (busyOrderIds.length > 0) {
+        return next(new AppError('Optimization is already in progress for one of these orders. Please wait for it to complete.', 409));
+    }
+
+    orderIds.forEach(id => optimizationInProgress.add(id.toString()));
+    try {
+        const optimizer = new CuttingOptimizationService();
+        const batch = await optimizer.optimizeBatch(orderIds, companyId.toString(), userId.toString(), {
+            strategy,
+            timeLimitMs: timeLimitMs !== undefined ? parseInt(timeLimitMs, 10) : undefined,
+            notes,
+            locationId,
+            locationMode
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: `Cutting batch ${batch.batchNumber} generated for ${batch.orders.length} orders.`,
+            data: {
+                cuttingBatchId: batch._id,
+                batchNumber: batch.batchNumber,
+                optimization: batch.optimization
+            },
+        });
+    } finally {
+        orderIds.forEach(id => optimizationInProgress.delete(id.toString()));
+    }
+});
+
+/**
+ * @function getCuttingBatches
+ * @description Lists cutting batches, newest first. Optional filters: status, orderId.
+ */
+exports.getCuttingBatches = catchAsync(async (req, res, next) => {
+    const { status, orderId } = req.query;
+    const { companyId } = req.user;
+
+    const query = { companyId };
+    if (status) {
+        query.status = status;
+    }
+    if (orderId) {
+        query['orders.orderId'] = orderId;
+    }
+
+    const batches = await CuttingBatch.find(query)
+        .select('batchNumber orders status requestedOptions generatedAt committedAt optimization notes')
+        .sort({ generatedAt: -1 })
+        .lean();
+
+    res.status(200).json({
+        status: 'success',
+        results: batches.length,
+        data: {
+            batches,
+        },
+    });
+});
+
+/**
+ * @function getCuttingBatchById
+ * @description Returns one cutting batch with its material plans. Every cut carries the order it belongs to.
+ */
+exports.getCuttingBatchById = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId } = req.user;
+
+    const batch = await CuttingBatch.findOne({ _id: batchId, companyId }).lean();
+    if (!batch) {
+        return next(new AppError('Cutting batch not found.', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            cuttingBatch: {
+                ...batch,
+                _id: batch._id.toString(),
+                companyId: batch.companyId.toString(),
+                generatedBy: batch.generatedBy ? batch.generatedBy.toString() : null,
+                materialPlans: serializeMaterialPlans(batch.materialPlans),
+                orderAllocations: batch.orderAllocations?.map(allocation => ({
+                    ...allocation,
+                    pipeShare: allocation.pipeShare ? allocation.pipeShare.toString() : '0',
+                    cutLength: allocation.cutLength ? allocation.cutLength.toString() : '0',
+                    value: allocation.value ? allocation.value.toString() : '0'
+                })) || []
+            },
+        },
+    });
+});
+
+/**
+ * @function getCuttingBatchSvg
+ * @description Returns an SVG of a cutting batch's layout.
+ */
+exports.getCuttingBatchSvg = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId } = req.user;
+
+    const batch = await CuttingBatch.findOne({ _id: batchId, companyId }).lean();
+    if (!batch) {
+        return next(new AppError('Cutting batch not found.', 404));
+    }
+
+    const svgString = svgGenerator.generateCuttingPlanSVG(batch.materialPlans);
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.status(200).send(svgString);
+});
+
+/**
+ * @function commitCuttingBatch
+ * @description Commits a cutting batch: deducts the planned pipes and remnants from stock once, and charges
+ * each order its share of every pipe (by length of its cuts on that pipe) through its own stock transactions.
+ * All orders of the batch move to 'Cutting'.
+ */
+exports.commitCuttingBatch = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId, _id: userId } = req.user;
+
+    const batch = await CuttingBatch.findOne({ _id: batchId, companyId });
+    if (!batch) {
+        return next(new AppError('Cutting batch not found.', 404));
+    }
+    if (batch.status !== 'Generated') {
+        return next(new AppError(`Cutting batch status is '${batch.status}'. Must be 'Generated' to commit.`, 400));
+    }
+
+    const orders = await Order.find({ _id: { $in: batch.orders.map(o => o.orderId) }, companyId });
+    if (orders.length !== batch.orders.length) {
+        return next(new AppError('One or more orders of this batch no longer exist. Cancel the batch and optimize again.', 400));
+    }
+    const committedOrders = orders.filter(order => order.cuttingPlanStatus === 'Committed');
+    if (committedOrders.length > 0) {
+        return next(new AppError(`Cuts have already been committed for order(s) ${committedOrders.map(o => o.orderIdDisplay).join(', ')}. Cancel the batch and optimize again.`, 400));
+    }
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    const stockValidationErrors = await validatePlannedStock(batch.materialPlans, companyId, orders.map(order => order._id));
+    if (stockValidationErrors.length > 0) {
+        const errorMessage = `Cannot commit cutting batch due to insufficient inventory:\n• ${stockValidationErrors.join('\n• ')}`;
+        return next(new AppError(errorMessage, 400));
+    }
+
+    // orderId|materialId -> running totals for batch.orderAllocations
+    const allocations = new Map();
+    let remnantsCreated = 0;
+    const valuationMethod = await InventoryValuationService.getValuationMethod(companyId);
+
+    for (const materialPlan of batch.materialPlans) {
+        const materialV2 = await MaterialV2.findOne({ _id: materialPlan.materialId, companyId });
+        if (!materialV2) {
+            throw new AppError(`Material ${materialPlan.materialNameSnapshot} not found during commit.`, 500);
+        }
+        const averageRates = InventoryValuationService.averageRates(materialV2);
+
+        for (const pipeUsed of materialPlan.pipesUsed) {
+            const stockSource = drawPlannedPipe(materialV2, pipeUsed, materialPlan.gaugeSnapshot, { valuationMethod, reservedFor: orders.map(order => order._id) });
+            const unitRate = costDrawnPipe(materialV2, stockSource, valuationMethod, averageRates);
+            const pipeLabel = `Pipe: ${pipeUsed.standardLength.toString()} ${pipeUsed.standardLengthUnit}, ${stockSource.label}`;
+
+            // One outward transaction per order on this pipe, for its share of the pipe. Shares are rounded,
+            // and the last order takes the remainder so each pipe leaves stock exactly once at its full value.
+            const pipeShares = CuttingOptimizationService.roundPipeShares(CuttingOptimizationService.allocatePipeToOrders(pipeUsed), unitRate);
+            for (const { orderId, cutLength, share, quantity: roundedShare, value: shareValue } of pipeShares) {
+                const order = orderId ? ordersById.get(orderId) : null;
+
+                await StockTransaction.create({
+                    companyId,
+                    materialId: materialPlan.materialId,
+                    type: 'Outward-OrderCut',
+                    length: pipeUsed.standardLength,
+                    lengthUnit: pipeUsed.standardLengthUnit,
+                    remnantId: stockSource.remnantId,
+                    batchId: stockSource.batchId,
+                    valuationMethod,
+                    quantityChange: mongoose.Types.Decimal128.fromString(roundedShare.negated().toString()),
+                    quantityUnit: 'pcs',
+                    unitRateAtTransaction: mongoose.Types.Decimal128.fromString(unitRate.toString()),
+                    totalValueChange: mongoose.Types.Decimal128.fromString(shareValue.negated().toString()),
+                    relatedDocumentType: 'CuttingBatch',
+                    relatedDocumentId: batch._id,
+                    orderId: order ? order._id : undefined,
+                    notes: `Cut for Order ${order ? order.orderIdDisplay : 'unknown'} in Cutting Batch ${batch.batchNumber} (${(share * 100).toFixed(1)}% of pipe). Material: ${materialPlan.materialNameSnapshot}, ${pipeLabel}`,
+                    createdBy: userId,
+                    transactionDate: new Date(),
+                });
+
+                const allocationKey = `${orderId}|${materialPlan.materialId}`;
+                const allocation = allocations.get(allocationKey) || {
+                    orderId,
+                    materialId: materialPlan.materialId,
+                    materialNameSnapshot: materialPlan.materialNameSnapshot,
+                    lengthUnit: materialPlan.usageUnit,
+                    pipeShare: 0,
+                    cutLength: 0,
+                    value: 0
+                };
+                allocation.pipeShare += roundedShare.toNumber();
+                allocation.cutLength += cutLength;
+                allocation.value += shareValue.toNumber();
+                allocations.set(allocationKey, allocation);
+            }
+
+            // Keep the offcut as a reusable remnant, like a single-order commit does
+            const remnant = pipeUsed.scrapLength ? BatchInventoryService.addRemnantFromPipe(materialV2, {
+                scrapLength: pipeUsed.scrapLength,
+                scrapUnit: materialPlan.usageUnit,
+                gauge: materialPlan.gaugeSnapshot || stockSource.gauge,
+                sourceBatch: stockSource, // Booked at zero value: the batch's orders are charged the whole pipe
+                pipeLength: pipeUsed.standardLength,
+                pipeLengthUnit: pipeUsed.standardLengthUnit,
+                cuttingBatchId: batch._id,
+                notes: `Offcut from Cutting Batch ${batch.batchNumber}`,
+                cuttingConfig: fromPlanCuttingParameters(materialPlan)
+            }) : null;
+
+            if (remnant) {
+                await StockTransaction.create({
+                    companyId,
+                    materialId: materialPlan.materialId,
+                    type: 'Remnant-Inward',
+                    length: remnant.length,
+                    lengthUnit: remnant.lengthUnit,
+                    remnantId: remnant.remnantId,
+                    quantityChange: mongoose.Types.Decimal128.fromString('1'),
+                    quantityUnit: 'pcs',
+                    unitRateAtTransaction: remnant.ratePerPiece,
+                    relatedDocumentType: 'CuttingBatch',
+                    relatedDocumentId: batch._id,
+                    notes: `Remnant ${remnant.length.toString()} ${remnant.lengthUnit} kept from Cutting Batch ${batch.batchNumber}, ${pipeLabel} [Remnant: ${remnant.remnantId}]`,
+                    createdBy: userId,
+                    transactionDate: new Date(),
+                });
+                remnantsCreated++;
+            }
+        }
+
+        InventoryValuationService.revalueToAverage(materialV2, valuationMethod, averageRates);
+        await materialV2.save();
+        console.log(`[Commit Batch Debug] MaterialV2 saved successfully for ${materialV2.name}`);
+    }
+
+    batch.orderAllocations = [...allocations.values()]
+        .filter(allocation => allocation.orderId)
+        .map(allocation => ({
+            ...allocation,
+            pipeShare: mongoose.Types.Decimal128.fromString(allocation.pipeShare.toFixed(4)),
+            cutLength: mongoose.Types.Decimal128.fromString(allocation.cutLength.toFixed(4)),
+            value: mongoose.Types.Decimal128.fromString(allocation.value.toFixed(2))
+        }));
+    batch.status = 'Committed';
+    batch.committedAt = new Date();
+    batch.committedBy = userId;
+    await batch.save();
+
+    for (const order of orders) {
+        order.cuttingPlanStatus = 'Committed';
+        order.status = 'Cutting';
+        order.history.push({
+            status: order.status,
+            notes: `Cutting batch ${batch.batchNumber} committed together with ${orders.length - 1} other order(s). Production stage: ${order.status}`,
+            updatedBy: userId,
+            timestamp: new Date(),
+        });
+        await order.save();
+        await StockReservationService.releaseForOrder(order._id, companyId, {
+            category: 'Profile',
+            materialIds: order.aggregatedOrderMaterials.filter(m => m.materialCategory === 'Profile').map(m => m.materialId)
+        });
+    }
+
+    res.status(200).json({
+        status: 'success',
+        message: `Cutting batch ${batch.batchNumber} committed. Inventory updated and ${orders.length} orders moved to cutting.`,
+        data: {
+            cuttingBatchId: batch._id,
+            remnantsCreated,
+        },
+    });
+});
+
+/**
+ * @function cancelCuttingBatch
+ * @description Cancels a cutting batch that has not been committed, releasing its orders.
+ */
+exports.cancelCuttingBatch = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId } = req.user;
+
+    const optimizer = new CuttingOptimizationService();
+    const batch = await optimizer.cancelBatch(batchId, companyId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Cutting batch ${batch.batchNumber} cancelled.`,
+        data: {
+            cuttingBatchId: batch._id,
+        },
+    });
+});
+
 /**
  * @function getManufacturingQueue
  * @description Get orders that are in the manufacturing queue with optional filters
@@ -701,11 +1458,16 @@ exports.getManufacturingQueue = catchAsync(async (req, res, next) => {
 exports.getCuttingPlanPdfByOrderId = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
 
     console.log(`[getCuttingPlanPdfByOrderId] Generating PDF for cutting plan with orderId: ${orderId}, companyId: ${companyId}`);
 
     // Get the cutting plan
-    const cuttingPlan = await CuttingPlan.findOne({ orderId, companyId })
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version))
         .populate('materialPlans.materialId')
         .lean();
 
@@ -771,6 +1533,171 @@ exports.getCuttingPlanPdfByOrderId = catchAsync(async (req, res, next) => {
     }
 });
 
+/**
+ * @function exportCutListByOrderId
+ * @description Exports the cutting plan as a machine-readable cut list (CSV, fixed-width or XML) for a saw / CNC
+ * controller, using a company machine profile. Query: profileId, format, version.
+ */
+exports.exportCutListByOrderId = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
+
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version)).lean();
+    if (!cuttingPlan) {
+        return next(new AppError('Cutting plan not found, cannot export cut list.', 404));
+    }
+
+    const order = await Order.findOne({ _id: orderId, companyId }).select('orderIdDisplay').lean();
+    if (!order) {
+        return next(new AppError('Order not found, cannot export cut list.', 404));
+    }
+
+    const machineProfile = await resolveMachineProfile(companyId, req.query);
+    const { content, contentType, extension } = exportCutList(cuttingPlan.materialPlans, machineProfile, {
+        reference: `${order.orderIdDisplay} v${cuttingPlan.version || 1}`,
+        defaultOrderLabel: order.orderIdDisplay
+    });
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="Cut-List-${order.orderIdDisplay}-v${cuttingPlan.version || 1}.${extension}"`);
+    res.status(200).send(content);
+});
+
+/**
+ * @function exportCutListByBatchId
+ * @description Exports a cutting batch as a machine-readable cut list. Cuts are labelled with the order they belong to.
+ * Query: profileId, format.
+ */
+exports.exportCutListByBatchId = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId } = req.user;
+
+    const batch = await CuttingBatch.findOne({ _id: batchId, companyId }).lean();
+    if (!batch) {
+        return next(new AppError('Cutting batch not found.', 404));
+    }
+
+    const orderLabels = {};
+    batch.orders.forEach(o => { orderLabels[o.orderId.toString()] = o.orderIdDisplay; });
+
+    const machineProfile = await resolveMachineProfile(companyId, req.query);
+    const { content, contentType, extension } = exportCutList(batch.materialPlans, machineProfile, {
+        reference: batch.batchNumber,
+        orderLabels
+    });
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="Cut-List-${batch.batchNumber}.${extension}"`);
+    res.status(200).send(content);
+});
+
+/**
+ * Reads the label options shared by the order and batch label endpoints.
+ * @param {object} query - { size, includeBars } from req.query.
+ * @returns {{size: string, includeBars: boolean}}
+ */
+const parseLabelOptions = ({ size = DEFAULT_LABEL_SIZE, includeBars }) => {
+    if (!LABEL_SIZES[size]) {
+        throw new AppError(`Invalid label size '${size}'. Use one of: ${Object.keys(LABEL_SIZES).join(', ')}.`, 400);
+    }
+    return { size, includeBars: includeBars !== 'false' };
+};
+
+/**
+ * Generates the label PDF and sends it, checking the buffer like the cutting plan PDF.
+ */
+const sendLabelsPdf = async (res, next, params, fileName) => {
+    let pdfBuffer;
+    try {
+        pdfBuffer = await generateCutLabelsPDF(params);
+    } catch (error) {
+        console.error(`[sendLabelsPdf] Error generating labels for ${params.reference}:`, error);
+        return next(new AppError(error.message || 'Failed to generate labels.', 500));
+    }
+
+    if (!isValidPDFBuffer(pdfBuffer)) {
+        return next(new AppError('Failed to generate labels: Invalid PDF format.', 500));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+};
+
+/**
+ * @function getCutLabelsByOrderId
+ * @description Generates a printable label sheet with one barcode label per cut piece (and per bar) of the
+ * order's cutting plan, so assembly can match parts to windows. Query: size, includeBars, version.
+ */
+exports.getCutLabelsByOrderId = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+    const version = parsePlanVersion(req.query.version);
+
+    if (version === null) {
+        return next(new AppError('Cutting plan version must be a positive integer.', 400));
+    }
+    const { size, includeBars } = parseLabelOptions(req.query);
+
+    const cuttingPlan = await CuttingPlan.findOne(cuttingPlanQuery(orderId, companyId, version)).lean();
+    if (!cuttingPlan) {
+        return next(new AppError('Cutting plan not found, cannot generate labels.', 404));
+    }
+
+    const order = await Order.findOne({ _id: orderId, companyId })
+        .select('orderIdDisplay items.itemLabel items.productTypeNameSnapshot')
+        .lean();
+    if (!order) {
+        return next(new AppError('Order not found, cannot generate labels.', 404));
+    }
+
+    const reference = `${order.orderIdDisplay}-v${cuttingPlan.version || 1}`;
+    await sendLabelsPdf(res, next, {
+        materialPlans: cuttingPlan.materialPlans,
+        orders: { [order._id.toString()]: order },
+        defaultOrder: order,
+        reference,
+        size,
+        includeBars
+    }, `Cut-Labels-${reference}.pdf`);
+});
+
+/**
+ * @function getCutLabelsByBatchId
+ * @description Generates the label sheet for a cutting batch; each piece label names the order it belongs to.
+ * Query: size, includeBars.
+ */
+exports.getCutLabelsByBatchId = catchAsync(async (req, res, next) => {
+    const { batchId } = req.params;
+    const { companyId } = req.user;
+    const { size, includeBars } = parseLabelOptions(req.query);
+
+    const batch = await CuttingBatch.findOne({ _id: batchId, companyId }).lean();
+    if (!batch) {
+        return next(new AppError('Cutting batch not found.', 404));
+    }
+
+    const orderDocs = await Order.find({ _id: { $in: batch.orders.map(o => o.orderId) }, companyId })
+        .select('orderIdDisplay items.itemLabel items.productTypeNameSnapshot')
+        .lean();
+    const orders = {};
+    orderDocs.forEach(order => { orders[order._id.toString()] = order; });
+
+    await sendLabelsPdf(res, next, {
+        materialPlans: batch.materialPlans,
+        orders,
+        reference: batch.batchNumber,
+        size,
+        includeBars
+    }, `Cut-Labels-${batch.batchNumber}.pdf`);
+});
+
 /**
  * Helper function to validate PDF buffer
  * @param {Buffer} pdfBuffer - PDF buffer to validate
@@ -848,7 +1775,7 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
                     let canSatisfyRequirement = false;
                     let availableOptions = [];
                     
-                    const availableBatches = materialV2.simpleBatches.filter(b => b.isActive && !b.isCompleted);
+                    const availableBatches = materialV2.simpleBatches.filter(b => b.isActive && !b.isCompleted && !MaterialV2.isExpired(b));
                     
                     for (const batch of availableBatches) {
                         // Check if batch has the required width or larger
@@ -876,7 +1803,7 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
             } else {
                 // Standard validation for non-wire-mesh materials
                 let requiredQuantity = parseFloat(aggMaterial.totalQuantity.toString());
-                const availableBatches = materialV2.simpleBatches.filter(b => b.isActive && !b.isCompleted);
+                const availableBatches = materialV2.getAvailableBatches(); // Expired batches don't count
                 
                 let totalAvailable = 0;
                 for (const batch of availableBatches) {
@@ -900,9 +1827,7 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
         // Start committing materials
         const transactionsToCreate = [];
         const consumedBatches = [];
-
-        // Import wire mesh optimization service for proper consumption
-        const BatchInventoryService = require('../services/batchInventoryService');
+        const valuationMethod = await InventoryValuationService.getValuationMethod(companyId);
 
         for (const aggMaterial of nonProfileMaterials) {
             const materialV2 = await MaterialV2.findOne({ 
@@ -934,7 +1859,8 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
                             consumptionType: 'Order Manufacturing',
                             sortOrder: 'FIFO',
                             notes: `Order ${order.orderIdDisplay} - Wire mesh ${requiredWidth}x${requiredLength}ft`,
-                            userId: userId
+                            userId: userId,
+                            orderId: order._id
                         });
                         
                         // Track consumed batches (transactions already created by BatchInventoryService)
@@ -970,18 +1896,17 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
             } else {
                 // Standard processing for non-wire-mesh materials
                 const requiredQuantity = parseFloat(aggMaterial.totalQuantity.toString());
-                const availableBatches = materialV2.simpleBatches
-                    .filter(b => b.isActive && !b.isCompleted)
-                    .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate)); // FIFO
+                const availableBatches = materialV2.getAvailableBatches({}, 'FIFO'); // FEFO for dated batches, skips expired ones
 
                 let remainingToConsume = requiredQuantity;
+                const averageRates = InventoryValuationService.averageRates(materialV2);
 
                 // Consume from batches using FIFO
                 for (const batch of availableBatches) {
                     if (remainingToConsume <= 0) break;
 
                     const available = parseFloat(batch.currentQuantity.toString());
-                    const batchRate = parseFloat(batch.ratePerUnit.toString());
+                    const batchRate = InventoryValuationService.consumptionRate(materialV2, batch, valuationMethod, { averageRates });
                     const toConsume = Math.min(remainingToConsume, available);
 
                     // Update batch quantity
@@ -1008,6 +1933,7 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
                         companyId,
                         materialId: aggMaterial.materialId,
                         batchId: batch.batchId,
+                        valuationMethod,
                         type: 'Outward-OrderCut',
                         quantityChange: mongoose.Types.Decimal128.fromString((-toConsume).toString()),
                         quantityUnit: aggMaterial.quantityUnit,
@@ -1025,6 +1951,8 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
                     remainingToConsume -= toConsume;
                 }
 
+                InventoryValuationService.revalueToAverage(materialV2, valuationMethod, averageRates);
+
                 // Save material with updated batch quantities
                 await materialV2.save();
             }
@@ -1050,6 +1978,11 @@ exports.commitMaterialsForOrder = catchAsync(async (req, res, next) => {
 
         await order.save();
 
+        await StockReservationService.releaseForOrder(order._id, companyId, {
+            category: 'NonProfile',
+            materialIds: nonProfileMaterials.map(m => m.materialId)
+        });
+
         console.log(`[Commit Materials] ✅ Successfully committed ${nonProfileMaterials.length} materials across ${consumedBatches.length} batches for order ${order.orderIdDisplay}`);
 
         res.status(200).json({
@@ -6,6 +6,7 @@ const catchAsync = require('../utils/catchAsync');
 const { AppError } = require('../utils/appError');
 const orderService = require('../services/orderService');
 const CuttingOptimizationService = require('../services/cuttingOptimizationService');
+const StockReservationService = require('../services/stockReservationService');
 const Company = require('../models/Company');
 const { generateStockAvailabilityPDF } = require('../utils/stockAvailabilityPdfGenerator');
 
@@ -131,10 +132,14 @@ exports.confirmMeasurements = catchAsync(async (req, res, next) => {
 
     await updatedOrder.save();
 
+    // Hold stock for the confirmed measurements so other orders' stock checks don't count it
+    const reservation = await StockReservationService.syncWithOrderStatus(updatedOrder, companyId);
+
     res.status(200).json({
         status: 'success',
         data: {
             order: updatedOrder,
+            reservation,
         },
     });
 });
@@ -273,7 +278,11 @@ exports.checkStock = catchAsync(async (req, res, next) => {
         return next(new AppError('Stock check can only be performed for orders with confirmed measurements, ready for optimization, or in production stages.', 400));
     }
 
-    const detailedStockAvailability = await orderService.getDetailedStockAvailabilityForOrder(order, companyId);
+    // Optional ?locationId=&locationMode=restrict|prefer checks one location's stock or prefers it
+    const detailedStockAvailability = await orderService.getDetailedStockAvailabilityForOrder(order, companyId, {
+        locationId: req.query.locationId,
+        locationMode: req.query.locationMode
+    });
 
     res.status(200).json({
         status: 'success',
@@ -321,6 +330,11 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
 
     await order.save({ session: req.mongoSession || null }); // Save the status change first
 
+    // Putting an order on hold or cancelling it frees its reserved stock; resuming takes it again
+    if (StockReservationService.RELEASING_STATUSES.includes(newStatus) || StockReservationService.RELEASING_STATUSES.includes(previousStatus)) {
+        await StockReservationService.syncWithOrderStatus(order, companyId);
+    }
+
     // If status is 'Ready for Optimization', trigger the optimization process
     if (newStatus === 'Ready for Optimization' && previousStatus !== 'Ready for Optimization') {
         console.log(`Order ${orderId} transitioned to 'Ready for Optimization'. Triggering optimization process...`);
@@ -372,6 +386,47 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
     });
 });
 
+exports.getOrderReservations = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+
+    const order = await Order.findOne({ _id: orderId, companyId }).select('orderIdDisplay status');
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    const reservations = await StockReservationService.getOrderReservations(order._id, companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            orderIdDisplay: order.orderIdDisplay,
+            reservations,
+        },
+    });
+});
+
+exports.refreshOrderReservations = catchAsync(async (req, res, next) => {
+    const { orderId } = req.params;
+    const { companyId } = req.user;
+
+    const order = await Order.findOne({ _id: orderId, companyId });
+    if (!order) {
+        return next(new AppError('Order not found', 404));
+    }
+
+    if (!StockReservationService.RESERVING_STATUSES.includes(order.status)) {
+        return next(new AppError(`Stock is not reserved for orders with status ${order.status}.`, 400));
+    }
+
+    const result = await StockReservationService.reserveForOrder(order, companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: result,
+    });
+});
+
 exports.getOrderHistory = catchAsync(async (req, res, next) => {
     const { orderId } = req.params;
     const { companyId } = req.user;
@@ -415,7 +470,10 @@ exports.generateStockAvailabilityPDF = catchAsync(async (req, res, next) => {
 
     try {
         // Get stock availability data
-        const stockAvailability = await orderService.getDetailedStockAvailabilityForOrder(order, companyId);
+        const stockAvailability = await orderService.getDetailedStockAvailabilityForOrder(order, companyId, {
+            locationId: req.query.locationId,
+            locationMode: req.query.locationMode
+        });
         
         // Calculate glass requirements from order items
         const glassRequirements = [];
@@ -0,0 +1,110 @@
+const catchAsync = require('../utils/catchAsync');
+const { AppError } = require('../utils/appError');
+const Setting = require('../models/Setting');
+const PriceListService = require('../services/priceListService');
+const EstimationService = require('../services/estimationService');
+
+/**
+ * @function getPriceLists
+ * @description Lists price lists, newest first, with the one in effect today marked.
+ */
+exports.getPriceLists = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const result = await PriceListService.listPriceLists(companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: result
+    });
+});
+
+/**
+ * @function getPriceListById
+ * @description Returns a price list with its entries.
+ */
+exports.getPriceListById = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const priceList = await PriceListService.findPriceList(companyId, req.params.priceListId);
+    await priceList.populate('createdBy', 'firstName lastName');
+
+    res.status(200).json({
+        status: 'success',
+        data: { priceList }
+    });
+});
+
+/**
+ * @function createPriceList
+ * @description Creates a price list. Body: name, effectiveFrom, notes, entries: [{ materialId, gauge, rate, rateUnit }].
+ */
+exports.createPriceList = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    const priceList = await PriceListService.createPriceList(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Price list "${priceList.name}" created.`,
+        data: { priceList }
+    });
+});
+
+/**
+ * @function updatePriceList
+ * @description Replaces a price list's name, date, notes and entries.
+ */
+exports.updatePriceList = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const priceList = await PriceListService.updatePriceList(companyId, req.params.priceListId, req.body);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Price list "${priceList.name}" updated.`,
+        data: { priceList }
+    });
+});
+
+/**
+ * @function deletePriceList
+ * @description Deletes a price list. Estimations costed with it keep their costs and its name.
+ */
+exports.deletePriceList = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    await PriceListService.deletePriceList(companyId, req.params.priceListId);
+
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
+
+/**
+ * @function recostOpenWork
+ * @description Recalculates open estimations and draft quotations at current rates and reports what changed.
+ * Body: thresholdPercent (defaults to the company's pricing.recostAlertPercent).
+ */
+exports.recostOpenWork = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+    let { thresholdPercent } = req.body || {};
+
+    if (thresholdPercent === undefined || thresholdPercent === null || thresholdPercent === '') {
+        const settings = await Setting.findOne({ companyId }).select('pricing.recostAlertPercent').lean();
+        thresholdPercent = settings?.pricing?.recostAlertPercent ?? 5;
+    }
+    thresholdPercent = Number(thresholdPercent);
+    if (isNaN(thresholdPercent) || thresholdPercent < 0) {
+        return next(new AppError('Threshold must be a percentage of zero or more.', 400));
+    }
+
+    const result = await EstimationService.recostOpenWork(companyId, userId, thresholdPercent);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Re-costed ${result.summary.estimationsRecosted} estimation(s) and ${result.summary.quotationsRecosted} draft quotation(s); ${result.summary.estimationsFlagged + result.summary.quotationsFlagged} changed by more than ${thresholdPercent}%.`,
+        data: result
+    });
+});
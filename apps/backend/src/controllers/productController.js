@@ -5,6 +5,8 @@ const { convertUnit, SUPPORTED_AREA_UNITS, getUnitType, SUPPORTED_LINEAR_UNITS }
 const { convertProfileLengthToWeight } = require('../utils/weightUtils');
 const GlassFormulaService = require('../services/glassFormulaService');
 const { validateGlassFormula, testFormulaCalculation, getFormulaExamples } = require('../utils/formulaValidator');
+const { validateCutAngles } = require('../utils/cutAngleUtils');
+const { validatePricingRules } = require('../utils/pricingRules');
 const mongoose = require('mongoose');
 const svgGenerationService = require('../services/svgGenerationService');
 
@@ -49,6 +51,19 @@ async function processAndValidateMaterials(materialsData, companyId) {
             continue;
         }
 
+        if (pMat.cutAngles !== undefined && pMat.cutAngles !== null) {
+            const formulaCount = Array.isArray(pMat.formulas) ? pMat.formulas.length : 0;
+            if (!Array.isArray(pMat.cutAngles) || pMat.cutAngles.length > formulaCount) {
+                errors.push(`Cut angles for material ${inventoryMaterial.name} must be a list with at most one entry per formula.`);
+                continue;
+            }
+            const angleError = pMat.cutAngles.map(validateCutAngles).find(Boolean);
+            if (angleError) {
+                errors.push(`Material ${inventoryMaterial.name}: ${angleError}`);
+                continue;
+            }
+        }
+
         processedMaterials.push({
             ...pMat,
             materialNameSnapshot: inventoryMaterial.name,       // Store snapshot of name
@@ -58,13 +73,121 @@ async function processAndValidateMaterials(materialsData, companyId) {
     return { processedMaterials, errors };
 }
 
+// Helper function to validate product options for create/update. Material changes are checked like the
+// product's own materials; 'replace' changes inherit whatever they leave out from the link they replace.
+async function processAndValidateOptions(optionsData, productMaterials, companyId) {
+    const processedOptions = [];
+    const errors = [];
+    if (!Array.isArray(optionsData)) {
+        return { processedOptions, errors: ['Options must be an array.'] };
+    }
+
+    for (const option of optionsData) {
+        const optionName = option && typeof option.name === 'string' ? option.name.trim() : '';
+        if (!optionName) {
+            errors.push('Every option needs a name.');
+            continue;
+        }
+        if (!Array.isArray(option.choices) || option.choices.length === 0) {
+            errors.push(`Option "${optionName}" needs at least one choice.`);
+            continue;
+        }
+        if (option.choices.filter(choice => choice.isDefault).length > 1) {
+            errors.push(`Option "${optionName}" can have only one default choice.`);
+        }
+
+        const processedChoices = [];
+        const labels = new Set();
+        for (const choice of option.choices) {
+            const label = typeof choice.label === 'string' ? choice.label.trim() : '';
+            if (!label || labels.has(label.toLowerCase())) {
+                errors.push(`Choices of option "${optionName}" need distinct labels.`);
+                continue;
+            }
+            labels.add(label.toLowerCase());
+            const where = `${optionName}: ${label}`;
+
+            const pricePerAreaAdjustment = Number(choice.pricePerAreaAdjustment || 0);
+            const priceAdjustmentPerItem = Number(choice.priceAdjustmentPerItem || 0);
+            if (!Number.isFinite(pricePerAreaAdjustment) || !Number.isFinite(priceAdjustmentPerItem)) {
+                errors.push(`Price adjustments of ${where} must be numbers.`);
+                continue;
+            }
+
+            const materialChanges = [];
+            for (const change of choice.materialChanges || []) {
+                if (!['add', 'replace', 'remove'].includes(change.action)) {
+                    errors.push(`${where}: material change action must be add, replace or remove.`);
+                    continue;
+                }
+                let target = null;
+                if (change.action !== 'add') {
+                    target = productMaterials.find(material => String(material.materialId) === String(change.targetMaterialId));
+                    if (!target) {
+                        errors.push(`${where}: the material to ${change.action} is not one of the product's materials.`);
+                        continue;
+                    }
+                }
+                if (change.action === 'remove') {
+                    materialChanges.push({ action: 'remove', targetMaterialId: target.materialId });
+                    continue;
+                }
+
+                const { action, targetMaterialId, ...link } = change;
+                const baseLink = target ? (typeof target.toObject === 'function' ? target.toObject() : target) : {};
+                const candidate = { ...baseLink };
+                delete candidate._id;
+                Object.entries(link).forEach(([key, value]) => {
+                    if (value !== undefined && value !== null && value !== '') candidate[key] = value;
+                });
+                if (!Array.isArray(candidate.formulas) || candidate.formulas.length === 0) {
+                    errors.push(`${where}: the material change needs at least one formula.`);
+                    continue;
+                }
+                const formulaError = candidate.formulas.map(validateFormulaString).find(result => !result.valid);
+                if (formulaError) {
+                    errors.push(`${where}: ${formulaError.error}`);
+                    continue;
+                }
+                const { processedMaterials, errors: linkErrors } = await processAndValidateMaterials([candidate], companyId);
+                if (linkErrors.length > 0) {
+                    errors.push(...linkErrors.map(error => `${where}: ${error}`));
+                    continue;
+                }
+                materialChanges.push({ action, ...(target && { targetMaterialId: target.materialId }), ...processedMaterials[0] });
+            }
+
+            processedChoices.push({
+                ...(choice._id && mongoose.Types.ObjectId.isValid(choice._id) && { _id: choice._id }),
+                label,
+                isDefault: !!choice.isDefault,
+                materialChanges,
+                pricePerAreaAdjustment,
+                priceAdjustmentPerItem
+            });
+        }
+
+        processedOptions.push({
+            ...(option._id && mongoose.Types.ObjectId.isValid(option._id) && { _id: option._id }),
+            name: optionName,
+            description: option.description || '',
+            choices: processedChoices
+        });
+    }
+    return { processedOptions, errors };
+}
+
 exports.createProduct = async (req, res) => {
-    const { name, description, imageUrl, isActive, materials, labourCost, glassAreaFormula } = req.body;
+    const { name, description, imageUrl, isActive, materials, labourCost, glassAreaFormula, pricing, options } = req.body;
     const companyId = req.user.companyId; // Assuming auth middleware sets req.user
 
     if (!name || !materials || !Array.isArray(materials) || materials.length === 0) {
         return res.status(400).json({ message: 'Name and at least one material are required.' });
     }
+    const pricingError = pricing ? validatePricingRules(pricing, true) : null;
+    if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+    }
 
     try {
         // Check for existing product with the same name for this company
@@ -82,6 +205,14 @@ exports.createProduct = async (req, res) => {
             });
         }
 
+        const { processedOptions, errors: optionErrors } = await processAndValidateOptions(options || [], processedMaterials, companyId);
+        if (optionErrors.length > 0) {
+            return res.status(400).json({ 
+                message: 'Error processing options. Please check details.', 
+                errors: optionErrors 
+            });
+        }
+
         const newProductType = new ProductType({
             companyId,
             name,
@@ -89,8 +220,10 @@ exports.createProduct = async (req, res) => {
             imageUrl,
             isActive,
             materials: processedMaterials,
+            options: processedOptions,
             labourCost,
-            glassAreaFormula
+            glassAreaFormula,
+            pricing
         });
 
         const savedProductType = await newProductType.save();
@@ -266,7 +399,7 @@ exports.updateProduct = async (req, res) => {
     }
 
     // Fields that can be updated
-    const allowedUpdates = ['name', 'description', 'imageUrl', 'isActive', 'materials', 'labourCost', 'glassAreaFormula'];
+    const allowedUpdates = ['name', 'description', 'imageUrl', 'isActive', 'materials', 'options', 'labourCost', 'glassAreaFormula', 'pricing'];
     const updates = Object.keys(updateData);
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
@@ -277,6 +410,10 @@ exports.updateProduct = async (req, res) => {
             message: `Invalid updates! Some fields cannot be modified: ${problematicFields.join(', ')}.` 
         });
     }
+    const pricingError = updateData.pricing ? validatePricingRules(updateData.pricing, true) : null;
+    if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+    }
 
     try {
         let productToUpdate = await ProductType.findOne({ _id: productId, companyId });
@@ -314,9 +451,22 @@ exports.updateProduct = async (req, res) => {
             delete updateData.materials; 
         }
 
+        // Options are checked against the product's materials as updated above
+        if (updateData.options) {
+            const { processedOptions, errors: optionErrors } = await processAndValidateOptions(updateData.options, productToUpdate.materials, companyId);
+            if (optionErrors.length > 0) {
+                return res.status(400).json({ 
+                    message: 'Error processing options for update. Please check details.', 
+                    errors: optionErrors 
+                });
+            }
+            productToUpdate.options = processedOptions;
+            delete updateData.options;
+        }
+
         // Apply other allowed updates
         updates.forEach(updateKey => {
-            if (updateData[updateKey] !== undefined && updateKey !== 'materials') { // materials already handled
+            if (updateData[updateKey] !== undefined && !['materials', 'options'].includes(updateKey)) { // materials and options already handled
                 productToUpdate[updateKey] = updateData[updateKey];
             }
         });
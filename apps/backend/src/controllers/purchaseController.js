@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const catchAsync = require('../utils/catchAsync');
+const { AppError } = require('../utils/appError');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockTransaction = require('../models/StockTransaction');
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const PurchasePlanningService = require('../services/purchasePlanningService');
+
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'contactNumber', 'email', 'address', 'gstin', 'paymentTerms', 'leadTimeDays', 'notes'];
+
+const pickSupplierFields = (body) => {
+    const fields = {};
+    SUPPLIER_FIELDS.forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    return fields;
+};
+
+/**
+ * @function getSuppliers
+ * @description Lists active suppliers. Query: search, includeInactive.
+ */
+exports.getSuppliers = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { search, includeInactive } = req.query;
+
+    const query = { companyId };
+    if (includeInactive !== 'true') query.isActive = true;
+    if (search) {
+        query.$or = [
+            { name: { $regex: search, $options: 'i' } },
+            { contactPerson: { $regex: search, $options: 'i' } },
+            { email: { $regex: search, $options: 'i' } }
+        ];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+        status: 'success',
+        data: { suppliers }
+    });
+});
+
+/**
+ * @function getSupplierById
+ * @description Returns a supplier with its recent purchase orders.
+ */
+exports.getSupplierById = catchAsync(async (req, res, next) => {
+    const { supplierId } = req.params;
+    const { companyId } = req.user;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, companyId });
+    if (!supplier) {
+        return next(new AppError('Supplier not found.', 404));
+    }
+
+    const purchaseOrders = await PurchaseOrder.find({ companyId, supplierId })
+        .select('poNumber status orderDate expectedDate totalAmount createdAt')
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+    res.status(200).json({
+        status: 'success',
+        data: { supplier, purchaseOrders }
+    });
+});
+
+/**
+ * @function createSupplier
+ * @description Adds a supplier.
+ */
+exports.createSupplier = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    if (!req.body.name || !req.body.name.trim()) {
+        return next(new AppError('Supplier name is required.', 400));
+    }
+
+    try {
+        const supplier = await Supplier.create({ ...pickSupplierFields(req.body), companyId, createdBy: userId });
+        res.status(201).json({
+            status: 'success',
+            data: { supplier }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError(`A supplier named '${req.body.name}' already exists.`, 400));
+        }
+        throw error;
+    }
+});
+
+/**
+ * @function updateSupplier
+ * @description Updates a supplier's details.
+ */
+exports.updateSupplier = catchAsync(async (req, res, next) => {
+    const { supplierId } = req.params;
+    const { companyId } = req.user;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, companyId });
+    if (!supplier) {
+        return next(new AppError('Supplier not found.', 404));
+    }
+
+    Object.assign(supplier, pickSupplierFields(req.body));
+    if (req.body.isActive !== undefined) supplier.isActive = Boolean(req.body.isActive);
+
+    try {
+        await supplier.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError(`A supplier named '${req.body.name}' already exists.`, 400));
+        }
+        throw error;
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: { supplier }
+    });
+});
+
+/**
+ * @function deleteSupplier
+ * @description Deactivates a supplier. Suppliers are kept because purchase orders and batches refer to them.
+ */
+exports.deleteSupplier = catchAsync(async (req, res, next) => {
+    const { supplierId } = req.params;
+    const { companyId } = req.user;
+
+    const supplier = await Supplier.findOneAndUpdate({ _id: supplierId, companyId }, { isActive: false }, { new: true });
+    if (!supplier) {
+        return next(new AppError('Supplier not found.', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        message: `Supplier ${supplier.name} deactivated.`
+    });
+});
+
+/**
+ * @function getPurchaseOrders
+ * @description Lists purchase orders. Query: status, supplierId, search (PO number), page, limit.
+ */
+exports.getPurchaseOrders = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { status, supplierId, search, page = 1, limit = 20 } = req.query;
+
+    const query = { companyId };
+    if (status) query.status = status;
+    if (supplierId) query.supplierId = supplierId;
+    if (search) query.poNumber = { $regex: search, $options: 'i' };
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 20;
+
+    const [purchaseOrders, total] = await Promise.all([
+        PurchaseOrder.find(query)
+            .select('-receipts')
+            .sort({ createdAt: -1 })
+            .skip((parsedPage - 1) * parsedLimit)
+            .limit(parsedLimit),
+        PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            purchaseOrders,
+            pagination: {
+                total,
+                page: parsedPage,
+                limit: parsedLimit,
+                totalPages: Math.ceil(total / parsedLimit)
+            }
+        }
+    });
+});
+
+/**
+ * @function getPurchaseOrderById
+ * @description Returns a purchase order with its receipts and the stock transactions they created.
+ */
+exports.getPurchaseOrderById = catchAsync(async (req, res, next) => {
+    const { poId } = req.params;
+    const { companyId } = req.user;
+
+    const purchaseOrder = await PurchaseOrderService.findPurchaseOrder(companyId, poId);
+    await purchaseOrder.populate('receipts.receivedBy', 'firstName lastName');
+
+    const stockTransactions = await StockTransaction.find({
+        companyId,
+        relatedDocumentType: 'PurchaseOrder',
+        relatedDocumentId: new mongoose.Types.ObjectId(poId)
+    }).sort({ transactionDate: 1 });
+
+    res.status(200).json({
+        status: 'success',
+        data: { purchaseOrder, stockTransactions }
+    });
+});
+
+/**
+ * @function createPurchaseOrder
+ * @description Raises a draft purchase order. Body: supplierId, expectedDate, notes, lines.
+ */
+exports.createPurchaseOrder = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    if (!req.body.supplierId) {
+        return next(new AppError('Supplier is required.', 400));
+    }
+
+    const purchaseOrder = await PurchaseOrderService.createPurchaseOrder(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Purchase order ${purchaseOrder.poNumber} created.`,
+        data: { purchaseOrder }
+    });
+});
+
+/**
+ * @function updatePurchaseOrder
+ * @description Edits a draft purchase order.
+ */
+exports.updatePurchaseOrder = catchAsync(async (req, res, next) => {
+    const { poId } = req.params;
+    const { companyId } = req.user;
+
+    const purchaseOrder = await PurchaseOrderService.updatePurchaseOrder(companyId, poId, req.body);
+
+    res.status(200).json({
+        status: 'success',
+        data: { purchaseOrder }
+    });
+});
+
+/**
+ * @function placePurchaseOrder
+ * @description Marks a draft purchase order as ordered from the supplier.
+ */
+exports.placePurchaseOrder = catchAsync(async (req, res, next) => {
+    const { poId } = req.params;
+    const { companyId } = req.user;
+
+    const purchaseOrder = await PurchaseOrderService.placePurchaseOrder(companyId, poId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Purchase order ${purchaseOrder.poNumber} placed.`,
+        data: { purchaseOrder }
+    });
+});
+
+/**
+ * @function receivePurchaseOrder
+ * @description Receives goods against a purchase order, fully or in part. Each received line becomes a stock batch.
+ * Body: invoiceNumber, notes, lines: [{ lineId, quantity, totalCost, actualWeight, actualWeightUnit, lotNumber }].
+ */
+exports.receivePurchaseOrder = catchAsync(async (req, res, next) => {
+    const { poId } = req.params;
+    const { companyId, _id: userId } = req.user;
+
+    const { purchaseOrder, receipt } = await PurchaseOrderService.receivePurchaseOrder(companyId, userId, poId, req.body);
+
+    res.status(200).json({
+        status: 'success',
+        message: `${receipt.lines.length} line(s) received into stock. ${purchaseOrder.poNumber} is ${purchaseOrder.status}.`,
+        data: { purchaseOrder, receipt }
+    });
+});
+
+/**
+ * @function cancelPurchaseOrder
+ * @description Cancels a purchase order, or closes it if goods have already been received.
+ */
+exports.cancelPurchaseOrder = catchAsync(async (req, res, next) => {
+    const { poId } = req.params;
+    const { companyId } = req.user;
+
+    const purchaseOrder = await PurchaseOrderService.cancelPurchaseOrder(companyId, poId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Purchase order ${purchaseOrder.poNumber} ${purchaseOrder.status.toLowerCase()}.`,
+        data: { purchaseOrder }
+    });
+});
+
+/**
+ * @function getPurchaseSuggestions
+ * @description Suggested buy list per supplier from open-order shortfalls, stock on hand and on order, and reorder levels.
+ */
+exports.getPurchaseSuggestions = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const suggestions = await PurchasePlanningService.getPurchaseSuggestions(companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: suggestions
+    });
+});
+
+/**
+ * @function createPurchaseOrderFromSuggestions
+ * @description Raises a draft purchase order from one supplier's suggested lines.
+ * Body: supplierId, fromGroup (suggestion group, defaults to supplierId; 'unassigned' for lines with no supplier), materialIds, expectedDate, notes.
+ */
+exports.createPurchaseOrderFromSuggestions = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    const { purchaseOrder, skipped } = await PurchasePlanningService.createDraftPurchaseOrder(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Draft purchase order ${purchaseOrder.poNumber} created with ${purchaseOrder.lines.length} line(s)${skipped.length > 0 ? `; ${skipped.length} line(s) left out` : ''}.`,
+        data: { purchaseOrder, skipped }
+    });
+});
@@ -7,6 +7,7 @@ const QuotationService = require('../services/quotationService');
 const { generateQuotationPDF: generatePdfUtil } = require('../utils/pdfGenerator');
 const { generateProductSVG } = require('../utils/svgGenerator');
 const sendEmail = require('../utils/emailUtils');
+const { resolveItemOptions } = require('../utils/productOptions');
 
 /**
  * Helper function to validate PDF buffer
@@ -21,6 +22,49 @@ const isValidPDFBuffer = (pdfBuffer) => {
            pdfBuffer[3] === 0x46;   // F
 };
 
+/**
+ * Resolves the product options chosen for a quotation item. Options the item already had with the same choice
+ * keep their snapshot, so editing a quotation does not re-price options whose price changed since.
+ * Returns null after responding with 400 when a chosen option or choice is not on the product type.
+ */
+const resolveQuotationItemOptions = (productType, selectedOptions, existingItem, res) => {
+    const { selections, unknown } = resolveItemOptions(productType, selectedOptions);
+    if (unknown.length > 0) {
+        res.status(400).json({
+            status: 'fail',
+            message: `Unknown options for ${productType.name}: ${unknown.join('; ')}`
+        });
+        return null;
+    }
+    const existingSelections = existingItem ? existingItem.toObject().selectedOptions || [] : [];
+    return selections.map(selection => existingSelections.find(existing =>
+        String(existing.optionId) === String(selection.optionId) && String(existing.choiceId) === String(selection.choiceId)
+    ) || selection);
+};
+
+const choiceKey = (selections) => (selections || []).map(selection => `${selection.optionId}:${selection.choiceId}`).sort().join(',');
+
+/**
+ * Checks the margins of a quotation that is about to be sent. Responds with 400 and returns null when the
+ * pricing settings block sending below the minimum margin; otherwise returns the check, whose warnings
+ * are passed back to the caller.
+ */
+const checkMarginsBeforeSending = async (quotation, res) => {
+    const marginCheck = await QuotationService.checkMargins(quotation);
+    if (marginCheck.blocked) {
+        res.status(400).json({
+            status: 'fail',
+            message: `Quotation cannot be sent below the minimum margin. ${marginCheck.warnings.join(' ')}`,
+            data: { marginCheck }
+        });
+        return null;
+    }
+    return marginCheck;
+};
+
+const marginHistoryNote = (marginCheck) =>
+    (marginCheck.warnings.length > 0 ? ` Sent below minimum margin: ${marginCheck.warnings.join(' ')}` : '');
+
 /**
  * Create a new draft quotation
  * POST /api/quotations
@@ -90,6 +134,9 @@ exports.createQuotation = async (req, res) => {
                 });
             }
 
+            const selectedOptions = resolveQuotationItemOptions(productType, item.selectedOptions, null, res);
+            if (!selectedOptions) return;
+
             // Prepare item data - calculations will be done by pre-save hook
             const processedItem = {
                 productTypeId: item.productTypeId,
@@ -98,6 +145,7 @@ exports.createQuotation = async (req, res) => {
                 height: mongoose.Types.Decimal128.fromString(item.height.toString()),
                 quantity: item.quantity || 1,
                 itemLabel: item.itemLabel || '',
+                selectedOptions,
                 pricePerAreaUnit: mongoose.Types.Decimal128.fromString(item.pricePerAreaUnit.toString()),
                 // rawAreaPerItem, convertedAreaPerItem, roundedAreaPerItem, chargeableAreaPerItem, 
                 // totalChargeableArea, itemSubtotal will be populated by pre-save hook
@@ -309,10 +357,15 @@ exports.getQuotationById = async (req, res) => {
             });
         }
 
+        // Margin checks against the pricing rules are for managers
+        const canSeeMargins = ['Admin', 'Manager'].includes(req.user.role);
+        const marginCheck = canSeeMargins ? await QuotationService.checkMargins(quotation) : undefined;
+
         res.status(200).json({
             status: 'success',
             data: {
-                quotation
+                quotation,
+                marginCheck
             }
         });
 
@@ -369,12 +422,16 @@ exports.updateQuotation = async (req, res) => {
             for (const itemData of items) {
                 // Verify product type if provided
                 let productTypeNameSnapshot = itemData.productTypeNameSnapshot; // Keep existing if not re-fetched
+                const existingItem = itemData._id && mongoose.Types.ObjectId.isValid(itemData._id) ? quotation.items.id(itemData._id) : null;
+                let selectedOptions = existingItem ? existingItem.toObject().selectedOptions : [];
                 if (itemData.productTypeId) {
                     const productType = await ProductType.findOne({ _id: itemData.productTypeId, companyId: req.user.companyId });
                     if (!productType) {
                         return res.status(404).json({ status: 'fail', message: `Product type ${itemData.productTypeId} not found` });
                     }
                     productTypeNameSnapshot = productType.name; // Update snapshot if productType is changed
+                    selectedOptions = resolveQuotationItemOptions(productType, itemData.selectedOptions, existingItem, res);
+                    if (!selectedOptions) return;
                 }
 
                 const processedItem = {
@@ -391,8 +448,20 @@ exports.updateQuotation = async (req, res) => {
                     selectedGlassTypeId: itemData.selectedGlassTypeId,
                     selectedGlassTypeNameSnapshot: itemData.selectedGlassTypeNameSnapshot,
                     frameColour: itemData.frameColour || "",
+                    selectedOptions,
                     // Calculations will be handled by the pre-save hook
                 };
+
+                // The estimated cost still holds while the product, size, glass and options are unchanged
+                const existingCostBasis = existingItem ? existingItem.toObject().costBasis : null;
+                if (existingCostBasis && existingCostBasis.costPerItem &&
+                    String(existingItem.productTypeId) === String(processedItem.productTypeId) &&
+                    parseFloat(existingItem.width.toString()) === parseFloat(processedItem.width.toString()) &&
+                    parseFloat(existingItem.height.toString()) === parseFloat(processedItem.height.toString()) &&
+                    String(existingItem.selectedGlassTypeId || '') === String(processedItem.selectedGlassTypeId || '') &&
+                    choiceKey(existingItem.selectedOptions) === choiceKey(processedItem.selectedOptions)) {
+                    processedItem.costBasis = existingCostBasis;
+                }
                 
                 console.log('[QuotationController UPDATE] Processing item:', JSON.stringify(processedItem, null, 2));
 
@@ -570,6 +639,9 @@ exports.sendQuotation = async (req, res) => {
             });
         }
 
+        const marginCheck = await checkMarginsBeforeSending(quotation, res);
+        if (!marginCheck) return;
+
         // Fetch company details for PDF and email
         const company = await Company.findById(companyId).select('name address phone email logoUrl');
         if (!company) {
@@ -651,7 +723,7 @@ exports.sendQuotation = async (req, res) => {
         quotation.history.push({
             status: 'Sent',
             updatedBy: req.user._id,
-            notes: `Quotation marked as Sent and PDF emailed to client (${quotation.clientId.email}).`,
+            notes: `Quotation marked as Sent and PDF emailed to client (${quotation.clientId.email}).${marginHistoryNote(marginCheck)}`,
             timestamp: new Date()
         });
 
@@ -661,7 +733,8 @@ exports.sendQuotation = async (req, res) => {
             status: 'success',
             message: 'Quotation sent and emailed successfully.',
             data: {
-                quotation
+                quotation,
+                marginWarnings: marginCheck.warnings
             }
         });
 
@@ -715,6 +788,12 @@ exports.updateQuotationStatus = async (req, res) => {
             return res.status(400).json({ status: 'fail', message: `Cannot change status of a Converted quotation to ${status}.` });
         }
 
+        let marginCheck = null;
+        if (status === 'Sent' && oldStatus === 'Draft') {
+            marginCheck = await checkMarginsBeforeSending(quotation, res);
+            if (!marginCheck) return;
+        }
+
 
         // Update status and add history entry
         quotation.status = status;
@@ -725,7 +804,7 @@ exports.updateQuotationStatus = async (req, res) => {
         quotation.history.push({
             status: status,
             updatedBy: req.user._id, // User who performed the action
-            notes: historyNote || `Status updated to ${status}`,
+            notes: (historyNote || `Status updated to ${status}`) + (marginCheck ? marginHistoryNote(marginCheck) : ''),
             timestamp: new Date()
         });
         
@@ -744,7 +823,7 @@ exports.updateQuotationStatus = async (req, res) => {
 
         res.status(200).json({
             status: 'success',
-            data: { quotation }
+            data: { quotation, marginWarnings: marginCheck ? marginCheck.warnings : [] }
         });
 
     } catch (error) {
@@ -957,6 +1036,13 @@ exports.sendQuotationByEmail = async (req, res) => {
             return res.status(400).json({ status: 'fail', message: 'Client email address not found for this quotation.' });
         }
 
+        // Emailing a draft sends it, so it goes through the same margin check
+        let marginCheck = null;
+        if (quotation.status === 'Draft') {
+            marginCheck = await checkMarginsBeforeSending(quotation, res);
+            if (!marginCheck) return;
+        }
+
         // Ensure clientSnapshot exists for PDF generation
         if (!quotation.clientSnapshot || !quotation.clientSnapshot.clientName) {
             console.log(`[sendQuotationByEmail] Creating missing clientSnapshot for quotation ${quotation.quotationIdDisplay}`);
@@ -1044,7 +1130,7 @@ exports.sendQuotationByEmail = async (req, res) => {
                 quotation.history.push({
                     status: 'Sent',
                     updatedBy: req.user._id,
-                    notes: 'Status automatically changed to Sent after successful email.',
+                    notes: `Status automatically changed to Sent after successful email.${marginHistoryNote(marginCheck)}`,
                     timestamp: new Date()
                 });
             }
@@ -1052,7 +1138,8 @@ exports.sendQuotationByEmail = async (req, res) => {
 
             return res.status(200).json({
                 status: 'success',
-                message: 'Quotation email sent successfully.'
+                message: 'Quotation email sent successfully.',
+                data: { marginWarnings: marginCheck ? marginCheck.warnings : [] }
             });
 
         } else {
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const reportService = require('../services/reportService');
 const catchAsync = require('../utils/catchAsync');
 const { AppError } = require('../utils/appError');
@@ -74,6 +75,23 @@ const getInventoryReport = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * Get period-end stock valuation (opening, inward, outward, closing) from the stock ledger
+ * @route GET /api/reports/stock-valuation
+ * @access Private (Admin, Manager)
+ */
+const getStockValuationReport = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const filters = req.query;
+
+    const reportData = await reportService.getStockValuationReport(companyId, filters);
+
+    res.status(200).json({
+        success: true,
+        data: reportData
+    });
+});
+
 /**
  * Get manufacturing analytics report
  * @route GET /api/reports/manufacturing
@@ -91,6 +109,30 @@ const getManufacturingReport = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * Get scrap and wastage analytics with cost attribution and estimated vs actual offcut
+ * @route GET /api/reports/wastage
+ * @access Private (Admin, Manager)
+ */
+const getWastageReport = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const filters = req.query;
+
+    if (filters.groupBy && !reportService.WASTAGE_GROUPS.includes(filters.groupBy)) {
+        return next(new AppError(`groupBy must be one of: ${reportService.WASTAGE_GROUPS.join(', ')}`, 400));
+    }
+    if (filters.materialId && !mongoose.Types.ObjectId.isValid(filters.materialId)) {
+        return next(new AppError('Invalid material ID', 400));
+    }
+
+    const reportData = await reportService.getWastageReport(companyId, filters);
+
+    res.status(200).json({
+        success: true,
+        data: reportData
+    });
+});
+
 /**
  * Get overview dashboard data (combines key metrics from all reports)
  * @route GET /api/reports/dashboard
@@ -161,6 +203,8 @@ module.exports = {
     getQuotationReport,
     getSalesOrderReport,
     getInventoryReport,
+    getStockValuationReport,
     getManufacturingReport,
+    getWastageReport,
     getDashboardOverview
 }; 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const catchAsync = require('../utils/catchAsync');
+const ScrapDisposal = require('../models/ScrapDisposal');
+const StockTransaction = require('../models/StockTransaction');
+const ScrapDisposalService = require('../services/scrapDisposalService');
+
+/**
+ * @function getScrapDisposals
+ * @description Lists scrap disposals, newest first. Query: materialId, startDate, endDate, page, limit.
+ */
+exports.getScrapDisposals = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { materialId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = { companyId };
+    if (materialId) query['lines.materialId'] = materialId;
+    if (startDate || endDate) {
+        query.disposalDate = {};
+        if (startDate) query.disposalDate.$gte = new Date(startDate);
+        if (endDate) query.disposalDate.$lte = new Date(endDate);
+    }
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 20;
+
+    const [disposals, total] = await Promise.all([
+        ScrapDisposal.find(query)
+            .populate('createdBy', 'firstName lastName')
+            .sort({ disposalDate: -1 })
+            .skip((parsedPage - 1) * parsedLimit)
+            .limit(parsedLimit),
+        ScrapDisposal.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            disposals,
+            pagination: {
+                total,
+                page: parsedPage,
+                limit: parsedLimit,
+                totalPages: Math.ceil(total / parsedLimit)
+            }
+        }
+    });
+});
+
+/**
+ * @function getScrapBalances
+ * @description Accumulated scrap weight per material that has not been sold yet.
+ */
+exports.getScrapBalances = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const balances = await ScrapDisposalService.getScrapBalances(companyId);
+
+    res.status(200).json({
+        status: 'success',
+        data: balances
+    });
+});
+
+/**
+ * @function getScrapDisposalById
+ * @description Returns a disposal with the 'Scrap' stock transactions it posted.
+ */
+exports.getScrapDisposalById = catchAsync(async (req, res, next) => {
+    const { disposalId } = req.params;
+    const { companyId } = req.user;
+
+    const disposal = await ScrapDisposalService.findDisposal(companyId, disposalId);
+    await disposal.populate('createdBy', 'firstName lastName');
+
+    const stockTransactions = await StockTransaction.find({
+        companyId,
+        relatedDocumentType: 'ScrapDisposal',
+        relatedDocumentId: new mongoose.Types.ObjectId(disposalId)
+    }).sort({ transactionDate: 1 });
+
+    res.status(200).json({
+        status: 'success',
+        data: { disposal, stockTransactions }
+    });
+});
+
+/**
+ * @function createScrapDisposal
+ * @description Records a scrap sale. Body: buyer { name, phone, gstin }, disposalDate, notes,
+ * lines: [{ materialId, weight, ratePerKg, notes }].
+ */
+exports.createScrapDisposal = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    const { disposal, transactions, warnings } = await ScrapDisposalService.createDisposal(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Scrap disposal ${disposal.disposalNumber} posted.`,
+        data: { disposal, stockTransactions: transactions, warnings }
+    });
+});
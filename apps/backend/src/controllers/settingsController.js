@@ -1,5 +1,13 @@
 const Setting = require('../models/Setting');
 const mongoose = require('mongoose');
+const { validateMachineProfile, CUT_LIST_FIELDS } = require('../utils/cutListExporter');
+const { validatePricingRules } = require('../utils/pricingRules');
+
+// Machine profile properties a client may set
+const MACHINE_PROFILE_FIELDS = [
+    'name', 'format', 'lengthUnit', 'decimalPlaces', 'angleDecimalPlaces', 'fields', 'labelTemplate',
+    'includeHeader', 'delimiter', 'lineEnding', 'xmlRootElement', 'xmlBarElement', 'xmlCutElement', 'isDefault'
+];
 
 // @desc    Get company settings
 // @route   GET /api/settings
@@ -35,7 +43,7 @@ const getSettings = async (req, res) => {
 // @route   PUT /api/settings
 // @access  Private
 const updateSettings = async (req, res) => {
-    const { termsAndConditions, paymentTerms, units, gst, notifications } = req.body;
+    const { termsAndConditions, paymentTerms, units, gst, notifications, cutting, inventory, pricing } = req.body;
     const companyId = req.user.companyId;
 
     try {
@@ -64,6 +72,36 @@ const updateSettings = async (req, res) => {
                 return res.status(400).json({ message: 'Invalid area unit. Allowed: sqft, sqm.' });
             }
         }
+        if (cutting) {
+            for (const field of ['kerf', 'endTrim', 'minRemnantLength']) {
+                if (cutting[field] !== undefined && (typeof cutting[field] !== 'number' || cutting[field] < 0)) {
+                    return res.status(400).json({ message: `Cutting ${field} must be a non-negative number.` });
+                }
+            }
+            if (cutting.maxCutsPerBar !== undefined && cutting.maxCutsPerBar !== null &&
+                (!Number.isInteger(cutting.maxCutsPerBar) || cutting.maxCutsPerBar < 1)) {
+                return res.status(400).json({ message: 'Max cuts per bar must be a positive whole number, or empty for no limit.' });
+            }
+            if (cutting.lengthUnit && !['inches', 'mm'].includes(cutting.lengthUnit)) {
+                return res.status(400).json({ message: 'Invalid kerf/trim unit. Allowed: inches, mm.' });
+            }
+            if (cutting.minRemnantUnit && !['inches', 'ft', 'mm', 'm'].includes(cutting.minRemnantUnit)) {
+                return res.status(400).json({ message: 'Invalid minimum remnant unit. Allowed: inches, ft, mm, m.' });
+            }
+        }
+
+        if (inventory) {
+            if (inventory.valuationMethod && !['FIFO', 'WeightedAverage', 'SpecificBatch'].includes(inventory.valuationMethod)) {
+                return res.status(400).json({ message: 'Invalid valuation method. Allowed: FIFO, WeightedAverage, SpecificBatch.' });
+            }
+        }
+
+        if (pricing) {
+            const pricingError = validatePricingRules(pricing);
+            if (pricingError) {
+                return res.status(400).json({ message: pricingError });
+            }
+        }
 
         // Update fields
         if (termsAndConditions) settings.termsAndConditions = { ...settings.termsAndConditions, ...termsAndConditions };
@@ -71,6 +109,9 @@ const updateSettings = async (req, res) => {
         if (units) settings.units = { ...settings.units, ...units };
         if (gst) settings.gst = { ...settings.gst, ...gst };
         if (notifications) settings.notifications = { ...settings.notifications, ...notifications };
+        if (cutting) settings.cutting = { ...settings.cutting, ...cutting };
+        if (inventory) settings.inventory = { ...settings.inventory, ...inventory };
+        if (pricing) settings.pricing = { ...settings.pricing, ...pricing };
 
         console.log('[updateSettings] Saving settings with paymentTerms:', JSON.stringify(settings.paymentTerms, null, 2));
         const updatedSettings = await settings.save();
@@ -239,6 +280,149 @@ const deletePredefinedCharge = async (req, res) => {
     }
 };
 
+// @desc    Get the cut-list machine profiles of the company
+// @route   GET /api/settings/machine-profiles
+// @access  Private
+const getMachineProfiles = async (req, res) => {
+    try {
+        const settings = await Setting.findOne({ companyId: req.user.companyId }).select('machineProfiles');
+        res.status(200).json({
+            profiles: settings ? settings.machineProfiles : [],
+            availableFields: Object.keys(CUT_LIST_FIELDS)
+        });
+    } catch (error) {
+        console.error('Error fetching machine profiles:', error);
+        res.status(500).json({ message: 'Server error while fetching machine profiles.', error: error.message });
+    }
+};
+
+// @desc    Add a cut-list machine profile
+// @route   POST /api/settings/machine-profiles
+// @access  Private
+const addMachineProfile = async (req, res) => {
+    const companyId = req.user.companyId;
+    const validationError = validateMachineProfile(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        let settings = await Setting.findOne({ companyId });
+        if (!settings) {
+            console.warn(`Settings document not found for company ${companyId} when adding machine profile. Creating one.`);
+            settings = new Setting({ companyId });
+        }
+
+        const name = req.body.name.trim();
+        if (settings.machineProfiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+            return res.status(400).json({ message: `A machine profile with the name '${name}' already exists.` });
+        }
+
+        const newProfile = {};
+        MACHINE_PROFILE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) newProfile[field] = req.body[field];
+        });
+        newProfile.name = name;
+        // The first profile becomes the default
+        newProfile.isDefault = !!newProfile.isDefault || settings.machineProfiles.length === 0;
+        if (newProfile.isDefault) {
+            settings.machineProfiles.forEach(profile => { profile.isDefault = false; });
+        }
+
+        settings.machineProfiles.push(newProfile);
+        await settings.save();
+        res.status(201).json(settings.machineProfiles[settings.machineProfiles.length - 1]);
+    } catch (error) {
+        console.error('Error adding machine profile:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Validation Error', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error while adding machine profile.', error: error.message });
+    }
+};
+
+// @desc    Update a cut-list machine profile
+// @route   PUT /api/settings/machine-profiles/:profileId
+// @access  Private
+const updateMachineProfile = async (req, res) => {
+    const { profileId } = req.params;
+    const companyId = req.user.companyId;
+
+    if (!mongoose.Types.ObjectId.isValid(profileId)) {
+        return res.status(400).json({ message: 'Invalid machine profile ID format.' });
+    }
+
+    try {
+        const settings = await Setting.findOne({ companyId });
+        const profileToUpdate = settings && settings.machineProfiles.id(profileId);
+        if (!profileToUpdate) {
+            return res.status(404).json({ message: 'Machine profile not found.' });
+        }
+
+        // Validate the profile as it will be after the update
+        const merged = { ...profileToUpdate.toObject(), ...req.body };
+        const validationError = validateMachineProfile(merged);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const name = merged.name.trim();
+        if (settings.machineProfiles.some(profile => profile.name.toLowerCase() === name.toLowerCase() && profile._id.toString() !== profileId)) {
+            return res.status(400).json({ message: `Another machine profile with the name '${name}' already exists.` });
+        }
+
+        MACHINE_PROFILE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) profileToUpdate[field] = req.body[field];
+        });
+        profileToUpdate.name = name;
+        if (req.body.isDefault) {
+            settings.machineProfiles.forEach(profile => {
+                profile.isDefault = profile._id.toString() === profileId;
+            });
+        }
+
+        await settings.save();
+        res.status(200).json(profileToUpdate);
+    } catch (error) {
+        console.error('Error updating machine profile:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Validation Error', errors: error.errors });
+        }
+        res.status(500).json({ message: 'Server error while updating machine profile.', error: error.message });
+    }
+};
+
+// @desc    Delete a cut-list machine profile
+// @route   DELETE /api/settings/machine-profiles/:profileId
+// @access  Private
+const deleteMachineProfile = async (req, res) => {
+    const { profileId } = req.params;
+    const companyId = req.user.companyId;
+
+    if (!mongoose.Types.ObjectId.isValid(profileId)) {
+        return res.status(400).json({ message: 'Invalid machine profile ID format.' });
+    }
+
+    try {
+        const settings = await Setting.findOne({ companyId });
+        const profileIndex = settings ? settings.machineProfiles.findIndex(profile => profile._id.toString() === profileId) : -1;
+        if (profileIndex === -1) {
+            return res.status(404).json({ message: 'Machine profile not found.' });
+        }
+
+        const [removed] = settings.machineProfiles.splice(profileIndex, 1);
+        if (removed.isDefault && settings.machineProfiles.length > 0) {
+            settings.machineProfiles[0].isDefault = true;
+        }
+
+        await settings.save();
+        res.status(200).json({ message: 'Machine profile deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting machine profile:', error);
+        res.status(500).json({ message: 'Server error while deleting machine profile.', error: error.message });
+    }
+};
+
 // Placeholder for Help & Changelog Controllers
 // @desc    Get help content
 // @route   GET /api/settings/help
@@ -271,6 +455,10 @@ module.exports = {
     addPredefinedCharge,
     updatePredefinedCharge,
     deletePredefinedCharge,
+    getMachineProfiles,
+    addMachineProfile,
+    updateMachineProfile,
+    deleteMachineProfile,
     getHelpContent,
     getChangelogContent
 }; 
\ No newline at end of file
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const catchAsync = require('../utils/catchAsync');
+const StockTake = require('../models/StockTake');
+const StockTransaction = require('../models/StockTransaction');
+const StockTakeService = require('../services/stockTakeService');
+
+/**
+ * @function getStockTakes
+ * @description Lists stock-takes, newest first. Query: status, page, limit.
+ */
+exports.getStockTakes = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { companyId };
+    if (status) query.status = status;
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 20;
+
+    const [stockTakes, total] = await Promise.all([
+        StockTake.find(query)
+            .populate('createdBy', 'firstName lastName')
+            .sort({ createdAt: -1 })
+            .skip((parsedPage - 1) * parsedLimit)
+            .limit(parsedLimit),
+        StockTake.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            stockTakes: stockTakes.map(stockTake => {
+                const { summary } = StockTakeService.summarize(stockTake);
+                const json = stockTake.toJSON();
+                delete json.lines;
+                return { ...json, summary };
+            }),
+            pagination: {
+                total,
+                page: parsedPage,
+                limit: parsedLimit,
+                totalPages: Math.ceil(total / parsedLimit)
+            }
+        }
+    });
+});
+
+/**
+ * @function getStockTakeById
+ * @description Returns a stock-take with per-line variances and, once approved, the corrections it posted.
+ */
+exports.getStockTakeById = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId } = req.user;
+
+    const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+    await stockTake.populate([
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'submittedBy', select: 'firstName lastName' },
+        { path: 'approvedBy', select: 'firstName lastName' },
+        { path: 'lines.countedBy', select: 'firstName lastName' }
+    ]);
+
+    const stockTransactions = stockTake.status === 'Approved'
+        ? await StockTransaction.find({
+            companyId,
+            relatedDocumentType: 'StockTake',
+            relatedDocumentId: new mongoose.Types.ObjectId(stockTakeId)
+        }).sort({ transactionDate: 1 })
+        : [];
+
+    res.status(200).json({
+        status: 'success',
+        data: { stockTake, variances: StockTakeService.summarize(stockTake), stockTransactions }
+    });
+});
+
+/**
+ * @function createStockTake
+ * @description Starts a count, snapshotting expected batch quantities. Body: categories, materialIds, notes.
+ */
+exports.createStockTake = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    const stockTake = await StockTakeService.createStockTake(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Stock take ${stockTake.stockTakeNumber} started with ${stockTake.lines.length} batch(es) to count.`,
+        data: { stockTake }
+    });
+});
+
+/**
+ * @function recordCounts
+ * @description Saves counted quantities. Body: counts: [{ lineId, countedQuantity, notes }].
+ */
+exports.recordCounts = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId, _id: userId } = req.user;
+
+    const stockTake = await StockTakeService.recordCounts(companyId, userId, stockTakeId, req.body.counts);
+
+    res.status(200).json({
+        status: 'success',
+        data: { stockTake, variances: StockTakeService.summarize(stockTake) }
+    });
+});
+
+/**
+ * @function submitStockTake
+ * @description Hands a count over for manager review.
+ */
+exports.submitStockTake = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId, _id: userId } = req.user;
+
+    const stockTake = await StockTakeService.submitStockTake(companyId, userId, stockTakeId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Stock take ${stockTake.stockTakeNumber} submitted for review.`,
+        data: { stockTake }
+    });
+});
+
+/**
+ * @function reopenStockTake
+ * @description Sends a submitted count back for recounting. Body: reviewNotes.
+ */
+exports.reopenStockTake = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId } = req.user;
+
+    const stockTake = await StockTakeService.reopenStockTake(companyId, stockTakeId, req.body.reviewNotes);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Stock take ${stockTake.stockTakeNumber} sent back for recount.`,
+        data: { stockTake }
+    });
+});
+
+/**
+ * @function approveStockTake
+ * @description Approves a submitted count and posts its variances as Correction transactions. Body: reviewNotes.
+ */
+exports.approveStockTake = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId, _id: userId } = req.user;
+
+    const result = await StockTakeService.approveStockTake(companyId, userId, stockTakeId, req.body.reviewNotes);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Stock take ${result.stockTake.stockTakeNumber} approved: ${result.transactions.length} correction(s) posted.`,
+        data: result
+    });
+});
+
+/**
+ * @function cancelStockTake
+ * @description Cancels a count that has not been approved. Stock is not touched.
+ */
+exports.cancelStockTake = catchAsync(async (req, res, next) => {
+    const { stockTakeId } = req.params;
+    const { companyId } = req.user;
+
+    const stockTake = await StockTakeService.cancelStockTake(companyId, stockTakeId);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Stock take ${stockTake.stockTakeNumber} cancelled.`,
+        data: { stockTake }
+    });
+});
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const catchAsync = require('../utils/catchAsync');
+const { AppError } = require('../utils/appError');
+const StockTransfer = require('../models/StockTransfer');
+const StockTransaction = require('../models/StockTransaction');
+const StockTransferService = require('../services/stockTransferService');
+
+/**
+ * @function getStockTransfers
+ * @description Lists stock transfers, newest first. Query: locationId (either end), materialId, page, limit.
+ */
+exports.getStockTransfers = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { locationId, materialId, page = 1, limit = 20 } = req.query;
+
+    const query = { companyId };
+    if (locationId) query.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+    if (materialId) query['lines.materialId'] = materialId;
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 20;
+
+    const [transfers, total] = await Promise.all([
+        StockTransfer.find(query)
+            .populate('fromLocationId', 'name code')
+            .populate('toLocationId', 'name code')
+            .populate('createdBy', 'firstName lastName')
+            .sort({ transferDate: -1 })
+            .skip((parsedPage - 1) * parsedLimit)
+            .limit(parsedLimit),
+        StockTransfer.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            transfers,
+            pagination: {
+                total,
+                page: parsedPage,
+                limit: parsedLimit,
+                totalPages: Math.ceil(total / parsedLimit)
+            }
+        }
+    });
+});
+
+/**
+ * @function getStockTransferById
+ * @description Returns a transfer with the paired stock transactions it posted.
+ */
+exports.getStockTransferById = catchAsync(async (req, res, next) => {
+    const { transferId } = req.params;
+    const { companyId } = req.user;
+
+    const transfer = await StockTransferService.findTransfer(companyId, transferId);
+    await transfer.populate([
+        { path: 'fromLocationId', select: 'name code' },
+        { path: 'toLocationId', select: 'name code' },
+        { path: 'createdBy', select: 'firstName lastName' }
+    ]);
+
+    const stockTransactions = await StockTransaction.find({
+        companyId,
+        relatedDocumentType: 'StockTransfer',
+        relatedDocumentId: new mongoose.Types.ObjectId(transferId)
+    }).sort({ transactionDate: 1 });
+
+    res.status(200).json({
+        status: 'success',
+        data: { transfer, stockTransactions }
+    });
+});
+
+/**
+ * @function createStockTransfer
+ * @description Moves batch stock between locations. Body: fromLocationId, toLocationId, notes,
+ * lines: [{ materialId, batchId, quantity, notes }].
+ */
+exports.createStockTransfer = catchAsync(async (req, res, next) => {
+    const { companyId, _id: userId } = req.user;
+
+    if (!req.body.fromLocationId || !req.body.toLocationId) {
+        return next(new AppError('From and to locations are required.', 400));
+    }
+
+    const { transfer, transactions } = await StockTransferService.createTransfer(companyId, userId, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Stock transfer ${transfer.transferNumber} posted.`,
+        data: { transfer, stockTransactions: transactions }
+    });
+});
@@ -0,0 +1,33 @@
+const catchAsync = require('../utils/catchAsync');
+const TraceabilityService = require('../services/traceabilityService');
+
+/**
+ * @function traceLot
+ * @description Where a supplier lot (or one batch) went: orders, their invoices and other issues. Query: lotNumber or batchId.
+ */
+exports.traceLot = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+    const { lotNumber, batchId } = req.query;
+
+    const trace = await TraceabilityService.traceLot(companyId, { lotNumber, batchId });
+
+    res.status(200).json({
+        status: 'success',
+        data: trace
+    });
+});
+
+/**
+ * @function traceOrder
+ * @description Which batches and lots went into an order.
+ */
+exports.traceOrder = catchAsync(async (req, res, next) => {
+    const { companyId } = req.user;
+
+    const trace = await TraceabilityService.traceOrder(companyId, req.params.orderId);
+
+    res.status(200).json({
+        status: 'success',
+        data: trace
+    });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for Counter.
+ * Sequences handed out atomically, e.g. the next cutting plan version of an order or the running number
+ * of a year's purchase orders. A number once taken is never handed out again, even if its document is deleted.
+ */
+const counterSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    key: { type: String, required: true }, // e.g. 'PO-2024-' or 'CuttingPlan:<orderId>'
+    seq: { type: Number, default: 0 }
+}, { timestamps: true });
+
+counterSchema.index({ companyId: 1, key: 1 }, { unique: true });
+
+/**
+ * Takes the next number of a sequence.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} key - The sequence.
+ * @param {function(): Promise<number>} [currentMax] - Highest number already in use, so a sequence started for
+ *   documents numbered before counters existed carries on after them.
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(companyId, key, currentMax = async () => 0) {
+    const bump = () => this.findOneAndUpdate({ companyId, key }, { $inc: { seq: 1 } }, { new: true });
+
+    const counter = await bump();
+    if (counter) return counter.seq;
+    try {
+        const created = await this.create({ companyId, key, seq: (await currentMax()) + 1 });
+        return created.seq;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another request started the sequence at the same time
+        return (await bump()).seq;
+    }
+};
+
+/**
+ * Takes the next document number under a prefix, e.g. PO-2024-013 after PO-2024-012.
+ * @param {string} companyId - The ID of the company.
+ * @param {string} prefix - Number prefix, e.g. 'PO-2024-'.
+ * @param {mongoose.Model} Model - Model of the numbered documents.
+ * @param {string} field - Field holding the number, e.g. 'poNumber'.
+ * @returns {Promise<string>}
+ */
+counterSchema.statics.nextNumber = async function(companyId, prefix, Model, field) {
+    const currentMax = async () => {
+        const docs = await Model.find({ companyId, [field]: { $regex: `^${prefix}` } }).select(field).lean();
+        return docs.reduce((max, doc) => Math.max(max, parseInt(doc[field].slice(prefix.length), 10) || 0), 0);
+    };
+    const seq = await this.next(companyId, prefix, currentMax);
+    return `${prefix}${seq.toString().padStart(3, '0')}`;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { materialPlanSchema, optimizationSchema } = require('./CuttingPlan');
+
+/**
+ * What one order was charged when a batch was committed, per material.
+ * A shared pipe is split between orders in proportion to the length of their cuts on it.
+ */
+const orderAllocationSchema = new mongoose.Schema({
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2' },
+    materialNameSnapshot: String,
+    pipeShare: mongoose.Types.Decimal128, // Pipes (fractional) charged to the order
+    cutLength: mongoose.Types.Decimal128, // In the material's usage unit
+    lengthUnit: String,
+    value: mongoose.Types.Decimal128 // Stock value charged to the order
+}, { _id: false });
+
+/**
+ * Schema for Cutting Batch.
+ * A cutting plan for several orders optimized together, so cuts of different orders for
+ * the same material and gauge can share a pipe. Each cut keeps the order it belongs to.
+ */
+const cuttingBatchSchema = new mongoose.Schema({
+    companyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true,
+        index: true
+    },
+    batchNumber: {
+        type: String,
+        required: true
+    },
+    orders: [{
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+        orderIdDisplay: String,
+        clientNameSnapshot: String
+    }],
+    status: {
+        type: String,
+        enum: ['Generated', 'Committed', 'Cancelled'],
+        default: 'Generated'
+    },
+    requestedOptions: {
+        strategy: { type: String, default: 'greedy' },
+        timeLimitMs: Number,
+        locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Stock location the plan was limited to / preferred
+        locationMode: { type: String, enum: ['restrict', 'prefer'] }
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    committedAt: Date,
+    committedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    materialPlans: [materialPlanSchema],
+    optimization: optimizationSchema,
+    orderAllocations: [orderAllocationSchema],
+    notes: String
+}, { timestamps: true });
+
+cuttingBatchSchema.index({ companyId: 1, batchNumber: 1 }, { unique: true });
+cuttingBatchSchema.index({ 'orders.orderId': 1 });
+
+// Generate a batch number
+cuttingBatchSchema.statics.generateBatchNumber = function() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const time = Date.now().toString().slice(-6);
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `CUT_${date}_${time}_${random}`;
+};
+
+module.exports = mongoose.model('CuttingBatch', cuttingBatchSchema);
@@ -1,8 +1,110 @@
 const mongoose = require('mongoose');
 
+/**
+ * Totals for one cutting solution, used to compare strategies.
+ */
+const optimizationStatsSchema = new mongoose.Schema({
+    pipesUsed: Number, // New pipes taken from batches
+    remnantsUsed: Number,
+    totalStockLength: Number,
+    scrapLength: Number, // Includes kerf loss
+    scrapPercent: Number
+}, { _id: false });
+
+/**
+ * Which cutting strategy produced a plan and how it compares with greedy first-fit.
+ */
+const optimizationSummarySchema = new mongoose.Schema({
+    strategy: { type: String, default: 'greedy' },
+    isOptimal: { type: Boolean, default: false }, // True only if an exact search finished for every material
+    elapsedMs: Number,
+    lengthUnit: { type: String, default: 'inches' }, // Unit for totalStockLength / scrapLength
+    result: optimizationStatsSchema,
+    greedyBaseline: optimizationStatsSchema
+}, { _id: false });
+
+/**
+ * Cutting layout for one material (and gauge): the pipes or remnants to cut and the cuts on each.
+ * Shared with CuttingBatch, which plans several orders together.
+ */
+const materialPlanSchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2' },
+    materialNameSnapshot: String,
+    gaugeSnapshot: String, // Gauge used for this material in this order (or batch)
+    usageUnit: String, // Unit of the cuts (e.g., 'inches')
+    // Cutting rules active when the plan was generated (all lengths in inches)
+    cuttingParameters: {
+        kerf: Number,
+        endTrim: Number, // Per bar end
+        minRemnantLength: Number,
+        maxCutsPerBar: Number, // null = no limit
+        mitreDepth: Number, // Profile depth used to nest opposite mitres, 0 = no nesting
+        unit: { type: String, default: 'inches' },
+        sources: { // Where each value came from: 'material' | 'company' | 'default'
+            kerf: String,
+            endTrim: String,
+            minRemnantLength: String,
+            maxCutsPerBar: String
+        }
+    },
+    pipesUsed: [{
+        standardLength: { 
+            type: mongoose.Types.Decimal128 
+        }, // e.g., 16
+        standardLengthUnit: { 
+            type: String 
+        }, // e.g., 'ft'
+        // Where this pipe comes from, so commit deducts exactly that stock
+        sourceType: {
+            type: String,
+            enum: ['Batch', 'Remnant'],
+            default: 'Batch'
+        },
+        sourceBatchId: { type: String }, // MaterialV2.profileBatches[].batchId
+        sourceRemnantId: { type: String }, // MaterialV2.remnantBatches[].remnantId
+        cutsMade: [{ // List of the required cuts placed on THIS pipe
+            requiredLength: { 
+                type: mongoose.Types.Decimal128 
+            },
+            identifier: { type: String }, // e.g., "W1", "Item 3"
+            orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Order the cut belongs to; a batch pipe can carry cuts of several orders
+            pieceId: { type: String }, // <order>-<item>-<material>-<cut>, printed as a barcode on the piece label
+            itemIndex: { type: Number }, // Index into order.items
+            position: { type: String }, // 'Top', 'Side' or '' (from the product formula)
+            // Cut angles in degrees as laid on the pipe (90 = square); requiredLength is the long-point length
+            startAngle: { type: Number, default: 90 },
+            endAngle: { type: Number, default: 90 },
+            // Optional: Link back to original OrderItem if needed
+        }],
+        totalCutLengthOnPipe: { 
+            type: mongoose.Types.Decimal128 
+        }, // Sum of cutsMade lengths (in usageUnit)
+        scrapLength: { 
+            type: mongoose.Types.Decimal128 
+        }, // Standard Pipe Length (converted to usageUnit) - totalCutLengthOnPipe
+        calculatedWeight: { 
+            type: mongoose.Types.Decimal128 
+        }, // Optional: Weight of this pipe based on gauge/length
+    }],
+    // Summary for this material (matches pipe-order-summary endpoint structure)
+    totalPipesPerLength: [{ 
+        length: Number, 
+        unit: String, 
+        quantity: Number, 
+        totalScrap: mongoose.Types.Decimal128,
+        scrapUnit: String, // Unit for scrap values (material's usage unit)
+        isRemnant: { type: Boolean, default: false } // Offcuts taken from remnant stock, not new pipes
+    }],
+    totalWeight: { 
+        type: mongoose.Types.Decimal128 
+    },
+});
+
 /**
  * Schema for Cutting Plan.
  * Stores the detailed plan for cutting materials for a specific order.
+ * Each optimization run adds a new version; earlier versions are kept for audit and
+ * exactly one version per order is active (the one commit-cuts will use).
  */
 const cuttingPlanSchema = new mongoose.Schema({
     companyId: { 
@@ -14,9 +116,28 @@ const cuttingPlanSchema = new mongoose.Schema({
     orderId: { 
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'Order', 
-        required: true, 
-        unique: true, 
-        index: true 
+        required: true
+    },
+    version: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Options the optimization was run with, so any version can be explained or re-run
+    requestedOptions: {
+        strategy: { type: String, default: 'greedy' },
+        timeLimitMs: Number,
+        locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Stock location the plan was limited to / preferred
+        locationMode: { type: String, enum: ['restrict', 'prefer'] }
+    },
+    activatedAt: Date,
+    activatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     },
     generatedAt: { 
         type: Date, 
@@ -31,47 +152,19 @@ const cuttingPlanSchema = new mongoose.Schema({
         enum: ['Generated', 'Committed'], 
         default: 'Generated' 
     },
-    materialPlans: [{
-        materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2' },
-        materialNameSnapshot: String,
-        gaugeSnapshot: String, // Gauge used for this material in this order
-        usageUnit: String, // Unit of the cuts (e.g., 'inches')
-        pipesUsed: [{
-            standardLength: { 
-                type: mongoose.Types.Decimal128 
-            }, // e.g., 16
-            standardLengthUnit: { 
-                type: String 
-            }, // e.g., 'ft'
-            cutsMade: [{ // List of the required cuts placed on THIS pipe
-                requiredLength: { 
-                    type: mongoose.Types.Decimal128 
-                },
-                identifier: { type: String }, // e.g., "W1", "Item 3"
-                // Optional: Link back to original OrderItem if needed
-            }],
-            totalCutLengthOnPipe: { 
-                type: mongoose.Types.Decimal128 
-            }, // Sum of cutsMade lengths (in usageUnit)
-            scrapLength: { 
-                type: mongoose.Types.Decimal128 
-            }, // Standard Pipe Length (converted to usageUnit) - totalCutLengthOnPipe
-            calculatedWeight: { 
-                type: mongoose.Types.Decimal128 
-            }, // Optional: Weight of this pipe based on gauge/length
-        }],
-        // Summary for this material (matches pipe-order-summary endpoint structure)
-        totalPipesPerLength: [{ 
-            length: Number, 
-            unit: String, 
-            quantity: Number, 
-            totalScrap: mongoose.Types.Decimal128,
-            scrapUnit: String // Unit for scrap values (material's usage unit)
-        }],
-        totalWeight: { 
-            type: mongoose.Types.Decimal128 
-        },
-    }],
+    materialPlans: [materialPlanSchema],
+    // Which cutting strategy produced this plan and how it compares with greedy first-fit
+    optimization: optimizationSummarySchema,
 }, { timestamps: true });
 
-module.exports = mongoose.model('CuttingPlan', cuttingPlanSchema); 
\ No newline at end of file
+cuttingPlanSchema.index({ orderId: 1, version: 1 }, { unique: true });
+// Only one active version per order
+cuttingPlanSchema.index({ orderId: 1 }, { name: 'orderId_active_unique', unique: true, partialFilterExpression: { isActive: true } });
+
+const CuttingPlan = mongoose.model('CuttingPlan', cuttingPlanSchema);
+
+// Sub-schemas reused by CuttingBatch
+CuttingPlan.materialPlanSchema = materialPlanSchema;
+CuttingPlan.optimizationSchema = optimizationSummarySchema;
+
+module.exports = CuttingPlan;
\ No newline at end of file
@@ -1,6 +1,64 @@
 const mongoose = require('mongoose');
 const { Decimal } = require('decimal.js'); // Import Decimal.js
 
+// A named option of the estimation ("1.2 mm gauge", "toughened glass"): overrides applied on top of the
+// estimation's items, plus the totals from the last time it was calculated
+const estimationVariantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    gauge: String, // Profile gauge for weights and kg costing; blank keeps the estimation's gauge
+    selectedGlassTypeId: { // Glass for every item, unless an item override names another
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialV2'
+    },
+    selectedGlassTypeNameSnapshot: String,
+    itemOverrides: [{
+        itemId: { // estimation.items._id
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        productTypeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductType'
+        },
+        productTypeNameSnapshot: String,
+        selectedGlassTypeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MaterialV2'
+        },
+        selectedGlassTypeNameSnapshot: String
+    }],
+
+    // Results of the last calculation
+    calculatedMaterials: [{
+        materialId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MaterialV2'
+        },
+        materialNameSnapshot: String,
+        materialCategorySnapshot: String,
+        totalQuantity: mongoose.Types.Decimal128,
+        quantityUnit: String,
+        totalWeight: mongoose.Types.Decimal128,
+        calculatedCost: mongoose.Types.Decimal128
+    }],
+    subtotalProfiles: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    subtotalGlass: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    subtotalOtherMaterials: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    subtotalMaterials: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    subtotalLabour: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    subtotalOtherCharges: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    totalEstimatedCost: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    markedUpTotal: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.00') },
+    totalWeight: { type: mongoose.Types.Decimal128, default: mongoose.Types.Decimal128.fromString('0.000') },
+    calculatedAt: Date,
+    calculationError: String
+}, { timestamps: true });
+
 const estimationSchema = new mongoose.Schema({
     companyId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -22,6 +80,19 @@ const estimationSchema = new mongoose.Schema({
         enum: ['inches', 'mm', 'ft', 'm'], 
         default: 'inches' 
     },
+    gauge: String, // Profile gauge used to weigh (and cost per kg) profile materials
+    rateSource: { // Where material rates come from; blank follows the company's pricing.estimationRateSource
+        type: String,
+        enum: ['stock', 'priceList', null],
+        default: null
+    },
+    costedWith: { // Rates used by the last calculation
+        rateSource: { type: String, enum: ['stock', 'priceList'] },
+        priceListId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+        priceListName: String,
+        priceListEffectiveFrom: Date,
+        calculatedAt: Date
+    },
     items: [{
         productTypeId: { 
             type: mongoose.Schema.Types.ObjectId, 
@@ -54,6 +125,16 @@ const estimationSchema = new mongoose.Schema({
             ref: 'MaterialV2' // References Glass category material
         },
         selectedGlassTypeNameSnapshot: String,
+        // Product options chosen for this item (see utils/productOptions), as snapshots
+        selectedOptions: [{
+            optionId: { type: mongoose.Schema.Types.ObjectId },
+            optionName: String,
+            choiceId: { type: mongoose.Schema.Types.ObjectId },
+            choiceLabel: String,
+            pricePerAreaAdjustment: { type: Number, default: 0 },
+            priceAdjustmentPerItem: { type: Number, default: 0 },
+            _id: false
+        }],
         
         // NEW: Calculated glass details for this item
         calculatedGlassQuantity: { 
@@ -106,6 +187,11 @@ const estimationSchema = new mongoose.Schema({
             type: String,
             default: 'pcs'
         },
+        autoRateSource: { // 'priceList' when autoUnitRate came from the price list, else the stock batch average
+            type: String,
+            enum: ['stock', 'priceList'],
+            default: 'stock'
+        },
         manualUnitRate: { 
             type: mongoose.Types.Decimal128, 
             default: mongoose.Types.Decimal128.fromString('0.00') 
@@ -200,6 +286,10 @@ const estimationSchema = new mongoose.Schema({
         type: mongoose.Types.Decimal128, 
         default: mongoose.Types.Decimal128.fromString('0.00') 
     },
+    variants: [estimationVariantSchema],
+    convertedVariantId: { // The variant whose overrides were applied when converting to a quotation
+        type: mongoose.Schema.Types.ObjectId
+    },
     status: { 
         type: String, 
         enum: ['Draft', 'Calculated', 'Converted', 'Archived'], 
@@ -221,8 +311,11 @@ const estimationSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
-// Pre-save hook to calculate subtotals and total
-estimationSchema.pre('save', function(next) {
+/**
+ * Recalculates material costs, subtotals and the marked-up total.
+ * Runs before every save; variants call it on an unsaved working copy to price an option.
+ */
+estimationSchema.methods.recalculateTotals = function() {
     // Helper to convert a value to a Decimal.js instance
     const toDecimalJS = (value, precision = 2) => {
         if (value instanceof Decimal) {
@@ -359,6 +452,11 @@ estimationSchema.pre('save', function(next) {
     // Convert all final monetary fields back to strings for Mongoose to handle as Decimal128
     // Mongoose will convert these strings to Decimal128 on save
     this.markupPercentage = toDecimalJS(this.markupPercentage).toFixed(2);
+};
+
+// Pre-save hook to calculate subtotals and total
+estimationSchema.pre('save', function(next) {
+    this.recalculateTotals();
 
     // Update the 'updatedAt' timestamp
     this.updatedAt = new Date();
@@ -393,6 +491,9 @@ estimationSchema.set('toJSON', {
         if (ret.manualCharges && Array.isArray(ret.manualCharges)) {
             ret.manualCharges.forEach(charge => transformDecimalToString(charge));
         }
+        if (ret.variants && Array.isArray(ret.variants)) {
+            ret.variants.forEach(variant => transformDecimalToString(variant));
+        }
         
         // You can also remove version keys or other fields if desired
         // delete ret.__v;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for Location.
+ * A place stock physically sits, e.g. the main godown or a site store. Every batch carries a locationId;
+ * batches recorded before locations were set up have none and count as being at the default location.
+ */
+const locationSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    name: { type: String, required: [true, 'Location name is required'], trim: true },
+    code: { type: String, trim: true, uppercase: true }, // Short code for labels and lists, e.g. GDN, SITE1
+    address: String,
+    isDefault: { type: Boolean, default: false }, // Where stock goes when no location is given
+    isActive: { type: Boolean, default: true },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+locationSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Soft allocation of part of a batch to an order that has not drawn its stock yet.
+// Quantity is in the batch's currentQuantity unit (pieces, rolls or stock units).
+const batchReservationSchema = new mongoose.Schema({
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderIdDisplay: String,
+    quantity: { type: mongoose.Types.Decimal128, required: true },
+    reservedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 // Sub-schema for Profile/Pipe materials that need length/gauge tracking
 const profileBatchSchema = new mongoose.Schema({
     batchId: { type: String, required: true },
@@ -24,15 +33,22 @@ const profileBatchSchema = new mongoose.Schema({
     
     // Purchase metadata
     supplier: String,
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+    purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' }, // Set when received against a PO
     purchaseDate: { type: Date, default: Date.now },
     invoiceNumber: String,
     lotNumber: String,
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Where the stock sits; unset = the default location
+    transferredFromBatchId: String, // Set on a batch split off another by a stock transfer
     notes: String,
     
     // Status
     isActive: { type: Boolean, default: true },
     isCompleted: { type: Boolean, default: false },
-    lowStockThreshold: { type: mongoose.Types.Decimal128, default: '0' }
+    lowStockThreshold: { type: mongoose.Types.Decimal128, default: '0' },
+
+    // Stock held for confirmed orders; available = currentQuantity - reserved
+    reservations: [batchReservationSchema]
 }, { _id: true });
 
 // Sub-schema for non-Profile materials (Glass, Hardware, Consumables, Wire Mesh, etc.)
@@ -59,15 +75,55 @@ const simpleBatchSchema = new mongoose.Schema({
     
     // Purchase metadata
     supplier: String,
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+    purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' }, // Set when received against a PO
     purchaseDate: { type: Date, default: Date.now },
     invoiceNumber: String,
     lotNumber: String,
+    expiryDate: Date, // Shelf-life end for sealants, silicones, etc.; dated batches are issued first-expiring-first
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Where the stock sits; unset = the default location
+    transferredFromBatchId: String, // Set on a batch split off another by a stock transfer
     notes: String,
     
     // Status
     isActive: { type: Boolean, default: true },
     isCompleted: { type: Boolean, default: false },
-    lowStockThreshold: { type: mongoose.Types.Decimal128, default: '0' }
+    lowStockThreshold: { type: mongoose.Types.Decimal128, default: '0' },
+
+    // Stock held for confirmed orders; available = currentQuantity - reserved
+    reservations: [batchReservationSchema]
+}, { _id: true });
+
+// Sub-schema for reusable offcuts (remnants) left over after committing a cutting plan (Profiles only)
+const remnantBatchSchema = new mongoose.Schema({
+    remnantId: { type: String, required: true },
+
+    // Physical properties of the offcut
+    length: { type: mongoose.Types.Decimal128, required: true },
+    lengthUnit: { type: String, required: true },
+    gauge: { type: String },
+
+    // Quantity tracking (pieces of this exact length)
+    originalQuantity: { type: mongoose.Types.Decimal128, required: true },
+    currentQuantity: { type: mongoose.Types.Decimal128, required: true },
+
+    // Value carried over from the parent pipe (proportional to length)
+    ratePerPiece: { type: mongoose.Types.Decimal128, required: true },
+
+    // Traceability back to where the offcut came from
+    sourceBatchId: String,
+    sourceCuttingPlanId: { type: mongoose.Schema.Types.ObjectId, ref: 'CuttingPlan' },
+    sourceCuttingBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'CuttingBatch' },
+    sourceOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    sourcePipeLength: { type: mongoose.Types.Decimal128 },
+    sourcePipeLengthUnit: String,
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Same place as the pipe it was cut from
+    createdDate: { type: Date, default: Date.now },
+    notes: String,
+
+    // Status
+    isActive: { type: Boolean, default: true },
+    isCompleted: { type: Boolean, default: false }
 }, { _id: true });
 
 const materialV2Schema = new mongoose.Schema({
@@ -86,6 +142,18 @@ const materialV2Schema = new mongoose.Schema({
         unit: { type: String, required: true, default: 'ft' }
     }],
     
+    // Cutting rules for this profile; null fields inherit the company's Setting.cutting values
+    cuttingParameters: {
+        kerf: { type: Number, default: null, min: 0 },
+        endTrim: { type: Number, default: null, min: 0 },
+        lengthUnit: { type: String, enum: ['inches', 'mm'], default: 'inches' }, // Unit of kerf, endTrim and mitreDepth
+        minRemnantLength: { type: Number, default: null, min: 0 },
+        minRemnantUnit: { type: String, enum: ['inches', 'ft', 'mm', 'm'], default: 'ft' },
+        maxCutsPerBar: { type: Number, default: null, min: 1 },
+        // Profile depth across the mitred face; lets opposite mitres nest on the bar. Material only.
+        mitreDepth: { type: Number, default: null, min: 0 }
+    },
+    
     // Reference gauge weights (for quotation estimates only - NEVER updated, only for Profiles)
     referenceGaugeWeights: [{
         gauge: { type: String, required: true },
@@ -99,7 +167,10 @@ const materialV2Schema = new mongoose.Schema({
     
     // For non-Profile materials: Use simpleBatches
     simpleBatches: [simpleBatchSchema],
-    
+
+    // Reusable offcuts from committed cutting plans (Profile materials only)
+    remnantBatches: [remnantBatchSchema],
+
     // Aggregated totals (auto-calculated from active batches)
     aggregatedTotals: {
         totalCurrentStock: { type: mongoose.Types.Decimal128, default: '0' }, // Total pieces/units
@@ -107,6 +178,9 @@ const materialV2Schema = new mongoose.Schema({
         totalCurrentValue: { type: mongoose.Types.Decimal128, default: '0' }, // Total cost value
         averageRatePerPiece: { type: mongoose.Types.Decimal128, default: '0' },
         averageRatePerKg: { type: mongoose.Types.Decimal128, default: '0' }, // Only for profiles
+        totalRemnantPieces: { type: mongoose.Types.Decimal128, default: '0' }, // Offcut pieces (not counted in totalCurrentStock)
+        totalRemnantValue: { type: mongoose.Types.Decimal128, default: '0' }, // Value carried by offcuts
+        totalReservedStock: { type: mongoose.Types.Decimal128, default: '0' }, // Part of totalCurrentStock held for orders
         lastUpdated: { type: Date, default: Date.now }
     },
     
@@ -147,11 +221,19 @@ materialV2Schema.virtual('activeBatches').get(function() {
     }
 });
 
+// Virtual property to get offcuts that can still be cut from
+materialV2Schema.virtual('activeRemnants').get(function() {
+    return (this.remnantBatches || []).filter(remnant =>
+        remnant.isActive && !remnant.isCompleted && parseFloat(remnant.currentQuantity.toString()) > 0
+    );
+});
+
 // Indexes for performance
 materialV2Schema.index({ companyId: 1, name: 1 }, { unique: true });
 materialV2Schema.index({ companyId: 1, category: 1 });
 materialV2Schema.index({ 'profileBatches.batchId': 1 });
 materialV2Schema.index({ 'simpleBatches.batchId': 1 });
+materialV2Schema.index({ 'remnantBatches.remnantId': 1 });
 materialV2Schema.index({ 'profileBatches.supplier': 1 });
 materialV2Schema.index({ 'simpleBatches.supplier': 1 });
 
@@ -163,9 +245,63 @@ materialV2Schema.statics.generateBatchId = function() {
     return `BATCH_${date}_${time}_${random}`;
 };
 
+// Generate unique remnant ID
+materialV2Schema.statics.generateRemnantId = function() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const time = Date.now().toString().slice(-6);
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `REM_${date}_${time}_${random}`;
+};
+
+// Whether a batch is past its expiry date (batches without one never expire)
+materialV2Schema.statics.isExpired = function(batch, asOf = new Date()) {
+    return !!batch.expiryDate && new Date(batch.expiryDate) < asOf;
+};
+
+// Whether a batch or remnant is at a location. Stock without a location counts as being at the default one.
+materialV2Schema.statics.isAtLocation = function(batch, locationId, defaultLocationId = null) {
+    const batchLocation = batch.locationId || defaultLocationId;
+    return !!batchLocation && batchLocation.toString() === locationId.toString();
+};
+
+// Stock a batch adds to the material's totals, in the unit totalCurrentStock is tracked in
+// (area for wire mesh tracked by area, batch quantity otherwise)
+materialV2Schema.methods.getBatchStock = function(batch) {
+    if (this.category === 'Wire Mesh' && this.stockUnit !== 'rolls' && this.stockUnit !== 'pcs' && batch.totalArea && batch.ratePerArea) {
+        return parseFloat(batch.totalArea.toString());
+    }
+    return parseFloat(batch.currentQuantity.toString());
+};
+
+// Quantity of a batch reserved for orders, optionally leaving out one order's own reservations
+// excludeOrderId may be one order or a list (e.g. the orders of a cutting batch)
+materialV2Schema.statics.getBatchReserved = function(batch, excludeOrderId = null) {
+    const excluded = [].concat(excludeOrderId || []).map(id => id.toString());
+    return (batch.reservations || []).reduce((sum, reservation) => {
+        if (excluded.includes(reservation.orderId.toString())) return sum;
+        return sum + parseFloat(reservation.quantity.toString());
+    }, 0);
+};
+
+// Reserved quantity of a batch in the unit the material's stock totals are tracked in
+// (area for wire mesh tracked by area, batch quantity otherwise), capped at what the batch holds
+materialV2Schema.methods.getBatchReservedStock = function(batch, excludeOrderId = null) {
+    const currentQty = parseFloat(batch.currentQuantity.toString());
+    const reservedQty = Math.min(this.constructor.getBatchReserved(batch, excludeOrderId), currentQty);
+    if (this.category === 'Wire Mesh' && this.stockUnit !== 'rolls' && this.stockUnit !== 'pcs' && batch.totalArea && batch.ratePerArea) {
+        return currentQty > 0 ? parseFloat(batch.totalArea.toString()) * reservedQty / currentQty : 0;
+    }
+    return reservedQty;
+};
+
+// Total reserved stock across active batches, optionally leaving out one order's own reservations
+materialV2Schema.methods.getReservedStock = function(excludeOrderId = null) {
+    return this.activeBatches.reduce((sum, batch) => sum + this.getBatchReservedStock(batch, excludeOrderId), 0);
+};
+
 // Pre-save middleware to update aggregated totals
 materialV2Schema.pre('save', function(next) {
-    if (this.isModified('profileBatches') || this.isModified('simpleBatches') || this.isNew) {
+    if (this.isModified('profileBatches') || this.isModified('simpleBatches') || this.isModified('remnantBatches') || this.isNew) {
         this.updateAggregatedTotals();
     }
     next();
@@ -179,6 +315,7 @@ materialV2Schema.methods.updateAggregatedTotals = function() {
     let totalWeight = 0;
     let totalValue = 0;
     let totalWeightValue = 0;
+    let totalReserved = 0;
     
     for (const batch of activeBatches) {
         const currentQty = parseFloat(batch.currentQuantity.toString());
@@ -230,6 +367,7 @@ materialV2Schema.methods.updateAggregatedTotals = function() {
         }
         
         totalStock += stockToAdd;
+        totalReserved += this.getBatchReservedStock(batch);
         totalValue += valueToAdd;
     }
     
@@ -237,6 +375,7 @@ materialV2Schema.methods.updateAggregatedTotals = function() {
     this.aggregatedTotals.totalCurrentStock = mongoose.Types.Decimal128.fromString(String(totalStock));
     this.aggregatedTotals.totalCurrentWeight = mongoose.Types.Decimal128.fromString(String(totalWeight));
     this.aggregatedTotals.totalCurrentValue = mongoose.Types.Decimal128.fromString(String(totalValue));
+    this.aggregatedTotals.totalReservedStock = mongoose.Types.Decimal128.fromString(String(totalReserved));
     
     // Calculate average rates
     this.aggregatedTotals.averageRatePerPiece = totalStock > 0 ? 
@@ -246,7 +385,18 @@ materialV2Schema.methods.updateAggregatedTotals = function() {
     this.aggregatedTotals.averageRatePerKg = totalWeight > 0 && totalWeightValue > 0 ? 
         mongoose.Types.Decimal128.fromString(String(totalWeightValue / totalWeight)) : 
         mongoose.Types.Decimal128.fromString('0');
-        
+
+    // Offcuts are tracked separately so pipe counts stay comparable with standard lengths
+    let totalRemnantPieces = 0;
+    let totalRemnantValue = 0;
+    for (const remnant of this.activeRemnants) {
+        const qty = parseFloat(remnant.currentQuantity.toString());
+        totalRemnantPieces += qty;
+        totalRemnantValue += qty * parseFloat(remnant.ratePerPiece.toString());
+    }
+    this.aggregatedTotals.totalRemnantPieces = mongoose.Types.Decimal128.fromString(String(totalRemnantPieces));
+    this.aggregatedTotals.totalRemnantValue = mongoose.Types.Decimal128.fromString(String(totalRemnantValue));
+
     this.aggregatedTotals.lastUpdated = new Date();
     
     console.log(`[MaterialV2] Updated aggregated totals for '${this.name}' (${this.category}): Stock=${totalStock}, Weight=${totalWeight}kg, Value=₹${totalValue}`);
@@ -435,7 +585,7 @@ materialV2Schema.methods.getStockSummary = function() {
 
 // Method to find available batches for consumption
 materialV2Schema.methods.getAvailableBatches = function(filters = {}, sortOrder = 'FIFO') {
-    const { length, lengthUnit, gauge, minQuantity = 0 } = filters;
+    const { length, lengthUnit, gauge, minQuantity = 0, includeExpired = false } = filters;
     
     let availableBatches;
     
@@ -466,9 +616,12 @@ materialV2Schema.methods.getAvailableBatches = function(filters = {}, sortOrder
             return true;
         });
     } else {
+        const now = new Date();
         availableBatches = this.simpleBatches.filter(batch => {
             if (!batch.isActive || batch.isCompleted) return false;
             if (parseFloat(batch.currentQuantity.toString()) <= minQuantity) return false;
+            // Expired stock is only issued when asked for (e.g. to write it off)
+            if (!includeExpired && this.constructor.isExpired(batch, now)) return false;
             
             return true;
         });
@@ -480,8 +633,35 @@ materialV2Schema.methods.getAvailableBatches = function(filters = {}, sortOrder
     } else if (sortOrder === 'LIFO') {
         availableBatches.sort((a, b) => b.purchaseDate - a.purchaseDate);
     }
+
+    // FEFO: batches with an expiry date go first, earliest expiry first; the rest keep their FIFO/LIFO order
+    if (availableBatches.some(batch => batch.expiryDate)) {
+        availableBatches.sort((a, b) => {
+            if (a.expiryDate && b.expiryDate) return a.expiryDate - b.expiryDate;
+            if (a.expiryDate) return -1;
+            if (b.expiryDate) return 1;
+            return 0;
+        });
+    }
     
     return availableBatches;
 };
 
+// Method to find offcuts available for consumption (Profiles only)
+materialV2Schema.methods.getAvailableRemnants = function(filters = {}) {
+    const { gauge, lengthUnit, minLength } = filters;
+
+    const availableRemnants = this.activeRemnants.filter(remnant => {
+        if (gauge && remnant.gauge && remnant.gauge !== gauge) return false;
+        if (lengthUnit && remnant.lengthUnit !== lengthUnit) return false;
+        if (minLength !== undefined && parseFloat(remnant.length.toString()) < minLength) return false;
+        return true;
+    });
+
+    // Oldest offcuts first so the rack gets cleared
+    availableRemnants.sort((a, b) => a.createdDate - b.createdDate);
+
+    return availableRemnants;
+};
+
 module.exports = mongoose.model('MaterialV2', materialV2Schema); 
\ No newline at end of file
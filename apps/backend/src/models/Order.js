@@ -5,6 +5,12 @@ const requiredMaterialCutSchema = new mongoose.Schema({
     materialNameSnapshot: String,
     gaugeSnapshot: String,
     cutLengths: [mongoose.Types.Decimal128],
+    cutAngles: [{ // Parallel to cutLengths, degrees (90 = square)
+        startAngle: { type: Number, default: 90 },
+        endAngle: { type: Number, default: 90 },
+        _id: false
+    }],
+    cutPositions: [String], // Parallel to cutLengths: 'Top' (width formula), 'Side' (height formula) or ''
     lengthUnit: String,
     isCutRequired: Boolean,
     pipeBreakdown: [{
@@ -40,6 +46,16 @@ const orderItemSchema = new mongoose.Schema({
         type: String, 
         default: "" 
     },
+    // Product options chosen for this item as quoted; they decide its materials and cuts
+    selectedOptions: [{
+        optionId: { type: mongoose.Schema.Types.ObjectId },
+        optionName: String,
+        choiceId: { type: mongoose.Schema.Types.ObjectId },
+        choiceLabel: String,
+        pricePerAreaAdjustment: { type: Number, default: 0 },
+        priceAdjustmentPerItem: { type: Number, default: 0 },
+        _id: false
+    }],
     
     finalChargeableAreaPerItem: { type: mongoose.Types.Decimal128 },
     finalTotalChargeableArea: { type: mongoose.Types.Decimal128 },
@@ -138,6 +154,7 @@ const orderSchema = new mongoose.Schema({
     finalGrandTotal: { type: mongoose.Types.Decimal128 },
     cuttingPlanId: { type: mongoose.Schema.Types.ObjectId, ref: 'CuttingPlan', index: true },
     cuttingPlanStatus: { type: String, enum: ['Pending', 'Generated', 'Committed', 'Failed'], default: 'Pending' },
+    cuttingBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'CuttingBatch', index: true }, // Set when cut together with other orders
     
     // Material commitment tracking (for non-profile materials)
     materialsCommitted: { type: Boolean, default: false },
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate of one material on a price list.
+ * Profiles are priced per kg, optionally per gauge (a blank gauge covers every gauge without its own entry);
+ * glass per sqft or sqm; everything else per the material's stock unit (per piece for hardware).
+ */
+const priceListEntrySchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true },
+    materialNameSnapshot: String,
+    category: String,
+    gauge: { type: String, trim: true }, // Profiles only
+    rate: { type: mongoose.Types.Decimal128, required: true },
+    rateUnit: { type: String, required: true } // 'kg' | 'sqft' | 'sqm' | the material's stock unit
+});
+
+/**
+ * Schema for a dated material price list.
+ * The list in effect on a date is the one with the latest effectiveFrom on or before it; estimations set to
+ * cost against the price list take their rates from the list in effect when they are calculated and fall
+ * back to the stock batch average for materials it does not price.
+ */
+const priceListSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    name: { type: String, required: true, trim: true }, // e.g., "Week 42 aluminium rates"
+    effectiveFrom: { type: Date, required: true },
+    entries: [priceListEntrySchema],
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            // Decimal128 -> string, including entries
+            const convert = (value) => {
+                if (value instanceof mongoose.Types.Decimal128) return value.toString();
+                if (Array.isArray(value)) return value.map(convert);
+                if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(key => { value[key] = convert(value[key]); });
+                }
+                return value;
+            };
+            return convert(ret);
+        }
+    }
+});
+
+priceListSchema.index({ companyId: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -18,6 +18,12 @@ const materialSubSchema = new mongoose.Schema({
         type: [String],
         default: []
     },
+    // Cut angles for the piece produced by each formula (parallel to formulas); missing entries are square cuts
+    cutAngles: [{
+        startAngle: { type: Number, default: 90, min: 15, max: 90 },
+        endAngle: { type: Number, default: 90, min: 15, max: 90 },
+        _id: false
+    }],
     formulaInputUnit: {
         type: String,
         enum: ['inches', 'mm', 'ft', 'm'],
@@ -37,6 +43,76 @@ const materialSubSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+// How a choice changes the product's materials. 'add' appends a material link; 'replace' swaps the link of
+// targetMaterialId for this one (same material with other formulas, or another material); 'remove' drops it.
+const materialChangeSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['add', 'replace', 'remove'],
+        required: true
+    },
+    targetMaterialId: { // For 'replace' and 'remove': a material of the product type
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialV2'
+    },
+    // The material link for 'add' and 'replace', as in materials
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaterialV2'
+    },
+    materialNameSnapshot: String,
+    materialCategorySnapshot: String,
+    formulas: {
+        type: [String],
+        default: undefined
+    },
+    cutAngles: [{
+        startAngle: { type: Number, default: 90, min: 15, max: 90 },
+        endAngle: { type: Number, default: 90, min: 15, max: 90 },
+        _id: false
+    }],
+    formulaInputUnit: {
+        type: String,
+        enum: ['inches', 'mm', 'ft', 'm']
+    },
+    quantityUnit: {
+        type: String,
+        enum: ['ft', 'inches', 'mm', 'sqft', 'sqm', 'pcs', 'kg']
+    },
+    isCutRequired: Boolean,
+    defaultGauge: String
+}, { _id: false });
+
+const optionChoiceSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    isDefault: { // Applies to items that do not choose this option
+        type: Boolean,
+        default: false
+    },
+    materialChanges: [materialChangeSchema],
+    // Selling price changes, added to the item's price on quotations (may be negative)
+    pricePerAreaAdjustment: { type: Number, default: 0 }, // Per quotation area unit (sqft / sqm)
+    priceAdjustmentPerItem: { type: Number, default: 0 } // Fixed amount per item
+});
+
+// A configurable option of the product, e.g. handle type, lock, mesh (yes/no), number of tracks, grill, sill
+const productOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    choices: {
+        type: [optionChoiceSchema],
+        validate: [choices => choices.length > 0, 'An option needs at least one choice.']
+    }
+});
+
 const productTypeSchema = new mongoose.Schema({
     companyId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -59,6 +135,7 @@ const productTypeSchema = new mongoose.Schema({
         default: true
     },
     materials: [materialSubSchema],
+    options: [productOptionSchema], // Chosen per estimation / quotation item
     
     // Glass area calculation formula using separate width/height formulas for precise cutting
     glassAreaFormula: {
@@ -105,6 +182,15 @@ const productTypeSchema = new mongoose.Schema({
         }
     },
     
+    // Pricing overrides for this product; null fields inherit the company's pricing settings
+    pricing: {
+        method: { type: String, enum: ['targetMargin', 'markup', null], default: null },
+        targetMarginPercent: { type: Number, default: null, min: 0, max: 99.99 },
+        markupPercent: { type: Number, default: null, min: 0 },
+        minimumPricePerArea: { type: Number, default: null, min: 0 },
+        minimumMarginPercent: { type: Number, default: null, min: 0, max: 99.99 }
+    },
+
     // SVG Technical Drawing
     technicalDrawing: {
         svgContent: {
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Piece stages in shop-floor order; a piece must pass each one before the next can be scanned
+const PIECE_EVENTS = ['Cut', 'Assembled', 'QC Passed', 'Packed'];
+
+/**
+ * Schema for Production Event.
+ * One shop-floor scan result for one cut piece: the piece reached a stage, recorded by whom and when.
+ * Scanning an item code records the event for every piece of that item.
+ */
+const productionEventSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    pieceId: { type: String, required: true }, // See utils/pieceCodes
+    itemIndex: { type: Number, required: true }, // Index into order.items
+    event: { type: String, enum: PIECE_EVENTS, required: true },
+    scannedCode: String, // Piece or item code that was scanned
+    scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    scannedAt: { type: Date, default: Date.now },
+    notes: String
+});
+
+// A piece reaches each stage once
+productionEventSchema.index({ companyId: 1, pieceId: 1, event: 1 }, { unique: true });
+productionEventSchema.index({ orderId: 1, scannedAt: -1 });
+
+const ProductionEvent = mongoose.model('ProductionEvent', productionEventSchema);
+
+ProductionEvent.PIECE_EVENTS = PIECE_EVENTS;
+
+module.exports = ProductionEvent;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * One material ordered on a purchase order.
+ * Profiles are ordered per pipe length and gauge; wire mesh per roll (width x roll length);
+ * everything else in the material's stock unit.
+ */
+const purchaseOrderLineSchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true },
+    materialNameSnapshot: String,
+    category: String,
+    length: { type: mongoose.Types.Decimal128 }, // Pipe length (Profile) or roll length (Wire Mesh)
+    lengthUnit: String,
+    gauge: String, // Profile only
+    width: { type: mongoose.Types.Decimal128 }, // Roll width (Wire Mesh), one of the material's standard widths
+    widthUnit: String,
+    quantity: { type: mongoose.Types.Decimal128, required: true }, // Pieces / rolls / stock units
+    quantityUnit: String,
+    receivedQuantity: { type: mongoose.Types.Decimal128, default: '0' },
+    unitPrice: { type: mongoose.Types.Decimal128, required: true }, // Per piece / roll / stock unit
+    lineTotal: { type: mongoose.Types.Decimal128 },
+    notes: String
+});
+
+/**
+ * One delivery against the purchase order. Each received line becomes a stock batch.
+ */
+const purchaseReceiptSchema = new mongoose.Schema({
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    invoiceNumber: String,
+    notes: String,
+    lines: [{
+        lineId: { type: mongoose.Schema.Types.ObjectId, required: true }, // purchaseOrderLineSchema _id
+        materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2' },
+        quantity: { type: mongoose.Types.Decimal128, required: true },
+        totalCost: { type: mongoose.Types.Decimal128 },
+        actualWeight: { type: mongoose.Types.Decimal128 },
+        actualWeightUnit: String,
+        lotNumber: String,
+        batchId: String, // Batch created on the material
+        _id: false
+    }]
+});
+
+/**
+ * Schema for Purchase Order.
+ * Draft -> Ordered -> Partially Received -> Received. An order with nothing received can be Cancelled;
+ * a partially received one is Closed instead, keeping what arrived.
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    poNumber: { type: String, required: true }, // e.g., PO-2024-001
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+    supplierNameSnapshot: String,
+    status: {
+        type: String,
+        enum: ['Draft', 'Ordered', 'Partially Received', 'Received', 'Closed', 'Cancelled'],
+        default: 'Draft'
+    },
+    orderDate: Date, // Set when the order is placed
+    expectedDate: Date,
+    lines: [purchaseOrderLineSchema],
+    receipts: [purchaseReceiptSchema],
+    totalAmount: { type: mongoose.Types.Decimal128, default: '0' },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            // Decimal128 -> string, including lines and receipt lines
+            const convert = (value) => {
+                if (value instanceof mongoose.Types.Decimal128) return value.toString();
+                if (Array.isArray(value)) return value.map(convert);
+                if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(key => { value[key] = convert(value[key]); });
+                }
+                return value;
+            };
+            return convert(ret);
+        }
+    }
+});
+
+purchaseOrderSchema.index({ companyId: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ companyId: 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const { calculateItemDetails, calculateQuotationTotals } = require('../utils/quotationCalculator');
 const Company = require('./Company'); // Added for fetching company settings
 const Setting = require('./Setting'); // Add Setting model for GST settings
+const { marginPercentOf } = require('../utils/pricingRules');
+const { sumPriceAdjustments } = require('../utils/productOptions');
 
 // Quotation schema for managing formal quotations based on area pricing
 const quotationSchema = new mongoose.Schema({
@@ -94,6 +96,17 @@ const quotationSchema = new mongoose.Schema({
             type: String, 
             default: "" 
         },
+        // Product options chosen for this item (see utils/productOptions), as snapshots; their price adjustments are
+        // added to pricePerAreaUnit and per item by the pre-save hook
+        selectedOptions: [{
+            optionId: { type: mongoose.Schema.Types.ObjectId },
+            optionName: String,
+            choiceId: { type: mongoose.Schema.Types.ObjectId },
+            choiceLabel: String,
+            pricePerAreaAdjustment: { type: Number, default: 0 },
+            priceAdjustmentPerItem: { type: Number, default: 0 },
+            _id: false
+        }],
         
         // Calculated values stored per item
         rawAreaPerItem: { type: mongoose.Types.Decimal128 }, // W x H in dimensionUnit's square
@@ -105,7 +118,23 @@ const quotationSchema = new mongoose.Schema({
             type: mongoose.Types.Decimal128, 
             required: true 
         },
-        itemSubtotal: { type: mongoose.Types.Decimal128 }, // totalChargeableArea * pricePerAreaUnit
+        itemSubtotal: { type: mongoose.Types.Decimal128 }, // totalChargeableArea * pricePerAreaUnit, plus option adjustments
+
+        // Cost of one item from the estimation it was converted from, and the price the pricing rules
+        // suggested for it. Absent on items that were not costed (added by hand or changed after conversion).
+        costBasis: {
+            materialCostPerItem: mongoose.Types.Decimal128,
+            labourCostPerItem: mongoose.Types.Decimal128,
+            costPerItem: mongoose.Types.Decimal128, // material + labour
+            costPerAreaUnit: mongoose.Types.Decimal128, // costPerItem / chargeableAreaPerItem
+            suggestedPricePerAreaUnit: mongoose.Types.Decimal128,
+            pricingMethod: { type: String, enum: ['targetMargin', 'markup'] },
+            ruleSource: { type: String, enum: ['productType', 'company', 'default'] } // Where the method came from
+        },
+        // Calculated from costBasis by the pre-save hook
+        totalCost: { type: mongoose.Types.Decimal128 }, // costPerItem * quantity
+        marginAmount: { type: mongoose.Types.Decimal128 }, // itemSubtotal - totalCost
+        marginPercent: { type: Number }, // Of itemSubtotal
         
         // Material list snapshot for this item (optional, useful for later analysis/order conversion)
         materialsSnapshot: [{
@@ -156,6 +185,12 @@ const quotationSchema = new mongoose.Schema({
     discountAmount: { type: mongoose.Types.Decimal128, default: '0.00' }, // Calculated discount amount
     totalTax: { type: mongoose.Types.Decimal128 },
     grandTotal: { type: mongoose.Types.Decimal128 },
+
+    // Margin over the costed items, after their share of the discount; empty when no item is costed
+    estimationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Estimation' }, // Estimation it was converted from
+    totalCost: { type: mongoose.Types.Decimal128 },
+    totalMargin: { type: mongoose.Types.Decimal128 },
+    marginPercent: { type: Number },
     
     // Metadata
     termsAndConditions: String, // Copied from settings at time of creation
@@ -208,6 +243,7 @@ quotationSchema.pre('save', async function(next) {
                 height: item.height ? item.height.toString() : '0',
                 quantity: item.quantity,
                 pricePerAreaUnit: item.pricePerAreaUnit ? item.pricePerAreaUnit.toString() : '0',
+                ...sumPriceAdjustments(item.selectedOptions)
             };
 
             // Call uses default applyMinimum = true, which is desired for DB storage
@@ -301,6 +337,9 @@ quotationSchema.pre('save', async function(next) {
             }
         });
         this.totalTax = mongoose.Types.Decimal128.fromString(totalTaxSum.toFixed(2));
+
+        // 4. Margins of items carrying a cost basis
+        this.calculateMargins(totals);
         
         console.log('[Quotation Pre-save] Final totals - Subtotal:', totals.subtotal, 'Charges:', totals.totalChargesAmount, 'Grand Total:', totals.grandTotal);
 
@@ -311,4 +350,43 @@ quotationSchema.pre('save', async function(next) {
     }
 });
 
+/**
+ * Fills item and quotation margins from the items' cost basis. The discount is spread over items and
+ * charges in proportion to their amounts, so only the costed items' share of it reduces the margin.
+ * @param {object} totals - Result of calculateQuotationTotals for this quotation.
+ */
+quotationSchema.methods.calculateMargins = function(totals) {
+    let costedSubtotal = 0;
+    let totalCost = 0;
+    this.items.forEach(item => {
+        const costPerItem = item.costBasis && item.costBasis.costPerItem;
+        if (costPerItem === null || costPerItem === undefined) {
+            item.totalCost = undefined;
+            item.marginAmount = undefined;
+            item.marginPercent = undefined;
+            return;
+        }
+        const itemSubtotal = item.itemSubtotal ? parseFloat(item.itemSubtotal.toString()) : 0;
+        const itemCost = parseFloat(costPerItem.toString()) * item.quantity;
+        item.totalCost = mongoose.Types.Decimal128.fromString(itemCost.toFixed(2));
+        item.marginAmount = mongoose.Types.Decimal128.fromString((itemSubtotal - itemCost).toFixed(2));
+        item.marginPercent = marginPercentOf(itemSubtotal, itemCost);
+        costedSubtotal += itemSubtotal;
+        totalCost += itemCost;
+    });
+
+    if (!this.items.some(item => item.totalCost)) {
+        this.totalCost = undefined;
+        this.totalMargin = undefined;
+        this.marginPercent = undefined;
+        return;
+    }
+    const grossTotal = totals.subtotal + totals.totalChargesAmount;
+    const discountShare = grossTotal > 0 ? totals.discountAmount * (costedSubtotal / grossTotal) : 0;
+    const netRevenue = costedSubtotal - discountShare;
+    this.totalCost = mongoose.Types.Decimal128.fromString(totalCost.toFixed(2));
+    this.totalMargin = mongoose.Types.Decimal128.fromString((netRevenue - totalCost).toFixed(2));
+    this.marginPercent = marginPercentOf(netRevenue, totalCost);
+};
+
 module.exports = mongoose.model('Quotation', quotationSchema); 
\ No newline at end of file
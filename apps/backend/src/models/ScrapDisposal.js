@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scrap of one material sold by weight.
+ */
+const scrapDisposalLineSchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true },
+    materialNameSnapshot: String,
+    category: String,
+    weight: { type: mongoose.Types.Decimal128, required: true }, // kg, as weighed by the buyer
+    availableWeightSnapshot: { type: mongoose.Types.Decimal128 }, // Accumulated scrap the system expected, kg
+    ratePerKg: { type: mongoose.Types.Decimal128, required: true },
+    amount: { type: mongoose.Types.Decimal128, required: true }, // weight x ratePerKg
+    notes: String
+});
+
+/**
+ * Schema for a scrap disposal (sale of accumulated scrap to a buyer).
+ * Disposals are posted when created: each line writes an outward 'Scrap' stock transaction in kg
+ * (relatedDocumentType 'ScrapDisposal') at no stock value, since the scrap was costed when it was cut or
+ * written off. The amount received is reported as other income in the P&L.
+ */
+const scrapDisposalSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    disposalNumber: { type: String, required: true }, // e.g., SD-2024-001
+    disposalDate: { type: Date, default: Date.now },
+    buyer: {
+        name: { type: String, required: true, trim: true },
+        phone: { type: String, trim: true },
+        gstin: { type: String, trim: true }
+    },
+    lines: [scrapDisposalLineSchema],
+    totalWeight: { type: mongoose.Types.Decimal128, default: '0' },
+    totalAmount: { type: mongoose.Types.Decimal128, default: '0' },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            // Decimal128 -> string, including lines
+            const convert = (value) => {
+                if (value instanceof mongoose.Types.Decimal128) return value.toString();
+                if (Array.isArray(value)) return value.map(convert);
+                if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(key => { value[key] = convert(value[key]); });
+                }
+                return value;
+            };
+            return convert(ret);
+        }
+    }
+});
+
+scrapDisposalSchema.index({ companyId: 1, disposalNumber: 1 }, { unique: true });
+scrapDisposalSchema.index({ companyId: 1, disposalDate: -1 });
+
+module.exports = mongoose.model('ScrapDisposal', scrapDisposalSchema);
@@ -31,7 +31,56 @@ const settingSchema = new mongoose.Schema({
     notifications: {
         systemAlertsEnabled: { type: Boolean, default: true },
         emailSummaryEnabled: { type: Boolean, default: true }
-    }
+    },
+    // Company-wide profile cutting rules; a material's cuttingParameters override them field by field
+    cutting: {
+        kerf: { type: Number, default: 0.125, min: 0 }, // Blade loss per cut
+        endTrim: { type: Number, default: 0, min: 0 }, // Trimmed off EACH end of a bar before cutting
+        lengthUnit: { type: String, enum: ['inches', 'mm'], default: 'inches' }, // Unit of kerf and endTrim
+        minRemnantLength: { type: Number, default: 3, min: 0 }, // Shorter offcuts are scrap
+        minRemnantUnit: { type: String, enum: ['inches', 'ft', 'mm', 'm'], default: 'ft' },
+        maxCutsPerBar: { type: Number, default: null, min: 1 } // null = no limit
+    },
+    // How consumed stock is costed in StockTransaction.totalValueChange (see services/inventoryValuationService.js)
+    inventory: {
+        valuationMethod: { type: String, enum: ['FIFO', 'WeightedAverage', 'SpecificBatch'], default: 'FIFO' }
+    },
+    // Company-wide pricing rules for quotations converted from estimations; a product type's pricing
+    // overrides them field by field (see utils/pricingRules.js)
+    pricing: {
+        method: { type: String, enum: ['targetMargin', 'markup'], default: 'targetMargin' },
+        targetMarginPercent: { type: Number, default: 25, min: 0, max: 99.99 }, // Margin on the selling price
+        markupPercent: { type: Number, default: 30, min: 0 }, // On material + labour cost
+        minimumPricePerArea: { type: Number, default: 0, min: 0 }, // Per the company's area unit; 0 = no floor
+        minimumMarginPercent: { type: Number, default: 10, min: 0, max: 99.99 }, // Checked when a quotation is sent
+        belowMinimumMarginAction: { type: String, enum: ['warn', 'block'], default: 'warn' },
+        // Material rates for estimations that do not choose: batch averages ('stock') or the active price list
+        estimationRateSource: { type: String, enum: ['stock', 'priceList'], default: 'stock' },
+        recostAlertPercent: { type: Number, default: 5, min: 0 } // Re-costing flags cost changes above this
+    },
+    // Cut-list export formats for the company's saws / CNC controllers (see utils/cutListExporter.js)
+    machineProfiles: [{
+        name: { type: String, required: true }, // Unique within the array, enforced by the controller
+        format: { type: String, enum: ['csv', 'fixedWidth', 'xml'], default: 'csv' },
+        lengthUnit: { type: String, enum: ['mm', 'inches', 'cm', 'm'], default: 'mm' },
+        decimalPlaces: { type: Number, default: 1, min: 0, max: 4 },
+        angleDecimalPlaces: { type: Number, default: 1, min: 0, max: 4 },
+        // Columns (csv/fixedWidth) or attributes (xml), in output order
+        fields: [{
+            key: { type: String, required: true }, // One of CUT_LIST_FIELDS
+            header: String, // Column heading / XML attribute name; defaults to the key
+            width: { type: Number, min: 1 }, // fixedWidth only
+            align: { type: String, enum: ['left', 'right'], default: 'left' } // fixedWidth only
+        }],
+        labelTemplate: { type: String, default: '{order} {identifier}' }, // Placeholders: {order} {identifier} {material} {length}
+        includeHeader: { type: Boolean, default: true }, // csv / fixedWidth
+        delimiter: { type: String, default: ',' }, // csv only
+        lineEnding: { type: String, enum: ['LF', 'CRLF'], default: 'CRLF' },
+        xmlRootElement: { type: String, default: 'CutList' },
+        xmlBarElement: { type: String, default: 'Bar' },
+        xmlCutElement: { type: String, default: 'Cut' },
+        isDefault: { type: Boolean, default: false }
+    }]
     // Note: 'updatedAt' is automatically handled by timestamps option.
     // The PRD had an explicit 'updatedAt' field, but it's redundant with the timestamps option below.
 }, { 
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * One batch to count. Expected quantity is the batch's book quantity when the count was started.
+ * Profiles are counted in pieces per length and gauge, wire mesh with area tracking in its area unit,
+ * everything else in the batch's stock unit.
+ */
+const stockTakeLineSchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true },
+    materialNameSnapshot: String,
+    category: String,
+    batchId: { type: String, required: true },
+    length: { type: mongoose.Types.Decimal128 }, // Profile only
+    lengthUnit: String,
+    gauge: String,
+    width: { type: mongoose.Types.Decimal128 }, // Wire Mesh roll width
+    widthUnit: String,
+    countByArea: { type: Boolean, default: false }, // Wire mesh counted in area rather than rolls
+    quantityUnit: String,
+    expectedQuantity: { type: mongoose.Types.Decimal128, required: true },
+    countedQuantity: { type: mongoose.Types.Decimal128 }, // Unset until counted
+    unitRate: { type: mongoose.Types.Decimal128 }, // Batch rate per quantityUnit, for the variance value
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    countedAt: Date,
+    postedQuantity: { type: mongoose.Types.Decimal128 }, // Correction actually posted on approval
+    notes: String
+});
+
+/**
+ * Schema for a physical stock-take (cycle count).
+ * Counting -> Submitted -> Approved. A submitted count can be sent back to Counting; anything not yet
+ * approved can be Cancelled. Approving posts the variances as 'Correction' stock transactions
+ * (relatedDocumentType 'StockTake').
+ */
+const stockTakeSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    stockTakeNumber: { type: String, required: true }, // e.g., ST-2024-001
+    status: {
+        type: String,
+        enum: ['Counting', 'Submitted', 'Approved', 'Cancelled'],
+        default: 'Counting'
+    },
+    scope: {
+        categories: [String],
+        materialIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2' }]
+    },
+    lines: [stockTakeLineSchema],
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: Date,
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: Date,
+    reviewNotes: String
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            // Decimal128 -> string, including lines
+            const convert = (value) => {
+                if (value instanceof mongoose.Types.Decimal128) return value.toString();
+                if (Array.isArray(value)) return value.map(convert);
+                if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(key => { value[key] = convert(value[key]); });
+                }
+                return value;
+            };
+            return convert(ret);
+        }
+    }
+});
+
+stockTakeSchema.index({ companyId: 1, stockTakeNumber: 1 }, { unique: true });
+stockTakeSchema.index({ companyId: 1, status: 1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
@@ -6,17 +6,22 @@ const stockTransactionSchema = new mongoose.Schema({
     materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true, index: true },
     type: { 
         type: String, 
-        enum: ['Inward', 'Outward-Manual', 'Outward-OrderCut', 'Scrap', 'Correction', 'InitialStock'], 
+        enum: ['Inward', 'Outward-Manual', 'Outward-OrderCut', 'Scrap', 'Correction', 'InitialStock', 'Remnant-Inward', 'Transfer-Out', 'Transfer-In'], 
         required: true 
     },
     length: { type: mongoose.Types.Decimal128 }, // Standard length affected (e.g., 12, 15, 16)
     lengthUnit: { type: String }, // Unit of the length (e.g., 'ft')
+    remnantId: { type: String }, // Set when the transaction moves a reusable offcut (MaterialV2.remnantBatches)
+    batchId: { type: String }, // Batch the stock came from or went into
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Where the batch sits (set on transfers)
+    valuationMethod: { type: String }, // Company valuation method the outward cost was taken with
     quantityChange: { type: mongoose.Types.Decimal128, required: true }, // Change amount
     quantityUnit: { type: String, required: true }, // Unit of the quantityChange, e.g., 'pcs' for profile pipes, 'sqft' for glass, 'kg' for profile bulk, 'pcs' for hardware
     unitRateAtTransaction: { type: mongoose.Types.Decimal128 }, // Rate of the item at the time of transaction (per quantityUnit)
     totalValueChange: { type: mongoose.Types.Decimal128 }, // quantityChange * unitRateAtTransaction (for valuation)
     relatedDocumentType: String, // e.g., 'Order', 'PurchaseOrder', 'ManualAdjustment'
     relatedDocumentId: mongoose.Schema.Types.ObjectId,
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', index: true }, // Order charged, when the related document covers several orders (CuttingBatch)
     notes: String,
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     transactionDate: { type: Date, default: Date.now },
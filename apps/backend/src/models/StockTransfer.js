@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * One batch quantity moved. Moving a whole batch relocates it; moving part of one splits the moved
+ * quantity into a new batch at the destination (same rate and purchase date, so FIFO order is kept).
+ */
+const stockTransferLineSchema = new mongoose.Schema({
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaterialV2', required: true },
+    materialNameSnapshot: String,
+    category: String,
+    batchId: { type: String, required: true }, // Source batch
+    destinationBatchId: String, // Same as batchId when the whole batch moved
+    length: { type: mongoose.Types.Decimal128 }, // Profile only
+    lengthUnit: String,
+    gauge: String,
+    quantity: { type: mongoose.Types.Decimal128, required: true }, // In the batch's quantity unit (pieces / rolls / stock units)
+    quantityUnit: String,
+    unitRate: { type: mongoose.Types.Decimal128 },
+    notes: String
+});
+
+/**
+ * Schema for a stock transfer between two locations.
+ * Transfers are posted when created: each line writes a 'Transfer-Out' transaction at the source
+ * and a matching 'Transfer-In' at the destination (relatedDocumentType 'StockTransfer').
+ */
+const stockTransferSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    transferNumber: { type: String, required: true }, // e.g., TR-2024-001
+    fromLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    toLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    transferDate: { type: Date, default: Date.now },
+    lines: [stockTransferLineSchema],
+    totalValue: { type: mongoose.Types.Decimal128, default: '0' },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            // Decimal128 -> string, including lines
+            const convert = (value) => {
+                if (value instanceof mongoose.Types.Decimal128) return value.toString();
+                if (Array.isArray(value)) return value.map(convert);
+                if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(key => { value[key] = convert(value[key]); });
+                }
+                return value;
+            };
+            return convert(ret);
+        }
+    }
+});
+
+stockTransferSchema.index({ companyId: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ companyId: 1, fromLocationId: 1, toLocationId: 1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
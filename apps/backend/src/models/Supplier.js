@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for Supplier.
+ * Vendors that purchase orders are raised against. Batches received through a purchase order
+ * keep the supplier's name in their free-text `supplier` field and its ID in `supplierId`.
+ */
+const supplierSchema = new mongoose.Schema({
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+    name: { type: String, required: [true, 'Supplier name is required'], trim: true },
+    contactPerson: { type: String, trim: true },
+    contactNumber: { type: String, trim: true },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/\S+@\S+\.\S+/, 'Please fill a valid email address']
+    },
+    address: String,
+    gstin: { type: String, trim: true },
+    paymentTerms: String,
+    leadTimeDays: { type: Number, min: 0 }, // Typical days from order to delivery
+    notes: String,
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+supplierSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -56,6 +56,28 @@ router.get('/available-batches/:materialId',
     batchInventoryController.getAvailableBatches
 );
 
+// Batches expired or close to expiry (Consumables with shelf life)
+router.get('/expiry-alerts', 
+    rbac(['Admin', 'Manager', 'Staff']), 
+    batchInventoryController.getExpiryAlerts
+);
+
+/**
+ * Remnant (Offcut) Routes
+ */
+
+// Get reusable offcuts for a Profile material
+router.get('/remnants/:materialId', 
+    rbac(['Admin', 'Manager', 'Staff']), 
+    batchInventoryController.getRemnants
+);
+
+// Consume or write off remnant pieces
+router.post('/remnants/:materialId/:remnantId/consume', 
+    rbac(['Admin', 'Manager', 'Staff']), 
+    batchInventoryController.consumeRemnant
+);
+
 /**
  * Material Management Routes
  */
@@ -78,6 +100,28 @@ router.delete('/materials/:materialId',
     batchInventoryController.deleteMaterial
 );
 
+/**
+ * Bulk Import Routes
+ */
+
+// Download the CSV template for material / opening stock import
+router.get('/import/template', 
+    rbac(['Admin', 'Manager']), 
+    batchInventoryController.getImportTemplate
+);
+
+// Validate an import sheet without saving (dry run)
+router.post('/import/preview', 
+    rbac(['Admin', 'Manager']), 
+    batchInventoryController.previewMaterialImport
+);
+
+// Import materials, gauge weights and opening stock from a sheet
+router.post('/import', 
+    rbac(['Admin', 'Manager']), 
+    batchInventoryController.importMaterials
+);
+
 /**
  * Wire Mesh Optimization Routes
  */
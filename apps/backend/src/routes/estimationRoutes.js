@@ -24,6 +24,22 @@ router.get('/',
     estimationController.listEstimations
 );
 
+// Import items from a site measurement sheet (CSV or text pasted from a spreadsheet)
+router.get('/import/template',
+    rbac(['Manager', 'Admin']),
+    estimationController.getImportTemplate
+);
+
+router.post('/import/preview',
+    rbac(['Manager', 'Admin']),
+    estimationController.previewImport
+);
+
+router.post('/import',
+    rbac(['Manager', 'Admin']),
+    estimationController.importEstimation
+);
+
 // Get a specific estimation
 router.get('/:id', 
     rbac(['Manager', 'Admin']), 
@@ -48,6 +64,12 @@ router.post('/:id/calculate',
     estimationController.calculateEstimationMaterials
 );
 
+// Add or replace an estimation's items from a site measurement sheet
+router.post('/:id/import',
+    rbac(['Manager', 'Admin']),
+    estimationController.importIntoEstimation
+);
+
 // Generate PDF for an estimation
 router.get('/:id/pdf', 
     rbac(['Manager', 'Admin']), 
@@ -60,6 +82,32 @@ router.post('/:id/to-quotation',
     estimationController.convertToQuotation
 );
 
+// Variants: named options (gauge, glass, product type overrides) priced side by side
+router.post('/:id/variants',
+    rbac(['Manager', 'Admin']),
+    estimationController.addVariant
+);
+
+router.get('/:id/variants/compare',
+    rbac(['Manager', 'Admin']),
+    estimationController.compareVariants
+);
+
+router.get('/:id/variants/compare/pdf',
+    rbac(['Manager', 'Admin']),
+    estimationController.generateVariantComparisonPDF
+);
+
+router.put('/:id/variants/:variantId',
+    rbac(['Manager', 'Admin']),
+    estimationController.updateVariant
+);
+
+router.delete('/:id/variants/:variantId',
+    rbac(['Manager', 'Admin']),
+    estimationController.deleteVariant
+);
+
 // NEW: Calculate glass for specific estimation item
 router.get('/:id/calculate-glass',
     rbac(['Manager', 'Admin', 'Staff']),
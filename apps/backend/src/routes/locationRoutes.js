@@ -0,0 +1,93 @@
+const express = require('express');
+const locationController = require('../controllers/locationController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/locations:
+ *   get:
+ *     summary: Lists stock locations, default first.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Locations.
+ *   post:
+ *     summary: Adds a stock location. The first location becomes the default.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name: { type: string }
+ *               code: { type: string }
+ *               address: { type: string }
+ *               notes: { type: string }
+ *               isDefault: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Location created.
+ *       400:
+ *         description: Missing or duplicate name.
+ */
+router.route('/')
+    .get(rbac(['Admin', 'Manager', 'Staff', 'Workshop']), locationController.getLocations)
+    .post(rbac(['Admin', 'Manager']), locationController.createLocation);
+
+/**
+ * @openapi
+ * /api/locations/{locationId}:
+ *   put:
+ *     summary: Updates a location, makes it the default, or deactivates it once it holds no stock.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: locationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location updated.
+ *       400:
+ *         description: The location is the default or still holds stock.
+ */
+router.put('/:locationId', rbac(['Admin', 'Manager']), locationController.updateLocation);
+
+/**
+ * @openapi
+ * /api/locations/{locationId}/stock:
+ *   get:
+ *     summary: Stock held at a location, per material and batch.
+ *     description: Batches recorded before locations were set up count as being at the default location.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Materials with their batches and value at the location.
+ */
+router.get('/:locationId/stock', rbac(['Admin', 'Manager', 'Staff', 'Workshop']), locationController.getLocationStock);
+
+module.exports = router;
@@ -28,9 +28,17 @@ router.use(protect);
  *               orderId:
  *                 type: string
  *                 description: The ID of the order to optimize.
+ *               strategy:
+ *                 type: string
+ *                 enum: [greedy, exact, localSearch, auto]
+ *                 default: greedy
+ *                 description: Cutting algorithm. 'exact' is branch-and-bound (small orders), 'localSearch' improves greedy within the time limit, 'auto' picks between them by order size.
+ *               timeLimitMs:
+ *                 type: integer
+ *                 description: Time limit per material for exact/localSearch (max 30000).
  *     responses:
  *       200:
- *         description: Optimization started, returns the created CuttingPlan.
+ *         description: Optimization complete. Returns the plan ID and a comparison of the chosen strategy with the greedy baseline (pipes used, scrap %).
  *         content:
  *           application/json:
  *             schema:
@@ -50,7 +58,7 @@ router.post('/optimize-cuts', rbac(['Admin', 'Manager']), manufacturingControlle
  * @openapi
  * /api/manufacturing/orders/{orderId}/cutting-plan:
  *   get:
- *     summary: Retrieves the generated cutting plan for a specific order.
+ *     summary: Retrieves the active cutting plan version (or a specific version) for an order.
  *     tags: [Manufacturing]
  *     security:
  *       - bearerAuth: []
@@ -61,6 +69,11 @@ router.post('/optimize-cuts', rbac(['Admin', 'Manager']), manufacturingControlle
  *         schema:
  *           type: string
  *         description: The ID of the order.
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Cutting plan version to return. Defaults to the active version.
  *     responses:
  *       200:
  *         description: Successfully retrieved the cutting plan.
@@ -77,6 +90,103 @@ router.post('/optimize-cuts', rbac(['Admin', 'Manager']), manufacturingControlle
  */
 router.get('/orders/:orderId/cutting-plan', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingPlanByOrderId);
 
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/cutting-plans:
+ *   get:
+ *     summary: Lists every cutting plan version of an order, newest first, with pipes, scrap and weight totals.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the cutting plan versions.
+ *       401:
+ *         description: Unauthorized.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/orders/:orderId/cutting-plans', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingPlanVersions);
+
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/cutting-plans/compare:
+ *   get:
+ *     summary: Compares two cutting plan versions of an order (pipes, remnants, scrap, weight), overall and per material.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order.
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Baseline version.
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version compared against the baseline. Differences are reported as to - from.
+ *     responses:
+ *       200:
+ *         description: Successfully compared the versions.
+ *       400:
+ *         description: Missing or invalid version numbers.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: One of the versions was not found.
+ */
+router.get('/orders/:orderId/cutting-plans/compare', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.compareCuttingPlanVersions);
+
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/cutting-plans/{version}/activate:
+ *   put:
+ *     summary: Makes a cutting plan version the active one used when committing cuts. Other versions are kept for audit.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order.
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The version to activate.
+ *     responses:
+ *       200:
+ *         description: Version activated.
+ *       400:
+ *         description: Invalid version, or the order's cuts are already committed.
+ *       401:
+ *         description: Unauthorized.
+ *       404:
+ *         description: Order or version not found.
+ */
+router.put('/orders/:orderId/cutting-plans/:version/activate', rbac(['Admin', 'Manager']), manufacturingController.activateCuttingPlanVersion);
+
 /**
  * @openapi
  * /api/manufacturing/orders/{orderId}/cutting-plan/svg:
@@ -141,6 +251,95 @@ router.get('/orders/:orderId/cutting-plan/svg', rbac(['Admin', 'Manager', 'Staff
  */
 router.get('/orders/:orderId/cutting-plan/pdf', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingPlanPdfByOrderId);
 
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/cutting-plan/export:
+ *   get:
+ *     summary: Exports the cutting plan as a machine-readable cut list for a saw / CNC controller.
+ *     description: One line (or XML element) per cut with bar sequence, cut order, lengths in the machine's unit, angles and label text. The layout comes from a company machine profile (see /api/settings/machine-profiles).
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
+ *         description: Machine profile to use. Defaults to the company's default profile.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, fixedWidth, xml]
+ *         description: Use the built-in layout in this format instead of a company profile.
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Cutting plan version. Defaults to the active version.
+ *     responses:
+ *       200:
+ *         description: The cut list file.
+ *         content:
+ *           text/csv: {}
+ *           text/plain: {}
+ *           application/xml: {}
+ *       400:
+ *         description: Invalid format or version.
+ *       404:
+ *         description: Cutting plan, order or machine profile not found.
+ */
+router.get('/orders/:orderId/cutting-plan/export', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.exportCutListByOrderId);
+
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/cutting-plan/labels:
+ *   get:
+ *     summary: Generates a PDF label sheet with one barcode label per cut piece of the cutting plan.
+ *     description: Each piece label shows order number, item label, product type, profile, length, angles, position (Top/Side) and a Code 128 barcode of the piece ID. Bars get their own label ahead of their pieces unless includeBars=false.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [50x25, 62x29, 100x50, 4x2in, a4-3x8, a4-2x7, letter-3x10]
+ *           default: 62x29
+ *         description: Label roll size (one label per page) or label sheet layout.
+ *       - in: query
+ *         name: includeBars
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Cutting plan version. Defaults to the active version.
+ *     responses:
+ *       200:
+ *         description: The label PDF.
+ *         content:
+ *           application/pdf: {}
+ *       400:
+ *         description: Invalid label size or version.
+ *       404:
+ *         description: Cutting plan or order not found.
+ */
+router.get('/orders/:orderId/cutting-plan/labels', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCutLabelsByOrderId);
+
 /**
  * @openapi
  * /api/manufacturing/orders/{orderId}/pipe-order-summary:
@@ -221,6 +420,65 @@ router.get('/orders/:orderId/pipe-order-summary', rbac(['Admin', 'Manager', 'Sta
  */
 router.put('/orders/:orderId/stage', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.updateOrderStage);
 
+/**
+ * @openapi
+ * /api/manufacturing/scans:
+ *   post:
+ *     summary: Records a shop-floor scan of a piece or item code.
+ *     description: A piece code (printed on the cut-piece label) records the event for that piece; an item code (<order number>-I<item>) records it for every piece of the item. Pieces must pass Cut, Assembled, QC Passed and Packed in that order. When every piece of the order reaches a stage, the order moves on (Cut -> Assembly, Assembled -> QC, QC Passed -> Packed, Packed -> Ready for Dispatch).
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - event
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SO-2024-001-2-1-3
+ *               event:
+ *                 type: string
+ *                 enum: [Cut, Assembled, QC Passed, Packed]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Scan recorded (pieces already at the stage are reported, not recorded again).
+ *       400:
+ *         description: Unknown code or event, cutting plan not committed, or pieces not at the previous stage.
+ *       404:
+ *         description: No order or piece for the code.
+ */
+router.post('/scans', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.recordProductionScan);
+
+/**
+ * @openapi
+ * /api/manufacturing/orders/{orderId}/progress:
+ *   get:
+ *     summary: Retrieves piece-level production progress of an order, rolled up per item and for the order.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pieces with their events (user and time), per-item and order counts per stage.
+ *       404:
+ *         description: Order not found.
+ */
+router.get('/orders/:orderId/progress', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getOrderProductionProgress);
+
 /**
  * @openapi
  * /api/manufacturing/orders/{orderId}/commit-cuts:
@@ -303,6 +561,235 @@ router.post('/orders/:orderId/commit-cuts', rbac(['Admin', 'Manager']), manufact
  */
 router.post('/orders/:orderId/commit-materials', rbac(['Admin', 'Manager']), manufacturingController.commitMaterialsForOrder);
 
+/**
+ * @openapi
+ * /api/manufacturing/batches/optimize:
+ *   post:
+ *     summary: Optimizes the cuts of several queued orders together in one cutting batch.
+ *     description: Cuts of different orders for the same material and gauge may share a pipe. Every cut keeps the order it belongs to.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderIds
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: string
+ *               strategy:
+ *                 type: string
+ *                 enum: [greedy, exact, localSearch, auto]
+ *                 default: greedy
+ *               timeLimitMs:
+ *                 type: integer
+ *                 description: Time limit per material for exact/localSearch (max 30000).
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cutting batch generated.
+ *       400:
+ *         description: Fewer than two orders, or an order is not ready, already committed or in another open batch.
+ *       404:
+ *         description: Order not found.
+ *       409:
+ *         description: Optimization already in progress for one of the orders.
+ */
+router.post('/batches/optimize', rbac(['Admin', 'Manager']), manufacturingController.optimizeCutsForBatch);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches:
+ *   get:
+ *     summary: Lists cutting batches, newest first.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Generated, Committed, Cancelled]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: Only batches containing this order.
+ *     responses:
+ *       200:
+ *         description: List of cutting batches.
+ */
+router.get('/batches', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingBatches);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}:
+ *   get:
+ *     summary: Retrieves a cutting batch with its material plans and, once committed, what each order was charged.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cutting batch.
+ *       404:
+ *         description: Cutting batch not found.
+ */
+router.get('/batches/:batchId', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingBatchById);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}/svg:
+ *   get:
+ *     summary: Retrieves an SVG of a cutting batch's layout.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SVG image of the batch layout.
+ *         content:
+ *           image/svg+xml: {}
+ *       404:
+ *         description: Cutting batch not found.
+ */
+router.get('/batches/:batchId/svg', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCuttingBatchSvg);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}/export:
+ *   get:
+ *     summary: Exports a cutting batch as a machine-readable cut list; each cut is labelled with its order.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, fixedWidth, xml]
+ *     responses:
+ *       200:
+ *         description: The cut list file.
+ *       404:
+ *         description: Cutting batch or machine profile not found.
+ */
+router.get('/batches/:batchId/export', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.exportCutListByBatchId);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}/labels:
+ *   get:
+ *     summary: Generates a PDF label sheet for a cutting batch; each piece label names the order it belongs to.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [50x25, 62x29, 100x50, 4x2in, a4-3x8, a4-2x7, letter-3x10]
+ *       - in: query
+ *         name: includeBars
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The label PDF.
+ *         content:
+ *           application/pdf: {}
+ *       400:
+ *         description: Invalid label size.
+ *       404:
+ *         description: Cutting batch not found.
+ */
+router.get('/batches/:batchId/labels', rbac(['Admin', 'Manager', 'Staff']), manufacturingController.getCutLabelsByBatchId);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}/commit:
+ *   post:
+ *     summary: Commits a cutting batch, deducting stock once and charging each order its share of every pipe.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch committed, inventory updated and all its orders moved to 'Cutting'.
+ *       400:
+ *         description: Batch not 'Generated', an order already committed, or insufficient stock.
+ *       404:
+ *         description: Cutting batch not found.
+ */
+router.post('/batches/:batchId/commit', rbac(['Admin', 'Manager']), manufacturingController.commitCuttingBatch);
+
+/**
+ * @openapi
+ * /api/manufacturing/batches/{batchId}/cancel:
+ *   post:
+ *     summary: Cancels a cutting batch that has not been committed.
+ *     tags: [Manufacturing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch cancelled; its orders can be optimized and committed on their own again.
+ *       400:
+ *         description: Batch is not 'Generated'.
+ *       404:
+ *         description: Cutting batch not found.
+ */
+router.post('/batches/:batchId/cancel', rbac(['Admin', 'Manager']), manufacturingController.cancelCuttingBatch);
+
 /**
  * @openapi
  * /api/manufacturing/queue:
@@ -27,6 +27,12 @@ router.post('/:orderId/check-stock', rbac(['Admin', 'Manager', 'Staff']), orderC
 // Route for generating stock availability check PDF
 router.get('/:orderId/stock-check-pdf', rbac(['Admin', 'Manager', 'Staff']), orderController.generateStockAvailabilityPDF);
 
+// Route to list the batch stock reserved for an order
+router.get('/:orderId/reservations', rbac(['Admin', 'Manager', 'Staff']), orderController.getOrderReservations);
+
+// Route to re-take stock reservations for an order (e.g. after stock arrives for a short order)
+router.post('/:orderId/reservations', rbac(['Admin', 'Manager']), orderController.refreshOrderReservations);
+
 // Route to update the status of an order
 router.put('/:orderId/status', rbac(['Admin', 'Manager']), orderController.updateOrderStatus);
 
@@ -0,0 +1,125 @@
+const express = require('express');
+const priceListController = require('../controllers/priceListController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/price-lists:
+ *   get:
+ *     summary: Lists material price lists.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Price lists, newest first, with activePriceListId (the one in effect today).
+ *   post:
+ *     summary: Creates a dated material price list.
+ *     description: |
+ *       Profiles are priced per kg, optionally per gauge (an entry without a gauge covers the rest); glass
+ *       per sqft or sqm; other materials per their stock unit. The list in effect on a date is the one with
+ *       the latest effectiveFrom on or before it. Estimations costing against the price list fall back to
+ *       the stock batch average for materials it does not price.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - effectiveFrom
+ *             properties:
+ *               name: { type: string }
+ *               effectiveFrom: { type: string, format: date }
+ *               notes: { type: string }
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [materialId, rate]
+ *                   properties:
+ *                     materialId: { type: string }
+ *                     gauge: { type: string, description: Profiles only; blank for every gauge }
+ *                     rate: { type: number }
+ *                     rateUnit: { type: string, description: "kg for profiles, sqft or sqm for glass, else the stock unit" }
+ *     responses:
+ *       201:
+ *         description: Price list created.
+ *       400:
+ *         description: Missing name or date, a negative rate, a wrong rate unit or a duplicate entry.
+ */
+router.route('/')
+    .get(rbac(['Admin', 'Manager']), priceListController.getPriceLists)
+    .post(rbac(['Admin', 'Manager']), priceListController.createPriceList);
+
+/**
+ * @openapi
+ * /api/price-lists/recost:
+ *   post:
+ *     summary: Re-costs open estimations and draft quotations at current rates.
+ *     description: |
+ *       Recalculates every calculated (not yet converted) estimation, keeping manual unit rates, and
+ *       refreshes the cost basis of draft quotations' costed items without changing their prices. Changes
+ *       in cost larger than thresholdPercent are flagged.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               thresholdPercent: { type: number, description: Defaults to the company's pricing.recostAlertPercent }
+ *     responses:
+ *       200:
+ *         description: Old and new cost per estimation and quotation, flagged rows first.
+ */
+router.post('/recost', rbac(['Admin', 'Manager']), priceListController.recostOpenWork);
+
+/**
+ * @openapi
+ * /api/price-lists/{priceListId}:
+ *   get:
+ *     summary: Retrieves a price list with its entries.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Price list.
+ *       404:
+ *         description: Price list not found.
+ *   put:
+ *     summary: Replaces a price list's name, date, notes and entries.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Price list updated.
+ *   delete:
+ *     summary: Deletes a price list.
+ *     tags: [Estimations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Deleted.
+ */
+router.route('/:priceListId')
+    .get(rbac(['Admin', 'Manager']), priceListController.getPriceListById)
+    .put(rbac(['Admin', 'Manager']), priceListController.updatePriceList)
+    .delete(rbac(['Admin', 'Manager']), priceListController.deletePriceList);
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require('express');
+const purchaseController = require('../controllers/purchaseController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/purchasing/suppliers:
+ *   get:
+ *     summary: Lists suppliers.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Suppliers sorted by name.
+ *   post:
+ *     summary: Adds a supplier.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name: { type: string }
+ *               contactPerson: { type: string }
+ *               contactNumber: { type: string }
+ *               email: { type: string }
+ *               address: { type: string }
+ *               gstin: { type: string }
+ *               paymentTerms: { type: string }
+ *               leadTimeDays: { type: integer }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Supplier created.
+ *       400:
+ *         description: Missing name or duplicate supplier.
+ */
+router.route('/suppliers')
+    .get(rbac(['Admin', 'Manager', 'Staff']), purchaseController.getSuppliers)
+    .post(rbac(['Admin', 'Manager']), purchaseController.createSupplier);
+
+/**
+ * @openapi
+ * /api/purchasing/suppliers/{supplierId}:
+ *   get:
+ *     summary: Retrieves a supplier with its recent purchase orders.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier details.
+ *       404:
+ *         description: Supplier not found.
+ *   put:
+ *     summary: Updates a supplier.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Supplier updated.
+ *   delete:
+ *     summary: Deactivates a supplier (kept for purchase order and batch history).
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Supplier deactivated.
+ */
+router.route('/suppliers/:supplierId')
+    .get(rbac(['Admin', 'Manager', 'Staff']), purchaseController.getSupplierById)
+    .put(rbac(['Admin', 'Manager']), purchaseController.updateSupplier)
+    .delete(rbac(['Admin', 'Manager']), purchaseController.deleteSupplier);
+
+/**
+ * @openapi
+ * /api/purchasing/purchase-orders:
+ *   get:
+ *     summary: Lists purchase orders.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Ordered, Partially Received, Received, Closed, Cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the PO number.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase orders, newest first.
+ *   post:
+ *     summary: Raises a draft purchase order.
+ *     description: Profiles are ordered per pipe length and gauge, wire mesh per roll (width from the material's standard widths and roll length), other materials in their stock unit.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - lines
+ *             properties:
+ *               supplierId: { type: string }
+ *               expectedDate: { type: string, format: date }
+ *               notes: { type: string }
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [materialId, quantity, unitPrice]
+ *                   properties:
+ *                     materialId: { type: string }
+ *                     quantity: { type: number }
+ *                     unitPrice: { type: number }
+ *                     length: { type: number }
+ *                     lengthUnit: { type: string }
+ *                     gauge: { type: string }
+ *                     width: { type: number }
+ *                     notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Purchase order created.
+ *       400:
+ *         description: Invalid lines.
+ *       404:
+ *         description: Supplier or material not found.
+ */
+router.route('/purchase-orders')
+    .get(rbac(['Admin', 'Manager', 'Staff']), purchaseController.getPurchaseOrders)
+    .post(rbac(['Admin', 'Manager']), purchaseController.createPurchaseOrder);
+
+/**
+ * @openapi
+ * /api/purchasing/purchase-orders/{poId}:
+ *   get:
+ *     summary: Retrieves a purchase order with its receipts and the stock transactions they created.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: poId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order details.
+ *       404:
+ *         description: Purchase order not found.
+ *   put:
+ *     summary: Edits a draft purchase order.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purchase order updated.
+ *       400:
+ *         description: The purchase order is no longer a draft, or lines are invalid.
+ */
+router.route('/purchase-orders/:poId')
+    .get(rbac(['Admin', 'Manager', 'Staff']), purchaseController.getPurchaseOrderById)
+    .put(rbac(['Admin', 'Manager']), purchaseController.updatePurchaseOrder);
+
+/**
+ * @openapi
+ * /api/purchasing/purchase-orders/{poId}/place:
+ *   post:
+ *     summary: Marks a draft purchase order as ordered from the supplier.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purchase order placed.
+ */
+router.post('/purchase-orders/:poId/place', rbac(['Admin', 'Manager']), purchaseController.placePurchaseOrder);
+
+/**
+ * @openapi
+ * /api/purchasing/purchase-orders/{poId}/receive:
+ *   post:
+ *     summary: Receives goods against a purchase order, fully or in part.
+ *     description: Each received line is recorded as a new stock batch on its material. The batch keeps the supplier and PO, and its stock transaction has relatedDocumentType 'PurchaseOrder'.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lines
+ *             properties:
+ *               invoiceNumber: { type: string }
+ *               notes: { type: string }
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [lineId, quantity]
+ *                   properties:
+ *                     lineId: { type: string }
+ *                     quantity: { type: number }
+ *                     totalCost:
+ *                       type: number
+ *                       description: Defaults to quantity x the line's unit price.
+ *                     actualWeight: { type: number }
+ *                     actualWeightUnit: { type: string }
+ *                     lotNumber: { type: string }
+ *     responses:
+ *       200:
+ *         description: Goods received into stock.
+ *       400:
+ *         description: Purchase order not open, or more received than outstanding.
+ */
+router.post('/purchase-orders/:poId/receive', rbac(['Admin', 'Manager', 'Staff']), purchaseController.receivePurchaseOrder);
+
+/**
+ * @openapi
+ * /api/purchasing/purchase-orders/{poId}/cancel:
+ *   post:
+ *     summary: Cancels a purchase order, or closes it if goods have already been received.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled or closed.
+ */
+router.post('/purchase-orders/:poId/cancel', rbac(['Admin', 'Manager']), purchaseController.cancelPurchaseOrder);
+
+/**
+ * @openapi
+ * /api/purchasing/suggestions:
+ *   get:
+ *     summary: Suggested buy list per supplier.
+ *     description: |
+ *       Adds up what open orders still need to draw from stock, sets it against batch stock, quantities
+ *       outstanding on placed purchase orders and the batches' reorder levels. Profiles are broken down by
+ *       pipe length and gauge, wire mesh by roll width.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suggested lines grouped by supplier, the open orders considered, and requirements that could not be planned.
+ */
+router.get('/suggestions', rbac(['Admin', 'Manager', 'Staff']), purchaseController.getPurchaseSuggestions);
+
+/**
+ * @openapi
+ * /api/purchasing/suggestions/draft-po:
+ *   post:
+ *     summary: Raises a draft purchase order from one supplier's suggested lines.
+ *     tags: [Purchasing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *             properties:
+ *               supplierId: { type: string, description: Supplier the purchase order is raised against }
+ *               fromGroup: { type: string, description: "Suggestion group to take lines from: a supplier ID or 'unassigned'. Defaults to supplierId." }
+ *               materialIds: { type: array, items: { type: string }, description: Only include these materials }
+ *               expectedDate: { type: string, format: date }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Draft purchase order created; lines missing a price, gauge or roll length are listed as skipped.
+ *       400:
+ *         description: None of the suggested lines can be ordered yet.
+ *       404:
+ *         description: Nothing suggested for this supplier.
+ */
+router.post('/suggestions/draft-po', rbac(['Admin', 'Manager']), purchaseController.createPurchaseOrderFromSuggestions);
+
+module.exports = router;
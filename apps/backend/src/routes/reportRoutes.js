@@ -7,7 +7,9 @@ const {
     getQuotationReport,
     getSalesOrderReport,
     getInventoryReport,
+    getStockValuationReport,
     getManufacturingReport,
+    getWastageReport,
     getDashboardOverview
 } = require('../controllers/reportController');
 
@@ -73,6 +75,17 @@ router.get('/sales-orders', rbac(['Admin', 'Manager', 'Staff']), getSalesOrderRe
  */
 router.get('/inventory', rbac(['Admin', 'Manager', 'Staff']), getInventoryReport);
 
+/**
+ * Stock valuation report endpoint
+ * @route GET /api/reports/stock-valuation
+ * @desc Get opening, inward, outward and closing quantity and value by material and category from the stock ledger
+ * @access Private (Admin, Manager)
+ * @query {string} startDate - Period start (opening balance is everything before it)
+ * @query {string} endDate - Period end, defaults to now
+ * @query {string} category - Material category filter (Profile, Glass, Hardware, etc.)
+ */
+router.get('/stock-valuation', rbac(['Admin', 'Manager']), getStockValuationReport);
+
 /**
  * Manufacturing analytics endpoints
  * @route GET /api/reports/manufacturing
@@ -84,4 +97,17 @@ router.get('/inventory', rbac(['Admin', 'Manager', 'Staff']), getInventoryReport
  */
 router.get('/manufacturing', rbac(['Admin', 'Manager', 'Staff']), getManufacturingReport);
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * Wastage analytics endpoint
+ * @route GET /api/reports/wastage
+ * @desc Get offcut waste and scrap write-offs with length, weight and value at batch cost, a monthly trend
+ *       and estimated vs actual offcut per order
+ * @access Private (Admin, Manager)
+ * @query {string} startDate - Start date filter (YYYY-MM-DD)
+ * @query {string} endDate - End date filter (YYYY-MM-DD)
+ * @query {string} materialId - Material ID filter
+ * @query {string} groupBy - material (default), gauge, productType, operator or period
+ */
+router.get('/wastage', rbac(['Admin', 'Manager']), getWastageReport);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const scrapDisposalController = require('../controllers/scrapDisposalController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/scrap-disposals:
+ *   get:
+ *     summary: Lists scrap sales.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: materialId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Disposals, newest first.
+ *   post:
+ *     summary: Records scrap sold to a buyer by weight.
+ *     description: |
+ *       Each line posts an outward 'Scrap' stock transaction in kg at no stock value (the scrap was costed
+ *       when it was cut or written off). The amount (weight x rate per kg) is reported as other income in
+ *       the P&L. Weights above the accumulated scrap are allowed and returned as warnings.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - buyer
+ *               - lines
+ *             properties:
+ *               buyer:
+ *                 type: object
+ *                 required: [name]
+ *                 properties:
+ *                   name: { type: string }
+ *                   phone: { type: string }
+ *                   gstin: { type: string }
+ *               disposalDate: { type: string, format: date }
+ *               notes: { type: string }
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [materialId, weight, ratePerKg]
+ *                   properties:
+ *                     materialId: { type: string }
+ *                     weight: { type: number, description: kg }
+ *                     ratePerKg: { type: number }
+ *                     notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Disposal posted.
+ *       400:
+ *         description: Missing buyer, or a line without weight or with a negative rate.
+ */
+router.route('/')
+    .get(rbac(['Admin', 'Manager']), scrapDisposalController.getScrapDisposals)
+    .post(rbac(['Admin', 'Manager']), scrapDisposalController.createScrapDisposal);
+
+/**
+ * @openapi
+ * /api/scrap-disposals/balances:
+ *   get:
+ *     summary: Accumulated scrap weight per material that has not been sold yet.
+ *     description: Generated weight is the wastage report's waste weight (cutting waste and write-offs) to date.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balances per material, heaviest first.
+ */
+router.get('/balances', rbac(['Admin', 'Manager']), scrapDisposalController.getScrapBalances);
+
+/**
+ * @openapi
+ * /api/scrap-disposals/{disposalId}:
+ *   get:
+ *     summary: Retrieves a disposal with the stock transactions it posted.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Disposal details.
+ *       404:
+ *         description: Disposal not found.
+ */
+router.get('/:disposalId', rbac(['Admin', 'Manager']), scrapDisposalController.getScrapDisposalById);
+
+module.exports = router;
@@ -7,6 +7,10 @@ const {
     addPredefinedCharge,
     updatePredefinedCharge,
     deletePredefinedCharge,
+    getMachineProfiles,
+    addMachineProfile,
+    updateMachineProfile,
+    deleteMachineProfile,
     getHelpContent,
     getChangelogContent
 } = require('../controllers/settingsController');
@@ -52,6 +56,31 @@ router.delete('/charges/:chargeId',
     deletePredefinedCharge
 );
 
+// Cut-list Machine Profile Routes
+router.get('/machine-profiles', 
+    protect, 
+    rbac(['Manager', 'Admin']), 
+    getMachineProfiles
+);
+
+router.post('/machine-profiles', 
+    protect, 
+    rbac(['Manager', 'Admin']), 
+    addMachineProfile
+);
+
+router.put('/machine-profiles/:profileId', 
+    protect, 
+    rbac(['Manager', 'Admin']), 
+    updateMachineProfile
+);
+
+router.delete('/machine-profiles/:profileId', 
+    protect, 
+    rbac(['Manager', 'Admin']), 
+    deleteMachineProfile
+);
+
 // Help & Changelog Routes
 router.get('/help', 
     protect, 
@@ -0,0 +1,184 @@
+const express = require('express');
+const stockTakeController = require('../controllers/stockTakeController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/stock-takes:
+ *   get:
+ *     summary: Lists stock-takes with their count and variance summary.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Counting, Submitted, Approved, Cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock-takes, newest first.
+ *   post:
+ *     summary: Starts a stock-take.
+ *     description: Snapshots the book quantity of every active batch of the chosen materials and categories. Profiles are listed per batch with length and gauge.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories: { type: array, items: { type: string } }
+ *               materialIds: { type: array, items: { type: string } }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Stock-take started.
+ *       400:
+ *         description: Nothing selected, nothing in stock, or a material is already in an open count.
+ */
+router.route('/')
+    .get(rbac(['Admin', 'Manager', 'Staff', 'Workshop']), stockTakeController.getStockTakes)
+    .post(rbac(['Admin', 'Manager']), stockTakeController.createStockTake);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}:
+ *   get:
+ *     summary: Retrieves a stock-take with per-line variances and the corrections it posted.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stockTakeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock-take details.
+ *       404:
+ *         description: Stock-take not found.
+ */
+router.get('/:stockTakeId', rbac(['Admin', 'Manager', 'Staff', 'Workshop']), stockTakeController.getStockTakeById);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}/counts:
+ *   put:
+ *     summary: Records counted quantities while the stock-take is being counted.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counts
+ *             properties:
+ *               counts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [lineId]
+ *                   properties:
+ *                     lineId: { type: string }
+ *                     countedQuantity: { type: number, nullable: true, description: Empty or null clears the count }
+ *                     notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Counts saved.
+ *       400:
+ *         description: The stock-take is no longer being counted, or a quantity is invalid.
+ */
+router.put('/:stockTakeId/counts', rbac(['Admin', 'Manager', 'Staff', 'Workshop']), stockTakeController.recordCounts);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}/submit:
+ *   post:
+ *     summary: Submits the count for review. Uncounted lines are left unchanged.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock-take submitted.
+ */
+router.post('/:stockTakeId/submit', rbac(['Admin', 'Manager', 'Staff', 'Workshop']), stockTakeController.submitStockTake);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}/reopen:
+ *   post:
+ *     summary: Sends a submitted stock-take back for recounting.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock-take reopened for counting.
+ */
+router.post('/:stockTakeId/reopen', rbac(['Admin', 'Manager']), stockTakeController.reopenStockTake);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}/approve:
+ *   post:
+ *     summary: Approves the variances and posts them to stock.
+ *     description: Each variance is posted as a 'Correction' stock transaction (relatedDocumentType 'StockTake') and applied to the batch's current quantity.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNotes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Corrections posted; batches that no longer exist are listed as skipped.
+ *       400:
+ *         description: The stock-take has not been submitted.
+ */
+router.post('/:stockTakeId/approve', rbac(['Admin', 'Manager']), stockTakeController.approveStockTake);
+
+/**
+ * @openapi
+ * /api/stock-takes/{stockTakeId}/cancel:
+ *   post:
+ *     summary: Cancels a stock-take that has not been approved.
+ *     tags: [Stock Take]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock-take cancelled.
+ */
+router.post('/:stockTakeId/cancel', rbac(['Admin', 'Manager']), stockTakeController.cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const stockTransferController = require('../controllers/stockTransferController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/stock-transfers:
+ *   get:
+ *     summary: Lists stock transfers between locations.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Transfers from or to this location.
+ *       - in: query
+ *         name: materialId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transfers, newest first.
+ *   post:
+ *     summary: Moves batch stock from one location to another.
+ *     description: |
+ *       Moving a whole batch relocates it; moving part of a batch splits the moved quantity into a new batch
+ *       at the destination with the same rate and purchase date. Each line posts a 'Transfer-Out' and a
+ *       'Transfer-In' stock transaction.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromLocationId
+ *               - toLocationId
+ *               - lines
+ *             properties:
+ *               fromLocationId: { type: string }
+ *               toLocationId: { type: string }
+ *               notes: { type: string }
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [materialId, batchId, quantity]
+ *                   properties:
+ *                     materialId: { type: string }
+ *                     batchId: { type: string }
+ *                     quantity: { type: number, description: Pieces for profiles, rolls for wire mesh, stock units otherwise }
+ *                     notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Transfer posted.
+ *       400:
+ *         description: A batch is not at the source location or holds less than requested.
+ */
+router.route('/')
+    .get(rbac(['Admin', 'Manager', 'Staff']), stockTransferController.getStockTransfers)
+    .post(rbac(['Admin', 'Manager', 'Staff']), stockTransferController.createStockTransfer);
+
+/**
+ * @openapi
+ * /api/stock-transfers/{transferId}:
+ *   get:
+ *     summary: Retrieves a transfer with the stock transactions it posted.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Transfer details.
+ *       404:
+ *         description: Transfer not found.
+ */
+router.get('/:transferId', rbac(['Admin', 'Manager', 'Staff']), stockTransferController.getStockTransferById);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const traceabilityController = require('../controllers/traceabilityController');
+const { protect } = require('../controllers/authController');
+const rbac = require('../middleware/rbac');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+/**
+ * @openapi
+ * /api/traceability/lots:
+ *   get:
+ *     summary: Traces a supplier lot (or a single batch) to the orders, invoices and other issues that used it.
+ *     description: Follows batches split off by stock transfers and offcuts cut from the lot's pipes.
+ *     tags: [Traceability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lotNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batches of the lot, orders with their usage and invoices, and usage not charged to an order.
+ *       404:
+ *         description: No batch carries the lot number.
+ */
+router.get('/lots', rbac(['Admin', 'Manager', 'Staff']), traceabilityController.traceLot);
+
+/**
+ * @openapi
+ * /api/traceability/orders/{orderId}:
+ *   get:
+ *     summary: Lists the batches and supplier lots an order's material was drawn from.
+ *     tags: [Traceability]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         description: Order id or order number (e.g. SO-2024-001).
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order, its invoices and the lots used with quantity and value.
+ *       404:
+ *         description: Order not found.
+ */
+router.get('/orders/:orderId', rbac(['Admin', 'Manager', 'Staff']), traceabilityController.traceOrder);
+
+module.exports = router;
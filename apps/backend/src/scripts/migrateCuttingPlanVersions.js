@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CuttingPlan = require('../models/CuttingPlan');
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/aluminium_app_dev';
+        await mongoose.connect(uri);
+        console.log('[Migration] Connected to MongoDB');
+    } catch (error) {
+        console.error('[Migration] MongoDB connection error:', error);
+        process.exit(1);
+    }
+};
+
+/**
+ * Cutting plans used to be unique per order. Drops that index, stamps existing plans as
+ * version 1 / active and builds the versioned indexes.
+ */
+const migrateCuttingPlanVersions = async () => {
+    try {
+        console.log('[Migration] Starting cutting plan versioning migration...');
+        const collection = mongoose.connection.collection('cuttingplans');
+
+        const indexes = await collection.indexes();
+        const legacyIndex = indexes.find(index => index.name === 'orderId_1' && index.unique && !index.partialFilterExpression);
+        if (legacyIndex) {
+            await collection.dropIndex('orderId_1');
+            console.log('[Migration] Dropped unique index orderId_1');
+        }
+
+        const result = await collection.updateMany(
+            { version: { $exists: false } },
+            { $set: { version: 1, isActive: true } }
+        );
+        console.log(`[Migration] Stamped ${result.modifiedCount} existing plan(s) as version 1`);
+
+        await CuttingPlan.syncIndexes();
+        console.log('[Migration] Cutting plan indexes are in sync');
+    } catch (error) {
+        console.error('[Migration] Error during migration:', error);
+        throw error;
+    }
+};
+
+const main = async () => {
+    try {
+        await connectDB();
+        await migrateCuttingPlanVersions();
+        console.log('[Migration] All migrations completed successfully!');
+    } catch (error) {
+        console.error('[Migration] Migration failed:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('[Migration] Disconnected from MongoDB');
+        process.exit(0);
+    }
+};
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { migrateCuttingPlanVersions };
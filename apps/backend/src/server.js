@@ -22,6 +22,13 @@ const manufacturingRoutes = require('./routes/manufacturingRoutes'); // Import m
 const invoiceRoutes = require('./routes/invoiceRoutes'); // Import invoice routes
 const accountingRoutes = require('./routes/accountingRoutes'); // Import accounting routes
 const reportRoutes = require('./routes/reportRoutes'); // Import report routes
+const purchaseRoutes = require('./routes/purchaseRoutes'); // Suppliers and purchase orders
+const stockTakeRoutes = require('./routes/stockTakeRoutes'); // Physical stock counts
+const locationRoutes = require('./routes/locationRoutes'); // Stock locations (godowns, site stores)
+const stockTransferRoutes = require('./routes/stockTransferRoutes'); // Stock moves between locations
+const traceabilityRoutes = require('./routes/traceabilityRoutes'); // Lot traceability (lot <-> orders)
+const scrapDisposalRoutes = require('./routes/scrapDisposalRoutes'); // Scrap sales by weight
+const priceListRoutes = require('./routes/priceListRoutes'); // Dated material price lists and re-costing
 // Add other route imports here (e.g., clientRoutes, productRoutes)
 
 const app = express();
@@ -37,7 +44,7 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: '5mb' })); // Parse JSON bodies (spreadsheet imports post the whole sheet)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(cookieParser()); // Parse cookies BEFORE your routes that need them
 
@@ -74,6 +81,13 @@ app.use('/api/manufacturing', manufacturingRoutes); // Mount manufacturing route
 app.use('/api/invoices', invoiceRoutes); // Mount invoice routes
 app.use('/api/accounting', accountingRoutes); // Mount accounting routes
 app.use('/api/reports', reportRoutes); // Mount report routes
+app.use('/api/purchasing', purchaseRoutes); // Mount purchasing routes
+app.use('/api/stock-takes', stockTakeRoutes); // Mount stock-take routes
+app.use('/api/locations', locationRoutes); // Mount location routes
+app.use('/api/stock-transfers', stockTransferRoutes); // Mount stock transfer routes
+app.use('/api/traceability', traceabilityRoutes); // Mount lot traceability routes
+app.use('/api/scrap-disposals', scrapDisposalRoutes); // Mount scrap disposal routes
+app.use('/api/price-lists', priceListRoutes); // Mount price list routes
 // Mount other routes here:
 // app.use('/api/clients', clientRoutes);
 // app.use('/api/products', productRoutes);
@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const Decimal = require('decimal.js');
 const MaterialV2 = require('../models/MaterialV2');
 const StockTransaction = require('../models/StockTransaction');
+const InventoryValuationService = require('./inventoryValuationService');
+const LocationService = require('./locationService');
+const { convertUnit } = require('../utils/unitConverter');
+const { resolveCuttingConfig } = require('../utils/cuttingConfig');
 
 /**
  * Batch-Based Inventory Service
@@ -22,8 +26,12 @@ class BatchInventoryService {
             length, lengthUnit, gauge,
             quantity, actualWeight, actualWeightUnit,
             totalCost, supplier, invoiceNumber, lotNumber, notes,
+            expiryDate, // Optional shelf-life end (Consumables and other simple-batch materials)
             // For new material creation
-            name, category, stockUnit, usageUnit, brand, hsnCode, description
+            name, category, stockUnit, usageUnit, brand, hsnCode, description,
+            // Set when the stock arrives against a purchase order
+            supplierId, purchaseOrderId,
+            locationId // Where the stock is put away; defaults to the company's default location
         } = data;
 
         // Validate required fields
@@ -33,6 +41,9 @@ class BatchInventoryService {
         if (!totalCost || totalCost <= 0) {
             throw new Error('Total cost must be greater than 0');
         }
+        if (expiryDate && isNaN(new Date(expiryDate).getTime())) {
+            throw new Error('Expiry date is not a valid date');
+        }
         
         // TEMPORARILY COMMENTED OUT - Only validate length after loading material
         // Only require length for Profile materials (other categories don't need length/gauge)
@@ -122,6 +133,9 @@ class BatchInventoryService {
 
         // Generate unique batch ID
         const batchId = MaterialV2.generateBatchId();
+        const batchLocationId = locationId
+            ? (await LocationService.findLocation(companyId, locationId))._id
+            : await LocationService.getDefaultLocationId(companyId);
 
         // Calculate rates
         const ratePerPiece = parseFloat((totalCost / quantity).toFixed(4));
@@ -152,6 +166,9 @@ class BatchInventoryService {
                 ratePerPiece: mongoose.Types.Decimal128.fromString(String(ratePerPiece)),
                 ratePerKg: ratePerKg ? mongoose.Types.Decimal128.fromString(String(ratePerKg)) : null,
                 supplier: supplier || material.supplier,
+                supplierId,
+                purchaseOrderId,
+                locationId: batchLocationId,
                 purchaseDate: new Date(),
                 invoiceNumber,
                 lotNumber,
@@ -206,6 +223,9 @@ class BatchInventoryService {
                     ratePerUnit: mongoose.Types.Decimal128.fromString(String(ratePerPiece)), // Rate per roll/piece
                     ratePerArea: mongoose.Types.Decimal128.fromString(String(totalCost / totalArea)), // Rate per sqft
                     supplier: supplier || material.supplier,
+                    supplierId,
+                    purchaseOrderId,
+                    locationId: batchLocationId,
                     purchaseDate: new Date(),
                     invoiceNumber,
                     lotNumber,
@@ -226,9 +246,13 @@ class BatchInventoryService {
                     totalCostPaid: mongoose.Types.Decimal128.fromString(String(totalCost)),
                     ratePerUnit: mongoose.Types.Decimal128.fromString(String(ratePerPiece)),
                     supplier: supplier || material.supplier,
+                    supplierId,
+                    purchaseOrderId,
+                    locationId: batchLocationId,
                     purchaseDate: new Date(),
                     invoiceNumber,
                     lotNumber,
+                    expiryDate: expiryDate ? new Date(expiryDate) : undefined,
                     notes,
                     isActive: true,
                     isCompleted: false,
@@ -299,6 +323,9 @@ class BatchInventoryService {
             notes: material.category === 'Profile' 
                 ? `Stock inward: ${quantity} pieces of ${length}${lengthUnit}${gauge ? ` ${gauge}` : ''}${supplier ? ` from ${supplier}` : ''}`
                 : `Stock inward: ${quantity} ${material.usageUnit} of ${material.name}${supplier ? ` from ${supplier}` : ''}`,
+            locationId: batchLocationId,
+            relatedDocumentType: purchaseOrderId ? 'PurchaseOrder' : undefined,
+            relatedDocumentId: purchaseOrderId,
             createdBy: userId
         });
 
@@ -329,7 +356,8 @@ class BatchInventoryService {
             consumptionType = 'Production',
             sortOrder = 'FIFO',
             notes,
-            userId
+            userId,
+            orderId // Set when the mesh is consumed for an order
         } = consumeData;
 
         const material = await MaterialV2.findOne({ _id: materialId, companyId });
@@ -382,6 +410,9 @@ class BatchInventoryService {
             throw new Error(`Insufficient area. Required: ${totalAreaNeeded} sqft, Available: ${totalAvailableArea.toFixed(2)} sqft`);
         }
 
+        const valuationMethod = await InventoryValuationService.getValuationMethod(companyId);
+        const averageRates = InventoryValuationService.averageRates(material, true);
+
         let remainingAreaToConsume = totalAreaNeeded;
         const consumedBatches = [];
         const transactionsToCreate = [];
@@ -415,8 +446,7 @@ class BatchInventoryService {
             }
 
             // Calculate cost for consumed area
-            const batchRatePerArea = batch.ratePerArea ? parseFloat(batch.ratePerArea.toString()) : 
-                parseFloat(batch.ratePerUnit.toString()) / areaPerRoll;
+            const batchRatePerArea = InventoryValuationService.consumptionRate(material, batch, valuationMethod, { averageRates, byArea: true });
             const consumedCost = areaToConsume * batchRatePerArea;
 
             consumedBatches.push({
@@ -445,9 +475,11 @@ class BatchInventoryService {
                 quantityChange: mongoose.Types.Decimal128.fromString((-areaToConsume).toString()),
                 quantityUnit: 'sqft',
                 unitRateAtTransaction: mongoose.Types.Decimal128.fromString(batchRatePerArea.toString()),
+                batchId: batch.batchId,
+                valuationMethod,
                 totalValueChange: mongoose.Types.Decimal128.fromString((-consumedCost).toString()),
-                relatedDocumentType: 'BatchOperation',
-                relatedDocumentId: null,
+                relatedDocumentType: orderId ? 'Order' : 'BatchOperation',
+                relatedDocumentId: orderId || null,
                 notes: `${consumptionType}: ${areaToConsume.toFixed(2)} sqft (${rollsToConsume.toFixed(3)} rolls) from ${optimization.selectedWidth}ft width batch. Required: ${requiredWidth}ft × ${requiredLength}ft [Batch: ${batch.batchId}]`,
                 createdBy: userId,
                 transactionDate: new Date()
@@ -458,6 +490,8 @@ class BatchInventoryService {
             remainingAreaToConsume -= areaToConsume;
         }
 
+        InventoryValuationService.revalueToAverage(material, valuationMethod, averageRates, true);
+
         // Save material with updated batch quantities
         await material.save();
 
@@ -486,7 +520,9 @@ class BatchInventoryService {
     }
 
     /**
-     * Consume stock using FIFO/LIFO
+     * Consume stock using FIFO/LIFO. Under FIFO and SpecificBatch valuation the draw order decides the cost,
+     * so stock is always drawn oldest first (or from consumeData.batchId); a LIFO sortOrder is only honoured
+     * under WeightedAverage, where every draw is costed at the same average rate.
      * @param {string} materialId 
      * @param {object} consumeData 
      * @returns {object} - Consumption details
@@ -497,7 +533,8 @@ class BatchInventoryService {
             length, lengthUnit, gauge,
             quantityNeeded,
             consumptionType = 'Production', // 'Production', 'Scrap', 'Transfer', etc.
-            sortOrder = 'FIFO', // 'FIFO' or 'LIFO'
+            sortOrder: requestedSortOrder = 'FIFO', // 'FIFO' or 'LIFO' (WeightedAverage valuation only)
+            batchId, // Draw from this batch only (specific-batch issue)
             notes,
             userId
         } = consumeData;
@@ -507,13 +544,24 @@ class BatchInventoryService {
             throw new Error('Material not found or access denied');
         }
 
+        // Cost the consumption with the company's valuation method, rates taken before any batch is reduced
+        const valuationMethod = await InventoryValuationService.getValuationMethod(companyId);
+        const averageRates = InventoryValuationService.averageRates(material);
+        const sortOrder = valuationMethod === 'WeightedAverage' ? requestedSortOrder : 'FIFO';
+
         // Find available batches
-        const availableBatches = material.getAvailableBatches({
-            length, lengthUnit, gauge, minQuantity: 0.001
+        let availableBatches = material.getAvailableBatches({
+            length, lengthUnit, gauge, minQuantity: 0.001,
+            includeExpired: consumptionType === 'Scrap' // Expired stock can only be written off
         }, sortOrder);
+        if (batchId) {
+            availableBatches = availableBatches.filter(batch => batch.batchId === batchId);
+        }
 
         if (availableBatches.length === 0) {
-            throw new Error(`No stock available for ${length}${lengthUnit}${gauge ? ` ${gauge}` : ''}`);
+            throw new Error(batchId
+                ? `Batch ${batchId} has no stock available${length ? ` for ${length}${lengthUnit}${gauge ? ` ${gauge}` : ''}` : ''}`
+                : `No stock available for ${length}${lengthUnit}${gauge ? ` ${gauge}` : ''}`);
         }
 
         // Calculate total available
@@ -553,10 +601,7 @@ class BatchInventoryService {
                 actualWeightConsumed = (totalWeight * toConsume / originalQty);
             }
 
-            // Get the correct rate field based on material category
-            const batchRate = material.category === 'Profile' 
-                ? parseFloat(batch.ratePerPiece.toString())
-                : parseFloat(batch.ratePerUnit.toString());
+            const batchRate = InventoryValuationService.consumptionRate(material, batch, valuationMethod, { averageRates });
 
             consumedBatches.push({
                 batchId: batch.batchId,
@@ -573,10 +618,11 @@ class BatchInventoryService {
                 companyId,
                 materialId: material._id,
                 batchId: batch.batchId,
-                type: 'Outward-Manual',
+                type: consumptionType === 'Scrap' ? 'Scrap' : 'Outward-Manual', // Write-offs feed the wastage report
                 subType: consumptionType,
                 quantityChange: -toConsume, // Negative for outward
                 unitRateAtTransaction: batchRate,
+                valuationMethod,
                 length: material.category === 'Profile' ? length : undefined,
                 lengthUnit: material.category === 'Profile' ? lengthUnit : undefined,
                 gauge: material.category === 'Profile' ? gauge : undefined,
@@ -589,6 +635,8 @@ class BatchInventoryService {
             remainingToConsume -= toConsume;
         }
 
+        InventoryValuationService.revalueToAverage(material, valuationMethod, averageRates);
+
         // Save material with updated batch quantities
         await material.save();
 
@@ -632,10 +680,13 @@ class BatchInventoryService {
         // Convert aggregated totals to strings
         const aggregatedTotals = {
             totalCurrentStock: material.aggregatedTotals?.totalCurrentStock?.toString() || '0',
+            totalReservedStock: material.aggregatedTotals?.totalReservedStock?.toString() || '0',
             totalCurrentWeight: material.aggregatedTotals?.totalCurrentWeight?.toString() || '0',
             totalCurrentValue: material.aggregatedTotals?.totalCurrentValue?.toString() || '0',
             averageRatePerPiece: material.aggregatedTotals?.averageRatePerPiece?.toString() || '0',
             averageRatePerKg: material.aggregatedTotals?.averageRatePerKg?.toString() || '0',
+            totalRemnantPieces: material.aggregatedTotals?.totalRemnantPieces?.toString() || '0',
+            totalRemnantValue: material.aggregatedTotals?.totalRemnantValue?.toString() || '0',
             lastUpdated: material.aggregatedTotals?.lastUpdated || new Date()
         };
 
@@ -650,8 +701,16 @@ class BatchInventoryService {
                 purchaseDate: batch.purchaseDate,
                 invoiceNumber: batch.invoiceNumber,
                 lotNumber: batch.lotNumber,
+                expiryDate: batch.expiryDate,
                 isActive: batch.isActive,
                 isCompleted: batch.isCompleted,
+                reservedQuantity: MaterialV2.getBatchReserved(batch).toString(),
+                reservations: (batch.reservations || []).map(r => ({
+                    orderId: r.orderId,
+                    orderIdDisplay: r.orderIdDisplay,
+                    quantity: r.quantity.toString(),
+                    reservedAt: r.reservedAt
+                })),
                 utilizationPercent: ((parseFloat(batch.originalQuantity.toString()) - parseFloat(batch.currentQuantity.toString())) / parseFloat(batch.originalQuantity.toString()) * 100).toFixed(1)
             };
 
@@ -699,19 +758,74 @@ class BatchInventoryService {
             stockSummary,
             activeBatches: formattedBatches,
             totalBatches: activeBatches.length,
+            remnants: material.activeRemnants.map(remnant => this.formatRemnant(remnant)),
             lastUpdated: aggregatedTotals.lastUpdated
         };
     }
 
+    /**
+     * Batches with stock left that are past or close to their expiry date, soonest first
+     * @param {string} companyId 
+     * @param {number} days - How far ahead to look
+     * @returns {object} - { days, alerts, expiredCount, expiringCount, expiredValue }
+     */
+    static async getExpiryAlerts(companyId, days = 30) {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+        const materials = await MaterialV2.find({
+            companyId,
+            isActive: true,
+            'simpleBatches.expiryDate': { $lte: horizon }
+        }).select('name category stockUnit simpleBatches');
+
+        const alerts = [];
+        materials.forEach(material => {
+            material.simpleBatches.forEach(batch => {
+                const quantity = parseFloat(batch.currentQuantity.toString());
+                if (!batch.isActive || batch.isCompleted || quantity <= 0.001) return;
+                if (!batch.expiryDate || batch.expiryDate > horizon) return;
+
+                const isExpired = MaterialV2.isExpired(batch, now);
+                alerts.push({
+                    materialId: material._id,
+                    materialName: material.name,
+                    category: material.category,
+                    batchId: batch.batchId,
+                    lotNumber: batch.lotNumber,
+                    supplier: batch.supplier,
+                    expiryDate: batch.expiryDate,
+                    daysLeft: Math.ceil((batch.expiryDate - now) / (24 * 60 * 60 * 1000)),
+                    status: isExpired ? 'expired' : 'expiring',
+                    quantity,
+                    unit: material.stockUnit,
+                    value: parseFloat((quantity * parseFloat(batch.ratePerUnit.toString())).toFixed(2)),
+                    locationId: batch.locationId
+                });
+            });
+        });
+        alerts.sort((a, b) => a.expiryDate - b.expiryDate);
+
+        const expired = alerts.filter(alert => alert.status === 'expired');
+        return {
+            days,
+            alerts,
+            expiredCount: expired.length,
+            expiringCount: alerts.length - expired.length,
+            expiredValue: parseFloat(expired.reduce((sum, alert) => sum + alert.value, 0).toFixed(2))
+        };
+    }
+
     /**
      * Create stock transaction record
      * @param {object} txnData 
      */
     static async createStockTransaction(txnData) {
         const {
-            companyId, materialId, batchId, type, subType,
-            quantityChange, unitRateAtTransaction,
-            length, lengthUnit, gauge, notes, createdBy
+            companyId, materialId, batchId, locationId, type, subType,
+            quantityChange, unitRateAtTransaction, valuationMethod,
+            length, lengthUnit, gauge, notes, createdBy,
+            relatedDocumentType = 'BatchOperation', relatedDocumentId
         } = txnData;
 
         const transaction = new StockTransaction({
@@ -723,7 +837,11 @@ class BatchInventoryService {
             quantityChange: mongoose.Types.Decimal128.fromString(String(quantityChange)),
             quantityUnit: 'pcs', // Standardize for batch system
             unitRateAtTransaction: mongoose.Types.Decimal128.fromString(String(unitRateAtTransaction)),
-            relatedDocumentType: 'BatchOperation',
+            batchId,
+            locationId,
+            valuationMethod,
+            relatedDocumentType,
+            relatedDocumentId,
             notes: `${notes} [Batch: ${batchId}]`,
             createdBy
         });
@@ -783,8 +901,16 @@ class BatchInventoryService {
                 purchaseDate: batch.purchaseDate,
                 invoiceNumber: batch.invoiceNumber,
                 lotNumber: batch.lotNumber,
+                expiryDate: batch.expiryDate,
                 isActive: batch.isActive,
                 isCompleted: batch.isCompleted,
+                reservedQuantity: MaterialV2.getBatchReserved(batch).toString(),
+                reservations: (batch.reservations || []).map(r => ({
+                    orderId: r.orderId,
+                    orderIdDisplay: r.orderIdDisplay,
+                    quantity: r.quantity.toString(),
+                    reservedAt: r.reservedAt
+                })),
                 utilizationPercent: ((parseFloat(batch.originalQuantity.toString()) - parseFloat(batch.currentQuantity.toString())) / parseFloat(batch.originalQuantity.toString()) * 100).toFixed(1)
             };
 
@@ -976,6 +1102,197 @@ class BatchInventoryService {
             deletedMaterialId: materialId
         };
     }
+
+    /**
+     * Add a reusable offcut to a Profile material from a pipe that was just cut.
+     * Only offcuts at or above the minimum remnant length are kept; the separating cut's kerf is deducted.
+     * The offcut is booked at zero value: the order that cut the pipe is charged the whole pipe, so the offcut
+     * is a sunk cost and an order that later uses it is not charged for it again.
+     * Does NOT save the material - the caller saves it together with the pipe deduction.
+     * @param {object} material - MaterialV2 document (Profile)
+     * @param {object} data - { scrapLength, scrapUnit, gauge, sourceBatch, pipeLength, pipeLengthUnit, cuttingPlanId, cuttingBatchId, orderId, notes, cuttingConfig }
+     *   cuttingConfig ({ kerfInches, minRemnantInches }) should be the rules the plan was generated with; defaults apply when omitted.
+     * @returns {object|null} - The remnant subdocument that was added, or null if the offcut is not usable
+     */
+    static addRemnantFromPipe(material, data) {
+        const {
+            scrapLength, scrapUnit, gauge,
+            sourceBatch, pipeLength, pipeLengthUnit,
+            cuttingPlanId, cuttingBatchId, orderId, notes
+        } = data;
+        const cuttingConfig = data.cuttingConfig || resolveCuttingConfig(null, material);
+
+        if (material.category !== 'Profile') {
+            return null;
+        }
+
+        const scrapValue = parseFloat(scrapLength.toString());
+        const kerfConversion = convertUnit(cuttingConfig.kerfInches, 'inches', scrapUnit);
+        if (isNaN(scrapValue) || kerfConversion.error) {
+            return null;
+        }
+
+        const usableLength = scrapValue - kerfConversion.result;
+        const usableLengthInches = convertUnit(usableLength, scrapUnit, 'inches');
+        if (usableLengthInches.error || usableLengthInches.result < cuttingConfig.minRemnantInches) {
+            return null;
+        }
+
+        const roundedLength = parseFloat(usableLength.toFixed(3));
+        material.remnantBatches.push({
+            remnantId: MaterialV2.generateRemnantId(),
+            length: mongoose.Types.Decimal128.fromString(String(roundedLength)),
+            lengthUnit: scrapUnit,
+            gauge: gauge || (sourceBatch ? sourceBatch.gauge : undefined),
+            originalQuantity: mongoose.Types.Decimal128.fromString('1'),
+            currentQuantity: mongoose.Types.Decimal128.fromString('1'),
+            ratePerPiece: mongoose.Types.Decimal128.fromString('0'),
+            sourceBatchId: sourceBatch ? sourceBatch.batchId : undefined,
+            locationId: sourceBatch ? sourceBatch.locationId : undefined,
+            sourceCuttingPlanId: cuttingPlanId,
+            sourceCuttingBatchId: cuttingBatchId,
+            sourceOrderId: orderId,
+            sourcePipeLength: pipeLength ? mongoose.Types.Decimal128.fromString(pipeLength.toString()) : undefined,
+            sourcePipeLengthUnit: pipeLengthUnit,
+            createdDate: new Date(),
+            notes,
+            isActive: true,
+            isCompleted: false
+        });
+
+        const remnant = material.remnantBatches[material.remnantBatches.length - 1];
+        console.log(`[BatchInventory] ♻️ Added remnant ${remnant.remnantId}: ${roundedLength}${scrapUnit} ${remnant.gauge || ''} for ${material.name}`);
+        return remnant;
+    }
+
+    /**
+     * Get offcuts for a Profile material
+     * @param {string} materialId 
+     * @param {string} companyId 
+     * @param {object} filters - { gauge, includeCompleted }
+     * @returns {object} - Material info and formatted remnants
+     */
+    static async getRemnants(materialId, companyId, filters = {}) {
+        const { gauge, includeCompleted = false } = filters;
+
+        const material = await MaterialV2.findOne({ _id: materialId, companyId });
+        if (!material) {
+            throw new Error('Material not found or access denied');
+        }
+
+        let remnants = includeCompleted ? [...material.remnantBatches] : material.activeRemnants;
+        if (gauge) {
+            remnants = remnants.filter(r => r.gauge === gauge);
+        }
+
+        return {
+            material: {
+                id: material._id,
+                name: material.name,
+                category: material.category,
+                usageUnit: material.usageUnit
+            },
+            remnants: remnants
+                .map(remnant => this.formatRemnant(remnant))
+                .sort((a, b) => parseFloat(b.length) - parseFloat(a.length)),
+            totalPieces: material.aggregatedTotals?.totalRemnantPieces?.toString() || '0',
+            totalValue: material.aggregatedTotals?.totalRemnantValue?.toString() || '0'
+        };
+    }
+
+    /**
+     * Consume or write off pieces of an offcut
+     * @param {string} materialId 
+     * @param {string} remnantId 
+     * @param {object} data - { companyId, quantity, action ('consume' | 'writeOff'), notes, userId }
+     * @returns {object} - Updated remnant and the stock transaction
+     */
+    static async consumeRemnant(materialId, remnantId, data) {
+        const { companyId, quantity = 1, action = 'consume', notes, userId } = data;
+
+        if (!['consume', 'writeOff'].includes(action)) {
+            throw new Error(`Invalid remnant action: ${action}`);
+        }
+        if (!quantity || quantity <= 0) {
+            throw new Error('Quantity must be greater than 0');
+        }
+
+        const material = await MaterialV2.findOne({ _id: materialId, companyId });
+        if (!material) {
+            throw new Error('Material not found or access denied');
+        }
+
+        const remnant = material.remnantBatches.find(r => r.remnantId === remnantId);
+        if (!remnant || !remnant.isActive || remnant.isCompleted) {
+            throw new Error('Remnant not found or already used');
+        }
+
+        const available = parseFloat(remnant.currentQuantity.toString());
+        if (available < quantity) {
+            throw new Error(`Insufficient remnant pieces. Required: ${quantity}, Available: ${available}`);
+        }
+
+        const newQuantity = available - quantity;
+        remnant.currentQuantity = mongoose.Types.Decimal128.fromString(String(newQuantity));
+        if (newQuantity <= 0.001) {
+            remnant.isCompleted = true;
+        }
+
+        material.updatedBy = userId;
+        await material.save();
+
+        const isWriteOff = action === 'writeOff';
+        const label = `${remnant.length.toString()}${remnant.lengthUnit}${remnant.gauge ? ` ${remnant.gauge}` : ''}`;
+        const transaction = await StockTransaction.create({
+            companyId,
+            materialId: material._id,
+            type: isWriteOff ? 'Scrap' : 'Outward-Manual',
+            length: remnant.length,
+            lengthUnit: remnant.lengthUnit,
+            remnantId: remnant.remnantId,
+            batchId: remnant.sourceBatchId, // Lot traceability: the batch the offcut was cut from
+            quantityChange: mongoose.Types.Decimal128.fromString(String(-quantity)),
+            quantityUnit: 'pcs',
+            unitRateAtTransaction: remnant.ratePerPiece,
+            relatedDocumentType: 'Remnant',
+            notes: notes || `${isWriteOff ? 'Remnant written off' : 'Remnant consumed'}: ${quantity} x ${label} [Remnant: ${remnant.remnantId}]`,
+            createdBy: userId
+        });
+
+        console.log(`[BatchInventory] ♻️ ${isWriteOff ? 'Wrote off' : 'Consumed'} ${quantity} x ${label} from remnant ${remnant.remnantId}`);
+
+        return {
+            success: true,
+            remnant: this.formatRemnant(remnant),
+            transactionId: transaction._id
+        };
+    }
+
+    /**
+     * Convert a remnant subdocument to its API representation
+     * @param {object} remnant 
+     * @returns {object}
+     */
+    static formatRemnant(remnant) {
+        return {
+            remnantId: remnant.remnantId,
+            length: remnant.length.toString(),
+            lengthUnit: remnant.lengthUnit,
+            gauge: remnant.gauge,
+            originalQuantity: remnant.originalQuantity.toString(),
+            currentQuantity: remnant.currentQuantity.toString(),
+            ratePerPiece: remnant.ratePerPiece.toString(),
+            sourceBatchId: remnant.sourceBatchId,
+            sourceCuttingPlanId: remnant.sourceCuttingPlanId,
+            sourceOrderId: remnant.sourceOrderId,
+            sourcePipeLength: remnant.sourcePipeLength?.toString(),
+            sourcePipeLengthUnit: remnant.sourcePipeLengthUnit,
+            createdDate: remnant.createdDate,
+            notes: remnant.notes,
+            isActive: remnant.isActive,
+            isCompleted: remnant.isCompleted
+        };
+    }
 }
 
 module.exports = BatchInventoryService; 
\ No newline at end of file
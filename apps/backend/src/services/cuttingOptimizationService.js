@@ -1,15 +1,26 @@
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const CuttingPlan = require('../models/CuttingPlan');
+const CuttingBatch = require('../models/CuttingBatch');
 const { convertUnit, SUPPORTED_LINEAR_UNITS, getUnitType } = require('../utils/unitConverter');
 const { getWeight, convertProfileLengthToWeight } = require('../utils/weightUtils');
 const { ProfileCuttingError } = require('../utils/profileCuttingUtil');
+const { getStrategy, summarizeLayouts, STRATEGY_NAMES } = require('../utils/cuttingStrategies');
+const { getCuttingConfig, toPlanCuttingParameters } = require('../utils/cuttingConfig');
+const { normalizeCutAngles } = require('../utils/cutAngleUtils');
+const { buildPieceId } = require('../utils/pieceCodes');
 const { AppError } = require('../utils/appError');
 const Decimal = require('decimal.js');
 const MaterialV2 = require('../models/MaterialV2');
+const Counter = require('../models/Counter');
+const StockReservationService = require('./stockReservationService');
+const LocationService = require('./locationService');
 
-const CUTTING_LOSS_INCHES = 0.125;
 const EPSILON_INCHES = 0.001;
+// Remnants are already paid for (sunk cost), so every strategy uses offcuts before opening new pipe
+const REMNANT_COST_PER_INCH = 0;
+// Order statuses from which cuts may be (re-)optimized
+const OPTIMIZABLE_ORDER_STATUSES = ['Ready for Optimization', 'Optimization Complete', 'Optimization Failed'];
 
 function toDecimal128(value, errorMessage) {
     try {
@@ -26,21 +37,40 @@ function toDecimal128(value, errorMessage) {
     }
 }
 
+// Whether a batch can supply an order of a gauge (orders without a gauge take any batch)
+const isOfGauge = (batch, gauge) => !gauge || batch.gauge === gauge;
+
 /**
- * @description Service for handling cutting optimization logic.
+ * Picks the batch a planned pipe will be drawn from: the first batch of the order's gauge with pipes left.
+ * Batches of other gauges are never used. Decrements the in-memory quantity of the chosen batch.
+ * @param {Array<object>} batches - [{ batchId, gauge, quantity }] in the order they should be drawn
+ * @param {string} gauge - Gauge required by the order
+ * @returns {string|undefined} The chosen batchId, or undefined when no batch of the gauge has pipes left
  */
-class CuttingOptimizationService {
-    constructor() {
-        this.KERF_LOSS_INCHES = 0.125; // Standard kerf loss per cut in inches
+function takeFromBatch(batches, gauge) {
+    const batch = batches.find(b => b.quantity >= 1 && isOfGauge(b, gauge));
+    if (!batch) {
+        return undefined;
     }
+    batch.quantity--;
+    return batch.batchId;
+}
 
+/**
+ * @description Service for handling cutting optimization logic.
+ */
+class CuttingOptimizationService {
     /**
      * Helper function to find material in both V2 and V1 systems
      * @param {string} materialId - MaterialV2 ID to search for
      * @param {string} companyId - Company ID for multi-tenancy
+     * @param {object} [options] - { locationFilter } from LocationService.resolveLocationFilter. 'restrict' only
+     *   offers batches and remnants at the location; 'prefer' offers everything but draws from the location first.
+     *   { reservedFor }: the order (or orders) being optimized. Pipes reserved for any other order are not offered.
      * @returns {Object} MaterialV2 document in V1-compatible format
      */
-    static async findMaterialById(materialId, companyId) {
+    static async findMaterialById(materialId, companyId, options = {}) {
+        const { locationFilter, reservedFor } = options;
         try {
             // First try to find in V2 system
             const materialV2 = await MaterialV2.findOne({ 
@@ -64,6 +94,9 @@ class CuttingOptimizationService {
                 } else {
                     console.log(`[CuttingOptimizationService - findMaterialById] No stockBatches or relevant profileBatches found for ${materialV2.name}`);
                 }
+                if (locationFilter) {
+                    sourceBatches = LocationService.applyFilter(locationFilter, sourceBatches);
+                }
 
                 // Convert V2 material to V1-like structure for backward compatibility
                 return {
@@ -73,6 +106,7 @@ class CuttingOptimizationService {
                     stockUnit: materialV2.stockUnit,
                     usageUnit: materialV2.usageUnit,
                     standardLengths: materialV2.standardLengths || [],
+                    cuttingParameters: materialV2.cuttingParameters,
                     gaugeSpecificWeights: materialV2.referenceGaugeWeights?.map(rgw => ({
                         gauge: rgw.gauge,
                         weightPerUnitLength: rgw.referenceWeight,
@@ -81,7 +115,9 @@ class CuttingOptimizationService {
                     stockByLength: (() => {
                         const consolidatedStock = {};
                         (sourceBatches || []).forEach(batch => {
-                            const currentQty = parseFloat(batch.currentQuantity.toString());
+                            const onHandQty = parseFloat(batch.currentQuantity.toString());
+                            // Only what is not reserved for other orders can be planned
+                            const currentQty = onHandQty - Math.min(MaterialV2.getBatchReserved(batch, reservedFor), onHandQty);
                             // Skip batches with zero or negative quantity
                             if (currentQty <= 0) {
                                 console.log(`[CuttingOptimizationService] Skipping empty batch: ${batch.length}${batch.lengthUnit}, quantity: ${currentQty}`);
@@ -94,16 +130,40 @@ class CuttingOptimizationService {
                                     length: batch.length,
                                     unit: batch.lengthUnit,
                                     quantity: mongoose.Types.Decimal128.fromString('0'),
-                                    unitRate: batch.ratePerPiece || mongoose.Types.Decimal128.fromString('0')
+                                    unitRate: batch.ratePerPiece || mongoose.Types.Decimal128.fromString('0'),
+                                    batches: []
                                 };
                             }
                             // Add the current batch quantity to the consolidated total
                             const existingQty = parseFloat(consolidatedStock[lengthKey].quantity.toString());
                             consolidatedStock[lengthKey].quantity = mongoose.Types.Decimal128.fromString((existingQty + currentQty).toString());
+                            // Keep the per-batch breakdown so each planned pipe can be traced to a batch
+                            consolidatedStock[lengthKey].batches.push({
+                                batchId: batch.batchId,
+                                gauge: batch.gauge,
+                                quantity: currentQty,
+                                purchaseDate: batch.purchaseDate,
+                                atLocation: LocationService.matches(locationFilter, batch)
+                            });
+                        });
+                        // Batches at the preferred location first, then oldest first (FIFO)
+                        Object.values(consolidatedStock).forEach(entry => {
+                            entry.batches.sort((a, b) => (b.atLocation - a.atLocation) ||
+                                (new Date(a.purchaseDate || 0) - new Date(b.purchaseDate || 0)));
                         });
                         console.log(`[CuttingOptimizationService] Consolidated stock for ${materialV2.name}:`, Object.values(consolidatedStock).map(s => ({ length: s.length.toString(), unit: s.unit, qty: s.quantity.toString() })));
                         return Object.values(consolidatedStock);
                     })(),
+                    remnants: (materialV2.remnantBatches ? materialV2.activeRemnants : [])
+                        .filter(remnant => !locationFilter || locationFilter.mode !== 'restrict' || LocationService.matches(locationFilter, remnant))
+                        .map(remnant => ({
+                        remnantId: remnant.remnantId,
+                        length: remnant.length,
+                        unit: remnant.lengthUnit,
+                        gauge: remnant.gauge,
+                        quantity: parseFloat(remnant.currentQuantity.toString()),
+                        createdDate: remnant.createdDate
+                    })),
                     weightUnit: 'kg', // Default weight unit for V2 materials
                     companyId: materialV2.companyId,
                     isActive: materialV2.isActive,
@@ -126,16 +186,121 @@ class CuttingOptimizationService {
         }
     }
 
+    /**
+     * Lists the individual remnant pieces that may be used for an order's cuts.
+     * Only offcuts of the order's gauge (or with no gauge recorded) qualify; shortest pieces come first
+     * so small offcuts are used up before longer, more versatile ones.
+     * @param {object} materialDoc - Material in the shape returned by findMaterialById.
+     * @param {string} materialGaugeSnapshot - The gauge of the material for this order.
+     * @returns {Array<object>} - [{ remnantId, lengthString, unit, lengthInInches }]
+     */
+    getUsableRemnantPieces(materialDoc, materialGaugeSnapshot) {
+        const pieces = [];
+
+        (materialDoc.remnants || []).forEach(remnant => {
+            if (materialGaugeSnapshot && remnant.gauge && remnant.gauge !== materialGaugeSnapshot) {
+                return;
+            }
+            const conversion = convertUnit(parseFloat(remnant.length.toString()), remnant.unit, 'inches');
+            if (conversion.error || conversion.result === null || conversion.result <= EPSILON_INCHES) {
+                console.warn(`[CuttingOptimizationService] Skipping remnant ${remnant.remnantId} of ${materialDoc.name}: ${conversion.error || 'invalid length'}`);
+                return;
+            }
+            for (let i = 0; i < Math.floor(remnant.quantity); i++) {
+                pieces.push({
+                    remnantId: remnant.remnantId,
+                    lengthString: remnant.length.toString(),
+                    unit: remnant.unit,
+                    lengthInInches: conversion.result
+                });
+            }
+        });
+
+        return pieces.sort((a, b) => a.lengthInInches - b.lengthInInches);
+    }
+
+    /**
+     * Builds a CuttingPlan pipesUsed entry from a packing result.
+     * @param {object} materialDoc - Material in the shape returned by findMaterialById.
+     * @param {object} pipe - { lengthString, unit } of the pipe or remnant being cut.
+     * @param {object} packing - A layout returned by a cutting strategy (all lengths in inches).
+     * @param {string} materialUsageUnit - The usage unit of the material.
+     * @param {string} materialGaugeSnapshot - The gauge of the material for this order.
+     * @param {object} source - { sourceType, sourceBatchId, sourceRemnantId }
+     * @returns {object} pipesUsed entry
+     */
+    buildPipeLayoutEntry(materialDoc, pipe, packing, materialUsageUnit, materialGaugeSnapshot, source) {
+        const cutsMadeForPlan = packing.cutsPacked_in.map(packedCutItem => {
+            const conversion = convertUnit(packedCutItem.length, 'inches', materialUsageUnit);
+            if (conversion.error || conversion.result === null) {
+                 throw new ProfileCuttingError(`Error converting packed cut ${packedCutItem.length} inches (ID: ${packedCutItem.identifier}) back to ${materialUsageUnit} for ${materialDoc.name}`);
+            }
+            return {
+                requiredLength: toDecimal128(conversion.result, `Cut length ${conversion.result} for ${materialDoc.name}`),
+                identifier: packedCutItem.identifier,
+                orderId: packedCutItem.orderId,
+                pieceId: packedCutItem.pieceId,
+                itemIndex: packedCutItem.itemIndex,
+                position: packedCutItem.position,
+                ...normalizeCutAngles(packedCutItem)
+            };
+        });
+
+        const totalCutLengthOnPipe_usageUnit_conv = convertUnit(packing.lengthUsedWithLoss_in, 'inches', materialUsageUnit);
+        if (totalCutLengthOnPipe_usageUnit_conv.error) throw new ProfileCuttingError(`Error converting total cut length on pipe for ${materialDoc.name}`);
+        const totalCutLengthOnPipe_usageUnit = toDecimal128(totalCutLengthOnPipe_usageUnit_conv.result, `Total cut length on pipe for ${materialDoc.name}`);
+
+        const scrapLength_usageUnit_conv = convertUnit(packing.immediateScrap_in, 'inches', materialUsageUnit);
+        if (scrapLength_usageUnit_conv.error) throw new ProfileCuttingError(`Error converting scrap length for ${materialDoc.name}`);
+        const scrapLength_usageUnit = toDecimal128(scrapLength_usageUnit_conv.result,  `Scrap length for ${materialDoc.name}`);
+
+        let pipeWeight = null;
+        if (materialGaugeSnapshot && materialDoc.weightUnit) {
+             console.log(`[CuttingOptimizationService] Calculating weight for ${materialDoc.name}: gauge='${materialGaugeSnapshot}', weightUnit='${materialDoc.weightUnit}', standardLength='${pipe.lengthString}', standardUnit='${pipe.unit}'`);
+             const weightResult = getWeight(materialDoc, materialGaugeSnapshot, parseFloat(pipe.lengthString), pipe.unit);
+             console.log(`[CuttingOptimizationService] Weight result for ${materialDoc.name}:`, weightResult);
+             if (!weightResult.error && weightResult.calculatedWeight) {
+                pipeWeight = toDecimal128(weightResult.calculatedWeight, `Pipe weight for ${materialDoc.name}`);
+             } else {
+                console.warn(`Could not calculate weight for pipe of ${materialDoc.name}, gauge ${materialGaugeSnapshot}: ${weightResult.error}`);
+             }
+        }
+
+        return {
+            standardLength: toDecimal128(pipe.lengthString, `Standard length ${pipe.lengthString} for ${materialDoc.name}`),
+            standardLengthUnit: pipe.unit,
+            sourceType: source.sourceType,
+            sourceBatchId: source.sourceBatchId,
+            sourceRemnantId: source.sourceRemnantId,
+            cutsMade: cutsMadeForPlan,
+            totalCutLengthOnPipe: totalCutLengthOnPipe_usageUnit,
+            scrapLength: scrapLength_usageUnit,
+            calculatedWeight: pipeWeight,
+        };
+    }
+
     /**
      * Generates a detailed cutting layout for a single material, considering stock.
-     * Adapts logic from profileCuttingUtil.js.
+     * The packing itself is done by the selected strategy from utils/cuttingStrategies.js; remnants of
+     * the same gauge are offered at a discount so they get used up, and each full pipe in the result is
+     * attributed to the batch it will be drawn from.
      * @param {object} materialDoc - The Mongoose MaterialV2 document.
-     * @param {Array<object>} requiredCutsWithIdentifiers - Array of objects like { length: number, identifier: string } in the material's usageUnit.
+     * @param {Array<object>} requiredCutsWithIdentifiers - Array of objects like { length: number, identifier: string, orderId?, startAngle?, endAngle? } in the material's usageUnit.
      * @param {string} materialUsageUnit - The usage unit of the material (e.g., 'inches', 'ft').
      * @param {string} materialGaugeSnapshot - The gauge of the material for this order.
-     * @returns {Promise<object>} - { pipesUsedLayout: [], summary: {} }
+     * @param {object} [options] - { strategy, timeLimitMs, cuttingConfig }. Strategy defaults to 'greedy';
+     *   cuttingConfig (kerf, end trim, max cuts per bar) is resolved for the material when omitted.
+     * @returns {Promise<object>} - { pipesUsedLayout: [], summary: {}, strategyReport: {}, cuttingConfig: {} }
      */
-    async generateDetailedCuttingLayout(materialDoc, requiredCutsWithIdentifiers, materialUsageUnit, materialGaugeSnapshot) {
+    async generateDetailedCuttingLayout(materialDoc, requiredCutsWithIdentifiers, materialUsageUnit, materialGaugeSnapshot, options = {}) {
+        const strategyName = options.strategy || 'greedy';
+        const timeLimitMs = options.timeLimitMs;
+        if (!getStrategy(strategyName)) {
+            throw new AppError(`Unknown cutting strategy '${strategyName}'. Use one of: ${STRATEGY_NAMES.join(', ')}.`, 400);
+        }
+        const cuttingConfig = options.cuttingConfig || await getCuttingConfig(materialDoc.companyId, materialDoc);
+        const trimPerBar_in = 2 * cuttingConfig.endTrimInches;
+
         const standardLengths_in = materialDoc.standardLengths.map((sl, index) => {
             const numLength = parseFloat(sl.length.toString());
             const conversion = convertUnit(numLength, sl.unit, 'inches');
@@ -159,175 +324,135 @@ class CuttingOptimizationService {
             if (conversion.error || conversion.result === null || isNaN(conversion.result) || conversion.result <= EPSILON_INCHES) {
                 throw new ProfileCuttingError(`Failed to convert required cut ${cutItem.length} ${materialUsageUnit} (ID: ${cutItem.identifier}) to inches for material ${materialDoc.name} at index ${index}: ${conversion.error || 'conversion failed'}.`);
             }
-            return { length: conversion.result, identifier: cutItem.identifier };
+            return {
+                length: conversion.result,
+                identifier: cutItem.identifier,
+                orderId: cutItem.orderId,
+                pieceId: cutItem.pieceId,
+                itemIndex: cutItem.itemIndex,
+                position: cutItem.position,
+                ...normalizeCutAngles(cutItem)
+            };
         }).sort((a, b) => b.length - a.length); // Sort by length, descending
 
         console.log(`[CuttingOptimizationService] Cuts to place for ${materialDoc.name} (in inches with identifiers):`, cutsToPlace_in);
 
-        if (cutsToPlace_in.length > 0 && cutsToPlace_in[0].length > standardLengths_in[0].lengthInInches + EPSILON_INCHES) {
-            throw new ProfileCuttingError(`Largest cut for ${materialDoc.name} (${(cutsToPlace_in[0].length / 12).toFixed(2)}ft, ID: ${cutsToPlace_in[0].identifier}) is greater than the largest available standard pipe (${(standardLengths_in[0].lengthInInches / 12).toFixed(2)}ft).`);
+        if (cutsToPlace_in.length > 0 && cutsToPlace_in[0].length > standardLengths_in[0].lengthInInches - trimPerBar_in + EPSILON_INCHES) {
+            const trimNote = trimPerBar_in > 0 ? ` after ${trimPerBar_in.toFixed(2)}in end trim` : '';
+            throw new ProfileCuttingError(`Largest cut for ${materialDoc.name} (${(cutsToPlace_in[0].length / 12).toFixed(2)}ft, ID: ${cutsToPlace_in[0].identifier}) is greater than the largest available standard pipe (${(standardLengths_in[0].lengthInInches / 12).toFixed(2)}ft)${trimNote}.`);
         }
         
-        // Directly map stockByLength and store length as a string
-        let availableStock = materialDoc.stockByLength.map(s => ({
-            lengthString: s.length.toString(), // Store as string representation
-            lengthDecimal: s.length, // Keep original Decimal128 for other uses if needed
-            unit: s.unit,
-            quantity: parseInt(s.quantity.toString(), 10),
-            id: `${s.length.toString()}_${s.unit}` // ID can still use the direct string form
-        }));
+        // Directly map stockByLength and store length as a string. Only batches of the order's gauge are offered.
+        let availableStock = materialDoc.stockByLength.map(s => {
+            const batches = (s.batches || []).filter(b => isOfGauge(b, materialGaugeSnapshot)).map(b => ({ ...b }));
+            return {
+                lengthString: s.length.toString(), // Store as string representation
+                lengthDecimal: s.length, // Keep original Decimal128 for other uses if needed
+                unit: s.unit,
+                quantity: s.batches ? batches.reduce((sum, b) => sum + Math.floor(b.quantity), 0) : parseInt(s.quantity.toString(), 10),
+                id: `${s.length.toString()}_${s.unit}`, // ID can still use the direct string form
+                batches
+            };
+        });
 
         console.log(`[CuttingOptimizationService] Available stock for ${materialDoc.name}:`, availableStock.map(s => ({ id: s.id, qty: s.quantity, lenStr: s.lengthString, unit: s.unit })));
 
-        const detailedPipesUsed = [];
-        let unfulfillableScrapTotal_in = 0;
-
-        while (cutsToPlace_in.length > 0) {
-            let bestPipeChoiceForThisIteration = null;
-            let chosenStockEntryId = null;
-
-            for (const candidateStdPipe of standardLengths_in) {
-                const stockEntry = availableStock.find(s => 
-                    s.lengthString === candidateStdPipe.originalLengthString && 
-                    s.unit === candidateStdPipe.originalUnit && 
-                    s.quantity > 0
+        // Remnants of the same gauge and every standard length in stock are candidates for the strategy
+        const stockOptions = [
+            ...this.getUsableRemnantPieces(materialDoc, materialGaugeSnapshot).map((piece, index) => ({
+                ...piece,
+                id: `${piece.remnantId}_${index}`,
+                available: 1,
+                costPerInch: REMNANT_COST_PER_INCH,
+                isRemnant: true
+            })),
+            ...availableStock.map(stockEntry => {
+                const standardPipe = standardLengths_in.find(sp =>
+                    sp.originalLengthString === stockEntry.lengthString && sp.originalUnit === stockEntry.unit
                 );
-
-                if (!stockEntry) {
-                    console.log(`[CuttingOptimizationService] No stock found for ${candidateStdPipe.originalLengthString} ${candidateStdPipe.originalUnit} of ${materialDoc.name}`);
-                    continue;
-                }
-                
-                console.log(`[CuttingOptimizationService] Found stock for ${candidateStdPipe.originalLengthString} ${candidateStdPipe.originalUnit} of ${materialDoc.name}, quantity: ${stockEntry.quantity}`);
-
-                let currentCutsOnCandidate_in = [];
-                let currentLengthUsedOnCandidate_in = 0;
-                let piecesOnCandidate = 0;
-                const cutsToAttemptPacking = [...cutsToPlace_in];
-
-                for (const cutItem of cutsToAttemptPacking) {
-                    const lossForThisCut = (piecesOnCandidate > 0) ? CUTTING_LOSS_INCHES : 0;
-                    if (currentLengthUsedOnCandidate_in + cutItem.length + lossForThisCut <= candidateStdPipe.lengthInInches + EPSILON_INCHES) {
-                        currentLengthUsedOnCandidate_in += (cutItem.length + lossForThisCut);
-                        currentCutsOnCandidate_in.push(cutItem);
-                        piecesOnCandidate++;
-                    }
+                if (!standardPipe || stockEntry.quantity <= 0) {
+                    console.log(`[CuttingOptimizationService] No usable stock for ${stockEntry.lengthString} ${stockEntry.unit} of ${materialDoc.name}`);
+                    return null;
                 }
+                return {
+                    id: stockEntry.id,
+                    lengthString: stockEntry.lengthString,
+                    unit: stockEntry.unit,
+                    lengthInInches: standardPipe.lengthInInches,
+                    available: stockEntry.quantity,
+                    costPerInch: 1,
+                    isRemnant: false,
+                    batches: stockEntry.batches
+                };
+            }).filter(Boolean)
+        ];
+
+        const cuttingProblem = {
+            cuts: cutsToPlace_in,
+            stock: stockOptions,
+            kerf: cuttingConfig.kerfInches,
+            endTrim: cuttingConfig.endTrimInches,
+            maxCutsPerBar: cuttingConfig.maxCutsPerBar,
+            mitreDepth: cuttingConfig.mitreDepthInches
+        };
+        const solution = getStrategy(strategyName)(cuttingProblem, { timeLimitMs });
+        // Greedy is always run as the baseline the selected strategy is compared against
+        const baseline = strategyName === 'greedy' ? solution : getStrategy('greedy')(cuttingProblem);
+
+        console.log(`[CuttingOptimizationService] Strategy '${strategyName}' for ${materialDoc.name}: ${solution.layouts.length} pieces of stock in ${solution.elapsedMs}ms${solution.isOptimal ? ' (optimal)' : ''}`);
+
+        if (solution.unplaced.length > 0) {
+            console.error(`[CuttingOptimizationService] INSUFFICIENT STOCK: Cannot fulfill ${solution.unplaced.length} cut(s) for ${materialDoc.name}`);
+
+            // Convert unfulfillable cuts to display format
+            const unfulfillableCutsDisplay = solution.unplaced.map(cut => {
+                const conversionResult = convertUnit(cut.length, 'inches', materialUsageUnit);
+                const displayLength = conversionResult.error ? 
+                    cut.length.toFixed(2) + ' in' : 
+                    conversionResult.result.toFixed(2) + ' ' + materialUsageUnit;
+                return `${displayLength} (${cut.identifier})`;
+            }).join(', ');
+            
+            throw new ProfileCuttingError(
+                `Insufficient stock available for material "${materialDoc.name}". ` +
+                `Cannot fulfill the following cuts: ${unfulfillableCutsDisplay}. ` +
+                `Please ensure adequate stock is available before optimizing cuts.`
+            );
+        }
 
-                if (currentCutsOnCandidate_in.length > 0) {
-                    const currentImmediateScrap_in = candidateStdPipe.lengthInInches - currentLengthUsedOnCandidate_in;
-                    if (bestPipeChoiceForThisIteration === null || currentImmediateScrap_in < bestPipeChoiceForThisIteration.immediateScrap_in) {
-                        bestPipeChoiceForThisIteration = {
-                            standardPipeInfo: candidateStdPipe,
-                            cutsPacked_in: currentCutsOnCandidate_in,
-                            lengthUsedWithLoss_in: currentLengthUsedOnCandidate_in,
-                            immediateScrap_in: currentImmediateScrap_in,
-                        };
-                        chosenStockEntryId = stockEntry.id;
-                    }
-                }
-            }
-
-            if (bestPipeChoiceForThisIteration && chosenStockEntryId) {
-                const stockToDecrement = availableStock.find(s => s.id === chosenStockEntryId);
-                if (stockToDecrement && stockToDecrement.quantity > 0) {
-                    stockToDecrement.quantity--;
-
-                    const cutsMadeForPlan = bestPipeChoiceForThisIteration.cutsPacked_in.map(packedCutItem => {
-                        const conversion = convertUnit(packedCutItem.length, 'inches', materialUsageUnit);
-                        if (conversion.error || conversion.result === null) {
-                             throw new ProfileCuttingError(`Error converting packed cut ${packedCutItem.length} inches (ID: ${packedCutItem.identifier}) back to ${materialUsageUnit} for ${materialDoc.name}`);
-                        }
-                        return {
-                            requiredLength: toDecimal128(conversion.result, `Cut length ${conversion.result} for ${materialDoc.name}`),
-                            identifier: packedCutItem.identifier
-                        };
-                    });
-
-                    const totalCutLengthOnPipe_usageUnit_conv = convertUnit(bestPipeChoiceForThisIteration.lengthUsedWithLoss_in, 'inches', materialUsageUnit);
-                     if (totalCutLengthOnPipe_usageUnit_conv.error) throw new ProfileCuttingError(`Error converting total cut length on pipe for ${materialDoc.name}`);
-                    const totalCutLengthOnPipe_usageUnit = toDecimal128(totalCutLengthOnPipe_usageUnit_conv.result, `Total cut length on pipe for ${materialDoc.name}`);
-                    
-                    const scrapLength_usageUnit_conv = convertUnit(bestPipeChoiceForThisIteration.immediateScrap_in, 'inches', materialUsageUnit);
-                    if (scrapLength_usageUnit_conv.error) throw new ProfileCuttingError(`Error converting scrap length for ${materialDoc.name}`);
-                    const scrapLength_usageUnit = toDecimal128(scrapLength_usageUnit_conv.result,  `Scrap length for ${materialDoc.name}`);
-
-                    let pipeWeight = null;
-                    if (materialGaugeSnapshot && materialDoc.weightUnit) {
-                         console.log(`[CuttingOptimizationService] Calculating weight for ${materialDoc.name}: gauge='${materialGaugeSnapshot}', weightUnit='${materialDoc.weightUnit}', standardLength='${bestPipeChoiceForThisIteration.standardPipeInfo.originalLengthString}', standardUnit='${bestPipeChoiceForThisIteration.standardPipeInfo.originalUnit}'`);
-                         const stdLenForWeightCalc = parseFloat(bestPipeChoiceForThisIteration.standardPipeInfo.originalLengthString);
-                         const weightResult = getWeight(materialDoc, materialGaugeSnapshot, stdLenForWeightCalc, bestPipeChoiceForThisIteration.standardPipeInfo.originalUnit);
-                         console.log(`[CuttingOptimizationService] Weight result for ${materialDoc.name}:`, weightResult);
-                         if (!weightResult.error && weightResult.calculatedWeight) {
-                            pipeWeight = toDecimal128(weightResult.calculatedWeight, `Pipe weight for ${materialDoc.name}`);
-                         } else {
-                            console.warn(`Could not calculate weight for pipe of ${materialDoc.name}, gauge ${materialGaugeSnapshot}: ${weightResult.error}`);
-                         }
-                    }
-                    
-                    detailedPipesUsed.push({
-                        standardLength: toDecimal128(bestPipeChoiceForThisIteration.standardPipeInfo.originalLengthString, `Standard length ${bestPipeChoiceForThisIteration.standardPipeInfo.originalLengthString} for ${materialDoc.name}`),
-                        standardLengthUnit: bestPipeChoiceForThisIteration.standardPipeInfo.originalUnit,
-                        cutsMade: cutsMadeForPlan,
-                        totalCutLengthOnPipe: totalCutLengthOnPipe_usageUnit,
-                        scrapLength: scrapLength_usageUnit,
-                        calculatedWeight: pipeWeight,
-                    });
-
-                    for (const packedCutItem of bestPipeChoiceForThisIteration.cutsPacked_in) {
-                        // Find and remove the first occurrence of this cut (match by length and identifier if possible, or just length)
-                        const indexToRemove = cutsToPlace_in.findIndex(c => 
-                            Math.abs(c.length - packedCutItem.length) < EPSILON_INCHES && 
-                            (c.identifier === packedCutItem.identifier || !c.identifier) // Looser match if original identifier was missing
-                        );
-                        if (indexToRemove > -1) {
-                            cutsToPlace_in.splice(indexToRemove, 1);
-                        }
-                    }
-                } else {
-                     console.warn(`[CuttingOptimizationService] Stock for ${chosenStockEntryId} was unexpectedly unavailable for decrementing.`);
-                     bestPipeChoiceForThisIteration = null;
-                }
+        const detailedPipesUsed = solution.layouts.map(layout => {
+            if (layout.stock.isRemnant) {
+                console.log(`[CuttingOptimizationService] Using remnant ${layout.stock.remnantId} (${layout.stock.lengthString} ${layout.stock.unit}) of ${materialDoc.name} for ${layout.cutsPacked_in.length} cut(s)`);
+                return this.buildPipeLayoutEntry(materialDoc, layout.stock, layout, materialUsageUnit, materialGaugeSnapshot, {
+                    sourceType: 'Remnant',
+                    sourceRemnantId: layout.stock.remnantId
+                });
             }
-            
-            if (!bestPipeChoiceForThisIteration && cutsToPlace_in.length > 0) {
-                const largestRemainingCut_in = cutsToPlace_in.shift();
-                unfulfillableScrapTotal_in += largestRemainingCut_in.length;
-                console.error(`[CuttingOptimizationService] INSUFFICIENT STOCK: Cannot fulfill cut for ${materialDoc.name}: ${largestRemainingCut_in.length.toFixed(2)}in (identifier: ${largestRemainingCut_in.identifier})`);
-                
-                // Collect all unfulfillable cuts
-                const allUnfulfillableCuts = [largestRemainingCut_in, ...cutsToPlace_in];
-                
-                // Clear the remaining cuts array since we're going to throw an error
-                cutsToPlace_in.length = 0;
-                
-                // Convert unfulfillable cuts to display format
-                const unfulfillableCutsDisplay = allUnfulfillableCuts.map(cut => {
-                    const conversionResult = convertUnit(cut.length, 'inches', materialUsageUnit);
-                    const displayLength = conversionResult.error ? 
-                        cut.length.toFixed(2) + ' in' : 
-                        conversionResult.result.toFixed(2) + ' ' + materialUsageUnit;
-                    return `${displayLength} (${cut.identifier})`;
-                }).join(', ');
-                
+            const sourceBatchId = takeFromBatch(layout.stock.batches, materialGaugeSnapshot);
+            if (!sourceBatchId) {
                 throw new ProfileCuttingError(
-                    `Insufficient stock available for material "${materialDoc.name}". ` +
-                    `Cannot fulfill the following cuts: ${unfulfillableCutsDisplay}. ` +
-                    `Please ensure adequate stock is available before optimizing cuts.`
+                    `Insufficient stock available for material "${materialDoc.name}": no ${layout.stock.lengthString} ${layout.stock.unit} ` +
+                    `pipe${materialGaugeSnapshot ? ` of gauge ${materialGaugeSnapshot}` : ''} left for the planned cuts.`
                 );
             }
-        }
+            return this.buildPipeLayoutEntry(materialDoc, layout.stock, layout, materialUsageUnit, materialGaugeSnapshot, {
+                sourceType: 'Batch',
+                sourceBatchId
+            });
+        });
 
         const pipesTakenCounts = {};
         let totalWeightForAllPipes_D = new Decimal('0.00');
 
         detailedPipesUsed.forEach(pipe => {
             console.log(`[CuttingOptimizationService] Aggregating weight for pipe of ${pipe.standardLength.toString()} ${pipe.standardLengthUnit}. Calculated weight: ${pipe.calculatedWeight ? pipe.calculatedWeight.toString() : 'null'}`);
-            const key = `${pipe.standardLength.toString()}_${pipe.standardLengthUnit}`;
+            const isRemnant = pipe.sourceType === 'Remnant';
+            const key = `${pipe.standardLength.toString()}_${pipe.standardLengthUnit}${isRemnant ? '_remnant' : ''}`;
             if (!pipesTakenCounts[key]) {
                 pipesTakenCounts[key] = {
                     length: parseFloat(pipe.standardLength.toString()),
                     unit: pipe.standardLengthUnit,
+                    isRemnant,
                     quantity: 0,
                     totalScrapOnThesePipes: toDecimal128('0.00')
                 };
@@ -343,26 +468,13 @@ class CuttingOptimizationService {
             }
         });
         
-        const unfulfillableScrap_usageUnit_conv = convertUnit(unfulfillableScrapTotal_in, 'inches', materialUsageUnit);
-        if (unfulfillableScrap_usageUnit_conv.error) console.warn(`Error converting unfulfillable scrap for ${materialDoc.name}`);
-        const unfulfillableScrap_usageUnit = toDecimal128(unfulfillableScrap_usageUnit_conv.result || '0', `Unfulfillable scrap for ${materialDoc.name}`);
-
-        if (detailedPipesUsed.length > 0 && unfulfillableScrapTotal_in > EPSILON_INCHES) {
-             const firstPipeKey = `${detailedPipesUsed[0].standardLength.toString()}_${detailedPipesUsed[0].standardLengthUnit}`;
-             if(pipesTakenCounts[firstPipeKey]) {
-                pipesTakenCounts[firstPipeKey].totalScrapOnThesePipes = toDecimal128(
-                    parseFloat(pipesTakenCounts[firstPipeKey].totalScrapOnThesePipes.toString()) +
-                    parseFloat(unfulfillableScrap_usageUnit.toString())
-                );
-             }
-        }
-
         const summaryTotalPipesPerLength = Object.values(pipesTakenCounts).map(pt => ({
             length: pt.length,
             unit: pt.unit,
             quantity: pt.quantity,
             totalScrap: pt.totalScrapOnThesePipes,
-            scrapUnit: materialUsageUnit // Add scrap unit explicitly using material's usage unit
+            scrapUnit: materialUsageUnit, // Add scrap unit explicitly using material's usage unit
+            isRemnant: pt.isRemnant
         }));
 
         return {
@@ -370,6 +482,159 @@ class CuttingOptimizationService {
             summary: {
                 totalPipesPerLength: summaryTotalPipesPerLength,
                 totalWeight: toDecimal128(totalWeightForAllPipes_D.toString())
+            },
+            strategyReport: {
+                strategy: strategyName,
+                isOptimal: solution.isOptimal,
+                elapsedMs: solution.elapsedMs,
+                result: summarizeLayouts(solution.layouts),
+                greedyBaseline: summarizeLayouts(baseline.layouts)
+            },
+            cuttingConfig
+        };
+    }
+
+    /**
+     * Collects the profile cuts an order needs, grouped per material.
+     * @param {object} order - Order document.
+     * @param {object} [options] - { keyByGauge, labelWithOrder }. keyByGauge groups per material AND gauge
+     *   (batches mix orders that may use different gauges); labelWithOrder prefixes each cut's identifier
+     *   with the order number so pieces of different orders on one pipe can be told apart.
+     * @param {Map<string, object>} [materialCutsMap] - Map to add to, so several orders can be collected together.
+     * @returns {Map<string, object>} key -> { cutReq, allCutLengths: [{ length, angles, lengthUnit, materialNameSnapshot, itemLabel, identifier, orderId }] }
+     */
+    collectOrderMaterialCuts(order, options = {}, materialCutsMap = new Map()) {
+        // Process each item to track window associations properly
+        order.items.forEach((item, itemIndex) => {
+            if (!item.requiredMaterialCuts || !item.requiredMaterialCuts.length) return;
+            
+            const itemLabel = item.itemLabel || `Window ${itemIndex + 1}`;
+            const identifier = options.labelWithOrder ? `${order.orderIdDisplay} ${itemLabel}` : itemLabel;
+            
+            item.requiredMaterialCuts.forEach((cutReq, cutReqIndex) => {
+                console.log(`[CuttingOptimizationService - DEBUG] Checking cutReq for material ${cutReq.materialNameSnapshot} in ${itemLabel}:`, {
+                    isCutRequired: cutReq.isCutRequired,
+                    materialId: cutReq.materialId.toString(),
+                    cutLengthsCount: cutReq.cutLengths ? cutReq.cutLengths.length : 0
+                });
+                
+                // Check if material should be processed - either explicitly marked as cut required 
+                // OR has actual cut lengths (which indicates it's a profile that should be optimized)
+                const hasCutLengths = cutReq.cutLengths && cutReq.cutLengths.length > 0;
+                const shouldProcess = cutReq.isCutRequired || hasCutLengths;
+                
+                if (!shouldProcess) {
+                    console.log(`[CuttingOptimizationService - DEBUG] Skipping material ${cutReq.materialNameSnapshot} in ${itemLabel}: isCutRequired=${cutReq.isCutRequired}, hasCutLengths=${hasCutLengths}, shouldProcess=${shouldProcess}`);
+                    return;
+                }
+
+                const materialKey = options.keyByGauge
+                    ? `${cutReq.materialId.toString()}_${cutReq.gaugeSnapshot || ''}`
+                    : cutReq.materialId.toString();
+                
+                // Collect cuts for this material
+                if (!materialCutsMap.has(materialKey)) {
+                    materialCutsMap.set(materialKey, {
+                        cutReq: cutReq,
+                        allCutLengths: []
+                    });
+                }
+                
+                // Add the cut lengths from this cutReq to the accumulated cuts with proper window label
+                if (cutReq.cutLengths && Array.isArray(cutReq.cutLengths)) {
+                    const cutAngles = cutReq.cutAngles || [];
+                    const cutPositions = cutReq.cutPositions || [];
+                    cutReq.cutLengths.forEach((cl, cutIndex) => {
+                        materialCutsMap.get(materialKey).allCutLengths.push({
+                            length: cl,
+                            angles: normalizeCutAngles(cutAngles[cutIndex]),
+                            lengthUnit: cutReq.lengthUnit,
+                            materialNameSnapshot: cutReq.materialNameSnapshot,
+                            itemLabel: itemLabel,
+                            identifier: identifier,
+                            orderId: order._id,
+                            pieceId: buildPieceId(order.orderIdDisplay, itemIndex, cutReqIndex, cutIndex),
+                            itemIndex,
+                            position: cutPositions[cutIndex] || ''
+                        });
+                    });
+                }
+            });
+        });
+
+        return materialCutsMap;
+    }
+
+    /**
+     * Lays out the collected cuts of one material and builds the CuttingPlan material plan for it.
+     * @param {object} material - Material in the shape returned by findMaterialById.
+     * @param {Array<object>} allCutLengths - Cuts from collectOrderMaterialCuts (any length unit).
+     * @param {string} gaugeSnapshot - The gauge of the material for the order(s).
+     * @param {string} companyId - The ID of the company.
+     * @param {object} [options] - { strategy, timeLimitMs }
+     * @returns {Promise<object|null>} { materialPlan, strategyReport }, or null if no cut is valid.
+     */
+    async buildMaterialPlan(material, allCutLengths, gaugeSnapshot, companyId, options = {}) {
+        const finalCutsForLayout = [];
+        allCutLengths.forEach((cutData, index) => {
+            const rawLength = parseFloat(cutData.length.toString());
+            if (rawLength > 0) {
+                const conversionToUsageUnit = convertUnit(rawLength, cutData.lengthUnit, material.usageUnit);
+                if (conversionToUsageUnit.error || conversionToUsageUnit.result === null) {
+                    console.error(`Error converting cut length ${rawLength} ${cutData.lengthUnit} to ${material.usageUnit} for ${material.name}`);
+                    // Skip this cut if conversion fails
+                    return;
+                }
+                const lengthInUsageUnit = conversionToUsageUnit.result;
+
+                finalCutsForLayout.push({
+                    length: lengthInUsageUnit,
+                    identifier: cutData.identifier || cutData.itemLabel || `Cut ${index + 1}`,
+                    orderId: cutData.orderId,
+                    pieceId: cutData.pieceId,
+                    itemIndex: cutData.itemIndex,
+                    position: cutData.position,
+                    ...cutData.angles
+                });
+            }
+        });
+
+        console.log(`[CuttingOptimizationService - DEBUG] finalCutsForLayout for ${material.name}:`, {
+            totalCuts: finalCutsForLayout.length,
+            cuts: finalCutsForLayout.map(c => ({ length: c.length, identifier: c.identifier }))
+        });
+
+        if (finalCutsForLayout.length === 0) {
+            console.log(`[CuttingOptimizationService - buildMaterialPlan] No valid cuts required for material ${material.name} after processing and unit conversion. Skipping layout generation.`);
+            return null;
+        }
+
+        console.log(`[CuttingOptimizationService - buildMaterialPlan] Preparing to generate layout for ${material.name}. Gauge: '${gaugeSnapshot}', MaterialV2's own weightUnit: '${material.weightUnit}'`);
+
+        // Same kerf / trim / remnant rules as the estimation-time consumption calculation
+        const cuttingConfig = await getCuttingConfig(companyId, material);
+
+        // Use the detailed cutting layout generator
+        const layoutResult = await this.generateDetailedCuttingLayout(
+            material,
+            finalCutsForLayout, // This now contains lengths in material.usageUnit
+            material.usageUnit,
+            gaugeSnapshot,
+            { ...options, cuttingConfig }
+        );
+
+        return {
+            strategyReport: layoutResult.strategyReport,
+            // Material plan with detailed summary
+            materialPlan: {
+                materialId: material._id,
+                materialNameSnapshot: material.name,
+                gaugeSnapshot,
+                usageUnit: material.usageUnit,
+                cuttingParameters: toPlanCuttingParameters(cuttingConfig),
+                pipesUsed: layoutResult.pipesUsedLayout,
+                totalPipesPerLength: layoutResult.summary.totalPipesPerLength,
+                totalWeight: layoutResult.summary.totalWeight
             }
         };
     }
@@ -379,9 +644,11 @@ class CuttingOptimizationService {
      * @param {string} orderId - The ID of the order to optimize.
      * @param {string} companyId - The ID of the company.
      * @param {string} userId - The ID of the user performing the operation.
-     * @returns {Promise<object>} The created CuttingPlan document.
+     * @param {object} [options] - { strategy: 'greedy' | 'exact' | 'localSearch' | 'auto', timeLimitMs (per material),
+     *   locationId, locationMode: 'restrict' | 'prefer' }.
+     * @returns {Promise<object>} The created CuttingPlan document, saved as the order's next, active version.
      */
-    async optimizeCuts(orderId, companyId, userId) {
+    async optimizeCuts(orderId, companyId, userId, options = {}) {
         const order = await Order.findById(orderId);
         if (!order) {
             throw new AppError(`Order not found: ${orderId}`, 404);
@@ -415,82 +682,19 @@ class CuttingOptimizationService {
         }
         // Add other status checks if necessary, e.g. order.status
 
-        // If a previous, uncommitted cutting plan exists, remove it.
-        // This ensures the unique index on CuttingPlan (orderId) is not violated.
-        // Note: In theory, there should only be one, but we'll handle the case where there might be multiple due to race conditions or data inconsistencies.
-        const existingUncommittedPlans = await CuttingPlan.find({ orderId: order._id, status: { $ne: 'Committed' } });
-        if (existingUncommittedPlans.length > 0) {
-            console.log(`[CuttingOptimizationService] Found ${existingUncommittedPlans.length} existing uncommitted cutting plan(s) for order ${orderId}. Removing them before generating a new one.`);
-            
-            for (const plan of existingUncommittedPlans) {
-                console.log(`[CuttingOptimizationService] Removing cutting plan ${plan._id} (status: ${plan.status}) for order ${orderId}.`);
-                await CuttingPlan.findByIdAndDelete(plan._id);
-            }
-            
-            // Also ensure the order's cuttingPlanId is cleared if it pointed to any of these old plans
-            if (order.cuttingPlanId) {
-                const deletedPlanIds = existingUncommittedPlans.map(p => p._id.toString());
-                if (deletedPlanIds.includes(order.cuttingPlanId.toString())) {
-                    console.log(`[CuttingOptimizationService] Clearing order.cuttingPlanId as it pointed to a deleted plan.`);
-                    order.cuttingPlanId = null;
-                    // order.cuttingPlanStatus will be updated later when the new plan is created
-                }
-            }
-        }
-        // At this point, there should be no uncommitted cutting plans for this order
+        // Earlier versions are kept for audit; the new plan becomes the next version, taken atomically so two
+        // optimizations of the order at once get different versions
+        const nextVersion = await Counter.next(companyId, `CuttingPlan:${order._id}`, async () => {
+            const latestVersion = await CuttingPlan.findOne({ orderId: order._id }).sort({ version: -1 }).select('version').lean();
+            // Plans created before versioning have no version number and count as version 1
+            return latestVersion ? latestVersion.version || 1 : 0;
+        });
 
         // Extract all required material cuts from the order
         const materialPlans = [];
-        
-        // First, collect all materials and their cuts across all items
-        const materialCutsMap = new Map(); // materialId -> { cutReq, allCutLengths: [] }
-
-        // Process each item to track window associations properly
-        order.items.forEach((item, itemIndex) => {
-            if (!item.requiredMaterialCuts || !item.requiredMaterialCuts.length) return;
-            
-            const itemLabel = item.itemLabel || `Window ${itemIndex + 1}`;
-            
-            item.requiredMaterialCuts.forEach(cutReq => {
-                console.log(`[CuttingOptimizationService - DEBUG] Checking cutReq for material ${cutReq.materialNameSnapshot} in ${itemLabel}:`, {
-                    isCutRequired: cutReq.isCutRequired,
-                    materialId: cutReq.materialId.toString(),
-                    cutLengthsCount: cutReq.cutLengths ? cutReq.cutLengths.length : 0
-                });
-                
-                // Check if material should be processed - either explicitly marked as cut required 
-                // OR has actual cut lengths (which indicates it's a profile that should be optimized)
-                const hasCutLengths = cutReq.cutLengths && cutReq.cutLengths.length > 0;
-                const shouldProcess = cutReq.isCutRequired || hasCutLengths;
-                
-                if (!shouldProcess) {
-                    console.log(`[CuttingOptimizationService - DEBUG] Skipping material ${cutReq.materialNameSnapshot} in ${itemLabel}: isCutRequired=${cutReq.isCutRequired}, hasCutLengths=${hasCutLengths}, shouldProcess=${shouldProcess}`);
-                    return;
-                }
-
-                const materialIdStr = cutReq.materialId.toString();
-                
-                // Collect cuts for this material
-                if (!materialCutsMap.has(materialIdStr)) {
-                    materialCutsMap.set(materialIdStr, {
-                        cutReq: cutReq,
-                        allCutLengths: []
-                    });
-                }
-                
-                // Add the cut lengths from this cutReq to the accumulated cuts with proper window label
-                if (cutReq.cutLengths && Array.isArray(cutReq.cutLengths)) {
-                    cutReq.cutLengths.forEach(cl => {
-                        materialCutsMap.get(materialIdStr).allCutLengths.push({
-                            length: cl,
-                            lengthUnit: cutReq.lengthUnit,
-                            materialNameSnapshot: cutReq.materialNameSnapshot,
-                            itemLabel: itemLabel
-                        });
-                    });
-                }
-            });
-        });
+        const strategyReports = [];
+        const materialCutsMap = this.collectOrderMaterialCuts(order); // materialId -> { cutReq, allCutLengths: [] }
+        const locationFilter = await LocationService.resolveLocationFilter(companyId, options);
 
         console.log(`[CuttingOptimizationService - DEBUG] Collected materials for processing:`, 
             Array.from(materialCutsMap.keys()).map(materialId => {
@@ -510,7 +714,7 @@ class CuttingOptimizationService {
 
             console.log(`[CuttingOptimizationService - DEBUG] Processing material ${cutReq.materialNameSnapshot} with ${allCutLengths.length} total cuts`);
 
-            const material = await CuttingOptimizationService.findMaterialById(cutReq.materialId, companyId);
+            const material = await CuttingOptimizationService.findMaterialById(cutReq.materialId, companyId, { locationFilter, reservedFor: order._id });
             if (!material) {
                 throw new AppError(`MaterialV2 details not found for ID: ${cutReq.materialId} (${cutReq.materialNameSnapshot}).`, 404);
             }
@@ -538,7 +742,9 @@ class CuttingOptimizationService {
 
             console.log(`[CuttingOptimizationService - DEBUG] Effective standardLengths for ${material.name} after mapping and filtering (used for optimization):`, JSON.stringify(standardLengths));
 
-            if (!standardLengths.length) {
+            const usableRemnants = this.getUsableRemnantPieces(material, cutReq.gaugeSnapshot);
+
+            if (!standardLengths.length && !usableRemnants.length) {
                 // Check if there was stockByLength initially but all failed conversion or had zero quantity
                 if (material.stockByLength && material.stockByLength.length > 0) {
                      console.error(`[CuttingOptimizationService] All stock for material ${material.name} (ID: ${material._id}) failed conversion to inches or had zero quantity.`);
@@ -620,7 +826,10 @@ class CuttingOptimizationService {
             }
 
             // Check if any cut is longer than available stock
-            const longestStockLength = Math.max(...standardLengths.map(s => s.length));
+            const longestStockLength = Math.max(
+                ...standardLengths.map(s => s.length),
+                ...usableRemnants.map(r => r.lengthInInches)
+            );
             const longestCut = Math.max(...allCutsForMaterial.map(c => c.length));
             
             if (longestCut > longestStockLength) {
@@ -676,78 +885,42 @@ class CuttingOptimizationService {
             // The `materialCutEntry.cutLengths` are assumed to be in `materialCutEntry.lengthUnit`.
             // Let's refine this to ensure correct unit handling before passing to generateDetailedCuttingLayout.
 
-            const finalCutsForLayout = [];
-            allCutLengths.forEach((cutData, index) => {
-                const rawLength = parseFloat(cutData.length.toString());
-                if (rawLength > 0) {
-                    const conversionToUsageUnit = convertUnit(rawLength, cutData.lengthUnit, material.usageUnit);
-                    if (conversionToUsageUnit.error || conversionToUsageUnit.result === null) {
-                        console.error(`Error converting cut length ${rawLength} ${cutData.lengthUnit} to ${material.usageUnit} for ${material.name}`);
-                        // Skip this cut if conversion fails
-                        return;
-                    }
-                    const lengthInUsageUnit = conversionToUsageUnit.result;
-
-                    finalCutsForLayout.push({
-                        length: lengthInUsageUnit,
-                        identifier: cutData.itemLabel || `Cut ${index + 1}`
-                    });
-                }
-            });
-
-            console.log(`[CuttingOptimizationService - DEBUG] finalCutsForLayout for ${material.name}:`, {
-                totalCuts: finalCutsForLayout.length,
-                cuts: finalCutsForLayout.map(c => ({ length: c.length, identifier: c.identifier }))
-            });
-
-            if (finalCutsForLayout.length === 0) {
-                console.log(`[CuttingOptimizationService - optimizeCuts] No valid cuts required for material ${material.name} after processing and unit conversion. Skipping layout generation.`);
+            const plannedMaterial = await this.buildMaterialPlan(material, allCutLengths, cutReq.gaugeSnapshot, companyId, options);
+            if (!plannedMaterial) {
                 continue; // Move to the next material
             }
-
-            // Filter out cuts for this material that have already been processed if the material appears multiple times with different gauges
-            // This part is tricky if the same materialId is used for multiple cutReqs. For now, assume each materialId is unique per optimization run.
-
-            console.log(`[CuttingOptimizationService - optimizeCuts] Preparing to generate layout for ${material.name}. Gauge from cutReq: '${cutReq.gaugeSnapshot}', MaterialV2's own weightUnit: '${material.weightUnit}'`);
-            console.log(`[CuttingOptimizationService - optimizeCuts] Final cuts for layout (in ${material.usageUnit}) for ${material.name}:`, finalCutsForLayout);
-
-            // Use the detailed cutting layout generator
-            const layoutResult = await this.generateDetailedCuttingLayout(
-                material,
-                finalCutsForLayout, // This now contains lengths in material.usageUnit
-                material.usageUnit,
-                cutReq.gaugeSnapshot
-            );
-
-            // Add material plan with detailed summary
-            materialPlans.push({
-                materialId: material._id,
-                materialNameSnapshot: material.name,
-                gaugeSnapshot: cutReq.gaugeSnapshot,
-                usageUnit: material.usageUnit,
-                pipesUsed: layoutResult.pipesUsedLayout,
-                totalPipesPerLength: layoutResult.summary.totalPipesPerLength,
-                totalWeight: layoutResult.summary.totalWeight
-            });
+            strategyReports.push(plannedMaterial.strategyReport);
+            materialPlans.push(plannedMaterial.materialPlan);
         }
 
         console.log(`[CuttingOptimizationService] Finished processing all materials. Creating cutting plan with ${materialPlans.length} material plans.`);
 
-        // Create the cutting plan
+        // Create the cutting plan as an inactive version, then make it the active one
         const newCuttingPlan = await CuttingPlan.create({
             orderId: order._id,
             orderIdDisplay: order.orderIdDisplay,
             companyId,
             generatedBy: userId,
+            version: nextVersion,
+            isActive: false,
+            requestedOptions: {
+                strategy: options.strategy || 'greedy',
+                timeLimitMs: options.timeLimitMs,
+                locationId: locationFilter ? locationFilter.locationId : undefined,
+                locationMode: locationFilter ? locationFilter.mode : undefined
+            },
             materialPlans,
             summary: {
                 totalWeight: mongoose.Types.Decimal128.fromString('0'),
                 totalScrapWeight: mongoose.Types.Decimal128.fromString('0')
             },
-            status: 'Generated' // Explicitly set status on creation
+            status: 'Generated', // Explicitly set status on creation
+            optimization: CuttingOptimizationService.combineStrategyReports(options.strategy || 'greedy', strategyReports)
         });
 
-        console.log(`[CuttingOptimizationService] Successfully created cutting plan with ID: ${newCuttingPlan._id}`);
+        console.log(`[CuttingOptimizationService] Successfully created cutting plan version ${nextVersion} with ID: ${newCuttingPlan._id}`);
+
+        await CuttingOptimizationService.setActivePlan(newCuttingPlan, userId);
 
         // Update the order with the new cutting plan ID and status
         order.cuttingPlanId = newCuttingPlan._id;
@@ -758,11 +931,413 @@ class CuttingOptimizationService {
         }
         await order.save(); // Save changes to the order document
 
+        // Re-take the order's stock reservations now that its requirements are final
+        await StockReservationService.syncWithOrderStatus(order, companyId);
+
         console.log(`[CuttingOptimizationService] Successfully updated order ${order.orderIdDisplay} with cutting plan ID and status`);
 
         return newCuttingPlan;
     }
 
+    /**
+     * Optimizes the cuts of several orders together, per material and gauge, so small orders can share pipes.
+     * Each cut keeps its order and item identifier; the orders' own cutting plans are left untouched.
+     * @param {Array<string>} orderIds - The IDs of the orders to plan together (at least two).
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The ID of the user performing the operation.
+     * @param {object} [options] - { strategy, timeLimitMs, notes, locationId, locationMode }
+     * @returns {Promise<object>} The created CuttingBatch document.
+     */
+    async optimizeBatch(orderIds, companyId, userId, options = {}) {
+        const uniqueOrderIds = [...new Set(orderIds.map(id => id.toString()))];
+        if (uniqueOrderIds.length < 2) {
+            throw new AppError('Select at least two orders to optimize together.', 400);
+        }
+
+        const orders = await Order.find({ _id: { $in: uniqueOrderIds }, companyId });
+        if (orders.length !== uniqueOrderIds.length) {
+            const foundIds = orders.map(order => order._id.toString());
+            const missing = uniqueOrderIds.filter(id => !foundIds.includes(id));
+            throw new AppError(`Order(s) not found: ${missing.join(', ')}`, 404);
+        }
+
+        const notOptimizable = orders.filter(order =>
+            order.cuttingPlanStatus === 'Committed' || !OPTIMIZABLE_ORDER_STATUSES.includes(order.status)
+        );
+        if (notOptimizable.length > 0) {
+            throw new AppError(
+                `These orders cannot be optimized: ${notOptimizable.map(order => `${order.orderIdDisplay} (${order.cuttingPlanStatus === 'Committed' ? 'cuts already committed' : order.status})`).join(', ')}.`,
+                400
+            );
+        }
+
+        const openBatches = await CuttingBatch.find({
+            companyId,
+            status: 'Generated',
+            'orders.orderId': { $in: uniqueOrderIds }
+        }).select('batchNumber');
+        if (openBatches.length > 0) {
+            throw new AppError(`Some of these orders are already in open cutting batch(es) ${openBatches.map(b => b.batchNumber).join(', ')}. Commit or cancel them first.`, 400);
+        }
+
+        // Cuts of all orders, grouped per material and gauge
+        const materialCutsMap = new Map();
+        orders.forEach(order => this.collectOrderMaterialCuts(order, { keyByGauge: true, labelWithOrder: true }, materialCutsMap));
+        const locationFilter = await LocationService.resolveLocationFilter(companyId, options);
+
+        const materialPlans = [];
+        const strategyReports = [];
+        for (const { cutReq, allCutLengths } of materialCutsMap.values()) {
+            const material = await CuttingOptimizationService.findMaterialById(cutReq.materialId, companyId, { locationFilter, reservedFor: uniqueOrderIds });
+            if (!material) {
+                throw new AppError(`MaterialV2 details not found for ID: ${cutReq.materialId} (${cutReq.materialNameSnapshot}).`, 404);
+            }
+
+            const plannedMaterial = await this.buildMaterialPlan(material, allCutLengths, cutReq.gaugeSnapshot, companyId, options);
+            if (plannedMaterial) {
+                strategyReports.push(plannedMaterial.strategyReport);
+                materialPlans.push(plannedMaterial.materialPlan);
+            }
+        }
+
+        if (materialPlans.length === 0) {
+            throw new AppError('None of the selected orders has profile cuts to optimize.', 400);
+        }
+
+        const batch = await CuttingBatch.create({
+            companyId,
+            batchNumber: CuttingBatch.generateBatchNumber(),
+            orders: orders.map(order => ({
+                orderId: order._id,
+                orderIdDisplay: order.orderIdDisplay,
+                clientNameSnapshot: order.clientSnapshot?.clientName
+            })),
+            generatedBy: userId,
+            requestedOptions: {
+                strategy: options.strategy || 'greedy',
+                timeLimitMs: options.timeLimitMs,
+                locationId: locationFilter ? locationFilter.locationId : undefined,
+                locationMode: locationFilter ? locationFilter.mode : undefined
+            },
+            materialPlans,
+            optimization: CuttingOptimizationService.combineStrategyReports(options.strategy || 'greedy', strategyReports),
+            notes: options.notes
+        });
+
+        console.log(`[CuttingOptimizationService] Created cutting batch ${batch.batchNumber} for orders ${orders.map(order => order.orderIdDisplay).join(', ')}`);
+
+        for (const order of orders) {
+            order.cuttingBatchId = batch._id;
+            order.history.push({
+                status: order.status,
+                notes: `Cuts planned together with ${orders.length - 1} other order(s) in cutting batch ${batch.batchNumber}`,
+                updatedBy: userId,
+                timestamp: new Date(),
+            });
+            await order.save();
+        }
+
+        return batch;
+    }
+
+    /**
+     * Cancels a cutting batch that has not been committed; the orders can then be cut on their own again.
+     * @param {string} batchId - The ID of the cutting batch.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<object>} The cancelled CuttingBatch document.
+     */
+    async cancelBatch(batchId, companyId) {
+        const batch = await CuttingBatch.findOne({ _id: batchId, companyId });
+        if (!batch) {
+            throw new AppError('Cutting batch not found.', 404);
+        }
+        if (batch.status !== 'Generated') {
+            throw new AppError(`Cutting batch is '${batch.status}' and cannot be cancelled.`, 400);
+        }
+
+        batch.status = 'Cancelled';
+        await batch.save();
+        await Order.updateMany(
+            { _id: { $in: batch.orders.map(o => o.orderId) }, cuttingBatchId: batch._id },
+            { $unset: { cuttingBatchId: 1 } }
+        );
+        return batch;
+    }
+
+    /**
+     * Splits one pipe of a batch plan between the orders whose cuts are on it, in proportion to cut length.
+     * The scrap (and any offcut) is shared the same way, so the shares always add up to the whole pipe.
+     * @param {object} pipe - CuttingPlan/CuttingBatch pipesUsed entry.
+     * @returns {Array<object>} [{ orderId, cutLength, share }] with share between 0 and 1.
+     */
+    static allocatePipeToOrders(pipe) {
+        const lengthsByOrder = new Map();
+        (pipe.cutsMade || []).forEach(cut => {
+            const key = cut.orderId ? cut.orderId.toString() : null;
+            lengthsByOrder.set(key, (lengthsByOrder.get(key) || new Decimal(0)).plus(cut.requiredLength.toString()));
+        });
+
+        const totalCutLength = [...lengthsByOrder.values()].reduce((sum, length) => sum.plus(length), new Decimal(0));
+        return [...lengthsByOrder.entries()].map(([orderId, cutLength]) => ({
+            orderId,
+            cutLength: cutLength.toNumber(),
+            share: totalCutLength.gt(0) ? cutLength.div(totalCutLength).toNumber() : 1 / lengthsByOrder.size
+        }));
+    }
+
+    /**
+     * Rounds the shares of a pipe for posting: quantities to 4 places and values to 2, the last share
+     * taking the remainder so the shares add up to exactly one pipe at its full value.
+     * @param {Array<object>} pipeShares - allocatePipeToOrders result.
+     * @param {number|string|Decimal} unitRate - Value of the whole pipe.
+     * @returns {Array<object>} The shares, each with quantity and value (Decimal) added.
+     */
+    static roundPipeShares(pipeShares, unitRate) {
+        let quantityPosted = new Decimal(0);
+        let valuePosted = new Decimal(0);
+        return pipeShares.map((pipeShare, index) => {
+            const isLast = index === pipeShares.length - 1;
+            const quantity = isLast
+                ? new Decimal(1).minus(quantityPosted)
+                : new Decimal(pipeShare.share).toDecimalPlaces(4);
+            const value = isLast
+                ? new Decimal(unitRate).minus(valuePosted)
+                : new Decimal(unitRate).times(pipeShare.share).toDecimalPlaces(2);
+            quantityPosted = quantityPosted.plus(quantity);
+            valuePosted = valuePosted.plus(value);
+            return { ...pipeShare, quantity, value };
+        });
+    }
+
+    /**
+     * Marks a plan as the order's active version and deactivates every other version.
+     * Other versions are deactivated first so the one-active-plan-per-order index is not violated; when another
+     * version is activated at the same moment, it is deactivated again and the save retried.
+     * @param {object} plan - CuttingPlan document to activate.
+     * @param {string} userId - The ID of the user activating the plan.
+     * @returns {Promise<object>} The activated CuttingPlan document.
+     */
+    static async setActivePlan(plan, userId) {
+        for (let attempt = 1; ; attempt++) {
+            await CuttingPlan.updateMany(
+                { orderId: plan.orderId, _id: { $ne: plan._id }, isActive: true },
+                { $set: { isActive: false } }
+            );
+            plan.isActive = true;
+            plan.activatedAt = new Date();
+            plan.activatedBy = userId;
+            try {
+                return await plan.save();
+            } catch (error) {
+                // Another version of the order was activated at the same moment; deactivate it and try again
+                if (error.code !== 11000 || attempt >= 3) throw error;
+            }
+        }
+    }
+
+    /**
+     * Lists every cutting plan version of an order, newest first, with totals for each.
+     * @param {string} orderId - The ID of the order.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<Array<object>>} Version summaries (see summarizePlanVersion).
+     */
+    async listPlanVersions(orderId, companyId) {
+        const plans = await CuttingPlan.find({ orderId, companyId }).sort({ version: -1 }).lean();
+        return plans.map(plan => CuttingOptimizationService.summarizePlanVersion(plan));
+    }
+
+    /**
+     * Makes an earlier (or later) cutting plan version the one commit-cuts will use.
+     * @param {string} orderId - The ID of the order.
+     * @param {string} companyId - The ID of the company.
+     * @param {number} version - Version number to activate.
+     * @param {string} userId - The ID of the user activating the version.
+     * @returns {Promise<object>} The activated CuttingPlan document.
+     */
+    async activatePlanVersion(orderId, companyId, version, userId) {
+        const order = await Order.findOne({ _id: orderId, companyId });
+        if (!order) {
+            throw new AppError('Order not found.', 404);
+        }
+        if (order.cuttingPlanStatus === 'Committed') {
+            throw new AppError('A cutting plan has already been committed for this order. The active version can no longer be changed.', 400);
+        }
+
+        const plan = await CuttingPlan.findOne({ orderId, companyId, version });
+        if (!plan) {
+            throw new AppError(`Cutting plan version ${version} not found for this order.`, 404);
+        }
+        if (plan.status !== 'Generated') {
+            throw new AppError(`Cutting plan version ${version} has status '${plan.status}' and cannot be activated.`, 400);
+        }
+
+        await CuttingOptimizationService.setActivePlan(plan, userId);
+
+        order.cuttingPlanId = plan._id;
+        order.cuttingPlanStatus = 'Generated';
+        order.history.push({
+            status: order.status,
+            notes: `Cutting plan version ${version} activated`,
+            updatedBy: userId,
+            timestamp: new Date(),
+        });
+        await order.save();
+
+        return plan;
+    }
+
+    /**
+     * Compares two cutting plan versions of an order: pipes, remnants, scrap and weight per material and overall.
+     * Differences are `to - from`, so a negative scrap difference means the `to` version wastes less.
+     * @param {string} orderId - The ID of the order.
+     * @param {string} companyId - The ID of the company.
+     * @param {number} fromVersion - Baseline version.
+     * @param {number} toVersion - Version compared against the baseline.
+     * @returns {Promise<object>} { from, to, difference, materials: [] }
+     */
+    async comparePlanVersions(orderId, companyId, fromVersion, toVersion) {
+        const plans = await CuttingPlan.find({ orderId, companyId, version: { $in: [fromVersion, toVersion] } }).lean();
+        const fromPlan = plans.find(plan => plan.version === fromVersion);
+        const toPlan = plans.find(plan => plan.version === toVersion);
+        if (!fromPlan || !toPlan) {
+            throw new AppError(`Cutting plan version ${!fromPlan ? fromVersion : toVersion} not found for this order.`, 404);
+        }
+
+        const { materials: fromMaterials, ...from } = CuttingOptimizationService.summarizePlanVersion(fromPlan);
+        const { materials: toMaterials, ...to } = CuttingOptimizationService.summarizePlanVersion(toPlan);
+        const diff = (a, b) => ({
+            pipesUsed: b.pipesUsed - a.pipesUsed,
+            remnantsUsed: b.remnantsUsed - a.remnantsUsed,
+            scrapLength: parseFloat((b.scrapLength - a.scrapLength).toFixed(2)),
+            totalWeight: parseFloat((b.totalWeight - a.totalWeight).toFixed(3))
+        });
+        const emptyTotals = unit => ({ pipesUsed: 0, remnantsUsed: 0, scrapLength: 0, totalWeight: 0, scrapUnit: unit });
+
+        const materialKeys = [...new Set([...fromMaterials, ...toMaterials].map(m => m.key))];
+        const materials = materialKeys.map(key => {
+            const fromMaterial = fromMaterials.find(m => m.key === key);
+            const toMaterial = toMaterials.find(m => m.key === key);
+            const reference = toMaterial || fromMaterial;
+            const fromTotals = fromMaterial || emptyTotals(reference.scrapUnit);
+            const toTotals = toMaterial || emptyTotals(reference.scrapUnit);
+            return {
+                materialId: reference.materialId,
+                materialNameSnapshot: reference.materialNameSnapshot,
+                gaugeSnapshot: reference.gaugeSnapshot,
+                scrapUnit: reference.scrapUnit,
+                from: fromTotals,
+                to: toTotals,
+                difference: diff(fromTotals, toTotals)
+            };
+        });
+
+        return {
+            from,
+            to,
+            difference: { ...diff(from.totals, to.totals), scrapPercent: parseFloat((to.totals.scrapPercent - from.totals.scrapPercent).toFixed(2)) },
+            lengthUnit: 'inches',
+            materials
+        };
+    }
+
+    /**
+     * Totals for one cutting plan version. Per-material scrap stays in the material's usage unit;
+     * plan totals are converted to inches so materials with different units can be added up.
+     * @param {object} plan - CuttingPlan (lean or document).
+     * @returns {object} { _id, version, isActive, status, strategy, generatedAt, totals, materials: [] }
+     */
+    static summarizePlanVersion(plan) {
+        const totals = { pipesUsed: 0, remnantsUsed: 0, totalStockLength: 0, scrapLength: 0, totalWeight: 0 };
+
+        const materials = (plan.materialPlans || []).map(mp => {
+            const usageUnit = mp.usageUnit || 'inches';
+            const material = {
+                key: `${mp.materialId}_${mp.gaugeSnapshot || ''}`,
+                materialId: mp.materialId ? mp.materialId.toString() : null,
+                materialNameSnapshot: mp.materialNameSnapshot,
+                gaugeSnapshot: mp.gaugeSnapshot,
+                pipesUsed: 0,
+                remnantsUsed: 0,
+                scrapLength: 0,
+                scrapUnit: usageUnit,
+                totalWeight: mp.totalWeight ? parseFloat(mp.totalWeight.toString()) : 0
+            };
+
+            (mp.pipesUsed || []).forEach(pipe => {
+                if (pipe.sourceType === 'Remnant') {
+                    material.remnantsUsed++;
+                } else {
+                    material.pipesUsed++;
+                }
+                const scrap = pipe.scrapLength ? parseFloat(pipe.scrapLength.toString()) : 0;
+                material.scrapLength += scrap;
+
+                const scrapInInches = convertUnit(scrap, usageUnit, 'inches');
+                totals.scrapLength += scrapInInches.error ? 0 : scrapInInches.result;
+                const stockInInches = convertUnit(parseFloat(pipe.standardLength.toString()), pipe.standardLengthUnit, 'inches');
+                totals.totalStockLength += stockInInches.error ? 0 : stockInInches.result;
+            });
+
+            material.scrapLength = parseFloat(material.scrapLength.toFixed(2));
+            totals.pipesUsed += material.pipesUsed;
+            totals.remnantsUsed += material.remnantsUsed;
+            totals.totalWeight += material.totalWeight;
+            return material;
+        });
+
+        return {
+            _id: plan._id.toString(),
+            version: plan.version || 1,
+            isActive: plan.isActive !== false,
+            status: plan.status,
+            strategy: plan.requestedOptions?.strategy || plan.optimization?.strategy || 'greedy',
+            timeLimitMs: plan.requestedOptions?.timeLimitMs,
+            generatedAt: plan.generatedAt,
+            generatedBy: plan.generatedBy ? plan.generatedBy.toString() : null,
+            totals: {
+                pipesUsed: totals.pipesUsed,
+                remnantsUsed: totals.remnantsUsed,
+                totalStockLength: parseFloat(totals.totalStockLength.toFixed(2)),
+                scrapLength: parseFloat(totals.scrapLength.toFixed(2)),
+                scrapPercent: totals.totalStockLength > 0
+                    ? parseFloat((totals.scrapLength / totals.totalStockLength * 100).toFixed(2))
+                    : 0,
+                totalWeight: parseFloat(totals.totalWeight.toFixed(3))
+            },
+            materials
+        };
+    }
+
+    /**
+     * Combines the per-material strategy reports into the plan-level comparison with the greedy baseline.
+     * @param {string} strategy - Strategy name used for the plan.
+     * @param {Array<object>} reports - strategyReport objects from generateDetailedCuttingLayout.
+     * @returns {object} CuttingPlan.optimization
+     */
+    static combineStrategyReports(strategy, reports) {
+        const combine = key => {
+            const totals = reports.reduce((sum, report) => ({
+                pipesUsed: sum.pipesUsed + report[key].pipesUsed,
+                remnantsUsed: sum.remnantsUsed + report[key].remnantsUsed,
+                totalStockLength: sum.totalStockLength + report[key].totalStockLength_in,
+                scrapLength: sum.scrapLength + report[key].scrapLength_in
+            }), { pipesUsed: 0, remnantsUsed: 0, totalStockLength: 0, scrapLength: 0 });
+            totals.scrapPercent = totals.totalStockLength > 0
+                ? parseFloat((totals.scrapLength / totals.totalStockLength * 100).toFixed(2))
+                : 0;
+            return totals;
+        };
+
+        return {
+            strategy,
+            isOptimal: reports.length > 0 && reports.every(report => report.isOptimal),
+            elapsedMs: reports.reduce((sum, report) => sum + report.elapsedMs, 0),
+            lengthUnit: 'inches',
+            result: combine('result'),
+            greedyBaseline: combine('greedyBaseline')
+        };
+    }
+
     /**
      * Helper function to convert units.
      * @param {number} value - The value to convert.
@@ -799,4 +1374,7 @@ class CuttingOptimizationService {
     }
 }
 
+CuttingOptimizationService.STRATEGY_NAMES = STRATEGY_NAMES;
+CuttingOptimizationService.OPTIMIZABLE_ORDER_STATUSES = OPTIMIZABLE_ORDER_STATUSES;
+
 module.exports = CuttingOptimizationService;
\ No newline at end of file
@@ -0,0 +1,432 @@
+const mongoose = require('mongoose');
+const ProductType = require('../models/ProductType');
+const MaterialV2 = require('../models/MaterialV2');
+const Estimation = require('../models/Estimation');
+const EstimationService = require('./estimationService');
+const { AppError } = require('../utils/appError');
+const { parseCsv, parseRows, normalizeHeader, toCsvCell } = require('../utils/csvParser');
+const { convertUnit } = require('../utils/unitConverter');
+const { findBestMatch } = require('../utils/fuzzyMatch');
+
+const DIMENSION_UNITS = ['inches', 'mm', 'ft', 'm'];
+const SHEET_UNITS = ['inches', 'mm', 'cm', 'ft', 'm'];
+const MAX_ROWS = 1000;
+
+/**
+ * Spreadsheet columns, keyed by normalized header (see csvParser.normalizeHeader).
+ */
+const COLUMNS = {
+    label: 'itemLabel', itemlabel: 'itemLabel', opening: 'itemLabel', openingno: 'itemLabel', mark: 'itemLabel',
+    location: 'itemLabel', ref: 'itemLabel', reference: 'itemLabel', tag: 'itemLabel',
+    width: 'width', w: 'width',
+    height: 'height', h: 'height',
+    quantity: 'quantity', qty: 'quantity', nos: 'quantity', no: 'quantity', count: 'quantity',
+    producttype: 'productType', product: 'productType', type: 'productType', window: 'productType',
+    system: 'productType', model: 'productType',
+    glass: 'glass', glasstype: 'glass', glazing: 'glass',
+    unit: 'unit', units: 'unit', dimensionunit: 'unit'
+};
+
+// Field name -> label used in reports and in the column mapping the user picks from
+const FIELDS = {
+    itemLabel: 'Label',
+    width: 'Width',
+    height: 'Height',
+    quantity: 'Quantity',
+    productType: 'Product Type',
+    glass: 'Glass',
+    unit: 'Unit'
+};
+
+const TEMPLATE_HEADERS = ['Label', 'Width', 'Height', 'Quantity', 'Product Type', 'Glass', 'Unit'];
+const TEMPLATE_ROWS = [
+    ['W1 Living', '1800', '1200', '2', '2 Track Sliding Window', '5mm Clear Glass', 'mm'],
+    ['W2 Bedroom', '48 1/2', '36', '1', 'Casement Window', '5mm Frosted Glass', 'inches'],
+    ['D1 Balcony', "7'6\"", "7'", '1', 'Sliding Door', '8mm Toughened Glass', '']
+];
+
+const UNIT_ALIASES = {
+    mm: 'mm', millimeter: 'mm', millimeters: 'mm', millimetre: 'mm', millimetres: 'mm',
+    cm: 'cm', centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm', mtr: 'm',
+    in: 'inches', inch: 'inches', inches: 'inches', '"': 'inches', '″': 'inches',
+    ft: 'ft', feet: 'ft', foot: 'ft', "'": 'ft', '′': 'ft'
+};
+
+function unitOf(text) {
+    return UNIT_ALIASES[String(text || '').trim().toLowerCase()];
+}
+
+/**
+ * Adds "Width (mm)", "Height in", "W [inches]" style headers to the column map and returns the unit each
+ * such width/height column states, so bare numbers under it are read in that unit.
+ */
+function readHeaderUnits(content, columns) {
+    const headerRow = parseRows(content).find(cells => cells.some(cell => cell.trim() !== '')) || [];
+    const headerUnits = {};
+    headerRow.forEach(header => {
+        const match = header.trim().match(/^(.*?)\s*[([]?\s*([a-z"'″′]+)\s*[)\]]?$/i);
+        if (!match || columns[normalizeHeader(header)]) return;
+        const field = columns[normalizeHeader(match[1])];
+        const unit = unitOf(match[2]);
+        if (unit && (field === 'width' || field === 'height')) {
+            columns[normalizeHeader(header)] = field;
+            headerUnits[field] = unit;
+        }
+    });
+    return headerUnits;
+}
+
+/**
+ * Reads a surveyed dimension: "1200", "1,200 mm", "48 1/2", "48.5in", "4'6\"", "4 ft 6 in".
+ * @param {string} raw - Cell text.
+ * @param {string} defaultUnit - Unit of a bare number.
+ * @returns {{value: number, unit: string}|{error: string}}
+ */
+function parseDimension(raw, defaultUnit) {
+    const text = String(raw).trim().replace(/,/g, '').replace(/\s+/g, ' ');
+
+    const feetInches = text.match(/^(\d+(?:\.\d+)?)\s*(?:'|′|ft|feet|foot)\s*-?\s*(\d+(?:\.\d+)?)\s*(?:"|″|in|inch|inches)?$/i);
+    if (feetInches) {
+        return { value: parseFloat(feetInches[1]) * 12 + parseFloat(feetInches[2]), unit: 'inches' };
+    }
+
+    const match = text.match(/^(\d+(?:\.\d+)?)(?:\s+(\d+)\/(\d+))?\s*([a-z"'″′]*)$/i);
+    if (!match) {
+        return { error: `"${raw}" is not a dimension` };
+    }
+    let value = parseFloat(match[1]);
+    if (match[2]) {
+        if (Number(match[3]) === 0) return { error: `"${raw}" is not a dimension` };
+        value += Number(match[2]) / Number(match[3]);
+    }
+    const unit = match[4] ? unitOf(match[4]) : defaultUnit;
+    if (!unit) {
+        return { error: `unknown unit "${match[4]}" in "${raw}"` };
+    }
+    return { value, unit };
+}
+
+/**
+ * Imports estimation items from a site measurement sheet (CSV, or tab-separated text pasted from Excel).
+ *
+ * One row per opening: label, width, height, quantity, product type and glass. Product type and glass names
+ * are matched to the company's product types and glass materials by name, tolerating typos and word order;
+ * dimensions are converted into the estimation's unit. Rows that do not resolve are reported and left out;
+ * the rest become the estimation's items and the estimation is calculated.
+ */
+class EstimationImportService {
+
+    /**
+     * Blank template with example rows.
+     * @returns {string} CSV content
+     */
+    static getTemplate() {
+        return [TEMPLATE_HEADERS, ...TEMPLATE_ROWS].map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Checks a sheet and resolves its rows without writing anything.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} content - CSV / tab-separated text with a header row.
+     * @param {object} options - { dimensionUnit: the estimation's unit, sheetUnit: unit of bare numbers
+     *   (defaults to dimensionUnit), columns: { [sheet header]: field } for headers the defaults do not know }
+     * @returns {Promise<object>} Report: { rows, unknownColumns, fields, summary, canImport }
+     */
+    static async previewImport(companyId, content, options = {}) {
+        const { report } = await EstimationImportService.buildItems(companyId, content, options);
+        return report;
+    }
+
+    /**
+     * Creates an estimation from a sheet and calculates it.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user importing.
+     * @param {string} content - CSV / tab-separated text with a header row.
+     * @param {object} data - { projectName, clientId, dimensionUnitUsed, gauge, rateSource, sheetUnit, columns }
+     * @returns {Promise<{estimation: object, report: object, calculationError: string|null}>}
+     */
+    static async importEstimation(companyId, userId, content, data = {}) {
+        const projectName = data.projectName ? String(data.projectName).trim() : '';
+        if (!projectName) {
+            throw new AppError('Project name is required.', 400);
+        }
+        const dimensionUnitUsed = data.dimensionUnitUsed || 'inches';
+        if (!DIMENSION_UNITS.includes(dimensionUnitUsed)) {
+            throw new AppError(`Invalid dimension unit. Allowed: ${DIMENSION_UNITS.join(', ')}.`, 400);
+        }
+        if (data.clientId && !mongoose.Types.ObjectId.isValid(data.clientId)) {
+            throw new AppError('Invalid client ID.', 400);
+        }
+
+        const { report, items } = await EstimationImportService.buildItems(companyId, content, {
+            ...data,
+            dimensionUnit: dimensionUnitUsed
+        });
+        EstimationImportService.assertImportable(report);
+
+        const estimation = await EstimationService.createEstimation({
+            projectName,
+            clientId: data.clientId || undefined,
+            dimensionUnitUsed,
+            gauge: data.gauge || undefined,
+            rateSource: data.rateSource || null,
+            items
+        }, companyId, userId);
+
+        return EstimationImportService.calculate(estimation, companyId, report);
+    }
+
+    /**
+     * Adds a sheet's items to an existing estimation (or replaces its items) and recalculates it.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} estimationId - The estimation to import into.
+     * @param {string} content - CSV / tab-separated text with a header row.
+     * @param {object} data - { mode: 'append' | 'replace', sheetUnit, columns }
+     * @returns {Promise<{estimation: object, report: object, calculationError: string|null}>}
+     */
+    static async importIntoEstimation(companyId, estimationId, content, data = {}) {
+        if (!mongoose.Types.ObjectId.isValid(estimationId)) {
+            throw new AppError('Invalid estimation ID.', 400);
+        }
+        const estimation = await Estimation.findOne({ _id: estimationId, companyId });
+        if (!estimation) {
+            throw new AppError('Estimation not found.', 404);
+        }
+        if (!['Draft', 'Calculated'].includes(estimation.status)) {
+            throw new AppError(`Items cannot be imported into a ${estimation.status.toLowerCase()} estimation.`, 400);
+        }
+        const mode = data.mode || 'append';
+        if (!['append', 'replace'].includes(mode)) {
+            throw new AppError("Import mode must be 'append' or 'replace'.", 400);
+        }
+
+        const { report, items } = await EstimationImportService.buildItems(companyId, content, {
+            ...data,
+            dimensionUnit: estimation.dimensionUnitUsed
+        });
+        EstimationImportService.assertImportable(report);
+
+        if (mode === 'replace') {
+            estimation.items = items;
+        } else {
+            items.forEach(item => estimation.items.push(item));
+        }
+        await estimation.save();
+
+        return EstimationImportService.calculate(estimation, companyId, report);
+    }
+
+    static assertImportable(report) {
+        if (!report.canImport) {
+            const error = new AppError(
+                `No row of the sheet could be imported (${report.summary.unresolvedCount} unresolved). Fix the sheet and preview again.`,
+                400
+            );
+            error.report = report;
+            throw error;
+        }
+    }
+
+    /**
+     * Runs the material calculation on an imported estimation. A calculation failure does not undo the
+     * import: the estimation stays in Draft with its items and the error is returned.
+     */
+    static async calculate(estimation, companyId, report) {
+        try {
+            const calculated = await EstimationService.calculateEstimationMaterials(estimation._id, companyId);
+            return { estimation: calculated, report, calculationError: null };
+        } catch (error) {
+            console.error(`[EstimationImport] Calculation after import failed for estimation ${estimation._id}:`, error);
+            return { estimation, report, calculationError: error.message };
+        }
+    }
+
+    /**
+     * Parses a sheet and resolves each row into an estimation item.
+     * @returns {Promise<{report: object, items: Array<object>}>}
+     */
+    static async buildItems(companyId, content, options = {}) {
+        if (!content || !String(content).trim()) {
+            throw new AppError('The sheet is empty.', 400);
+        }
+        const dimensionUnit = options.dimensionUnit || 'inches';
+        const sheetUnit = options.sheetUnit || dimensionUnit;
+        if (!SHEET_UNITS.includes(sheetUnit)) {
+            throw new AppError(`Invalid sheet unit. Allowed: ${SHEET_UNITS.join(', ')}.`, 400);
+        }
+
+        const columns = { ...COLUMNS };
+        Object.entries(options.columns || {}).forEach(([header, field]) => {
+            if (!field) return;
+            if (!FIELDS[field]) {
+                throw new AppError(`Unknown field '${field}' for column '${header}'. Allowed: ${Object.keys(FIELDS).join(', ')}.`, 400);
+            }
+            columns[normalizeHeader(header)] = field;
+        });
+
+        const headerUnits = readHeaderUnits(content, columns);
+        const { records, unknownColumns } = parseCsv(content, columns);
+        if (records.length === 0) {
+            throw new AppError('The sheet has a header row but no data rows.', 400);
+        }
+        if (records.length > MAX_ROWS) {
+            throw new AppError(`The sheet has ${records.length} rows; import at most ${MAX_ROWS} at a time.`, 400);
+        }
+        const missing = ['width', 'height', 'productType'].filter(field => !records.some(record => record.values[field]));
+        if (missing.length > 0) {
+            throw new AppError(
+                `No ${missing.map(field => `'${FIELDS[field]}'`).join(', ')} column found. Map the sheet's columns or download the template.`,
+                400
+            );
+        }
+
+        const [productTypes, glassMaterials] = await Promise.all([
+            ProductType.find({ companyId, isActive: { $ne: false } }).select('name glassAreaFormula'),
+            MaterialV2.find({ companyId, category: 'Glass', isActive: { $ne: false } }).select('name')
+        ]);
+
+        // Each distinct name is matched once
+        const matchCache = new Map();
+        const resolve = (kind, input, candidates) => {
+            const key = `${kind}:${input.trim().toLowerCase()}`;
+            if (!matchCache.has(key)) {
+                const byId = mongoose.Types.ObjectId.isValid(input) ? candidates.find(record => record._id.toString() === input) : null;
+                matchCache.set(key, byId
+                    ? { match: byId, score: 1, exact: true, ambiguous: [], suggestions: [] }
+                    : findBestMatch(input, candidates));
+            }
+            return matchCache.get(key);
+        };
+        const describe = (input, result) => ({
+            input,
+            id: result.match ? result.match._id : null,
+            name: result.match ? result.match.name : null,
+            score: result.score,
+            exact: result.exact
+        });
+        const unresolvedMessage = (label, input, result) => {
+            if (result.ambiguous.length > 0) {
+                return `${label} "${input}" could be ${result.ambiguous.map(record => `"${record.name}"`).join(' or ')}.`;
+            }
+            const suggestions = result.suggestions.length > 0
+                ? ` Closest: ${result.suggestions.map(record => `"${record.name}"`).join(', ')}.`
+                : '';
+            return `${label} "${input}" not found.${suggestions}`;
+        };
+
+        const rows = [];
+        const items = [];
+        records.forEach(({ rowNumber, values }) => {
+            const errors = [];
+            const warnings = [];
+            const row = { rowNumber, itemLabel: values.itemLabel || '', errors, warnings };
+
+            let rowUnit = sheetUnit;
+            if (values.unit) {
+                rowUnit = unitOf(values.unit);
+                if (!rowUnit) {
+                    errors.push(`Unknown unit "${values.unit}".`);
+                    rowUnit = sheetUnit;
+                }
+            }
+
+            ['width', 'height'].forEach(field => {
+                if (!values[field]) {
+                    errors.push(`${FIELDS[field]} is missing.`);
+                    return;
+                }
+                // A unit in the row wins over one in the column header, which wins over the sheet unit
+                const parsed = parseDimension(values[field], values.unit ? rowUnit : (headerUnits[field] || rowUnit));
+                if (parsed.error) {
+                    errors.push(`${FIELDS[field]}: ${parsed.error}.`);
+                    return;
+                }
+                const converted = convertUnit(parsed.value, parsed.unit, dimensionUnit);
+                if (converted.error || !(converted.result > 0)) {
+                    errors.push(`${FIELDS[field]} must be a positive length.`);
+                    return;
+                }
+                row[field] = Number(converted.result.toFixed(3));
+                if (parsed.unit !== dimensionUnit) {
+                    row[`${field}Source`] = { value: values[field], unit: parsed.unit }; // As written, before conversion
+                }
+            });
+
+            row.quantity = 1;
+            if (values.quantity) {
+                const quantity = Number(values.quantity.replace(/,/g, ''));
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    errors.push(`Quantity "${values.quantity}" must be a whole number of 1 or more.`);
+                } else {
+                    row.quantity = quantity;
+                }
+            }
+
+            let productType = null;
+            if (!values.productType) {
+                errors.push('Product type is missing.');
+            } else {
+                const result = resolve('productType', values.productType, productTypes);
+                row.productType = describe(values.productType, result);
+                productType = result.match;
+                if (!productType) {
+                    errors.push(unresolvedMessage('Product type', values.productType, result));
+                } else if (!result.exact) {
+                    warnings.push(`Product type "${values.productType}" read as "${productType.name}".`);
+                }
+            }
+
+            let glass = null;
+            if (values.glass) {
+                const result = resolve('glass', values.glass, glassMaterials);
+                row.glass = describe(values.glass, result);
+                glass = result.match;
+                if (!glass) {
+                    errors.push(unresolvedMessage('Glass', values.glass, result));
+                } else if (!result.exact) {
+                    warnings.push(`Glass "${values.glass}" read as "${glass.name}".`);
+                }
+            }
+            const formula = productType && productType.glassAreaFormula;
+            if (productType && !values.glass && formula && formula.widthFormula && formula.heightFormula) {
+                warnings.push(`"${productType.name}" is glazed but no glass is given; select it on the estimation.`);
+            }
+
+            row.status = errors.length > 0 ? 'unresolved' : 'ok';
+            rows.push(row);
+            if (errors.length === 0) {
+                items.push({
+                    productTypeId: productType._id,
+                    productTypeNameSnapshot: productType.name,
+                    width: mongoose.Types.Decimal128.fromString(String(row.width)),
+                    height: mongoose.Types.Decimal128.fromString(String(row.height)),
+                    quantity: row.quantity,
+                    itemLabel: row.itemLabel || undefined,
+                    selectedGlassTypeId: glass ? glass._id : undefined,
+                    selectedGlassTypeNameSnapshot: glass ? glass.name : undefined
+                });
+            }
+        });
+
+        const unresolvedCount = rows.filter(row => row.status === 'unresolved').length;
+        const report = {
+            rows,
+            unknownColumns,
+            fields: FIELDS,
+            dimensionUnit,
+            sheetUnit,
+            summary: {
+                rowCount: rows.length,
+                importableCount: items.length,
+                unresolvedCount,
+                warningCount: rows.filter(row => row.warnings.length > 0).length,
+                itemQuantity: items.reduce((sum, item) => sum + item.quantity, 0)
+            },
+            canImport: items.length > 0
+        };
+        return { report, items };
+    }
+}
+
+module.exports = EstimationImportService;
@@ -8,7 +8,8 @@ const {
     SUPPORTED_AREA_UNITS,
     SUPPORTED_LINEAR_UNITS
 } = require('../utils/unitConverter');
-const { calculateProfileConsumption, SCRAP_THRESHOLD_FT } = require('../utils/profileCuttingUtil');
+const { calculateProfileConsumption } = require('../utils/profileCuttingUtil');
+const { getFormulaCutAngles } = require('../utils/cutAngleUtils');
 const { calculateLabourCosts, mergeLabourCharges } = require('./labourCostService');
 const GlassFormulaService = require('./glassFormulaService');
 const WireMeshOptimizationService = require('./wireMeshOptimizationService');
@@ -17,6 +18,10 @@ const Client = require('../models/Client');
 const Setting = require('../models/Setting');
 const QuotationService = require('./quotationService');
 const MaterialV2 = require('../models/MaterialV2');
+const { calculateItemDetails } = require('../utils/quotationCalculator');
+const { resolvePricingRules, suggestPricePerArea } = require('../utils/pricingRules');
+const PriceListService = require('./priceListService');
+const { applyItemOptions, sumPriceAdjustments } = require('../utils/productOptions');
 
 // Helper utility to robustly convert values to Mongoose Decimal128
 const toDecimal128 = (value, defaultValue = '0.00') => {
@@ -56,9 +61,10 @@ class EstimationService {
      * @param {Object} productType - Product type with glass formula
      * @param {string} estimationDimensionUnit - Unit used in estimation
      * @param {string} companyId - Company ID for multi-tenancy
+     * @param {Object} [rates] - Price list rate resolver (PriceListService.getRateResolver); stock rate when absent
      * @returns {Object} Glass calculation result
      */
-    static async calculateGlassForItem(item, productType, estimationDimensionUnit, companyId) {
+    static async calculateGlassForItem(item, productType, estimationDimensionUnit, companyId, rates) {
         const glassFormula = productType.glassAreaFormula;
         
         // Check if product type has glass formulas
@@ -91,9 +97,12 @@ class EstimationService {
             
             if (materialV2) {
                 // Convert V2 material to V1-like structure for backward compatibility
-                // For glass materials, use piece-based rate or unitRateForStockUnit
-                const rateToUse = materialV2.unitRateForStockUnit || materialV2.aggregatedTotals?.averageRatePerPiece || '0';
-                const stockUnitToUse = materialV2.stockUnit || 'sqft';
+                // For glass materials, use the price list rate per the formula's area unit, else piece-based rate or unitRateForStockUnit
+                const listRate = rates ? rates.rateFor(materialV2._id, { unit: glassFormula.outputUnit || materialV2.stockUnit }) : null;
+                const rateToUse = listRate
+                    ? String(listRate.rate)
+                    : materialV2.unitRateForStockUnit || materialV2.aggregatedTotals?.averageRatePerPiece || '0';
+                const stockUnitToUse = listRate ? listRate.rateUnit : materialV2.stockUnit || 'sqft';
                 
                 glassMaterial = {
                     _id: materialV2._id,
@@ -256,10 +265,40 @@ class EstimationService {
             throw new Error('Estimation not found');
         }
 
+        await this.calculateMaterialsFor(estimation, companyId);
+
+        // Re-price every option against the same rates
+        for (const variant of estimation.variants) {
+            await this.calculateVariant(estimation, variant, companyId);
+        }
+
+        estimation.status = 'Calculated';
+        await estimation.save();
+
+        console.log(`[EstimationService] Material calculation completed for estimation ${estimationId}. Found ${estimation.calculatedMaterials.length} materials`);
+        
+        // Validate estimation object before returning
+        if (!estimation || !estimation._id) {
+            console.error(`[EstimationService] Invalid estimation object after calculation:`, estimation);
+            throw new Error('Invalid estimation object after calculation');
+        }
+
+        return estimation;
+    }
+
+    /**
+     * Calculates materials, glass and labour charges onto an estimation document without saving it.
+     * @param {Object} estimation - Estimation document (saved, or an unsaved working copy for a variant)
+     * @param {string} companyId - Company ID for multi-tenancy
+     */
+    async calculateMaterialsFor(estimation, companyId) {
+        const estimationId = estimation._id;
+
         console.log(`[EstimationService] Starting material calculation for estimation ${estimationId} with ${estimation.items.length} items`);
 
         const calculatedMaterialsMap = {};
         const profileMaterialCuts = {};
+        const rates = await PriceListService.getRateResolver(companyId, estimation.rateSource);
 
         // Helper function to find material in both V2 and V1 systems
         const findMaterialById = async (materialId, companyId) => {
@@ -274,11 +313,18 @@ class EstimationService {
                     // Convert V2 material to V1-like structure for backward compatibility
                     // IMPORTANT: Copy ALL fields needed for profile cutting optimization
                     
-                    // For profiles, use weight-based rate; for others, use piece-based rate
+                    // For profiles, use weight-based rate; for others, use piece-based rate.
+                    // A price list rate (per kg for the estimation's gauge, for profiles) replaces the batch average.
                     const isProfile = materialV2.category === 'Profile';
-                    const rateToUse = isProfile 
+                    const listRate = rates.rateFor(materialV2._id, isProfile
+                        ? { gauge: estimation.gauge || materialV2.defaultGauge, unit: 'kg' }
+                        : { unit: materialV2.stockUnit });
+                    let rateToUse = isProfile 
                         ? materialV2.aggregatedTotals?.averageRatePerKg || '0'
                         : materialV2.aggregatedTotals?.averageRatePerPiece || '0';
+                    if (listRate) {
+                        rateToUse = String(listRate.rate);
+                    }
                     const stockUnitToUse = isProfile ? 'kg' : materialV2.stockUnit;
                     
                     return {
@@ -303,6 +349,7 @@ class EstimationService {
                         })) || [], // Map referenceGaugeWeights to gaugeSpecificWeights
                         weightUnit: materialV2.weightUnit || 'kg', // Default weight unit
                         defaultGauge: materialV2.defaultGauge || null, // Default gauge if any
+                        cuttingParameters: materialV2.cuttingParameters, // Kerf / end trim / remnant overrides
                         
                         // Additional fields that might be needed
                         purchaseUnit: stockUnitToUse, // Use determined stock unit as purchase unit
@@ -346,8 +393,15 @@ class EstimationService {
                 item.productTypeNameSnapshot = productType.name;
             }
 
+            // The item's options add, replace or remove materials of its product type
+            const itemOptions = applyItemOptions(productType, item.selectedOptions);
+            if (itemOptions.unknown.length > 0) {
+                console.warn(`Options of item ${item.itemLabel || item._id} no longer on Product Type ${productType.name}, ignored: ${itemOptions.unknown.join('; ')}`);
+            }
+            item.selectedOptions = itemOptions.selections;
+
             // Process materials for this product type
-            for (const materialLink of productType.materials) {
+            for (const materialLink of itemOptions.materials) {
                 if (!materialLink.materialId) {
                     console.warn(`Linked materialId is missing in ProductType ${productType.name}. Skipping.`);
                     continue;
@@ -447,16 +501,21 @@ class EstimationService {
 
                 // Flatten the array of arrays of lengths
                 const allCutLengthsForItemMaterial = formulaResults.flat();
+                // Cut angles parallel to allCutLengthsForItemMaterial (one entry per formula and item unit)
+                const allCutAnglesForItemMaterial = materialLink.formulas.flatMap((formulaStr, formulaIndex) =>
+                    Array(item.quantity).fill(getFormulaCutAngles(materialLink, formulaIndex))
+                );
 
                 if (material.category === 'Profile') {
                     if (!profileMaterialCuts[materialIdString]) {
                         profileMaterialCuts[materialIdString] = {
                             material: material, // Store the material object for later use
-                            cuts: []
+                            cuts: [],
+                            cutAngles: [] // Parallel to cuts
                         };
                     }
                     // Convert all cut lengths to feet for profileCuttingUtil
-                    allCutLengthsForItemMaterial.forEach(cutLength => {
+                    allCutLengthsForItemMaterial.forEach((cutLength, cutIndex) => {
                         // materialLink.quantityUnit is the unit of 'cutLength' (e.g. inches, mm, ft)
                         // It should align with material.usageUnit
                         const conversionToFt = convertUnit(cutLength, material.usageUnit, 'ft');
@@ -467,6 +526,7 @@ class EstimationService {
                             throw new Error(`Failed to convert profile cut length to feet for ${material.name}. From ${material.usageUnit} to ft. Value: ${cutLength} resulted in ${conversionToFt.result}`);
                         }
                         profileMaterialCuts[materialIdString].cuts.push(conversionToFt.result);
+                        profileMaterialCuts[materialIdString].cutAngles.push(allCutAnglesForItemMaterial[cutIndex]);
                     });
                 } else { // For non-profile materials, sum quantities as before
                     const totalQuantityForMaterialItem = allCutLengthsForItemMaterial.reduce((sum, qty) => sum + qty, 0);
@@ -807,7 +867,8 @@ This enables automatic width optimization and reduces material waste.`);
                     const consumptionResult = await calculateProfileConsumption(
                         material, // Pass the full material object
                         companyId.toString(),
-                        allCuts_ft
+                        allCuts_ft,
+                        { cutAngles: profileData.cutAngles }
                     );
 
                     // Calculate total weight for profile materials
@@ -974,7 +1035,8 @@ This enables automatic width optimization and reduces material waste.`);
                 item, 
                 productType, 
                 estimation.dimensionUnitUsed, 
-                companyId
+                companyId,
+                rates
             );
 
             console.log(`[EstimationService] Glass calculation result:`, {
@@ -1012,7 +1074,17 @@ This enables automatic width optimization and reduces material waste.`);
             console.log(`[EstimationService] Added glass material to calculatedMaterialsMap: ${glassMaterial.materialNameSnapshot}`);
         }
 
+        Object.values(calculatedMaterialsMap).forEach(material => {
+            material.autoRateSource = rates.pricedMaterialIds.has(material.materialId.toString()) ? 'priceList' : 'stock';
+        });
         estimation.calculatedMaterials = Object.values(calculatedMaterialsMap);
+        estimation.costedWith = {
+            rateSource: rates.priceList ? 'priceList' : 'stock',
+            priceListId: rates.priceList ? rates.priceList._id : undefined,
+            priceListName: rates.priceList ? rates.priceList.name : undefined,
+            priceListEffectiveFrom: rates.priceList ? rates.priceList.effectiveFrom : undefined,
+            calculatedAt: new Date()
+        };
         
         // --- LABOUR COST CALCULATION ---
         try {
@@ -1081,21 +1153,522 @@ This enables automatic width optimization and reduces material waste.`);
             // Don't throw - labour cost calculation failure shouldn't break material calculation
         }
         // --- END LABOUR COST CALCULATION ---
-        
-        estimation.status = 'Calculated';
+    }
+
+    /**
+     * Material, glass and charge subtotals of a calculated estimation (or variant working copy), as numbers.
+     * @param {Object} estimation - Estimation document after its totals were recalculated
+     * @returns {Object} Subtotals and total profile weight
+     */
+    static summarizeCosts(estimation) {
+        const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()) || 0);
+        const sumCosts = (materials) => materials.reduce((sum, material) => sum + toNumber(material.calculatedCost), 0);
+        const sumCharges = (charges) => charges.reduce((sum, charge) => sum + toNumber(charge.amount), 0);
+
+        const materials = estimation.calculatedMaterials || [];
+        const charges = estimation.manualCharges || [];
+        const profiles = materials.filter(material => material.materialCategorySnapshot === 'Profile');
+
+        return {
+            subtotalProfiles: sumCosts(profiles),
+            subtotalGlass: sumCosts(materials.filter(material => material.materialCategorySnapshot === 'Glass')),
+            subtotalOtherMaterials: sumCosts(materials.filter(material => !['Profile', 'Glass'].includes(material.materialCategorySnapshot))),
+            subtotalMaterials: toNumber(estimation.subtotalMaterials),
+            subtotalLabour: sumCharges(charges.filter(charge => charge.isLabourCharge)),
+            subtotalOtherCharges: sumCharges(charges.filter(charge => !charge.isLabourCharge)),
+            totalEstimatedCost: toNumber(estimation.totalEstimatedCost),
+            markedUpTotal: toNumber(estimation.markedUpTotal),
+            totalWeight: profiles.reduce((sum, material) => sum + toNumber(material.totalWeight), 0)
+        };
+    }
+
+    /**
+     * Splits the calculated material and labour costs of an estimation over its items, per single item.
+     * Glass is costed per item by the calculation. Other materials are totals, so each is shared among the
+     * items whose product type (with the item's options) uses it: by perimeter for lengths, by area for areas,
+     * by count otherwise.
+     * Auto-generated labour is shared among the items of its product type, by count for fixed labour and by
+     * area otherwise. Other charges are carried to the quotation as charges, so they are not item costs.
+     * @param {Object} estimation - Calculated estimation document
+     * @param {Map<string, Object>} productTypesById - Product types of the estimation's items
+     * @returns {Array<{materialCostPerItem: number, labourCostPerItem: number}>} Parallel to estimation.items
+     */
+    static allocateItemCosts(estimation, productTypesById) {
+        const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()) || 0);
+        const items = estimation.items.map(item => {
+            const width = toNumber(item.width);
+            const height = toNumber(item.height);
+            return {
+                productTypeId: item.productTypeId.toString(),
+                selectedOptions: item.selectedOptions,
+                quantity: item.quantity || 1,
+                perimeter: width + height,
+                area: width * height,
+                materialCost: toNumber(item.calculatedGlassCost),
+                labourCost: 0
+            };
+        });
+
+        const basisOf = (item, unit) => {
+            if (['ft', 'inches', 'mm', 'm'].includes(unit)) return item.perimeter * item.quantity;
+            if (['sqft', 'sqm'].includes(unit)) return item.area * item.quantity;
+            return item.quantity;
+        };
+        const share = (amount, candidates, weightOf, field) => {
+            const weights = candidates.map(weightOf);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+            if (!(totalWeight > 0)) return false;
+            candidates.forEach((item, index) => {
+                item[field] += amount * (weights[index] / totalWeight);
+            });
+            return true;
+        };
+
+        (estimation.calculatedMaterials || []).forEach(material => {
+            if (material.sourceType === 'glass') return; // Already in calculatedGlassCost
+            const cost = toNumber(material.calculatedCost);
+            if (cost === 0) return;
+            const materialId = material.materialId.toString();
+            const usesOf = new Map();
+            items.forEach(item => {
+                const productType = productTypesById.get(item.productTypeId);
+                const use = productType && applyItemOptions(productType, item.selectedOptions).materials
+                    .find(entry => entry.materialId.toString() === materialId);
+                if (use) usesOf.set(item, use.quantityUnit);
+            });
+            const users = [...usesOf.keys()];
+            if (!share(cost, users, item => basisOf(item, usesOf.get(item)), 'materialCost')) {
+                // No product type lists it any more; spread it over everything
+                share(cost, items, item => item.area * item.quantity, 'materialCost');
+            }
+        });
+
+        (estimation.manualCharges || [])
+            .filter(charge => charge.isLabourCharge && charge.autoGenerated && charge.productTypeId)
+            .forEach(charge => {
+                const productTypeId = charge.productTypeId.toString();
+                const candidates = items.filter(item => item.productTypeId === productTypeId);
+                const weightOf = charge.labourCostType === 'fixed'
+                    ? (item) => item.quantity
+                    : (item) => item.area * item.quantity;
+                share(toNumber(charge.amount), candidates, weightOf, 'labourCost');
+            });
+
+        return items.map(item => ({
+            materialCostPerItem: item.materialCost / item.quantity,
+            labourCostPerItem: item.labourCost / item.quantity
+        }));
+    }
+
+    /**
+     * Cost basis of each item of a calculated estimation (or working copy) as a quotation item carries it:
+     * its share of material and labour cost and the price per area unit its pricing rules suggest.
+     * @param {Object} estimation - Estimation document after its totals were recalculated
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @param {Object|null} settings - Company settings (pricing rules)
+     * @param {string} dimensionUnit - Unit of the items' width and height on the quotation
+     * @param {string} areaUnit - Area unit prices are quoted per
+     * @returns {Promise<Array<Object>>} Parallel to estimation.items
+     */
+    async buildItemCostBases(estimation, companyId, settings, dimensionUnit, areaUnit) {
+        const productTypes = await ProductType.find({
+            _id: { $in: [...new Set(estimation.items.map(item => item.productTypeId.toString()))] },
+            companyId
+        }).select('materials options pricing');
+        const productTypesById = new Map(productTypes.map(productType => [productType._id.toString(), productType]));
+        const itemCosts = EstimationService.allocateItemCosts(estimation, productTypesById);
+
+        return estimation.items.map((item, index) => {
+            const { materialCostPerItem, labourCostPerItem } = itemCosts[index];
+            const costPerItem = materialCostPerItem + labourCostPerItem;
+            const { finalChargeableAreaPerItem } = calculateItemDetails(
+                { width: item.width.toString(), height: item.height.toString(), quantity: 1, pricePerAreaUnit: 0 },
+                dimensionUnit,
+                areaUnit
+            );
+            const rules = resolvePricingRules(settings, productTypesById.get(item.productTypeId.toString()));
+            const suggestedPrice = suggestPricePerArea(costPerItem, finalChargeableAreaPerItem, rules);
+
+            return {
+                materialCostPerItem: toDecimal128(materialCostPerItem),
+                labourCostPerItem: toDecimal128(labourCostPerItem),
+                costPerItem: toDecimal128(costPerItem),
+                costPerAreaUnit: toDecimal128(finalChargeableAreaPerItem > 0 ? costPerItem / finalChargeableAreaPerItem : 0),
+                suggestedPricePerAreaUnit: toDecimal128(suggestedPrice),
+                pricingMethod: rules.method,
+                ruleSource: rules.sources.method
+            };
+        });
+    }
+
+    /**
+     * Items of the estimation with a variant's overrides applied, as plain objects.
+     * Glass results are cleared so the calculation fills them in for the variant.
+     * @param {Object} estimation - Estimation document
+     * @param {Object} variant - Estimation variant subdocument
+     * @returns {Array<Object>} Items for a working copy of the estimation
+     */
+    buildVariantItems(estimation, variant) {
+        const overridesByItem = new Map((variant.itemOverrides || []).map(override => [override.itemId.toString(), override]));
+
+        return estimation.items.map(item => {
+            const override = overridesByItem.get(item._id.toString()) || {};
+            const variantItem = item.toObject();
+
+            if (override.productTypeId) {
+                variantItem.productTypeId = override.productTypeId;
+                variantItem.productTypeNameSnapshot = override.productTypeNameSnapshot;
+            }
+            if (override.selectedGlassTypeId) {
+                variantItem.selectedGlassTypeId = override.selectedGlassTypeId;
+                variantItem.selectedGlassTypeNameSnapshot = override.selectedGlassTypeNameSnapshot;
+            } else if (variant.selectedGlassTypeId) {
+                variantItem.selectedGlassTypeId = variant.selectedGlassTypeId;
+                variantItem.selectedGlassTypeNameSnapshot = variant.selectedGlassTypeNameSnapshot;
+            }
+
+            delete variantItem.calculatedGlassQuantity;
+            delete variantItem.calculatedGlassUnit;
+            delete variantItem.calculatedGlassCost;
+            return variantItem;
+        });
+    }
+
+    /**
+     * Prices a variant: runs the material calculation on an unsaved copy of the estimation carrying the
+     * variant's overrides, and stores the resulting totals on the variant (the caller saves).
+     * A calculation error is recorded on the variant instead of thrown, so one bad option does not
+     * block the others.
+     * @param {Object} estimation - Estimation document
+     * @param {Object} variant - Estimation variant subdocument
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} The updated variant
+     */
+    async calculateVariant(estimation, variant, companyId) {
+        const workingCopy = new Estimation({
+            _id: estimation._id,
+            companyId: estimation.companyId,
+            projectName: estimation.projectName,
+            dimensionUnitUsed: estimation.dimensionUnitUsed,
+            gauge: variant.gauge || estimation.gauge,
+            rateSource: estimation.rateSource,
+            items: this.buildVariantItems(estimation, variant),
+            manualCharges: estimation.manualCharges.map(charge => charge.toObject()),
+            markupPercentage: estimation.markupPercentage,
+            createdBy: estimation.createdBy
+        });
+
+        variant.calculatedAt = new Date();
+        try {
+            await this.calculateMaterialsFor(workingCopy, companyId);
+            workingCopy.recalculateTotals();
+        } catch (error) {
+            console.error(`[EstimationService] Variant "${variant.name}" of estimation ${estimation._id} failed to calculate:`, error);
+            variant.calculatedMaterials = [];
+            variant.calculationError = error.message;
+            return variant;
+        }
+
+        const totals = EstimationService.summarizeCosts(workingCopy);
+        variant.calculatedMaterials = workingCopy.calculatedMaterials.map(material => ({
+            materialId: material.materialId,
+            materialNameSnapshot: material.materialNameSnapshot,
+            materialCategorySnapshot: material.materialCategorySnapshot,
+            totalQuantity: material.totalQuantity,
+            quantityUnit: material.quantityUnit,
+            totalWeight: material.totalWeight,
+            calculatedCost: material.calculatedCost
+        }));
+        ['subtotalProfiles', 'subtotalGlass', 'subtotalOtherMaterials', 'subtotalMaterials', 'subtotalLabour',
+            'subtotalOtherCharges', 'totalEstimatedCost', 'markedUpTotal'].forEach(field => {
+            variant[field] = toDecimal128(totals[field]);
+        });
+        variant.totalWeight = mongoose.Types.Decimal128.fromString(totals.totalWeight.toFixed(3));
+        variant.calculationError = undefined;
+
+        console.log(`[EstimationService] Variant "${variant.name}" of estimation ${estimation._id}: total ${totals.markedUpTotal.toFixed(2)}`);
+        return variant;
+    }
+
+    /**
+     * Validates variant input and resolves the product type and glass names it snapshots.
+     * @param {Object} estimation - Estimation document the variant belongs to
+     * @param {Object} data - { name, description, gauge, selectedGlassTypeId, itemOverrides: [{ itemId, productTypeId, selectedGlassTypeId }] }
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @param {string} [variantId] - The variant being updated, if any
+     * @returns {Object} Fields to set on the variant
+     */
+    async resolveVariantData(estimation, data, companyId, variantId) {
+        const name = data.name ? String(data.name).trim() : '';
+        if (!name) {
+            throw new Error('Variant name is required');
+        }
+        const duplicate = estimation.variants.find(variant =>
+            variant.name.toLowerCase() === name.toLowerCase() && (!variantId || variant._id.toString() !== variantId.toString())
+        );
+        if (duplicate) {
+            throw new Error(`A variant named "${name}" already exists on this estimation`);
+        }
+
+        const findGlassType = async (glassTypeId) => {
+            const glassType = mongoose.Types.ObjectId.isValid(glassTypeId)
+                ? await MaterialV2.findOne({ _id: glassTypeId, companyId, category: 'Glass' }).select('name')
+                : null;
+            if (!glassType) {
+                throw new Error(`Glass type not found: ${glassTypeId}`);
+            }
+            return glassType;
+        };
+
+        const resolved = {
+            name,
+            description: data.description,
+            gauge: data.gauge ? String(data.gauge).trim() : undefined,
+            selectedGlassTypeId: undefined,
+            selectedGlassTypeNameSnapshot: undefined,
+            itemOverrides: []
+        };
+
+        if (data.selectedGlassTypeId) {
+            const glassType = await findGlassType(data.selectedGlassTypeId);
+            resolved.selectedGlassTypeId = glassType._id;
+            resolved.selectedGlassTypeNameSnapshot = glassType.name;
+        }
+
+        for (const override of data.itemOverrides || []) {
+            if (!override.productTypeId && !override.selectedGlassTypeId) {
+                continue;
+            }
+            const item = mongoose.Types.ObjectId.isValid(override.itemId) ? estimation.items.id(override.itemId) : null;
+            if (!item) {
+                throw new Error(`Estimation item not found: ${override.itemId}`);
+            }
+
+            const resolvedOverride = { itemId: item._id };
+            if (override.productTypeId) {
+                const productType = mongoose.Types.ObjectId.isValid(override.productTypeId)
+                    ? await ProductType.findOne({ _id: override.productTypeId, companyId }).select('name')
+                    : null;
+                if (!productType) {
+                    throw new Error(`Product type not found: ${override.productTypeId}`);
+                }
+                resolvedOverride.productTypeId = productType._id;
+                resolvedOverride.productTypeNameSnapshot = productType.name;
+            }
+            if (override.selectedGlassTypeId) {
+                const glassType = await findGlassType(override.selectedGlassTypeId);
+                resolvedOverride.selectedGlassTypeId = glassType._id;
+                resolvedOverride.selectedGlassTypeNameSnapshot = glassType.name;
+            }
+            resolved.itemOverrides.push(resolvedOverride);
+        }
+
+        if (!resolved.gauge && !resolved.selectedGlassTypeId && resolved.itemOverrides.length === 0) {
+            throw new Error('A variant needs at least one change: a gauge, a glass type or an item override');
+        }
+        return resolved;
+    }
+
+    /**
+     * Loads an estimation whose variants may still be changed.
+     * @param {string} estimationId - ID of the estimation
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} Estimation document
+     */
+    async findEstimationForVariants(estimationId, companyId) {
+        const estimation = await Estimation.findOne({ _id: estimationId, companyId });
+        if (!estimation) {
+            throw new Error('Estimation not found');
+        }
+        if (estimation.status === 'Converted') {
+            throw new Error('Variants cannot be changed after the estimation was converted to a quotation');
+        }
+        return estimation;
+    }
+
+    /**
+     * Add a named variant to an estimation and price it
+     * @param {string} estimationId - ID of the estimation
+     * @param {Object} data - Variant data (see resolveVariantData)
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} Updated estimation
+     */
+    async addVariant(estimationId, data, companyId) {
+        const estimation = await this.findEstimationForVariants(estimationId, companyId);
+        const variantData = await this.resolveVariantData(estimation, data, companyId);
+
+        estimation.variants.push(variantData);
+        await this.calculateVariant(estimation, estimation.variants[estimation.variants.length - 1], companyId);
         await estimation.save();
+        return estimation;
+    }
 
-        console.log(`[EstimationService] Material calculation completed for estimation ${estimationId}. Found ${Object.keys(calculatedMaterialsMap).length} materials`);
-        
-        // Validate estimation object before returning
-        if (!estimation || !estimation._id) {
-            console.error(`[EstimationService] Invalid estimation object after calculation:`, estimation);
-            throw new Error('Invalid estimation object after calculation');
+    /**
+     * Replace a variant's name and overrides, and price it again
+     * @param {string} estimationId - ID of the estimation
+     * @param {string} variantId - ID of the variant
+     * @param {Object} data - Variant data (see resolveVariantData)
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} Updated estimation
+     */
+    async updateVariant(estimationId, variantId, data, companyId) {
+        const estimation = await this.findEstimationForVariants(estimationId, companyId);
+        const variant = mongoose.Types.ObjectId.isValid(variantId) ? estimation.variants.id(variantId) : null;
+        if (!variant) {
+            throw new Error('Variant not found');
         }
 
+        variant.set(await this.resolveVariantData(estimation, data, companyId, variantId));
+        await this.calculateVariant(estimation, variant, companyId);
+        await estimation.save();
         return estimation;
     }
 
+    /**
+     * Remove a variant from an estimation
+     * @param {string} estimationId - ID of the estimation
+     * @param {string} variantId - ID of the variant
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} Updated estimation
+     */
+    async deleteVariant(estimationId, variantId, companyId) {
+        const estimation = await this.findEstimationForVariants(estimationId, companyId);
+        const variant = mongoose.Types.ObjectId.isValid(variantId) ? estimation.variants.id(variantId) : null;
+        if (!variant) {
+            throw new Error('Variant not found');
+        }
+
+        variant.deleteOne();
+        await estimation.save();
+        return estimation;
+    }
+
+    /**
+     * Side-by-side comparison of the estimation as entered ("Base") and each of its variants.
+     * Totals are those of the last calculation; recalculate the estimation to refresh them all.
+     * @param {string} estimationId - ID of the estimation
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @returns {Object} { estimation, options: [{ variantId, name, changes, totals, differenceFromBase }], materials: [{ materialId, materialName, category, options: [...] }] }
+     */
+    async getVariantComparison(estimationId, companyId) {
+        const estimation = await Estimation.findOne({ _id: estimationId, companyId })
+            .populate('clientId', 'clientName');
+        if (!estimation) {
+            throw new Error('Estimation not found');
+        }
+
+        const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()) || 0);
+        const itemLabel = (item) => item.itemLabel || `Item ${estimation.items.indexOf(item) + 1}`;
+        const baseGlassNames = [...new Set(estimation.items.map(item => item.selectedGlassTypeNameSnapshot).filter(Boolean))];
+
+        const baseOption = {
+            variantId: null,
+            name: 'Base',
+            description: 'As entered on the estimation',
+            changes: [
+                ...(estimation.gauge ? [`Gauge: ${estimation.gauge}`] : []),
+                ...(baseGlassNames.length > 0 ? [`Glass: ${baseGlassNames.join(', ')}`] : [])
+            ],
+            calculated: estimation.status !== 'Draft',
+            calculatedAt: estimation.status !== 'Draft' ? estimation.updatedAt : null,
+            calculationError: null,
+            totals: EstimationService.summarizeCosts(estimation),
+            materials: estimation.calculatedMaterials
+        };
+
+        const variantOptions = estimation.variants.map(variant => {
+            const changes = [];
+            if (variant.gauge) changes.push(`Gauge: ${variant.gauge}`);
+            if (variant.selectedGlassTypeNameSnapshot) changes.push(`Glass: ${variant.selectedGlassTypeNameSnapshot}`);
+            (variant.itemOverrides || []).forEach(override => {
+                const item = estimation.items.id(override.itemId);
+                if (!item) return;
+                if (override.productTypeId) {
+                    changes.push(`${itemLabel(item)}: ${item.productTypeNameSnapshot || 'product'} → ${override.productTypeNameSnapshot}`);
+                }
+                if (override.selectedGlassTypeId) {
+                    changes.push(`${itemLabel(item)} glass: ${override.selectedGlassTypeNameSnapshot}`);
+                }
+            });
+
+            return {
+                variantId: variant._id,
+                name: variant.name,
+                description: variant.description || '',
+                changes,
+                calculated: Boolean(variant.calculatedAt) && !variant.calculationError,
+                calculatedAt: variant.calculatedAt || null,
+                calculationError: variant.calculationError || null,
+                totals: {
+                    subtotalProfiles: toNumber(variant.subtotalProfiles),
+                    subtotalGlass: toNumber(variant.subtotalGlass),
+                    subtotalOtherMaterials: toNumber(variant.subtotalOtherMaterials),
+                    subtotalMaterials: toNumber(variant.subtotalMaterials),
+                    subtotalLabour: toNumber(variant.subtotalLabour),
+                    subtotalOtherCharges: toNumber(variant.subtotalOtherCharges),
+                    totalEstimatedCost: toNumber(variant.totalEstimatedCost),
+                    markedUpTotal: toNumber(variant.markedUpTotal),
+                    totalWeight: toNumber(variant.totalWeight)
+                },
+                materials: variant.calculatedMaterials
+            };
+        });
+
+        const allOptions = [baseOption, ...variantOptions];
+
+        // One row per material, with that material's quantity and cost under each option
+        const materialRows = new Map();
+        allOptions.forEach((option, optionIndex) => {
+            option.materials.forEach(material => {
+                const materialId = material.materialId.toString();
+                if (!materialRows.has(materialId)) {
+                    materialRows.set(materialId, {
+                        materialId,
+                        materialName: material.materialNameSnapshot,
+                        category: material.materialCategorySnapshot,
+                        options: allOptions.map(() => null)
+                    });
+                }
+                materialRows.get(materialId).options[optionIndex] = {
+                    totalQuantity: toNumber(material.totalQuantity),
+                    quantityUnit: material.quantityUnit,
+                    totalWeight: toNumber(material.totalWeight),
+                    calculatedCost: toNumber(material.calculatedCost)
+                };
+            });
+        });
+        const categoryOrder = ['Profile', 'Glass'];
+        const materials = [...materialRows.values()].sort((a, b) => {
+            const rank = (category) => (categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length);
+            return rank(a.category) - rank(b.category) || a.materialName.localeCompare(b.materialName);
+        });
+
+        const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+        const baseTotal = baseOption.totals.markedUpTotal;
+        const options = allOptions.map(({ materials: optionMaterials, ...option }) => ({
+            ...option,
+            totals: Object.fromEntries(Object.entries(option.totals).map(([key, value]) => [key, round(value, key === 'totalWeight' ? 3 : 2)])),
+            differenceFromBase: option.variantId && option.calculated && baseOption.calculated
+                ? round(option.totals.markedUpTotal - baseTotal)
+                : null
+        }));
+
+        return {
+            estimation: {
+                _id: estimation._id,
+                projectName: estimation.projectName,
+                clientName: estimation.clientId?.clientName || null,
+                status: estimation.status,
+                dimensionUnitUsed: estimation.dimensionUnitUsed,
+                markupPercentage: toNumber(estimation.markupPercentage),
+                itemCount: estimation.items.length,
+                convertedVariantId: estimation.convertedVariantId || null
+            },
+            options,
+            materials
+        };
+    }
+
     /**
      * Create a new estimation
      * @param {Object} estimationData - Estimation data
@@ -1229,10 +1802,11 @@ This enables automatic width optimization and reduces material waste.`);
      * @param {string} estimationId - The ID of the estimation to convert
      * @param {string} companyId - Company ID for multi-tenancy
      * @param {string} userId - User performing the conversion
+     * @param {string} [variantId] - Variant to quote; its overrides are applied to the estimation first
      * @returns {Object} The created quotation document
      * @throws {Error} If estimation not found, or other processing errors
      */
-    async convertEstimationToQuotation(estimationId, companyId, userId) {
+    async convertEstimationToQuotation(estimationId, companyId, userId, variantId) {
         // Removed transaction logic for compatibility with standalone MongoDB
         // const session = await mongoose.startSession();
         // session.startTransaction();
@@ -1246,6 +1820,20 @@ This enables automatic width optimization and reduces material waste.`);
                 throw new Error('Only calculated estimations can be converted to quotations.');
             }
 
+            if (variantId) {
+                const variant = mongoose.Types.ObjectId.isValid(variantId) ? estimation.variants.id(variantId) : null;
+                if (!variant) {
+                    throw new Error('Variant not found.');
+                }
+                // The chosen option becomes the estimation: its items, gauge and recalculated materials
+                estimation.items = this.buildVariantItems(estimation, variant);
+                if (variant.gauge) {
+                    estimation.gauge = variant.gauge;
+                }
+                await this.calculateMaterialsFor(estimation, companyId);
+                estimation.convertedVariantId = variant._id;
+            }
+
             const client = await Client.findOne({ _id: estimation.clientId, companyId }); // Removed .session(session)
             if (!client) {
                 // This case should ideally not happen if clientId is enforced on estimation
@@ -1267,13 +1855,27 @@ This enables automatic width optimization and reduces material waste.`);
             // generateQuotationId needs to handle not being in a session
             const quotationIdDisplay = await QuotationService.generateQuotationId(companyId /*, session*/); 
 
-            const quotationItems = estimation.items.map(estItem => {
-                // For converting estimation to quotation, we need a strategy for pricePerAreaUnit.
-                // Option 1: Fetch from ProductType's default pricing (if it exists - not in current PRD)
-                // Option 2: Use a placeholder/default value (e.g., 0 or a configurable default)
-                // Option 3: Leave it to be manually filled in the Quotation module
-                // For now, let's use a placeholder. The Quotation's pre-save hook will calculate item subtotals.
-                const placeholderPricePerAreaUnit = '0.00'; // This will need to be updated by the user in the quotation
+            // Price each item from its share of the estimated cost and the pricing rules of its product type
+            const costBases = await this.buildItemCostBases(estimation, companyId, settings, dimensionUnit, areaUnit);
+
+            const quotationItems = estimation.items.map((estItem, index) => {
+                const costBasis = costBases[index];
+
+                // The suggestion prices the item as configured, options included. The quotation adds the options'
+                // price adjustments to the item's price, so they come out of the base price to keep the suggestion.
+                const selectedOptions = (estItem.selectedOptions || []).map(selection => selection.toObject ? selection.toObject() : selection);
+                const { pricePerAreaAdjustment, priceAdjustmentPerItem } = sumPriceAdjustments(selectedOptions);
+                let pricePerAreaUnit = costBasis.suggestedPricePerAreaUnit;
+                if (pricePerAreaAdjustment !== 0 || priceAdjustmentPerItem !== 0) {
+                    const { finalChargeableAreaPerItem } = calculateItemDetails(
+                        { width: estItem.width.toString(), height: estItem.height.toString(), quantity: 1, pricePerAreaUnit: 0 },
+                        dimensionUnit,
+                        areaUnit
+                    );
+                    const basePrice = parseFloat(pricePerAreaUnit.toString()) - pricePerAreaAdjustment -
+                        (finalChargeableAreaPerItem > 0 ? priceAdjustmentPerItem / finalChargeableAreaPerItem : 0);
+                    pricePerAreaUnit = toDecimal128(Math.max(0, basePrice));
+                }
 
                 return {
                     productTypeId: estItem.productTypeId,
@@ -1287,10 +1889,12 @@ This enables automatic width optimization and reduces material waste.`);
                     selectedGlassTypeId: estItem.selectedGlassTypeId,
                     selectedGlassTypeNameSnapshot: estItem.selectedGlassTypeNameSnapshot,
                     frameColour: "", // Default empty, to be filled in quotation
+                    selectedOptions,
                     
-                    pricePerAreaUnit: mongoose.Types.Decimal128.fromString(placeholderPricePerAreaUnit),
+                    pricePerAreaUnit,
+                    costBasis,
                     // rawAreaPerItem, convertedAreaPerItem, roundedAreaPerItem, chargeableAreaPerItem, totalChargeableArea, itemSubtotal
-                    // will be calculated by Quotation model's pre-save hook.
+                    // and the margins will be calculated by Quotation model's pre-save hook.
                     materialsSnapshot: [] // Optionally, can map estimation.calculatedMaterials relevant to this item here.
                                           // For simplicity, leaving it empty now, could be an enhancement.
                 };
@@ -1321,6 +1925,7 @@ This enables automatic width optimization and reduces material waste.`);
                 clientId: estimation.clientId,
                 clientSnapshot: QuotationService.createClientSnapshot(client), // Use existing helper
                 status: 'Draft', // Initial status
+                estimationId: estimation._id,
                 dimensionUnit,
                 areaUnit,
                 priceUnit,
@@ -1351,6 +1956,180 @@ This enables automatic width optimization and reduces material waste.`);
             // session.endSession(); // Removed session end
         }
     }
+
+    /**
+     * Re-costs open work at current rates (the price list in effect, or stock averages, as each estimation
+     * is set to cost): recalculates every calculated estimation that has not been converted, and refreshes
+     * the cost basis of draft quotations' costed items. Quotation prices are left alone, so their margins
+     * move instead. Manual unit rates on estimations are kept.
+     * @param {string} companyId - Company ID for multi-tenancy
+     * @param {string} userId - User running the re-cost (recorded in quotation history)
+     * @param {number} thresholdPercent - Cost changes larger than this (either way) are flagged
+     * @returns {Object} What changed, per estimation and quotation
+     */
+    async recostOpenWork(companyId, userId, thresholdPercent) {
+        const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value.toString()) || 0);
+        const changeOf = (previous, current) => {
+            if (previous === 0) return current === 0 ? 0 : null; // No baseline to compare with
+            return Number((((current - previous) / previous) * 100).toFixed(2));
+        };
+        const isFlagged = (previous, current) => {
+            const changePercent = changeOf(previous, current);
+            return changePercent === null || Math.abs(changePercent) > thresholdPercent;
+        };
+
+        const [settings, priceList] = await Promise.all([
+            Setting.findOne({ companyId }),
+            PriceListService.getActivePriceList(companyId)
+        ]);
+
+        const estimationResults = [];
+        const estimations = await Estimation.find({ companyId, status: 'Calculated' });
+        for (const estimation of estimations) {
+            const previousCost = toNumber(estimation.totalEstimatedCost);
+            const previousMaterials = new Map(estimation.calculatedMaterials.map(material => [material.materialId.toString(), material]));
+            const result = {
+                estimationId: estimation._id,
+                projectName: estimation.projectName,
+                previousCost
+            };
+            try {
+                await this.calculateMaterialsFor(estimation, companyId);
+                estimation.calculatedMaterials.forEach(material => {
+                    const previous = previousMaterials.get(material.materialId.toString());
+                    if (previous && toNumber(previous.manualUnitRate) !== 0) {
+                        material.manualUnitRate = previous.manualUnitRate;
+                        material.manualRateUnit = previous.manualRateUnit;
+                    }
+                });
+                for (const variant of estimation.variants) {
+                    await this.calculateVariant(estimation, variant, companyId);
+                }
+                await estimation.save();
+            } catch (error) {
+                console.error(`[EstimationService] Re-costing estimation ${estimation._id} failed:`, error);
+                estimationResults.push({ ...result, error: error.message, flagged: true });
+                continue;
+            }
+
+            const newCost = toNumber(estimation.totalEstimatedCost);
+            estimationResults.push({
+                ...result,
+                newCost,
+                changePercent: changeOf(previousCost, newCost),
+                flagged: isFlagged(previousCost, newCost),
+                rateSource: estimation.costedWith.rateSource,
+                materialChanges: estimation.calculatedMaterials
+                    .map(material => {
+                        const previous = previousMaterials.get(material.materialId.toString());
+                        const before = previous ? toNumber(previous.calculatedCost) : 0;
+                        const after = toNumber(material.calculatedCost);
+                        return {
+                            materialName: material.materialNameSnapshot,
+                            previousCost: before,
+                            newCost: after,
+                            changePercent: changeOf(before, after),
+                            rateSource: material.autoRateSource
+                        };
+                    })
+                    .filter(change => isFlagged(change.previousCost, change.newCost))
+            });
+        }
+
+        const quotationResults = [];
+        const quotations = await Quotation.find({
+            companyId,
+            status: 'Draft',
+            'items.costBasis.costPerItem': { $ne: null }
+        });
+        for (const quotation of quotations) {
+            const costedItems = quotation.items.filter(item => item.costBasis && item.costBasis.costPerItem != null);
+            const previousCost = toNumber(quotation.totalCost);
+            const result = {
+                quotationId: quotation._id,
+                quotationIdDisplay: quotation.quotationIdDisplay,
+                clientName: quotation.clientSnapshot?.clientName,
+                previousCost,
+                previousMarginPercent: quotation.marginPercent
+            };
+            try {
+                // Cost the quotation's items as they stand, with the gauge and rate source of the source estimation
+                const sourceEstimation = quotation.estimationId
+                    ? await Estimation.findOne({ _id: quotation.estimationId, companyId }).select('dimensionUnitUsed gauge rateSource')
+                    : null;
+                const workingCopy = new Estimation({
+                    companyId,
+                    projectName: quotation.quotationIdDisplay,
+                    dimensionUnitUsed: sourceEstimation?.dimensionUnitUsed || quotation.dimensionUnit,
+                    gauge: sourceEstimation?.gauge,
+                    rateSource: sourceEstimation?.rateSource,
+                    items: costedItems.map(item => ({
+                        productTypeId: item.productTypeId,
+                        productTypeNameSnapshot: item.productTypeNameSnapshot,
+                        width: item.width,
+                        height: item.height,
+                        quantity: item.quantity,
+                        itemLabel: item.itemLabel,
+                        selectedGlassTypeId: item.selectedGlassTypeId,
+                        selectedOptions: item.selectedOptions
+                    })),
+                    createdBy: quotation.createdBy
+                });
+                await this.calculateMaterialsFor(workingCopy, companyId);
+                workingCopy.recalculateTotals();
+
+                const costBases = await this.buildItemCostBases(workingCopy, companyId, settings, quotation.dimensionUnit, quotation.areaUnit);
+                costedItems.forEach((item, index) => {
+                    item.costBasis = costBases[index];
+                });
+                quotation.markModified('items');
+                await quotation.save(); // Pre-save hook recalculates item and quotation margins
+            } catch (error) {
+                console.error(`[EstimationService] Re-costing quotation ${quotation._id} failed:`, error);
+                quotationResults.push({ ...result, error: error.message, flagged: true });
+                continue;
+            }
+
+            const newCost = toNumber(quotation.totalCost);
+            const changePercent = changeOf(previousCost, newCost);
+            const flagged = isFlagged(previousCost, newCost);
+            if (newCost !== previousCost) {
+                quotation.history.push({
+                    status: quotation.status,
+                    updatedBy: userId,
+                    notes: `Re-costed at current rates: cost ${previousCost.toFixed(2)} -> ${newCost.toFixed(2)}` +
+                        (changePercent !== null ? ` (${changePercent > 0 ? '+' : ''}${changePercent}%)` : '') +
+                        `, margin ${quotation.marginPercent ?? '-'}%`
+                });
+                await quotation.save();
+            }
+            const marginCheck = await QuotationService.checkMargins(quotation);
+            quotationResults.push({
+                ...result,
+                newCost,
+                changePercent,
+                newMarginPercent: quotation.marginPercent,
+                flagged,
+                marginWarnings: marginCheck.warnings
+            });
+        }
+
+        const flaggedFirst = (a, b) => Number(b.flagged) - Number(a.flagged) || Math.abs(b.changePercent || 0) - Math.abs(a.changePercent || 0);
+        return {
+            recostedAt: new Date(),
+            thresholdPercent,
+            priceList: priceList ? { _id: priceList._id, name: priceList.name, effectiveFrom: priceList.effectiveFrom } : null,
+            estimations: estimationResults.sort(flaggedFirst),
+            quotations: quotationResults.sort(flaggedFirst),
+            summary: {
+                estimationsRecosted: estimationResults.filter(row => !row.error).length,
+                estimationsFlagged: estimationResults.filter(row => row.flagged).length,
+                quotationsRecosted: quotationResults.filter(row => !row.error).length,
+                quotationsFlagged: quotationResults.filter(row => row.flagged).length,
+                failed: [...estimationResults, ...quotationResults].filter(row => row.error).length
+            }
+        };
+    }
 }
 
 module.exports = new EstimationService(); 
\ No newline at end of file
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+
+const VALUATION_METHODS = ['FIFO', 'WeightedAverage', 'SpecificBatch'];
+const DEFAULT_VALUATION_METHOD = 'FIFO';
+
+const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+
+/**
+ * Costs stock consumption according to the company's valuation method (Setting.inventory.valuationMethod):
+ *  - FIFO: stock is drawn oldest batch first and each draw is costed at its batch's rate.
+ *  - SpecificBatch: the batch drawn (chosen by the user or the cutting plan) is costed at its own rate.
+ *  - WeightedAverage: every draw is costed at the average rate of the stock on hand of the same spec
+ *    (profile length and gauge, wire mesh width), taken before the consumption.
+ * The rate returned here is what goes into StockTransaction.unitRateAtTransaction / totalValueChange.
+ * Under WeightedAverage the stock left after a consumption is revalued to the average it was costed at
+ * (revalueToAverage), so the batches' book value keeps matching the ledger (perpetual weighted average).
+ */
+class InventoryValuationService {
+
+    /**
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<string>} One of VALUATION_METHODS.
+     */
+    static async getValuationMethod(companyId) {
+        const settings = await Setting.findOne({ companyId }).select('inventory').lean();
+        const method = settings && settings.inventory && settings.inventory.valuationMethod;
+        return VALUATION_METHODS.includes(method) ? method : DEFAULT_VALUATION_METHOD;
+    }
+
+    /**
+     * Purchase rate of a batch per piece (profiles), per area unit (wire mesh consumed by area) or per stock unit.
+     */
+    static batchRate(material, batch, byArea = false) {
+        if (material.category === 'Profile') return num(batch.ratePerPiece);
+        if (byArea) {
+            if (batch.ratePerArea) return num(batch.ratePerArea);
+            const areaPerRoll = num(batch.areaPerRoll);
+            return areaPerRoll > 0 ? num(batch.ratePerUnit) / areaPerRoll : 0;
+        }
+        return num(batch.ratePerUnit);
+    }
+
+    /**
+     * Batches of the same spec are interchangeable and share a weighted average rate.
+     */
+    static specKey(material, batch) {
+        if (material.category === 'Profile') return `${num(batch.length)}_${batch.lengthUnit}_${batch.gauge || ''}`;
+        if (material.category === 'Wire Mesh' && batch.selectedWidth) return `${num(batch.selectedWidth)}_${batch.widthUnit || ''}`;
+        return 'all';
+    }
+
+    /**
+     * Weighted average rate per spec over the material's stock on hand.
+     * Compute it before any batch quantities are reduced so one consumption is costed at one rate.
+     * @returns {Map<string, number>} specKey -> rate
+     */
+    static averageRates(material, byArea = false) {
+        const totals = new Map();
+        const batches = material.category === 'Profile' ? material.profileBatches : material.simpleBatches;
+        (batches || [])
+            .filter(batch => batch.isActive && !batch.isCompleted)
+            .forEach(batch => {
+                const quantity = byArea ? num(batch.totalArea) : num(batch.currentQuantity);
+                if (quantity <= 0) return;
+                const key = InventoryValuationService.specKey(material, batch);
+                const total = totals.get(key) || { quantity: 0, value: 0 };
+                total.quantity += quantity;
+                total.value += quantity * InventoryValuationService.batchRate(material, batch, byArea);
+                totals.set(key, total);
+            });
+
+        const rates = new Map();
+        totals.forEach((total, key) => rates.set(key, total.value / total.quantity));
+        return rates;
+    }
+
+    /**
+     * Unit rate to cost a draw from a batch with.
+     * @param {object} material - The MaterialV2 document.
+     * @param {object} batch - The batch the stock is drawn from.
+     * @param {string} method - One of VALUATION_METHODS.
+     * @param {object} [options]
+     * @param {Map<string, number>} [options.averageRates] - Precomputed averageRates(material), taken before consumption.
+     * @param {boolean} [options.byArea] - Rate per area unit (wire mesh).
+     * @returns {number}
+     */
+    static consumptionRate(material, batch, method, options = {}) {
+        const { byArea = false } = options;
+        if (method === 'WeightedAverage') {
+            const averages = options.averageRates || InventoryValuationService.averageRates(material, byArea);
+            const average = averages.get(InventoryValuationService.specKey(material, batch));
+            if (average !== undefined) return average;
+        }
+        return InventoryValuationService.batchRate(material, batch, byArea);
+    }
+
+    /**
+     * Under WeightedAverage, sets the rate of every batch left on hand to its spec's average, so what remains is
+     * valued as the ledger values it (value before consumption less the draws at the average). Other methods
+     * keep batch rates. Call after drawing and before saving the material.
+     * @param {object} material - The MaterialV2 document (not saved here).
+     * @param {string} method - One of VALUATION_METHODS.
+     * @param {Map<string, number>} averageRates - The averageRates(material) the consumption was costed with.
+     * @param {boolean} [byArea] - Rates are per area unit (wire mesh).
+     */
+    static revalueToAverage(material, method, averageRates, byArea = false) {
+        if (method !== 'WeightedAverage') return;
+        const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(String(value));
+        const batches = material.category === 'Profile' ? material.profileBatches : material.simpleBatches;
+        (batches || [])
+            .filter(batch => batch.isActive && !batch.isCompleted)
+            .forEach(batch => {
+                const average = averageRates.get(InventoryValuationService.specKey(material, batch));
+                if (average === undefined) return;
+                if (material.category === 'Profile') {
+                    const previousRate = num(batch.ratePerPiece);
+                    batch.ratePerPiece = toDecimal128(average);
+                    if (batch.ratePerKg && previousRate > 0) {
+                        batch.ratePerKg = toDecimal128(num(batch.ratePerKg) * average / previousRate);
+                    }
+                } else if (byArea) {
+                    batch.ratePerArea = toDecimal128(average);
+                    if (num(batch.areaPerRoll) > 0) batch.ratePerUnit = toDecimal128(average * num(batch.areaPerRoll));
+                } else {
+                    batch.ratePerUnit = toDecimal128(average);
+                }
+            });
+    }
+}
+
+InventoryValuationService.VALUATION_METHODS = VALUATION_METHODS;
+InventoryValuationService.DEFAULT_VALUATION_METHOD = DEFAULT_VALUATION_METHOD;
+
+module.exports = InventoryValuationService;
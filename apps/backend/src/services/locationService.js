@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const MaterialV2 = require('../models/MaterialV2');
+const { AppError } = require('../utils/appError');
+
+const LOCATION_MODES = ['restrict', 'prefer'];
+
+const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+
+/**
+ * Stock locations (godowns, site stores) and the location filter used by stock checks and cutting
+ * optimization. Batches without a locationId predate locations and count as being at the default location.
+ */
+class LocationService {
+
+    /**
+     * The location new stock goes to when none is given: the one marked default, else the oldest active one.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<ObjectId|null>} Null while the company has no locations.
+     */
+    static async getDefaultLocationId(companyId) {
+        const location = await Location.findOne({ companyId, isActive: true })
+            .sort({ isDefault: -1, createdAt: 1 })
+            .select('_id');
+        return location ? location._id : null;
+    }
+
+    /**
+     * Builds the location filter for a stock check or optimization run.
+     * @param {string} companyId - The ID of the company.
+     * @param {object} options - { locationId, locationMode }. locationMode 'restrict' (default) only counts
+     *   stock at the location; 'prefer' counts all stock but draws from the location first.
+     * @returns {Promise<object|null>} { locationId, mode, defaultLocationId, name }, or null when no location was given.
+     */
+    static async resolveLocationFilter(companyId, options = {}) {
+        if (!options.locationId) return null;
+        const mode = options.locationMode || 'restrict';
+        if (!LOCATION_MODES.includes(mode)) {
+            throw new AppError(`Location mode must be one of: ${LOCATION_MODES.join(', ')}.`, 400);
+        }
+        const location = await LocationService.findLocation(companyId, options.locationId);
+        return {
+            locationId: location._id,
+            name: location.name,
+            mode,
+            defaultLocationId: await LocationService.getDefaultLocationId(companyId)
+        };
+    }
+
+    /**
+     * Whether a batch or remnant is at the filter's location. Always true without a filter.
+     */
+    static matches(locationFilter, batch) {
+        if (!locationFilter) return true;
+        return MaterialV2.isAtLocation(batch, locationFilter.locationId, locationFilter.defaultLocationId);
+    }
+
+    /**
+     * Applies a location filter to a list of batches: 'restrict' drops batches elsewhere, 'prefer' moves
+     * the location's batches to the front. The order within each group is kept.
+     */
+    static applyFilter(locationFilter, batches) {
+        if (!locationFilter) return batches;
+        const here = batches.filter(batch => LocationService.matches(locationFilter, batch));
+        if (locationFilter.mode === 'restrict') return here;
+        return [...here, ...batches.filter(batch => !LocationService.matches(locationFilter, batch))];
+    }
+
+    static async getLocations(companyId, includeInactive = false) {
+        const query = { companyId };
+        if (!includeInactive) query.isActive = true;
+        return Location.find(query).sort({ isDefault: -1, name: 1 });
+    }
+
+    /**
+     * Adds a location. The company's first location becomes the default.
+     */
+    static async createLocation(companyId, userId, data) {
+        if (!data.name || !data.name.trim()) {
+            throw new AppError('Location name is required.', 400);
+        }
+        const existing = await Location.findOne({ companyId, name: data.name.trim() });
+        if (existing) {
+            throw new AppError(`A location named '${data.name.trim()}' already exists.`, 400);
+        }
+
+        const isFirst = (await Location.countDocuments({ companyId })) === 0;
+        const location = new Location({
+            companyId,
+            name: data.name,
+            code: data.code,
+            address: data.address,
+            notes: data.notes,
+            isDefault: isFirst || !!data.isDefault,
+            createdBy: userId
+        });
+        if (location.isDefault && !isFirst) {
+            await Location.updateMany({ companyId, isDefault: true }, { isDefault: false });
+        }
+        return location.save();
+    }
+
+    /**
+     * Updates a location. Making it the default takes the flag off the previous default; a location
+     * can only be deactivated once it holds no stock and is not the default.
+     */
+    static async updateLocation(companyId, locationId, data) {
+        const location = await LocationService.findLocation(companyId, locationId);
+        ['name', 'code', 'address', 'notes'].forEach(key => {
+            if (data[key] !== undefined) location[key] = data[key];
+        });
+
+        if (data.isDefault === true && !location.isDefault) {
+            if (!location.isActive && data.isActive !== true) {
+                throw new AppError('An inactive location cannot be the default.', 400);
+            }
+            await Location.updateMany({ companyId, isDefault: true }, { isDefault: false });
+            location.isDefault = true;
+        }
+
+        if (data.isActive === false && location.isActive) {
+            if (location.isDefault) {
+                throw new AppError('Make another location the default before deactivating this one.', 400);
+            }
+            const stock = await LocationService.getStockAtLocation(companyId, location._id);
+            if (stock.materials.length > 0) {
+                throw new AppError(`${location.name} still holds stock of ${stock.materials.length} material(s). Transfer it out first.`, 400);
+            }
+            location.isActive = false;
+        } else if (data.isActive === true) {
+            location.isActive = true;
+        }
+
+        return location.save();
+    }
+
+    /**
+     * Stock held at a location, per material: active batches and remnants with their quantity and value.
+     * @returns {Promise<{location: object, materials: Array<object>, totalValue: number}>}
+     */
+    static async getStockAtLocation(companyId, locationId) {
+        const location = await LocationService.findLocation(companyId, locationId);
+        const locationFilter = {
+            locationId: location._id,
+            mode: 'restrict',
+            defaultLocationId: await LocationService.getDefaultLocationId(companyId)
+        };
+
+        const materials = await MaterialV2.find({ companyId, isActive: { $ne: false } }).sort({ category: 1, name: 1 });
+        const result = [];
+        let totalValue = 0;
+        materials.forEach(material => {
+            const batches = LocationService.applyFilter(locationFilter, material.activeBatches);
+            const remnants = LocationService.applyFilter(locationFilter, material.activeRemnants);
+            if (batches.length === 0 && remnants.length === 0) return;
+
+            const batchRows = batches.map(batch => {
+                const rate = material.category === 'Profile' ? num(batch.ratePerPiece) : num(batch.ratePerUnit);
+                const quantity = num(batch.currentQuantity);
+                return {
+                    batchId: batch.batchId,
+                    length: batch.length ? num(batch.length) : undefined,
+                    lengthUnit: batch.lengthUnit,
+                    gauge: batch.gauge,
+                    width: batch.selectedWidth ? num(batch.selectedWidth) : undefined,
+                    widthUnit: batch.widthUnit,
+                    quantity,
+                    reserved: Math.min(MaterialV2.getBatchReserved(batch), quantity),
+                    area: batch.totalArea ? num(batch.totalArea) : undefined,
+                    areaUnit: batch.areaUnit,
+                    rate,
+                    value: quantity * rate,
+                    purchaseDate: batch.purchaseDate
+                };
+            });
+            const remnantValue = remnants.reduce((sum, remnant) => sum + num(remnant.currentQuantity) * num(remnant.ratePerPiece), 0);
+            const value = batchRows.reduce((sum, batch) => sum + batch.value, 0) + remnantValue;
+            totalValue += value;
+
+            result.push({
+                materialId: material._id,
+                name: material.name,
+                category: material.category,
+                stockUnit: material.stockUnit,
+                totalStock: batches.reduce((sum, batch) => sum + material.getBatchStock(batch), 0),
+                remnantPieces: remnants.reduce((sum, remnant) => sum + num(remnant.currentQuantity), 0),
+                value: Math.round(value * 100) / 100,
+                batches: batchRows
+            });
+        });
+
+        return { location, materials: result, totalValue: Math.round(totalValue * 100) / 100 };
+    }
+
+    static async findLocation(companyId, locationId) {
+        if (!mongoose.Types.ObjectId.isValid(locationId)) {
+            throw new AppError('Location not found.', 404);
+        }
+        const location = await Location.findOne({ _id: locationId, companyId });
+        if (!location) {
+            throw new AppError('Location not found.', 404);
+        }
+        return location;
+    }
+}
+
+LocationService.LOCATION_MODES = LOCATION_MODES;
+
+module.exports = LocationService;
@@ -0,0 +1,643 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const MaterialV2 = require('../models/MaterialV2');
+const StockTransaction = require('../models/StockTransaction');
+const Location = require('../models/Location');
+const LocationService = require('./locationService');
+const { AppError } = require('../utils/appError');
+const { parseCsv, toCsvCell } = require('../utils/csvParser');
+const { convertUnit, SUPPORTED_LINEAR_UNITS } = require('../utils/unitConverter');
+
+const CATEGORIES = ['Profile', 'Glass', 'Hardware', 'Accessories', 'Consumables', 'Wire Mesh'];
+const USAGE_UNITS = ['ft', 'inches', 'mm', 'sqft', 'sqm', 'pcs', 'kg'];
+const DEFAULT_USAGE_UNITS = { Profile: 'ft', 'Wire Mesh': 'sqft' };
+const MAX_ROWS = 5000;
+
+/**
+ * Spreadsheet columns, keyed by normalized header (see csvParser.normalizeHeader).
+ * Several spellings map to the same field so sheets exported from other systems mostly import as they are.
+ */
+const COLUMNS = {
+    name: 'name', materialname: 'name', material: 'name',
+    category: 'category',
+    stockunit: 'stockUnit',
+    usageunit: 'usageUnit',
+    brand: 'brand',
+    supplier: 'supplier',
+    hsncode: 'hsnCode', hsn: 'hsnCode',
+    description: 'description',
+    standardlengths: 'standardLengths', standardwidths: 'standardLengths',
+    gauge: 'gauge',
+    gaugeweight: 'gaugeWeight', referenceweight: 'gaugeWeight', weightperunitlength: 'gaugeWeight',
+    gaugeweightper: 'gaugeWeightPer', gaugeweightunit: 'gaugeWeightPer', unitlength: 'gaugeWeightPer',
+    length: 'length', rolllength: 'length',
+    lengthunit: 'lengthUnit',
+    width: 'width', rollwidth: 'width',
+    openingquantity: 'openingQuantity', openingqty: 'openingQuantity', quantity: 'openingQuantity',
+    openingcost: 'openingCost', totalcost: 'openingCost', openingvalue: 'openingCost',
+    weight: 'weight', actualweight: 'weight', totalweight: 'weight',
+    lotnumber: 'lotNumber', lot: 'lotNumber',
+    invoicenumber: 'invoiceNumber',
+    location: 'location', locationcode: 'location',
+    purchasedate: 'purchaseDate', date: 'purchaseDate', openingdate: 'purchaseDate',
+    expirydate: 'expiryDate', expiry: 'expiryDate', bestbefore: 'expiryDate',
+    notes: 'notes'
+};
+
+const TEMPLATE_HEADERS = [
+    'Name', 'Category', 'Stock Unit', 'Usage Unit', 'Brand', 'Supplier', 'HSN Code', 'Description',
+    'Standard Lengths', 'Gauge', 'Gauge Weight', 'Gauge Weight Per',
+    'Length', 'Length Unit', 'Width', 'Opening Quantity', 'Opening Cost', 'Weight',
+    'Lot Number', 'Location', 'Purchase Date', 'Expiry Date', 'Notes'
+];
+
+const TEMPLATE_ROWS = [
+    ['Sliding Frame 3T', 'Profile', 'pcs', 'ft', 'Jindal', 'Metro Aluminium', '7604', '', '12 ft; 16 ft', '18G', '0.42', 'ft', '12', 'ft', '', '40', '36000', '201.6', 'LOT-1', '', '2024-04-01', '', ''],
+    ['Sliding Frame 3T', '', '', '', '', '', '', '', '', '20G', '0.35', 'ft', '16', 'ft', '', '25', '27500', '', '', '', '', '', ''],
+    ['SS Wire Mesh 304', 'Wire Mesh', 'rolls', 'sqft', '', '', '', '', '3 ft; 4 ft', '', '', '', '100', 'ft', '4', '2', '18000', '', '', '', '', '', ''],
+    ['Handle Set Silver', 'Hardware', 'pcs', 'pcs', 'Godrej', '', '8302', '', '', '', '', '', '', '', '', '150', '22500', '', '', '', '', '', ''],
+    ['Silicone Sealant Clear', 'Consumables', 'pcs', 'pcs', 'Dowsil', '', '3214', '', '', '', '', '', '', '', '', '48', '9600', '', 'SIL-2403', '', '', '2027-03-31', '']
+];
+
+const num = (value) => (value === undefined || value === null || value === '' ? NaN : Number(String(value).replace(/,/g, '')));
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+
+/**
+ * Bulk import of materials, their standard lengths / widths and gauge weights, and opening stock batches
+ * from a CSV (or tab-separated text pasted from Excel).
+ *
+ * One row per material spec: rows with the same name (ignoring case) build one material. Each row may add
+ * standard lengths, a gauge with its reference weight and/or an opening batch. The import is checked as a
+ * whole first (previewImport); importMaterials only writes when no row has an error, and undoes what it
+ * wrote if saving fails part-way, so a sheet is imported completely or not at all.
+ */
+class MaterialImportService {
+
+    /**
+     * Blank template with example rows.
+     * @returns {string} CSV content
+     */
+    static getTemplate() {
+        return [TEMPLATE_HEADERS, ...TEMPLATE_ROWS].map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Checks a sheet without writing anything.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} content - CSV / tab-separated text with a header row.
+     * @param {object} [options] - { skipExisting }: rows for materials that already exist are skipped instead
+     *   of being reported as errors.
+     * @returns {Promise<object>} Report: { rows, materials, unknownColumns, summary, canImport }
+     */
+    static async previewImport(companyId, content, options = {}) {
+        const { report } = await MaterialImportService.buildPlan(companyId, content, options);
+        return report;
+    }
+
+    /**
+     * Imports a sheet: creates every material with its batches and posts an 'InitialStock' transaction per
+     * opening batch (relatedDocumentType 'MaterialImport').
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user importing.
+     * @param {string} content - CSV / tab-separated text with a header row.
+     * @param {object} [options] - { skipExisting }
+     * @returns {Promise<{report: object, materials: Array<object>, transactionCount: number}>}
+     */
+    static async importMaterials(companyId, userId, content, options = {}) {
+        const { report, plans } = await MaterialImportService.buildPlan(companyId, content, options);
+        if (!report.canImport) {
+            const error = new AppError(
+                report.summary.errorCount > 0
+                    ? `The sheet has ${report.summary.errorCount} row error(s). Fix them and preview again.`
+                    : 'The sheet has no materials to import.',
+                400
+            );
+            error.report = report;
+            throw error;
+        }
+
+        const importId = new mongoose.Types.ObjectId();
+        const materials = [];
+        const transactions = [];
+        plans.forEach(plan => {
+            const { material, batchTransactions } = MaterialImportService.buildMaterial(companyId, userId, plan, importId);
+            materials.push(material);
+            transactions.push(...batchTransactions);
+        });
+
+        // Schema errors would otherwise only surface half-way through saving
+        for (const doc of [...materials, ...transactions]) {
+            await doc.validate();
+        }
+
+        const savedMaterialIds = [];
+        try {
+            for (const material of materials) {
+                await material.save();
+                savedMaterialIds.push(material._id);
+            }
+            for (const transaction of transactions) {
+                await transaction.save();
+            }
+        } catch (error) {
+            // No multi-document transactions on a standalone MongoDB: undo what was written instead
+            await StockTransaction.deleteMany({ companyId, relatedDocumentType: 'MaterialImport', relatedDocumentId: importId });
+            await MaterialV2.deleteMany({ _id: { $in: savedMaterialIds }, companyId });
+            console.error('[MaterialImport] Import failed and was rolled back:', error);
+            throw new AppError(`Import failed and nothing was saved: ${error.message}`, 500);
+        }
+
+        console.log(`[MaterialImport] ✅ Imported ${materials.length} material(s) with ${transactions.length} opening batch(es)`);
+
+        return {
+            report,
+            materials: materials.map(material => ({
+                id: material._id.toString(),
+                name: material.name,
+                category: material.category,
+                totalCurrentStock: material.aggregatedTotals.totalCurrentStock.toString(),
+                totalCurrentValue: material.aggregatedTotals.totalCurrentValue.toString()
+            })),
+            transactionCount: transactions.length
+        };
+    }
+
+    /**
+     * Parses and validates a sheet into per-material plans.
+     * @returns {Promise<{report: object, plans: Array<object>}>}
+     */
+    static async buildPlan(companyId, content, options = {}) {
+        if (!content || !String(content).trim()) {
+            throw new AppError('The sheet is empty.', 400);
+        }
+        const { records, unknownColumns } = parseCsv(content, COLUMNS);
+        if (records.length === 0) {
+            throw new AppError('The sheet has a header row but no data rows.', 400);
+        }
+        if (records.length > MAX_ROWS) {
+            throw new AppError(`The sheet has ${records.length} rows; import at most ${MAX_ROWS} at a time.`, 400);
+        }
+        if (!records.some(record => record.values.name)) {
+            throw new AppError("No 'Name' column found. Download the template to see the expected columns.", 400);
+        }
+
+        const [existingMaterials, locations, defaultLocationId] = await Promise.all([
+            MaterialV2.find({ companyId }).select('name'),
+            Location.find({ companyId, isActive: true }).select('name code'),
+            LocationService.getDefaultLocationId(companyId)
+        ]);
+        const existingNames = new Set(existingMaterials.map(material => material.name.trim().toLowerCase()));
+        const locationsByKey = new Map();
+        locations.forEach(location => {
+            locationsByKey.set(location.name.trim().toLowerCase(), location._id);
+            if (location.code) locationsByKey.set(location.code.trim().toLowerCase(), location._id);
+        });
+
+        const rowResults = [];
+        const plansByKey = new Map();
+        const batchSignatures = new Map();
+
+        records.forEach(({ rowNumber, values }) => {
+            const result = { rowNumber, name: values.name, status: 'ok', messages: [] };
+            rowResults.push(result);
+            const error = (message) => { result.status = 'error'; result.messages.push(message); };
+            const warn = (message) => {
+                if (result.status === 'ok') result.status = 'warning';
+                result.messages.push(message);
+            };
+
+            if (!values.name) {
+                error('Name is required.');
+                return;
+            }
+            const key = values.name.trim().toLowerCase();
+
+            if (existingNames.has(key)) {
+                if (options.skipExisting) {
+                    result.status = 'skipped';
+                    result.messages.push('Material already exists; row skipped.');
+                } else {
+                    error('A material with this name already exists (duplicate).');
+                }
+                return;
+            }
+
+            let plan = plansByKey.get(key);
+            if (!plan) {
+                const category = CATEGORIES.find(c => c.toLowerCase() === String(values.category || '').trim().toLowerCase());
+                if (!category) {
+                    error(values.category
+                        ? `Unknown category '${values.category}'. Use one of: ${CATEGORIES.join(', ')}.`
+                        : 'Category is required on the first row of a material.');
+                    return;
+                }
+                const usageUnit = values.usageUnit || DEFAULT_USAGE_UNITS[category] || 'pcs';
+                if (!USAGE_UNITS.includes(usageUnit)) {
+                    error(`Unknown usage unit '${usageUnit}'. Use one of: ${USAGE_UNITS.join(', ')}.`);
+                    return;
+                }
+                plan = {
+                    key,
+                    firstRow: rowNumber,
+                    rows: [],
+                    name: values.name.trim(),
+                    category,
+                    stockUnit: values.stockUnit || 'pcs',
+                    usageUnit,
+                    brand: values.brand,
+                    supplier: values.supplier,
+                    hsnCode: values.hsnCode,
+                    description: values.description,
+                    standardLengths: [],
+                    gauges: new Map(), // gauge -> { weight, per, rowNumber }
+                    batches: [],
+                    hasError: false
+                };
+                plansByKey.set(key, plan);
+            } else {
+                if (values.category && values.category.trim().toLowerCase() !== plan.category.toLowerCase()) {
+                    error(`Category '${values.category}' differs from '${plan.category}' on row ${plan.firstRow}.`);
+                }
+                if (values.stockUnit && values.stockUnit !== plan.stockUnit) {
+                    error(`Stock unit '${values.stockUnit}' differs from '${plan.stockUnit}' on row ${plan.firstRow}.`);
+                }
+                if (values.usageUnit && values.usageUnit !== plan.usageUnit) {
+                    error(`Usage unit '${values.usageUnit}' differs from '${plan.usageUnit}' on row ${plan.firstRow}.`);
+                }
+            }
+            plan.rows.push(rowNumber);
+            const isProfile = plan.category === 'Profile';
+            const isWireMesh = plan.category === 'Wire Mesh';
+
+            // Standard lengths (profiles) or roll widths (wire mesh): "12 ft; 16 ft"
+            if (values.standardLengths) {
+                if (!isProfile && !isWireMesh) {
+                    warn(`Standard lengths are ignored for ${plan.category}.`);
+                } else {
+                    values.standardLengths.split(/[;|,]/).map(token => token.trim()).filter(Boolean).forEach(token => {
+                        const match = token.match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+                        const unit = match && (match[2] || values.lengthUnit || 'ft').toLowerCase();
+                        if (!match || !SUPPORTED_LINEAR_UNITS.includes(unit) || !(Number(match[1]) > 0)) {
+                            error(`Cannot read standard length '${token}'. Write it like '12 ft'.`);
+                            return;
+                        }
+                        MaterialImportService.addStandardLength(plan, Number(match[1]), unit);
+                    });
+                }
+            }
+
+            // Gauge with its reference weight per unit length
+            if (values.gauge || values.gaugeWeight) {
+                if (!isProfile) {
+                    warn(`Gauges are ignored for ${plan.category}.`);
+                } else if (!values.gauge) {
+                    error('Gauge weight given without a gauge.');
+                } else if (values.gaugeWeight !== undefined) {
+                    const weight = num(values.gaugeWeight);
+                    const per = (values.gaugeWeightPer || 'ft').toLowerCase();
+                    if (!(weight >= 0)) {
+                        error(`Gauge weight '${values.gaugeWeight}' is not a number.`);
+                    } else if (!SUPPORTED_LINEAR_UNITS.includes(per)) {
+                        error(`Gauge weight unit '${values.gaugeWeightPer}' must be a length unit (${SUPPORTED_LINEAR_UNITS.join(', ')}).`);
+                    } else {
+                        const existing = plan.gauges.get(values.gauge);
+                        if (existing && existing.weight !== null &&
+                            (existing.weight !== weight || existing.per !== per)) {
+                            error(`Gauge ${values.gauge} already has weight ${existing.weight} kg/${existing.per} on row ${existing.rowNumber}.`);
+                        } else if (!existing || existing.weight === null) {
+                            plan.gauges.set(values.gauge, { weight, per, rowNumber });
+                        }
+                    }
+                } else if (!plan.gauges.has(values.gauge)) {
+                    plan.gauges.set(values.gauge, { weight: null, per: 'ft', rowNumber });
+                }
+            }
+
+            // Opening batch
+            if (values.openingQuantity !== undefined || values.openingCost !== undefined) {
+                const batch = MaterialImportService.readOpeningBatch(plan, values, { error, warn }, locationsByKey, defaultLocationId);
+                if (batch) {
+                    batch.rowNumber = rowNumber;
+                    const signature = JSON.stringify([key, batch.length, batch.lengthUnit, batch.gauge, batch.width,
+                        batch.quantity, batch.totalCost, batch.lotNumber, String(batch.locationId), batch.purchaseDate && batch.purchaseDate.getTime(),
+                        batch.expiryDate && batch.expiryDate.getTime()]);
+                    if (batchSignatures.has(signature)) {
+                        warn(`Same opening batch as row ${batchSignatures.get(signature)} (possible duplicate).`);
+                    } else {
+                        batchSignatures.set(signature, rowNumber);
+                    }
+                    if (result.status !== 'error') plan.batches.push(batch);
+                }
+            }
+
+            if (result.status === 'error') plan.hasError = true;
+        });
+
+        const plans = [...plansByKey.values()];
+        // A profile needs at least one standard length and gauge to be usable in estimations
+        plans.forEach(plan => {
+            if (plan.category === 'Profile' && (plan.standardLengths.length === 0 || plan.gauges.size === 0)) {
+                const first = rowResults.find(result => result.rowNumber === plan.firstRow);
+                first.status = 'error';
+                first.messages.push('A profile needs at least one standard length and one gauge.');
+                plan.hasError = true;
+            }
+        });
+
+        const errorCount = rowResults.filter(result => result.status === 'error').length;
+        const importable = plans.filter(plan => !plan.hasError);
+        const report = {
+            rows: rowResults,
+            materials: plans.map(plan => ({
+                name: plan.name,
+                category: plan.category,
+                rows: plan.rows,
+                standardLengths: plan.standardLengths.map(sl => `${sl.length} ${sl.unit}`),
+                gauges: [...plan.gauges.keys()],
+                openingBatches: plan.batches.length,
+                openingQuantity: plan.batches.reduce((sum, batch) => sum + batch.quantity, 0),
+                openingValue: plan.batches.reduce((sum, batch) => sum + batch.totalCost, 0),
+                hasError: plan.hasError
+            })),
+            unknownColumns,
+            summary: {
+                rowCount: rowResults.length,
+                errorCount,
+                warningCount: rowResults.filter(result => result.status === 'warning').length,
+                skippedCount: rowResults.filter(result => result.status === 'skipped').length,
+                materialCount: importable.length,
+                batchCount: importable.reduce((sum, plan) => sum + plan.batches.length, 0),
+                openingValue: Math.round(importable.reduce((sum, plan) =>
+                    sum + plan.batches.reduce((batchSum, batch) => batchSum + batch.totalCost, 0), 0) * 100) / 100
+            }
+        };
+        report.canImport = errorCount === 0 && importable.length > 0;
+
+        return { report, plans: importable };
+    }
+
+    /**
+     * Reads the opening batch columns of a row. Reports problems through the row's error / warn callbacks.
+     * @returns {object|null} { quantity, totalCost, length, lengthUnit, gauge, width, weight, lotNumber, invoiceNumber, locationId, purchaseDate, expiryDate, notes }
+     */
+    static readOpeningBatch(plan, values, { error, warn }, locationsByKey, defaultLocationId) {
+        const quantity = num(values.openingQuantity);
+        const totalCost = num(values.openingCost);
+        if (!(quantity > 0)) {
+            error('Opening quantity must be greater than 0.');
+            return null;
+        }
+        if (!(totalCost > 0)) {
+            error('Opening cost (total value of the batch) must be greater than 0.');
+            return null;
+        }
+
+        const batch = {
+            quantity,
+            totalCost,
+            lotNumber: values.lotNumber,
+            invoiceNumber: values.invoiceNumber,
+            notes: values.notes,
+            locationId: defaultLocationId
+        };
+
+        if (values.location) {
+            const locationId = locationsByKey.get(values.location.trim().toLowerCase());
+            if (!locationId) {
+                error(`Location '${values.location}' not found.`);
+                return null;
+            }
+            batch.locationId = locationId;
+        }
+
+        if (values.purchaseDate) {
+            const date = new Date(values.purchaseDate);
+            if (isNaN(date.getTime())) {
+                error(`Cannot read purchase date '${values.purchaseDate}'. Use YYYY-MM-DD.`);
+                return null;
+            }
+            if (date > new Date()) {
+                error('Purchase date is in the future.');
+                return null;
+            }
+            batch.purchaseDate = date;
+        }
+
+        if (values.expiryDate) {
+            const expiryDate = new Date(values.expiryDate);
+            if (isNaN(expiryDate.getTime())) {
+                error(`Cannot read expiry date '${values.expiryDate}'. Use YYYY-MM-DD.`);
+                return null;
+            }
+            if (plan.category === 'Profile' || plan.category === 'Wire Mesh') {
+                warn(`Expiry date is ignored for ${plan.category}.`);
+            } else {
+                if (expiryDate < new Date()) warn('Opening stock is already past its expiry date.');
+                batch.expiryDate = expiryDate;
+            }
+        }
+
+        if (values.weight !== undefined) {
+            const weight = num(values.weight);
+            if (!(weight > 0)) {
+                error(`Weight '${values.weight}' must be a number greater than 0.`);
+                return null;
+            }
+            if (plan.category !== 'Profile') {
+                warn(`Weight is ignored for ${plan.category}.`);
+            } else {
+                batch.weight = weight;
+            }
+        }
+
+        if (plan.category === 'Profile') {
+            const lengthUnit = (values.lengthUnit || 'ft').toLowerCase();
+            const length = values.length !== undefined ? num(values.length)
+                : plan.standardLengths.length === 1 ? plan.standardLengths[0].length : NaN;
+            if (!(length > 0)) {
+                error('Opening stock of a profile needs the pipe length (Length column).');
+                return null;
+            }
+            if (!SUPPORTED_LINEAR_UNITS.includes(lengthUnit)) {
+                error(`Unknown length unit '${values.lengthUnit}'.`);
+                return null;
+            }
+            if (!values.gauge) {
+                error('Opening stock of a profile needs its gauge.');
+                return null;
+            }
+            MaterialImportService.addStandardLength(plan, length, lengthUnit);
+            if (!plan.gauges.has(values.gauge)) {
+                plan.gauges.set(values.gauge, { weight: null, per: 'ft', rowNumber: null });
+            }
+            Object.assign(batch, { length, lengthUnit, gauge: values.gauge });
+        } else if (plan.category === 'Wire Mesh') {
+            const lengthUnit = (values.lengthUnit || 'ft').toLowerCase();
+            const length = num(values.length);
+            const width = values.width !== undefined ? num(values.width)
+                : plan.standardLengths.length === 1 ? plan.standardLengths[0].length : NaN;
+            if (!(length > 0)) {
+                error('Opening stock of wire mesh needs the roll length (Length column).');
+                return null;
+            }
+            if (!(width > 0)) {
+                error('Opening stock of wire mesh needs the roll width (Width column).');
+                return null;
+            }
+            if (!SUPPORTED_LINEAR_UNITS.includes(lengthUnit)) {
+                error(`Unknown length unit '${values.lengthUnit}'.`);
+                return null;
+            }
+            // Widths are in the unit of the material's standard widths (ft unless the sheet says otherwise)
+            const widthUnit = plan.standardLengths.length > 0 ? plan.standardLengths[0].unit : lengthUnit;
+            MaterialImportService.addStandardLength(plan, width, widthUnit);
+            Object.assign(batch, { length, lengthUnit, width, widthUnit });
+        } else if (values.length !== undefined || values.width !== undefined || values.gauge) {
+            warn(`Length, width and gauge are ignored for ${plan.category}.`);
+        }
+
+        return batch;
+    }
+
+    static addStandardLength(plan, length, unit) {
+        if (!plan.standardLengths.some(sl => sl.length === length && sl.unit === unit)) {
+            plan.standardLengths.push({ length, unit });
+        }
+    }
+
+    /**
+     * Builds the (unsaved) material document and its opening stock transactions from a validated plan.
+     * Batches mirror what BatchInventoryService.recordStockInward creates for the same input.
+     */
+    static buildMaterial(companyId, userId, plan, importId) {
+        const usedBatchIds = new Set();
+        const newBatchId = () => {
+            let batchId = MaterialV2.generateBatchId();
+            while (usedBatchIds.has(batchId)) batchId = MaterialV2.generateBatchId();
+            usedBatchIds.add(batchId);
+            return batchId;
+        };
+
+        const material = new MaterialV2({
+            companyId,
+            name: plan.name,
+            category: plan.category,
+            stockUnit: plan.stockUnit,
+            usageUnit: plan.usageUnit,
+            brand: plan.brand,
+            supplier: plan.supplier,
+            hsnCode: plan.hsnCode,
+            description: plan.description,
+            standardLengths: plan.standardLengths.map(sl => ({ length: toDecimal128(sl.length), unit: sl.unit })),
+            referenceGaugeWeights: [],
+            profileBatches: [],
+            simpleBatches: [],
+            isActive: true,
+            migrationStatus: 'native',
+            createdBy: userId,
+            updatedBy: userId
+        });
+
+        const batchTransactions = [];
+        plan.batches.forEach(batch => {
+            const batchId = newBatchId();
+            const rate = new Decimal(batch.totalCost).dividedBy(batch.quantity).toDecimalPlaces(4);
+            const common = {
+                batchId,
+                originalQuantity: toDecimal128(batch.quantity),
+                currentQuantity: toDecimal128(batch.quantity),
+                totalCostPaid: toDecimal128(batch.totalCost),
+                supplier: plan.supplier,
+                locationId: batch.locationId || undefined,
+                purchaseDate: batch.purchaseDate || new Date(),
+                invoiceNumber: batch.invoiceNumber,
+                lotNumber: batch.lotNumber,
+                notes: batch.notes,
+                isActive: true,
+                isCompleted: false
+            };
+
+            let notes;
+            if (plan.category === 'Profile') {
+                material.profileBatches.push({
+                    ...common,
+                    length: toDecimal128(batch.length),
+                    lengthUnit: batch.lengthUnit,
+                    gauge: batch.gauge,
+                    actualTotalWeight: batch.weight ? toDecimal128(batch.weight) : undefined,
+                    actualWeightUnit: 'kg',
+                    ratePerPiece: toDecimal128(rate),
+                    ratePerKg: batch.weight ? toDecimal128(new Decimal(batch.totalCost).dividedBy(batch.weight).toDecimalPlaces(4)) : undefined
+                });
+                notes = `Opening stock imported: ${batch.quantity} pieces of ${batch.length}${batch.lengthUnit} ${batch.gauge}`;
+            } else if (plan.category === 'Wire Mesh') {
+                const areaPerRoll = new Decimal(batch.width).times(batch.length);
+                const totalArea = areaPerRoll.times(batch.quantity);
+                material.simpleBatches.push({
+                    ...common,
+                    selectedWidth: toDecimal128(batch.width),
+                    widthUnit: batch.widthUnit,
+                    rollLength: toDecimal128(batch.length),
+                    rollLengthUnit: batch.lengthUnit,
+                    areaPerRoll: toDecimal128(areaPerRoll),
+                    totalArea: toDecimal128(totalArea),
+                    areaUnit: batch.widthUnit === 'm' ? 'sqm' : 'sqft',
+                    ratePerUnit: toDecimal128(rate),
+                    ratePerArea: toDecimal128(new Decimal(batch.totalCost).dividedBy(totalArea).toDecimalPlaces(6))
+                });
+                notes = `Opening stock imported: ${batch.quantity} roll(s) of ${batch.width}${batch.widthUnit} x ${batch.length}${batch.lengthUnit}`;
+            } else {
+                material.simpleBatches.push({ ...common, ratePerUnit: toDecimal128(rate), expiryDate: batch.expiryDate });
+                notes = `Opening stock imported: ${batch.quantity} ${plan.stockUnit}`;
+            }
+
+            batchTransactions.push(new StockTransaction({
+                companyId,
+                materialId: material._id,
+                type: 'InitialStock',
+                length: plan.category === 'Profile' ? toDecimal128(batch.length) : undefined,
+                lengthUnit: plan.category === 'Profile' ? batch.lengthUnit : undefined,
+                quantityChange: toDecimal128(batch.quantity),
+                quantityUnit: 'pcs', // Same unit recordStockInward posts batches in
+                unitRateAtTransaction: toDecimal128(rate),
+                batchId,
+                locationId: batch.locationId || undefined,
+                relatedDocumentType: 'MaterialImport',
+                relatedDocumentId: importId,
+                transactionDate: batch.purchaseDate || new Date(),
+                notes: `${notes} (row ${batch.rowNumber}) [Batch: ${batchId}]`,
+                createdBy: userId
+            }));
+        });
+
+        // Gauge weights: as given, else averaged from the opening batches' weights (per ft), else 0 until stock inward
+        plan.gauges.forEach((gaugeInfo, gauge) => {
+            let referenceWeight = gaugeInfo.weight;
+            let unitLength = gaugeInfo.per;
+            if (referenceWeight === null) {
+                let totalFeet = 0;
+                let totalWeight = 0;
+                plan.batches.filter(batch => batch.gauge === gauge && batch.weight).forEach(batch => {
+                    const feet = convertUnit(batch.length, batch.lengthUnit, 'ft').result;
+                    if (feet) {
+                        totalFeet += feet * batch.quantity;
+                        totalWeight += batch.weight;
+                    }
+                });
+                referenceWeight = totalFeet > 0 ? totalWeight / totalFeet : 0;
+                unitLength = 'ft';
+            }
+            material.referenceGaugeWeights.push({
+                gauge,
+                referenceWeight: toDecimal128(new Decimal(referenceWeight).toDecimalPlaces(6)),
+                unitLength
+            });
+        });
+
+        return { material, batchTransactions };
+    }
+}
+
+MaterialImportService.COLUMNS = COLUMNS;
+
+module.exports = MaterialImportService;
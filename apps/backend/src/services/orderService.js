@@ -7,9 +7,12 @@ const unitConverter = require('../utils/unitConverter');const MaterialV2 = requi
  // For unit conversions
 const formulaEvaluator = require('../utils/formulaEvaluator'); // For formula evaluation
 // Import the profile cutting utility
-const { calculateProfileConsumption, ProfileCuttingError, SCRAP_THRESHOLD_FT } = require('../utils/profileCuttingUtil');
+const { calculateProfileConsumption, ProfileCuttingError } = require('../utils/profileCuttingUtil');
+const { getFormulaCutAngles } = require('../utils/cutAngleUtils');
 // Import Wire Mesh optimization service
 const WireMeshOptimizationService = require('./wireMeshOptimizationService');
+const LocationService = require('./locationService');
+const { applyItemOptions } = require('../utils/productOptions');
 
 // Helper utility to robustly convert values to Mongoose Decimal128
 // (Similar to the one in estimationService, ensure it's consistent)
@@ -49,9 +52,23 @@ const toDecimal128 = (value, defaultValue = '0.00') => {
     return mongoose.Types.Decimal128.fromString(defaultValue);
 };
 
+// The product type as configured by an item's options: its materials with the options' changes applied
+const withItemOptions = (productType, selectedOptions, itemName) => {
+    const plainProductType = typeof productType.toObject === 'function' ? productType.toObject() : productType;
+    const { materials, unknown } = applyItemOptions(plainProductType, selectedOptions);
+    if (unknown.length > 0) {
+        console.warn(`[OrderService] Options of ${itemName} no longer on ProductType ${plainProductType.name}, ignored: ${unknown.join('; ')}`);
+    }
+    return { ...plainProductType, materials };
+};
+
 class OrderService {
-    // Helper function to find material in both V2 and V1 systems
-    async findMaterialById(materialId, companyId) {
+    // Helper function to find material in both V2 and V1 systems.
+    // Stock quantities are what is available: on hand less stock reserved for other orders
+    // (pass options.reservedFor so the order being checked can still count its own reservations).
+    // options.locationFilter (LocationService.resolveLocationFilter) in 'restrict' mode only counts stock at that
+    // location; in 'prefer' mode all stock counts and each length also reports what is available at the location.
+    async findMaterialById(materialId, companyId, options = {}) {
         try {
             // First try to find in V2 system
             const materialV2 = await MaterialV2.findOne({ 
@@ -60,6 +77,18 @@ class OrderService {
             });
             
             if (materialV2) {
+                const { locationFilter } = options;
+                const restrictTo = locationFilter && locationFilter.mode === 'restrict' ? locationFilter : null;
+                // Expired batches cannot be consumed, so they are reported apart and left out of what is available
+                const now = new Date();
+                const batchesHere = LocationService.applyFilter(restrictTo, materialV2.activeBatches);
+                const usableBatches = batchesHere.filter(batch => !MaterialV2.isExpired(batch, now));
+                const onHandStock = usableBatches.reduce((sum, batch) => sum + materialV2.getBatchStock(batch), 0);
+                const reservedStock = usableBatches.reduce((sum, batch) => sum + materialV2.getBatchReservedStock(batch, options.reservedFor), 0);
+                const expiredStock = batchesHere
+                    .filter(batch => MaterialV2.isExpired(batch, now))
+                    .reduce((sum, batch) => sum + materialV2.getBatchStock(batch), 0);
+
                 // Convert V2 material to V1-like structure for backward compatibility
                 return {
                     _id: materialV2._id,
@@ -83,6 +112,7 @@ class OrderService {
                     })) || [], // Map referenceGaugeWeights to gaugeSpecificWeights
                     weightUnit: materialV2.weightUnit || 'kg', // Default weight unit
                     defaultGauge: materialV2.defaultGauge || null, // Default gauge if any
+                    cuttingParameters: materialV2.cuttingParameters, // Kerf / end trim / remnant overrides
                     
                     // Additional fields that might be needed for order processing
                     purchaseUnit: materialV2.stockUnit, // Use stockUnit as purchaseUnit
@@ -91,26 +121,39 @@ class OrderService {
                     // Stock tracking fields that might be needed
                     stockByLength: (() => {
                         const consolidatedStock = {};
-                        (materialV2.profileBatches || []).forEach(batch => {
+                        LocationService.applyFilter(restrictTo, materialV2.profileBatches || []).forEach(batch => {
                             const lengthKey = `${batch.length.toString()}_${batch.lengthUnit}`;
                             if (!consolidatedStock[lengthKey]) {
                                 consolidatedStock[lengthKey] = {
                                     length: batch.length,
                                     unit: batch.lengthUnit,
-                                    quantity: toDecimal128('0')
+                                    onHand: 0,
+                                    reserved: 0
                                 };
+                                if (locationFilter && !restrictTo) consolidatedStock[lengthKey].atLocation = 0;
                             }
-                            // Add the current batch quantity to the consolidated total
-                            const currentQty = parseFloat(consolidatedStock[lengthKey].quantity.toString());
+                            // Add the current batch quantity and what other orders hold of it to the consolidated totals
                             const batchQty = parseFloat(batch.currentQuantity.toString());
-                            consolidatedStock[lengthKey].quantity = toDecimal128((currentQty + batchQty).toString());
+                            const batchReserved = Math.min(MaterialV2.getBatchReserved(batch, options.reservedFor), batchQty);
+                            consolidatedStock[lengthKey].onHand += batchQty;
+                            consolidatedStock[lengthKey].reserved += batchReserved;
+                            if (consolidatedStock[lengthKey].atLocation !== undefined && LocationService.matches(locationFilter, batch)) {
+                                consolidatedStock[lengthKey].atLocation += batchQty - batchReserved;
+                            }
                         });
-                        return Object.values(consolidatedStock);
+                        return Object.values(consolidatedStock).map(entry => ({
+                            ...entry,
+                            quantity: toDecimal128(Math.max(entry.onHand - entry.reserved, 0).toString())
+                        }));
                     })(), // Map profile batches to consolidated stock by length
-                    totalStockQuantity: materialV2.aggregatedTotals?.totalCurrentStock || '0',
+                    onHandStockQuantity: toDecimal128(onHandStock.toString()),
+                    reservedStockQuantity: reservedStock,
+                    expiredStockQuantity: expiredStock,
+                    totalStockQuantity: toDecimal128(Math.max(onHandStock - reservedStock, 0).toString()),
                     
-                    // CRITICAL: Copy simpleBatches for Wire Mesh stock calculations
-                    simpleBatches: materialV2.simpleBatches || [] // Wire Mesh batch tracking
+                    // CRITICAL: Copy simpleBatches for Wire Mesh stock calculations (expired batches left out)
+                    simpleBatches: LocationService.applyFilter(restrictTo, materialV2.simpleBatches || [])
+                        .filter(batch => !MaterialV2.isExpired(batch, now)) // Wire Mesh batch tracking
                 };
             }
             
@@ -151,7 +194,7 @@ class OrderService {
             }
 
             const materialDetailsForItem = await this.calculateOrderMaterialDetails(
-                productType,
+                withItemOptions(productType, qItem.selectedOptions, qItem.itemLabel || qItem.productTypeNameSnapshot),
                 qItem.width, 
                 qItem.height, 
                 qItem.quantity, 
@@ -203,6 +246,7 @@ class OrderService {
                         materialNameSnapshot: matDetail.materialNameSnapshot,
                         gaugeSnapshot: matDetail.gaugeSnapshot,
                         cutLengths: displayCutLengths, 
+                        cutAngles: matDetail.cutAngles,
                         lengthUnit: displayLengthUnit, 
                         isCutRequired: true,
                         pipeBreakdown: [], 
@@ -218,12 +262,14 @@ class OrderService {
                             materialDoc: materialDoc,
                             gaugeSnapshot: matDetail.gaugeSnapshot,
                             cuts: [],
+                            cutAngles: [], // Parallel to cuts
                             materialNameSnapshot: materialDoc.name,
                             usageUnit: materialDoc.usageUnit,
                             weightUnit: materialDoc.weightUnit || 'kg'
                         };
                     }
                     aggregatedRawProfileCutsFt[materialIdStr].cuts.push(...matDetail.rawCutsFt);
+                    aggregatedRawProfileCutsFt[materialIdStr].cutAngles.push(...matDetail.rawCutAngles);
                 } else { // Non-Profile MaterialV2
                     itemRequiredMaterialCuts.push({
                         materialId: matDetail.materialId,
@@ -302,6 +348,7 @@ class OrderService {
                 selectedGlassTypeId: qItem.selectedGlassTypeId,
                 selectedGlassTypeNameSnapshot: qItem.selectedGlassTypeNameSnapshot,
                 frameColour: qItem.frameColour || "",
+                selectedOptions: qItem.selectedOptions,
                 
                 finalChargeableAreaPerItem: qItem.chargeableAreaPerItem, 
                 finalTotalChargeableArea: qItem.totalChargeableArea, 
@@ -326,7 +373,7 @@ class OrderService {
                         material, 
                         companyId.toString(),
                         allCutsInFt,
-                        SCRAP_THRESHOLD_FT
+                        { cutAngles: profileData.cutAngles }
                     );
                 } catch (error) {
                     console.error(`Error in global calculateProfileConsumption for order material ${material.name} (ID: ${materialIdStr}):`, error);
@@ -463,7 +510,7 @@ class OrderService {
             orderItem.finalQuantity = parseInt(updatedItemData.finalQuantity, 10);
 
             const materialDetailsForItem = await this.calculateOrderMaterialDetails(
-                pTypeDoc, 
+                withItemOptions(pTypeDoc, orderItem.selectedOptions, orderItem.itemLabel || orderItem.productTypeNameSnapshot), 
                 orderItem.finalWidth,
                 orderItem.finalHeight,
                 orderItem.finalQuantity,
@@ -517,6 +564,7 @@ class OrderService {
                         materialNameSnapshot: matDetail.materialNameSnapshot,
                         gaugeSnapshot: matDetail.gaugeSnapshot,
                         cutLengths: displayCutLengths, 
+                        cutAngles: matDetail.cutAngles,
                         lengthUnit: displayLengthUnit,
                         isCutRequired: true,
                         pipeBreakdown: [], 
@@ -532,12 +580,14 @@ class OrderService {
                             materialDoc: materialDoc,
                             gaugeSnapshot: matDetail.gaugeSnapshot,
                             cuts: [],
+                            cutAngles: [], // Parallel to cuts
                             materialNameSnapshot: materialDoc.name,
                             usageUnit: materialDoc.usageUnit,
                             weightUnit: materialDoc.weightUnit || 'kg'
                         };
                     }
                     aggregatedRawProfileCutsFt[materialIdStr].cuts.push(...matDetail.rawCutsFt);
+                    aggregatedRawProfileCutsFt[materialIdStr].cutAngles.push(...matDetail.rawCutAngles);
                 } else { // Non-Profile
                     newItemRequiredMaterialCuts.push({
                         materialId: matDetail.materialId,
@@ -622,7 +672,7 @@ class OrderService {
             if (allCutsInFt.length > 0) {
                 try {
                     consumptionResult = await calculateProfileConsumption(
-                        material, companyId.toString(), allCutsInFt, SCRAP_THRESHOLD_FT
+                        material, companyId.toString(), allCutsInFt, { cutAngles: profileData.cutAngles }
                     );
                 } catch (error) {
                     console.error(`Error in global calculateProfileConsumption for order material ${material.name} (ID: ${materialIdStr}) during update:`, error);
@@ -790,7 +840,9 @@ class OrderService {
 
             // Logic for materials that ARE cut (typically profiles)
             const cutsForItemUnit = [];
-            for (const formula of mat.formulas) {
+            const anglesForItemUnit = [];
+            const positionsForItemUnit = [];
+            for (const [formulaIndex, formula] of mat.formulas.entries()) {
                 // Convert finalW/H to the unit expected by the formula if necessary
                 const wConversion = unitConverter.convertUnit(
                     parseFloat(finalWidth.toString()),
@@ -862,12 +914,18 @@ class OrderService {
                 }
 
                 cutsForItemUnit.push(mongoose.Types.Decimal128.fromString(finalCutLength.toFixed(4))); // Store with precision
+                anglesForItemUnit.push(getFormulaCutAngles(mat, formulaIndex));
+                positionsForItemUnit.push(formulaEvaluator.getFormulaPosition(formula));
             }
 
             if (cutsForItemUnit.length > 0) {
                 const repeatedCutsForTotalQuantity = [];
+                const repeatedAnglesForTotalQuantity = [];
+                const repeatedPositionsForTotalQuantity = [];
                 for (let i = 0; i < finalQuantity; i++) {
                     repeatedCutsForTotalQuantity.push(...cutsForItemUnit);
+                    repeatedAnglesForTotalQuantity.push(...anglesForItemUnit);
+                    repeatedPositionsForTotalQuantity.push(...positionsForItemUnit);
                 }
 
                 allCuts.push({
@@ -875,6 +933,8 @@ class OrderService {
                     materialNameSnapshot: materialDoc.name,
                     gaugeSnapshot: mat.defaultGauge || materialDoc.defaultGauge || null, // Prefer product type default, then material default
                     cutLengths: repeatedCutsForTotalQuantity,
+                    cutAngles: repeatedAnglesForTotalQuantity,
+                    cutPositions: repeatedPositionsForTotalQuantity,
                     lengthUnit: materialDoc.usageUnit, // Store cuts in the material's standard usage unit
                     isCutRequired: mat.isCutRequired || materialDoc.category === 'Profile',
                 });
@@ -909,13 +969,22 @@ class OrderService {
         return stockByLength.map(item => ({
             length: parseFloat(item.length.toString()), 
             count: parseInt(item.quantity.toString(), 10), 
-            unit: item.unit
+            unit: item.unit,
+            onHand: item.onHand,
+            reserved: item.reserved,
+            atLocation: item.atLocation
         })).sort((a,b) => a.length - b.length); 
     }
 
-    async getDetailedStockAvailabilityForOrder(order, companyId) {
+    /**
+     * Stock check for an order's aggregated materials.
+     * @param {object} [options] - { locationId, locationMode: 'restrict' | 'prefer' } to check one location's stock
+     *   only, or all stock while showing how much of it is at the location.
+     */
+    async getDetailedStockAvailabilityForOrder(order, companyId, options = {}) {
         const detailedStockResults = [];
         // const aggregatedMaterialRequirements = {}; // Old approach
+        const locationFilter = await LocationService.resolveLocationFilter(companyId, options);
 
         // Step 1: Use the pre-aggregated and globally optimized materials from order.aggregatedOrderMaterials
         if (!order.aggregatedOrderMaterials || order.aggregatedOrderMaterials.length === 0) {
@@ -928,7 +997,8 @@ class OrderService {
         for (const aggMatRequirement of order.aggregatedOrderMaterials) {
             // const aggMat = aggregatedMaterialRequirements[materialIdStr]; // Old way of getting aggMat
             const materialIdStr = aggMatRequirement.materialId.toString();
-            const materialDoc = await this.findMaterialById(aggMatRequirement.materialId, companyId);
+            // Stock held for other orders is not available to this one; its own reservations are
+            const materialDoc = await this.findMaterialById(aggMatRequirement.materialId, companyId, { reservedFor: order._id, locationFilter });
 
             if (aggMatRequirement.materialCategory === 'Wire Mesh') {
                 // console.log(`[Wire Mesh Debug Stock Check FULL] Full aggMatRequirement for ${aggMatRequirement.materialNameSnapshot}:`, JSON.stringify(aggMatRequirement, null, 2));
@@ -1012,6 +1082,9 @@ class OrderService {
                     status: finalStatus,
                     requiredCutsDetail: requiredPipeBreakdownDisplay, 
                     availableStockDetail: actualStock, 
+                    reservedStockDetail: actualStock
+                        .filter(s => s.reserved > 0)
+                        .map(s => ({ length: s.length, count: Math.round(s.reserved * 100) / 100, unit: s.unit })),
                     shortfallDetail: this._groupAndFormatPipeBreakdownForDisplay(shortfallDetail), 
                     usageUnit: usageUnit 
                 });
@@ -1019,6 +1092,8 @@ class OrderService {
             } else { // Non-Profile MaterialV2 Logic
                 const requiredQty = parseFloat(aggMatRequirement.totalQuantity.toString());
                 const availableQty = parseFloat((materialDoc.totalStockQuantity || '0').toString());
+                const reservedQty = materialDoc.reservedStockQuantity || 0;
+                const expiredQty = materialDoc.expiredStockQuantity || 0;
                 const quantityUnitForDisplay = aggMatRequirement.quantityUnit; // Use the quantityUnit from aggregated data
                 let status = 'N/A';
                 let shortfallQty = 0;
@@ -1267,9 +1342,11 @@ class OrderService {
                                     const batchWidthInRollUnit = unitConverter.convertUnit(batchWidth, batchWidthUnit, rollWidthUnit);
                                     
                                     if (!batchWidthInRollUnit.error && Math.abs(batchWidthInRollUnit.result - rollWidth) < 0.01) {
-                                        // This batch matches our required width
+                                        // This batch matches our required width; leave out the area other orders hold
                                         const batchArea = parseFloat(batch.totalArea.toString());
-                                        specificWidthStock += batchArea;
+                                        const batchQty = parseFloat(batch.currentQuantity.toString());
+                                        const reservedRolls = Math.min(MaterialV2.getBatchReserved(batch, order._id), batchQty);
+                                        specificWidthStock += batchQty > 0 ? batchArea * (1 - reservedRolls / batchQty) : 0;
                                     }
                                 });
                             }
@@ -1388,6 +1465,12 @@ class OrderService {
                     status: status,
                     requiredCutsDetail: requiredDisplay, 
                     availableStockDetail: availableDisplay, 
+                    reservedStockDetail: reservedQty > 0
+                        ? [{ length: Math.round(reservedQty * 100) / 100, count: 1, unit: category === 'Wire Mesh' ? 'sqft' : quantityUnitForDisplay }]
+                        : [],
+                    expiredStockDetail: expiredQty > 0
+                        ? [{ length: Math.round(expiredQty * 100) / 100, count: 1, unit: category === 'Wire Mesh' ? 'sqft' : quantityUnitForDisplay }]
+                        : [],
                     shortfallDetail: shortfallDisplay,
                     usageUnit: quantityUnitForDisplay // Display unit for non-profiles
                 });
@@ -1414,7 +1497,7 @@ class OrderService {
         for (const materialCutInfo of aggregatedCuts) {
             if (materialCutInfo.category !== 'Profile') continue; // Only check stock for profiles this way for now
 
-            const material = await this.findMaterialById(materialCutInfo.materialId, companyId);
+            const material = await this.findMaterialById(materialCutInfo.materialId, companyId, { reservedFor: order._id });
 
             if (!material) {
                 stockCheckResults.push({
@@ -1423,6 +1506,8 @@ class OrderService {
                     status: 'MaterialV2 Not Found',
                     requiredTotalLength: 0,
                     availableTotalLength: 0,
+                    onHandTotalLength: 0,
+                    reservedTotalLength: 0,
                     usageUnit: materialCutInfo.usageUnit
                 });
                 continue;
@@ -1434,7 +1519,10 @@ class OrderService {
                 totalRequiredLength += cutLength;
             });
 
+            // stockItem.quantity is already net of other orders' reservations
             let totalAvailableLength = 0;
+            let totalOnHandLength = 0;
+            let totalReservedLength = 0;
             if (material.stockByLength && material.stockByLength.length > 0) {
                 material.stockByLength.forEach(stockItem => {
                     const conversionResult = unitConverter.convertUnit(
@@ -1451,6 +1539,8 @@ class OrderService {
 
                     if (stockItemLengthInUsageUnit !== null && !isNaN(stockItemLengthInUsageUnit)) {
                         totalAvailableLength += stockItemLengthInUsageUnit * parseFloat(stockItem.quantity.toString());
+                        totalOnHandLength += stockItemLengthInUsageUnit * (stockItem.onHand || 0);
+                        totalReservedLength += stockItemLengthInUsageUnit * (stockItem.reserved || 0);
                     }
                 });
             }
@@ -1461,6 +1551,8 @@ class OrderService {
                 status: totalAvailableLength >= totalRequiredLength ? 'Sufficient' : 'Insufficient',
                 requiredTotalLength: parseFloat(totalRequiredLength.toFixed(2)),
                 availableTotalLength: parseFloat(totalAvailableLength.toFixed(2)),
+                onHandTotalLength: parseFloat(totalOnHandLength.toFixed(2)),
+                reservedTotalLength: parseFloat(totalReservedLength.toFixed(2)),
                 usageUnit: material.usageUnit,
                 // TODO: Add detailed breakdown by standard length if needed
             });
@@ -1768,6 +1860,10 @@ class OrderService {
             });
 
             const allQuantities = formulaResults.flat(); // these are in material.usageUnit
+            // Cut angles for each value in allQuantities, repeated per formula like the quantities
+            const allCutAngles = materialLink.formulas.flatMap((formulaStr, formulaIndex) =>
+                Array(finalQuantity).fill(getFormulaCutAngles(materialLink, formulaIndex))
+            );
 
             let materialDetail = { 
                 materialId: material._id,
@@ -1777,6 +1873,7 @@ class OrderService {
                 isCutRequired: materialLink.isCutRequired || material.category === 'Profile',
                 usageUnit: material.usageUnit, // The unit of quantities/cuts calculated so far
                 calculatedValues: allQuantities, // Hold temporary calculated values
+                cutAngles: allCutAngles, // Parallel to calculatedValues
                 totalQuantity: toDecimal128('0'), // Will be calculated based on category
                 quantityUnit: material.usageUnit,
                 totalWeight: toDecimal128('0'),
@@ -1789,7 +1886,7 @@ class OrderService {
                 materialDetail.quantityUnit = material.usageUnit; // Unit of raw cuts
                 
                 // Calculate rawCutsFt for profile materials (needed for aggregation)
-                materialDetail.rawCutsFt = allQuantities.map(cutLength => {
+                const cutsInFt = allQuantities.map(cutLength => {
                     const conversionToFt = unitConverter.convertUnit(parseFloat(cutLength.toString()), material.usageUnit, 'ft');
                     if (conversionToFt.error) {
                         throw new AppError(`Error converting profile cut to feet: ${conversionToFt.error} (Mat: ${material.name}, From: ${material.usageUnit}, Val: ${cutLength})`, 500);
@@ -1799,13 +1896,17 @@ class OrderService {
                          return null; // Will be filtered out
                     }
                     return conversionToFt.result;
-                }).filter(cutInFt => cutInFt !== null); // Remove nulls from ignored cuts
+                });
+                // Remove nulls from ignored cuts, keeping the angles aligned
+                materialDetail.rawCutsFt = cutsInFt.filter(cutInFt => cutInFt !== null);
+                materialDetail.rawCutAngles = allCutAngles.filter((angles, index) => cutsInFt[index] !== null);
             } else {
                 // For non-profile materials, sum up all calculated quantities
                 const sumOfQuantities = allQuantities.reduce((sum, qty) => sum + parseFloat(qty.toString()), 0);
                 materialDetail.totalQuantity = toDecimal128(sumOfQuantities.toFixed(4));
                 materialDetail.quantityUnit = material.usageUnit;
                 materialDetail.rawCutsFt = []; // Empty for non-profile materials
+                materialDetail.rawCutAngles = [];
             }
             
             // Check if a detail for this materialId already exists (e.g. if material is used twice in productType with different formulas - rare)
@@ -1815,7 +1916,9 @@ class OrderService {
                 const existingDetail = calculatedMaterialsArray[existingMaterialIndex];
                 if (material.category === 'Profile') {
                     existingDetail.rawCutsFt.push(...materialDetail.rawCutsFt);
+                    existingDetail.rawCutAngles.push(...materialDetail.rawCutAngles);
                     existingDetail.calculatedValues.push(...materialDetail.calculatedValues); // Also merge raw values
+                    existingDetail.cutAngles.push(...materialDetail.cutAngles);
                 } else {
                     existingDetail.totalQuantity = toDecimal128((parseFloat(existingDetail.totalQuantity.toString()) + parseFloat(materialDetail.totalQuantity.toString())).toFixed(4));
                     existingDetail.totalWeight = toDecimal128((parseFloat(existingDetail.totalWeight.toString()) + parseFloat(materialDetail.totalWeight.toString())).toFixed(3), '0.000');
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const PriceList = require('../models/PriceList');
+const MaterialV2 = require('../models/MaterialV2');
+const Setting = require('../models/Setting');
+const { convertUnit, SUPPORTED_AREA_UNITS } = require('../utils/unitConverter');
+const { AppError } = require('../utils/appError');
+
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+
+/**
+ * Dated material price lists, and the rates estimations take from them.
+ * An estimation costs against the price list when it (or, if it does not choose, the company's
+ * pricing.estimationRateSource) says so; otherwise materials are costed at their stock batch averages.
+ */
+class PriceListService {
+
+    /**
+     * Price lists of the company, newest first, with the one currently in effect marked.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<{priceLists: Array<object>, activePriceListId: string|null}>}
+     */
+    static async listPriceLists(companyId) {
+        const [priceLists, active] = await Promise.all([
+            PriceList.find({ companyId })
+                .select('-entries')
+                .populate('createdBy', 'firstName lastName')
+                .sort({ effectiveFrom: -1, createdAt: -1 }),
+            PriceListService.getActivePriceList(companyId)
+        ]);
+        const entryCounts = await PriceList.aggregate([
+            { $match: { companyId: new mongoose.Types.ObjectId(companyId) } },
+            { $project: { entryCount: { $size: '$entries' } } }
+        ]);
+        const countsById = new Map(entryCounts.map(row => [row._id.toString(), row.entryCount]));
+
+        return {
+            priceLists: priceLists.map(priceList => ({
+                ...priceList.toJSON(),
+                entryCount: countsById.get(priceList._id.toString()) || 0
+            })),
+            activePriceListId: active ? active._id.toString() : null
+        };
+    }
+
+    /**
+     * @param {string} companyId - The ID of the company.
+     * @param {string} priceListId - The ID of the price list.
+     * @returns {Promise<object>} The price list document.
+     */
+    static async findPriceList(companyId, priceListId) {
+        if (!mongoose.Types.ObjectId.isValid(priceListId)) {
+            throw new AppError('Invalid price list ID.', 400);
+        }
+        const priceList = await PriceList.findOne({ _id: priceListId, companyId });
+        if (!priceList) {
+            throw new AppError('Price list not found.', 404);
+        }
+        return priceList;
+    }
+
+    /**
+     * The price list in effect on a date: the latest effectiveFrom on or before it.
+     * @param {string} companyId - The ID of the company.
+     * @param {Date} [asOf] - Defaults to now.
+     * @returns {Promise<object|null>}
+     */
+    static async getActivePriceList(companyId, asOf = new Date()) {
+        return PriceList.findOne({ companyId, effectiveFrom: { $lte: asOf } })
+            .sort({ effectiveFrom: -1, createdAt: -1 });
+    }
+
+    /**
+     * Validates price list input and snapshots the material of each entry.
+     * @param {string} companyId - The ID of the company.
+     * @param {object} data - { name, effectiveFrom, notes, entries: [{ materialId, gauge, rate, rateUnit }] }
+     * @returns {Promise<object>} Fields to set on the price list.
+     */
+    static async resolvePriceListData(companyId, data) {
+        const name = data.name ? String(data.name).trim() : '';
+        if (!name) {
+            throw new AppError('Price list name is required.', 400);
+        }
+        const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : null;
+        if (!effectiveFrom || isNaN(effectiveFrom.getTime())) {
+            throw new AppError('Enter the date the price list takes effect.', 400);
+        }
+        const entries = Array.isArray(data.entries) ? data.entries : [];
+
+        const materialIds = [...new Set(entries.map(entry => String(entry.materialId)))];
+        if (materialIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Every entry needs a valid material.', 400);
+        }
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId }).select('name category stockUnit');
+        const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+        const seen = new Set();
+        const resolvedEntries = entries.map((entry, index) => {
+            const entryNo = index + 1;
+            const material = materialsById.get(String(entry.materialId));
+            if (!material) {
+                throw new AppError(`Entry ${entryNo}: material not found.`, 404);
+            }
+            const rate = Number(entry.rate);
+            if (entry.rate === '' || entry.rate === null || isNaN(rate) || rate < 0) {
+                throw new AppError(`Entry ${entryNo} (${material.name}): rate must be zero or more.`, 400);
+            }
+
+            const isProfile = material.category === 'Profile';
+            const gauge = isProfile && entry.gauge ? String(entry.gauge).trim() : '';
+            let rateUnit;
+            if (isProfile) {
+                rateUnit = 'kg';
+            } else if (material.category === 'Glass') {
+                rateUnit = entry.rateUnit || (SUPPORTED_AREA_UNITS.includes(material.stockUnit) ? material.stockUnit : 'sqft');
+                if (!SUPPORTED_AREA_UNITS.includes(rateUnit)) {
+                    throw new AppError(`Entry ${entryNo} (${material.name}): glass is priced per ${SUPPORTED_AREA_UNITS.join(' or ')}.`, 400);
+                }
+            } else {
+                rateUnit = material.stockUnit;
+                if (entry.rateUnit && entry.rateUnit !== rateUnit) {
+                    throw new AppError(`Entry ${entryNo} (${material.name}): priced per its stock unit (${rateUnit}).`, 400);
+                }
+            }
+            if (isProfile && entry.rateUnit && entry.rateUnit !== 'kg') {
+                throw new AppError(`Entry ${entryNo} (${material.name}): profiles are priced per kg.`, 400);
+            }
+
+            const key = `${material._id}:${gauge}`;
+            if (seen.has(key)) {
+                throw new AppError(`Entry ${entryNo} (${material.name}${gauge ? `, ${gauge} gauge` : ''}) is listed twice.`, 400);
+            }
+            seen.add(key);
+
+            return {
+                materialId: material._id,
+                materialNameSnapshot: material.name,
+                category: material.category,
+                gauge: gauge || undefined,
+                rate: toDecimal128(rate),
+                rateUnit
+            };
+        });
+
+        return { name, effectiveFrom, notes: data.notes, entries: resolvedEntries };
+    }
+
+    /**
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user creating the list.
+     * @param {object} data - See resolvePriceListData.
+     * @returns {Promise<object>} The saved price list.
+     */
+    static async createPriceList(companyId, userId, data) {
+        const fields = await PriceListService.resolvePriceListData(companyId, data);
+        const priceList = new PriceList({ ...fields, companyId, createdBy: userId });
+        await priceList.save();
+        return priceList;
+    }
+
+    /**
+     * Replaces a price list's name, date, notes and entries. Estimations already costed keep their costs
+     * until they are recalculated or re-costed.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} priceListId - The ID of the price list.
+     * @param {object} data - See resolvePriceListData.
+     * @returns {Promise<object>} The saved price list.
+     */
+    static async updatePriceList(companyId, priceListId, data) {
+        const priceList = await PriceListService.findPriceList(companyId, priceListId);
+        const fields = await PriceListService.resolvePriceListData(companyId, data);
+        Object.assign(priceList, fields);
+        await priceList.save();
+        return priceList;
+    }
+
+    /**
+     * @param {string} companyId - The ID of the company.
+     * @param {string} priceListId - The ID of the price list.
+     */
+    static async deletePriceList(companyId, priceListId) {
+        const priceList = await PriceListService.findPriceList(companyId, priceListId);
+        await priceList.deleteOne();
+    }
+
+    /**
+     * Rate lookup over a price list, used while calculating an estimation. `rateFor` returns null when the
+     * list does not price the material (or there is no list), so the caller keeps the stock rate; materials
+     * it did price are collected in `pricedMaterialIds`.
+     * @param {object|null} priceList - Price list document, or null to cost everything at stock rates.
+     * @returns {{priceList: object|null, pricedMaterialIds: Set<string>, rateFor: Function}}
+     */
+    static createRateResolver(priceList) {
+        const entriesByMaterial = new Map();
+        (priceList ? priceList.entries : []).forEach(entry => {
+            const materialId = entry.materialId.toString();
+            if (!entriesByMaterial.has(materialId)) entriesByMaterial.set(materialId, []);
+            entriesByMaterial.get(materialId).push(entry);
+        });
+        const pricedMaterialIds = new Set();
+
+        /**
+         * @param {string} materialId - The material to price.
+         * @param {object} [options] - { gauge: profile gauge being costed, unit: unit the rate is wanted per }
+         * @returns {{rate: number, rateUnit: string}|null}
+         */
+        const rateFor = (materialId, { gauge, unit } = {}) => {
+            const candidates = entriesByMaterial.get(String(materialId)) || [];
+            const entry = (gauge && candidates.find(candidate => candidate.gauge === String(gauge)))
+                || candidates.find(candidate => !candidate.gauge);
+            if (!entry) {
+                return null;
+            }
+            let rate = parseFloat(entry.rate.toString());
+            let rateUnit = entry.rateUnit;
+            if (unit && unit !== rateUnit) {
+                // Only area rates convert (a glass list in sqft costing glass measured in sqm)
+                if (!SUPPORTED_AREA_UNITS.includes(unit) || !SUPPORTED_AREA_UNITS.includes(rateUnit)) {
+                    return null;
+                }
+                rate = rate * convertUnit(1, unit, rateUnit).result;
+                rateUnit = unit;
+            }
+            pricedMaterialIds.add(String(materialId));
+            return { rate, rateUnit };
+        };
+
+        return { priceList, pricedMaterialIds, rateFor };
+    }
+
+    /**
+     * Rate resolver for calculating an estimation.
+     * @param {string} companyId - The ID of the company.
+     * @param {string|null} rateSource - The estimation's rate source; blank follows the company setting.
+     * @returns {Promise<object>} See createRateResolver; priceList is null when costing at stock rates.
+     */
+    static async getRateResolver(companyId, rateSource) {
+        let source = rateSource;
+        if (!source) {
+            const settings = await Setting.findOne({ companyId }).select('pricing.estimationRateSource').lean();
+            source = settings?.pricing?.estimationRateSource || 'stock';
+        }
+        const priceList = source === 'priceList' ? await PriceListService.getActivePriceList(companyId) : null;
+        if (source === 'priceList' && !priceList) {
+            console.warn(`[PriceListService] No price list in effect for company ${companyId}; costing at stock rates.`);
+        }
+        return PriceListService.createRateResolver(priceList);
+    }
+}
+
+module.exports = PriceListService;
@@ -0,0 +1,264 @@
+const Order = require('../models/Order');
+const ProductionEvent = require('../models/ProductionEvent');
+const { AppError } = require('../utils/appError');
+const { buildPieceId, buildItemCode, parseScanCode } = require('../utils/pieceCodes');
+
+const { PIECE_EVENTS } = ProductionEvent;
+
+// Stage an order moves to once every piece has reached the event
+const ORDER_STAGE_AFTER_EVENT = {
+    'Cut': 'Assembly',
+    'Assembled': 'QC',
+    'QC Passed': 'Packed',
+    'Packed': 'Ready for Dispatch'
+};
+
+// Production statuses in order; scans only ever move an order forward through these
+const PRODUCTION_STAGES = ['In Production', 'Cutting', 'Assembly', 'QC', 'Packed', 'Ready for Dispatch'];
+
+/**
+ * Shop-floor tracking of cut pieces.
+ * Scans of piece or item codes are stored as ProductionEvents, rolled up to item and order progress,
+ * and move the order to its next stage when every piece has reached the current one.
+ */
+class ProductionTrackingService {
+
+    /**
+     * Lists the cut pieces of an order, the same pieces the cutting optimizer plans and the labels print.
+     * @param {object} order - Order document (orderIdDisplay and items are used).
+     * @returns {Array<{pieceId: string, itemIndex: number, itemLabel: string, materialNameSnapshot: string, length: string, lengthUnit: string, position: string}>}
+     */
+    static listOrderPieces(order) {
+        const pieces = [];
+        (order.items || []).forEach((item, itemIndex) => {
+            (item.requiredMaterialCuts || []).forEach((cutReq, cutReqIndex) => {
+                const cutLengths = cutReq.cutLengths || [];
+                if (!cutReq.isCutRequired && cutLengths.length === 0) return;
+
+                const cutPositions = cutReq.cutPositions || [];
+                cutLengths.forEach((length, cutIndex) => {
+                    pieces.push({
+                        pieceId: buildPieceId(order.orderIdDisplay, itemIndex, cutReqIndex, cutIndex),
+                        itemIndex,
+                        itemLabel: item.itemLabel || `Window ${itemIndex + 1}`,
+                        materialNameSnapshot: cutReq.materialNameSnapshot,
+                        length: length ? length.toString() : '0',
+                        lengthUnit: cutReq.lengthUnit,
+                        position: cutPositions[cutIndex] || ''
+                    });
+                });
+            });
+        });
+        return pieces;
+    }
+
+    /**
+     * Rolls piece events up to item and order progress.
+     * @param {object} order - Order document.
+     * @param {Array<object>} events - The order's ProductionEvents.
+     * @returns {object} { totalPieces, counts, percentComplete, completedStage, items, pieces }
+     */
+    static summarizeProgress(order, events) {
+        const eventsByPiece = new Map();
+        events.forEach(event => {
+            if (!eventsByPiece.has(event.pieceId)) eventsByPiece.set(event.pieceId, {});
+            eventsByPiece.get(event.pieceId)[event.event] = {
+                scannedAt: event.scannedAt,
+                scannedBy: event.scannedBy
+            };
+        });
+
+        const emptyCounts = () => PIECE_EVENTS.reduce((counts, event) => ({ ...counts, [event]: 0 }), {});
+        // Each stage counts as a quarter of a piece's progress
+        const percentOf = (counts, total) => (total === 0
+            ? 0
+            : Math.round(PIECE_EVENTS.reduce((sum, event) => sum + counts[event], 0) / (total * PIECE_EVENTS.length) * 100));
+        // Last stage every piece has reached, null if some piece has not even been cut
+        const completedStageOf = (counts, total) => {
+            if (total === 0) return null;
+            let completed = null;
+            for (const event of PIECE_EVENTS) {
+                if (counts[event] < total) break;
+                completed = event;
+            }
+            return completed;
+        };
+
+        const pieces = ProductionTrackingService.listOrderPieces(order).map(piece => {
+            const pieceEvents = eventsByPiece.get(piece.pieceId) || {};
+            return {
+                ...piece,
+                events: pieceEvents,
+                currentStage: [...PIECE_EVENTS].reverse().find(event => pieceEvents[event]) || null
+            };
+        });
+
+        const counts = emptyCounts();
+        const items = (order.items || []).map((item, itemIndex) => ({
+            itemIndex,
+            itemLabel: item.itemLabel || `Window ${itemIndex + 1}`,
+            itemCode: buildItemCode(order.orderIdDisplay, itemIndex),
+            productTypeNameSnapshot: item.productTypeNameSnapshot,
+            totalPieces: 0,
+            counts: emptyCounts()
+        }));
+
+        pieces.forEach(piece => {
+            const item = items[piece.itemIndex];
+            item.totalPieces += 1;
+            PIECE_EVENTS.forEach(event => {
+                if (piece.events[event]) {
+                    item.counts[event] += 1;
+                    counts[event] += 1;
+                }
+            });
+        });
+
+        items.forEach(item => {
+            item.percentComplete = percentOf(item.counts, item.totalPieces);
+            item.completedStage = completedStageOf(item.counts, item.totalPieces);
+        });
+
+        return {
+            totalPieces: pieces.length,
+            counts,
+            percentComplete: percentOf(counts, pieces.length),
+            completedStage: completedStageOf(counts, pieces.length),
+            items,
+            pieces
+        };
+    }
+
+    /**
+     * Progress of one order.
+     * @param {string} orderId - The ID of the order.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<object>} { order: { _id, orderIdDisplay, status }, progress }
+     */
+    static async getOrderProgress(orderId, companyId) {
+        const order = await Order.findOne({ _id: orderId, companyId }).lean();
+        if (!order) {
+            throw new AppError('Order not found.', 404);
+        }
+
+        const events = await ProductionEvent.find({ companyId, orderId: order._id })
+            .populate('scannedBy', 'firstName lastName')
+            .lean();
+        return {
+            order: { _id: order._id, orderIdDisplay: order.orderIdDisplay, status: order.status },
+            progress: ProductionTrackingService.summarizeProgress(order, events)
+        };
+    }
+
+    /**
+     * Records a scan of a piece or item code.
+     * Pieces already at the stage are skipped, so scanning twice is harmless. A piece must have reached the
+     * previous stage first. When every piece of the order has reached the stage, the order moves on.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user scanning.
+     * @param {object} scan - { code, event, notes }
+     * @returns {Promise<object>} { order, recorded, alreadyRecorded, stageAdvancedTo, progress }
+     */
+    static async recordScan(companyId, userId, { code, event, notes }) {
+        if (!PIECE_EVENTS.includes(event)) {
+            throw new AppError(`Invalid production event '${event}'. Use one of: ${PIECE_EVENTS.join(', ')}.`, 400);
+        }
+
+        const parsed = parseScanCode(code);
+        if (!parsed) {
+            throw new AppError(`'${code}' is not a piece or item code.`, 400);
+        }
+
+        const order = await Order.findOne({ companyId, orderIdDisplay: parsed.orderIdDisplay });
+        if (!order) {
+            throw new AppError(`No order found for code '${code}'.`, 404);
+        }
+        if (order.cuttingPlanStatus !== 'Committed') {
+            throw new AppError(`Order ${order.orderIdDisplay} has no committed cutting plan; pieces cannot be scanned yet.`, 400);
+        }
+        if (!PRODUCTION_STAGES.includes(order.status)) {
+            throw new AppError(`Order ${order.orderIdDisplay} is ${order.status}; scans are not accepted.`, 400);
+        }
+
+        const orderPieces = ProductionTrackingService.listOrderPieces(order);
+        const scannedPieces = parsed.type === 'piece'
+            ? orderPieces.filter(piece => piece.pieceId === parsed.pieceId)
+            : orderPieces.filter(piece => piece.itemIndex === parsed.itemIndex);
+        if (scannedPieces.length === 0) {
+            throw new AppError(`Code '${code}' does not match any piece of order ${order.orderIdDisplay}.`, 404);
+        }
+
+        const events = await ProductionEvent.find({ companyId, orderId: order._id }).lean();
+        const reached = new Set(events.map(e => `${e.pieceId}|${e.event}`));
+        const previousEvent = PIECE_EVENTS[PIECE_EVENTS.indexOf(event) - 1];
+
+        const alreadyRecorded = scannedPieces.filter(piece => reached.has(`${piece.pieceId}|${event}`)).map(piece => piece.pieceId);
+        const toRecord = scannedPieces.filter(piece => !reached.has(`${piece.pieceId}|${event}`));
+
+        if (previousEvent) {
+            const notReady = toRecord.filter(piece => !reached.has(`${piece.pieceId}|${previousEvent}`));
+            if (notReady.length > 0) {
+                throw new AppError(`Cannot mark as ${event}: ${notReady.length} piece(s) not yet ${previousEvent} (${notReady.slice(0, 5).map(p => p.pieceId).join(', ')}${notReady.length > 5 ? ', ...' : ''}).`, 400);
+            }
+        }
+
+        const scannedAt = new Date();
+        const newEvents = toRecord.map(piece => ({
+            companyId,
+            orderId: order._id,
+            pieceId: piece.pieceId,
+            itemIndex: piece.itemIndex,
+            event,
+            scannedCode: code.trim(),
+            scannedBy: userId,
+            scannedAt,
+            notes
+        }));
+        if (newEvents.length > 0) {
+            try {
+                // ordered: false so a concurrent scan of the same piece only drops the duplicate
+                await ProductionEvent.insertMany(newEvents, { ordered: false });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        const progress = ProductionTrackingService.summarizeProgress(order, [...events, ...newEvents]);
+        const stageAdvancedTo = await ProductionTrackingService.advanceOrderStage(order, progress, userId);
+
+        return {
+            order: { _id: order._id, orderIdDisplay: order.orderIdDisplay, status: order.status },
+            recorded: toRecord.map(piece => piece.pieceId),
+            alreadyRecorded,
+            stageAdvancedTo,
+            progress
+        };
+    }
+
+    /**
+     * Moves the order to the stage after the last one all its pieces have reached, if that is further on.
+     * @param {object} order - Order document (saved when the stage changes).
+     * @param {object} progress - Output of summarizeProgress.
+     * @param {string} userId - The user whose scan completed the stage.
+     * @returns {Promise<string|null>} The new order status, or null if unchanged.
+     */
+    static async advanceOrderStage(order, progress, userId) {
+        if (!progress.completedStage) return null;
+
+        const targetStage = ORDER_STAGE_AFTER_EVENT[progress.completedStage];
+        if (PRODUCTION_STAGES.indexOf(targetStage) <= PRODUCTION_STAGES.indexOf(order.status)) return null;
+
+        const previousStatus = order.status;
+        order.status = targetStage;
+        order.history.push({
+            status: targetStage,
+            notes: `All ${progress.totalPieces} pieces ${progress.completedStage}. Stage changed from ${previousStatus} to ${targetStage} by shop-floor scan`,
+            updatedBy: userId,
+            timestamp: new Date()
+        });
+        await order.save();
+        return targetStage;
+    }
+}
+
+module.exports = ProductionTrackingService;
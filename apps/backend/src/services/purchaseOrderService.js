@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Counter = require('../models/Counter');
+const Supplier = require('../models/Supplier');
+const MaterialV2 = require('../models/MaterialV2');
+const BatchInventoryService = require('./batchInventoryService');
+const { AppError } = require('../utils/appError');
+
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+const toDecimal = (value) => new Decimal(value ? value.toString() : '0');
+
+/**
+ * Purchase orders against suppliers.
+ * Receiving a purchase order (fully or in part) records each received line as a stock batch through
+ * BatchInventoryService.recordStockInward, linked back to the PO.
+ */
+class PurchaseOrderService {
+
+    /**
+     * Next PO number for the year, e.g. PO-2024-001.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<string>}
+     */
+    static async generatePoNumber(companyId) {
+        const prefix = `PO-${new Date().getFullYear()}-`;
+        return Counter.nextNumber(companyId, prefix, PurchaseOrder, 'poNumber');
+    }
+
+    /**
+     * Validates requested lines against the company's materials and snapshots what receiving needs.
+     * @param {string} companyId - The ID of the company.
+     * @param {Array<object>} lines - [{ materialId, quantity, unitPrice, length, lengthUnit, gauge, width, notes }]
+     * @returns {Promise<{lines: Array<object>, totalAmount: Decimal}>}
+     */
+    static async buildLines(companyId, lines) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new AppError('A purchase order needs at least one line.', 400);
+        }
+
+        const materialIds = [...new Set(lines.map(line => String(line.materialId)))];
+        if (materialIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Every line needs a valid material.', 400);
+        }
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId })
+            .select('name category stockUnit usageUnit standardLengths');
+        const materialsById = new Map(materials.map(m => [m._id.toString(), m]));
+
+        let totalAmount = new Decimal(0);
+        const builtLines = lines.map((line, index) => {
+            const material = materialsById.get(String(line.materialId));
+            const lineNo = index + 1;
+            if (!material) {
+                throw new AppError(`Line ${lineNo}: material not found.`, 404);
+            }
+
+            const quantity = Number(line.quantity);
+            const unitPrice = Number(line.unitPrice);
+            if (!(quantity > 0)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): quantity must be greater than 0.`, 400);
+            }
+            if (!(unitPrice > 0)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): unit price must be greater than 0.`, 400);
+            }
+
+            const built = {
+                materialId: material._id,
+                materialNameSnapshot: material.name,
+                category: material.category,
+                quantity: toDecimal128(quantity),
+                quantityUnit: material.category === 'Profile' ? 'pcs' : material.category === 'Wire Mesh' ? 'rolls' : material.stockUnit,
+                receivedQuantity: toDecimal128(0),
+                unitPrice: toDecimal128(unitPrice),
+                lineTotal: toDecimal128(new Decimal(quantity).times(unitPrice)),
+                notes: line.notes
+            };
+
+            if (material.category === 'Profile') {
+                if (!(Number(line.length) > 0) || !line.lengthUnit || !line.gauge) {
+                    throw new AppError(`Line ${lineNo} (${material.name}): pipe length, length unit and gauge are required for profiles.`, 400);
+                }
+                built.length = toDecimal128(line.length);
+                built.lengthUnit = line.lengthUnit;
+                built.gauge = line.gauge;
+            } else if (material.category === 'Wire Mesh') {
+                if (!(Number(line.length) > 0) || !line.lengthUnit || !(Number(line.width) > 0)) {
+                    throw new AppError(`Line ${lineNo} (${material.name}): roll width, roll length and length unit are required for wire mesh.`, 400);
+                }
+                const standardWidth = material.standardLengths.find(sl => parseFloat(sl.length.toString()) === Number(line.width));
+                if (!standardWidth) {
+                    throw new AppError(`Line ${lineNo} (${material.name}): width ${line.width} is not one of the material's standard widths.`, 400);
+                }
+                built.width = toDecimal128(line.width);
+                built.widthUnit = standardWidth.unit;
+                built.length = toDecimal128(line.length);
+                built.lengthUnit = line.lengthUnit;
+            }
+
+            totalAmount = totalAmount.plus(new Decimal(quantity).times(unitPrice));
+            return built;
+        });
+
+        return { lines: builtLines, totalAmount };
+    }
+
+    /**
+     * Creates a draft purchase order.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user raising the PO.
+     * @param {object} data - { supplierId, expectedDate, notes, lines }
+     * @returns {Promise<object>} The purchase order.
+     */
+    static async createPurchaseOrder(companyId, userId, data) {
+        const { supplierId, expectedDate, notes } = data;
+
+        const supplier = await Supplier.findOne({ _id: supplierId, companyId, isActive: true });
+        if (!supplier) {
+            throw new AppError('Supplier not found.', 404);
+        }
+
+        const { lines, totalAmount } = await PurchaseOrderService.buildLines(companyId, data.lines);
+
+        return PurchaseOrder.create({
+            companyId,
+            poNumber: await PurchaseOrderService.generatePoNumber(companyId),
+            supplierId: supplier._id,
+            supplierNameSnapshot: supplier.name,
+            expectedDate,
+            notes,
+            lines,
+            totalAmount: toDecimal128(totalAmount),
+            createdBy: userId
+        });
+    }
+
+    /**
+     * Updates a draft purchase order. Once placed, the lines are fixed.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} poId - The ID of the purchase order.
+     * @param {object} data - { supplierId, expectedDate, notes, lines }
+     * @returns {Promise<object>} The purchase order.
+     */
+    static async updatePurchaseOrder(companyId, poId, data) {
+        const purchaseOrder = await PurchaseOrderService.findPurchaseOrder(companyId, poId);
+        if (purchaseOrder.status !== 'Draft') {
+            throw new AppError(`Only draft purchase orders can be edited; ${purchaseOrder.poNumber} is ${purchaseOrder.status}.`, 400);
+        }
+
+        if (data.supplierId && data.supplierId !== purchaseOrder.supplierId.toString()) {
+            const supplier = await Supplier.findOne({ _id: data.supplierId, companyId, isActive: true });
+            if (!supplier) {
+                throw new AppError('Supplier not found.', 404);
+            }
+            purchaseOrder.supplierId = supplier._id;
+            purchaseOrder.supplierNameSnapshot = supplier.name;
+        }
+        if (data.lines) {
+            const { lines, totalAmount } = await PurchaseOrderService.buildLines(companyId, data.lines);
+            purchaseOrder.lines = lines;
+            purchaseOrder.totalAmount = toDecimal128(totalAmount);
+        }
+        if (data.expectedDate !== undefined) purchaseOrder.expectedDate = data.expectedDate;
+        if (data.notes !== undefined) purchaseOrder.notes = data.notes;
+
+        return purchaseOrder.save();
+    }
+
+    /**
+     * Marks a draft purchase order as sent to the supplier.
+     */
+    static async placePurchaseOrder(companyId, poId) {
+        const purchaseOrder = await PurchaseOrderService.findPurchaseOrder(companyId, poId);
+        if (purchaseOrder.status !== 'Draft') {
+            throw new AppError(`${purchaseOrder.poNumber} has already been placed.`, 400);
+        }
+        purchaseOrder.status = 'Ordered';
+        purchaseOrder.orderDate = new Date();
+        return purchaseOrder.save();
+    }
+
+    /**
+     * Cancels a purchase order. If something has already been received, the order is Closed instead
+     * and the received batches stay in stock.
+     */
+    static async cancelPurchaseOrder(companyId, poId) {
+        const purchaseOrder = await PurchaseOrderService.findPurchaseOrder(companyId, poId);
+        if (['Received', 'Closed', 'Cancelled'].includes(purchaseOrder.status)) {
+            throw new AppError(`${purchaseOrder.poNumber} is already ${purchaseOrder.status}.`, 400);
+        }
+        purchaseOrder.status = purchaseOrder.receipts.length > 0 ? 'Closed' : 'Cancelled';
+        return purchaseOrder.save();
+    }
+
+    /**
+     * Receives goods against a purchase order, fully or in part.
+     * Each received line becomes a new batch on its material, with a StockTransaction linked to the PO
+     * (relatedDocumentType 'PurchaseOrder').
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user receiving the goods.
+     * @param {string} poId - The ID of the purchase order.
+     * @param {object} data - { invoiceNumber, notes, locationId, lines: [{ lineId, quantity, totalCost, actualWeight, actualWeightUnit, lotNumber }] }
+     *   totalCost defaults to quantity x the line's unit price; locationId (where the goods arrive) to the default location.
+     * @returns {Promise<{purchaseOrder: object, receipt: object}>}
+     */
+    static async receivePurchaseOrder(companyId, userId, poId, data) {
+        const purchaseOrder = await PurchaseOrderService.findPurchaseOrder(companyId, poId);
+        if (!['Ordered', 'Partially Received'].includes(purchaseOrder.status)) {
+            throw new AppError(`Cannot receive against ${purchaseOrder.poNumber}: it is ${purchaseOrder.status}.`, 400);
+        }
+        if (!Array.isArray(data.lines) || data.lines.length === 0) {
+            throw new AppError('Nothing to receive: add at least one line.', 400);
+        }
+
+        // Check every line before touching stock, so a bad line does not leave a half-recorded delivery.
+        // A PO line may be received in several rows (e.g. per lot), so rows are checked together per line.
+        const received = new Map(); // lineId -> quantity in this receipt so far
+        const receiving = data.lines.map(receiptLine => {
+            const line = purchaseOrder.lines.id(receiptLine.lineId);
+            if (!line) {
+                throw new AppError(`Line ${receiptLine.lineId} is not on ${purchaseOrder.poNumber}.`, 400);
+            }
+            const quantity = Number(receiptLine.quantity);
+            if (!(quantity > 0)) {
+                throw new AppError(`${line.materialNameSnapshot}: received quantity must be greater than 0.`, 400);
+            }
+            const outstanding = toDecimal(line.quantity).minus(toDecimal(line.receivedQuantity));
+            const receivingForLine = (received.get(line._id.toString()) || new Decimal(0)).plus(quantity);
+            if (receivingForLine.greaterThan(outstanding)) {
+                throw new AppError(`${line.materialNameSnapshot}: receiving ${receivingForLine.toString()} but only ${outstanding.toString()} outstanding.`, 400);
+            }
+            received.set(line._id.toString(), receivingForLine);
+            const totalCost = receiptLine.totalCost !== undefined && receiptLine.totalCost !== null && receiptLine.totalCost !== ''
+                ? Number(receiptLine.totalCost)
+                : new Decimal(quantity).times(toDecimal(line.unitPrice)).toNumber();
+            if (!(totalCost > 0)) {
+                throw new AppError(`${line.materialNameSnapshot}: total cost must be greater than 0.`, 400);
+            }
+            return { line, receiptLine, quantity, totalCost };
+        });
+
+        // Take the quantities off what is outstanding in one conditional update first, so receipts
+        // recorded at the same time cannot between them receive more than was ordered
+        await PurchaseOrderService.incrementReceived(purchaseOrder, received, true);
+
+        const receipt = {
+            receivedAt: new Date(),
+            receivedBy: userId,
+            invoiceNumber: data.invoiceNumber,
+            notes: data.notes,
+            lines: []
+        };
+
+        const booked = new Map(); // lineId -> quantity booked into stock so far
+        try {
+            for (const { line, receiptLine, quantity, totalCost } of receiving) {
+                const result = await BatchInventoryService.recordStockInward(companyId, userId, {
+                    materialId: line.materialId,
+                    length: line.length ? parseFloat(line.length.toString()) : undefined,
+                    lengthUnit: line.lengthUnit,
+                    // recordStockInward takes the wire mesh roll width in the gauge field
+                    gauge: line.category === 'Wire Mesh' ? line.width.toString() : line.gauge,
+                    quantity,
+                    actualWeight: receiptLine.actualWeight ? Number(receiptLine.actualWeight) : undefined,
+                    actualWeightUnit: receiptLine.actualWeightUnit,
+                    totalCost,
+                    supplier: purchaseOrder.supplierNameSnapshot,
+                    supplierId: purchaseOrder.supplierId,
+                    purchaseOrderId: purchaseOrder._id,
+                    invoiceNumber: data.invoiceNumber,
+                    lotNumber: receiptLine.lotNumber,
+                    locationId: data.locationId,
+                    notes: `Received against ${purchaseOrder.poNumber}`
+                });
+
+                const lineId = line._id.toString();
+                booked.set(lineId, (booked.get(lineId) || new Decimal(0)).plus(quantity));
+                receipt.lines.push({
+                    lineId: line._id,
+                    materialId: line.materialId,
+                    quantity: toDecimal128(quantity),
+                    totalCost: toDecimal128(totalCost),
+                    actualWeight: receiptLine.actualWeight ? toDecimal128(receiptLine.actualWeight) : undefined,
+                    actualWeightUnit: receiptLine.actualWeightUnit,
+                    lotNumber: receiptLine.lotNumber,
+                    batchId: result.batchId
+                });
+            }
+        } catch (error) {
+            // Give back what was taken off the PO but never booked, and keep whatever was booked into stock
+            const unbooked = new Map();
+            received.forEach((quantity, lineId) => {
+                const left = quantity.minus(booked.get(lineId) || 0);
+                if (left.greaterThan(0)) unbooked.set(lineId, left.negated());
+            });
+            await PurchaseOrderService.incrementReceived(purchaseOrder, unbooked, false);
+            if (receipt.lines.length > 0) {
+                await PurchaseOrderService.addReceipt(purchaseOrder, receipt);
+            }
+            if (error instanceof AppError) throw error;
+            throw new AppError(`Receiving ${purchaseOrder.poNumber} stopped after ${receipt.lines.length} line(s): ${error.message}`, 400);
+        }
+
+        const updated = await PurchaseOrderService.addReceipt(purchaseOrder, receipt);
+        return { purchaseOrder: updated, receipt: updated.receipts[updated.receipts.length - 1] };
+    }
+
+    /**
+     * Adds quantities to the lines' received quantities in one update.
+     * @param {object} purchaseOrder - The purchase order.
+     * @param {Map<string, Decimal>} quantities - lineId -> quantity to add (negative to give back).
+     * @param {boolean} checkOutstanding - Only update while every line can take its quantity without
+     *   going over what was ordered, and while the PO is still open for receiving.
+     */
+    static async incrementReceived(purchaseOrder, quantities, checkOutstanding) {
+        const entries = [...quantities.entries()].map(([lineId, quantity]) => [new mongoose.Types.ObjectId(lineId), quantity]);
+        if (entries.length === 0) return;
+
+        const lineField = (lineId, field) => ({
+            $ifNull: [{
+                $first: {
+                    $map: {
+                        input: { $filter: { input: '$lines', as: 'line', cond: { $eq: ['$$line._id', lineId] } } },
+                        as: 'line',
+                        in: `$$line.${field}`
+                    }
+                }
+            }, toDecimal128(0)]
+        });
+        const filter = { _id: purchaseOrder._id, companyId: purchaseOrder.companyId };
+        if (checkOutstanding) {
+            filter.status = { $in: ['Ordered', 'Partially Received'] };
+            filter.$expr = {
+                $and: entries.map(([lineId, quantity]) => ({
+                    $lte: [{ $add: [lineField(lineId, 'receivedQuantity'), toDecimal128(quantity)] }, lineField(lineId, 'quantity')]
+                }))
+            };
+        }
+        const increments = {};
+        entries.forEach(([, quantity], index) => {
+            increments[`lines.$[line${index}].receivedQuantity`] = toDecimal128(quantity);
+        });
+
+        const result = await PurchaseOrder.updateOne(filter, { $inc: increments }, {
+            arrayFilters: entries.map(([lineId], index) => ({ [`line${index}._id`]: lineId }))
+        });
+        if (result.matchedCount === 0) {
+            throw new AppError(`${purchaseOrder.poNumber} changed while receiving: another receipt or a status change got there first. Reload it and check what is still outstanding.`, 409);
+        }
+    }
+
+    /**
+     * Adds a receipt and sets Partially Received / Received from the received quantities as they are
+     * now in the database, which may include receipts recorded at the same time.
+     * @returns {Promise<object>} The updated purchase order.
+     */
+    static async addReceipt(purchaseOrder, receipt) {
+        await PurchaseOrder.updateOne({ _id: purchaseOrder._id }, { $push: { receipts: receipt } });
+        await PurchaseOrder.updateOne({ _id: purchaseOrder._id, status: { $in: ['Ordered', 'Partially Received'] } }, [{
+            $set: {
+                status: {
+                    $cond: [{
+                        $allElementsTrue: [{
+                            $map: { input: '$lines', as: 'line', in: { $gte: ['$$line.receivedQuantity', '$$line.quantity'] } }
+                        }]
+                    }, 'Received', 'Partially Received']
+                }
+            }
+        }]);
+        return PurchaseOrder.findById(purchaseOrder._id);
+    }
+
+    static async findPurchaseOrder(companyId, poId) {
+        if (!mongoose.Types.ObjectId.isValid(poId)) {
+            throw new AppError('Purchase order not found.', 404);
+        }
+        const purchaseOrder = await PurchaseOrder.findOne({ _id: poId, companyId });
+        if (!purchaseOrder) {
+            throw new AppError('Purchase order not found.', 404);
+        }
+        return purchaseOrder;
+    }
+}
+
+module.exports = PurchaseOrderService;
@@ -0,0 +1,436 @@
+const Order = require('../models/Order');
+const MaterialV2 = require('../models/MaterialV2');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseOrderService = require('./purchaseOrderService');
+const WireMeshOptimizationService = require('./wireMeshOptimizationService');
+const { convertUnit } = require('../utils/unitConverter');
+const { AppError } = require('../utils/appError');
+
+// Orders whose material is still to be drawn from stock. Profiles leave stock when the cutting plan is
+// committed; everything else when the order's materials are committed.
+const CLOSED_ORDER_STATUSES = ['Delivered', 'Completed', 'Cancelled'];
+const OPEN_PO_STATUSES = ['Ordered', 'Partially Received'];
+const UNASSIGNED_SUPPLIER = 'unassigned';
+
+const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+const toInches = (length, unit) => convertUnit(num(length), unit, 'inches').result;
+const toFeet = (length, unit) => convertUnit(num(length), unit || 'ft', 'ft').result;
+const toSqft = (area, unit) => (area ? convertUnit(num(area), unit || 'sqft', 'sqft').result : null);
+const profileKey = (lengthInInches, gauge) => `${lengthInInches.toFixed(1)}|${gauge || ''}`;
+const widthKey = (widthInFeet) => widthInFeet.toFixed(2);
+const roundUp = (value, wholeUnits) => (wholeUnits ? Math.ceil(value - 1e-9) : Math.ceil(value * 100 - 1e-9) / 100);
+const byNewest = (a, b) => new Date(b.purchaseDate) - new Date(a.purchaseDate);
+
+/**
+ * Purchase planning: adds up what open orders still need, sets it against batch stock, stock already
+ * on order and the batches' reorder levels (lowStockThreshold), and suggests what to buy from whom.
+ * Expired batches and stock reserved for orders outside the plan do not count as in stock.
+ *
+ * Profiles are planned per pipe length and gauge (pipes), wire mesh per roll width (rolls) and
+ * everything else in the material's stock unit. A line's supplier is whoever supplied the latest
+ * batch of that spec, falling back to the material's latest batch and then its free-text supplier name.
+ */
+class PurchasePlanningService {
+
+    /**
+     * Builds the suggested buy list, grouped by supplier.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<{generatedAt: Date, openOrders: Array<object>, suppliers: Array<object>, warnings: string[]}>}
+     */
+    static async getPurchaseSuggestions(companyId) {
+        const warnings = [];
+        const [materials, suppliers, { orders, demandByMaterial }, onOrderByMaterial] = await Promise.all([
+            MaterialV2.find({ companyId, isActive: true })
+                .select('name category stockUnit usageUnit supplier standardLengths profileBatches simpleBatches'),
+            Supplier.find({ companyId, isActive: true }).select('name'),
+            PurchasePlanningService.collectOpenOrderDemand(companyId, warnings),
+            PurchasePlanningService.collectOnOrder(companyId)
+        ]);
+
+        const suppliersById = new Map(suppliers.map(s => [s._id.toString(), s]));
+        const suppliersByName = new Map(suppliers.map(s => [s.name.trim().toLowerCase(), s]));
+        const groups = new Map();
+
+        for (const material of materials) {
+            const materialId = material._id.toString();
+            const lines = PurchasePlanningService.buildMaterialLines(
+                material,
+                demandByMaterial.get(materialId),
+                onOrderByMaterial.get(materialId) || new Map(),
+                warnings,
+                orders.map(order => order._id)
+            );
+
+            for (const { latestBatches, ...line } of lines) {
+                const supplier = PurchasePlanningService.resolveSupplier(material, latestBatches, suppliersById, suppliersByName);
+                const groupKey = supplier ? supplier._id.toString() : UNASSIGNED_SUPPLIER;
+                if (!groups.has(groupKey)) {
+                    groups.set(groupKey, {
+                        supplierId: supplier ? supplier._id : null,
+                        supplierName: supplier ? supplier.name : 'No supplier on record',
+                        lines: [],
+                        estimatedTotal: 0
+                    });
+                }
+                const group = groups.get(groupKey);
+                group.lines.push(line);
+                group.estimatedTotal += line.estimatedCost || 0;
+            }
+        }
+
+        const supplierGroups = [...groups.values()]
+            .map(group => ({ ...group, estimatedTotal: Number(group.estimatedTotal.toFixed(2)) }))
+            .sort((a, b) => (!a.supplierId) - (!b.supplierId) || a.supplierName.localeCompare(b.supplierName));
+
+        return {
+            generatedAt: new Date(),
+            openOrders: orders.map(o => ({ _id: o._id, orderIdDisplay: o.orderIdDisplay, status: o.status })),
+            suppliers: supplierGroups,
+            warnings
+        };
+    }
+
+    /**
+     * Sums the material still to be drawn by open orders, per material and spec.
+     * @param {string} companyId - The ID of the company.
+     * @param {string[]} warnings - Collects requirements that could not be planned.
+     * @returns {Promise<{orders: Array<object>, demandByMaterial: Map<string, Map<string, object>>}>}
+     *   Spec entries: { quantity, orders: Set<orderIdDisplay>, lengthInInches, length, lengthUnit, gauge, widthInFeet, areaSqft }
+     */
+    static async collectOpenOrderDemand(companyId, warnings) {
+        const orders = await Order.find({
+            companyId,
+            status: { $nin: CLOSED_ORDER_STATUSES },
+            $or: [{ cuttingPlanStatus: { $ne: 'Committed' } }, { materialsCommitted: { $ne: true } }]
+        }).select('orderIdDisplay status cuttingPlanStatus materialsCommitted aggregatedOrderMaterials');
+
+        const standardWidthsByMaterial = new Map();
+        const wireMeshIds = [...new Set(orders.flatMap(o => (o.aggregatedOrderMaterials || [])
+            .filter(m => m.materialCategory === 'Wire Mesh')
+            .map(m => m.materialId.toString())))];
+        if (wireMeshIds.length > 0) {
+            const wireMeshMaterials = await MaterialV2.find({ _id: { $in: wireMeshIds }, companyId }).select('standardLengths');
+            wireMeshMaterials.forEach(m => standardWidthsByMaterial.set(m._id.toString(), m.standardLengths || []));
+        }
+
+        const demandByMaterial = new Map();
+        const specFor = (materialId, key, init) => {
+            if (!demandByMaterial.has(materialId)) demandByMaterial.set(materialId, new Map());
+            const specs = demandByMaterial.get(materialId);
+            if (!specs.has(key)) specs.set(key, { quantity: 0, orders: new Set(), ...init });
+            return specs.get(key);
+        };
+
+        for (const order of orders) {
+            for (const aggMaterial of order.aggregatedOrderMaterials || []) {
+                const materialId = aggMaterial.materialId.toString();
+                const isProfile = aggMaterial.materialCategory === 'Profile';
+                if (isProfile ? order.cuttingPlanStatus === 'Committed' : order.materialsCommitted) continue;
+
+                if (isProfile) {
+                    for (const pipe of aggMaterial.pipeBreakdown || []) {
+                        const lengthInInches = pipe.lengthInInches || toInches(pipe.length, pipe.unit);
+                        if (!lengthInInches) continue;
+                        const spec = specFor(materialId, profileKey(lengthInInches, aggMaterial.gaugeSnapshot), {
+                            lengthInInches,
+                            length: num(pipe.length),
+                            lengthUnit: pipe.unit,
+                            gauge: aggMaterial.gaugeSnapshot || ''
+                        });
+                        spec.quantity += pipe.count;
+                        spec.orders.add(order.orderIdDisplay);
+                    }
+                } else if (aggMaterial.materialCategory === 'Wire Mesh') {
+                    if (!aggMaterial.wireMeshItems || aggMaterial.wireMeshItems.length === 0) {
+                        warnings.push(`${order.orderIdDisplay}: ${aggMaterial.materialNameSnapshot} has no per-item wire mesh sizes, so it is not planned by roll width.`);
+                        continue;
+                    }
+                    for (const item of aggMaterial.wireMeshItems) {
+                        let resolved;
+                        try {
+                            resolved = WireMeshOptimizationService.resolveOrderItemWidth(item, standardWidthsByMaterial.get(materialId));
+                        } catch (error) {
+                            warnings.push(`${order.orderIdDisplay}: ${aggMaterial.materialNameSnapshot} — ${error.message}`);
+                            continue;
+                        }
+                        const spec = specFor(materialId, widthKey(resolved.widthInFeet), { widthInFeet: resolved.widthInFeet, areaSqft: 0 });
+                        spec.areaSqft += resolved.areaSqft;
+                        spec.orders.add(order.orderIdDisplay);
+                    }
+                } else {
+                    const spec = specFor(materialId, 'all', {});
+                    spec.quantity += num(aggMaterial.totalQuantity);
+                    spec.orders.add(order.orderIdDisplay);
+                }
+            }
+        }
+
+        return { orders, demandByMaterial };
+    }
+
+    /**
+     * Outstanding quantities on placed purchase orders, per material and spec.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<Map<string, Map<string, number>>>} materialId -> spec key -> pipes / rolls / stock units
+     */
+    static async collectOnOrder(companyId) {
+        const purchaseOrders = await PurchaseOrder.find({ companyId, status: { $in: OPEN_PO_STATUSES } }).select('lines');
+        const onOrder = new Map();
+
+        purchaseOrders.forEach(po => po.lines.forEach(line => {
+            const outstanding = num(line.quantity) - num(line.receivedQuantity);
+            if (outstanding <= 0) return;
+
+            let key = 'all';
+            if (line.category === 'Profile') key = profileKey(toInches(line.length, line.lengthUnit), line.gauge);
+            else if (line.category === 'Wire Mesh') key = widthKey(toFeet(line.width, line.widthUnit));
+
+            const materialId = line.materialId.toString();
+            if (!onOrder.has(materialId)) onOrder.set(materialId, new Map());
+            const specs = onOrder.get(materialId);
+            specs.set(key, (specs.get(key) || 0) + outstanding);
+        }));
+
+        return onOrder;
+    }
+
+    /**
+     * Works out the buy lines for one material.
+     * Suggested quantity = whatever lifts (stock + on order - demand) back up to the reorder level.
+     * Every batch belongs to exactly one spec. Profile demand without a gauge is covered from what each gauge
+     * of that length has left after its own demand, and only the rest is planned as a gauge-less line.
+     * @param {Array<ObjectId>} [plannedOrderIds] - Orders whose demand is planned; their reservations stay in stock.
+     * @returns {Array<object>} Lines, each with the spec's batches (newest first) as `latestBatches`.
+     */
+    static buildMaterialLines(material, demandSpecs = new Map(), onOrderSpecs, warnings, plannedOrderIds = []) {
+        const now = new Date();
+        const freeStock = (batch) => {
+            if (!batch.isActive || batch.isCompleted || MaterialV2.isExpired(batch, now)) return 0;
+            const onHand = num(batch.currentQuantity);
+            return Math.max(onHand - MaterialV2.getBatchReserved(batch, plannedOrderIds), 0);
+        };
+
+        const specs = new Map();
+        const specFor = (key, init) => {
+            if (!specs.has(key)) specs.set(key, { batches: [], demand: demandSpecs.get(key), ...init });
+            return specs.get(key);
+        };
+
+        if (material.category === 'Profile') {
+            material.profileBatches.forEach(batch => {
+                const lengthInInches = toInches(batch.length, batch.lengthUnit);
+                if (!lengthInInches) return;
+                specFor(profileKey(lengthInInches, batch.gauge), {
+                    lengthInInches, length: num(batch.length), lengthUnit: batch.lengthUnit, gauge: batch.gauge
+                }).batches.push(batch);
+            });
+            demandSpecs.forEach((demand, key) => {
+                specFor(key, {
+                    lengthInInches: demand.lengthInInches, length: demand.length, lengthUnit: demand.lengthUnit, gauge: demand.gauge
+                });
+            });
+            demandSpecs.forEach((demand, key) => {
+                if (!demand.gauge) PurchasePlanningService.coverFromOtherGauges(specs, key, demand, onOrderSpecs, freeStock);
+            });
+        } else if (material.category === 'Wire Mesh') {
+            material.simpleBatches.forEach(batch => {
+                if (!batch.selectedWidth) return;
+                const widthInFeet = toFeet(batch.selectedWidth, batch.widthUnit);
+                specFor(widthKey(widthInFeet), { widthInFeet, width: num(batch.selectedWidth), widthUnit: batch.widthUnit })
+                    .batches.push(batch);
+            });
+            demandSpecs.forEach((demand, key) => {
+                const standard = (material.standardLengths || []).find(sw => widthKey(toFeet(sw.length, sw.unit)) === key);
+                specFor(key, {
+                    widthInFeet: demand.widthInFeet,
+                    width: standard ? num(standard.length) : demand.widthInFeet,
+                    widthUnit: standard ? standard.unit : 'ft'
+                });
+            });
+        } else {
+            specFor('all', {}).batches.push(...material.simpleBatches);
+        }
+
+        const lines = [];
+        specs.forEach((spec, key) => {
+            const latestBatches = [...spec.batches].sort(byNewest);
+            const latest = latestBatches[0];
+            const demand = spec.demand;
+            const onOrder = onOrderSpecs.get(key) || 0;
+            const inStock = spec.batches.reduce((sum, b) => sum + freeStock(b), 0);
+            // Reorder level of the spec's latest batch, so it still applies once the spec has run out
+            const reorderLevel = latest ? num(latest.lowStockThreshold) : 0;
+
+            let demandQuantity = demand ? demand.quantity : 0;
+            const line = {
+                materialId: material._id,
+                materialName: material.name,
+                category: material.category,
+                orders: demand ? [...demand.orders].sort() : []
+            };
+
+            if (material.category === 'Profile') {
+                Object.assign(line, { length: spec.length, lengthUnit: spec.lengthUnit, gauge: spec.gauge, quantityUnit: 'pcs' });
+                line.unitPrice = latest ? num(latest.ratePerPiece) : null;
+            } else if (material.category === 'Wire Mesh') {
+                const areaPerRoll = latest ? toSqft(latest.areaPerRoll, latest.areaUnit) : null;
+                Object.assign(line, {
+                    width: spec.width,
+                    widthUnit: spec.widthUnit,
+                    rollLength: latest && latest.rollLength ? num(latest.rollLength) : null,
+                    rollLengthUnit: latest ? latest.rollLengthUnit : null,
+                    demandArea: demand ? Number(demand.areaSqft.toFixed(2)) : 0,
+                    areaUnit: 'sqft',
+                    quantityUnit: 'rolls'
+                });
+                line.unitPrice = latest ? num(latest.ratePerUnit) : null;
+                if (demand && demand.areaSqft > 0) {
+                    if (!areaPerRoll) {
+                        warnings.push(`${material.name} ${spec.width} ${spec.widthUnit}: no earlier roll to size the order from, so ${demand.areaSqft.toFixed(2)} sqft is not converted to rolls.`);
+                        lines.push({ ...line, latestBatches, demand: null, inStock, onOrder, reorderLevel, shortfall: null, suggestedQuantity: null, estimatedCost: null });
+                        return;
+                    }
+                    demandQuantity = demand.areaSqft / areaPerRoll;
+                }
+            } else {
+                line.quantityUnit = material.stockUnit;
+                line.unitPrice = latest ? num(latest.ratePerUnit) : null;
+            }
+
+            const wholeUnits = material.category === 'Profile' || material.category === 'Wire Mesh';
+            const projected = inStock + onOrder - demandQuantity;
+            const suggestedQuantity = projected < reorderLevel ? roundUp(reorderLevel - projected, wholeUnits) : 0;
+            if (suggestedQuantity <= 0) return;
+
+            lines.push({
+                ...line,
+                latestBatches,
+                demand: Number(demandQuantity.toFixed(2)),
+                inStock: Number(inStock.toFixed(2)),
+                onOrder: Number(onOrder.toFixed(2)),
+                reorderLevel,
+                shortfall: Number(Math.max(demandQuantity - inStock - onOrder, 0).toFixed(2)),
+                suggestedQuantity,
+                estimatedCost: line.unitPrice ? Number((suggestedQuantity * line.unitPrice).toFixed(2)) : null
+            });
+        });
+
+        return lines.sort((a, b) => (a.length || a.width || 0) - (b.length || b.width || 0) || String(a.gauge).localeCompare(String(b.gauge)));
+    }
+
+    /**
+     * Moves gauge-less profile demand onto the gauges of the same pipe length that have pipes to spare
+     * (free stock + on order - their own demand), most to spare first. Pipes with no gauge recorded and
+     * gauge-less pipes on order are used first; what cannot be covered stays on the gauge-less spec.
+     */
+    static coverFromOtherGauges(specs, key, demand, onOrderSpecs, freeStock) {
+        const ungauged = specs.get(key);
+        const ungaugedAvailable = ungauged.batches.reduce((sum, b) => sum + freeStock(b), 0) + (onOrderSpecs.get(key) || 0);
+        let remaining = Math.max(demand.quantity - ungaugedAvailable, 0);
+        let moved = 0;
+        const spare = [...specs.entries()]
+            .filter(([, spec]) => spec.gauge && Math.abs(spec.lengthInInches - demand.lengthInInches) < 0.1)
+            .map(([specKey, spec]) => ({
+                spec,
+                quantity: spec.batches.reduce((sum, b) => sum + freeStock(b), 0) + (onOrderSpecs.get(specKey) || 0) -
+                    (spec.demand ? spec.demand.quantity : 0)
+            }))
+            .filter(entry => entry.quantity > 0)
+            .sort((a, b) => b.quantity - a.quantity);
+
+        for (const { spec, quantity } of spare) {
+            if (remaining <= 0) break;
+            const take = Math.min(quantity, remaining);
+            const own = spec.demand || { quantity: 0, orders: new Set() };
+            spec.demand = { ...own, quantity: own.quantity + take, orders: new Set([...own.orders, ...demand.orders]) };
+            remaining -= take;
+            moved += take;
+        }
+        ungauged.demand = { ...demand, quantity: demand.quantity - moved };
+    }
+
+    /**
+     * Supplier of the spec's latest batch, then the material's latest batch, then a supplier whose name
+     * matches the batches' or the material's free-text supplier.
+     */
+    static resolveSupplier(material, latestBatches, suppliersById, suppliersByName) {
+        const materialBatches = [...(material.category === 'Profile' ? material.profileBatches : material.simpleBatches)].sort(byNewest);
+        for (const batch of [...latestBatches, ...materialBatches]) {
+            if (batch.supplierId && suppliersById.has(batch.supplierId.toString())) {
+                return suppliersById.get(batch.supplierId.toString());
+            }
+        }
+        const names = [...latestBatches, ...materialBatches].map(b => b.supplier).concat(material.supplier);
+        for (const name of names) {
+            const supplier = name && suppliersByName.get(name.trim().toLowerCase());
+            if (supplier) return supplier;
+        }
+        return null;
+    }
+
+    /**
+     * Raises a draft purchase order from one supplier group of the suggestions.
+     * Lines that cannot go on a PO yet (no price, gauge or roll length on record) are left out and listed.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user raising the PO.
+     * @param {object} data - { supplierId, fromGroup, materialIds, expectedDate, notes }. `fromGroup` is the
+     *   suggestion group to take lines from (a supplier ID or 'unassigned'); it defaults to `supplierId`.
+     * @returns {Promise<{purchaseOrder: object, skipped: Array<object>}>}
+     */
+    static async createDraftPurchaseOrder(companyId, userId, data) {
+        const { supplierId, fromGroup = supplierId, materialIds, expectedDate, notes } = data;
+        if (!supplierId) {
+            throw new AppError('Supplier is required.', 400);
+        }
+
+        const { suppliers } = await PurchasePlanningService.getPurchaseSuggestions(companyId);
+        const group = suppliers.find(g => (g.supplierId ? g.supplierId.toString() : UNASSIGNED_SUPPLIER) === String(fromGroup));
+        if (!group) {
+            throw new AppError('There is nothing to buy for this supplier.', 404);
+        }
+
+        const wanted = Array.isArray(materialIds) && materialIds.length > 0 ? new Set(materialIds.map(String)) : null;
+        const lines = [];
+        const skipped = [];
+        group.lines
+            .filter(line => !wanted || wanted.has(line.materialId.toString()))
+            .forEach(line => {
+                let reason = null;
+                if (!line.suggestedQuantity) reason = 'quantity could not be worked out';
+                else if (!line.unitPrice) reason = 'no earlier purchase price';
+                else if (line.category === 'Profile' && !line.gauge) reason = 'no gauge';
+                else if (line.category === 'Wire Mesh' && !line.rollLength) reason = 'no roll length on record';
+                if (reason) {
+                    skipped.push({ materialName: line.materialName, gauge: line.gauge, width: line.width, reason });
+                    return;
+                }
+
+                lines.push({
+                    materialId: line.materialId,
+                    quantity: line.suggestedQuantity,
+                    unitPrice: line.unitPrice,
+                    length: line.category === 'Wire Mesh' ? line.rollLength : line.length,
+                    lengthUnit: line.category === 'Wire Mesh' ? line.rollLengthUnit : line.lengthUnit,
+                    gauge: line.gauge,
+                    width: line.width,
+                    notes: line.orders.length > 0 ? `For ${line.orders.join(', ')}` : 'Reorder level'
+                });
+            });
+
+        if (lines.length === 0) {
+            throw new AppError(`None of the suggested lines can go on a purchase order yet: ${skipped.map(s => `${s.materialName} (${s.reason})`).join('; ')}.`, 400);
+        }
+
+        const purchaseOrder = await PurchaseOrderService.createPurchaseOrder(companyId, userId, {
+            supplierId,
+            expectedDate,
+            notes: notes || 'Raised from purchase suggestions',
+            lines
+        });
+
+        return { purchaseOrder, skipped };
+    }
+}
+
+module.exports = PurchasePlanningService;
@@ -3,6 +3,7 @@ const Quotation = require('../models/Quotation');
 const Client = require('../models/Client');
 const Setting = require('../models/Setting');
 const ProductType = require('../models/ProductType');
+const { resolvePricingRules } = require('../utils/pricingRules');
 
 /**
  * Service for quotation-related business logic and calculations
@@ -243,6 +244,52 @@ class QuotationService {
             return [];
         }
     }
+
+    /**
+     * Checks a quotation's margins against the minimum margin of the pricing rules: each costed item
+     * against its product type's minimum, and the whole quotation against the company minimum.
+     * Items without a cost basis cannot be checked and are skipped.
+     * @param {Object} quotation - Quotation document (items may have productTypeId populated)
+     * @returns {Promise<{checked: boolean, action: string, minimumMarginPercent: number, warnings: Array<string>, blocked: boolean}>}
+     */
+    static async checkMargins(quotation) {
+        const settings = await Setting.findOne({ companyId: quotation.companyId }).select('pricing').lean();
+        const companyRules = resolvePricingRules(settings, null);
+        const costedItems = quotation.items.filter(item => item.marginPercent !== null && item.marginPercent !== undefined);
+
+        const result = {
+            checked: costedItems.length > 0,
+            action: companyRules.belowMinimumMarginAction,
+            minimumMarginPercent: companyRules.minimumMarginPercent,
+            warnings: [],
+            blocked: false
+        };
+        if (!result.checked) {
+            return result;
+        }
+
+        const productTypeIdOf = (item) => (item.productTypeId && item.productTypeId._id ? item.productTypeId._id : item.productTypeId);
+        const productTypes = await ProductType.find({
+            _id: { $in: costedItems.map(productTypeIdOf) },
+            companyId: quotation.companyId
+        }).select('pricing').lean();
+        const productTypesById = new Map(productTypes.map(productType => [productType._id.toString(), productType]));
+
+        costedItems.forEach(item => {
+            const rules = resolvePricingRules(settings, productTypesById.get(productTypeIdOf(item).toString()));
+            if (item.marginPercent < rules.minimumMarginPercent) {
+                const label = item.itemLabel ? `${item.productTypeNameSnapshot} (${item.itemLabel})` : item.productTypeNameSnapshot;
+                result.warnings.push(`${label}: margin ${item.marginPercent}% is below the minimum of ${rules.minimumMarginPercent}%.`);
+            }
+        });
+        if (quotation.marginPercent !== null && quotation.marginPercent !== undefined &&
+            quotation.marginPercent < companyRules.minimumMarginPercent) {
+            result.warnings.push(`Overall margin ${quotation.marginPercent}% is below the minimum of ${companyRules.minimumMarginPercent}%.`);
+        }
+
+        result.blocked = result.warnings.length > 0 && result.action === 'block';
+        return result;
+    }
 }
 
 module.exports = QuotationService; 
\ No newline at end of file
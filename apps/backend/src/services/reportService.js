@@ -3,6 +3,13 @@ const Quotation = require('../models/Quotation');
 const Order = require('../models/Order');
 const MaterialV2 = require('../models/MaterialV2');
 const CuttingPlan = require('../models/CuttingPlan');
+const StockTransaction = require('../models/StockTransaction');
+const CuttingBatch = require('../models/CuttingBatch');
+const User = require('../models/User');
+const InventoryValuationService = require('./inventoryValuationService');
+const { convertProfileLengthToWeight } = require('../utils/weightUtils');
+const { convertUnit } = require('../utils/unitConverter');
+const { fromPlanCuttingParameters } = require('../utils/cuttingConfig');
 const mongoose = require('mongoose');
 
 /**
@@ -853,7 +860,7 @@ const getInventoryReport = async (companyId, filters = {}) => {
     const result = await MaterialV2.aggregate(pipeline);
     const data = result[0];
     
-    return {
+    const report = {
         summary: data.summary[0] || {
             totalMaterials: 0,
             totalStockValue: 0,
@@ -864,6 +871,196 @@ const getInventoryReport = async (companyId, filters = {}) => {
         nonProfileDetails: data.nonProfileDetails || [],
         lowStockAlerts: data.lowStockAlerts || []
     };
+
+    await attachReservedStock(companyId, report);
+    return report;
+};
+
+/**
+ * Adds reserved and available (on hand - reserved) quantities to the inventory report rows,
+ * using the order reservations held on the materials' batches.
+ * @param {string} companyId - Company ID for multi-tenancy
+ * @param {Object} report - The inventory report, updated in place
+ */
+const attachReservedStock = async (companyId, report) => {
+    const materialIds = [
+        ...report.profileDetails.map(detail => detail._id.materialId),
+        ...report.nonProfileDetails.map(detail => detail._id)
+    ];
+    const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId })
+        .select('category stockUnit profileBatches simpleBatches');
+    const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+    const toNumber = (value) => parseFloat((value || 0).toString()) || 0;
+
+    let totalReservedValue = 0;
+
+    report.profileDetails.forEach(detail => {
+        const material = materialsById.get(detail._id.materialId.toString());
+        const reserved = material
+            ? material.activeBatches
+                .filter(batch => batch.length && batch.length.toString() === String(detail._id.length) && batch.lengthUnit === detail._id.unit)
+                .reduce((sum, batch) => sum + material.getBatchReservedStock(batch), 0)
+            : 0;
+        const onHand = toNumber(detail.quantity);
+        detail.reservedQuantity = reserved;
+        detail.availableQuantity = Math.max(onHand - reserved, 0);
+        totalReservedValue += reserved * toNumber(detail.unitRate);
+    });
+
+    report.nonProfileDetails.forEach(detail => {
+        const material = materialsById.get(detail._id.toString());
+        const reserved = material ? material.getReservedStock() : 0;
+        const onHand = toNumber(detail.totalStockQuantity);
+        detail.reservedQuantity = reserved;
+        detail.availableQuantity = Math.max(onHand - reserved, 0);
+        totalReservedValue += reserved * toNumber(detail.unitRateForStockUnit);
+    });
+
+    report.summary.totalReservedValue = totalReservedValue;
+};
+
+/**
+ * Period-end stock valuation built from the stock ledger (StockTransaction), so its figures tie out
+ * to the ledger by construction: closing = opening + inward + outward (outward is negative).
+ * Quantities are kept per ledger unit; a material whose transactions use more than one unit gets one
+ * row per unit and is listed in warnings. Offcuts (remnants) get their own row (isRemnant), so offcut
+ * pieces are not counted as pipes and each side reconciles with its own book value.
+ * @param {string} companyId - Company ID for multi-tenancy
+ * @param {Object} filters - { startDate, endDate, category }
+ * @returns {Object} { period, valuationMethod, materials, categories, totals, warnings }
+ */
+const getStockValuationReport = async (companyId, filters = {}) => {
+    const { category } = filters;
+    const startDate = filters.startDate ? new Date(filters.startDate) : new Date(0);
+    const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
+    if (filters.endDate && /^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)) {
+        endDate.setUTCHours(23, 59, 59, 999); // A date-only end date covers the whole day
+    }
+
+    const materialQuery = { companyId: new mongoose.Types.ObjectId(companyId) };
+    if (category) materialQuery.category = category;
+    const materials = await MaterialV2.find(materialQuery).select('name category stockUnit aggregatedTotals');
+    const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+    const inPeriod = { $gte: ['$transactionDate', startDate] };
+    const qty = { $toDouble: { $ifNull: ['$quantityChange', 0] } };
+    const value = { $toDouble: { $ifNull: ['$totalValueChange', 0] } };
+    const sumIf = (condition, field) => ({ $sum: { $cond: [condition, field, 0] } });
+    const isRemnant = { $or: [{ $eq: ['$type', 'Remnant-Inward'] }, { $gt: [{ $ifNull: ['$remnantId', ''] }, ''] }] };
+
+    const ledger = await StockTransaction.aggregate([
+        {
+            $match: {
+                companyId: new mongoose.Types.ObjectId(companyId),
+                materialId: { $in: materials.map(material => material._id) },
+                // Transfers between locations net to zero and would only inflate inward/outward
+                type: { $nin: ['Transfer-Out', 'Transfer-In'] },
+                // Scrap sold by weight is no longer stock and leaves at no value
+                relatedDocumentType: { $ne: 'ScrapDisposal' },
+                transactionDate: { $lte: endDate }
+            }
+        },
+        {
+            $group: {
+                _id: { materialId: '$materialId', quantityUnit: '$quantityUnit', isRemnant },
+                openingQuantity: sumIf({ $lt: ['$transactionDate', startDate] }, qty),
+                openingValue: sumIf({ $lt: ['$transactionDate', startDate] }, value),
+                inwardQuantity: sumIf({ $and: [inPeriod, { $gt: [qty, 0] }] }, qty),
+                inwardValue: sumIf({ $and: [inPeriod, { $gt: [qty, 0] }] }, value),
+                outwardQuantity: sumIf({ $and: [inPeriod, { $lt: [qty, 0] }] }, qty),
+                outwardValue: sumIf({ $and: [inPeriod, { $lt: [qty, 0] }] }, value),
+                transactionCount: sumIf(inPeriod, 1)
+            }
+        }
+    ]);
+
+    const round = (n) => Math.round(n * 100) / 100;
+    const unitsByMaterial = new Map();
+    const rows = ledger.map(entry => {
+        const materialId = entry._id.materialId.toString();
+        const material = materialsById.get(materialId);
+        if (!entry._id.isRemnant) {
+            unitsByMaterial.set(materialId, (unitsByMaterial.get(materialId) || 0) + 1);
+        }
+        return {
+            materialId,
+            materialName: material ? material.name : 'Unknown',
+            category: material ? material.category : 'Unknown',
+            quantityUnit: entry._id.quantityUnit || (material && material.stockUnit) || '',
+            isRemnant: !!entry._id.isRemnant,
+            openingQuantity: round(entry.openingQuantity),
+            openingValue: round(entry.openingValue),
+            inwardQuantity: round(entry.inwardQuantity),
+            inwardValue: round(entry.inwardValue),
+            outwardQuantity: round(entry.outwardQuantity),
+            outwardValue: round(entry.outwardValue),
+            closingQuantity: round(entry.openingQuantity + entry.inwardQuantity + entry.outwardQuantity),
+            closingValue: round(entry.openingValue + entry.inwardValue + entry.outwardValue),
+            transactionCount: entry.transactionCount
+        };
+    }).sort((a, b) => a.category.localeCompare(b.category) || a.materialName.localeCompare(b.materialName) || (a.isRemnant - b.isRemnant));
+
+    const warnings = [];
+    unitsByMaterial.forEach((count, materialId) => {
+        if (count > 1) {
+            const material = materialsById.get(materialId);
+            warnings.push(`${material ? material.name : materialId}: ledger quantities are recorded in more than one unit, so they are listed per unit; values are comparable.`);
+        }
+    });
+
+    // Compare the ledger with the book value when the report runs up to now: batches for stock rows,
+    // remnants for offcut rows
+    const reconcile = !filters.endDate || endDate >= new Date();
+    if (reconcile) {
+        const closingByMaterial = new Map();
+        rows.forEach(row => {
+            const key = `${row.materialId}|${row.isRemnant ? 'remnant' : 'stock'}`;
+            closingByMaterial.set(key, (closingByMaterial.get(key) || 0) + row.closingValue);
+        });
+        closingByMaterial.forEach((closingValue, key) => {
+            const [materialId, kind] = key.split('|');
+            const material = materialsById.get(materialId);
+            const totals = (material && material.aggregatedTotals) || {};
+            const bookValue = parseFloat(((kind === 'remnant' ? totals.totalRemnantValue : totals.totalCurrentValue) || 0).toString());
+            if (Math.abs(bookValue - closingValue) > 1) {
+                warnings.push(`${material ? material.name : materialId}: ledger closing value ${closingValue.toFixed(2)} differs from ${kind === 'remnant' ? 'offcut' : 'batch'} book value ${bookValue.toFixed(2)}.`);
+            }
+        });
+    }
+
+    const valueFields = ['openingValue', 'inwardValue', 'outwardValue', 'closingValue'];
+    const categories = {};
+    const totals = { openingValue: 0, inwardValue: 0, outwardValue: 0, closingValue: 0 };
+    rows.forEach(row => {
+        const categoryTotals = categories[row.category] || (categories[row.category] = {
+            materialCount: 0, openingValue: 0, inwardValue: 0, outwardValue: 0, closingValue: 0, quantities: {}
+        });
+        valueFields.forEach(field => {
+            categoryTotals[field] = round(categoryTotals[field] + row[field]);
+            totals[field] = round(totals[field] + row[field]);
+        });
+        // Offcut pieces are counted apart from full pipes
+        const unitKey = row.isRemnant ? `${row.quantityUnit} (offcuts)` : row.quantityUnit;
+        const unitTotals = categoryTotals.quantities[unitKey] || (categoryTotals.quantities[unitKey] = {
+            opening: 0, inward: 0, outward: 0, closing: 0
+        });
+        unitTotals.opening = round(unitTotals.opening + row.openingQuantity);
+        unitTotals.inward = round(unitTotals.inward + row.inwardQuantity);
+        unitTotals.outward = round(unitTotals.outward + row.outwardQuantity);
+        unitTotals.closing = round(unitTotals.closing + row.closingQuantity);
+    });
+    Object.keys(categories).forEach(name => {
+        categories[name].materialCount = new Set(rows.filter(row => row.category === name).map(row => row.materialId)).size;
+    });
+
+    return {
+        period: { startDate: filters.startDate ? startDate : null, endDate },
+        valuationMethod: await InventoryValuationService.getValuationMethod(companyId),
+        materials: rows,
+        categories,
+        totals,
+        warnings
+    };
 };
 
 /**
@@ -883,7 +1080,8 @@ const getManufacturingReport = async (companyId, filters = {}) => {
     
     // Build match conditions
     const matchConditions = { 
-        companyId: new mongoose.Types.ObjectId(companyId)
+        companyId: new mongoose.Types.ObjectId(companyId),
+        isActive: { $ne: false } // Superseded cutting plan versions would double count an order
     };
     
     if (startDate || endDate) {
@@ -1141,10 +1339,371 @@ const getManufacturingReport = async (companyId, filters = {}) => {
     };
 };
 
+// Dimensions the wastage report can be grouped by
+const WASTAGE_GROUPS = ['material', 'gauge', 'productType', 'operator', 'period'];
+
+/**
+ * Get the wastage report: offcut waste from committed cutting plans and cutting batches plus stock written off
+ * as scrap, grouped by material, gauge, product type, operator or period, with a monthly trend.
+ *
+ * Offcuts long enough to keep (after the kerf, by the rules the plan was cut with) became remnants at commit
+ * and only count once they are written off. Waste is valued at the cost of the batch or remnant the pipe came
+ * from and weighed with the material's reference gauge weights. A pipe shared by several orders or product
+ * types is split between them by the length of their cuts on it.
+ * Estimated offcut is what the order's pipe breakdown (calculateProfileConsumption when the order was
+ * created) leaves over the same cuts; it is compared with the offcut the cutting plan actually produced.
+ * Lengths are reported in feet, weights in kg.
+ * @param {string} companyId - Company ID for multi-tenancy
+ * @param {Object} filters - { startDate, endDate, materialId, groupBy }
+ * @returns {Object} { period, groupBy, lengthUnit, weightUnit, summary, groups, trend, estimates, warnings }
+ */
+const getWastageReport = async (companyId, filters = {}) => {
+    const groupBy = filters.groupBy || 'material';
+    const startDate = filters.startDate ? new Date(filters.startDate) : null;
+    const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
+    if (filters.endDate && /^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)) {
+        endDate.setUTCHours(23, 59, 59, 999); // A date-only end date covers the whole day
+    }
+    const dateRange = startDate ? { $gte: startDate, $lte: endDate } : { $lte: endDate };
+    const companyObjectId = new mongoose.Types.ObjectId(companyId);
+    const materialObjectId = filters.materialId ? new mongoose.Types.ObjectId(filters.materialId) : null;
+    const planMaterialFilter = materialObjectId ? { 'materialPlans.materialId': materialObjectId } : {};
+
+    // Cutting plans have no commit date of their own; their pipe deductions do
+    const planCommits = await StockTransaction.aggregate([
+        {
+            $match: {
+                companyId: companyObjectId,
+                type: 'Outward-OrderCut',
+                relatedDocumentType: 'CuttingPlan',
+                transactionDate: dateRange
+            }
+        },
+        { $group: { _id: '$relatedDocumentId', committedAt: { $min: '$transactionDate' }, committedBy: { $first: '$createdBy' } } }
+    ]);
+    const commitsByPlan = new Map(planCommits.map(commit => [commit._id.toString(), commit]));
+
+    // Scrap sold to a buyer is the waste leaving the yard, not new waste
+    const writeOffQuery = { companyId: companyObjectId, type: 'Scrap', relatedDocumentType: { $ne: 'ScrapDisposal' }, transactionDate: dateRange };
+    if (materialObjectId) writeOffQuery.materialId = materialObjectId;
+
+    const [plans, cuttingBatches, writeOffs] = await Promise.all([
+        CuttingPlan.find({ _id: { $in: planCommits.map(commit => commit._id) }, companyId: companyObjectId, ...planMaterialFilter })
+            .select('orderId materialPlans'),
+        CuttingBatch.find({ companyId: companyObjectId, status: 'Committed', committedAt: dateRange, ...planMaterialFilter })
+            .select('batchNumber orders committedAt committedBy materialPlans'),
+        StockTransaction.find(writeOffQuery)
+            .select('materialId batchId remnantId length lengthUnit quantityChange quantityUnit totalValueChange createdBy transactionDate')
+    ]);
+
+    // Each committed plan or batch is one cutting job
+    const jobs = [
+        ...plans.map(plan => {
+            const commit = commitsByPlan.get(plan._id.toString());
+            return { orderId: plan.orderId, committedAt: commit.committedAt, committedBy: commit.committedBy, materialPlans: plan.materialPlans };
+        }),
+        ...cuttingBatches.map(batch => ({
+            orderId: null, // Every cut in a batch carries its order
+            committedAt: batch.committedAt,
+            committedBy: batch.committedBy,
+            materialPlans: batch.materialPlans
+        }))
+    ];
+
+    const orderIds = new Set();
+    const materialIds = new Set(writeOffs.map(txn => txn.materialId.toString()));
+    const userIds = new Set(writeOffs.filter(txn => txn.createdBy).map(txn => txn.createdBy.toString()));
+    jobs.forEach(job => {
+        if (job.orderId) orderIds.add(job.orderId.toString());
+        if (job.committedBy) userIds.add(job.committedBy.toString());
+        job.materialPlans.forEach(materialPlan => {
+            materialIds.add(materialPlan.materialId.toString());
+            materialPlan.pipesUsed.forEach(pipe => pipe.cutsMade.forEach(cut => {
+                if (cut.orderId) orderIds.add(cut.orderId.toString());
+            }));
+        });
+    });
+
+    const [orders, materials, users] = await Promise.all([
+        Order.find({ _id: { $in: [...orderIds] }, companyId: companyObjectId })
+            .select('orderIdDisplay items.productTypeNameSnapshot aggregatedOrderMaterials.materialId aggregatedOrderMaterials.pipeBreakdown'),
+        MaterialV2.find({ _id: { $in: [...materialIds] }, companyId: companyObjectId })
+            .select('name category referenceGaugeWeights profileBatches remnantBatches'),
+        User.find({ _id: { $in: [...userIds] } }).select('firstName lastName')
+    ]);
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+    const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+    const userNames = new Map(users.map(user => [user._id.toString(), `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown']));
+
+    const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+    const toInches = (value, unit) => {
+        const converted = convertUnit(num(value), unit || 'inches', 'inches');
+        return converted.error ? 0 : converted.result;
+    };
+    const findStock = (material, { batchId, remnantId }) => {
+        if (!material) return null;
+        if (remnantId) return (material.remnantBatches || []).find(remnant => remnant.remnantId === remnantId) || null;
+        return batchId ? (material.profileBatches || []).find(batch => batch.batchId === batchId) || null : null;
+    };
+
+    // weightUtils expects the V1 gauge weight shape
+    const unweighed = new Set();
+    const weigh = (material, gauge, lengthInches) => {
+        if (!material || lengthInches <= 0) return 0;
+        const { weight, error } = convertProfileLengthToWeight(lengthInches, 'inches', {
+            name: material.name,
+            gaugeSpecificWeights: (material.referenceGaugeWeights || []).map(rg => ({
+                gauge: rg.gauge,
+                weightPerUnitLength: rg.referenceWeight,
+                unitLength: rg.unitLength
+            })),
+            weightUnit: 'kg'
+        }, gauge);
+        if (error) {
+            unweighed.add(`${material.name}${gauge ? ` ${gauge}` : ''}`);
+            return 0;
+        }
+        return weight;
+    };
+
+    const unvalued = new Set();
+    const entries = [];
+    const cutLengthByOrderMaterial = new Map();
+
+    jobs.forEach(job => {
+        job.materialPlans.forEach(materialPlan => {
+            const materialId = materialPlan.materialId.toString();
+            if (materialObjectId && materialId !== filters.materialId) return;
+            const material = materialsById.get(materialId);
+            const config = fromPlanCuttingParameters(materialPlan);
+
+            materialPlan.pipesUsed.forEach(pipe => {
+                const stockLength = toInches(pipe.standardLength, pipe.standardLengthUnit);
+                const offcut = toInches(pipe.scrapLength, materialPlan.usageUnit);
+                // The same rule the commit used to keep the offcut as a remnant
+                const usable = offcut - config.kerfInches;
+                const remnantLength = usable >= config.minRemnantInches ? usable : 0;
+                const cutWaste = offcut - remnantLength;
+
+                const stock = findStock(material, pipe.sourceType === 'Remnant'
+                    ? { remnantId: pipe.sourceRemnantId }
+                    : { batchId: pipe.sourceBatchId });
+                if (!stock && cutWaste > 0) unvalued.add(materialPlan.materialNameSnapshot);
+                const value = stock && stockLength > 0 ? num(stock.ratePerPiece) * cutWaste / stockLength : 0;
+                const gauge = materialPlan.gaugeSnapshot || (stock && stock.gauge);
+                const weight = weigh(material, gauge, cutWaste);
+
+                // Split the pipe between the orders and product types cut from it
+                const shares = new Map();
+                let totalCut = 0;
+                pipe.cutsMade.forEach(cut => {
+                    const orderId = (cut.orderId || job.orderId || '').toString();
+                    const order = ordersById.get(orderId);
+                    const item = order && Number.isInteger(cut.itemIndex) ? order.items[cut.itemIndex] : null;
+                    const productType = (item && item.productTypeNameSnapshot) || 'Unspecified';
+                    const key = `${orderId}|${productType}`;
+                    const length = toInches(cut.requiredLength, materialPlan.usageUnit);
+                    const share = shares.get(key) || { orderId, productType, cutLength: 0 };
+                    share.cutLength += length;
+                    shares.set(key, share);
+                    totalCut += length;
+                });
+                if (totalCut <= 0) {
+                    shares.clear();
+                    shares.set('', { orderId: (job.orderId || '').toString(), productType: 'Unspecified', cutLength: 0 });
+                }
+
+                shares.forEach(share => {
+                    const fraction = totalCut > 0 ? share.cutLength / totalCut : 1;
+                    entries.push({
+                        date: job.committedAt,
+                        materialId,
+                        materialName: materialPlan.materialNameSnapshot || (material && material.name) || 'Unknown',
+                        gauge,
+                        operatorId: job.committedBy ? job.committedBy.toString() : '',
+                        orderId: share.orderId,
+                        productType: share.productType,
+                        pipes: fraction,
+                        stockLength: stockLength * fraction,
+                        cutLength: share.cutLength,
+                        offcutLength: offcut * fraction,
+                        remnantLength: remnantLength * fraction,
+                        cutWasteLength: cutWaste * fraction,
+                        writeOffLength: 0,
+                        wasteWeight: weight * fraction,
+                        wasteValue: value * fraction,
+                        writeOffValue: 0
+                    });
+                    if (share.orderId) {
+                        const key = `${share.orderId}|${materialId}`;
+                        cutLengthByOrderMaterial.set(key, (cutLengthByOrderMaterial.get(key) || 0) + share.cutLength);
+                    }
+                });
+            });
+        });
+    });
+
+    // Stock written off: remnants and full pieces issued as scrap
+    writeOffs.forEach(txn => {
+        const materialId = txn.materialId.toString();
+        const material = materialsById.get(materialId);
+        const stock = findStock(material, { batchId: txn.batchId, remnantId: txn.remnantId });
+        const gauge = stock ? stock.gauge : undefined;
+        const pieces = -num(txn.quantityChange);
+        const length = txn.length && txn.quantityUnit === 'pcs' ? toInches(txn.length, txn.lengthUnit) * pieces : 0;
+        const value = -num(txn.totalValueChange);
+        entries.push({
+            date: txn.transactionDate,
+            materialId,
+            materialName: material ? material.name : 'Deleted material',
+            gauge,
+            operatorId: txn.createdBy ? txn.createdBy.toString() : '',
+            orderId: '',
+            productType: 'Stock write-off',
+            pipes: 0,
+            stockLength: 0,
+            cutLength: 0,
+            offcutLength: 0,
+            remnantLength: 0,
+            cutWasteLength: 0,
+            writeOffLength: length,
+            wasteWeight: material && material.category === 'Profile' ? weigh(material, gauge, length) : 0,
+            wasteValue: value,
+            writeOffValue: value
+        });
+    });
+
+    // Estimated offcut per order and material, spread over the order's entries by cut length
+    const estimates = [];
+    cutLengthByOrderMaterial.forEach((cutLength, key) => {
+        const [orderId, materialId] = key.split('|');
+        const order = ordersById.get(orderId);
+        const planned = order && (order.aggregatedOrderMaterials || [])
+            .find(aggregated => aggregated.materialId && aggregated.materialId.toString() === materialId);
+        if (!planned || !planned.pipeBreakdown || planned.pipeBreakdown.length === 0 || cutLength <= 0) return;
+
+        const estimatedStockLength = planned.pipeBreakdown.reduce((sum, pipe) =>
+            sum + pipe.count * (pipe.lengthInInches || toInches(pipe.length, pipe.unit)), 0);
+        const estimatedOffcut = Math.max(estimatedStockLength - cutLength, 0);
+        const orderEntries = entries.filter(entry => entry.orderId === orderId && entry.materialId === materialId);
+        orderEntries.forEach(entry => {
+            entry.estimatedOffcutLength = estimatedOffcut * entry.cutLength / cutLength;
+        });
+
+        const actualStockLength = orderEntries.reduce((sum, entry) => sum + entry.stockLength, 0);
+        const actualOffcut = orderEntries.reduce((sum, entry) => sum + entry.offcutLength, 0);
+        estimates.push({
+            orderId,
+            orderIdDisplay: order.orderIdDisplay,
+            materialId,
+            materialName: orderEntries[0].materialName,
+            cutLength,
+            estimatedStockLength,
+            actualStockLength,
+            estimatedOffcutLength: estimatedOffcut,
+            actualOffcutLength: actualOffcut
+        });
+    });
+
+    const sumFields = ['pipes', 'stockLength', 'cutLength', 'offcutLength', 'remnantLength', 'cutWasteLength',
+        'writeOffLength', 'wasteWeight', 'wasteValue', 'writeOffValue', 'estimatedOffcutLength', 'comparableOffcutLength'];
+    const emptyTotals = () => sumFields.reduce((totals, field) => ({ ...totals, [field]: 0 }), {});
+    const addEntry = (totals, entry) => {
+        sumFields.forEach(field => {
+            if (entry[field] !== undefined) totals[field] += entry[field];
+        });
+        // Estimated and actual offcut are only compared where an estimate exists
+        if (entry.estimatedOffcutLength !== undefined) totals.comparableOffcutLength += entry.offcutLength;
+    };
+    const r2 = (n) => Math.round(n * 100) / 100;
+    const toFeet = (inches) => r2(inches / 12);
+    const formatTotals = (totals) => ({
+        pipes: r2(totals.pipes),
+        stockLength: toFeet(totals.stockLength),
+        cutLength: toFeet(totals.cutLength),
+        offcutLength: toFeet(totals.offcutLength),
+        remnantLength: toFeet(totals.remnantLength),
+        cutWasteLength: toFeet(totals.cutWasteLength),
+        writeOffLength: toFeet(totals.writeOffLength),
+        wasteLength: toFeet(totals.cutWasteLength + totals.writeOffLength),
+        wasteWeight: Math.round(totals.wasteWeight * 1000) / 1000,
+        wasteValue: r2(totals.wasteValue),
+        writeOffValue: r2(totals.writeOffValue),
+        wastePercent: totals.stockLength > 0 ? r2(totals.cutWasteLength / totals.stockLength * 100) : 0,
+        estimatedOffcutLength: toFeet(totals.estimatedOffcutLength),
+        actualOffcutLength: toFeet(totals.comparableOffcutLength),
+        offcutVariance: toFeet(totals.comparableOffcutLength - totals.estimatedOffcutLength)
+    });
+
+    const month = (date) => new Date(date).toISOString().slice(0, 7);
+    const groupKey = {
+        material: (entry) => [entry.materialId, entry.materialName],
+        gauge: (entry) => [entry.gauge || '', entry.gauge || 'No gauge'],
+        productType: (entry) => [entry.productType, entry.productType],
+        operator: (entry) => [entry.operatorId, userNames.get(entry.operatorId) || 'Unknown'],
+        period: (entry) => [month(entry.date), month(entry.date)]
+    }[groupBy];
+
+    const summary = emptyTotals();
+    const groups = new Map();
+    const trend = new Map();
+    entries.forEach(entry => {
+        addEntry(summary, entry);
+        const [key, label] = groupKey(entry);
+        if (!groups.has(key)) groups.set(key, { key, label, totals: emptyTotals() });
+        addEntry(groups.get(key).totals, entry);
+        const period = month(entry.date);
+        if (!trend.has(period)) trend.set(period, emptyTotals());
+        addEntry(trend.get(period), entry);
+    });
+
+    const warnings = [];
+    if (unweighed.size > 0) {
+        warnings.push(`No reference gauge weight for ${[...unweighed].join(', ')}; their waste is not included in the weight.`);
+    }
+    if (unvalued.size > 0) {
+        warnings.push(`Source batch no longer found for some pipes of ${[...unvalued].join(', ')}; their waste is not valued.`);
+    }
+
+    return {
+        period: { startDate, endDate },
+        groupBy,
+        lengthUnit: 'ft',
+        weightUnit: 'kg',
+        summary: {
+            ...formatTotals(summary),
+            cuttingPlans: plans.length,
+            cuttingBatches: cuttingBatches.length,
+            writeOffs: writeOffs.length
+        },
+        groups: [...groups.values()]
+            .map(group => ({ key: group.key, label: group.label, ...formatTotals(group.totals) }))
+            .sort((a, b) => groupBy === 'period' ? a.key.localeCompare(b.key) : b.wasteValue - a.wasteValue),
+        trend: [...trend.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([period, totals]) => ({ period, ...formatTotals(totals) })),
+        estimates: estimates
+            .map(estimate => ({
+                ...estimate,
+                cutLength: toFeet(estimate.cutLength),
+                estimatedStockLength: toFeet(estimate.estimatedStockLength),
+                actualStockLength: toFeet(estimate.actualStockLength),
+                estimatedOffcutLength: toFeet(estimate.estimatedOffcutLength),
+                actualOffcutLength: toFeet(estimate.actualOffcutLength),
+                offcutVariance: toFeet(estimate.actualOffcutLength - estimate.estimatedOffcutLength)
+            }))
+            .sort((a, b) => Math.abs(b.offcutVariance) - Math.abs(a.offcutVariance)),
+        warnings
+    };
+};
+
 module.exports = {
     getClientReport,
     getQuotationReport,
     getSalesOrderReport,
     getInventoryReport,
-    getManufacturingReport
+    getStockValuationReport,
+    getManufacturingReport,
+    getWastageReport,
+    WASTAGE_GROUPS
 }; 
\ No newline at end of file
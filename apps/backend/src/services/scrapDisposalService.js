@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const ScrapDisposal = require('../models/ScrapDisposal');
+const Counter = require('../models/Counter');
+const MaterialV2 = require('../models/MaterialV2');
+const StockTransaction = require('../models/StockTransaction');
+const reportService = require('./reportService');
+const { AppError } = require('../utils/appError');
+
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+const round = (value, places = 2) => new Decimal(value).toDecimalPlaces(places).toNumber();
+
+/**
+ * Records sales of accumulated scrap.
+ * Scrap accumulates as the weight of cutting waste and written-off stock (see the wastage report); each
+ * disposal takes weight out of that pool with an outward 'Scrap' transaction in kg and books the amount
+ * the buyer paid as other income.
+ */
+class ScrapDisposalService {
+
+    /**
+     * Next disposal number for the year, e.g. SD-2024-001.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<string>}
+     */
+    static async generateDisposalNumber(companyId) {
+        const prefix = `SD-${new Date().getFullYear()}-`;
+        return Counter.nextNumber(companyId, prefix, ScrapDisposal, 'disposalNumber');
+    }
+
+    /**
+     * Scrap weight waiting to be sold, per material: everything generated so far less what was disposed of.
+     * Generated weight comes from reference gauge weights, so it is an estimate of what the scale will show.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<{balances: Array<object>, totalAvailableWeight: number, warnings: Array<string>}>}
+     */
+    static async getScrapBalances(companyId) {
+        const [wastage, disposed] = await Promise.all([
+            reportService.getWastageReport(companyId, { groupBy: 'material' }),
+            ScrapDisposal.aggregate([
+                { $match: { companyId: new mongoose.Types.ObjectId(companyId) } },
+                { $sort: { disposalDate: 1 } },
+                { $unwind: '$lines' },
+                {
+                    $group: {
+                        _id: '$lines.materialId',
+                        weight: { $sum: { $toDouble: '$lines.weight' } },
+                        amount: { $sum: { $toDouble: '$lines.amount' } },
+                        lastRatePerKg: { $last: { $toDouble: '$lines.ratePerKg' } },
+                        lastDisposalDate: { $last: '$disposalDate' }
+                    }
+                }
+            ])
+        ]);
+
+        const balances = new Map();
+        const balanceFor = (materialId, materialName) => {
+            if (!balances.has(materialId)) {
+                balances.set(materialId, {
+                    materialId,
+                    materialName,
+                    generatedWeight: 0,
+                    disposedWeight: 0,
+                    recoveredAmount: 0,
+                    lastRatePerKg: null,
+                    lastDisposalDate: null
+                });
+            }
+            return balances.get(materialId);
+        };
+
+        wastage.groups.forEach(group => {
+            if (group.wasteWeight > 0) balanceFor(group.key, group.label).generatedWeight = group.wasteWeight;
+        });
+
+        const namesById = new Map();
+        const unnamed = disposed.filter(entry => !balances.has(entry._id.toString())).map(entry => entry._id);
+        if (unnamed.length > 0) {
+            const materials = await MaterialV2.find({ _id: { $in: unnamed }, companyId }).select('name');
+            materials.forEach(material => namesById.set(material._id.toString(), material.name));
+        }
+        disposed.forEach(entry => {
+            const materialId = entry._id.toString();
+            const balance = balanceFor(materialId, namesById.get(materialId) || 'Deleted material');
+            balance.disposedWeight = round(entry.weight, 3);
+            balance.recoveredAmount = round(entry.amount);
+            balance.lastRatePerKg = entry.lastRatePerKg;
+            balance.lastDisposalDate = entry.lastDisposalDate;
+        });
+
+        const rows = [...balances.values()]
+            .map(balance => ({
+                ...balance,
+                availableWeight: round(Math.max(balance.generatedWeight - balance.disposedWeight, 0), 3)
+            }))
+            .sort((a, b) => b.availableWeight - a.availableWeight || a.materialName.localeCompare(b.materialName));
+
+        return {
+            balances: rows,
+            totalAvailableWeight: round(rows.reduce((sum, row) => sum + row.availableWeight, 0), 3),
+            warnings: wastage.warnings
+        };
+    }
+
+    /**
+     * Posts a scrap sale.
+     * Weights are what the buyer weighed; a line heavier than the accumulated scrap is allowed (the
+     * accumulated figure is an estimate) but reported in warnings.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user recording the sale.
+     * @param {object} data - { buyer: { name, phone, gstin }, disposalDate, notes, lines: [{ materialId, weight, ratePerKg, notes }] }
+     * @returns {Promise<{disposal: object, transactions: Array<object>, warnings: Array<string>}>}
+     */
+    static async createDisposal(companyId, userId, data) {
+        const buyer = data.buyer || {};
+        if (!buyer.name || !String(buyer.name).trim()) {
+            throw new AppError('Enter the buyer the scrap was sold to.', 400);
+        }
+        if (!Array.isArray(data.lines) || data.lines.length === 0) {
+            throw new AppError('A disposal needs at least one line.', 400);
+        }
+        const disposalDate = data.disposalDate ? new Date(data.disposalDate) : new Date();
+        if (isNaN(disposalDate.getTime())) {
+            throw new AppError('Invalid disposal date.', 400);
+        }
+
+        const materialIds = [...new Set(data.lines.map(line => String(line.materialId)))];
+        if (materialIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Every line needs a valid material.', 400);
+        }
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId }).select('name category');
+        const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+        const { balances } = await ScrapDisposalService.getScrapBalances(companyId);
+        const availableById = new Map(balances.map(balance => [balance.materialId.toString(), balance.availableWeight]));
+
+        const warnings = [];
+        const taken = new Map();
+        const lines = data.lines.map((line, index) => {
+            const lineNo = index + 1;
+            const material = materialsById.get(String(line.materialId));
+            if (!material) {
+                throw new AppError(`Line ${lineNo}: material not found.`, 404);
+            }
+            const weight = Number(line.weight);
+            if (!(weight > 0)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): weight must be greater than 0.`, 400);
+            }
+            const ratePerKg = Number(line.ratePerKg);
+            if (isNaN(ratePerKg) || ratePerKg < 0) {
+                throw new AppError(`Line ${lineNo} (${material.name}): rate per kg cannot be negative.`, 400);
+            }
+
+            const materialId = material._id.toString();
+            const available = availableById.get(materialId) || 0;
+            const alreadyTaken = taken.get(materialId) || 0;
+            if (alreadyTaken + weight > available) {
+                warnings.push(`Line ${lineNo} (${material.name}): ${weight} kg sold but only ${round(Math.max(available - alreadyTaken, 0), 3)} kg of scrap was accumulated.`);
+            }
+            taken.set(materialId, alreadyTaken + weight);
+
+            return {
+                material,
+                weight: new Decimal(weight),
+                ratePerKg: new Decimal(ratePerKg),
+                amount: new Decimal(weight).times(ratePerKg).toDecimalPlaces(2),
+                available,
+                notes: line.notes
+            };
+        });
+
+        const disposal = new ScrapDisposal({
+            companyId,
+            disposalNumber: await ScrapDisposalService.generateDisposalNumber(companyId),
+            disposalDate,
+            buyer: {
+                name: String(buyer.name).trim(),
+                phone: buyer.phone,
+                gstin: buyer.gstin
+            },
+            notes: data.notes,
+            createdBy: userId
+        });
+
+        let totalWeight = new Decimal(0);
+        let totalAmount = new Decimal(0);
+        lines.forEach(line => {
+            disposal.lines.push({
+                materialId: line.material._id,
+                materialNameSnapshot: line.material.name,
+                category: line.material.category,
+                weight: toDecimal128(line.weight),
+                availableWeightSnapshot: toDecimal128(line.available),
+                ratePerKg: toDecimal128(line.ratePerKg),
+                amount: toDecimal128(line.amount),
+                notes: line.notes
+            });
+            totalWeight = totalWeight.plus(line.weight);
+            totalAmount = totalAmount.plus(line.amount);
+        });
+        disposal.totalWeight = toDecimal128(totalWeight.toDecimalPlaces(3));
+        disposal.totalAmount = toDecimal128(totalAmount);
+        await disposal.save();
+
+        // The scrap's cost was charged when it was cut or written off, so it leaves at no stock value
+        const transactions = [];
+        for (const line of lines) {
+            transactions.push(await new StockTransaction({
+                companyId,
+                materialId: line.material._id,
+                type: 'Scrap',
+                quantityChange: toDecimal128(line.weight.negated()),
+                quantityUnit: 'kg',
+                unitRateAtTransaction: toDecimal128(0),
+                relatedDocumentType: 'ScrapDisposal',
+                relatedDocumentId: disposal._id,
+                notes: `Scrap sold to ${disposal.buyer.name}: ${line.weight.toString()} kg @ ${line.ratePerKg.toString()}/kg = ${line.amount.toFixed(2)} (${disposal.disposalNumber})`,
+                createdBy: userId,
+                transactionDate: disposalDate
+            }).save());
+        }
+
+        console.log(`[ScrapDisposal] ✅ ${disposal.disposalNumber}: ${totalWeight.toString()} kg to ${disposal.buyer.name} for ${totalAmount.toFixed(2)}`);
+
+        return { disposal, transactions, warnings };
+    }
+
+    /**
+     * @returns {Promise<object>} The disposal, or a 404 AppError.
+     */
+    static async findDisposal(companyId, disposalId) {
+        if (!mongoose.Types.ObjectId.isValid(disposalId)) {
+            throw new AppError('Scrap disposal not found.', 404);
+        }
+        const disposal = await ScrapDisposal.findOne({ _id: disposalId, companyId });
+        if (!disposal) {
+            throw new AppError('Scrap disposal not found.', 404);
+        }
+        return disposal;
+    }
+}
+
+module.exports = ScrapDisposalService;
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const MaterialV2 = require('../models/MaterialV2');
+const WireMeshOptimizationService = require('./wireMeshOptimizationService');
+const { convertUnit } = require('../utils/unitConverter');
+
+// Statuses that hold stock for an order, and those that give it back
+const RESERVING_STATUSES = ['Measurement Confirmed', 'Ready for Optimization', 'Optimization Complete', 'Optimization Failed', 'In Production', 'Cutting', 'Assembly', 'QC', 'Packed', 'Ready for Dispatch'];
+const RELEASING_STATUSES = ['On Hold', 'Cancelled'];
+
+const EPSILON = 1e-6;
+const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(String(Number(value.toFixed(6))));
+const toInches = (length, unit) => convertUnit(num(length), unit, 'inches').result || 0;
+const toFeet = (length, unit) => convertUnit(num(length), unit || 'ft', 'ft').result || 0;
+const toSqft = (area, unit) => convertUnit(num(area), unit || 'sqft', 'sqft').result || 0;
+const byPurchaseDate = (a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate);
+// Batches stock can be issued from: expired batches cannot, so they are never reserved
+const isReservable = (batch, now = new Date()) => batch.isActive && !batch.isCompleted && !MaterialV2.isExpired(batch, now);
+
+/**
+ * Soft allocation of batch stock to confirmed orders.
+ *
+ * Stock only leaves a batch when an order's cuts or materials are committed, so until then two orders
+ * could both count the same pipes. Reservations record which batches an order is expected to draw from
+ * (oldest batches first), and stock checks treat reserved stock as unavailable to other orders.
+ *
+ * Profiles are reserved per pipe length and gauge until the order's cutting plan is committed; other
+ * materials (wire mesh per roll width) until its materials are committed.
+ */
+class StockReservationService {
+
+    /**
+     * Free quantity of a batch: on hand less what other orders hold.
+     */
+    static freeQuantity(batch, excludeOrderId = null) {
+        return Math.max(num(batch.currentQuantity) - MaterialV2.getBatchReserved(batch, excludeOrderId), 0);
+    }
+
+    /**
+     * Reserves stock for everything an order still has to draw, replacing any reservations it held.
+     * Whatever cannot be covered is reported as short and left unreserved.
+     * @param {object} order - The Order document.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<{reserved: Array<object>, short: Array<object>}>}
+     */
+    static async reserveForOrder(order, companyId) {
+        const requirements = (order.aggregatedOrderMaterials || []).filter(m =>
+            m.materialCategory === 'Profile' ? order.cuttingPlanStatus !== 'Committed' : !order.materialsCommitted);
+        const materialIds = [...new Set(requirements.map(m => m.materialId.toString()))];
+
+        const materials = await StockReservationService.findMaterialsHolding(companyId, order._id, materialIds);
+        materials.forEach(material => {
+            StockReservationService.removeOrderReservations(material, order._id);
+            // Other orders' reservations on batches that have since expired move to batches that can be issued
+            StockReservationService.rebalance(material);
+        });
+
+        const materialsById = new Map(materials.map(m => [m._id.toString(), m]));
+        const reserved = [];
+        const short = [];
+
+        for (const requirement of requirements) {
+            const material = materialsById.get(requirement.materialId.toString());
+            if (!material) continue;
+
+            for (const need of StockReservationService.describeNeeds(material, requirement)) {
+                const batches = StockReservationService.batchesForNeed(material, need);
+                const remaining = StockReservationService.allocate(batches, order, need);
+                const line = {
+                    materialId: material._id,
+                    materialName: material.name,
+                    spec: need.label,
+                    unit: need.unit
+                };
+                if (need.quantity - remaining > EPSILON) {
+                    reserved.push({ ...line, quantity: Number((need.quantity - remaining).toFixed(2)) });
+                }
+                if (remaining > EPSILON) {
+                    short.push({ ...line, quantity: Number(remaining.toFixed(2)) });
+                }
+            }
+        }
+
+        await Promise.all(materials.map(material => material.save()));
+
+        console.log(`[StockReservation] Order ${order.orderIdDisplay}: ${reserved.length} reservation(s), ${short.length} short`);
+        return { reserved, short };
+    }
+
+    /**
+     * Gives back an order's reservations, then moves any reservation no longer covered by a batch
+     * (because stock was consumed from it) onto another batch of the same spec.
+     * @param {string|ObjectId} orderId - The order releasing stock.
+     * @param {string} companyId - The ID of the company.
+     * @param {object} [options]
+     * @param {string} [options.category] - 'Profile' to release profiles only, 'NonProfile' for everything else.
+     * @param {Array<string>} [options.materialIds] - Further materials to rebalance, e.g. ones just consumed from.
+     * @returns {Promise<number>} Number of materials updated.
+     */
+    static async releaseForOrder(orderId, companyId, options = {}) {
+        const { category, materialIds = [] } = options;
+        const materials = await StockReservationService.findMaterialsHolding(companyId, orderId, materialIds);
+
+        const changed = materials.filter(material => {
+            const inScope = !category || (category === 'Profile') === (material.category === 'Profile');
+            const released = inScope && StockReservationService.removeOrderReservations(material, orderId);
+            const rebalanced = StockReservationService.rebalance(material);
+            return released || rebalanced;
+        });
+
+        await Promise.all(changed.map(material => material.save()));
+        return changed.length;
+    }
+
+    /**
+     * Applies the reservation rules for an order's (new) status: held from measurement confirmation
+     * through production, released when the order is put on hold or cancelled.
+     * Failures are logged rather than thrown so a status change is never blocked by reservations.
+     */
+    static async syncWithOrderStatus(order, companyId) {
+        try {
+            if (RELEASING_STATUSES.includes(order.status)) {
+                await StockReservationService.releaseForOrder(order._id, companyId);
+            } else if (RESERVING_STATUSES.includes(order.status)) {
+                return await StockReservationService.reserveForOrder(order, companyId);
+            }
+        } catch (error) {
+            console.error(`[StockReservation] Failed to update reservations for order ${order.orderIdDisplay}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Active reservations held by an order.
+     * @returns {Promise<Array<object>>} [{ materialId, materialName, category, batchId, length, lengthUnit, gauge, width, widthUnit, quantity, reservedAt }]
+     */
+    static async getOrderReservations(orderId, companyId) {
+        const materials = await StockReservationService.findMaterialsHolding(companyId, orderId, []);
+        const lines = [];
+        materials.forEach(material => {
+            StockReservationService.batchesOf(material).forEach(batch => {
+                (batch.reservations || [])
+                    .filter(r => r.orderId.toString() === orderId.toString())
+                    .forEach(reservation => lines.push({
+                        materialId: material._id,
+                        materialName: material.name,
+                        category: material.category,
+                        batchId: batch.batchId,
+                        length: batch.length ? num(batch.length) : undefined,
+                        lengthUnit: batch.lengthUnit,
+                        gauge: batch.gauge,
+                        width: batch.selectedWidth ? num(batch.selectedWidth) : undefined,
+                        widthUnit: batch.widthUnit,
+                        quantity: num(reservation.quantity),
+                        reservedAt: reservation.reservedAt
+                    }));
+            });
+        });
+        return lines;
+    }
+
+    static async findMaterialsHolding(companyId, orderId, materialIds) {
+        const orderObjectId = new mongoose.Types.ObjectId(orderId.toString());
+        return MaterialV2.find({
+            companyId,
+            $or: [
+                { _id: { $in: materialIds } },
+                { 'profileBatches.reservations.orderId': orderObjectId },
+                { 'simpleBatches.reservations.orderId': orderObjectId }
+            ]
+        });
+    }
+
+    static batchesOf(material) {
+        return material.category === 'Profile' ? material.profileBatches : material.simpleBatches;
+    }
+
+    static removeOrderReservations(material, orderId) {
+        let removed = false;
+        StockReservationService.batchesOf(material).forEach(batch => {
+            const kept = (batch.reservations || []).filter(r => r.orderId.toString() !== orderId.toString());
+            if (kept.length !== (batch.reservations || []).length) {
+                batch.reservations = kept;
+                removed = true;
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * Splits an aggregated order requirement into reservable needs, each with a batch filter.
+     * Profiles: pipes per length (and gauge); wire mesh: area per roll width; others: stock units.
+     */
+    static describeNeeds(material, requirement) {
+        if (material.category === 'Profile') {
+            const gauge = requirement.gaugeSnapshot || null;
+            return (requirement.pipeBreakdown || []).map(pipe => {
+                const lengthInInches = pipe.lengthInInches || toInches(pipe.length, pipe.unit);
+                return {
+                    quantity: pipe.count,
+                    unit: 'pcs',
+                    label: `${num(pipe.length)} ${pipe.unit}${gauge ? ` ${gauge}` : ''}`,
+                    matches: batch => Math.abs(toInches(batch.length, batch.lengthUnit) - lengthInInches) < 0.1 && (!gauge || batch.gauge === gauge)
+                };
+            });
+        }
+
+        if (material.category === 'Wire Mesh' && requirement.wireMeshItems && requirement.wireMeshItems.length > 0) {
+            const areaByWidth = new Map();
+            requirement.wireMeshItems.forEach(item => {
+                try {
+                    const { widthInFeet, areaSqft } = WireMeshOptimizationService.resolveOrderItemWidth(item, material.standardLengths);
+                    const key = widthInFeet.toFixed(2);
+                    areaByWidth.set(key, (areaByWidth.get(key) || 0) + areaSqft);
+                } catch (error) {
+                    console.warn(`[StockReservation] ${material.name}: ${error.message}`);
+                }
+            });
+            return [...areaByWidth.entries()].map(([key, areaSqft]) => ({
+                quantity: areaSqft,
+                unit: 'sqft',
+                byArea: true,
+                label: `${key} ft wide`,
+                matches: batch => batch.selectedWidth && toFeet(batch.selectedWidth, batch.widthUnit).toFixed(2) === key
+            }));
+        }
+
+        return [{
+            quantity: num(requirement.totalQuantity),
+            unit: requirement.quantityUnit || material.stockUnit,
+            label: material.name,
+            matches: () => true
+        }];
+    }
+
+    static batchesForNeed(material, need) {
+        return StockReservationService.batchesOf(material)
+            .filter(batch => isReservable(batch) && need.matches(batch))
+            .sort(byPurchaseDate);
+    }
+
+    /**
+     * Reserves a need across batches, oldest first. Wire mesh needs are in area and reserved as rolls.
+     * @returns {number} What could not be reserved, in the need's unit.
+     */
+    static allocate(batches, order, need) {
+        let remaining = need.quantity;
+        for (const batch of batches) {
+            if (remaining <= EPSILON) break;
+
+            const free = StockReservationService.freeQuantity(batch);
+            if (free <= EPSILON) continue;
+
+            const perUnit = need.byArea ? toSqft(batch.areaPerRoll, batch.areaUnit) : 1;
+            if (!(perUnit > 0)) continue;
+
+            const take = Math.min(free, remaining / perUnit);
+            const existing = batch.reservations.find(r => r.orderId.toString() === order._id.toString());
+            if (existing) {
+                existing.quantity = toDecimal128(num(existing.quantity) + take);
+            } else {
+                batch.reservations.push({
+                    orderId: order._id,
+                    orderIdDisplay: order.orderIdDisplay,
+                    quantity: toDecimal128(take)
+                });
+            }
+            remaining -= take * perUnit;
+        }
+        return Math.max(remaining, 0);
+    }
+
+    /**
+     * Moves reservations off batches that no longer hold enough stock (or have expired) onto other batches
+     * of the same spec. Anything that does not fit is dropped; the order shows as short on its next stock check.
+     * @returns {boolean} Whether any reservation changed.
+     */
+    static rebalance(material) {
+        const batches = StockReservationService.batchesOf(material);
+        const sameSpec = (a, b) => material.category === 'Profile'
+            ? a.gauge === b.gauge && Math.abs(toInches(a.length, a.lengthUnit) - toInches(b.length, b.lengthUnit)) < 0.1
+            : material.category === 'Wire Mesh'
+                ? toFeet(a.selectedWidth, a.widthUnit).toFixed(2) === toFeet(b.selectedWidth, b.widthUnit).toFixed(2)
+                : true;
+
+        const now = new Date();
+        let changed = false;
+        batches.forEach(batch => {
+            const available = isReservable(batch, now) ? num(batch.currentQuantity) : 0;
+            let overflow = MaterialV2.getBatchReserved(batch) - available;
+            if (overflow <= EPSILON) return;
+            changed = true;
+
+            // Newest reservations give way first
+            const reservations = [...batch.reservations].sort((a, b) => new Date(a.reservedAt) - new Date(b.reservedAt));
+            const displaced = [];
+            while (overflow > EPSILON && reservations.length > 0) {
+                const last = reservations[reservations.length - 1];
+                const quantity = num(last.quantity);
+                if (quantity <= overflow + EPSILON) {
+                    reservations.pop();
+                    displaced.push({ orderId: last.orderId, orderIdDisplay: last.orderIdDisplay, quantity });
+                    overflow -= quantity;
+                } else {
+                    last.quantity = toDecimal128(quantity - overflow);
+                    displaced.push({ orderId: last.orderId, orderIdDisplay: last.orderIdDisplay, quantity: overflow });
+                    overflow = 0;
+                }
+            }
+            batch.reservations = reservations;
+
+            const candidates = batches
+                .filter(other => other !== batch && isReservable(other, now) && sameSpec(batch, other))
+                .sort(byPurchaseDate);
+            displaced.forEach(({ orderId, orderIdDisplay, quantity }) => {
+                StockReservationService.allocate(candidates, { _id: orderId, orderIdDisplay }, { quantity });
+            });
+        });
+        return changed;
+    }
+}
+
+StockReservationService.RESERVING_STATUSES = RESERVING_STATUSES;
+StockReservationService.RELEASING_STATUSES = RELEASING_STATUSES;
+
+module.exports = StockReservationService;
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const StockTake = require('../models/StockTake');
+const Counter = require('../models/Counter');
+const MaterialV2 = require('../models/MaterialV2');
+const StockTransaction = require('../models/StockTransaction');
+const InventoryValuationService = require('./inventoryValuationService');
+const StockReservationService = require('./stockReservationService');
+const { AppError } = require('../utils/appError');
+
+const OPEN_STATUSES = ['Counting', 'Submitted'];
+
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+const toDecimal = (value) => new Decimal(value ? value.toString() : '0');
+const isCounted = (line) => line.countedQuantity !== undefined && line.countedQuantity !== null;
+
+/**
+ * Physical stock-takes (cycle counts).
+ * Starting a count snapshots the book quantity of every active batch in scope; staff record what they
+ * find per batch, and approval posts the differences as 'Correction' stock transactions linked to the count.
+ */
+class StockTakeService {
+
+    /**
+     * Next stock-take number for the year, e.g. ST-2024-001.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<string>}
+     */
+    static async generateStockTakeNumber(companyId) {
+        const prefix = `ST-${new Date().getFullYear()}-`;
+        return Counter.nextNumber(companyId, prefix, StockTake, 'stockTakeNumber');
+    }
+
+    /**
+     * Wire mesh bought with area tracking is counted by area, the way it is consumed.
+     */
+    static countsByArea(material, batch) {
+        return material.category === 'Wire Mesh' && !!batch.totalArea && toDecimal(batch.areaPerRoll).greaterThan(0);
+    }
+
+    /**
+     * Book quantity of a batch in the unit it is counted in.
+     */
+    static bookQuantity(material, batch) {
+        return StockTakeService.countsByArea(material, batch) ? toDecimal(batch.totalArea) : toDecimal(batch.currentQuantity);
+    }
+
+    static lineFromBatch(material, batch) {
+        const countByArea = StockTakeService.countsByArea(material, batch);
+        return {
+            materialId: material._id,
+            materialNameSnapshot: material.name,
+            category: material.category,
+            batchId: batch.batchId,
+            length: material.category === 'Profile' ? batch.length : undefined,
+            lengthUnit: material.category === 'Profile' ? batch.lengthUnit : undefined,
+            gauge: material.category === 'Profile' ? batch.gauge : undefined,
+            width: batch.selectedWidth,
+            widthUnit: batch.widthUnit,
+            countByArea,
+            quantityUnit: material.category === 'Profile' ? 'pcs' : countByArea ? (batch.areaUnit || 'sqft') : material.stockUnit,
+            expectedQuantity: toDecimal128(StockTakeService.bookQuantity(material, batch)),
+            unitRate: toDecimal128(InventoryValuationService.batchRate(material, batch, countByArea))
+        };
+    }
+
+    /**
+     * Starts a count for the given materials and/or categories, listing every active batch with its
+     * book quantity. A material can only be in one open count at a time.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user starting the count.
+     * @param {object} data - { categories, materialIds, notes }
+     * @returns {Promise<object>} The new stock-take.
+     */
+    static async createStockTake(companyId, userId, data) {
+        const categories = Array.isArray(data.categories) ? data.categories.filter(Boolean) : [];
+        const materialIds = Array.isArray(data.materialIds) ? data.materialIds.filter(Boolean) : [];
+        if (categories.length === 0 && materialIds.length === 0) {
+            throw new AppError('Choose the materials or categories to count.', 400);
+        }
+        if (materialIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Invalid material selected.', 400);
+        }
+
+        const scopeQuery = [];
+        if (categories.length > 0) scopeQuery.push({ category: { $in: categories } });
+        if (materialIds.length > 0) scopeQuery.push({ _id: { $in: materialIds } });
+        const materials = await MaterialV2.find({ companyId, isActive: { $ne: false }, $or: scopeQuery }).sort({ category: 1, name: 1 });
+        if (materials.length === 0) {
+            throw new AppError('No materials match the selection.', 404);
+        }
+
+        const openCount = await StockTake.findOne({
+            companyId,
+            status: { $in: OPEN_STATUSES },
+            'lines.materialId': { $in: materials.map(material => material._id) }
+        }).select('stockTakeNumber lines.materialId lines.materialNameSnapshot');
+        if (openCount) {
+            const selected = new Set(materials.map(material => material._id.toString()));
+            const clash = openCount.lines.find(line => selected.has(line.materialId.toString()));
+            throw new AppError(`${clash ? clash.materialNameSnapshot : 'A selected material'} is already being counted on ${openCount.stockTakeNumber}. Finish or cancel that count first.`, 400);
+        }
+
+        const lines = [];
+        materials.forEach(material => {
+            const batches = material.category === 'Profile' ? material.profileBatches : material.simpleBatches;
+            (batches || [])
+                .filter(batch => batch.isActive && !batch.isCompleted)
+                .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate))
+                .forEach(batch => lines.push(StockTakeService.lineFromBatch(material, batch)));
+        });
+        if (lines.length === 0) {
+            throw new AppError('The selected materials have no batches in stock to count.', 400);
+        }
+
+        const stockTake = new StockTake({
+            companyId,
+            stockTakeNumber: await StockTakeService.generateStockTakeNumber(companyId),
+            scope: { categories, materialIds },
+            lines,
+            notes: data.notes,
+            createdBy: userId
+        });
+        return stockTake.save();
+    }
+
+    /**
+     * Records counted quantities while the count is open. An empty countedQuantity clears a line.
+     * @param {Array<object>} counts - [{ lineId, countedQuantity, notes }]
+     */
+    static async recordCounts(companyId, userId, stockTakeId, counts) {
+        const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+        if (stockTake.status !== 'Counting') {
+            throw new AppError(`${stockTake.stockTakeNumber} is ${stockTake.status}; counts can no longer be changed.`, 400);
+        }
+        if (!Array.isArray(counts) || counts.length === 0) {
+            throw new AppError('No counts to record.', 400);
+        }
+
+        counts.forEach(count => {
+            const line = stockTake.lines.id(count.lineId);
+            if (!line) {
+                throw new AppError(`Line ${count.lineId} is not on ${stockTake.stockTakeNumber}.`, 400);
+            }
+            if (count.countedQuantity === null || count.countedQuantity === '') {
+                line.countedQuantity = undefined;
+                line.countedBy = undefined;
+                line.countedAt = undefined;
+            } else if (count.countedQuantity !== undefined) {
+                const counted = Number(count.countedQuantity);
+                if (isNaN(counted) || counted < 0) {
+                    throw new AppError(`${line.materialNameSnapshot} (${line.batchId}): counted quantity must be zero or more.`, 400);
+                }
+                line.countedQuantity = toDecimal128(counted);
+                line.countedBy = userId;
+                line.countedAt = new Date();
+            }
+            if (count.notes !== undefined) line.notes = count.notes;
+        });
+
+        return stockTake.save();
+    }
+
+    /**
+     * Hands the count over for review. Lines left uncounted are not adjusted.
+     */
+    static async submitStockTake(companyId, userId, stockTakeId) {
+        const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+        if (stockTake.status !== 'Counting') {
+            throw new AppError(`${stockTake.stockTakeNumber} is already ${stockTake.status}.`, 400);
+        }
+        if (!stockTake.lines.some(isCounted)) {
+            throw new AppError('Enter at least one counted quantity before submitting.', 400);
+        }
+        stockTake.status = 'Submitted';
+        stockTake.submittedBy = userId;
+        stockTake.submittedAt = new Date();
+        return stockTake.save();
+    }
+
+    /**
+     * Sends a submitted count back to the counters, e.g. to recount lines with large variances.
+     */
+    static async reopenStockTake(companyId, stockTakeId, reviewNotes) {
+        const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+        if (stockTake.status !== 'Submitted') {
+            throw new AppError(`Only submitted counts can be sent back; ${stockTake.stockTakeNumber} is ${stockTake.status}.`, 400);
+        }
+        stockTake.status = 'Counting';
+        if (reviewNotes !== undefined) stockTake.reviewNotes = reviewNotes;
+        return stockTake.save();
+    }
+
+    static async cancelStockTake(companyId, stockTakeId) {
+        const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+        if (!OPEN_STATUSES.includes(stockTake.status)) {
+            throw new AppError(`${stockTake.stockTakeNumber} is already ${stockTake.status}.`, 400);
+        }
+        stockTake.status = 'Cancelled';
+        return stockTake.save();
+    }
+
+    /**
+     * Approves a submitted count and posts each variance (counted - expected) as a 'Correction'
+     * transaction on its batch. The variance is applied to the batch's current quantity, so stock
+     * drawn or received since the count started is not undone.
+     * @returns {Promise<{stockTake: object, transactions: Array<object>, skipped: Array<object>}>}
+     */
+    static async approveStockTake(companyId, userId, stockTakeId, reviewNotes) {
+        const stockTake = await StockTakeService.findStockTake(companyId, stockTakeId);
+        if (stockTake.status !== 'Submitted') {
+            throw new AppError(`Only submitted counts can be approved; ${stockTake.stockTakeNumber} is ${stockTake.status}.`, 400);
+        }
+
+        const varianceLines = stockTake.lines.filter(line =>
+            isCounted(line) && !toDecimal(line.countedQuantity).equals(toDecimal(line.expectedQuantity)));
+        const materialIds = [...new Set(varianceLines.map(line => line.materialId.toString()))];
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId });
+        const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+        const transactions = [];
+        const skipped = [];
+        varianceLines.forEach(line => {
+            const material = materialsById.get(line.materialId.toString());
+            const batches = material ? (material.category === 'Profile' ? material.profileBatches : material.simpleBatches) : [];
+            const batch = batches.find(b => b.batchId === line.batchId);
+            if (!batch) {
+                skipped.push({ lineId: line._id, batchId: line.batchId, materialName: line.materialNameSnapshot, reason: 'Batch no longer exists' });
+                return;
+            }
+
+            const variance = toDecimal(line.countedQuantity).minus(toDecimal(line.expectedQuantity));
+            const current = StockTakeService.bookQuantity(material, batch);
+            const updated = Decimal.max(current.plus(variance), 0);
+            const applied = updated.minus(current);
+            line.postedQuantity = toDecimal128(applied);
+            if (applied.isZero()) return;
+
+            const areaPerRoll = toDecimal(batch.areaPerRoll);
+            if (line.countByArea) {
+                batch.totalArea = toDecimal128(updated);
+                batch.currentQuantity = toDecimal128(updated.dividedBy(areaPerRoll).toDecimalPlaces(6));
+            } else {
+                batch.currentQuantity = toDecimal128(updated);
+                if (batch.totalArea && areaPerRoll.greaterThan(0)) {
+                    batch.totalArea = toDecimal128(updated.times(areaPerRoll));
+                }
+            }
+            batch.isCompleted = updated.lessThanOrEqualTo(0.001);
+
+            transactions.push({
+                companyId,
+                materialId: material._id,
+                type: 'Correction',
+                length: line.length,
+                lengthUnit: line.lengthUnit,
+                batchId: batch.batchId,
+                quantityChange: toDecimal128(applied),
+                // Same unit the batch's other ledger entries use: area for wire mesh, pieces otherwise
+                quantityUnit: line.countByArea ? (batch.areaUnit || 'sqft') : 'pcs',
+                unitRateAtTransaction: line.unitRate,
+                relatedDocumentType: 'StockTake',
+                relatedDocumentId: stockTake._id,
+                notes: `Stock take ${stockTake.stockTakeNumber}: counted ${line.countedQuantity.toString()} ${line.quantityUnit}, expected ${line.expectedQuantity.toString()} [Batch: ${batch.batchId}]`,
+                createdBy: userId
+            });
+        });
+
+        for (const material of materials) {
+            // Reservations that no longer fit a batch move to others of the same spec
+            StockReservationService.rebalance(material);
+            await material.save();
+        }
+        // Saved one by one so the pre-save hook values each correction
+        const created = [];
+        for (const txnData of transactions) {
+            created.push(await new StockTransaction(txnData).save());
+        }
+
+        stockTake.status = 'Approved';
+        stockTake.approvedBy = userId;
+        stockTake.approvedAt = new Date();
+        if (reviewNotes !== undefined) stockTake.reviewNotes = reviewNotes;
+        await stockTake.save();
+
+        console.log(`[StockTake] ✅ ${stockTake.stockTakeNumber} approved: ${created.length} correction(s) posted, ${skipped.length} skipped`);
+
+        return { stockTake, transactions: created, skipped };
+    }
+
+    /**
+     * Variance per line and totals for review.
+     */
+    static summarize(stockTake) {
+        const summary = { lineCount: stockTake.lines.length, countedCount: 0, varianceLineCount: 0, shortageValue: 0, excessValue: 0, netVarianceValue: 0 };
+        const lines = stockTake.lines.map(line => {
+            const counted = isCounted(line);
+            const variance = counted ? toDecimal(line.countedQuantity).minus(toDecimal(line.expectedQuantity)) : null;
+            const varianceValue = variance ? variance.times(toDecimal(line.unitRate)) : null;
+            if (counted) summary.countedCount += 1;
+            if (variance && !variance.isZero()) {
+                summary.varianceLineCount += 1;
+                if (variance.isNegative()) summary.shortageValue += varianceValue.toNumber();
+                else summary.excessValue += varianceValue.toNumber();
+            }
+            return {
+                lineId: line._id,
+                variance: variance ? variance.toNumber() : null,
+                varianceValue: varianceValue ? varianceValue.toDecimalPlaces(2).toNumber() : null
+            };
+        });
+        summary.netVarianceValue = summary.shortageValue + summary.excessValue;
+        ['shortageValue', 'excessValue', 'netVarianceValue'].forEach(key => {
+            summary[key] = Math.round(summary[key] * 100) / 100;
+        });
+        return { lines, summary };
+    }
+
+    static async findStockTake(companyId, stockTakeId) {
+        if (!mongoose.Types.ObjectId.isValid(stockTakeId)) {
+            throw new AppError('Stock take not found.', 404);
+        }
+        const stockTake = await StockTake.findOne({ _id: stockTakeId, companyId });
+        if (!stockTake) {
+            throw new AppError('Stock take not found.', 404);
+        }
+        return stockTake;
+    }
+}
+
+StockTakeService.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = StockTakeService;
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const StockTransfer = require('../models/StockTransfer');
+const Counter = require('../models/Counter');
+const MaterialV2 = require('../models/MaterialV2');
+const StockTransaction = require('../models/StockTransaction');
+const LocationService = require('./locationService');
+const StockReservationService = require('./stockReservationService');
+const StockTakeService = require('./stockTakeService');
+const InventoryValuationService = require('./inventoryValuationService');
+const { AppError } = require('../utils/appError');
+
+const toDecimal128 = (value) => mongoose.Types.Decimal128.fromString(new Decimal(value).toString());
+const toDecimal = (value) => new Decimal(value ? value.toString() : '0');
+
+/**
+ * Moves batch stock between locations.
+ * A whole batch is simply relocated; part of a batch is split off into a new batch at the destination
+ * that keeps the source's rate, supplier and purchase date. Each moved line is recorded as a
+ * 'Transfer-Out' / 'Transfer-In' pair of stock transactions, which net to zero in quantity and value.
+ */
+class StockTransferService {
+
+    /**
+     * Next transfer number for the year, e.g. TR-2024-001.
+     * @param {string} companyId - The ID of the company.
+     * @returns {Promise<string>}
+     */
+    static async generateTransferNumber(companyId) {
+        const prefix = `TR-${new Date().getFullYear()}-`;
+        return Counter.nextNumber(companyId, prefix, StockTransfer, 'transferNumber');
+    }
+
+    /**
+     * Posts a transfer.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} userId - The user moving the stock.
+     * @param {object} data - { fromLocationId, toLocationId, notes, lines: [{ materialId, batchId, quantity, notes }] }
+     *   Quantity is in the batch's quantity unit: pieces for profiles, rolls for wire mesh, stock units otherwise.
+     * @returns {Promise<{transfer: object, transactions: Array<object>}>}
+     */
+    static async createTransfer(companyId, userId, data) {
+        const { fromLocationId, toLocationId, notes } = data;
+        if (!fromLocationId || !toLocationId) {
+            throw new AppError('Choose the locations to move stock from and to.', 400);
+        }
+        if (fromLocationId.toString() === toLocationId.toString()) {
+            throw new AppError('Stock has to move to a different location.', 400);
+        }
+        if (!Array.isArray(data.lines) || data.lines.length === 0) {
+            throw new AppError('A transfer needs at least one line.', 400);
+        }
+
+        const fromLocation = await LocationService.findLocation(companyId, fromLocationId);
+        const toLocation = await LocationService.findLocation(companyId, toLocationId);
+        if (!toLocation.isActive) {
+            throw new AppError(`${toLocation.name} is inactive.`, 400);
+        }
+        const defaultLocationId = await LocationService.getDefaultLocationId(companyId);
+
+        const materialIds = [...new Set(data.lines.map(line => String(line.materialId)))];
+        if (materialIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Every line needs a valid material.', 400);
+        }
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId });
+        const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+        // Check every line (against what earlier lines already take) before moving anything
+        const moved = new Map();
+        const moves = data.lines.map((line, index) => {
+            const lineNo = index + 1;
+            const material = materialsById.get(String(line.materialId));
+            if (!material) {
+                throw new AppError(`Line ${lineNo}: material not found.`, 404);
+            }
+            const batch = material.activeBatches.find(b => b.batchId === line.batchId);
+            if (!batch) {
+                throw new AppError(`Line ${lineNo} (${material.name}): batch ${line.batchId} has no stock.`, 400);
+            }
+            if (!MaterialV2.isAtLocation(batch, fromLocation._id, defaultLocationId)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): batch ${line.batchId} is not at ${fromLocation.name}.`, 400);
+            }
+            const quantity = Number(line.quantity);
+            if (!(quantity > 0)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): quantity must be greater than 0.`, 400);
+            }
+            const key = `${material._id}_${batch.batchId}`;
+            const alreadyMoved = moved.get(key) || new Decimal(0);
+            const remaining = toDecimal(batch.currentQuantity).minus(alreadyMoved);
+            if (new Decimal(quantity).greaterThan(remaining)) {
+                throw new AppError(`Line ${lineNo} (${material.name}): moving ${quantity} but batch ${batch.batchId} holds ${remaining.toString()}.`, 400);
+            }
+            moved.set(key, alreadyMoved.plus(quantity));
+            return { material, batch, quantity: new Decimal(quantity), notes: line.notes };
+        });
+
+        const transfer = new StockTransfer({
+            companyId,
+            transferNumber: await StockTransferService.generateTransferNumber(companyId),
+            fromLocationId: fromLocation._id,
+            toLocationId: toLocation._id,
+            notes,
+            createdBy: userId
+        });
+
+        const transactions = [];
+        let totalValue = new Decimal(0);
+        moves.forEach(({ material, batch, quantity, notes: lineNotes }) => {
+            const ledger = StockTransferService.ledgerQuantity(material, batch, quantity);
+            const destination = StockTransferService.moveBatch(material, batch, quantity, toLocation._id);
+            const unitRate = toDecimal(material.category === 'Profile' ? batch.ratePerPiece : batch.ratePerUnit);
+            totalValue = totalValue.plus(quantity.times(unitRate));
+
+            transfer.lines.push({
+                materialId: material._id,
+                materialNameSnapshot: material.name,
+                category: material.category,
+                batchId: batch.batchId,
+                destinationBatchId: destination.batchId,
+                length: material.category === 'Profile' ? batch.length : undefined,
+                lengthUnit: material.category === 'Profile' ? batch.lengthUnit : undefined,
+                gauge: material.category === 'Profile' ? batch.gauge : undefined,
+                quantity: toDecimal128(quantity),
+                quantityUnit: StockTransferService.batchQuantityUnit(material),
+                unitRate: toDecimal128(unitRate),
+                notes: lineNotes
+            });
+
+            const common = {
+                companyId,
+                materialId: material._id,
+                length: material.category === 'Profile' ? batch.length : undefined,
+                lengthUnit: material.category === 'Profile' ? batch.lengthUnit : undefined,
+                quantityUnit: ledger.unit,
+                unitRateAtTransaction: toDecimal128(ledger.rate),
+                relatedDocumentType: 'StockTransfer',
+                relatedDocumentId: transfer._id,
+                createdBy: userId
+            };
+            transactions.push({
+                ...common,
+                type: 'Transfer-Out',
+                batchId: batch.batchId,
+                locationId: fromLocation._id,
+                quantityChange: toDecimal128(ledger.quantity.negated()),
+                notes: `Transfer ${transfer.transferNumber} to ${toLocation.name} [Batch: ${batch.batchId}]`
+            });
+            transactions.push({
+                ...common,
+                type: 'Transfer-In',
+                batchId: destination.batchId,
+                locationId: toLocation._id,
+                quantityChange: toDecimal128(ledger.quantity),
+                notes: `Transfer ${transfer.transferNumber} from ${fromLocation.name} [Batch: ${destination.batchId}]`
+            });
+        });
+        transfer.totalValue = toDecimal128(totalValue.toDecimalPlaces(2));
+
+        for (const material of materials) {
+            // Reservations left on a split batch that no longer fit move to batches of the same spec
+            StockReservationService.rebalance(material);
+            await material.save();
+        }
+        await transfer.save();
+        const created = [];
+        for (const txnData of transactions) {
+            created.push(await new StockTransaction(txnData).save());
+        }
+
+        console.log(`[StockTransfer] ✅ ${transfer.transferNumber}: ${transfer.lines.length} line(s) from ${fromLocation.name} to ${toLocation.name}`);
+
+        return { transfer, transactions: created };
+    }
+
+    /**
+     * Unit transfer quantities are entered in: pieces for profiles, rolls for wire mesh, stock units otherwise.
+     */
+    static batchQuantityUnit(material) {
+        if (material.category === 'Profile') return 'pcs';
+        return material.category === 'Wire Mesh' ? 'rolls' : material.stockUnit;
+    }
+
+    /**
+     * Quantity, unit and rate a move is posted to the ledger with. Wire mesh counted by area is posted
+     * in area, like stock takes post it; everything else in the unit the quantity was entered in.
+     * Call before moveBatch, which changes the batch's area.
+     */
+    static ledgerQuantity(material, batch, quantity) {
+        if (StockTakeService.countsByArea(material, batch)) {
+            const area = toDecimal(batch.totalArea).times(quantity).dividedBy(toDecimal(batch.currentQuantity));
+            return {
+                quantity: area.toDecimalPlaces(6),
+                unit: batch.areaUnit || 'sqft',
+                rate: InventoryValuationService.batchRate(material, batch, true)
+            };
+        }
+        return {
+            quantity,
+            unit: StockTransferService.batchQuantityUnit(material),
+            rate: InventoryValuationService.batchRate(material, batch)
+        };
+    }
+
+    /**
+     * Moves quantity of a batch to a location, relocating the whole batch or splitting off a new one.
+     * @returns {object} The batch now holding the moved stock.
+     */
+    static moveBatch(material, batch, quantity, toLocationId) {
+        const current = toDecimal(batch.currentQuantity);
+        if (quantity.equals(current)) {
+            batch.locationId = toLocationId;
+            return batch;
+        }
+
+        const share = quantity.dividedBy(current);
+        const split = batch.toObject();
+        delete split._id;
+        Object.assign(split, {
+            batchId: MaterialV2.generateBatchId(),
+            originalQuantity: toDecimal128(quantity),
+            currentQuantity: toDecimal128(quantity),
+            locationId: toLocationId,
+            transferredFromBatchId: batch.batchId,
+            reservations: [],
+            isCompleted: false
+        });
+
+        if (material.category === 'Profile') {
+            split.totalCostPaid = toDecimal128(quantity.times(toDecimal(batch.ratePerPiece)).toDecimalPlaces(4));
+            if (batch.actualTotalWeight) {
+                // Weight is prorated over originalQuantity, so carry the moved pieces' share of it
+                const weightPerPiece = toDecimal(batch.actualTotalWeight).dividedBy(toDecimal(batch.originalQuantity));
+                split.actualTotalWeight = toDecimal128(weightPerPiece.times(quantity).toDecimalPlaces(4));
+            }
+        } else {
+            split.totalCostPaid = toDecimal128(quantity.times(toDecimal(batch.ratePerUnit)).toDecimalPlaces(4));
+            if (batch.totalArea) {
+                const movedArea = toDecimal(batch.totalArea).times(share);
+                split.totalArea = toDecimal128(movedArea.toDecimalPlaces(6));
+                batch.totalArea = toDecimal128(toDecimal(batch.totalArea).minus(movedArea).toDecimalPlaces(6));
+            }
+        }
+        batch.currentQuantity = toDecimal128(current.minus(quantity));
+
+        const batches = material.category === 'Profile' ? material.profileBatches : material.simpleBatches;
+        batches.push(split);
+        return batches[batches.length - 1];
+    }
+
+    static async findTransfer(companyId, transferId) {
+        if (!mongoose.Types.ObjectId.isValid(transferId)) {
+            throw new AppError('Stock transfer not found.', 404);
+        }
+        const transfer = await StockTransfer.findOne({ _id: transferId, companyId });
+        if (!transfer) {
+            throw new AppError('Stock transfer not found.', 404);
+        }
+        return transfer;
+    }
+}
+
+module.exports = StockTransferService;
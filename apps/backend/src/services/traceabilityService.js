@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const MaterialV2 = require('../models/MaterialV2');
+const StockTransaction = require('../models/StockTransaction');
+const CuttingPlan = require('../models/CuttingPlan');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const { AppError } = require('../utils/appError');
+
+// Transactions that take stock out of a batch for use (transfers and corrections only move or fix it)
+const OUTWARD_TYPES = ['Outward-Manual', 'Outward-OrderCut', 'Scrap'];
+
+const num = (value) => (value === undefined || value === null ? 0 : parseFloat(value.toString()) || 0);
+const round = (value) => Math.round(value * 10000) / 10000;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const allBatches = (material) => [...(material.profileBatches || []), ...(material.simpleBatches || [])];
+
+const formatBatch = (material, batch) => ({
+    materialId: material._id,
+    materialName: material.name,
+    category: material.category,
+    batchId: batch.batchId,
+    lotNumber: batch.lotNumber,
+    invoiceNumber: batch.invoiceNumber,
+    supplier: batch.supplier,
+    purchaseDate: batch.purchaseDate,
+    expiryDate: batch.expiryDate,
+    length: batch.length ? batch.length.toString() : undefined,
+    lengthUnit: batch.lengthUnit,
+    gauge: batch.gauge,
+    originalQuantity: num(batch.originalQuantity),
+    currentQuantity: num(batch.currentQuantity),
+    unit: material.category === 'Profile' ? 'pcs' : material.stockUnit,
+    locationId: batch.locationId,
+    transferredFromBatchId: batch.transferredFromBatchId
+});
+
+/**
+ * Lot traceability over the stock ledger.
+ * Every outward transaction keeps the batchId it drew from (offcuts carry their source batch), so usage can be
+ * followed from a supplier lot to the orders and invoices it went into, and from an order back to its lots.
+ */
+class TraceabilityService {
+
+    /**
+     * Where a lot went: the batches carrying it (including pieces split off by transfers) and the orders,
+     * customer invoices and other issues that consumed them.
+     * @param {string} companyId - The ID of the company.
+     * @param {object} query - { lotNumber } or { batchId } to trace one batch.
+     * @returns {Promise<object>} { lotNumber, batchId, batches, orders, otherUsage }
+     */
+    static async traceLot(companyId, { lotNumber, batchId } = {}) {
+        if (!lotNumber && !batchId) {
+            throw new AppError('Give a lot number or batch ID to trace.', 400);
+        }
+
+        const filter = lotNumber
+            ? (() => {
+                const pattern = new RegExp(`^${escapeRegex(lotNumber.trim())}$`, 'i');
+                return { $or: [{ 'profileBatches.lotNumber': pattern }, { 'simpleBatches.lotNumber': pattern }] };
+            })()
+            : { $or: [{ 'profileBatches.batchId': batchId }, { 'simpleBatches.batchId': batchId }] };
+        const materials = await MaterialV2.find({ companyId, ...filter })
+            .select('name category stockUnit profileBatches simpleBatches remnantBatches');
+
+        if (materials.length === 0) {
+            throw new AppError(lotNumber ? `No batches found for lot '${lotNumber}'.` : `Batch ${batchId} not found.`, 404);
+        }
+
+        const batches = [];
+        const batchIdsByMaterial = new Map();
+        materials.forEach(material => {
+            const traced = new Set(allBatches(material)
+                .filter(batch => lotNumber
+                    ? (batch.lotNumber || '').trim().toLowerCase() === lotNumber.trim().toLowerCase()
+                    : batch.batchId === batchId)
+                .map(batch => batch.batchId));
+
+            // Stock moved to another location is split into a new batch; follow it
+            let added = true;
+            while (added) {
+                added = false;
+                allBatches(material).forEach(batch => {
+                    if (batch.transferredFromBatchId && traced.has(batch.transferredFromBatchId) && !traced.has(batch.batchId)) {
+                        traced.add(batch.batchId);
+                        added = true;
+                    }
+                });
+            }
+
+            allBatches(material)
+                .filter(batch => traced.has(batch.batchId))
+                .forEach(batch => batches.push(formatBatch(material, batch)));
+            batchIdsByMaterial.set(material._id.toString(), {
+                material,
+                batchIds: [...traced],
+                remnantIds: (material.remnantBatches || [])
+                    .filter(remnant => traced.has(remnant.sourceBatchId))
+                    .map(remnant => remnant.remnantId)
+            });
+        });
+
+        // Offcut issues recorded before they carried the source batch are matched through the remnant
+        const transactions = await StockTransaction.find({
+            companyId,
+            type: { $in: OUTWARD_TYPES },
+            $or: [...batchIdsByMaterial.entries()].map(([materialId, { batchIds, remnantIds }]) => ({
+                materialId,
+                $or: [{ batchId: { $in: batchIds } }, { remnantId: { $in: remnantIds } }]
+            }))
+        }).sort({ transactionDate: 1 });
+
+        const orderIdsByTransaction = await TraceabilityService.resolveOrderIds(companyId, transactions);
+        const orderIds = [...new Set([...orderIdsByTransaction.values()])];
+        const [orders, invoices] = await Promise.all([
+            Order.find({ _id: { $in: orderIds }, companyId }).select('orderIdDisplay clientSnapshot.clientName status'),
+            Invoice.find({ orderId: { $in: orderIds }, companyId }).select('invoiceIdDisplay orderId status invoiceDate')
+        ]);
+
+        const ordersById = new Map(orders.map(order => [order._id.toString(), {
+            orderId: order._id,
+            orderIdDisplay: order.orderIdDisplay,
+            clientName: order.clientSnapshot?.clientName,
+            status: order.status,
+            invoices: [],
+            usage: []
+        }]));
+        invoices.forEach(invoice => {
+            const order = ordersById.get(invoice.orderId.toString());
+            if (order) {
+                order.invoices.push({
+                    invoiceId: invoice._id,
+                    invoiceIdDisplay: invoice.invoiceIdDisplay,
+                    status: invoice.status,
+                    invoiceDate: invoice.invoiceDate
+                });
+            }
+        });
+
+        const otherUsage = [];
+        transactions.forEach(txn => {
+            const { material } = batchIdsByMaterial.get(txn.materialId.toString());
+            const usage = {
+                materialName: material.name,
+                batchId: txn.batchId,
+                remnantId: txn.remnantId,
+                type: txn.type,
+                quantity: round(-num(txn.quantityChange)),
+                unit: txn.quantityUnit,
+                value: round(-num(txn.totalValueChange)),
+                date: txn.transactionDate
+            };
+            const order = ordersById.get(orderIdsByTransaction.get(txn._id.toString()));
+            if (order) {
+                order.usage.push(usage);
+            } else {
+                otherUsage.push({ ...usage, notes: txn.notes });
+            }
+        });
+
+        return {
+            lotNumber: lotNumber || (batches[0] && batches[0].lotNumber),
+            batchId,
+            batches,
+            orders: [...ordersById.values()],
+            otherUsage
+        };
+    }
+
+    /**
+     * Which lots went into an order: every batch its cutting plans and material commits drew from.
+     * @param {string} companyId - The ID of the company.
+     * @param {string} orderId - The order to trace: its id or order number.
+     * @returns {Promise<object>} { order, invoices, lots }
+     */
+    static async traceOrder(companyId, orderId) {
+        // Staff know orders by their number (SO-2024-001), links pass the id
+        const orderFilter = mongoose.Types.ObjectId.isValid(orderId)
+            ? { _id: orderId }
+            : { orderIdDisplay: new RegExp(`^${escapeRegex(String(orderId).trim())}$`, 'i') };
+        const order = await Order.findOne({ ...orderFilter, companyId }).select('orderIdDisplay clientSnapshot.clientName status');
+        if (!order) {
+            throw new AppError('Order not found.', 404);
+        }
+
+        const plans = await CuttingPlan.find({ orderId: order._id, companyId }).select('_id');
+        const [transactions, invoices] = await Promise.all([
+            StockTransaction.find({
+                companyId,
+                type: { $in: OUTWARD_TYPES },
+                $or: [
+                    { orderId: order._id },
+                    { relatedDocumentType: 'Order', relatedDocumentId: order._id },
+                    { relatedDocumentType: 'CuttingPlan', relatedDocumentId: { $in: plans.map(plan => plan._id) } }
+                ]
+            }).sort({ transactionDate: 1 }),
+            Invoice.find({ orderId: order._id, companyId }).select('invoiceIdDisplay status invoiceDate')
+        ]);
+
+        const materialIds = [...new Set(transactions.map(txn => txn.materialId.toString()))];
+        const materials = await MaterialV2.find({ _id: { $in: materialIds }, companyId })
+            .select('name category stockUnit profileBatches simpleBatches remnantBatches');
+        const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+
+        // materialId|batchId -> lot line
+        const lots = new Map();
+        transactions.forEach(txn => {
+            const material = materialsById.get(txn.materialId.toString());
+            let batchId = txn.batchId;
+            if (!batchId && txn.remnantId && material) {
+                const remnant = (material.remnantBatches || []).find(r => r.remnantId === txn.remnantId);
+                batchId = remnant && remnant.sourceBatchId;
+            }
+            const key = `${txn.materialId}|${batchId || ''}`;
+            let lot = lots.get(key);
+            if (!lot) {
+                const batch = material && batchId ? allBatches(material).find(b => b.batchId === batchId) : null;
+                lot = batch
+                    ? { ...formatBatch(material, batch), quantity: 0, value: 0, fromRemnant: false }
+                    : {
+                        materialId: txn.materialId,
+                        materialName: material ? material.name : 'Deleted material',
+                        batchId,
+                        quantity: 0,
+                        value: 0,
+                        fromRemnant: false
+                    };
+                lot.quantityUnit = txn.quantityUnit;
+                lots.set(key, lot);
+            }
+            lot.quantity = round(lot.quantity - num(txn.quantityChange));
+            lot.value = round(lot.value - num(txn.totalValueChange));
+            if (txn.remnantId) lot.fromRemnant = true;
+        });
+
+        return {
+            order: {
+                orderId: order._id,
+                orderIdDisplay: order.orderIdDisplay,
+                clientName: order.clientSnapshot?.clientName,
+                status: order.status
+            },
+            invoices: invoices.map(invoice => ({
+                invoiceId: invoice._id,
+                invoiceIdDisplay: invoice.invoiceIdDisplay,
+                status: invoice.status,
+                invoiceDate: invoice.invoiceDate
+            })),
+            lots: [...lots.values()]
+        };
+    }
+
+    /**
+     * Order each outward transaction was charged to: its orderId (cutting batches), the order it was
+     * committed for, or the order of the cutting plan it was cut for.
+     * @returns {Promise<Map<string, string>>} transaction id -> order id
+     */
+    static async resolveOrderIds(companyId, transactions) {
+        const planIds = transactions
+            .filter(txn => !txn.orderId && txn.relatedDocumentType === 'CuttingPlan' && txn.relatedDocumentId)
+            .map(txn => txn.relatedDocumentId);
+        const plans = planIds.length > 0
+            ? await CuttingPlan.find({ _id: { $in: planIds }, companyId }).select('orderId')
+            : [];
+        const orderIdByPlan = new Map(plans.map(plan => [plan._id.toString(), plan.orderId.toString()]));
+
+        const result = new Map();
+        transactions.forEach(txn => {
+            let orderId = null;
+            if (txn.orderId) {
+                orderId = txn.orderId.toString();
+            } else if (txn.relatedDocumentType === 'Order' && txn.relatedDocumentId) {
+                orderId = txn.relatedDocumentId.toString();
+            } else if (txn.relatedDocumentType === 'CuttingPlan' && txn.relatedDocumentId) {
+                orderId = orderIdByPlan.get(txn.relatedDocumentId.toString()) || null;
+            }
+            if (orderId) result.set(txn._id.toString(), orderId);
+        });
+        return result;
+    }
+}
+
+module.exports = TraceabilityService;
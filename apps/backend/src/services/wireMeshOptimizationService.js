@@ -226,6 +226,29 @@ class WireMeshOptimizationService {
         };
     }
 
+    /**
+     * Roll width an order's wire mesh item is cut from, and the area it takes, in feet.
+     * Uses the width chosen when the order was optimized, otherwise the narrowest standard width that fits.
+     * @param {object} item - An aggregatedOrderMaterials wireMeshItems entry ({ width, height, unit, quantity, optimization })
+     * @param {Array} standardWidths - The material's standard widths (stored as standardLengths)
+     * @returns {{widthInFeet: number, areaSqft: number}}
+     */
+    static resolveOrderItemWidth(item, standardWidths) {
+        const unit = item.unit || 'ft';
+        const toFeet = (value) => convertUnit(parseFloat(value) || 0, unit, 'ft').result || 0;
+        const requiredWidthFt = toFeet(item.optimization?.requiredWidth || item.width);
+        const requiredLengthFt = toFeet(item.optimization?.requiredLength || item.height);
+
+        const widthInFeet = item.optimization?.selectedWidth
+            ? toFeet(item.optimization.selectedWidth)
+            : WireMeshOptimizationService.findOptimalWidth(standardWidths, requiredWidthFt, 'ft').selectedWidth;
+
+        return {
+            widthInFeet,
+            areaSqft: requiredWidthFt * requiredLengthFt * (item.quantity || 1)
+        };
+    }
+
     /**
      * Get Wire Mesh material efficiency report
      * @param {string} materialId - Material ID
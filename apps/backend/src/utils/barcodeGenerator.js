@@ -0,0 +1,82 @@
+/**
+ * Code 128 (subset B) barcodes as inline SVG, for printed labels.
+ *
+ * Subset B covers printable ASCII, which is all a piece ID needs, and every handheld scanner reads it
+ * out of the box. Bars are drawn in module units; the SVG is scaled to the label by the caller.
+ */
+
+// Bar/space widths (in modules) for symbol values 0-106, starting with a bar
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encodes text as Code 128B symbol values, including start, checksum and stop.
+ * @param {string} text - Printable ASCII (space to '~').
+ * @returns {number[]} Symbol values.
+ * @throws {Error} If the text is empty or contains characters outside subset B.
+ */
+function encodeCode128B(text) {
+    if (!text) {
+        throw new Error('Cannot encode an empty barcode.');
+    }
+
+    const values = [START_B];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code < 32 || code > 126) {
+            throw new Error(`Character '${char}' cannot be encoded in a Code 128 barcode.`);
+        }
+        values.push(code - 32);
+    }
+
+    const checksum = values.reduce((sum, value, index) => sum + value * (index === 0 ? 1 : index), 0) % 103;
+    values.push(checksum, STOP);
+    return values;
+}
+
+/**
+ * Renders text as a Code 128 barcode.
+ * @param {string} text - Text to encode (e.g. a piece ID).
+ * @param {object} [options]
+ * @param {number} [options.height=40] - Bar height in modules.
+ * @returns {string} An SVG element; width and height are left to CSS, the viewBox keeps bar proportions.
+ */
+function generateCode128Svg(text, { height = 40 } = {}) {
+    const values = encodeCode128B(text);
+
+    const rects = [];
+    let x = QUIET_ZONE_MODULES;
+    values.forEach(value => {
+        const widths = CODE128_PATTERNS[value];
+        for (let i = 0; i < widths.length; i++) {
+            const width = Number(widths[i]);
+            if (i % 2 === 0) {
+                rects.push(`<rect x="${x}" y="0" width="${width}" height="${height}"/>`);
+            }
+            x += width;
+        }
+    });
+    const totalWidth = x + QUIET_ZONE_MODULES;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges"><g fill="#000">${rects.join('')}</g></svg>`;
+}
+
+module.exports = {
+    encodeCode128B,
+    generateCode128Svg
+};
@@ -0,0 +1,138 @@
+/**
+ * Minimal delimited-text parser for spreadsheet imports.
+ * Handles quoted fields (with embedded delimiters, newlines and doubled quotes), CRLF line endings and a
+ * leading byte-order mark. The delimiter is detected from the header line: a tab when the text was pasted
+ * from Excel, otherwise comma or semicolon.
+ */
+
+const CANDIDATE_DELIMITERS = ['\t', ',', ';'];
+
+function detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        const count = headerLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Splits delimited text into rows of raw string cells.
+ * @param {string} text - File content.
+ * @param {string} [delimiter] - Detected from the header line when omitted.
+ * @returns {Array<Array<string>>}
+ */
+function parseRows(text, delimiter) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(content);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === sep) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function isBlank(cells) {
+    return cells.every(value => value.trim() === '');
+}
+
+/**
+ * Normalizes a header for matching: lower case without spaces, underscores, dashes or dots.
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[\s_.\-]/g, '');
+}
+
+/**
+ * Parses delimited text with a header row into objects keyed by the header.
+ * @param {string} text - File content.
+ * @param {object} [columns] - Map of normalized header (see normalizeHeader) -> field name. Unknown headers are
+ *   returned in `unknownColumns` and left out of the records.
+ * @returns {{records: Array<{rowNumber: number, values: object}>, unknownColumns: Array<string>}}
+ *   rowNumber is the line in the spreadsheet (the header is row 1).
+ */
+function parseCsv(text, columns) {
+    const rows = parseRows(text);
+    while (rows.length > 0 && isBlank(rows[0])) rows.shift();
+    if (rows.length === 0) {
+        return { records: [], unknownColumns: [] };
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const unknownColumns = [];
+    const fields = headers.map(header => {
+        if (!columns) return header;
+        const field = columns[normalizeHeader(header)];
+        if (!field && header) unknownColumns.push(header);
+        return field;
+    });
+
+    const records = [];
+    rows.slice(1).forEach((cells, index) => {
+        // Blank rows (including rows of empty cells left by spreadsheet exports) are skipped but still counted
+        if (isBlank(cells)) return;
+        const values = {};
+        fields.forEach((field, column) => {
+            if (!field) return;
+            const value = (cells[column] || '').trim();
+            if (value !== '') values[field] = value;
+        });
+        records.push({ rowNumber: index + 2, values });
+    });
+
+    return { records, unknownColumns };
+}
+
+/**
+ * Quotes a value for a CSV cell when needed.
+ */
+function toCsvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    parseCsv,
+    parseRows,
+    normalizeHeader,
+    toCsvCell
+};
@@ -0,0 +1,102 @@
+/**
+ * Helpers for cut-end angles on profile pieces.
+ *
+ * Angles are measured between the cut face and the bar axis, in degrees:
+ * 90 is a square cut, 45 is the usual frame mitre. Cut lengths are always long-point lengths
+ * (the longest edge of the piece), which is what formulas for mitred frames produce.
+ */
+
+const SQUARE_CUT_ANGLE = 90;
+const MIN_CUT_ANGLE = 15; // Most mitre saws cannot go below this
+const ANGLE_EPSILON = 0.01;
+
+/**
+ * Returns { startAngle, endAngle } with square cuts filled in for missing values.
+ * @param {object} [angles] - { startAngle, endAngle }
+ */
+function normalizeCutAngles(angles) {
+    const toAngle = value => (value === null || value === undefined || value === '') ? SQUARE_CUT_ANGLE : Number(value);
+    return {
+        startAngle: toAngle(angles && angles.startAngle),
+        endAngle: toAngle(angles && angles.endAngle)
+    };
+}
+
+/**
+ * Validates one { startAngle, endAngle } entry.
+ * @returns {string|null} An error message, or null if the angles are valid.
+ */
+function validateCutAngles(angles) {
+    const { startAngle, endAngle } = normalizeCutAngles(angles);
+    for (const [label, angle] of [['start', startAngle], ['end', endAngle]]) {
+        if (isNaN(angle) || angle < MIN_CUT_ANGLE || angle > SQUARE_CUT_ANGLE) {
+            return `Cut ${label} angle must be between ${MIN_CUT_ANGLE}° and ${SQUARE_CUT_ANGLE}° (got ${angles[`${label}Angle`]}).`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Angles for the cut produced by a product material's formula.
+ * ProductType.materials[].cutAngles is parallel to formulas; missing entries are square cuts.
+ * @param {object} materialLink - ProductType.materials[] entry
+ * @param {number} formulaIndex - Index into materialLink.formulas
+ */
+function getFormulaCutAngles(materialLink, formulaIndex) {
+    const cutAngles = materialLink && Array.isArray(materialLink.cutAngles) ? materialLink.cutAngles : [];
+    return normalizeCutAngles(cutAngles[formulaIndex]);
+}
+
+function isSquareAngle(angle) {
+    return angle === null || angle === undefined || angle >= SQUARE_CUT_ANGLE - ANGLE_EPSILON;
+}
+
+function isMitred(angles) {
+    return !!angles && (!isSquareAngle(angles.startAngle) || !isSquareAngle(angles.endAngle));
+}
+
+function toRadians(angle) {
+    return angle * Math.PI / 180;
+}
+
+/**
+ * Kerf measured along the bar for a cut at the given angle (an angled cut is wider along the bar).
+ */
+function kerfAlongBar(kerf, angle) {
+    return isSquareAngle(angle) ? kerf : kerf / Math.sin(toRadians(angle));
+}
+
+/**
+ * Length along the bar between the long point and the short point of a mitred end.
+ * @param {number} angle - Cut angle in degrees
+ * @param {number} sectionDepth - Profile depth across the mitred face, same unit as the result
+ */
+function mitreOffset(angle, sectionDepth) {
+    if (isSquareAngle(angle) || !sectionDepth) return 0;
+    return sectionDepth / Math.tan(toRadians(angle));
+}
+
+/**
+ * Short label for display, e.g. "45°/45°" or "90°/45°". Empty for square-cut pieces.
+ * @param {object} angles - { startAngle, endAngle }
+ */
+function formatCutAngles(angles) {
+    if (!isMitred(angles)) return '';
+    const { startAngle, endAngle } = normalizeCutAngles(angles);
+    const format = angle => `${parseFloat(angle.toFixed(1))}°`;
+    return `${format(startAngle)}/${format(endAngle)}`;
+}
+
+module.exports = {
+    SQUARE_CUT_ANGLE,
+    MIN_CUT_ANGLE,
+    ANGLE_EPSILON,
+    normalizeCutAngles,
+    validateCutAngles,
+    getFormulaCutAngles,
+    isSquareAngle,
+    isMitred,
+    kerfAlongBar,
+    mitreOffset,
+    formatCutAngles
+};
@@ -0,0 +1,322 @@
+const puppeteer = require('puppeteer');
+const { formatCutAngles } = require('./cutAngleUtils');
+const { generateCode128Svg } = require('./barcodeGenerator');
+
+/**
+ * Label sizes (mm). Roll sizes print one label per PDF page, for thermal label printers;
+ * sheet sizes lay labels out on A4 / Letter label stock for office printers.
+ */
+const LABEL_SIZES = {
+  '50x25': { name: '50 x 25 mm roll', width: 50, height: 25 },
+  '62x29': { name: '62 x 29 mm roll', width: 62, height: 29 },
+  '100x50': { name: '100 x 50 mm roll', width: 100, height: 50 },
+  '4x2in': { name: '4 x 2 in roll', width: 101.6, height: 50.8 },
+  'a4-3x8': {
+    name: 'A4 sheet, 24 labels (70 x 37 mm)', width: 70, height: 37,
+    sheet: { pageWidth: 210, pageHeight: 297, columns: 3, rows: 8, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 }
+  },
+  'a4-2x7': {
+    name: 'A4 sheet, 14 labels (99.1 x 38.1 mm)', width: 99.1, height: 38.1,
+    sheet: { pageWidth: 210, pageHeight: 297, columns: 2, rows: 7, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 }
+  },
+  'letter-3x10': {
+    name: 'Letter sheet, 30 labels (2.625 x 1 in)', width: 66.7, height: 25.4,
+    sheet: { pageWidth: 215.9, pageHeight: 279.4, columns: 3, rows: 10, marginTop: 12.7, marginLeft: 4.8, gapX: 3.2, gapY: 0 }
+  }
+};
+
+const DEFAULT_LABEL_SIZE = '62x29';
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatLength = (value, unit) => `${parseFloat(value?.toString() || '0').toFixed(2)} ${unit || ''}`.trim();
+
+/**
+ * Flattens material plans into label data: one label per cut piece, optionally preceded by one per bar.
+ * @param {Array<Object>} materialPlans - CuttingPlan/CuttingBatch materialPlans
+ * @param {Object} options
+ * @param {Object} options.orders - orderId -> order (orderIdDisplay and items are used)
+ * @param {Object} [options.defaultOrder] - Order for cuts without an orderId (single-order plans)
+ * @param {string} options.reference - Plan / batch reference, used to build bar codes
+ * @param {boolean} [options.includeBars=true] - Add a label for every bar, ahead of its pieces
+ * @returns {Array<Object>} - Label data in cutting order
+ */
+function buildLabels(materialPlans, { orders = {}, defaultOrder = null, reference, includeBars = true }) {
+  const labels = [];
+  let barSequence = 0;
+
+  (materialPlans || []).forEach(materialPlan => {
+    const unit = materialPlan.usageUnit || 'inches';
+    const profileName = [materialPlan.materialNameSnapshot, materialPlan.gaugeSnapshot].filter(Boolean).join(' ');
+
+    (materialPlan.pipesUsed || []).forEach(pipe => {
+      barSequence += 1;
+
+      if (includeBars) {
+        labels.push({
+          type: 'bar',
+          code: `${reference}-B${barSequence}`,
+          title: `Bar ${barSequence}`,
+          profileName,
+          length: formatLength(pipe.standardLength, pipe.standardLengthUnit),
+          source: pipe.sourceType === 'Remnant' ? 'Remnant' : (pipe.sourceBatchId ? `Batch ${pipe.sourceBatchId}` : ''),
+          cutCount: (pipe.cutsMade || []).length
+        });
+      }
+
+      (pipe.cutsMade || []).forEach((cut, cutIndex) => {
+        const order = (cut.orderId && orders[cut.orderId.toString()]) || defaultOrder || {};
+        const item = order.items && cut.itemIndex !== undefined && cut.itemIndex !== null ? order.items[cut.itemIndex] : null;
+        const orderNumber = order.orderIdDisplay || '';
+
+        labels.push({
+          type: 'piece',
+          // Plans made before piece IDs existed fall back to the piece's place in the plan
+          code: cut.pieceId || `${orderNumber || reference}-B${barSequence}-${cutIndex + 1}`,
+          orderNumber,
+          itemLabel: item?.itemLabel || cut.identifier || '',
+          productType: item?.productTypeNameSnapshot || '',
+          profileName,
+          length: formatLength(cut.requiredLength, unit),
+          angles: formatCutAngles(cut),
+          position: cut.position || '',
+          barRef: `Bar ${barSequence} / ${cutIndex + 1}`
+        });
+      });
+    });
+  });
+
+  return labels;
+}
+
+/**
+ * Generate a PDF label sheet for a cutting plan or batch
+ * @param {Object} params - Parameters object
+ * @param {Array<Object>} params.materialPlans - Material plans of the cutting plan or batch
+ * @param {Object} params.orders - orderId -> order
+ * @param {Object} [params.defaultOrder] - Order for cuts without an orderId
+ * @param {string} params.reference - Plan / batch reference
+ * @param {string} [params.size] - Key of LABEL_SIZES
+ * @param {boolean} [params.includeBars] - Print a label for every bar as well
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generateCutLabelsPDF({ materialPlans, orders, defaultOrder, reference, size = DEFAULT_LABEL_SIZE, includeBars = true }) {
+  const labelSize = LABEL_SIZES[size];
+  if (!labelSize) {
+    throw new Error(`Unknown label size '${size}'`);
+  }
+
+  const labels = buildLabels(materialPlans, { orders, defaultOrder, reference, includeBars });
+  if (labels.length === 0) {
+    throw new Error('Cutting plan has no pieces to label');
+  }
+
+  let browser;
+  let page;
+
+  try {
+    console.log(`[cutLabelPdfGenerator] Launching Puppeteer for ${labels.length} labels (${size})...`);
+    browser = await puppeteer.launch({
+      headless: true,
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu'
+      ],
+      timeout: 30000
+    });
+
+    page = await browser.newPage();
+    await page.setContent(generateLabelsHTML(labels, labelSize, reference), {
+      waitUntil: 'load',
+      timeout: 30000
+    });
+
+    const pageWidth = labelSize.sheet ? labelSize.sheet.pageWidth : labelSize.width;
+    const pageHeight = labelSize.sheet ? labelSize.sheet.pageHeight : labelSize.height;
+    const pdfBuffer = await page.pdf({
+      width: `${pageWidth}mm`,
+      height: `${pageHeight}mm`,
+      printBackground: true,
+      margin: { top: '0', right: '0', bottom: '0', left: '0' },
+      timeout: 60000
+    });
+
+    if (!pdfBuffer || pdfBuffer.length === 0) {
+      throw new Error('Generated PDF buffer is empty');
+    }
+
+    return Buffer.isBuffer(pdfBuffer) ? pdfBuffer : Buffer.from(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating cut label PDF:', error);
+
+    if (error.name === 'TimeoutError') {
+      throw new Error('Label PDF generation timed out. Try a smaller plan or fewer labels.');
+    }
+
+    throw new Error('Failed to generate cut label PDF');
+  } finally {
+    if (page) {
+      try {
+        await page.close();
+      } catch (pageCloseError) {
+        console.error('Error closing Puppeteer page:', pageCloseError);
+      }
+    }
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeError) {
+        console.error('Error closing browser:', closeError);
+      }
+    }
+  }
+}
+
+/**
+ * Generate HTML for the label sheet
+ * @param {Array<Object>} labels - Output of buildLabels
+ * @param {Object} labelSize - LABEL_SIZES entry
+ * @param {string} reference - Plan / batch reference
+ * @returns {string} - HTML content
+ */
+function generateLabelsHTML(labels, labelSize, reference) {
+  // Text scales with the label height so the same layout works from 25 mm rolls to 50 mm labels
+  const baseFont = Math.max(5, Math.min(9, labelSize.height / 4.2));
+
+  const renderLabel = (label) => {
+    const barcode = generateCode128Svg(label.code);
+
+    if (label.type === 'bar') {
+      return `
+        <div class="label bar-label">
+          <div class="row"><span class="strong">${escapeHtml(label.title)}</span><span>${escapeHtml(label.length)}</span></div>
+          <div class="row">${escapeHtml(label.profileName)}</div>
+          <div class="row small"><span>${escapeHtml(label.source)}</span><span>${label.cutCount} pieces</span></div>
+          <div class="barcode">${barcode}</div>
+          <div class="code">${escapeHtml(label.code)}</div>
+        </div>`;
+    }
+
+    return `
+      <div class="label">
+        <div class="row"><span class="strong">${escapeHtml(label.orderNumber)}</span><span class="strong">${escapeHtml(label.itemLabel)}</span></div>
+        <div class="row small"><span>${escapeHtml(label.productType)}</span><span>${escapeHtml(label.position)}</span></div>
+        <div class="row small"><span>${escapeHtml(label.profileName)}</span></div>
+        <div class="row"><span class="strong">${escapeHtml(label.length)}</span><span class="small">${escapeHtml(label.angles)}</span></div>
+        <div class="barcode">${barcode}</div>
+        <div class="row small"><span class="code">${escapeHtml(label.code)}</span><span>${escapeHtml(label.barRef)}</span></div>
+      </div>`;
+  };
+
+  let body;
+  let layoutCss;
+
+  if (labelSize.sheet) {
+    const { columns, rows, marginTop, marginLeft, gapX, gapY, pageWidth, pageHeight } = labelSize.sheet;
+    const perSheet = columns * rows;
+    const sheets = [];
+    for (let i = 0; i < labels.length; i += perSheet) {
+      sheets.push(`<div class="sheet">${labels.slice(i, i + perSheet).map(renderLabel).join('')}</div>`);
+    }
+    body = sheets.join('');
+    layoutCss = `
+        .sheet {
+          width: ${pageWidth}mm;
+          height: ${pageHeight}mm;
+          padding: ${marginTop}mm 0 0 ${marginLeft}mm;
+          display: grid;
+          grid-template-columns: repeat(${columns}, ${labelSize.width}mm);
+          grid-auto-rows: ${labelSize.height}mm;
+          column-gap: ${gapX}mm;
+          row-gap: ${gapY}mm;
+          align-content: start;
+          page-break-after: always;
+          overflow: hidden;
+        }
+        .sheet:last-child { page-break-after: auto; }`;
+  } else {
+    body = labels.map(renderLabel).join('');
+    layoutCss = `
+        .label { page-break-after: always; }
+        .label:last-child { page-break-after: auto; }`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <title>Cut Labels ${escapeHtml(reference)}</title>
+      <style>
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+
+        body {
+          font-family: 'Arial', 'Helvetica', sans-serif;
+          font-size: ${baseFont.toFixed(1)}pt;
+          line-height: 1.15;
+          color: #000;
+          background: #fff;
+        }
+
+        .label {
+          width: ${labelSize.width}mm;
+          height: ${labelSize.height}mm;
+          padding: 1.5mm 2mm;
+          display: flex;
+          flex-direction: column;
+          overflow: hidden;
+        }
+
+        .row {
+          display: flex;
+          justify-content: space-between;
+          gap: 1mm;
+          white-space: nowrap;
+          overflow: hidden;
+        }
+
+        .strong { font-weight: bold; }
+        .small { font-size: 0.8em; }
+
+        .barcode {
+          flex: 1;
+          min-height: 5mm;
+          margin: 0.5mm 0;
+        }
+
+        .barcode svg {
+          width: 100%;
+          height: 100%;
+          display: block;
+        }
+
+        .code { font-family: 'Courier New', monospace; }
+        .bar-label .code { text-align: center; }
+        ${layoutCss}
+      </style>
+    </head>
+    <body>${body}</body>
+    </html>`;
+}
+
+module.exports = {
+  LABEL_SIZES,
+  DEFAULT_LABEL_SIZE,
+  buildLabels,
+  generateCutLabelsPDF
+};
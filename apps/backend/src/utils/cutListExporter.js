@@ -0,0 +1,312 @@
+const { convertUnit } = require('./unitConverter');
+const { normalizeCutAngles } = require('./cutAngleUtils');
+
+/**
+ * Machine-readable cut lists for saws / CNC controllers.
+ *
+ * A cutting plan (or batch) is flattened into bars in cutting order, each with its cuts in the order
+ * they are laid on the bar. A machine profile (Setting.machineProfiles) picks the format, the length
+ * unit of the machine and which fields are written:
+ *   - csv: one row per cut, bar fields repeated on every row
+ *   - fixedWidth: same rows, every field padded to its width
+ *   - xml: <Bar> elements with <Cut> children; fields become attributes of the level they belong to
+ */
+
+const CUT_LIST_FORMATS = ['csv', 'fixedWidth', 'xml'];
+
+// level: where the field lives in the XML tree; width/align: fixed-width defaults
+const CUT_LIST_FIELDS = {
+    barSequence: { level: 'bar', width: 5, align: 'right', type: 'integer' },
+    materialName: { level: 'bar', width: 30, align: 'left', type: 'text' },
+    gauge: { level: 'bar', width: 8, align: 'left', type: 'text' },
+    barLength: { level: 'bar', width: 10, align: 'right', type: 'length' },
+    offcutLength: { level: 'bar', width: 10, align: 'right', type: 'length' },
+    stockSource: { level: 'bar', width: 24, align: 'left', type: 'text' },
+    cutSequence: { level: 'cut', width: 4, align: 'right', type: 'integer' },
+    cutLength: { level: 'cut', width: 10, align: 'right', type: 'length' },
+    startAngle: { level: 'cut', width: 6, align: 'right', type: 'angle' },
+    endAngle: { level: 'cut', width: 6, align: 'right', type: 'angle' },
+    label: { level: 'cut', width: 30, align: 'left', type: 'text' },
+    order: { level: 'cut', width: 16, align: 'left', type: 'text' },
+    identifier: { level: 'cut', width: 20, align: 'left', type: 'text' }
+};
+
+const DEFAULT_FIELD_KEYS = [
+    'barSequence', 'materialName', 'gauge', 'barLength', 'cutSequence',
+    'cutLength', 'startAngle', 'endAngle', 'label'
+];
+
+/**
+ * Used when the company has no machine profile, or a format is requested without one.
+ */
+const DEFAULT_MACHINE_PROFILE = {
+    name: 'Default',
+    format: 'csv',
+    lengthUnit: 'mm',
+    decimalPlaces: 1,
+    angleDecimalPlaces: 1,
+    fields: [],
+    labelTemplate: '{order} {identifier}',
+    includeHeader: true,
+    delimiter: ',',
+    lineEnding: 'CRLF',
+    xmlRootElement: 'CutList',
+    xmlBarElement: 'Bar',
+    xmlCutElement: 'Cut'
+};
+
+const XML_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+function toNumber(value) {
+    return value === null || value === undefined ? 0 : parseFloat(value.toString());
+}
+
+function convertLength(value, fromUnit, toUnit) {
+    const conversion = convertUnit(toNumber(value), fromUnit || toUnit, toUnit);
+    return conversion.error ? toNumber(value) : conversion.result;
+}
+
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : '')).trim();
+}
+
+/**
+ * Checks a machine profile before it is saved.
+ * @param {object} profile - Machine profile as sent by the client.
+ * @returns {string|null} An error message, or null if the profile is valid.
+ */
+function validateMachineProfile(profile) {
+    if (!profile.name || typeof profile.name !== 'string' || profile.name.trim() === '') {
+        return 'Machine profile name is required.';
+    }
+    if (profile.format !== undefined && !CUT_LIST_FORMATS.includes(profile.format)) {
+        return `Invalid cut-list format '${profile.format}'. Allowed: ${CUT_LIST_FORMATS.join(', ')}.`;
+    }
+    if (profile.fields !== undefined) {
+        if (!Array.isArray(profile.fields)) {
+            return 'Machine profile fields must be an array.';
+        }
+        const xmlHeaders = new Set(); // level:header, attribute names must be unique within an element
+        for (const field of profile.fields) {
+            if (!field || !CUT_LIST_FIELDS[field.key]) {
+                return `Unknown cut-list field '${field && field.key}'. Allowed: ${Object.keys(CUT_LIST_FIELDS).join(', ')}.`;
+            }
+            if (field.width !== undefined && field.width !== null && (!Number.isInteger(field.width) || field.width < 1)) {
+                return `Width of field '${field.key}' must be a positive whole number.`;
+            }
+            if (profile.format === 'xml' && field.header && !XML_NAME_PATTERN.test(field.header)) {
+                return `'${field.header}' is not a valid XML attribute name.`;
+            }
+            if (profile.format === 'xml') {
+                const header = field.header || field.key;
+                const key = `${CUT_LIST_FIELDS[field.key].level}:${header}`;
+                if (xmlHeaders.has(key)) {
+                    return `'${header}' is used for more than one ${CUT_LIST_FIELDS[field.key].level} attribute.`;
+                }
+                xmlHeaders.add(key);
+            }
+        }
+    }
+    if (profile.format === 'xml') {
+        for (const element of ['xmlRootElement', 'xmlBarElement', 'xmlCutElement']) {
+            if (profile[element] && !XML_NAME_PATTERN.test(profile[element])) {
+                return `'${profile[element]}' is not a valid XML element name.`;
+            }
+        }
+    }
+    if (profile.delimiter !== undefined && (typeof profile.delimiter !== 'string' || profile.delimiter.length !== 1)) {
+        return 'CSV delimiter must be a single character.';
+    }
+    return null;
+}
+
+/**
+ * Flattens material plans into bars in cutting order.
+ * @param {Array<object>} materialPlans - CuttingPlan/CuttingBatch materialPlans.
+ * @param {object} profile - Machine profile (lengthUnit and labelTemplate are used).
+ * @param {object} [orderLabels] - orderId -> order number, for batches; defaultOrderLabel is used otherwise.
+ * @param {string} [defaultOrderLabel] - Order number for cuts not found in orderLabels (single-order plans).
+ * @returns {Array<{values: object, cuts: Array<{values: object}>}>}
+ */
+function buildCutListBars(materialPlans, profile, orderLabels = {}, defaultOrderLabel = '') {
+    const bars = [];
+
+    (materialPlans || []).forEach(materialPlan => {
+        const cutUnit = materialPlan.usageUnit || 'inches';
+
+        (materialPlan.pipesUsed || []).forEach(pipe => {
+            const barValues = {
+                barSequence: bars.length + 1,
+                materialName: materialPlan.materialNameSnapshot || '',
+                gauge: materialPlan.gaugeSnapshot || '',
+                barLength: convertLength(pipe.standardLength, pipe.standardLengthUnit, profile.lengthUnit),
+                offcutLength: convertLength(pipe.scrapLength, cutUnit, profile.lengthUnit),
+                stockSource: pipe.sourceType === 'Remnant'
+                    ? `Remnant ${pipe.sourceRemnantId || ''}`.trim()
+                    : (pipe.sourceBatchId || '')
+            };
+
+            const cuts = (pipe.cutsMade || []).map((cut, cutIndex) => {
+                const { startAngle, endAngle } = normalizeCutAngles(cut);
+                const cutLength = convertLength(cut.requiredLength, cutUnit, profile.lengthUnit);
+                const order = (cut.orderId && orderLabels[cut.orderId.toString()]) || defaultOrderLabel;
+                const identifier = cut.identifier || '';
+
+                return {
+                    values: {
+                        cutSequence: cutIndex + 1,
+                        cutLength,
+                        startAngle,
+                        endAngle,
+                        order,
+                        identifier,
+                        label: fillTemplate(profile.labelTemplate || DEFAULT_MACHINE_PROFILE.labelTemplate, {
+                            order,
+                            identifier,
+                            material: barValues.materialName,
+                            length: cutLength.toFixed(profile.decimalPlaces)
+                        })
+                    }
+                };
+            });
+
+            bars.push({ values: barValues, cuts });
+        });
+    });
+
+    return bars;
+}
+
+function resolveFields(profile) {
+    const fields = profile.fields && profile.fields.length > 0
+        ? profile.fields
+        : DEFAULT_FIELD_KEYS.map(key => ({ key }));
+
+    return fields.map(field => ({
+        key: field.key,
+        header: field.header || field.key,
+        width: field.width || CUT_LIST_FIELDS[field.key].width,
+        align: field.align || CUT_LIST_FIELDS[field.key].align,
+        level: CUT_LIST_FIELDS[field.key].level,
+        type: CUT_LIST_FIELDS[field.key].type
+    }));
+}
+
+function formatValue(value, field, profile) {
+    if (field.type === 'length') {
+        return Number(value).toFixed(profile.decimalPlaces);
+    }
+    if (field.type === 'angle') {
+        return Number(value).toFixed(profile.angleDecimalPlaces);
+    }
+    return String(value);
+}
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value, delimiter, isText = true) {
+    // Numbers are left alone so a negative angle stays a number
+    if (isText && FORMULA_PREFIX.test(value)) {
+        value = `'${value}`;
+    }
+    if (value.includes(delimiter) || value.includes('"') || value.includes('\n') || value.includes('\r')) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+function fitToWidth(value, width, align) {
+    const text = value.length > width ? value.slice(0, width) : value;
+    return align === 'right' ? text.padStart(width) : text.padEnd(width);
+}
+
+function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toRows(bars, fields, profile) {
+    const rows = [];
+    bars.forEach(bar => {
+        bar.cuts.forEach(cut => {
+            const values = { ...bar.values, ...cut.values };
+            rows.push(fields.map(field => formatValue(values[field.key], field, profile)));
+        });
+    });
+    return rows;
+}
+
+function toXml(bars, fields, profile, meta) {
+    const attributes = (values, level) => fields
+        .filter(field => field.level === level)
+        .map(field => ` ${field.header}="${escapeXml(formatValue(values[field.key], field, profile))}"`)
+        .join('');
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<${profile.xmlRootElement} reference="${escapeXml(meta.reference || '')}" unit="${profile.lengthUnit}" bars="${bars.length}">`);
+    bars.forEach(bar => {
+        lines.push(`  <${profile.xmlBarElement}${attributes(bar.values, 'bar')}>`);
+        bar.cuts.forEach(cut => {
+            lines.push(`    <${profile.xmlCutElement}${attributes(cut.values, 'cut')}/>`);
+        });
+        lines.push(`  </${profile.xmlBarElement}>`);
+    });
+    lines.push(`</${profile.xmlRootElement}>`);
+    return lines;
+}
+
+/**
+ * Writes a cut list for a machine.
+ * @param {Array<object>} materialPlans - CuttingPlan/CuttingBatch materialPlans.
+ * @param {object} [machineProfile] - Setting.machineProfiles entry; missing settings fall back to DEFAULT_MACHINE_PROFILE.
+ * @param {object} [meta] - { reference, orderLabels, defaultOrderLabel }
+ * @returns {{content: string, contentType: string, extension: string}}
+ */
+function exportCutList(materialPlans, machineProfile = {}, meta = {}) {
+    const source = machineProfile && typeof machineProfile.toObject === 'function' ? machineProfile.toObject() : (machineProfile || {});
+    const profile = { ...DEFAULT_MACHINE_PROFILE };
+    Object.keys(source).forEach(key => {
+        if (source[key] !== undefined && source[key] !== null) {
+            profile[key] = source[key];
+        }
+    });
+
+    const fields = resolveFields(profile);
+    const bars = buildCutListBars(materialPlans, profile, meta.orderLabels, meta.defaultOrderLabel);
+    const newline = profile.lineEnding === 'LF' ? '\n' : '\r\n';
+
+    let lines;
+    if (profile.format === 'xml') {
+        lines = toXml(bars, fields, profile, meta);
+        return { content: lines.join(newline) + newline, contentType: 'application/xml', extension: 'xml' };
+    }
+
+    const rows = toRows(bars, fields, profile);
+    if (profile.format === 'fixedWidth') {
+        lines = rows.map(row => row.map((value, index) => fitToWidth(value, fields[index].width, fields[index].align)).join(''));
+        if (profile.includeHeader) {
+            lines.unshift(fields.map(field => fitToWidth(field.header, field.width, field.align)).join(''));
+        }
+        return { content: lines.join(newline) + newline, contentType: 'text/plain', extension: 'txt' };
+    }
+
+    lines = rows.map(row => row.map((value, index) => escapeCsv(value, profile.delimiter, fields[index].type === 'text')).join(profile.delimiter));
+    if (profile.includeHeader) {
+        lines.unshift(fields.map(field => escapeCsv(field.header, profile.delimiter)).join(profile.delimiter));
+    }
+    return { content: lines.join(newline) + newline, contentType: 'text/csv', extension: 'csv' };
+}
+
+module.exports = {
+    CUT_LIST_FORMATS,
+    CUT_LIST_FIELDS,
+    DEFAULT_MACHINE_PROFILE,
+    validateMachineProfile,
+    buildCutListBars,
+    exportCutList
+};
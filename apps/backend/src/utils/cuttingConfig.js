@@ -0,0 +1,128 @@
+const Setting = require('../models/Setting');
+const { convertUnit } = require('./unitConverter');
+
+/**
+ * Cutting rules used when neither the material nor the company settings define a value.
+ * These match the values that were hard-coded before the rules became configurable.
+ */
+const DEFAULT_CUTTING_CONFIG = {
+    kerf: 0.125,
+    endTrim: 0,
+    lengthUnit: 'inches',
+    minRemnantLength: 3,
+    minRemnantUnit: 'ft',
+    maxCutsPerBar: null
+};
+
+function isSet(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Picks the value for one cutting rule: material override first, then company setting, then default.
+ * @returns {{value: number|null, unit: string|undefined, source: string}}
+ */
+function pickRule(materialParams, companyParams, field, unitField) {
+    if (materialParams && isSet(materialParams[field])) {
+        return { value: Number(materialParams[field]), unit: unitField && materialParams[unitField], source: 'material' };
+    }
+    if (companyParams && isSet(companyParams[field])) {
+        return { value: Number(companyParams[field]), unit: unitField && companyParams[unitField], source: 'company' };
+    }
+    return { value: DEFAULT_CUTTING_CONFIG[field], unit: unitField && DEFAULT_CUTTING_CONFIG[unitField], source: 'default' };
+}
+
+function toInches(rule, fallbackUnit) {
+    const conversion = convertUnit(rule.value, rule.unit || fallbackUnit, 'inches');
+    return conversion.error ? rule.value : conversion.result;
+}
+
+/**
+ * Resolves the cutting rules for a material. All lengths in the result are in inches.
+ * @param {object|null} companySettings - Setting document (or lean object) of the company; may be null.
+ * @param {object|null} material - Material carrying optional cuttingParameters overrides.
+ * @returns {{kerfInches: number, endTrimInches: number, minRemnantInches: number, maxCutsPerBar: number|null, mitreDepthInches: number, sources: object}}
+ */
+function resolveCuttingConfig(companySettings, material) {
+    const companyParams = companySettings ? companySettings.cutting : null;
+    const materialParams = material ? material.cuttingParameters : null;
+
+    const kerf = pickRule(materialParams, companyParams, 'kerf', 'lengthUnit');
+    const endTrim = pickRule(materialParams, companyParams, 'endTrim', 'lengthUnit');
+    const minRemnant = pickRule(materialParams, companyParams, 'minRemnantLength', 'minRemnantUnit');
+    const maxCuts = pickRule(materialParams, companyParams, 'maxCutsPerBar');
+    // Mitre depth is a property of the profile section, so there is no company-wide value
+    const mitreDepth = materialParams && isSet(materialParams.mitreDepth)
+        ? { value: Number(materialParams.mitreDepth), unit: materialParams.lengthUnit }
+        : { value: 0 };
+
+    return {
+        kerfInches: toInches(kerf, 'inches'),
+        endTrimInches: toInches(endTrim, 'inches'),
+        minRemnantInches: toInches(minRemnant, 'ft'),
+        maxCutsPerBar: maxCuts.value > 0 ? Math.floor(maxCuts.value) : null,
+        mitreDepthInches: toInches(mitreDepth, 'inches'),
+        sources: {
+            kerf: kerf.source,
+            endTrim: endTrim.source,
+            minRemnantLength: minRemnant.source,
+            maxCutsPerBar: maxCuts.source
+        }
+    };
+}
+
+/**
+ * Loads the company settings and resolves the cutting rules for a material.
+ * @param {string} companyId - The ID of the company.
+ * @param {object|null} material - Material carrying optional cuttingParameters overrides.
+ * @returns {Promise<object>} See resolveCuttingConfig.
+ */
+async function getCuttingConfig(companyId, material) {
+    const companySettings = await Setting.findOne({ companyId }).select('cutting').lean();
+    return resolveCuttingConfig(companySettings, material);
+}
+
+/**
+ * The rules stamped onto a CuttingPlan material plan, so a committed plan can always be explained
+ * and replayed with the values that were active when it was generated.
+ * @param {object} config - Result of resolveCuttingConfig.
+ */
+function toPlanCuttingParameters(config) {
+    return {
+        kerf: config.kerfInches,
+        endTrim: config.endTrimInches,
+        minRemnantLength: config.minRemnantInches,
+        maxCutsPerBar: config.maxCutsPerBar,
+        mitreDepth: config.mitreDepthInches,
+        unit: 'inches',
+        sources: config.sources
+    };
+}
+
+/**
+ * Reads the rules back from a CuttingPlan material plan; plans generated before the rules were
+ * configurable fall back to the defaults.
+ * @param {object} materialPlan - CuttingPlan.materialPlans[] entry.
+ */
+function fromPlanCuttingParameters(materialPlan) {
+    const stamped = materialPlan && materialPlan.cuttingParameters;
+    if (!stamped || !isSet(stamped.kerf)) {
+        return resolveCuttingConfig(null, null);
+    }
+    return {
+        kerfInches: stamped.kerf,
+        endTrimInches: stamped.endTrim || 0,
+        minRemnantInches: stamped.minRemnantLength,
+        maxCutsPerBar: stamped.maxCutsPerBar || null,
+        mitreDepthInches: stamped.mitreDepth || 0,
+        sources: stamped.sources
+    };
+}
+
+module.exports = {
+    DEFAULT_CUTTING_CONFIG,
+    resolveCuttingConfig,
+    getCuttingConfig,
+    toPlanCuttingParameters,
+    fromPlanCuttingParameters
+};
@@ -1,6 +1,7 @@
 const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const { formatCutAngles } = require('./cutAngleUtils');
 
 /**
  * Generate PDF for cutting plan
@@ -135,6 +136,13 @@ function generateCuttingPlanHTML({ cuttingPlan, order, company, svgOutput }) {
     }
   };
 
+  // e.g. "W1: 48.25 (45°/45°)"; angles are only shown for mitred pieces
+  const formatCut = (cut) => {
+    const angles = formatCutAngles(cut);
+    const length = parseFloat(cut.requiredLength?.toString() || '0').toFixed(2);
+    return `${cut.identifier ? `${cut.identifier}: ` : ''}${length}${angles ? ` (${angles})` : ''}`;
+  };
+
   // Calculate totals
   let totalPipes = 0;
   let totalWeight = 0;
@@ -626,7 +634,7 @@ function generateCuttingPlanHTML({ cuttingPlan, order, company, svgOutput }) {
                   <td class="text-right">${formatWeight(mp.totalWeight)} kg</td>
                   <td class="text-left">
                     ${mp.totalPipesPerLength?.map(tpl => 
-                      `${tpl.quantity}x ${tpl.length}${tpl.unit}`
+                      `${tpl.quantity}x ${tpl.length}${tpl.unit}${tpl.isRemnant ? ' (remnant)' : ''}`
                     ).join(', ') || 'N/A'}
                   </td>
                 </tr>
@@ -634,6 +642,31 @@ function generateCuttingPlanHTML({ cuttingPlan, order, company, svgOutput }) {
             </tbody>
           </table>
         </div>
+
+        <!-- Cut List (per pipe, in cutting order) -->
+        <div class="materials-section">
+          <div class="section-title">Cut List</div>
+          <table class="materials-table">
+            <thead>
+              <tr>
+                <th>Material</th>
+                <th>Pipe</th>
+                <th>Stock</th>
+                <th>Cuts (length, start/end angle)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${cuttingPlan.materialPlans.map(mp => (mp.pipesUsed || []).map((pipe, pipeIndex) => `
+                <tr>
+                  <td class="text-left">${mp.materialNameSnapshot}</td>
+                  <td class="text-center">${pipeIndex + 1}</td>
+                  <td class="text-center">${pipe.standardLength} ${pipe.standardLengthUnit}${pipe.sourceType === 'Remnant' ? ' (remnant)' : ''}</td>
+                  <td class="text-left">${(pipe.cutsMade || []).map(formatCut).join(', ')} ${mp.usageUnit}</td>
+                </tr>
+              `).join('')).join('')}
+            </tbody>
+          </table>
+        </div>
         
         <!-- Footer -->
         <div class="footer">
@@ -1,4 +1,5 @@
 const { convertUnit } = require('./unitConverter');
+const { normalizeCutAngles, isSquareAngle, formatCutAngles } = require('./cutAngleUtils');
 
 class CuttingPlanSvgGenerator {
     constructor() {
@@ -150,7 +151,8 @@ class CuttingPlanSvgGenerator {
                             const cutWidth = cutLength * pixelsPerInch;
                             
                             svg += this._drawCut(currentX, pipeY, cutWidth);
-                            svg += this._addCutLabel(currentX, cutWidth, pipeY, this._safeToString(cut.requiredLength), cut.identifier, materialPlan.usageUnit);
+                            svg += this._drawMitreEnds(currentX, cutWidth, pipeY, cut);
+                            svg += this._addCutLabel(currentX, cutWidth, pipeY, this._safeToString(cut.requiredLength), cut.identifier, materialPlan.usageUnit, formatCutAngles(cut));
                             
                             currentX += cutWidth;
                             
@@ -279,7 +281,7 @@ class CuttingPlanSvgGenerator {
 
     _addPipeLabel(pipe, y, pipeNumber) {
         const labelY = y + this.PIPE_HEIGHT + this.PIPE_DEPTH + 15;
-        return `<text x="${this.MARGIN - 5}" y="${labelY}" font-size="${this.FONT_SIZE.PIPE_LABEL}" fill="${this.COLORS.TEXT}" font-weight="bold" font-family="Arial, sans-serif">${this._safeToString(pipe.standardLength)} ${pipe.standardLengthUnit} Pipe ${pipeNumber}:</text>`;
+        return `<text x="${this.MARGIN - 5}" y="${labelY}" font-size="${this.FONT_SIZE.PIPE_LABEL}" fill="${this.COLORS.TEXT}" font-weight="bold" font-family="Arial, sans-serif">${this._safeToString(pipe.standardLength)} ${pipe.standardLengthUnit} ${pipe.sourceType === 'Remnant' ? 'Remnant' : 'Pipe'} ${pipeNumber}:</text>`;
     }
 
     _drawCut(x, y, width) {
@@ -305,7 +307,27 @@ class CuttingPlanSvgGenerator {
                 <circle cx="${x}" cy="${frontY + this.PIPE_HEIGHT + 8}" r="2" fill="red" opacity="0.8"/>`;
     }
 
-    _addCutLabel(x, width, y, length, identifier, usageUnit = '') {
+    /**
+     * Marks mitred ends of a cut with a slanted line at the cut angle (square ends are left as is).
+     */
+    _drawMitreEnds(x, width, y, cut) {
+        const frontY = y + this.PIPE_DEPTH;
+        const { startAngle, endAngle } = normalizeCutAngles(cut);
+        const slant = angle => Math.min(width / 2, this.PIPE_HEIGHT / Math.tan(angle * Math.PI / 180));
+        let svg = '';
+
+        if (!isSquareAngle(startAngle)) {
+            svg += `<line x1="${x}" y1="${frontY}" x2="${x + slant(startAngle)}" y2="${frontY + this.PIPE_HEIGHT}" 
+                    stroke="${this.COLORS.CUT_BORDER}" stroke-width="2"/>`;
+        }
+        if (!isSquareAngle(endAngle)) {
+            svg += `<line x1="${x + width}" y1="${frontY}" x2="${x + width - slant(endAngle)}" y2="${frontY + this.PIPE_HEIGHT}" 
+                    stroke="${this.COLORS.CUT_BORDER}" stroke-width="2"/>`;
+        }
+        return svg;
+    }
+
+    _addCutLabel(x, width, y, length, identifier, usageUnit = '', angleLabel = '') {
         const labelX = x + (width / 2);
         const frontY = y + this.PIPE_DEPTH;
         let idText = '';
@@ -313,7 +335,10 @@ class CuttingPlanSvgGenerator {
         if (identifier) {
             idText = `<text x="${labelX}" y="${frontY + 12}" font-size="${this.FONT_SIZE.LABEL - 1}" fill="${this.COLORS.WHITE}" text-anchor="middle" font-weight="bold" font-family="Arial, sans-serif">${identifier}</text>`;
         }
-        const lengthWithUnit = usageUnit ? `${length} ${usageUnit}` : length;
+        let lengthWithUnit = usageUnit ? `${length} ${usageUnit}` : length;
+        if (angleLabel) {
+            lengthWithUnit += ` ∠${angleLabel}`;
+        }
         const lengthText = `<text x="${labelX}" y="${frontY + 24}" font-size="${this.FONT_SIZE.LABEL}" fill="${this.COLORS.WHITE}" text-anchor="middle" font-weight="bold" font-family="Arial, sans-serif">${lengthWithUnit}</text>`;
         return idText + lengthText;
     }
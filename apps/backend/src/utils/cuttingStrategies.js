@@ -0,0 +1,541 @@
+/**
+ * Cutting strategies for 1-D profile cutting (pipes into window/door pieces).
+ *
+ * Every strategy works in inches and has the same signature:
+ *
+ *   solve(problem, options) => { layouts, unplaced, isOptimal, elapsedMs }
+ *
+ *   problem = {
+ *     cuts:  [{ length, identifier, startAngle, endAngle }], // required pieces (long-point length, angles optional)
+ *     stock: [{ id, lengthInInches, available, costPerInch, isRemnant }],
+ *     kerf:  number,                                       // loss per cut after the first on a pipe
+ *     endTrim: number,                                     // optional, trimmed off each end of every bar
+ *     maxCutsPerBar: number | null,                        // optional, machine limit on pieces per bar
+ *     mitreDepth: number                                   // optional, profile depth across mitred faces
+ *   }
+ *   layouts  = [{ stock, cutsPacked_in, lengthUsedWithLoss_in, immediateScrap_in }]
+ *   unplaced = cuts that no available stock could take
+ *
+ * lengthUsedWithLoss_in includes the leading trim; immediateScrap_in is the tail of the bar
+ * (it still carries the trailing trim allowance, which is trimmed again if the offcut is reused).
+ *
+ * Mitred pieces: an angled cut loses more bar than a square one (kerf / sin(angle)), and two
+ * neighbouring ends with the same mitre angle can share one cut, the next piece turned over so it
+ * nests into the previous one and saves mitreDepth / tan(angle). Any other pair of neighbouring ends
+ * takes two cuts, each losing its own kerf. Pieces may be flipped end for end
+ * to nest; cutsPacked_in reports the angles in the order they are laid on the bar.
+ *
+ * `available` may be Infinity (estimations assume unlimited stock). `costPerInch` lets
+ * remnants cost nothing (they are sunk cost), so the solvers use up offcuts before new pipes.
+ */
+
+const { normalizeCutAngles, isSquareAngle, kerfAlongBar, mitreOffset, ANGLE_EPSILON } = require('./cutAngleUtils');
+
+const EPSILON_INCHES = 0.001;
+const EXACT_MAX_CUTS = 12; // 'auto' switches from exact search to local search above this
+const DEFAULT_TIME_LIMIT_MS = { exact: 2000, localSearch: 3000 };
+
+// ----------------------------------------------------------------------------
+// Shared helpers
+// ----------------------------------------------------------------------------
+
+/**
+ * Normalises the cutting rules of a problem: { kerf, endTrim, maxCutsPerBar, mitreDepth }.
+ */
+function getRules(problem) {
+    return {
+        kerf: problem.kerf || 0,
+        endTrim: problem.endTrim || 0,
+        maxCutsPerBar: problem.maxCutsPerBar > 0 ? problem.maxCutsPerBar : Infinity,
+        mitreDepth: problem.mitreDepth || 0
+    };
+}
+
+function newBin(stock) {
+    return { stock, cuts: [], reversed: [], used: 0 };
+}
+
+/**
+ * Length of a bar that can actually be cut into, after trimming both ends.
+ */
+function capacity(stock, rules) {
+    return stock.lengthInInches - 2 * rules.endTrim;
+}
+
+/**
+ * Angle of the exposed end of the last piece on a bar, or null for an empty bar.
+ */
+function tailAngle(bin) {
+    const last = bin.cuts.length - 1;
+    if (last < 0) return null;
+    const { startAngle, endAngle } = normalizeCutAngles(bin.cuts[last]);
+    return bin.reversed[last] ? startAngle : endAngle;
+}
+
+/**
+ * Bar length consumed between the end of one piece and the start of the next.
+ * Two square ends share one square cut, and equal mitres share one cut and nest. Any other pair
+ * (a mitre next to a square end, or two different mitres) needs a cut for each end, each losing its kerf.
+ */
+function joinCost(tail, lead, rules) {
+    if (isSquareAngle(tail) && isSquareAngle(lead)) {
+        return rules.kerf;
+    }
+    if (!isSquareAngle(tail) && !isSquareAngle(lead) && Math.abs(tail - lead) < ANGLE_EPSILON) {
+        return kerfAlongBar(rules.kerf, tail) - mitreOffset(tail, rules.mitreDepth);
+    }
+    return kerfAlongBar(rules.kerf, tail) + kerfAlongBar(rules.kerf, lead);
+}
+
+/**
+ * How a cut would be added to a bar: the bar length it adds and whether it is laid end for end.
+ * @returns {{added: number, reversed: boolean}}
+ */
+function placement(bin, cut, rules) {
+    if (bin.cuts.length === 0) {
+        return { added: cut.length, reversed: false };
+    }
+    const tail = tailAngle(bin);
+    const { startAngle, endAngle } = normalizeCutAngles(cut);
+    const asIs = cut.length + joinCost(tail, startAngle, rules);
+    const flipped = cut.length + joinCost(tail, endAngle, rules);
+    return flipped < asIs - EPSILON_INCHES
+        ? { added: flipped, reversed: true }
+        : { added: asIs, reversed: false };
+}
+
+/**
+ * Returns the placement of the cut if it fits on the bar, otherwise null.
+ */
+function fits(bin, cut, rules) {
+    if (bin.cuts.length >= rules.maxCutsPerBar) return null;
+    const fit = placement(bin, cut, rules);
+    return bin.used + fit.added <= capacity(bin.stock, rules) + EPSILON_INCHES ? fit : null;
+}
+
+function place(bin, cut, fit) {
+    bin.used += fit.added;
+    bin.cuts.push(cut);
+    bin.reversed.push(fit.reversed);
+}
+
+function unplace(bin, fit) {
+    bin.used -= fit.added;
+    bin.cuts.pop();
+    bin.reversed.pop();
+}
+
+/**
+ * Smallest bar length a cut can consume, i.e. its length less the best nesting saving.
+ * Used for lower bounds in the exact search.
+ */
+function minConsumption(cut, rules) {
+    const { startAngle, endAngle } = normalizeCutAngles(cut);
+    const saving = Math.max(
+        0,
+        ...[startAngle, endAngle].map(angle => mitreOffset(angle, rules.mitreDepth) - kerfAlongBar(rules.kerf, angle))
+    );
+    return cut.length - saving;
+}
+
+function sameCut(a, b) {
+    const anglesA = normalizeCutAngles(a);
+    const anglesB = normalizeCutAngles(b);
+    return Math.abs(a.length - b.length) < EPSILON_INCHES &&
+        Math.abs(anglesA.startAngle - anglesB.startAngle) < ANGLE_EPSILON &&
+        Math.abs(anglesA.endAngle - anglesB.endAngle) < ANGLE_EPSILON;
+}
+
+function binsCost(bins) {
+    return bins.reduce((sum, bin) => sum + bin.stock.lengthInInches * (bin.stock.costPerInch ?? 1), 0);
+}
+
+function toLayouts(bins, rules) {
+    return bins.map(bin => ({
+        stock: bin.stock,
+        cutsPacked_in: bin.cuts.map((cut, index) => (
+            bin.reversed[index] ? { ...cut, startAngle: cut.endAngle, endAngle: cut.startAngle } : cut
+        )),
+        lengthUsedWithLoss_in: bin.used + rules.endTrim,
+        immediateScrap_in: bin.stock.lengthInInches - bin.used - rules.endTrim
+    }));
+}
+
+function cloneBins(bins) {
+    return bins.map(bin => ({ stock: bin.stock, cuts: [...bin.cuts], reversed: [...bin.reversed], used: bin.used }));
+}
+
+function usageCounts(bins) {
+    const counts = {};
+    bins.forEach(bin => {
+        counts[bin.stock.id] = (counts[bin.stock.id] || 0) + 1;
+    });
+    return counts;
+}
+
+function hasStockLeft(stock, counts) {
+    return (counts[stock.id] || 0) < stock.available;
+}
+
+/**
+ * Seeded pseudo-random generator so local search results are reproducible.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Greedy core: fill each new pipe first-fit with the remaining cuts (longest first)
+ * and keep the pipe that leaves the least immediate scrap.
+ * @returns {{bins: Array<object>, unplaced: Array<object>}}
+ */
+function packGreedy(cuts, stock, counts, rules) {
+    const cutsToPlace = [...cuts].sort((a, b) => b.length - a.length);
+    const pipes = stock.filter(s => !s.isRemnant).sort((a, b) => b.lengthInInches - a.lengthInInches);
+    const bins = [];
+    const unplaced = [];
+
+    while (cutsToPlace.length > 0) {
+        let best = null;
+        let bestScrap = Infinity;
+
+        for (const candidate of pipes) {
+            if (!hasStockLeft(candidate, counts)) continue;
+
+            const bin = newBin(candidate);
+            for (const cut of cutsToPlace) {
+                const fit = fits(bin, cut, rules);
+                if (fit) place(bin, cut, fit);
+            }
+
+            const scrap = candidate.lengthInInches - bin.used;
+            if (bin.cuts.length > 0 && scrap < bestScrap) {
+                best = bin;
+                bestScrap = scrap;
+            }
+        }
+
+        if (!best) {
+            // Nothing left in stock can take the largest remaining cut
+            unplaced.push(cutsToPlace.shift());
+            continue;
+        }
+
+        bins.push(best);
+        counts[best.stock.id] = (counts[best.stock.id] || 0) + 1;
+        best.cuts.forEach(cut => cutsToPlace.splice(cutsToPlace.indexOf(cut), 1));
+    }
+
+    return { bins, unplaced };
+}
+
+/**
+ * Places cuts on remnant pieces, shortest remnant first, each filled first-fit.
+ * Mutates cutsToPlace and counts.
+ */
+function packRemnantsFirst(cutsToPlace, stock, counts, rules) {
+    const remnants = stock.filter(s => s.isRemnant).sort((a, b) => a.lengthInInches - b.lengthInInches);
+    const bins = [];
+
+    for (const remnant of remnants) {
+        while (cutsToPlace.length > 0 && hasStockLeft(remnant, counts)) {
+            const bin = newBin(remnant);
+            for (const cut of cutsToPlace) {
+                const fit = fits(bin, cut, rules);
+                if (fit) place(bin, cut, fit);
+            }
+            if (bin.cuts.length === 0) break;
+
+            bins.push(bin);
+            counts[remnant.id] = (counts[remnant.id] || 0) + 1;
+            bin.cuts.forEach(cut => cutsToPlace.splice(cutsToPlace.indexOf(cut), 1));
+        }
+    }
+
+    return bins;
+}
+
+// ----------------------------------------------------------------------------
+// Strategies
+// ----------------------------------------------------------------------------
+
+/**
+ * Greedy first-fit-decreasing: use up remnants, then open the pipe with the least immediate scrap.
+ * This is the original algorithm used by estimations and the manufacturing optimizer.
+ */
+function solveGreedy(problem) {
+    const startedAt = Date.now();
+    const rules = getRules(problem);
+    const counts = {};
+    const cutsToPlace = [...problem.cuts].sort((a, b) => b.length - a.length);
+
+    const remnantBins = packRemnantsFirst(cutsToPlace, problem.stock, counts, rules);
+    const { bins, unplaced } = packGreedy(cutsToPlace, problem.stock, counts, rules);
+
+    return {
+        layouts: toLayouts([...remnantBins, ...bins], rules),
+        bins: [...remnantBins, ...bins],
+        unplaced,
+        isOptimal: false,
+        elapsedMs: Date.now() - startedAt
+    };
+}
+
+/**
+ * Exact branch-and-bound over cut-to-pipe assignments, seeded with the greedy solution.
+ * Minimises the cost of stock opened (pipe length x costPerInch). Intended for small orders;
+ * if the time limit is hit the best solution found so far is returned with isOptimal = false.
+ */
+function solveExact(problem, options = {}) {
+    const startedAt = Date.now();
+    const deadline = startedAt + (options.timeLimitMs || DEFAULT_TIME_LIMIT_MS.exact);
+    const rules = getRules(problem);
+    const { stock } = problem;
+    const cuts = [...problem.cuts].sort((a, b) => b.length - a.length);
+
+    const greedy = solveGreedy(problem);
+    let bestBins = greedy.unplaced.length === 0 ? greedy.bins : null;
+    let bestCost = bestBins ? binsCost(bestBins) : Infinity;
+
+    // Free stock (remnants) only lowers the bound by the length it can still take
+    const paidStock = stock.filter(s => (s.costPerInch ?? 1) > 0);
+    const minCostPerInch = paidStock.length > 0 ? Math.min(...paidStock.map(s => s.costPerInch ?? 1)) : 0;
+    const freeStock = stock.filter(s => (s.costPerInch ?? 1) <= 0);
+    const openOrder = [...stock].sort((a, b) => a.lengthInInches - b.lengthInInches);
+    const remainingLength = new Array(cuts.length + 1).fill(0);
+    for (let i = cuts.length - 1; i >= 0; i--) {
+        remainingLength[i] = remainingLength[i + 1] + minConsumption(cuts[i], rules);
+    }
+
+    const bins = [];
+    const counts = {};
+    const binOfCut = new Array(cuts.length);
+    let nodes = 0;
+    let timedOut = false;
+
+    function search(i, cost) {
+        if (timedOut) return;
+        if (++nodes % 1000 === 0 && Date.now() > deadline) {
+            timedOut = true;
+            return;
+        }
+        if (i === cuts.length) {
+            if (cost < bestCost - EPSILON_INCHES) {
+                bestCost = cost;
+                bestBins = cloneBins(bins);
+            }
+            return;
+        }
+
+        // Lower bound: whatever doesn't fit in the open pipes must come from new stock
+        const freeSpace = bins.reduce((sum, bin) => sum + Math.max(0, capacity(bin.stock, rules) - bin.used), 0) +
+            freeStock.reduce((sum, s) => {
+                const left = s.available - (counts[s.id] || 0);
+                return capacity(s, rules) > 0 && left > 0 ? sum + capacity(s, rules) * left : sum;
+            }, 0);
+        const uncovered = remainingLength[i] - freeSpace;
+        if (cost + (uncovered > EPSILON_INCHES ? uncovered * minCostPerInch : 0) >= bestCost - EPSILON_INCHES) {
+            return;
+        }
+
+        const cut = cuts[i];
+        // Identical cuts are interchangeable: keep them in non-decreasing bin order
+        const firstBin = (i > 0 && sameCut(cuts[i - 1], cut)) ? binOfCut[i - 1] : 0;
+        const tried = new Set();
+
+        for (let b = firstBin; b < bins.length; b++) {
+            const bin = bins[b];
+            const fit = fits(bin, cut, rules);
+            if (!fit) continue;
+            // With a cut limit, bins with the same free length but fewer cuts are not interchangeable;
+            // bins ending in a different angle nest differently with the next cut
+            const key = `${bin.stock.lengthInInches}_${bin.stock.costPerInch ?? 1}_${(bin.stock.lengthInInches - bin.used).toFixed(4)}` +
+                `_${tailAngle(bin)}` + (rules.maxCutsPerBar !== Infinity ? `_${bin.cuts.length}` : '');
+            if (tried.has(key)) continue;
+            tried.add(key);
+
+            place(bin, cut, fit);
+            binOfCut[i] = b;
+            search(i + 1, cost);
+            unplace(bin, fit);
+        }
+
+        for (const option of openOrder) {
+            if (!hasStockLeft(option, counts)) continue;
+            const bin = newBin(option);
+            const fit = fits(bin, cut, rules);
+            if (!fit) continue;
+            const key = `new_${option.lengthInInches}_${option.costPerInch ?? 1}`;
+            if (tried.has(key)) continue;
+            tried.add(key);
+
+            place(bin, cut, fit);
+            bins.push(bin);
+            counts[option.id] = (counts[option.id] || 0) + 1;
+            binOfCut[i] = bins.length - 1;
+            search(i + 1, cost + option.lengthInInches * (option.costPerInch ?? 1));
+            counts[option.id]--;
+            bins.pop();
+        }
+    }
+
+    search(0, 0);
+
+    if (!bestBins) {
+        return { ...greedy, elapsedMs: Date.now() - startedAt };
+    }
+
+    return {
+        layouts: toLayouts(bestBins, rules),
+        bins: bestBins,
+        unplaced: [],
+        isOptimal: !timedOut,
+        elapsedMs: Date.now() - startedAt
+    };
+}
+
+/**
+ * Time-boxed local search (ruin and recreate) starting from the greedy solution.
+ * Each round empties a few random pipes, re-inserts their cuts best-fit into the remaining pipes
+ * and re-packs what is left greedily; the candidate is kept when it costs less.
+ */
+function solveLocalSearch(problem, options = {}) {
+    const startedAt = Date.now();
+    const deadline = startedAt + (options.timeLimitMs || DEFAULT_TIME_LIMIT_MS.localSearch);
+    const random = createRandom(options.seed ?? 42);
+    const rules = getRules(problem);
+    const { stock } = problem;
+
+    const greedy = solveGreedy(problem);
+    if (greedy.unplaced.length > 0 || greedy.bins.length < 2) {
+        return { ...greedy, elapsedMs: Date.now() - startedAt };
+    }
+
+    let current = greedy.bins;
+    let currentCost = binsCost(current);
+
+    while (Date.now() < deadline) {
+        const kept = cloneBins(current);
+        const ruinCount = 1 + Math.floor(random() * Math.min(3, kept.length - 1));
+        const freed = [];
+        for (let r = 0; r < ruinCount; r++) {
+            const [removed] = kept.splice(Math.floor(random() * kept.length), 1);
+            freed.push(...removed.cuts);
+        }
+        freed.sort((a, b) => b.length - a.length);
+
+        const leftovers = [];
+        for (const cut of freed) {
+            // Best fit: the pipe left with the least free length after taking the cut
+            let target = null;
+            let targetFit = null;
+            let targetFree = Infinity;
+            for (const bin of kept) {
+                const fit = fits(bin, cut, rules);
+                if (!fit) continue;
+                const free = capacity(bin.stock, rules) - bin.used - fit.added;
+                if (free < targetFree) {
+                    target = bin;
+                    targetFit = fit;
+                    targetFree = free;
+                }
+            }
+            if (target) {
+                place(target, cut, targetFit);
+            } else {
+                leftovers.push(cut);
+            }
+        }
+
+        const counts = usageCounts(kept);
+        const remnantBins = packRemnantsFirst(leftovers, stock, counts, rules);
+        const { bins: newBins, unplaced } = packGreedy(leftovers, stock, counts, rules);
+        if (unplaced.length > 0) continue;
+
+        const candidate = [...kept, ...remnantBins, ...newBins];
+        const candidateCost = binsCost(candidate);
+        if (candidateCost < currentCost - EPSILON_INCHES ||
+            (Math.abs(candidateCost - currentCost) <= EPSILON_INCHES && candidate.length < current.length)) {
+            current = candidate;
+            currentCost = candidateCost;
+        }
+    }
+
+    // Remnants first, then pipes, to keep the shop-floor order familiar
+    current.sort((a, b) => (b.stock.isRemnant ? 1 : 0) - (a.stock.isRemnant ? 1 : 0));
+
+    return {
+        layouts: toLayouts(current, rules),
+        bins: current,
+        unplaced: [],
+        isOptimal: false,
+        elapsedMs: Date.now() - startedAt
+    };
+}
+
+/**
+ * Exact search for small orders, local search for everything else.
+ */
+function solveAuto(problem, options = {}) {
+    return problem.cuts.length <= EXACT_MAX_CUTS
+        ? solveExact(problem, options)
+        : solveLocalSearch(problem, options);
+}
+
+const STRATEGIES = {
+    greedy: solveGreedy,
+    exact: solveExact,
+    localSearch: solveLocalSearch,
+    auto: solveAuto
+};
+
+/**
+ * Returns the solver for a strategy name, or undefined if the name is unknown.
+ * @param {string} name - 'greedy' | 'exact' | 'localSearch' | 'auto'
+ */
+function getStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, name) ? STRATEGIES[name] : undefined;
+}
+
+/**
+ * Summarises a solution for reporting and strategy comparison.
+ * Scrap includes kerf and end-trim loss; scrapPercent is relative to the total stock length opened.
+ * @param {Array<object>} layouts - Layouts returned by a strategy
+ * @returns {{pipesUsed: number, remnantsUsed: number, totalStockLength_in: number, scrapLength_in: number, scrapPercent: number}}
+ */
+function summarizeLayouts(layouts) {
+    let pipesUsed = 0;
+    let remnantsUsed = 0;
+    let totalStockLength_in = 0;
+    let totalCutLength_in = 0;
+
+    layouts.forEach(layout => {
+        if (layout.stock.isRemnant) {
+            remnantsUsed++;
+        } else {
+            pipesUsed++;
+        }
+        totalStockLength_in += layout.stock.lengthInInches;
+        totalCutLength_in += layout.cutsPacked_in.reduce((sum, cut) => sum + cut.length, 0);
+    });
+
+    const scrapLength_in = totalStockLength_in - totalCutLength_in;
+    return {
+        pipesUsed,
+        remnantsUsed,
+        totalStockLength_in: parseFloat(totalStockLength_in.toFixed(3)),
+        scrapLength_in: parseFloat(scrapLength_in.toFixed(3)),
+        scrapPercent: totalStockLength_in > 0 ? parseFloat((scrapLength_in / totalStockLength_in * 100).toFixed(2)) : 0
+    };
+}
+
+module.exports = {
+    STRATEGY_NAMES: Object.keys(STRATEGIES),
+    EXACT_MAX_CUTS,
+    getStrategy,
+    summarizeLayouts
+};
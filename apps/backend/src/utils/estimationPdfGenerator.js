@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const puppeteer = require('puppeteer');
 
 /**
  * Generate HTML content for estimation PDF
@@ -736,4 +737,182 @@ function generateEstimationHTML(estimation, company) {
   `;
 }
 
-module.exports = { generateEstimationHTML }; 
\ No newline at end of file
+/**
+ * Generate HTML for the side-by-side comparison of an estimation's options
+ * @param {Object} comparison - Result of EstimationService.getVariantComparison
+ * @param {Object} company - Company details
+ * @returns {string} - HTML content
+ */
+function generateEstimationComparisonHTML(comparison, company) {
+  if (!comparison || !comparison.estimation) {
+    throw new Error('Comparison data is required for PDF generation');
+  }
+
+  const { estimation, options, materials } = comparison;
+
+  const formatCurrency = (amount) => {
+    const numValue = parseFloat(amount);
+    if (isNaN(numValue)) return '₹0.00';
+    return `₹${numValue.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+
+  const escapeHtml = (text) => {
+    if (text === null || text === undefined) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
+
+  const optionCells = (render) => options.map(option => `<td class="num">${option.calculated ? render(option) : '—'}</td>`).join('');
+
+  const totalRows = [
+    ['Profiles', option => formatCurrency(option.totals.subtotalProfiles)],
+    ['Glass', option => formatCurrency(option.totals.subtotalGlass)],
+    ['Hardware & other materials', option => formatCurrency(option.totals.subtotalOtherMaterials)],
+    ['Material cost', option => formatCurrency(option.totals.subtotalMaterials), 'subtotal'],
+    ['Labour', option => formatCurrency(option.totals.subtotalLabour)],
+    ['Other charges', option => formatCurrency(option.totals.subtotalOtherCharges)],
+    ['Total cost', option => formatCurrency(option.totals.totalEstimatedCost), 'subtotal'],
+    [`Total with ${estimation.markupPercentage}% markup`, option => formatCurrency(option.totals.markedUpTotal), 'grand'],
+    ['Difference from base', option => (option.differenceFromBase === null ? '—' : `${option.differenceFromBase > 0 ? '+' : ''}${formatCurrency(option.differenceFromBase)}`)],
+    ['Profile weight', option => `${option.totals.totalWeight.toFixed(3)} kg`]
+  ];
+
+  const materialRows = materials.map(material => `
+    <tr>
+      <td>${escapeHtml(material.materialName)}<div class="muted">${escapeHtml(material.category)}</div></td>
+      ${material.options.map(entry => `<td class="num">${entry
+        ? `${formatCurrency(entry.calculatedCost)}<div class="muted">${entry.totalQuantity} ${escapeHtml(entry.quantityUnit)}${entry.totalWeight > 0 ? ` / ${entry.totalWeight.toFixed(3)} kg` : ''}</div>`
+        : '—'}</td>`).join('')}
+    </tr>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <title>Option Comparison - ${escapeHtml(estimation.projectName)}</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', 'Helvetica', sans-serif; color: #333; font-size: 11px; }
+        .header { border: 2px solid #dc2626; border-radius: 8px; padding: 14px 18px; margin-bottom: 16px; background: #fef2f2; }
+        .title { font-size: 22px; font-weight: bold; color: #dc2626; text-transform: uppercase; }
+        .company { font-size: 14px; font-weight: bold; margin-top: 4px; }
+        .meta { margin-top: 6px; color: #4b5563; }
+        .section-title { font-size: 14px; font-weight: bold; color: #dc2626; margin: 16px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #dc2626; }
+        table { width: 100%; border-collapse: collapse; border: 1px solid #d1d5db; }
+        th { background: #dc2626; color: white; padding: 8px 6px; font-size: 10px; text-align: right; vertical-align: top; }
+        th:first-child, td:first-child { text-align: left; }
+        td { padding: 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+        .num { text-align: right; }
+        .muted { font-size: 9px; color: #6b7280; font-weight: normal; }
+        .changes { font-size: 9px; font-weight: normal; margin-top: 4px; }
+        tr.subtotal td { font-weight: bold; background: #f9fafb; }
+        tr.grand td { font-weight: bold; font-size: 12px; background: #fee2e2; }
+        .chosen { color: #065f46; }
+        .footer { margin-top: 16px; font-size: 9px; color: #6b7280; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <div class="title">Option Comparison</div>
+        <div class="company">${escapeHtml(company?.name || '')}</div>
+        <div class="meta">
+          Project: <strong>${escapeHtml(estimation.projectName)}</strong>
+          ${estimation.clientName ? ` | Client: <strong>${escapeHtml(estimation.clientName)}</strong>` : ''}
+          | ${estimation.itemCount} item(s) | Dimensions in ${escapeHtml(estimation.dimensionUnitUsed)}
+        </div>
+      </div>
+
+      <div class="section-title">Totals</div>
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            ${options.map(option => `
+              <th>
+                ${escapeHtml(option.name)}${option.variantId && estimation.convertedVariantId && option.variantId.toString() === estimation.convertedVariantId.toString() ? ' <span class="chosen">(quoted)</span>' : ''}
+                <div class="changes">${option.changes.map(escapeHtml).join('<br>') || escapeHtml(option.description)}</div>
+                ${option.calculationError ? `<div class="changes">Not priced: ${escapeHtml(option.calculationError)}</div>` : ''}
+              </th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${totalRows.map(([label, render, rowClass]) => `
+            <tr class="${rowClass || ''}">
+              <td>${escapeHtml(label)}</td>
+              ${optionCells(render)}
+            </tr>`).join('')}
+        </tbody>
+      </table>
+
+      ${materials.length > 0 ? `
+        <div class="section-title">Materials</div>
+        <table>
+          <thead>
+            <tr>
+              <th>Material</th>
+              ${options.map(option => `<th>${escapeHtml(option.name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${materialRows}</tbody>
+        </table>
+      ` : ''}
+
+      <div class="footer">
+        Costs are from each option's last calculation. Generated on ${new Date().toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}.
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Render the option comparison of an estimation to a PDF
+ * @param {Object} comparison - Result of EstimationService.getVariantComparison
+ * @param {Object} company - Company details
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generateEstimationComparisonPDF(comparison, company) {
+  let browser;
+
+  try {
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+      timeout: 30000
+    });
+
+    const page = await browser.newPage();
+    await page.setContent(generateEstimationComparisonHTML(comparison, company), {
+      waitUntil: 'load',
+      timeout: 15000
+    });
+
+    const pdfBuffer = await page.pdf({
+      format: 'A4',
+      landscape: comparison.options.length > 3, // Room for more option columns
+      printBackground: true,
+      margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
+      timeout: 15000
+    });
+
+    if (!pdfBuffer || pdfBuffer.length === 0) {
+      throw new Error('Generated PDF buffer is empty');
+    }
+    return Buffer.isBuffer(pdfBuffer) ? pdfBuffer : Buffer.from(pdfBuffer);
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeError) {
+        console.error('Error closing browser:', closeError);
+      }
+    }
+  }
+}
+
+module.exports = { generateEstimationHTML, generateEstimationComparisonHTML, generateEstimationComparisonPDF }; 
\ No newline at end of file
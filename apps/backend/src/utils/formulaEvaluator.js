@@ -41,7 +41,26 @@ function validateFormulaString(formula) {
     }
 }
 
+/**
+ * Where a profile piece sits in the frame, judged by which dimension its cut-length formula uses:
+ * width-only formulas give horizontal pieces ('Top'), height-only formulas vertical ones ('Side').
+ *
+ * @param {string} formula The cut-length formula (e.g., 'W - 1.5').
+ * @returns {string} 'Top', 'Side', or '' when the formula uses both or neither.
+ */
+function getFormulaPosition(formula) {
+    try {
+        const symbols = new Set(math.parse(formula).filter(node => node.isSymbolNode).map(node => node.name));
+        if (symbols.has('W') && !symbols.has('H')) return 'Top';
+        if (symbols.has('H') && !symbols.has('W')) return 'Side';
+    } catch (err) {
+        // Invalid formulas are reported where they are evaluated
+    }
+    return '';
+}
+
 module.exports = {
     evaluateFormula,
-    validateFormulaString
+    validateFormulaString,
+    getFormulaPosition
 }; 
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Fuzzy matching of typed names (from spreadsheets, surveyors' notes) against known names.
+ * Names are compared case-, spacing- and punctuation-insensitively, in any word order, tolerating typos
+ * and abbreviations that keep most of the name ("2 trk sliding" still finds "2 Track Sliding Window").
+ */
+
+const DEFAULT_THRESHOLD = 0.7; // Below this a candidate is not considered a match
+const AMBIGUITY_MARGIN = 0.1; // Two fuzzy candidates this close are reported instead of guessed
+const SUGGESTION_THRESHOLD = 0.4; // Less similar candidates are not worth suggesting
+const NUMBER_MISMATCH_CAP = DEFAULT_THRESHOLD - 0.1; // Names with different numbers can be suggested but never matched
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Share of words of the shorter name found (allowing typos and prefixes like "trk"/"track") in the other.
+ */
+function wordOverlap(wordsA, wordsB) {
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+    if (shorter.length === 0) return 0;
+    const found = shorter.filter(word => longer.some(other =>
+        other === word ||
+        (word.length >= 3 && other.startsWith(word)) ||
+        (other.length >= 3 && word.startsWith(other)) ||
+        (word.length >= 4 && editSimilarity(word, other) >= 0.75) ||
+        (word.length >= 3 && other.length > word.length && isAbbreviationOf(word, other))
+    ));
+    // Matching every word of a much shorter name is weaker evidence than matching a name of similar length
+    return (found.length / shorter.length) * (0.7 + 0.3 * (shorter.length / longer.length));
+}
+
+// "trk" for "track": same first letter, remaining letters in order
+function isAbbreviationOf(short, word) {
+    if (short[0] !== word[0]) return false;
+    let position = 1;
+    for (let i = 1; i < short.length; i++) {
+        position = word.indexOf(short[i], position);
+        if (position === -1) return false;
+        position++;
+    }
+    return true;
+}
+
+// Numbers in a name ("2 Track", "4mm", "1.5 mm"), sorted, as the specification they stand for
+function numbersIn(name) {
+    return (String(name || '').match(/\d+(?:\.\d+)?/g) || []).map(Number).sort((x, y) => x - y);
+}
+
+/**
+ * Similarity of two names between 0 and 1 (1 = same name once normalized).
+ * Numbers are never fuzzy: when both names have numbers and they differ ("2 Track" / "3 Track", "4mm" / "5mm"),
+ * the score stays below DEFAULT_THRESHOLD however close the rest of the name is.
+ */
+function nameSimilarity(a, b) {
+    const numbersA = numbersIn(a);
+    const numbersB = numbersIn(b);
+    const numbersDiffer = numbersA.length > 0 && numbersB.length > 0 && numbersA.join(' ') !== numbersB.join(' ');
+    const score = textSimilarity(a, b);
+    return numbersDiffer ? Math.min(score, NUMBER_MISMATCH_CAP) : score;
+}
+
+function textSimilarity(a, b) {
+    const normalizedA = normalizeName(a);
+    const normalizedB = normalizeName(b);
+    if (!normalizedA || !normalizedB) return 0;
+    if (normalizedA === normalizedB) return 1;
+
+    const compactA = normalizedA.replace(/ /g, '');
+    const compactB = normalizedB.replace(/ /g, '');
+    if (compactA === compactB) return 0.98;
+
+    const wordsA = normalizedA.split(' ');
+    const wordsB = normalizedB.split(' ');
+    if ([...wordsA].sort().join(' ') === [...wordsB].sort().join(' ')) return 0.95;
+
+    return Math.min(0.94, Math.max(editSimilarity(compactA, compactB), wordOverlap(wordsA, wordsB)));
+}
+
+/**
+ * Finds the candidate a typed name refers to.
+ * @param {string} input - The typed name.
+ * @param {Array<object>} candidates - Known records.
+ * @param {object} [options] - { getName: record -> name (default record.name), threshold }
+ * @returns {{match: object|null, score: number, exact: boolean, ambiguous: Array<object>, suggestions: Array<object>}}
+ *   `match` is null when nothing scores above the threshold, or when two candidates are too close to call
+ *   (both listed in `ambiguous`). `suggestions` holds the best few reasonably similar candidates either way.
+ */
+function findBestMatch(input, candidates, options = {}) {
+    const getName = options.getName || (record => record.name);
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+
+    const scored = candidates
+        .map(record => ({ record, score: nameSimilarity(input, getName(record)) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+    const [best, second] = scored;
+    const suggestions = scored.filter(entry => entry.score >= SUGGESTION_THRESHOLD).slice(0, 3).map(entry => entry.record);
+
+    if (!best || best.score < threshold) {
+        return { match: null, score: best ? Number(best.score.toFixed(2)) : 0, exact: false, ambiguous: [], suggestions };
+    }
+    if (best.score < 1 && second && best.score - second.score < AMBIGUITY_MARGIN) {
+        const ambiguous = scored.filter(entry => best.score - entry.score < AMBIGUITY_MARGIN).map(entry => entry.record);
+        return { match: null, score: Number(best.score.toFixed(2)), exact: false, ambiguous, suggestions };
+    }
+    return { match: best.record, score: Number(best.score.toFixed(2)), exact: best.score === 1, ambiguous: [], suggestions };
+}
+
+module.exports = {
+    normalizeName,
+    nameSimilarity,
+    findBestMatch
+};
@@ -5,6 +5,7 @@ const puppeteer = require('puppeteer');
 // // process.exit(0); // REMOVED Force exit after puppeteer require for testing // This was already commented
 const path = require('path');
 const fs = require('fs'); // Added fs import
+const { sumPriceAdjustments } = require('./productOptions');
 
 /**
  * Generate PDF for quotation
@@ -490,9 +491,23 @@ function generateQuotationHTML(quotation, company) {
     totalChargeableArea: item.totalChargeableArea || 0,
     pricePerAreaUnit: item.pricePerAreaUnit || 0,
     itemSubtotal: item.itemSubtotal || 0,
-    itemLabel: item.itemLabel || ''
+    itemLabel: item.itemLabel || '',
+    selectedOptions: item.selectedOptions || []
   }));
 
+  // Rate shown per item includes its options' change to the price per area; fixed option amounts are listed with the option
+  const optionsRate = (item) => {
+    const base = item.pricePerAreaUnit && item.pricePerAreaUnit.$numberDecimal
+      ? parseFloat(item.pricePerAreaUnit.$numberDecimal)
+      : parseFloat(item.pricePerAreaUnit.toString() || '0');
+    return base + sumPriceAdjustments(item.selectedOptions).pricePerAreaAdjustment;
+  };
+  const describeItemOptions = (item) => item.selectedOptions.map(selection => {
+    const extra = Number(selection.priceAdjustmentPerItem) || 0;
+    return `${safeField(selection.optionName)}: ${safeField(selection.choiceLabel)}` +
+      (extra !== 0 ? ` (${extra > 0 ? '+' : '−'}${formatCurrency(Math.abs(extra))} each)` : '');
+  }).join(', ');
+
   // Calculate totals for summary - convert Decimal128 to numbers
   const subtotal = quotation.subtotal && typeof quotation.subtotal.toString === 'function' ? parseFloat(quotation.subtotal.toString()) : 0;
   const totalCharges = quotation.totalCharges && typeof quotation.totalCharges.toString === 'function' ? parseFloat(quotation.totalCharges.toString()) : 0;
@@ -1074,12 +1089,13 @@ function generateQuotationHTML(quotation, company) {
                     ${item.itemLabel ? `<div class="item-specs">Label: ${safeField(item.itemLabel)}</div>` : ''}
                     ${item.selectedGlassTypeNameSnapshot ? `<div class="item-specs">Glass: ${safeField(item.selectedGlassTypeNameSnapshot)}</div>` : ''}
                     ${item.frameColour ? `<div class="item-specs">Frame: ${safeField(item.frameColour)}</div>` : ''}
+                    ${item.selectedOptions.length > 0 ? `<div class="item-specs">Options: ${describeItemOptions(item)}</div>` : ''}
                     <div class="item-specs">Dimension: ${item.width && item.width.$numberDecimal ? parseFloat(item.width.$numberDecimal).toFixed(2) : parseFloat(item.width.toString() || '0').toFixed(2)}W × ${item.height && item.height.$numberDecimal ? parseFloat(item.height.$numberDecimal).toFixed(2) : parseFloat(item.height.toString() || '0').toFixed(2)}H = ${item.totalChargeableArea && item.totalChargeableArea.$numberDecimal ? parseFloat(item.totalChargeableArea.$numberDecimal).toFixed(2) : parseFloat(item.totalChargeableArea.toString() || '0').toFixed(2)} ${quotation.areaUnit || 'sqft'}</div>
                     ${item.technicalDrawingSvg ? `<div class="technical-drawing-container">${item.technicalDrawingSvg}</div>` : ''}
                     <div class="item-specs">System: Premium Quality</div>
                   </td>
                   <td class="text-center">${item.quantity}</td>
-                  <td class="text-right">${formatCurrency(item.pricePerAreaUnit)}</td>
+                  <td class="text-right">${formatCurrency(optionsRate(item))}</td>
                   <td class="text-right"><strong>${formatCurrency(item.itemSubtotal)}</strong></td>
                 </tr>
               `).join('')}
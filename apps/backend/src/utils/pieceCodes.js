@@ -0,0 +1,60 @@
+/**
+ * Codes printed on cut-piece labels and scanned on the shop floor.
+ *
+ *   piece: <order number>-<item>-<material>-<cut>   e.g. SO-2024-001-2-1-3
+ *   item:  <order number>-I<item>                     e.g. SO-2024-001-I2
+ *
+ * All indices are 1-based and come from the order itself (item, requiredMaterialCuts entry, cut within it),
+ * so a piece keeps its code across cutting plan versions and batches.
+ */
+
+const PIECE_CODE_PATTERN = /^(.+)-(\d+)-(\d+)-(\d+)$/;
+const ITEM_CODE_PATTERN = /^(.+)-I(\d+)$/;
+
+/**
+ * @param {string} orderIdDisplay - Order number.
+ * @param {number} itemIndex - 0-based index into order.items.
+ * @param {number} cutReqIndex - 0-based index into item.requiredMaterialCuts.
+ * @param {number} cutIndex - 0-based index into cutReq.cutLengths.
+ * @returns {string}
+ */
+function buildPieceId(orderIdDisplay, itemIndex, cutReqIndex, cutIndex) {
+    return `${orderIdDisplay}-${itemIndex + 1}-${cutReqIndex + 1}-${cutIndex + 1}`;
+}
+
+/**
+ * @param {string} orderIdDisplay - Order number.
+ * @param {number} itemIndex - 0-based index into order.items.
+ * @returns {string}
+ */
+function buildItemCode(orderIdDisplay, itemIndex) {
+    return `${orderIdDisplay}-I${itemIndex + 1}`;
+}
+
+/**
+ * Reads a scanned code.
+ * @param {string} code - Scanned text.
+ * @returns {{type: 'piece'|'item', orderIdDisplay: string, itemIndex: number, pieceId?: string}|null}
+ *   null when the code is neither a piece nor an item code.
+ */
+function parseScanCode(code) {
+    const text = typeof code === 'string' ? code.trim() : '';
+
+    const itemMatch = text.match(ITEM_CODE_PATTERN);
+    if (itemMatch) {
+        return { type: 'item', orderIdDisplay: itemMatch[1], itemIndex: Number(itemMatch[2]) - 1 };
+    }
+
+    const pieceMatch = text.match(PIECE_CODE_PATTERN);
+    if (pieceMatch) {
+        return { type: 'piece', orderIdDisplay: pieceMatch[1], itemIndex: Number(pieceMatch[2]) - 1, pieceId: text };
+    }
+
+    return null;
+}
+
+module.exports = {
+    buildPieceId,
+    buildItemCode,
+    parseScanCode
+};
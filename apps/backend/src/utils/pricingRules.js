@@ -0,0 +1,140 @@
+/**
+ * Pricing rules used when neither the product type nor the company settings define a value.
+ * Margins are on the selling price: a 25% margin prices a 75 cost at 100.
+ */
+const DEFAULT_PRICING_RULES = {
+    method: 'targetMargin', // 'targetMargin' | 'markup'
+    targetMarginPercent: 25,
+    markupPercent: 30, // On material + labour cost
+    minimumPricePerArea: 0, // Per the quotation's area unit; 0 = no floor
+    minimumMarginPercent: 10, // Quotations below this margin are warned about (or blocked) when sent
+    belowMinimumMarginAction: 'warn' // 'warn' | 'block'; company-wide only
+};
+
+const PRICING_METHODS = ['targetMargin', 'markup'];
+const BELOW_MINIMUM_MARGIN_ACTIONS = ['warn', 'block'];
+const ESTIMATION_RATE_SOURCES = ['stock', 'priceList'];
+
+function isSet(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Picks the value for one pricing rule: product type override first, then company setting, then default.
+ * @returns {{value: *, source: string}}
+ */
+function pickRule(productParams, companyParams, field) {
+    if (productParams && isSet(productParams[field])) {
+        return { value: productParams[field], source: 'productType' };
+    }
+    if (companyParams && isSet(companyParams[field])) {
+        return { value: companyParams[field], source: 'company' };
+    }
+    return { value: DEFAULT_PRICING_RULES[field], source: 'default' };
+}
+
+/**
+ * Resolves the pricing rules for a product type.
+ * @param {object|null} companySettings - Setting document (or lean object) of the company; may be null.
+ * @param {object|null} productType - Product type carrying optional pricing overrides.
+ * @returns {{method: string, targetMarginPercent: number, markupPercent: number, minimumPricePerArea: number, minimumMarginPercent: number, belowMinimumMarginAction: string, sources: object}}
+ */
+function resolvePricingRules(companySettings, productType) {
+    const companyParams = companySettings ? companySettings.pricing : null;
+    const productParams = productType ? productType.pricing : null;
+
+    const method = pickRule(productParams, companyParams, 'method');
+    const targetMargin = pickRule(productParams, companyParams, 'targetMarginPercent');
+    const markup = pickRule(productParams, companyParams, 'markupPercent');
+    const minimumPrice = pickRule(productParams, companyParams, 'minimumPricePerArea');
+    const minimumMargin = pickRule(productParams, companyParams, 'minimumMarginPercent');
+    const action = pickRule(null, companyParams, 'belowMinimumMarginAction');
+
+    return {
+        method: method.value,
+        targetMarginPercent: Number(targetMargin.value),
+        markupPercent: Number(markup.value),
+        minimumPricePerArea: Number(minimumPrice.value),
+        minimumMarginPercent: Number(minimumMargin.value),
+        belowMinimumMarginAction: action.value,
+        sources: {
+            method: method.source,
+            targetMarginPercent: targetMargin.source,
+            markupPercent: markup.source,
+            minimumPricePerArea: minimumPrice.source,
+            minimumMarginPercent: minimumMargin.source
+        }
+    };
+}
+
+/**
+ * Suggested selling price per area unit for an item costing `costPerItem` over `areaPerItem` chargeable area.
+ * Rounded up to the paisa so the rounding never eats into the margin.
+ * @param {number} costPerItem - Material + labour cost of one item.
+ * @param {number} areaPerItem - Chargeable area of one item, in the quotation's area unit.
+ * @param {object} rules - Result of resolvePricingRules.
+ * @returns {number} 0 when the item has no area.
+ */
+function suggestPricePerArea(costPerItem, areaPerItem, rules) {
+    if (!(areaPerItem > 0)) {
+        return 0;
+    }
+    const costPerArea = Math.max(costPerItem, 0) / areaPerItem;
+    let price = rules.method === 'markup'
+        ? costPerArea * (1 + rules.markupPercent / 100)
+        : costPerArea / (1 - Math.min(rules.targetMarginPercent, 99.99) / 100);
+    price = Math.max(price, rules.minimumPricePerArea || 0);
+    return Math.ceil(Number((price * 100).toFixed(6))) / 100;
+}
+
+/**
+ * Margin as a percentage of the selling price; null when there is nothing sold.
+ */
+function marginPercentOf(revenue, cost) {
+    if (!(revenue > 0)) {
+        return null;
+    }
+    return Number((((revenue - cost) / revenue) * 100).toFixed(2));
+}
+
+/**
+ * Validates a set of pricing rules from a request. Fields may be null (inherit) when `allowInherit` is set.
+ * @returns {string|null} The first problem found, or null.
+ */
+function validatePricingRules(rules, allowInherit = false) {
+    for (const field of ['targetMarginPercent', 'markupPercent', 'minimumPricePerArea', 'minimumMarginPercent']) {
+        const value = rules[field];
+        if (value === undefined || (allowInherit && !isSet(value))) continue;
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            return `Pricing ${field} must be a non-negative number.`;
+        }
+    }
+    for (const field of ['targetMarginPercent', 'minimumMarginPercent']) {
+        if (typeof rules[field] === 'number' && rules[field] >= 100) {
+            return `Pricing ${field} must be below 100%.`;
+        }
+    }
+    if (rules.method !== undefined && !(allowInherit && !isSet(rules.method)) && !PRICING_METHODS.includes(rules.method)) {
+        return 'Invalid pricing method. Allowed: targetMargin, markup.';
+    }
+    if (rules.belowMinimumMarginAction !== undefined && !BELOW_MINIMUM_MARGIN_ACTIONS.includes(rules.belowMinimumMarginAction)) {
+        return 'Invalid below-minimum-margin action. Allowed: warn, block.';
+    }
+    if (rules.estimationRateSource !== undefined && !ESTIMATION_RATE_SOURCES.includes(rules.estimationRateSource)) {
+        return 'Invalid estimation rate source. Allowed: stock, priceList.';
+    }
+    if (rules.recostAlertPercent !== undefined && (typeof rules.recostAlertPercent !== 'number' || isNaN(rules.recostAlertPercent) || rules.recostAlertPercent < 0)) {
+        return 'Pricing recostAlertPercent must be a non-negative number.';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_PRICING_RULES,
+    PRICING_METHODS,
+    ESTIMATION_RATE_SOURCES,
+    resolvePricingRules,
+    suggestPricePerArea,
+    marginPercentOf,
+    validatePricingRules
+};
@@ -0,0 +1,141 @@
+/**
+ * Product options (handle type, lock, mesh, number of tracks, grill, sill...) chosen per item.
+ *
+ * A product type lists its options, each with choices. A choice can add, replace or remove material links of
+ * the product type (so it changes materials and formulas), and adjust the selling price per area unit and per
+ * item. Items store the chosen options as snapshots ({ optionId, optionName, choiceId, choiceLabel, price
+ * adjustments }); options an item does not choose fall back to the option's default choice, if any.
+ */
+
+const idOf = (value) => (value === null || value === undefined ? '' : String(value._id || value));
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc });
+
+/**
+ * Resolves an item's chosen options against its product type.
+ * @param {Object} productType - ProductType document or plain object (with options)
+ * @param {Array<Object>} [selectedOptions] - Item selections: { optionId, choiceId } (snapshot fields ignored)
+ * @returns {{selections: Array<Object>, choices: Array<Object>, unknown: Array<string>}}
+ *   `selections` are the snapshots to store on the item, `choices` the chosen choice subdocuments, and
+ *   `unknown` describes selections that no longer match an option or choice of the product type (they are
+ *   left out; the option's default choice applies instead).
+ */
+function resolveItemOptions(productType, selectedOptions = []) {
+    const options = (productType && productType.options) || [];
+    const selectedByOption = new Map();
+    const unknown = [];
+
+    (selectedOptions || []).forEach(selected => {
+        if (!selected || !selected.optionId) return;
+        if (!options.some(option => idOf(option) === idOf(selected.optionId))) {
+            unknown.push(selected.optionName || `option ${idOf(selected.optionId)}`);
+            return;
+        }
+        selectedByOption.set(idOf(selected.optionId), selected);
+    });
+
+    const selections = [];
+    const choices = [];
+    options.forEach(option => {
+        const selected = selectedByOption.get(idOf(option));
+        let choice = null;
+        if (selected && selected.choiceId) {
+            choice = (option.choices || []).find(entry => idOf(entry) === idOf(selected.choiceId)) || null;
+            if (!choice) {
+                unknown.push(`${option.name}: ${selected.choiceLabel || `choice ${idOf(selected.choiceId)}`}`);
+            }
+        }
+        if (!choice) {
+            choice = (option.choices || []).find(entry => entry.isDefault) || null;
+        }
+        if (!choice) return;
+
+        choices.push(choice);
+        selections.push({
+            optionId: option._id,
+            optionName: option.name,
+            choiceId: choice._id,
+            choiceLabel: choice.label,
+            pricePerAreaAdjustment: Number(choice.pricePerAreaAdjustment) || 0,
+            priceAdjustmentPerItem: Number(choice.priceAdjustmentPerItem) || 0
+        });
+    });
+
+    return { selections, choices, unknown };
+}
+
+/**
+ * Material links of a product type with the chosen options' material changes applied, in option order.
+ * `replace` swaps the link of the target material for the change's link, `remove` drops it and `add` appends
+ * the change's link. Changes whose target is not (or no longer) in the list are skipped.
+ * @param {Array<Object>} materials - The product type's material links
+ * @param {Array<Object>} choices - Chosen choices (see resolveItemOptions)
+ * @returns {Array<Object>} Material links as plain objects
+ */
+function applyMaterialChanges(materials, choices) {
+    let links = (materials || []).map(plain);
+
+    choices.forEach(choice => {
+        (choice.materialChanges || []).forEach(rawChange => {
+            const change = plain(rawChange);
+            const { action, targetMaterialId, ...link } = change;
+            delete link._id;
+            const targetIndex = links.findIndex(entry => idOf(entry.materialId) === idOf(targetMaterialId));
+
+            if (action === 'add') {
+                links.push(link);
+            } else if (action === 'replace' && targetIndex !== -1) {
+                links[targetIndex] = link;
+            } else if (action === 'remove' && targetIndex !== -1) {
+                links = links.filter((entry, index) => index !== targetIndex);
+            }
+        });
+    });
+
+    return links;
+}
+
+/**
+ * What an item's options make of its product type: the material links to calculate with and the price
+ * adjustments to quote.
+ * @param {Object} productType - ProductType document or plain object (with materials and options)
+ * @param {Array<Object>} [selectedOptions] - Item selections
+ * @returns {{materials: Array<Object>, selections: Array<Object>, unknown: Array<string>,
+ *   pricePerAreaAdjustment: number, priceAdjustmentPerItem: number}}
+ */
+function applyItemOptions(productType, selectedOptions = []) {
+    const { selections, choices, unknown } = resolveItemOptions(productType, selectedOptions);
+    return {
+        materials: applyMaterialChanges(productType.materials, choices),
+        selections,
+        unknown,
+        ...sumPriceAdjustments(selections)
+    };
+}
+
+/**
+ * Total price adjustments of stored option snapshots.
+ * @param {Array<Object>} [selections] - Item's selectedOptions
+ * @returns {{pricePerAreaAdjustment: number, priceAdjustmentPerItem: number}}
+ */
+function sumPriceAdjustments(selections = []) {
+    return (selections || []).reduce((totals, selection) => ({
+        pricePerAreaAdjustment: totals.pricePerAreaAdjustment + (Number(selection.pricePerAreaAdjustment) || 0),
+        priceAdjustmentPerItem: totals.priceAdjustmentPerItem + (Number(selection.priceAdjustmentPerItem) || 0)
+    }), { pricePerAreaAdjustment: 0, priceAdjustmentPerItem: 0 });
+}
+
+/**
+ * Short description of an item's options for documents, e.g. "Handle: Premium, Mesh: Yes".
+ */
+function describeOptions(selections = []) {
+    return (selections || []).map(selection => `${selection.optionName}: ${selection.choiceLabel}`).join(', ');
+}
+
+module.exports = {
+    resolveItemOptions,
+    applyMaterialChanges,
+    applyItemOptions,
+    sumPriceAdjustments,
+    describeOptions
+};
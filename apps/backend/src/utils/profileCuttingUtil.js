@@ -1,8 +1,9 @@
 const { convertUnit } = require('./unitConverter'); // Assuming unitConverter is in the same directory or adjust path
+const { getStrategy } = require('./cuttingStrategies');
+const { getCuttingConfig } = require('./cuttingConfig');
+const { normalizeCutAngles } = require('./cutAngleUtils');
 
-const CUTTING_LOSS_INCHES = 0.125; // Kerf loss per cut after the first piece on a pipe
-const SCRAP_THRESHOLD_FEET = 3.0;
-const SCRAP_THRESHOLD_INCHES = SCRAP_THRESHOLD_FEET * 12.0;
+// Kerf, trim and remnant rules come from the company settings and the material (see cuttingConfig.js)
 const EPSILON_INCHES = 0.001; // For floating point comparisons
 
 /**
@@ -56,6 +57,9 @@ function parseFloatLength(lengthInput, originalInputForError) {
  * @param {object} materialObject - The full material object, including standardLengths array.
  * @param {string} companyId - The ID of the company (as string).
  * @param {number[]} requiredCutLengths_ft - An array of required cut lengths in feet.
+ * @param {object} [options] - { strategy: 'greedy' | 'exact' | 'localSearch' | 'auto', timeLimitMs, cuttingConfig, cutAngles }.
+ *   Strategy defaults to greedy; cuttingConfig (from cuttingConfig.resolveCuttingConfig) is loaded for the company and material when omitted.
+ *   cutAngles is parallel to requiredCutLengths_ft ({ startAngle, endAngle } per cut); missing entries are square cuts.
  * @returns {Promise<object>} - {
  *   totalPipesFromStock: number,
  *   pipesTakenPerStandardLength: Array<{ length: string, unit: string, count: number }>,
@@ -64,8 +68,11 @@ function parseFloatLength(lengthInput, originalInputForError) {
  * }
  * @throws {ProfileCuttingError} - If material issues, or a cut is too large for any available stock.
  */
-async function calculateProfileConsumption(materialObject, companyId, requiredCutLengths_ft) {
+async function calculateProfileConsumption(materialObject, companyId, requiredCutLengths_ft, options = {}) {
     const material = materialObject;
+    const strategyName = options.strategy || 'greedy';
+    const solve = getStrategy(strategyName);
+    if (!solve) throw new ProfileCuttingError(`Unknown cutting strategy '${strategyName}'.`);
 
     // Basic Validations
     if (!material || !material._id) throw new ProfileCuttingError('Invalid Material object provided.');
@@ -73,6 +80,9 @@ async function calculateProfileConsumption(materialObject, companyId, requiredCu
     if (material.category !== 'Profile') throw new ProfileCuttingError('This function is only for Profile materials.');
     if (!material.standardLengths || material.standardLengths.length === 0) throw new ProfileCuttingError('Material has no defined standard lengths.');
 
+    const cuttingConfig = options.cuttingConfig || await getCuttingConfig(companyId, material);
+    const trimPerBar_in = 2 * cuttingConfig.endTrimInches;
+
     // 1. Convert standard lengths to INCHES and prepare them
     const standardLengths_in = material.standardLengths.map((sl, index) => {
         try {
@@ -111,6 +121,7 @@ async function calculateProfileConsumption(materialObject, companyId, requiredCu
     if (standardLengths_in.length === 0) throw new ProfileCuttingError('No valid standard lengths after conversion to inches.');
 
     // 2. Convert required cuts to INCHES and sort them (largest first - FFD style for initial order)
+    const cutAngles = options.cutAngles || [];
     let cutsToPlace_in = requiredCutLengths_ft.map((cut_ft, index) => {
         if (typeof cut_ft !== 'number' || isNaN(cut_ft) || cut_ft <= 0) {
             throw new ProfileCuttingError(`Invalid required cut value in feet at index ${index}: ${cut_ft}`);
@@ -119,80 +130,42 @@ async function calculateProfileConsumption(materialObject, companyId, requiredCu
         if (conversion.error || conversion.result === null || isNaN(conversion.result) || conversion.result <= EPSILON_INCHES) {
             throw new ProfileCuttingError(`Failed to convert cut ${cut_ft}ft to inches: ${conversion.error || 'conversion failed'}.`);
         }
-        return conversion.result;
-    }).sort((a, b) => b - a);
+        return { length: conversion.result, ...normalizeCutAngles(cutAngles[index]) };
+    }).sort((a, b) => b.length - a.length);
 
-    // Initial validation: can largest cut fit into largest pipe?
-    if (cutsToPlace_in.length > 0 && standardLengths_in.length > 0 && cutsToPlace_in[0] > standardLengths_in[0].lengthInInches + EPSILON_INCHES) {
-        const cutFtDisplay = (cutsToPlace_in[0]/12).toFixed(2);
+    // Initial validation: can largest cut fit into largest pipe (after trimming both ends)?
+    if (cutsToPlace_in.length > 0 && standardLengths_in.length > 0 && cutsToPlace_in[0].length > standardLengths_in[0].lengthInInches - trimPerBar_in + EPSILON_INCHES) {
+        const cutFtDisplay = (cutsToPlace_in[0].length/12).toFixed(2);
         const stockFtDisplay = (standardLengths_in[0].lengthInInches/12).toFixed(2);
-        throw new ProfileCuttingError(`Largest cut ${cutsToPlace_in[0].toFixed(2)}in (${cutFtDisplay}ft) is greater than the largest available standard pipe ${standardLengths_in[0].lengthInInches.toFixed(2)}in (${stockFtDisplay}ft).`);
+        const trimNote = trimPerBar_in > 0 ? ` with ${trimPerBar_in.toFixed(2)}in end trim` : '';
+        throw new ProfileCuttingError(`Largest cut ${cutsToPlace_in[0].length.toFixed(2)}in (${cutFtDisplay}ft) is greater than the largest available standard pipe ${standardLengths_in[0].lengthInInches.toFixed(2)}in (${stockFtDisplay}ft)${trimNote}.`);
     }
     
-    const usedPipeLayouts = []; // Stores details of each pipe chosen: { standardPipe, cutsPacked_in, lengthUsedWithLoss_in, immediateScrap_in }
-    let unfulfillableScrapTotal_in = 0; // For cuts that cannot be placed on any pipe as per Apps Script logic
-
-    // 3. Core Cutting Logic (emulating Apps Script)
-    while (cutsToPlace_in.length > 0) {
-        let bestPipeChoiceForThisIteration = null; // Stores { standardPipe, cutsPacked_in, lengthUsedWithLoss_in, immediateScrap_in }
-
-        // Iterate through all available standard pipe sizes to find the best one for the current set of cuts
-        for (const candidateStdPipe of standardLengths_in) {
-            let currentCutsOnCandidate_in = [];
-            let currentLengthUsedOnCandidate_in = 0;
-            let piecesOnCandidate = 0;
-
-            // Simulate packing cuts from the *current* cutsToPlace_in list onto this candidateStdPipe
-            // The Apps Script iterates through its `remainingLengths` (which is sorted) for this simulation.
-            const cutsToAttemptPacking = [...cutsToPlace_in]; // Use a copy, respecting current order
-
-            for (const cut_in of cutsToAttemptPacking) {
-                const lossForThisCut = (piecesOnCandidate > 0) ? CUTTING_LOSS_INCHES : 0;
-                if (currentLengthUsedOnCandidate_in + cut_in + lossForThisCut <= candidateStdPipe.lengthInInches + EPSILON_INCHES) {
-                    currentLengthUsedOnCandidate_in += (cut_in + lossForThisCut);
-                    currentCutsOnCandidate_in.push(cut_in); // Store the actual cut length
-                    piecesOnCandidate++;
-                }
-            }
-
-            // If any cuts were packed, evaluate this candidate
-            if (currentCutsOnCandidate_in.length > 0) {
-                const currentImmediateScrap_in = candidateStdPipe.lengthInInches - currentLengthUsedOnCandidate_in;
-                if (bestPipeChoiceForThisIteration === null || currentImmediateScrap_in < bestPipeChoiceForThisIteration.immediateScrap_in) {
-                    bestPipeChoiceForThisIteration = {
-                        standardPipe: candidateStdPipe, // The chosen standard pipe object
-                        cutsPacked_in: currentCutsOnCandidate_in, // Array of cuts (inches) packed onto it
-                        lengthUsedWithLoss_in: currentLengthUsedOnCandidate_in,
-                        immediateScrap_in: currentImmediateScrap_in
-                    };
-                }
-            }
-        }
-
-        if (bestPipeChoiceForThisIteration) {
-            // A pipe was chosen, record its use and remove packed cuts from the main list
-            usedPipeLayouts.push(bestPipeChoiceForThisIteration);
-            
-            for (const packedCut_in of bestPipeChoiceForThisIteration.cutsPacked_in) {
-                // Find and remove the first occurrence of this cut length
-                const indexToRemove = cutsToPlace_in.findIndex(c => Math.abs(c - packedCut_in) < EPSILON_INCHES);
-                if (indexToRemove > -1) {
-                    cutsToPlace_in.splice(indexToRemove, 1);
-                } else {
-                    // This might happen if multiple cuts of the exact same length were packed than existed,
-                    // or a float precision issue not caught by EPSILON. Should be rare.
-                    console.warn(`[WARN] ProfileCuttingUtil: Attempted to remove packed cut ${packedCut_in}in but not found in remaining cutsToPlace_in. Current list: ${JSON.stringify(cutsToPlace_in)}`);
-                }
-            }
-        } else if (cutsToPlace_in.length > 0) {
-            // No standard pipe could be chosen to pack *any* of the remaining cuts.
-            // Apps Script: takes the largest remaining cut (cutsToPlace_in[0]) and considers it full scrap.
-            const largestRemainingCut_in = cutsToPlace_in.shift(); // Remove and get the largest
-            unfulfillableScrapTotal_in += largestRemainingCut_in;
-            console.warn(`[WARN] ProfileCuttingUtil: Unfulfillable cut ${largestRemainingCut_in.toFixed(2)}in became direct scrap as no pipe choice could accommodate it or other cuts.`);
-        }
-        // If cutsToPlace_in is empty, the loop terminates.
-    }
+    // 3. Core Cutting Logic (delegated to the selected strategy; greedy emulates the Apps Script)
+    // Estimations assume unlimited stock of every standard length.
+    const solution = solve({
+        cuts: cutsToPlace_in,
+        stock: standardLengths_in.map(sp => ({ ...sp, available: Infinity, costPerInch: 1 })),
+        kerf: cuttingConfig.kerfInches,
+        endTrim: cuttingConfig.endTrimInches,
+        maxCutsPerBar: cuttingConfig.maxCutsPerBar,
+        mitreDepth: cuttingConfig.mitreDepthInches
+    }, options);
+
+    // Stores details of each pipe chosen: { standardPipe, cutsPacked_in, lengthUsedWithLoss_in, immediateScrap_in }
+    const usedPipeLayouts = solution.layouts.map(layout => ({
+        standardPipe: layout.stock,
+        cutsPacked_in: layout.cutsPacked_in.map(cut => cut.length),
+        lengthUsedWithLoss_in: layout.lengthUsedWithLoss_in,
+        immediateScrap_in: layout.immediateScrap_in
+    }));
+
+    // Cuts that cannot be placed on any pipe become full scrap, as per Apps Script logic
+    let unfulfillableScrapTotal_in = 0;
+    solution.unplaced.forEach(cut => {
+        unfulfillableScrapTotal_in += cut.length;
+        console.warn(`[WARN] ProfileCuttingUtil: Unfulfillable cut ${cut.length.toFixed(2)}in became direct scrap as no pipe choice could accommodate it or other cuts.`);
+    });
 
     // 4. Aggregate results
     const pipesTakenCounts = {}; // Key: standardPipe.id, Value: { length, unit, count, lengthInInches }
@@ -212,7 +185,7 @@ async function calculateProfileConsumption(materialObject, companyId, requiredCu
         pipesTakenCounts[pipeId].count++;
 
         // Handle the immediate scrap from this specific pipe layout
-        if (layout.immediateScrap_in >= SCRAP_THRESHOLD_INCHES - EPSILON_INCHES) {
+        if (layout.immediateScrap_in >= cuttingConfig.minRemnantInches - EPSILON_INCHES) {
             finalUsableOffcuts_in.push(layout.immediateScrap_in);
         } else if (layout.immediateScrap_in > EPSILON_INCHES) { // Small, unusable scrap
             totalGeneratedScrapFromRemainders_in += layout.immediateScrap_in;
@@ -244,6 +217,5 @@ async function calculateProfileConsumption(materialObject, companyId, requiredCu
 
 module.exports = {
     calculateProfileConsumption,
-    ProfileCuttingError,
-    SCRAP_THRESHOLD_FT: SCRAP_THRESHOLD_FEET 
+    ProfileCuttingError
 }; 
\ No newline at end of file
@@ -9,6 +9,8 @@ const mongoose = require('mongoose');
  * @param {string | number} item.height - Height of the item.
  * @param {number} item.quantity - Quantity of the item.
  * @param {string | number} item.pricePerAreaUnit - Price per unit of area.
+ * @param {number} [item.pricePerAreaAdjustment] - Added to pricePerAreaUnit by the item's product options.
+ * @param {number} [item.priceAdjustmentPerItem] - Fixed amount per item from the item's product options.
  * @param {'inches' | 'mm'} dimensionUnit - The unit of the item's dimensions.
  * @param {'sqft' | 'sqm'} areaUnit - The target area unit for calculation.
  * @param {boolean} [applyMinimum=true] - Whether to apply the minimum chargeable area rules.
@@ -19,6 +21,8 @@ function calculateItemDetails(item, dimensionUnit, areaUnit, applyMinimum = true
   const inputHeight = parseFloat(String(item.height)) || 0;
   const quantity = Number(item.quantity) || 1;
   const pricePerAreaUnit = parseFloat(String(item.pricePerAreaUnit)) || 0;
+  const pricePerAreaAdjustment = Number(item.pricePerAreaAdjustment) || 0;
+  const priceAdjustmentPerItem = Number(item.priceAdjustmentPerItem) || 0;
 
   if (inputWidth === 0 || inputHeight === 0) { // Price check removed, as area might be needed even with 0 price
     return {
@@ -103,7 +107,7 @@ function calculateItemDetails(item, dimensionUnit, areaUnit, applyMinimum = true
   }
 
   const totalFinalChargeableArea = finalChargeableAreaPerItem * quantity;
-  const itemSubtotal = totalFinalChargeableArea * pricePerAreaUnit;
+  const itemSubtotal = totalFinalChargeableArea * (pricePerAreaUnit + pricePerAreaAdjustment) + priceAdjustmentPerItem * quantity;
 
   return {
     rawAreaInDimUnits: parseFloat(rawAreaInDimUnits.toFixed(6)), // Area in original dimension units squared (e.g., sq.in, sq.mm)
@@ -446,12 +446,13 @@ const generateStockAvailabilityPDF = async (orderData, stockAvailability, glassR
                 <table>
                     <thead>
                         <tr>
-                            <th style="width: 25%;">Material Name</th>
-                            <th style="width: 10%;">Category</th>
-                            <th style="width: 12%;">Status</th>
-                            <th style="width: 18%;">Required</th>
-                            <th style="width: 18%;">Available</th>
-                            <th style="width: 17%;">Shortfall</th>
+                            <th style="width: 21%;">Material Name</th>
+                            <th style="width: 9%;">Category</th>
+                            <th style="width: 11%;">Status</th>
+                            <th style="width: 16%;">Required</th>
+                            <th style="width: 15%;">Reserved (other orders)</th>
+                            <th style="width: 15%;">Available</th>
+                            <th style="width: 13%;">Shortfall</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -470,6 +471,7 @@ const generateStockAvailabilityPDF = async (orderData, stockAvailability, glassR
                                     </span>
                                 </td>
                                 <td>${formatStockDetails(stock.requiredCutsDetail, stock.category)}</td>
+                                <td>${formatStockDetails(stock.reservedStockDetail, stock.category)}</td>
                                 <td>${formatStockDetails(stock.availableStockDetail, stock.category)}</td>
                                 <td>${formatStockDetails(stock.shortfallDetail, stock.category)}</td>
                             </tr>
@@ -477,6 +479,7 @@ const generateStockAvailabilityPDF = async (orderData, stockAvailability, glassR
                         }).join('')}
                     </tbody>
                 </table>
+                <p style="font-size: 10px; color: #6b7280; margin-top: 6px;">Available = on hand less stock reserved for other confirmed orders.</p>
                 ` : `
                 <div style="text-align: center; padding: 40px; color: #6b7280;">
                     <p>No stock availability data available.</p>
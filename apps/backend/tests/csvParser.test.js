@@ -0,0 +1,30 @@
+const { parseCsv, toCsvCell } = require('../src/utils/csvParser');
+
+describe('csvParser', () => {
+    const columns = { materialname: 'name', qty: 'quantity' };
+
+    it('reads quoted cells, CRLF endings and a byte-order mark, skipping blank rows', () => {
+        const text = '\uFEFFMaterial Name;Qty\r\n"Frame; white";4\r\n\r\n"Say ""hi""\n2";5\r\n';
+
+        const { records, unknownColumns } = parseCsv(text, columns);
+
+        expect(unknownColumns).toEqual([]);
+        expect(records).toEqual([
+            { rowNumber: 2, values: { name: 'Frame; white', quantity: '4' } },
+            { rowNumber: 4, values: { name: 'Say "hi"\n2', quantity: '5' } }
+        ]);
+    });
+
+    it('reads tab-separated text pasted from a spreadsheet and reports unknown headers', () => {
+        const { records, unknownColumns } = parseCsv('Material_Name\tColour\nA\tred\n', columns);
+
+        expect(records).toEqual([{ rowNumber: 2, values: { name: 'A' } }]);
+        expect(unknownColumns).toEqual(['Colour']);
+    });
+
+    it('quotes cells only when needed', () => {
+        expect(toCsvCell('a,b')).toBe('"a,b"');
+        expect(toCsvCell('plain')).toBe('plain');
+        expect(toCsvCell(null)).toBe('');
+    });
+});
@@ -0,0 +1,77 @@
+const { exportCutList, validateMachineProfile } = require('../src/utils/cutListExporter');
+
+const materialPlans = (materialName, identifier) => [{
+    materialNameSnapshot: materialName,
+    gaugeSnapshot: '18G',
+    usageUnit: 'inches',
+    pipesUsed: [{
+        standardLength: 144,
+        standardLengthUnit: 'inches',
+        scrapLength: 10,
+        sourceBatchId: 'B-1',
+        cutsMade: [
+            { requiredLength: 50, identifier, startAngle: 45, endAngle: 45 },
+            { requiredLength: 80, identifier: 'W1-2' }
+        ]
+    }]
+}];
+
+describe('cutListExporter', () => {
+    it('writes one CSV row per cut in the machine unit', () => {
+        const { content, extension } = exportCutList(materialPlans('Frame', 'W1-1'), {
+            lengthUnit: 'mm',
+            lineEnding: 'LF',
+            fields: [{ key: 'barSequence' }, { key: 'cutLength' }, { key: 'startAngle' }, { key: 'identifier' }]
+        });
+
+        expect(extension).toBe('csv');
+        expect(content).toBe('barSequence,cutLength,startAngle,identifier\n1,1270.0,45.0,W1-1\n1,2032.0,90.0,W1-2\n');
+    });
+
+    it('keeps spreadsheets from running text cells as formulas', () => {
+        const { content } = exportCutList(materialPlans('=HYPERLINK("x")', '@SUM(A1)'), {
+            lineEnding: 'LF',
+            fields: [{ key: 'materialName', header: '+Material' }, { key: 'identifier' }, { key: 'cutLength' }]
+        });
+
+        const [header, row] = content.split('\n');
+        expect(header).toBe("'+Material,identifier,cutLength");
+        expect(row).toBe('"\'=HYPERLINK(""x"")",\'@SUM(A1),1270.0');
+    });
+
+    it('writes bars and cuts as XML elements', () => {
+        const { content } = exportCutList(materialPlans('Frame & Sash', 'W1-1'), {
+            format: 'xml',
+            lineEnding: 'LF',
+            fields: [{ key: 'materialName', header: 'Material' }, { key: 'cutLength', header: 'Length' }]
+        });
+
+        expect(content).toContain('<Bar Material="Frame &amp; Sash">');
+        expect(content).toContain('<Cut Length="1270.0"/>');
+    });
+
+    describe('validateMachineProfile', () => {
+        it('rejects two attributes of the same XML element with one name', () => {
+            const error = validateMachineProfile({
+                name: 'Saw',
+                format: 'xml',
+                fields: [{ key: 'label' }, { key: 'identifier', header: 'label' }]
+            });
+
+            expect(error).toMatch(/'label' is used for more than one cut attribute/);
+        });
+
+        it('allows the same name on bar and cut elements', () => {
+            expect(validateMachineProfile({
+                name: 'Saw',
+                format: 'xml',
+                fields: [{ key: 'barSequence', header: 'Seq' }, { key: 'cutSequence', header: 'Seq' }]
+            })).toBeNull();
+        });
+
+        it('rejects unknown fields and invalid XML names', () => {
+            expect(validateMachineProfile({ name: 'Saw', fields: [{ key: 'colour' }] })).toMatch(/Unknown cut-list field/);
+            expect(validateMachineProfile({ name: 'Saw', format: 'xml', xmlBarElement: '1Bar' })).toMatch(/not a valid XML element name/);
+        });
+    });
+});
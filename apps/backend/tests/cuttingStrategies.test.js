@@ -0,0 +1,102 @@
+const { getStrategy, summarizeLayouts } = require('../src/utils/cuttingStrategies');
+
+const greedy = getStrategy('greedy');
+const exact = getStrategy('exact');
+
+const pipes = (lengthInInches = 100) => [{ id: 'pipe', lengthInInches, available: Infinity, costPerInch: 1 }];
+const cutsOf = (...lengths) => lengths.map((length, index) => ({ length, identifier: `C${index + 1}` }));
+const piecesOn = layouts => layouts.reduce((sum, layout) => sum + layout.cutsPacked_in.length, 0);
+
+describe('cutting strategies', () => {
+    it('charges one kerf per cut after the first on a bar', () => {
+        const { layouts, unplaced } = greedy({ cuts: cutsOf(50, 49.5), stock: pipes(), kerf: 0.125 });
+
+        expect(unplaced).toHaveLength(0);
+        expect(layouts).toHaveLength(1);
+        expect(layouts[0].lengthUsedWithLoss_in).toBeCloseTo(99.625);
+        expect(layouts[0].immediateScrap_in).toBeCloseTo(0.375);
+    });
+
+    it('opens another bar when the kerf no longer fits', () => {
+        const { layouts } = greedy({ cuts: cutsOf(50, 49.9), stock: pipes(), kerf: 0.125 });
+
+        expect(layouts).toHaveLength(2);
+    });
+
+    it('trims both ends of every bar', () => {
+        const { layouts } = greedy({ cuts: cutsOf(50, 49), stock: pipes(), kerf: 0.125, endTrim: 0.5 });
+
+        expect(layouts).toHaveLength(2);
+    });
+
+    it('keeps to the machine limit of pieces per bar', () => {
+        const { layouts } = greedy({ cuts: cutsOf(30, 30, 30), stock: pipes(), kerf: 0, maxCutsPerBar: 2 });
+
+        expect(layouts).toHaveLength(2);
+        expect(piecesOn(layouts)).toBe(3);
+    });
+
+    it('reports pieces longer than any stock as unplaced', () => {
+        const { layouts, unplaced } = greedy({ cuts: cutsOf(120, 40), stock: pipes(), kerf: 0 });
+
+        expect(layouts).toHaveLength(1);
+        expect(unplaced.map(cut => cut.length)).toEqual([120]);
+    });
+
+    it('uses remnants before opening new pipes', () => {
+        const stock = [
+            { id: 'remnant', lengthInInches: 40, available: 1, costPerInch: 0, isRemnant: true },
+            ...pipes()
+        ];
+        const { layouts } = greedy({ cuts: cutsOf(35, 60), stock, kerf: 0 });
+
+        expect(layouts.map(layout => layout.stock.id)).toEqual(['remnant', 'pipe']);
+        expect(summarizeLayouts(layouts)).toMatchObject({ pipesUsed: 1, remnantsUsed: 1, totalStockLength_in: 140, scrapLength_in: 45 });
+    });
+
+    it('finds a layout with fewer pipes than greedy when one exists', () => {
+        const cuts = cutsOf(42, 30, 20, 67, 19, 43, 36, 30);
+
+        const greedyResult = greedy({ cuts, stock: pipes(), kerf: 0 });
+        const exactResult = exact({ cuts, stock: pipes(), kerf: 0 });
+
+        expect(greedyResult.layouts).toHaveLength(4);
+        expect(exactResult.layouts).toHaveLength(3);
+        expect(exactResult.isOptimal).toBe(true);
+        expect(piecesOn(exactResult.layouts)).toBe(cuts.length);
+    });
+
+    describe('mitred pieces', () => {
+        const mitred = (length, startAngle, endAngle) => ({ length, startAngle, endAngle });
+
+        it('nests equal mitres into one cut, saving the mitre offset', () => {
+            const { layouts } = greedy({ cuts: [mitred(50, 45, 45), mitred(50, 45, 45)], stock: pipes(), kerf: 0.125, mitreDepth: 2 });
+
+            // 100 + kerf / sin 45° - depth / tan 45°
+            expect(layouts).toHaveLength(1);
+            expect(layouts[0].lengthUsedWithLoss_in).toBeCloseTo(100 + 0.125 / Math.sin(Math.PI / 4) - 2);
+        });
+
+        it('charges a kerf for each end where a mitre meets a square end', () => {
+            // 50 + 49.75 + kerf / sin 45° + kerf = 100.05: the square cut's kerf no longer fits
+            const { layouts } = greedy({ cuts: [mitred(50, 45, 45), { length: 49.75 }], stock: pipes(), kerf: 0.125 });
+
+            expect(layouts).toHaveLength(2);
+        });
+
+        it('charges a kerf for each end where two different mitres meet', () => {
+            const { layouts } = greedy({ cuts: [mitred(50, 45, 45), mitred(49.75, 60, 60)], stock: pipes(), kerf: 0.125 });
+
+            expect(layouts).toHaveLength(2);
+        });
+
+        it('turns a piece end for end so equal mitres nest', () => {
+            const { layouts } = greedy({ cuts: [mitred(50, 90, 45), mitred(49.8, 90, 45)], stock: pipes(), kerf: 0.125 });
+
+            expect(layouts).toHaveLength(1);
+            const [first, second] = layouts[0].cutsPacked_in;
+            expect(first.endAngle).toBe(45);
+            expect(second.startAngle).toBe(45);
+        });
+    });
+});
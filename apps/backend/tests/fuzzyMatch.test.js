@@ -0,0 +1,60 @@
+const { normalizeName, nameSimilarity, findBestMatch } = require('../src/utils/fuzzyMatch');
+
+const products = [
+    { name: '2 Track Sliding Window' },
+    { name: '3 Track Sliding Window' },
+    { name: 'Casement Window' }
+];
+const names = records => records.map(record => record.name);
+
+describe('fuzzyMatch', () => {
+    it('ignores case, spacing and punctuation', () => {
+        expect(normalizeName('  2-Track  SLIDING/Window ')).toBe('2 track sliding window');
+        expect(nameSimilarity('4 mm clear glass', '4mm Clear Glass')).toBeGreaterThan(0.95);
+    });
+
+    it('matches exact names as exact', () => {
+        const result = findBestMatch('2 track sliding window', products);
+
+        expect(result.match).toBe(products[0]);
+        expect(result.exact).toBe(true);
+    });
+
+    it('matches names with typos, abbreviations and words in another order', () => {
+        expect(findBestMatch('2 trk sliding', products).match).toBe(products[0]);
+        expect(findBestMatch('sliding window 2 track', products).match).toBe(products[0]);
+        expect(findBestMatch('Casment Window', products).match).toBe(products[2]);
+    });
+
+    describe('numbers', () => {
+        it('never matches names whose numbers differ', () => {
+            expect(nameSimilarity('4mm Clear Glass', '5mm Clear Glass')).toBeLessThan(0.7);
+
+            const result = findBestMatch('4 Track Sliding Window', products);
+
+            expect(result.match).toBeNull();
+            expect(names(result.suggestions)).toContain('2 Track Sliding Window');
+        });
+
+        it('picks the candidate with the same number over one that differs only in it', () => {
+            const result = findBestMatch('3 trk sliding window', products);
+
+            expect(result.match).toBe(products[1]);
+            expect(result.ambiguous).toEqual([]);
+        });
+    });
+
+    it('reports candidates too close to call instead of guessing', () => {
+        const result = findBestMatch('sliding window', products);
+
+        expect(result.match).toBeNull();
+        expect(names(result.ambiguous)).toEqual(['2 Track Sliding Window', '3 Track Sliding Window']);
+    });
+
+    it('finds nothing for unrelated names', () => {
+        const result = findBestMatch('Door', products);
+
+        expect(result.match).toBeNull();
+        expect(result.suggestions).toEqual([]);
+    });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const MaterialV2 = require('../src/models/MaterialV2');
+const InventoryValuationService = require('../src/services/inventoryValuationService');
+
+const d128 = value => mongoose.Types.Decimal128.fromString(String(value));
+
+const profileBatch = (batchId, quantity, ratePerPiece, purchaseDate, gauge = '18G') => ({
+    batchId,
+    length: d128(12),
+    lengthUnit: 'ft',
+    gauge,
+    originalQuantity: d128(quantity),
+    currentQuantity: d128(quantity),
+    totalCostPaid: d128(quantity * ratePerPiece),
+    ratePerPiece: d128(ratePerPiece),
+    purchaseDate: new Date(purchaseDate)
+});
+
+const profile = batches => new MaterialV2({
+    companyId: new mongoose.Types.ObjectId(),
+    name: 'Frame Profile',
+    category: 'Profile',
+    stockUnit: 'pipe',
+    usageUnit: 'ft',
+    profileBatches: batches
+});
+
+const rateOf = batch => parseFloat(batch.ratePerPiece.toString());
+
+describe('InventoryValuationService', () => {
+    describe('FIFO', () => {
+        it('issues the oldest batch first and costs it at its own rate', () => {
+            const material = profile([
+                profileBatch('NEW', 10, 120, '2024-03-01'),
+                profileBatch('OLD', 4, 100, '2024-01-01')
+            ]);
+
+            const [first, second] = material.getAvailableBatches({}, 'FIFO');
+
+            expect([first.batchId, second.batchId]).toEqual(['OLD', 'NEW']);
+            expect(InventoryValuationService.consumptionRate(material, first, 'FIFO')).toBe(100);
+            expect(InventoryValuationService.consumptionRate(material, second, 'FIFO')).toBe(120);
+        });
+
+        it('leaves batch rates alone after a draw', () => {
+            const material = profile([profileBatch('A', 4, 100, '2024-01-01'), profileBatch('B', 6, 150, '2024-02-01')]);
+
+            InventoryValuationService.revalueToAverage(material, 'FIFO', InventoryValuationService.averageRates(material));
+
+            expect(material.profileBatches.map(rateOf)).toEqual([100, 150]);
+        });
+    });
+
+    describe('WeightedAverage', () => {
+        it('averages the rates of stock on hand per spec', () => {
+            const material = profile([
+                profileBatch('A', 4, 100, '2024-01-01'),
+                profileBatch('B', 6, 150, '2024-02-01'),
+                profileBatch('C', 5, 90, '2024-02-01', '16G')
+            ]);
+
+            const rates = InventoryValuationService.averageRates(material);
+
+            expect(rates.get('12_ft_18G')).toBeCloseTo(130); // (4 x 100 + 6 x 150) / 10
+            expect(rates.get('12_ft_16G')).toBeCloseTo(90);
+        });
+
+        it('leaves out inactive, completed and empty batches', () => {
+            const material = profile([
+                profileBatch('A', 4, 100, '2024-01-01'),
+                { ...profileBatch('B', 6, 150, '2024-02-01'), isActive: false },
+                { ...profileBatch('C', 6, 200, '2024-02-01'), isCompleted: true },
+                { ...profileBatch('D', 0, 300, '2024-02-01') }
+            ]);
+
+            expect(InventoryValuationService.averageRates(material).get('12_ft_18G')).toBeCloseTo(100);
+        });
+
+        it('costs every draw of a spec at the average taken before the draw', () => {
+            const material = profile([profileBatch('A', 4, 100, '2024-01-01'), profileBatch('B', 6, 150, '2024-02-01')]);
+            const averageRates = InventoryValuationService.averageRates(material);
+            material.profileBatches[0].currentQuantity = d128(0);
+
+            const rate = InventoryValuationService.consumptionRate(material, material.profileBatches[0], 'WeightedAverage', { averageRates });
+
+            expect(rate).toBeCloseTo(130);
+        });
+
+        it('revalues what is left to the average so it matches the ledger', () => {
+            const material = profile([profileBatch('A', 4, 100, '2024-01-01'), profileBatch('B', 6, 150, '2024-02-01')]);
+            const averageRates = InventoryValuationService.averageRates(material);
+            // 3 pieces drawn from A at the average: 1300 - 3 x 130 = 910 left for 7 pieces
+            material.profileBatches[0].currentQuantity = d128(1);
+
+            InventoryValuationService.revalueToAverage(material, 'WeightedAverage', averageRates);
+
+            expect(material.profileBatches.map(rateOf)).toEqual([130, 130]);
+            const valueLeft = material.profileBatches.reduce((sum, batch) =>
+                sum + parseFloat(batch.currentQuantity.toString()) * rateOf(batch), 0);
+            expect(valueLeft).toBeCloseTo(910);
+        });
+    });
+
+    it('costs wire mesh drawn by area per area unit of the roll', () => {
+        const material = { category: 'Wire Mesh' };
+
+        expect(InventoryValuationService.batchRate(material, { ratePerUnit: d128(500), areaPerRoll: d128(100) }, true)).toBe(5);
+        expect(InventoryValuationService.batchRate(material, { ratePerUnit: d128(500), ratePerArea: d128(4.5) }, true)).toBe(4.5);
+        expect(InventoryValuationService.batchRate(material, { ratePerUnit: d128(500) })).toBe(500);
+    });
+});
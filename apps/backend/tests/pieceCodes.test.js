@@ -0,0 +1,16 @@
+const { buildPieceId, buildItemCode, parseScanCode } = require('../src/utils/pieceCodes');
+
+describe('pieceCodes', () => {
+    it('reads back the codes it builds', () => {
+        const pieceId = buildPieceId('SO-2024-001', 1, 0, 2);
+
+        expect(pieceId).toBe('SO-2024-001-2-1-3');
+        expect(parseScanCode(` ${pieceId} `)).toEqual({ type: 'piece', orderIdDisplay: 'SO-2024-001', itemIndex: 1, pieceId });
+        expect(parseScanCode(buildItemCode('SO-2024-001', 1))).toEqual({ type: 'item', orderIdDisplay: 'SO-2024-001', itemIndex: 1 });
+    });
+
+    it('rejects codes that are neither pieces nor items', () => {
+        expect(parseScanCode('SO-2024-001')).toBeNull();
+        expect(parseScanCode(42)).toBeNull();
+    });
+});
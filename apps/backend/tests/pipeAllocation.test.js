@@ -0,0 +1,57 @@
+const Decimal = require('decimal.js');
+const CuttingOptimizationService = require('../src/services/cuttingOptimizationService');
+
+const pipe = (...cuts) => ({
+    cutsMade: cuts.map(([orderId, requiredLength]) => ({ orderId, requiredLength }))
+});
+
+describe('CuttingOptimizationService.allocatePipeToOrders', () => {
+    it('splits a pipe between orders in proportion to their cut length', () => {
+        const shares = CuttingOptimizationService.allocatePipeToOrders(pipe(['A', 30], ['B', 10], ['A', 20]));
+
+        expect(shares).toEqual([
+            { orderId: 'A', cutLength: 50, share: 50 / 60 },
+            { orderId: 'B', cutLength: 10, share: 10 / 60 }
+        ]);
+    });
+
+    it('shares a pipe without cut length equally', () => {
+        const shares = CuttingOptimizationService.allocatePipeToOrders(pipe(['A', 0], ['B', 0]));
+
+        expect(shares.map(share => share.share)).toEqual([0.5, 0.5]);
+    });
+});
+
+describe('CuttingOptimizationService.roundPipeShares', () => {
+    const total = (shares, field) => shares.reduce((sum, share) => sum.plus(share[field]), new Decimal(0));
+
+    it('rounds shares and values, the last share taking the remainder', () => {
+        const shares = CuttingOptimizationService.roundPipeShares(
+            CuttingOptimizationService.allocatePipeToOrders(pipe(['A', 10], ['B', 10], ['C', 10])),
+            100
+        );
+
+        expect(shares.map(share => share.quantity.toString())).toEqual(['0.3333', '0.3333', '0.3334']);
+        expect(shares.map(share => share.value.toString())).toEqual(['33.33', '33.33', '33.34']);
+    });
+
+    it('always posts exactly one pipe at its full value', () => {
+        const shares = CuttingOptimizationService.roundPipeShares(
+            CuttingOptimizationService.allocatePipeToOrders(pipe(['A', 17.3], ['B', 41.9], ['C', 7.25], ['D', 66.1])),
+            '1234.5678'
+        );
+
+        expect(total(shares, 'quantity').toString()).toBe('1');
+        expect(total(shares, 'value').toString()).toBe('1234.5678');
+    });
+
+    it('posts a pipe cut for one order whole', () => {
+        const [share] = CuttingOptimizationService.roundPipeShares(
+            CuttingOptimizationService.allocatePipeToOrders(pipe(['A', 40])),
+            250
+        );
+
+        expect(share.quantity.toString()).toBe('1');
+        expect(share.value.toString()).toBe('250');
+    });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const StockReservationService = require('../src/services/stockReservationService');
+
+const d128 = value => mongoose.Types.Decimal128.fromString(String(value));
+const num = value => parseFloat(value.toString());
+
+const order = (orderIdDisplay) => ({ _id: new mongoose.Types.ObjectId(), orderIdDisplay });
+
+const batch = (batchId, quantity, purchaseDate, extra = {}) => ({
+    batchId,
+    length: d128(12),
+    lengthUnit: 'ft',
+    gauge: '18G',
+    currentQuantity: d128(quantity),
+    purchaseDate: new Date(purchaseDate),
+    isActive: true,
+    isCompleted: false,
+    reservations: [],
+    ...extra
+});
+
+const reservation = (forOrder, quantity, reservedAt) => ({
+    orderId: forOrder._id,
+    orderIdDisplay: forOrder.orderIdDisplay,
+    quantity: d128(quantity),
+    reservedAt: new Date(reservedAt)
+});
+
+const reservedBy = (stockBatch, forOrder) => stockBatch.reservations
+    .filter(r => r.orderId.toString() === forOrder._id.toString())
+    .reduce((sum, r) => sum + num(r.quantity), 0);
+
+const profile = batches => ({ category: 'Profile', name: 'Frame Profile', profileBatches: batches });
+
+describe('StockReservationService', () => {
+    it('counts what other orders hold as not free', () => {
+        const first = order('ORD-1');
+        const second = order('ORD-2');
+        const stockBatch = batch('A', 10, '2024-01-01', {
+            reservations: [reservation(first, 4, '2024-05-01'), reservation(second, 3, '2024-05-02')]
+        });
+
+        expect(StockReservationService.freeQuantity(stockBatch)).toBe(3);
+        expect(StockReservationService.freeQuantity(stockBatch, first._id)).toBe(7);
+        expect(StockReservationService.freeQuantity(batch('B', 2, '2024-01-01', { reservations: [reservation(first, 5, '2024-05-01')] }))).toBe(0);
+    });
+
+    describe('allocate', () => {
+        it('reserves from the batches in order and reports what is short', () => {
+            const forOrder = order('ORD-1');
+            const batches = [batch('OLD', 3, '2024-01-01'), batch('NEW', 4, '2024-02-01')];
+
+            const short = StockReservationService.allocate(batches, forOrder, { quantity: 9 });
+
+            expect(reservedBy(batches[0], forOrder)).toBe(3);
+            expect(reservedBy(batches[1], forOrder)).toBe(4);
+            expect(short).toBe(2);
+        });
+
+        it('skips stock other orders hold and adds to the order\'s own reservation', () => {
+            const other = order('ORD-1');
+            const forOrder = order('ORD-2');
+            const stockBatch = batch('A', 10, '2024-01-01', {
+                reservations: [reservation(other, 6, '2024-05-01'), reservation(forOrder, 1, '2024-05-02')]
+            });
+
+            const short = StockReservationService.allocate([stockBatch], forOrder, { quantity: 5 });
+
+            expect(short).toBe(2);
+            expect(stockBatch.reservations).toHaveLength(2);
+            expect(reservedBy(stockBatch, forOrder)).toBe(4);
+        });
+
+        it('reserves wire mesh needed by area as rolls', () => {
+            const forOrder = order('ORD-1');
+            const roll = batch('ROLL', 2, '2024-01-01', { areaPerRoll: d128(100), areaUnit: 'sqft' });
+
+            const short = StockReservationService.allocate([roll], forOrder, { quantity: 150, byArea: true });
+
+            expect(short).toBe(0);
+            expect(reservedBy(roll, forOrder)).toBe(1.5);
+        });
+    });
+
+    describe('batchesForNeed', () => {
+        it('offers only active, unexpired batches of the spec, oldest first', () => {
+            const material = profile([
+                batch('NEW', 5, '2024-03-01'),
+                batch('OLD', 5, '2024-01-01'),
+                batch('EXPIRED', 5, '2023-01-01', { expiryDate: new Date('2024-01-01') }),
+                batch('DONE', 5, '2023-01-01', { isCompleted: true }),
+                batch('OTHER-GAUGE', 5, '2023-01-01', { gauge: '16G' })
+            ]);
+
+            const batches = StockReservationService.batchesForNeed(material, { matches: stockBatch => stockBatch.gauge === '18G' });
+
+            expect(batches.map(stockBatch => stockBatch.batchId)).toEqual(['OLD', 'NEW']);
+        });
+    });
+
+    describe('rebalance', () => {
+        it('moves the newest reservations off a batch that no longer holds them', () => {
+            const first = order('ORD-1');
+            const second = order('ORD-2');
+            const shrunk = batch('A', 4, '2024-01-01', {
+                reservations: [reservation(first, 3, '2024-05-01'), reservation(second, 3, '2024-05-02')]
+            });
+            const spare = batch('B', 10, '2024-02-01');
+            const material = profile([shrunk, spare]);
+
+            expect(StockReservationService.rebalance(material)).toBe(true);
+
+            expect(reservedBy(shrunk, first)).toBe(3);
+            expect(reservedBy(shrunk, second)).toBe(1);
+            expect(reservedBy(spare, second)).toBe(2);
+        });
+
+        it('releases reservations on an expired batch onto unexpired stock of the same spec', () => {
+            const forOrder = order('ORD-1');
+            const expired = batch('EXPIRED', 5, '2023-01-01', {
+                expiryDate: new Date('2024-01-01'),
+                reservations: [reservation(forOrder, 4, '2024-05-01')]
+            });
+            const otherGauge = batch('OTHER-GAUGE', 10, '2023-06-01', { gauge: '16G' });
+            const fresh = batch('FRESH', 3, '2024-02-01');
+            const material = profile([expired, otherGauge, fresh]);
+
+            StockReservationService.rebalance(material);
+
+            expect(expired.reservations).toHaveLength(0);
+            expect(reservedBy(otherGauge, forOrder)).toBe(0);
+            expect(reservedBy(fresh, forOrder)).toBe(3);
+        });
+
+        it('leaves reservations that still fit alone', () => {
+            const forOrder = order('ORD-1');
+            const material = profile([batch('A', 5, '2024-01-01', { reservations: [reservation(forOrder, 5, '2024-05-01')] })]);
+
+            expect(StockReservationService.rebalance(material)).toBe(false);
+            expect(reservedBy(material.profileBatches[0], forOrder)).toBe(5);
+        });
+    });
+});
@@ -5,7 +5,7 @@ import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { accountingApi, PnLSimpleResponse, PnLFilters } from '@/lib/api/accountingService';
-import { TrendingUp, TrendingDown, DollarSign, BarChart3, Calendar, Download } from 'lucide-react';
+import { TrendingUp, TrendingDown, DollarSign, BarChart3, Download } from 'lucide-react';
 
 export default function PnLPage() {
   const [pnlData, setPnlData] = useState<PnLSimpleResponse['data'] | null>(null);
@@ -334,6 +334,14 @@ export default function PnLPage() {
                 {formatCurrency(pnlData.summary?.grossProfit || 0)}
               </span>
             </div>
+            {(pnlData.otherIncome?.totalOtherIncome || 0) > 0 && (
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="font-medium text-gray-700">Add: Other Income (Scrap Sales)</span>
+                <span className="font-bold text-green-600">
+                  +{formatCurrency(pnlData.otherIncome?.totalOtherIncome || 0)}
+                </span>
+              </div>
+            )}
             <div className="flex justify-between items-center py-3 border-b border-gray-300">
               <span className="font-bold text-gray-900">Net Profit</span>
               <span className={`font-bold ${
@@ -2,11 +2,14 @@
 
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { estimationApi, EstimationUpdateData } from '@/lib/api/estimationService';
+import { estimationApi, Estimation, EstimationImportOptions, EstimationUpdateData } from '@/lib/api/estimationService';
 import { clientApi } from '@/lib/api';
 import EstimationItemInputGrid from '@/components/estimations/EstimationItemInputGrid';
+import RateSourceSelect from '@/components/estimations/RateSourceSelect';
+import EstimationImportPanel, { EstimationImportMode } from '@/components/estimations/EstimationImportPanel';
 import { useUnits } from '@/contexts/UnitContext';
-import { FiSettings, FiInfo } from 'react-icons/fi';
+import { FiInfo } from 'react-icons/fi';
+import { toast } from 'sonner';
 
 interface Client {
   _id: string;
@@ -17,6 +20,29 @@ interface PageProps {
   params: { estimationId: string };
 }
 
+// The API sends productTypeId populated and dimensions as Decimal128 objects
+type PopulatedId = string | { _id: string };
+type DecimalValue = number | string | { $numberDecimal: string };
+
+const toNumber = (value: DecimalValue) =>
+  typeof value === 'object' ? parseFloat(value.$numberDecimal) : parseFloat(value.toString());
+
+// Process items to extract product type IDs from populated objects
+const toFormItems = (estimation: Estimation) =>
+  estimation.items.map(item => {
+    const productTypeId = item.productTypeId as PopulatedId;
+    return {
+      ...item,
+      // Extract the actual ID from populated productTypeId
+      productTypeId: typeof productTypeId === 'string' ? productTypeId : productTypeId._id,
+      // Convert Decimal128 values to numbers for the form
+      width: toNumber(item.width as DecimalValue),
+      height: toNumber(item.height as DecimalValue),
+      // Ensure label field is properly handled
+      itemLabel: item.itemLabel || ''
+    };
+  });
+
 export default function EditEstimationPage({ params }: PageProps) {
   const router = useRouter();
   const estimationId = params.estimationId;
@@ -48,28 +74,13 @@ export default function EditEstimationPage({ params }: PageProps) {
             clientId = estimation.clientId;
         }
         
-        // Process items to extract product type IDs from populated objects
-        const processedItems = estimation.items.map(item => ({
-          ...item,
-          // Extract the actual ID from populated productTypeId
-          productTypeId: typeof item.productTypeId === 'string' 
-            ? item.productTypeId 
-            : (item.productTypeId as any)._id || item.productTypeId,
-          // Convert Decimal128 values to numbers for the form
-          width: typeof item.width === 'object' && (item.width as any).$numberDecimal 
-            ? parseFloat((item.width as any).$numberDecimal) 
-            : parseFloat(item.width.toString()),
-          height: typeof item.height === 'object' && (item.height as any).$numberDecimal 
-            ? parseFloat((item.height as any).$numberDecimal) 
-            : parseFloat(item.height.toString()),
-          // Ensure label field is properly handled
-          itemLabel: item.itemLabel || ''
-        }));
+        const processedItems = toFormItems(estimation);
         
         setFormData({
           projectName: estimation.projectName,
           clientId: clientId,
           dimensionUnitUsed: estimation.dimensionUnitUsed,
+          rateSource: estimation.rateSource || '',
           items: processedItems
         });
         
@@ -77,7 +88,7 @@ export default function EditEstimationPage({ params }: PageProps) {
         const clientsResponse = await clientApi.listClients();
         setClients(clientsResponse.data || []);
         
-      } catch (err) {
+      } catch {
         setError('Failed to load estimation data');
       } finally {
         setLoading(false);
@@ -107,7 +118,7 @@ export default function EditEstimationPage({ params }: PageProps) {
     setError(null);
 
     try {
-      const calculatedEstimation = await estimationApi.calculateMaterials(estimationId);
+      await estimationApi.calculateMaterials(estimationId);
       // Show success message (could add toast notification here)
       alert('Materials recalculated successfully! The calculation page will show updated results.');
     } catch (err: any) {
@@ -117,6 +128,20 @@ export default function EditEstimationPage({ params }: PageProps) {
     }
   };
 
+  // Imports into the saved estimation (recalculating it), then shows the resulting items here
+  const handleImport = async (content: string, options: EstimationImportOptions, mode: EstimationImportMode) => {
+    const result = await estimationApi.importIntoEstimation(estimationId, content, mode, options);
+    setFormData(prev => ({
+      ...prev,
+      items: toFormItems(result.estimation)
+    }));
+    if (result.calculationError) {
+      toast.warning(result.message);
+    } else {
+      toast.success(result.message);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -219,6 +244,8 @@ export default function EditEstimationPage({ params }: PageProps) {
                 ))}
               </select>
             </div>
+
+            <RateSourceSelect value={formData.rateSource || ''} onChange={handleInputChange} />
             </div>
 
           {/* Dimension Unit Display (Read-only for existing estimations) */}
@@ -266,6 +293,15 @@ export default function EditEstimationPage({ params }: PageProps) {
           )}
           </div>
 
+          <div className="mt-6">
+            <EstimationImportPanel
+              dimensionUnit={formData.dimensionUnitUsed}
+              onImport={handleImport}
+              showModeSelect
+              disabled={submitting || recalculating}
+            />
+          </div>
+
           <div className="mt-6">
             <EstimationItemInputGrid
               items={formData.items}
@@ -0,0 +1,485 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import {
+  estimationApi,
+  Estimation,
+  EstimationVariant,
+  VariantComparison,
+  VariantComparisonOption,
+  VariantComparisonTotals,
+} from '@/lib/api/estimationService';
+import { productApi, ProductType } from '@/lib/api/productService';
+import { inventoryApi, Material } from '@/lib/api/inventoryService';
+import { Button } from '@/components/ui/Button';
+import { Card } from '@/components/ui/Card';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const TOTAL_ROWS: { label: string; key: keyof VariantComparisonTotals; emphasis?: boolean }[] = [
+  { label: 'Profiles', key: 'subtotalProfiles' },
+  { label: 'Glass', key: 'subtotalGlass' },
+  { label: 'Hardware & other materials', key: 'subtotalOtherMaterials' },
+  { label: 'Material cost', key: 'subtotalMaterials', emphasis: true },
+  { label: 'Labour', key: 'subtotalLabour' },
+  { label: 'Other charges', key: 'subtotalOtherCharges' },
+  { label: 'Total cost', key: 'totalEstimatedCost', emphasis: true },
+];
+
+interface VariantForm {
+  name: string;
+  description: string;
+  gauge: string;
+  selectedGlassTypeId: string;
+  // itemId -> overrides, '' keeps the item as entered
+  itemOverrides: Record<string, { productTypeId: string; selectedGlassTypeId: string }>;
+}
+
+const emptyForm: VariantForm = { name: '', description: '', gauge: '', selectedGlassTypeId: '', itemOverrides: {} };
+
+export default function EstimationOptionsPage() {
+  const router = useRouter();
+  const params = useParams();
+  const estimationId = params.estimationId as string;
+
+  const [estimation, setEstimation] = useState<Estimation | null>(null);
+  const [comparison, setComparison] = useState<VariantComparison | null>(null);
+  const [products, setProducts] = useState<ProductType[]>([]);
+  const [glassTypes, setGlassTypes] = useState<Material[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editingVariantId, setEditingVariantId] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState<VariantForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!estimationId) return;
+    loadData();
+    productApi.getProducts()
+      .then(setProducts)
+      .catch(() => toast.error('Failed to load product types'));
+    inventoryApi.getGlassMaterials()
+      .then(setGlassTypes)
+      .catch(() => toast.error('Failed to load glass types'));
+  }, [estimationId]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [estimationData, comparisonData] = await Promise.all([
+        estimationApi.getEstimation(estimationId),
+        estimationApi.compareVariants(estimationId),
+      ]);
+      setEstimation(estimationData);
+      setComparison(comparisonData);
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to load estimation options');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const productIdOf = (value: unknown) =>
+    value && typeof value === 'object' ? (value as { _id: string })._id : (value as string);
+
+  const openForm = (variant?: EstimationVariant) => {
+    if (variant) {
+      const itemOverrides: VariantForm['itemOverrides'] = {};
+      variant.itemOverrides.forEach((override) => {
+        itemOverrides[override.itemId] = {
+          productTypeId: override.productTypeId || '',
+          selectedGlassTypeId: override.selectedGlassTypeId || '',
+        };
+      });
+      setForm({
+        name: variant.name,
+        description: variant.description || '',
+        gauge: variant.gauge || '',
+        selectedGlassTypeId: variant.selectedGlassTypeId || '',
+        itemOverrides,
+      });
+      setEditingVariantId(variant._id);
+    } else {
+      setForm(emptyForm);
+      setEditingVariantId(null);
+    }
+    setShowForm(true);
+  };
+
+  const updateItemOverride = (itemId: string, field: 'productTypeId' | 'selectedGlassTypeId', value: string) => {
+    const current = form.itemOverrides[itemId] || { productTypeId: '', selectedGlassTypeId: '' };
+    setForm({ ...form, itemOverrides: { ...form.itemOverrides, [itemId]: { ...current, [field]: value } } });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      toast.error('Give the option a name');
+      return;
+    }
+    const data = {
+      name: form.name.trim(),
+      description: form.description || undefined,
+      gauge: form.gauge.trim() || undefined,
+      selectedGlassTypeId: form.selectedGlassTypeId || undefined,
+      itemOverrides: Object.entries(form.itemOverrides)
+        .filter(([, override]) => override.productTypeId || override.selectedGlassTypeId)
+        .map(([itemId, override]) => ({
+          itemId,
+          productTypeId: override.productTypeId || undefined,
+          selectedGlassTypeId: override.selectedGlassTypeId || undefined,
+        })),
+    };
+    setSaving(true);
+    try {
+      const updated = editingVariantId
+        ? await estimationApi.updateVariant(estimationId, editingVariantId, data)
+        : await estimationApi.addVariant(estimationId, data);
+      const variant = updated.variants?.find((entry) => entry.name === data.name);
+      if (variant?.calculationError) {
+        toast.warning(`Saved, but the option could not be priced: ${variant.calculationError}`);
+      } else {
+        toast.success(editingVariantId ? 'Option updated' : 'Option added');
+      }
+      setShowForm(false);
+      await loadData();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save option');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (variantId: string) => {
+    if (!window.confirm('Delete this option?')) return;
+    try {
+      await estimationApi.deleteVariant(estimationId, variantId);
+      toast.success('Option deleted');
+      await loadData();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to delete option');
+    }
+  };
+
+  const handleRecalculate = async () => {
+    setBusy(true);
+    try {
+      await estimationApi.calculateMaterials(estimationId);
+      toast.success('Base estimation and all options recalculated');
+      await loadData();
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to recalculate');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownloadPDF = async () => {
+    try {
+      const { generateAndDownloadPDF } = await import('@/lib/utils/pdfUtils');
+      await generateAndDownloadPDF(
+        () => estimationApi.generateVariantComparisonPDF(estimationId),
+        `estimation-options-${estimation?.projectName?.replace(/\s+/g, '-') || 'estimation'}.pdf`
+      );
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to generate PDF');
+    }
+  };
+
+  const handleConvert = async (option: VariantComparisonOption) => {
+    if (!window.confirm(`Create a quotation from "${option.name}"?${option.variantId ? ' Its changes will be applied to the estimation items.' : ''}`)) return;
+    setBusy(true);
+    try {
+      const response = await estimationApi.convertToQuotation(estimationId, option.variantId || undefined);
+      toast.success('Estimation Converted', { description: `Quotation created from "${option.name}"` });
+      router.push(`/dashboard/quotations/${response.quotationId}/edit`);
+    } catch (err) {
+      toast.error('Conversion Failed', { description: err instanceof Error ? err.message : 'Failed to convert to quotation' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading && !comparison) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <p className="text-center text-gray-500 py-10">Loading estimation options...</p>
+      </div>
+    );
+  }
+
+  if (!estimation || !comparison) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">Estimation not found</div>
+      </div>
+    );
+  }
+
+  const variantsById = new Map((estimation.variants || []).map((variant) => [variant._id, variant]));
+  const isConverted = estimation.status === 'Converted';
+  const canConvert = estimation.status === 'Calculated';
+  const headerCell = 'px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase align-top';
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Options: {estimation.projectName}</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href={`/dashboard/estimations/${estimationId}`} className="text-blue-600 hover:underline">Estimation</Link> /
+            Compare gauge, glass and product type alternatives before quoting
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {!isConverted && (
+            <>
+              <Button variant="outline" onClick={handleRecalculate} disabled={busy}>
+                {busy ? 'Working...' : 'Recalculate All'}
+              </Button>
+              <Button onClick={() => openForm()} className="bg-blue-600 hover:bg-blue-700 text-white">
+                Add Option
+              </Button>
+            </>
+          )}
+          <Button variant="outline" onClick={handleDownloadPDF}>Download PDF</Button>
+        </div>
+      </div>
+
+      {showForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">{editingVariantId ? 'Edit Option' : 'New Option'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name, e.g. 1.2 mm with toughened glass *"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={form.gauge}
+              onChange={(e) => setForm({ ...form, gauge: e.target.value })}
+              placeholder={`Profile gauge${estimation.gauge ? ` (base: ${estimation.gauge})` : ', e.g. 1.2mm'}`}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <select
+              value={form.selectedGlassTypeId}
+              onChange={(e) => setForm({ ...form, selectedGlassTypeId: e.target.value })}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">Glass: keep each item&apos;s glass</option>
+              {glassTypes.map((glass) => (
+                <option key={glass._id} value={glass._id}>Glass for all items: {glass.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="border border-gray-200 rounded-md overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product Type</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Glass</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {estimation.items.map((item, index) => {
+                  const itemId = item._id as string;
+                  const override = form.itemOverrides[itemId] || { productTypeId: '', selectedGlassTypeId: '' };
+                  return (
+                    <tr key={itemId}>
+                      <td className="px-3 py-2 text-sm">
+                        <div className="font-medium">{item.itemLabel || `Item ${index + 1}`}</div>
+                        <div className="text-xs text-gray-500">
+                          {String(item.width)} x {String(item.height)} {estimation.dimensionUnitUsed}, qty {item.quantity}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-sm">
+                        <select
+                          value={override.productTypeId}
+                          onChange={(e) => updateItemOverride(itemId, 'productTypeId', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded-md text-sm"
+                        >
+                          <option value="">Keep: {item.productTypeNameSnapshot || 'as entered'}</option>
+                          {products
+                            .filter((product) => product._id && product._id !== productIdOf(item.productTypeId))
+                            .map((product) => (
+                              <option key={product._id} value={product._id}>{product.name}</option>
+                            ))}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2 text-sm">
+                        <select
+                          value={override.selectedGlassTypeId}
+                          onChange={(e) => updateItemOverride(itemId, 'selectedGlassTypeId', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded-md text-sm"
+                        >
+                          <option value="">
+                            {form.selectedGlassTypeId ? 'Option glass' : `Keep: ${item.selectedGlassTypeNameSnapshot || 'none'}`}
+                          </option>
+                          {glassTypes.map((glass) => (
+                            <option key={glass._id} value={glass._id}>{glass.name}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex gap-2">
+            <Button onClick={handleSave} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {saving ? 'Calculating...' : 'Save and Calculate'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase align-top">
+                {comparison.estimation.markupPercentage}% markup
+              </th>
+              {comparison.options.map((option) => {
+                const variant = option.variantId ? variantsById.get(option.variantId) : undefined;
+                const isQuoted = option.variantId !== null && option.variantId === comparison.estimation.convertedVariantId;
+                return (
+                  <th key={option.variantId || 'base'} className={headerCell}>
+                    <div className="text-sm text-gray-900 normal-case">
+                      {option.name}
+                      {isQuoted && <span className="ml-1 text-green-700">(quoted)</span>}
+                    </div>
+                    <div className="mt-1 text-xs font-normal normal-case text-gray-500">
+                      {option.changes.length > 0 ? option.changes.map((change) => <div key={change}>{change}</div>) : option.description}
+                    </div>
+                    {option.calculationError && (
+                      <div className="mt-1 text-xs font-normal normal-case text-red-600">{option.calculationError}</div>
+                    )}
+                    {variant && !isConverted && (
+                      <div className="mt-2 space-x-2 normal-case">
+                        <button onClick={() => openForm(variant)} className="text-blue-600 hover:underline">Edit</button>
+                        <button onClick={() => handleDelete(variant._id)} className="text-red-600 hover:underline">Delete</button>
+                      </div>
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {TOTAL_ROWS.map((row) => (
+              <tr key={row.key} className={row.emphasis ? 'bg-gray-50 font-semibold' : ''}>
+                <td className="px-4 py-2 text-sm">{row.label}</td>
+                {comparison.options.map((option) => (
+                  <td key={option.variantId || 'base'} className="px-4 py-2 text-sm text-right">
+                    {option.calculated ? formatCurrency(option.totals[row.key]) : '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr className="bg-blue-50 font-bold">
+              <td className="px-4 py-3 text-sm">Total with markup</td>
+              {comparison.options.map((option) => (
+                <td key={option.variantId || 'base'} className="px-4 py-3 text-sm text-right">
+                  {option.calculated ? formatCurrency(option.totals.markedUpTotal) : 'Not calculated'}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="px-4 py-2 text-sm">Difference from base</td>
+              {comparison.options.map((option) => (
+                <td
+                  key={option.variantId || 'base'}
+                  className={`px-4 py-2 text-sm text-right ${(option.differenceFromBase || 0) > 0 ? 'text-red-600' : 'text-green-600'}`}
+                >
+                  {option.differenceFromBase === null
+                    ? '—'
+                    : `${option.differenceFromBase > 0 ? '+' : ''}${formatCurrency(option.differenceFromBase)}`}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="px-4 py-2 text-sm">Profile weight</td>
+              {comparison.options.map((option) => (
+                <td key={option.variantId || 'base'} className="px-4 py-2 text-sm text-right">
+                  {option.calculated ? `${option.totals.totalWeight} kg` : '—'}
+                </td>
+              ))}
+            </tr>
+            {canConvert && (
+              <tr>
+                <td className="px-4 py-3 text-sm"></td>
+                {comparison.options.map((option) => (
+                  <td key={option.variantId || 'base'} className="px-4 py-3 text-right">
+                    {option.calculated && (
+                      <Button size="sm" onClick={() => handleConvert(option)} disabled={busy} className="bg-green-600 hover:bg-green-700 text-white">
+                        Quote this
+                      </Button>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      {comparison.materials.length > 0 && (
+        <Card className="overflow-x-auto">
+          <h2 className="px-4 py-3 text-lg font-semibold border-b border-gray-200">Materials</h2>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                {comparison.options.map((option) => (
+                  <th key={option.variantId || 'base'} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                    {option.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {comparison.materials.map((material) => (
+                <tr key={material.materialId}>
+                  <td className="px-4 py-2 text-sm">
+                    <div className="font-medium">{material.materialName}</div>
+                    <div className="text-xs text-gray-500">{material.category}</div>
+                  </td>
+                  {material.options.map((entry, index) => (
+                    <td key={comparison.options[index].variantId || 'base'} className="px-4 py-2 text-sm text-right">
+                      {entry ? (
+                        <>
+                          <div>{formatCurrency(entry.calculatedCost)}</div>
+                          <div className="text-xs text-gray-500">
+                            {entry.totalQuantity} {entry.quantityUnit}
+                            {entry.totalWeight > 0 && ` / ${entry.totalWeight} kg`}
+                          </div>
+                        </>
+                      ) : '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -178,6 +178,13 @@ export default function EstimationDetailPage({ params }: PageProps) {
               View Summary
             </button>
           )}
+          <button
+            type="button"
+            onClick={() => router.push(`/dashboard/estimations/${estimationId}/options`)}
+            className="bg-teal-600 hover:bg-teal-700 text-white py-2 px-4 rounded"
+          >
+            Compare Options{estimation.variants?.length ? ` (${estimation.variants.length})` : ''}
+          </button>
           {estimation.status !== 'Draft' && (
             <button
               type="button"
@@ -257,6 +264,22 @@ export default function EstimationDetailPage({ params }: PageProps) {
                     {formatDecimal(estimation.markedUpTotal)}
                   </dd>
                 </div>
+                {estimation.costedWith?.rateSource && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Material Rates</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {estimation.costedWith.rateSource === 'priceList'
+                        ? `Price list "${estimation.costedWith.priceListName}" (from ${new Date(estimation.costedWith.priceListEffectiveFrom || '').toLocaleDateString()})`
+                        : 'Actual stock cost'}
+                      {estimation.rateSource === 'priceList' && estimation.costedWith.rateSource === 'stock' && (
+                        <span className="text-yellow-700"> (no price list was in effect)</span>
+                      )}
+                      {estimation.costedWith.calculatedAt && (
+                        <span className="text-gray-500">, calculated {new Date(estimation.costedWith.calculatedAt).toLocaleDateString()}</span>
+                      )}
+                    </dd>
+                  </div>
+                )}
               </>
             )}
           </dl>
@@ -291,6 +314,11 @@ export default function EstimationDetailPage({ params }: PageProps) {
                 <tr key={index}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     {item.itemLabel || `Item ${index + 1}`}
+                    {item.selectedOptions && item.selectedOptions.length > 0 && (
+                      <div className="text-xs text-gray-500 whitespace-normal">
+                        {item.selectedOptions.map(option => `${option.optionName}: ${option.choiceLabel}`).join(', ')}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {formatDecimal(item.width)} {estimation.dimensionUnitUsed}
@@ -2,13 +2,16 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { estimationApi, EstimationCreateData } from '@/lib/api/estimationService';
+import { estimationApi, EstimationCreateData, EstimationImportOptions } from '@/lib/api/estimationService';
 import { clientApi } from '@/lib/api';
 import { Client } from '@/lib/types';
 import { Button } from '@/components/ui/Button';
 import EstimationItemInputGrid from '@/components/estimations/EstimationItemInputGrid';
+import RateSourceSelect from '@/components/estimations/RateSourceSelect';
+import EstimationImportPanel from '@/components/estimations/EstimationImportPanel';
 import { useUnits } from '@/contexts/UnitContext';
 import { FiSettings } from 'react-icons/fi';
+import { toast } from 'sonner';
 
 export default function NewEstimationPage() {
   const router = useRouter();
@@ -18,6 +21,7 @@ export default function NewEstimationPage() {
     projectName: '',
     clientId: '',
     dimensionUnitUsed: getDefaultDimensionUnit(), // Auto-set from settings
+    rateSource: '',
     items: []
   });
   
@@ -38,7 +42,7 @@ export default function NewEstimationPage() {
       try {
         const response = await clientApi.listClients();
         setClients(response.data || []);
-      } catch (err) {
+      } catch {
       }
     };
 
@@ -85,6 +89,26 @@ export default function NewEstimationPage() {
     }
   };
 
+  // Creates the estimation straight from the sheet with this form's project details, then opens it
+  const handleImport = async (content: string, options: EstimationImportOptions) => {
+    if (!formData.projectName.trim()) {
+      throw new Error('Enter the project name before importing');
+    }
+    const result = await estimationApi.importEstimation(content, {
+      projectName: formData.projectName,
+      clientId: formData.clientId || undefined,
+      dimensionUnitUsed: formData.dimensionUnitUsed,
+      rateSource: formData.rateSource,
+      ...options
+    });
+    if (result.calculationError) {
+      toast.warning(result.message);
+    } else {
+      toast.success(result.message);
+    }
+    router.push(`/dashboard/estimations/${result.estimation._id}`);
+  };
+
   return (
     <div className="max-w-6xl mx-auto p-6">
       <div className="mb-6">
@@ -141,6 +165,8 @@ export default function NewEstimationPage() {
                 ))}
               </select>
             </div>
+
+            <RateSourceSelect value={formData.rateSource || ''} onChange={handleInputChange} />
             </div>
 
           {/* Dimension Unit Display (Auto-configured) */}
@@ -187,6 +213,14 @@ export default function NewEstimationPage() {
             </div>
           </div>
 
+          <div className="mt-6">
+            <EstimationImportPanel
+              dimensionUnit={formData.dimensionUnitUsed}
+              onImport={handleImport}
+              disabled={isSubmitting}
+            />
+          </div>
+
           <div className="mt-6">
             <EstimationItemInputGrid
               items={formData.items}
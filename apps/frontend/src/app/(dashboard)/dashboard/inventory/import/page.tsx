@@ -0,0 +1,279 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { batchInventoryApi, MaterialImportReport } from '@/lib/api/batchInventoryService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const statusStyles: Record<string, string> = {
+  ok: 'bg-green-100 text-green-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-700',
+};
+
+export default function MaterialImportPage() {
+  const { user } = useAuthStore();
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [skipExisting, setSkipExisting] = useState(false);
+  const [report, setReport] = useState<MaterialImportReport | null>(null);
+  const [showAllRows, setShowAllRows] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const canImport = user?.role === 'Admin' || user?.role === 'Manager';
+
+  const updateContent = (text: string, name = '') => {
+    setContent(text);
+    setFileName(name);
+    setReport(null);
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    if (/\.xlsx?$/i.test(file.name)) {
+      toast.error('Save the sheet as CSV, or copy the cells and paste them below');
+      return;
+    }
+    updateContent(await file.text(), file.name);
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const blob = await batchInventoryApi.downloadImportTemplate();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'material-import-template.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to download template');
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!content.trim()) {
+      toast.error('Choose a CSV file or paste the sheet first');
+      return;
+    }
+    setChecking(true);
+    try {
+      const response = await batchInventoryApi.previewImport(content, skipExisting);
+      setReport(response.data);
+      setShowAllRows(false);
+    } catch (err) {
+      setReport(null);
+      toast.error((err as Error).message || 'Failed to check the sheet');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!report?.canImport) return;
+    if (!window.confirm(`Import ${report.summary.materialCount} material(s) with ${report.summary.batchCount} opening batch(es)?`)) {
+      return;
+    }
+    setImporting(true);
+    try {
+      const response = await batchInventoryApi.importMaterials(content, skipExisting);
+      toast.success(response.message);
+      updateContent('');
+    } catch (err) {
+      toast.error((err as Error).message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const visibleRows = (report?.rows || []).filter((row) => showAllRows || row.status !== 'ok');
+
+  if (!canImport) {
+    return (
+      <div className="p-6">
+        <Card className="p-6 text-gray-600">Only Admins and Managers can import materials.</Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Import Materials</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Materials, gauge weights and opening stock from a spreadsheet
+          </p>
+        </div>
+        <Button variant="outline" onClick={handleDownloadTemplate}>Download Template</Button>
+      </div>
+
+      <Card className="p-6 space-y-4">
+        <p className="text-sm text-gray-600">
+          One row per material spec. Rows with the same name make one material: repeat the name to add more gauges or
+          opening batches. Upload a CSV, or copy the cells (with the header row) from Excel and paste them here.
+          Nothing is saved until every row is valid.
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv"
+            onChange={(e) => handleFile(e.target.files?.[0])}
+            className="text-sm"
+          />
+          {fileName && <span className="text-sm text-gray-500">{fileName}</span>}
+        </div>
+        <textarea
+          value={content}
+          onChange={(e) => updateContent(e.target.value)}
+          placeholder="...or paste the sheet here"
+          className="w-full p-2 border border-gray-300 rounded-md text-sm font-mono"
+          rows={8}
+        />
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={skipExisting}
+            onChange={(e) => {
+              setSkipExisting(e.target.checked);
+              setReport(null);
+            }}
+          />
+          Skip materials that already exist instead of reporting them as errors
+        </label>
+        <div className="flex gap-2">
+          <Button onClick={handlePreview} disabled={checking || !content.trim()} className="bg-blue-600 hover:bg-blue-700 text-white">
+            {checking ? 'Checking...' : 'Check Sheet'}
+          </Button>
+          <Button
+            onClick={handleImport}
+            disabled={importing || !report?.canImport}
+            className="bg-green-600 hover:bg-green-700 text-white"
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </Button>
+        </div>
+      </Card>
+
+      {report && (
+        <>
+          <Card className="p-6">
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Rows</p>
+                <p className="text-xl font-semibold">{report.summary.rowCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Errors</p>
+                <p className={`text-xl font-semibold ${report.summary.errorCount > 0 ? 'text-red-600' : ''}`}>{report.summary.errorCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Warnings</p>
+                <p className={`text-xl font-semibold ${report.summary.warningCount > 0 ? 'text-yellow-600' : ''}`}>{report.summary.warningCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Materials</p>
+                <p className="text-xl font-semibold">{report.summary.materialCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Opening Batches</p>
+                <p className="text-xl font-semibold">{report.summary.batchCount}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Opening Value</p>
+                <p className="text-xl font-semibold">{formatCurrency(report.summary.openingValue)}</p>
+              </div>
+            </div>
+            {report.unknownColumns.length > 0 && (
+              <p className="mt-4 text-sm text-yellow-700">
+                Ignored columns: {report.unknownColumns.join(', ')}
+              </p>
+            )}
+            {report.summary.skippedCount > 0 && (
+              <p className="mt-2 text-sm text-gray-600">{report.summary.skippedCount} row(s) skipped for existing materials.</p>
+            )}
+          </Card>
+
+          <Card className="overflow-x-auto">
+            <div className="p-4 flex justify-between items-center">
+              <h2 className="text-lg font-semibold">Row Check</h2>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={showAllRows} onChange={(e) => setShowAllRows(e.target.checked)} />
+                Show rows without issues
+              </label>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Messages</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleRows.length === 0 ? (
+                  <tr><td colSpan={4} className="px-4 py-6 text-center text-gray-500">No issues found.</td></tr>
+                ) : (
+                  visibleRows.map((row) => (
+                    <tr key={row.rowNumber}>
+                      <td className="px-4 py-2 text-sm">{row.rowNumber}</td>
+                      <td className="px-4 py-2 text-sm font-medium">{row.name || '—'}</td>
+                      <td className="px-4 py-2 text-sm">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyles[row.status]}`}>{row.status}</span>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{row.messages.join(' ') || '—'}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </Card>
+
+          <Card className="overflow-x-auto">
+            <h2 className="p-4 text-lg font-semibold">Materials</h2>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lengths / Widths</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Gauges</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Opening Stock</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {report.materials.map((material) => (
+                  <tr key={material.name} className={material.hasError ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-sm font-medium">
+                      {material.name}
+                      <span className="ml-2 text-xs text-gray-500">rows {material.rows.join(', ')}</span>
+                    </td>
+                    <td className="px-4 py-2 text-sm">{material.category}</td>
+                    <td className="px-4 py-2 text-sm">{material.standardLengths.join(', ') || '—'}</td>
+                    <td className="px-4 py-2 text-sm">{material.gauges.join(', ') || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      {material.openingBatches > 0 ? `${material.openingQuantity} in ${material.openingBatches} batch(es)` : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(material.openingValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,294 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { locationApi, LocationInput, LocationStock, StockLocation } from '@/lib/api/locationService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const emptyForm: LocationInput = { name: '', code: '', address: '', notes: '' };
+
+export default function LocationsPage() {
+  const { user } = useAuthStore();
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<LocationInput>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [stock, setStock] = useState<LocationStock | null>(null);
+  const [loadingStock, setLoadingStock] = useState(false);
+
+  const canManage = user?.role === 'Admin' || user?.role === 'Manager';
+
+  useEffect(() => {
+    loadLocations();
+  }, [showInactive]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setStock(null);
+      return;
+    }
+    setLoadingStock(true);
+    locationApi.getLocationStock(selectedId)
+      .then((response) => setStock(response.data))
+      .catch((err: Error) => toast.error(err.message || 'Failed to load location stock'))
+      .finally(() => setLoadingStock(false));
+  }, [selectedId]);
+
+  const loadLocations = async () => {
+    try {
+      setLoading(true);
+      const response = await locationApi.getLocations(showInactive);
+      setLocations(response.data.locations);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load locations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (location?: StockLocation) => {
+    setEditingId(location ? location._id : null);
+    setForm(location
+      ? { name: location.name, code: location.code || '', address: location.address || '', notes: location.notes || '' }
+      : emptyForm);
+    setShowForm(true);
+  };
+
+  const handleSave = async () => {
+    if (!form.name?.trim()) {
+      toast.error('Location name is required');
+      return;
+    }
+    setSaving(true);
+    try {
+      if (editingId) {
+        await locationApi.updateLocation(editingId, form);
+        toast.success('Location updated');
+      } else {
+        await locationApi.createLocation(form);
+        toast.success('Location added');
+      }
+      setShowForm(false);
+      await loadLocations();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to save location');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (location: StockLocation, data: LocationInput, successMessage: string) => {
+    try {
+      await locationApi.updateLocation(location._id, data);
+      toast.success(successMessage);
+      await loadLocations();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to update location');
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Locations</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Godowns and site stores holding stock
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Link href="/dashboard/inventory/transfers">
+            <Button variant="outline">Stock Transfers</Button>
+          </Link>
+          {canManage && (
+            <Button onClick={() => openForm()} className="bg-blue-600 hover:bg-blue-700 text-white">
+              Add Location
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Location' : 'New Location'}</h2>
+          {!editingId && locations.length === 0 && (
+            <p className="text-sm text-gray-500">
+              The first location becomes the default. Stock recorded before locations were set up counts as being there.
+            </p>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name (e.g. Main Godown)"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value })}
+              placeholder="Short code (e.g. MG)"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value })}
+              placeholder="Address"
+              className="p-2 border border-gray-300 rounded-md text-sm md:col-span-2"
+            />
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              placeholder="Notes"
+              className="p-2 border border-gray-300 rounded-md text-sm md:col-span-2"
+              rows={2}
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={handleSave} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="p-4">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+          Show inactive locations
+        </label>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Address</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : locations.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">No locations yet. All stock is tracked as one store.</td></tr>
+            ) : (
+              locations.map((location) => (
+                <tr key={location._id} className={selectedId === location._id ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    <button className="text-blue-600 hover:underline" onClick={() => setSelectedId(location._id)}>
+                      {location.name}
+                    </button>
+                    {location.isDefault && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Default</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{location.code || '—'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{location.address || '—'}</td>
+                  <td className="px-4 py-3 text-sm">{location.isActive ? 'Active' : 'Inactive'}</td>
+                  <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                    {canManage && (
+                      <>
+                        <Button size="sm" variant="outline" onClick={() => openForm(location)}>Edit</Button>
+                        {location.isActive && !location.isDefault && (
+                          <Button size="sm" variant="outline" onClick={() => handleUpdate(location, { isDefault: true }, `${location.name} is now the default`)}>
+                            Make Default
+                          </Button>
+                        )}
+                        {location.isActive && !location.isDefault && (
+                          <Button size="sm" variant="outline" onClick={() => handleUpdate(location, { isActive: false }, `${location.name} deactivated`)}>
+                            Deactivate
+                          </Button>
+                        )}
+                        {!location.isActive && (
+                          <Button size="sm" variant="outline" onClick={() => handleUpdate(location, { isActive: true }, `${location.name} reactivated`)}>
+                            Reactivate
+                          </Button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      {selectedId && (
+        <Card className="p-6 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-lg font-semibold">
+              Stock at {stock?.location.name || '...'}
+              {stock && <span className="ml-3 text-gray-500 font-normal">{formatCurrency(stock.totalValue)}</span>}
+            </h2>
+            <Button size="sm" variant="outline" onClick={() => setSelectedId(null)}>Close</Button>
+          </div>
+          {loadingStock ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : !stock || stock.materials.length === 0 ? (
+            <p className="text-gray-500">No stock at this location.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Spec</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reserved</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {stock.materials.flatMap((material) => [
+                    ...material.batches.map((batch, index) => (
+                      <tr key={`${material.materialId}-${batch.batchId}`}>
+                        <td className="px-4 py-2 text-sm font-medium">{index === 0 ? material.name : ''}</td>
+                        <td className="px-4 py-2 text-sm font-mono">{batch.batchId}</td>
+                        <td className="px-4 py-2 text-sm">
+                          {batch.length !== undefined
+                            ? `${batch.length} ${batch.lengthUnit}${batch.gauge ? ` / ${batch.gauge}` : ''}`
+                            : batch.width !== undefined ? `${batch.width} ${batch.widthUnit || ''} wide` : '—'}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">
+                          {batch.quantity} {material.category === 'Profile' ? 'pcs' : material.stockUnit}
+                          {batch.area !== undefined && <span className="text-gray-500"> ({batch.area} {batch.areaUnit})</span>}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right">{batch.reserved || '—'}</td>
+                        <td className="px-4 py-2 text-sm text-right">{formatCurrency(batch.value)}</td>
+                      </tr>
+                    )),
+                    ...(material.remnantPieces > 0 ? [(
+                      <tr key={`${material.materialId}-remnants`}>
+                        <td className="px-4 py-2 text-sm font-medium">{material.batches.length === 0 ? material.name : ''}</td>
+                        <td className="px-4 py-2 text-sm text-gray-500" colSpan={2}>Remnants</td>
+                        <td className="px-4 py-2 text-sm text-right">{material.remnantPieces} pcs</td>
+                        <td className="px-4 py-2 text-sm text-right">—</td>
+                        <td className="px-4 py-2 text-sm text-right">—</td>
+                      </tr>
+                    )] : []),
+                  ])}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,548 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { useSettings } from '@/contexts/SettingsContext';
+import { batchInventoryApi, BatchMaterial } from '@/lib/api/batchInventoryService';
+import { priceListApi, PriceList, PriceListEntry, RecostResult } from '@/lib/api/priceListService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const formatChange = (changePercent?: number | null) => {
+  if (changePercent === null) return 'new';
+  if (changePercent === undefined) return '—';
+  return `${changePercent > 0 ? '+' : ''}${changePercent}%`;
+};
+
+interface EntryInput {
+  materialId: string;
+  gauge: string;
+  rate: string;
+  rateUnit: string;
+}
+
+const defaultRateUnit = (material?: BatchMaterial) => {
+  if (!material) return '';
+  if (material.category === 'Profile') return 'kg';
+  if (material.category === 'Glass') return material.stockUnit === 'sqm' ? 'sqm' : 'sqft';
+  return material.stockUnit;
+};
+
+// Current stock cost of a material, per the unit the price list uses for it
+const stockRateOf = (material?: BatchMaterial) => {
+  if (!material) return 0;
+  const rate = material.category === 'Profile'
+    ? material.aggregatedTotals?.averageRatePerKg
+    : material.aggregatedTotals?.averageRatePerPiece;
+  return parseFloat(rate || '0') || 0;
+};
+
+export default function PriceListsPage() {
+  const { user } = useAuthStore();
+  const { settings } = useSettings();
+  const [priceLists, setPriceLists] = useState<PriceList[]>([]);
+  const [activePriceListId, setActivePriceListId] = useState<string | null>(null);
+  const [materials, setMaterials] = useState<BatchMaterial[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [effectiveFrom, setEffectiveFrom] = useState(new Date().toISOString().split('T')[0]);
+  const [notes, setNotes] = useState('');
+  const [entries, setEntries] = useState<EntryInput[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [threshold, setThreshold] = useState('');
+  const [recosting, setRecosting] = useState(false);
+  const [recostResult, setRecostResult] = useState<RecostResult | null>(null);
+
+  const canManage = user?.role === 'Admin' || user?.role === 'Manager';
+  const materialsById = new Map(materials.map((material) => [material.id, material]));
+
+  useEffect(() => {
+    if (canManage) loadData();
+  }, [canManage]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [listResponse, materialResponse] = await Promise.all([
+        priceListApi.getPriceLists(),
+        batchInventoryApi.getMaterials({ limit: 1000 }),
+      ]);
+      setPriceLists(listResponse.data.priceLists);
+      setActivePriceListId(listResponse.data.activePriceListId);
+      setMaterials(materialResponse.data);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load price lists');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toEntryInputs = (listEntries: PriceListEntry[] = []) =>
+    listEntries.map((entry) => ({
+      materialId: entry.materialId,
+      gauge: entry.gauge || '',
+      rate: entry.rate,
+      rateUnit: entry.rateUnit,
+    }));
+
+  const openCreateForm = async () => {
+    // Start from the list in effect, so a weekly update only changes the rates that moved
+    let startingEntries: EntryInput[] = [];
+    if (activePriceListId) {
+      try {
+        const response = await priceListApi.getPriceList(activePriceListId);
+        startingEntries = toEntryInputs(response.data.priceList.entries);
+      } catch (err) {
+        toast.error((err as Error).message || 'Failed to load the current price list');
+      }
+    }
+    setEditingId(null);
+    setName('');
+    setEffectiveFrom(new Date().toISOString().split('T')[0]);
+    setNotes('');
+    setEntries(startingEntries);
+    setShowForm(true);
+  };
+
+  const openEditForm = async (priceListId: string) => {
+    try {
+      const response = await priceListApi.getPriceList(priceListId);
+      const priceList = response.data.priceList;
+      setEditingId(priceList._id);
+      setName(priceList.name);
+      setEffectiveFrom(priceList.effectiveFrom.split('T')[0]);
+      setNotes(priceList.notes || '');
+      setEntries(toEntryInputs(priceList.entries));
+      setShowForm(true);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load price list');
+    }
+  };
+
+  const updateEntry = (index: number, changes: Partial<EntryInput>) => {
+    setEntries(entries.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const changeEntryMaterial = (index: number, materialId: string) => {
+    const material = materialsById.get(materialId);
+    updateEntry(index, { materialId, gauge: '', rateUnit: defaultRateUnit(material) });
+  };
+
+  const addEntry = () => setEntries([...entries, { materialId: '', gauge: '', rate: '', rateUnit: '' }]);
+
+  const removeEntry = (index: number) => setEntries(entries.filter((_, entryIndex) => entryIndex !== index));
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      toast.error('Enter a name for the price list');
+      return;
+    }
+    const filledEntries = entries.filter((entry) => entry.materialId);
+    if (filledEntries.some((entry) => entry.rate === '' || parseFloat(entry.rate) < 0)) {
+      toast.error('Enter a rate for every material on the list');
+      return;
+    }
+    setSaving(true);
+    try {
+      const data = {
+        name: name.trim(),
+        effectiveFrom,
+        notes: notes || undefined,
+        entries: filledEntries.map((entry) => ({
+          materialId: entry.materialId,
+          gauge: entry.gauge || undefined,
+          rate: parseFloat(entry.rate),
+          rateUnit: entry.rateUnit || undefined,
+        })),
+      };
+      const response = editingId
+        ? await priceListApi.updatePriceList(editingId, data)
+        : await priceListApi.createPriceList(data);
+      toast.success(response.message);
+      setShowForm(false);
+      await loadData();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to save price list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (priceList: PriceList) => {
+    if (!confirm(`Delete price list "${priceList.name}"? Estimations costed with it keep their costs.`)) return;
+    try {
+      await priceListApi.deletePriceList(priceList._id);
+      toast.success('Price list deleted');
+      await loadData();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to delete price list');
+    }
+  };
+
+  const handleRecost = async () => {
+    const thresholdValue = threshold === '' ? undefined : parseFloat(threshold);
+    if (thresholdValue !== undefined && (isNaN(thresholdValue) || thresholdValue < 0)) {
+      toast.error('Threshold must be a percentage of zero or more');
+      return;
+    }
+    if (!confirm('Recalculate all open estimations and refresh the cost of draft quotations at current rates? Quotation prices are not changed.')) return;
+    setRecosting(true);
+    try {
+      const response = await priceListApi.recost(thresholdValue);
+      setRecostResult(response.data);
+      toast.success(response.message);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to re-cost open work');
+    } finally {
+      setRecosting(false);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card className="p-6 text-center text-gray-600">Only Admins and Managers can manage price lists.</Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Price Lists</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Dated material rates for estimations
+          </p>
+        </div>
+        <Button onClick={openCreateForm} className="bg-blue-600 hover:bg-blue-700 text-white">
+          New Price List
+        </Button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Estimations cost materials at {settings?.pricing?.estimationRateSource === 'priceList' ? 'the price list in effect' : 'actual stock cost'} unless
+        they choose otherwise (<Link href="/dashboard/settings/general" className="text-blue-600 hover:underline">change the default</Link>).
+        Profiles are priced per kg, optionally per gauge; glass per area; other materials per their stock unit.
+      </p>
+
+      {showForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Price List' : 'New Price List'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name * (e.g. Week 42 rates)"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <div className="flex items-center gap-2">
+              <label htmlFor="effectiveFrom" className="text-sm text-gray-600 whitespace-nowrap">Effective from</label>
+              <input
+                id="effectiveFrom"
+                type="date"
+                value={effectiveFrom}
+                onChange={(e) => setEffectiveFrom(e.target.value)}
+                className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <input
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Notes (e.g. supplier circular)"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+
+          <div className="max-h-[28rem] overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Gauge</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Per</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Stock Cost</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.length === 0 ? (
+                  <tr><td colSpan={6} className="px-3 py-4 text-center text-gray-500">No entries yet. Add the materials this list prices.</td></tr>
+                ) : (
+                  entries.map((entry, index) => {
+                    const material = materialsById.get(entry.materialId);
+                    const stockRate = stockRateOf(material);
+                    return (
+                      <tr key={index}>
+                        <td className="px-3 py-2 text-sm">
+                          <select
+                            value={entry.materialId}
+                            onChange={(e) => changeEntryMaterial(index, e.target.value)}
+                            className="w-full p-1 border border-gray-300 rounded-md text-sm"
+                          >
+                            <option value="">Select material</option>
+                            {materials.map((option) => (
+                              <option key={option.id} value={option.id}>{option.name} ({option.category})</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-3 py-2 text-sm">
+                          {material?.category === 'Profile' ? (
+                            <select
+                              value={entry.gauge}
+                              onChange={(e) => updateEntry(index, { gauge: e.target.value })}
+                              className="p-1 border border-gray-300 rounded-md text-sm"
+                            >
+                              <option value="">Any gauge</option>
+                              {(material.referenceGaugeWeights || []).map((gaugeWeight) => (
+                                <option key={gaugeWeight.gauge} value={gaugeWeight.gauge}>{gaugeWeight.gauge}</option>
+                              ))}
+                              {entry.gauge && !(material.referenceGaugeWeights || []).some((gaugeWeight) => gaugeWeight.gauge === entry.gauge) && (
+                                <option value={entry.gauge}>{entry.gauge}</option>
+                              )}
+                            </select>
+                          ) : (
+                            <span className="text-gray-400">—</span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={entry.rate}
+                            onChange={(e) => updateEntry(index, { rate: e.target.value })}
+                            className="w-28 p-1 border border-gray-300 rounded-md text-sm text-right"
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-sm">
+                          {material?.category === 'Glass' ? (
+                            <select
+                              value={entry.rateUnit || 'sqft'}
+                              onChange={(e) => updateEntry(index, { rateUnit: e.target.value })}
+                              className="p-1 border border-gray-300 rounded-md text-sm"
+                            >
+                              <option value="sqft">sqft</option>
+                              <option value="sqm">sqm</option>
+                            </select>
+                          ) : (
+                            entry.rateUnit || defaultRateUnit(material)
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-500">
+                          {material && stockRate > 0 ? formatCurrency(stockRate) : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right">
+                          <button onClick={() => removeEntry(index)} className="text-red-600 hover:underline">Remove</button>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+          <Button variant="outline" onClick={addEntry}>+ Add Entry</Button>
+
+          <div className="flex gap-2">
+            <Button onClick={handleSave} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Price List'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="overflow-x-auto">
+        <h2 className="px-4 py-3 text-lg font-semibold border-b border-gray-200">Price Lists</h2>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Effective From</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Entries</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Notes</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : priceLists.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">No price lists yet. Estimations are costed at stock cost.</td></tr>
+            ) : (
+              priceLists.map((priceList) => (
+                <tr key={priceList._id}>
+                  <td className="px-4 py-3 text-sm font-medium">
+                    {priceList.name}
+                    {priceList._id === activePriceListId && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">In effect</span>
+                    )}
+                    {new Date(priceList.effectiveFrom) > new Date() && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Upcoming</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{new Date(priceList.effectiveFrom).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm text-right">{priceList.entryCount ?? 0}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{priceList.notes}</td>
+                  <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                    <button onClick={() => openEditForm(priceList._id)} className="text-blue-600 hover:underline">Edit</button>
+                    <button onClick={() => handleDelete(priceList)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      <Card className="p-6 space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold">Re-cost Open Work</h2>
+          <p className="text-sm text-gray-500">
+            Recalculates calculated estimations that are not yet converted, and refreshes the cost (not the price) of
+            draft quotations, at today&apos;s rates. Manual rates on estimations are kept.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label htmlFor="recostThreshold" className="text-sm text-gray-600">Flag changes above</label>
+          <input
+            id="recostThreshold"
+            type="number"
+            min="0"
+            step="0.5"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            placeholder={String(settings?.pricing?.recostAlertPercent ?? 5)}
+            className="w-24 p-2 border border-gray-300 rounded-md text-sm text-right"
+          />
+          <span className="text-sm text-gray-600">%</span>
+          <Button onClick={handleRecost} disabled={recosting} className="bg-blue-600 hover:bg-blue-700 text-white">
+            {recosting ? 'Re-costing...' : 'Re-cost Now'}
+          </Button>
+        </div>
+
+        {recostResult && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {recostResult.priceList
+                ? `Price list in effect: ${recostResult.priceList.name} (from ${new Date(recostResult.priceList.effectiveFrom).toLocaleDateString()}).`
+                : 'No price list in effect; everything was costed at stock cost.'}{' '}
+              {recostResult.summary.estimationsFlagged + recostResult.summary.quotationsFlagged} item(s) moved by more
+              than {recostResult.thresholdPercent}%{recostResult.summary.failed > 0 ? `, ${recostResult.summary.failed} failed` : ''}.
+            </p>
+
+            <div className="overflow-x-auto">
+              <h3 className="font-medium mb-2">Estimations ({recostResult.summary.estimationsRecosted})</h3>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Estimation</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Previous Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">New Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Materials Moved</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {recostResult.estimations.length === 0 ? (
+                    <tr><td colSpan={5} className="px-3 py-4 text-center text-gray-500">No open estimations.</td></tr>
+                  ) : (
+                    recostResult.estimations.map((row) => (
+                      <tr key={row.estimationId} className={row.flagged ? 'bg-yellow-50' : ''}>
+                        <td className="px-3 py-2">
+                          <Link href={`/dashboard/estimations/${row.estimationId}`} className="text-blue-600 hover:underline">
+                            {row.projectName}
+                          </Link>
+                          {row.rateSource && (
+                            <div className="text-xs text-gray-500">{row.rateSource === 'priceList' ? 'Price list' : 'Stock cost'}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-right">{formatCurrency(row.previousCost)}</td>
+                        {row.error ? (
+                          <td colSpan={3} className="px-3 py-2 text-red-600">{row.error}</td>
+                        ) : (
+                          <>
+                            <td className="px-3 py-2 text-right">{formatCurrency(row.newCost || 0)}</td>
+                            <td className={`px-3 py-2 text-right font-medium ${row.flagged ? 'text-red-600' : 'text-gray-700'}`}>
+                              {formatChange(row.changePercent)}
+                            </td>
+                            <td className="px-3 py-2 text-xs text-gray-600">
+                              {(row.materialChanges || []).map((change) => (
+                                <div key={change.materialName}>
+                                  {change.materialName}: {formatCurrency(change.previousCost)} → {formatCurrency(change.newCost)} ({formatChange(change.changePercent)})
+                                </div>
+                              ))}
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="overflow-x-auto">
+              <h3 className="font-medium mb-2">Draft Quotations ({recostResult.summary.quotationsRecosted})</h3>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quotation</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Previous Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">New Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {recostResult.quotations.length === 0 ? (
+                    <tr><td colSpan={5} className="px-3 py-4 text-center text-gray-500">No costed draft quotations.</td></tr>
+                  ) : (
+                    recostResult.quotations.map((row) => (
+                      <tr key={row.quotationId} className={row.flagged ? 'bg-yellow-50' : ''}>
+                        <td className="px-3 py-2">
+                          <Link href={`/dashboard/quotations/${row.quotationId}`} className="text-blue-600 hover:underline">
+                            {row.quotationIdDisplay}
+                          </Link>
+                          {row.clientName && <div className="text-xs text-gray-500">{row.clientName}</div>}
+                        </td>
+                        <td className="px-3 py-2 text-right">{formatCurrency(row.previousCost)}</td>
+                        {row.error ? (
+                          <td colSpan={3} className="px-3 py-2 text-red-600">{row.error}</td>
+                        ) : (
+                          <>
+                            <td className="px-3 py-2 text-right">{formatCurrency(row.newCost || 0)}</td>
+                            <td className={`px-3 py-2 text-right font-medium ${row.flagged ? 'text-red-600' : 'text-gray-700'}`}>
+                              {formatChange(row.changePercent)}
+                            </td>
+                            <td className="px-3 py-2 text-right">
+                              <div>
+                                {row.previousMarginPercent ?? '—'}% → {row.newMarginPercent ?? '—'}%
+                              </div>
+                              {(row.marginWarnings || []).map((warning, index) => (
+                                <div key={index} className="text-xs text-red-600">{warning}</div>
+                              ))}
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
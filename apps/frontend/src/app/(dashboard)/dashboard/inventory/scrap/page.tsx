@@ -0,0 +1,348 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { scrapDisposalApi, ScrapBalance, ScrapDisposal } from '@/lib/api/scrapDisposalService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const formatWeight = (kg: number) => `${kg.toLocaleString('en-IN')} kg`;
+
+interface LineInput {
+  weight: string;
+  ratePerKg: string;
+}
+
+export default function ScrapDisposalsPage() {
+  const { user } = useAuthStore();
+  const [balances, setBalances] = useState<ScrapBalance[]>([]);
+  const [totalAvailableWeight, setTotalAvailableWeight] = useState(0);
+  const [balanceWarnings, setBalanceWarnings] = useState<string[]>([]);
+  const [disposals, setDisposals] = useState<ScrapDisposal[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [buyerName, setBuyerName] = useState('');
+  const [buyerPhone, setBuyerPhone] = useState('');
+  const [buyerGstin, setBuyerGstin] = useState('');
+  const [disposalDate, setDisposalDate] = useState(new Date().toISOString().split('T')[0]);
+  // materialId -> weight and rate being sold
+  const [lines, setLines] = useState<Record<string, LineInput>>({});
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canDispose = user?.role === 'Admin' || user?.role === 'Manager';
+
+  useEffect(() => {
+    if (canDispose) loadData();
+  }, [canDispose]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [balanceResponse, disposalResponse] = await Promise.all([
+        scrapDisposalApi.getBalances(),
+        scrapDisposalApi.getDisposals(),
+      ]);
+      setBalances(balanceResponse.data.balances);
+      setTotalAvailableWeight(balanceResponse.data.totalAvailableWeight);
+      setBalanceWarnings(balanceResponse.data.warnings);
+      setDisposals(disposalResponse.data.disposals);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load scrap');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    // Prefill every material with scrap on hand at its last sale rate
+    const prefilled: Record<string, LineInput> = {};
+    balances.filter((balance) => balance.availableWeight > 0).forEach((balance) => {
+      prefilled[balance.materialId] = {
+        weight: balance.availableWeight.toString(),
+        ratePerKg: balance.lastRatePerKg !== null ? balance.lastRatePerKg.toString() : '',
+      };
+    });
+    setLines(prefilled);
+    setShowCreateForm(true);
+  };
+
+  const updateLine = (materialId: string, field: keyof LineInput, value: string) => {
+    const line = lines[materialId] || { weight: '', ratePerKg: '' };
+    setLines({ ...lines, [materialId]: { ...line, [field]: value } });
+  };
+
+  const lineAmount = (line?: LineInput) =>
+    line ? (parseFloat(line.weight) || 0) * (parseFloat(line.ratePerKg) || 0) : 0;
+
+  const filledLines = Object.entries(lines).filter(([, line]) => parseFloat(line.weight) > 0);
+  const formTotal = filledLines.reduce((sum, [, line]) => sum + lineAmount(line), 0);
+
+  const handleCreate = async () => {
+    if (!buyerName.trim()) {
+      toast.error('Enter the buyer the scrap was sold to');
+      return;
+    }
+    if (filledLines.length === 0) {
+      toast.error('Enter a weight for at least one material');
+      return;
+    }
+    if (filledLines.some(([, line]) => line.ratePerKg === '' || parseFloat(line.ratePerKg) < 0)) {
+      toast.error('Enter a rate per kg for every material being sold');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await scrapDisposalApi.createDisposal({
+        buyer: { name: buyerName.trim(), phone: buyerPhone || undefined, gstin: buyerGstin || undefined },
+        disposalDate,
+        notes: notes || undefined,
+        lines: filledLines.map(([materialId, line]) => ({
+          materialId,
+          weight: parseFloat(line.weight),
+          ratePerKg: parseFloat(line.ratePerKg),
+        })),
+      });
+      toast.success(response.message);
+      response.data.warnings.forEach((warning) => toast.warning(warning));
+      setShowCreateForm(false);
+      setBuyerName('');
+      setBuyerPhone('');
+      setBuyerGstin('');
+      setNotes('');
+      await loadData();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to record scrap sale');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!canDispose) {
+    return (
+      <div className="p-6">
+        <Card className="p-6 text-center text-gray-600">Only Admins and Managers can record scrap sales.</Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Scrap Sales</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Sell accumulated scrap by weight
+          </p>
+        </div>
+        <Button onClick={openCreateForm} className="bg-blue-600 hover:bg-blue-700 text-white">
+          New Scrap Sale
+        </Button>
+      </div>
+
+      {balanceWarnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+          <ul className="list-disc pl-5 space-y-1">
+            {balanceWarnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {showCreateForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">New Scrap Sale</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <input
+              value={buyerName}
+              onChange={(e) => setBuyerName(e.target.value)}
+              placeholder="Buyer name *"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={buyerPhone}
+              onChange={(e) => setBuyerPhone(e.target.value)}
+              placeholder="Phone"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              value={buyerGstin}
+              onChange={(e) => setBuyerGstin(e.target.value)}
+              placeholder="GSTIN"
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="date"
+              value={disposalDate}
+              onChange={(e) => setDisposalDate(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Accumulated</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Weight (kg)</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate / kg</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {balances.length === 0 ? (
+                  <tr><td colSpan={5} className="px-3 py-4 text-center text-gray-500">No scrap has been generated yet.</td></tr>
+                ) : (
+                  balances.map((balance) => {
+                    const line = lines[balance.materialId];
+                    return (
+                      <tr key={balance.materialId}>
+                        <td className="px-3 py-2 text-sm font-medium">{balance.materialName}</td>
+                        <td className="px-3 py-2 text-sm text-right">{formatWeight(balance.availableWeight)}</td>
+                        <td className="px-3 py-2 text-sm text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={line?.weight || ''}
+                            onChange={(e) => updateLine(balance.materialId, 'weight', e.target.value)}
+                            className="w-24 p-1 border border-gray-300 rounded-md text-sm text-right"
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={line?.ratePerKg || ''}
+                            onChange={(e) => updateLine(balance.materialId, 'ratePerKg', e.target.value)}
+                            className="w-24 p-1 border border-gray-300 rounded-md text-sm text-right"
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right">{formatCurrency(lineAmount(line))}</td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-sm text-right font-semibold">Total: {formatCurrency(formTotal)}</p>
+
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes (e.g. weighbridge slip, vehicle)"
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            rows={2}
+          />
+          <div className="flex gap-2">
+            <Button onClick={handleCreate} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {saving ? 'Posting...' : 'Post Scrap Sale'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowCreateForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="overflow-x-auto">
+        <div className="px-4 py-3 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Accumulated Scrap</h2>
+          <span className="text-sm text-gray-500">{formatWeight(totalAvailableWeight)} awaiting sale</span>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Generated</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Recovered</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Last Rate</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : balances.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No scrap has been generated yet.</td></tr>
+            ) : (
+              balances.map((balance) => (
+                <tr key={balance.materialId}>
+                  <td className="px-4 py-3 text-sm font-medium">{balance.materialName}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatWeight(balance.generatedWeight)}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatWeight(balance.disposedWeight)}</td>
+                  <td className="px-4 py-3 text-sm text-right font-semibold">{formatWeight(balance.availableWeight)}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatCurrency(balance.recoveredAmount)}</td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    {balance.lastRatePerKg !== null ? `${formatCurrency(balance.lastRatePerKg)}/kg` : '—'}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        <h2 className="px-4 py-3 text-lg font-semibold border-b border-gray-200">Past Sales</h2>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Buyer</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Weight</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : disposals.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">No scrap sales recorded.</td></tr>
+            ) : (
+              disposals.flatMap((disposal) => [
+                <tr
+                  key={disposal._id}
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => setExpandedId(expandedId === disposal._id ? null : disposal._id)}
+                >
+                  <td className="px-4 py-3 text-sm font-medium text-blue-600">{disposal.disposalNumber}</td>
+                  <td className="px-4 py-3 text-sm">{new Date(disposal.disposalDate).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {disposal.buyer.name}
+                    {disposal.buyer.gstin && <span className="text-xs text-gray-500"> ({disposal.buyer.gstin})</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">{formatWeight(parseFloat(disposal.totalWeight || '0'))}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatCurrency(parseFloat(disposal.totalAmount || '0'))}</td>
+                </tr>,
+                ...(expandedId === disposal._id ? [(
+                  <tr key={`${disposal._id}-lines`} className="bg-gray-50">
+                    <td colSpan={5} className="px-4 py-3 text-sm">
+                      {disposal.notes && <p className="text-gray-600 mb-2">{disposal.notes}</p>}
+                      <ul className="space-y-1">
+                        {disposal.lines.map((line) => (
+                          <li key={line._id}>
+                            {line.materialNameSnapshot}: {line.weight} kg @ {formatCurrency(parseFloat(line.ratePerKg))}/kg ={' '}
+                            {formatCurrency(parseFloat(line.amount))}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                )] : []),
+              ])
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
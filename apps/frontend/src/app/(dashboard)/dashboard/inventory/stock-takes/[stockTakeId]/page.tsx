@@ -0,0 +1,320 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import {
+  stockTakeApi,
+  StockTake,
+  StockTakeLine,
+  StockTakeStatus,
+  StockTakeVariances,
+  StockTakeTransaction
+} from '@/lib/api/stockTakeService';
+
+const statusClasses: Record<StockTakeStatus, string> = {
+  Counting: 'bg-blue-100 text-blue-800',
+  Submitted: 'bg-yellow-100 text-yellow-800',
+  Approved: 'bg-green-100 text-green-800',
+  Cancelled: 'bg-red-100 text-red-800',
+};
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const describeSpec = (line: StockTakeLine) => {
+  if (line.category === 'Profile') return `${line.length} ${line.lengthUnit} · ${line.gauge}`;
+  if (line.width) return `${line.width} ${line.widthUnit || ''} wide`;
+  return '';
+};
+
+const hasCount = (line: StockTakeLine) => line.countedQuantity !== undefined && line.countedQuantity !== null;
+
+export default function StockTakeDetailPage() {
+  const { stockTakeId } = useParams<{ stockTakeId: string }>();
+  const { user } = useAuthStore();
+  const [stockTake, setStockTake] = useState<StockTake | null>(null);
+  const [variances, setVariances] = useState<StockTakeVariances | null>(null);
+  const [transactions, setTransactions] = useState<StockTakeTransaction[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  // Counts typed but not yet saved, by line ID
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [search, setSearch] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [reviewNotes, setReviewNotes] = useState('');
+  const inputRefs = useRef<Record<string, HTMLInputElement | null>>({});
+
+  const isManager = user?.role === 'Admin' || user?.role === 'Manager';
+
+  useEffect(() => {
+    loadStockTake();
+  }, [stockTakeId]);
+
+  const loadStockTake = async () => {
+    try {
+      setLoading(true);
+      const response = await stockTakeApi.getStockTake(stockTakeId);
+      setStockTake(response.data.stockTake);
+      setVariances(response.data.variances);
+      setTransactions(response.data.stockTransactions);
+      setReviewNotes(response.data.stockTake.reviewNotes || '');
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load stock take');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveCount = async (line: StockTakeLine) => {
+    const draft = drafts[line._id];
+    if (draft === undefined || draft === (line.countedQuantity ?? '')) return;
+    try {
+      const response = await stockTakeApi.recordCounts(stockTakeId, [{ lineId: line._id, countedQuantity: draft }]);
+      setStockTake(response.data.stockTake);
+      setVariances(response.data.variances);
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[line._id];
+        return next;
+      });
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to save count');
+    }
+  };
+
+  const runAction = async (action: () => Promise<{ message: string }>, after?: () => void) => {
+    setWorking(true);
+    try {
+      const response = await action();
+      toast.success(response.message);
+      after?.();
+      await loadStockTake();
+    } catch (err) {
+      toast.error((err as Error).message || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (Object.keys(drafts).length > 0) {
+      toast.error('Some counts are not saved yet');
+      return;
+    }
+    runAction(() => stockTakeApi.submitStockTake(stockTakeId));
+  };
+
+  const handleApprove = () => {
+    if (!confirm('Post the variances to stock? This cannot be undone.')) return;
+    runAction(async () => {
+      const response = await stockTakeApi.approveStockTake(stockTakeId, reviewNotes || undefined);
+      response.data.skipped.forEach((skipped) => toast.warning(`${skipped.materialName} ${skipped.batchId}: ${skipped.reason}`));
+      return response;
+    });
+  };
+
+  const handleCancel = () => {
+    if (!confirm('Cancel this stock take? Counts entered so far are kept but nothing is posted.')) return;
+    runAction(() => stockTakeApi.cancelStockTake(stockTakeId));
+  };
+
+  // A scanned batch ID jumps straight to its count field
+  const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key !== 'Enter' || !stockTake) return;
+    const match = stockTake.lines.find((line) => line.batchId.toLowerCase() === search.trim().toLowerCase());
+    if (match) {
+      inputRefs.current[match._id]?.focus();
+      inputRefs.current[match._id]?.select();
+    }
+  };
+
+  if (loading && !stockTake) {
+    return <div className="p-6 text-gray-500">Loading...</div>;
+  }
+  if (!stockTake || !variances) {
+    return <div className="p-6 text-gray-500">Stock take not found.</div>;
+  }
+
+  const varianceByLine = new Map(variances.lines.map((entry) => [entry.lineId, entry]));
+  const counting = stockTake.status === 'Counting';
+  const term = search.trim().toLowerCase();
+  const visibleLines = stockTake.lines.filter((line) =>
+    (!uncountedOnly || !hasCount(line)) &&
+    (!term || line.materialNameSnapshot.toLowerCase().includes(term) || line.batchId.toLowerCase().includes(term))
+  );
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex flex-wrap justify-between items-start gap-3">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">
+            {stockTake.stockTakeNumber}{' '}
+            <span className={`align-middle px-2 py-1 rounded-full text-xs font-medium ${statusClasses[stockTake.status]}`}>{stockTake.status}</span>
+          </h1>
+          <p className="text-gray-500 mt-1 text-sm">
+            <Link href="/dashboard/inventory/stock-takes" className="text-blue-600 hover:underline">Stock Takes</Link>
+            {' '}/ Started {new Date(stockTake.createdAt).toLocaleString()}
+            {stockTake.notes && <> · {stockTake.notes}</>}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {counting && (
+            <Button onClick={handleSubmit} disabled={working} className="bg-blue-600 hover:bg-blue-700 text-white">
+              Submit for Review
+            </Button>
+          )}
+          {isManager && ['Counting', 'Submitted'].includes(stockTake.status) && (
+            <Button variant="outline" onClick={handleCancel} disabled={working}>Cancel Count</Button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Card className="p-3">
+          <p className="text-xs text-gray-500">Counted</p>
+          <p className="text-lg font-semibold">{variances.summary.countedCount} / {variances.summary.lineCount}</p>
+        </Card>
+        <Card className="p-3">
+          <p className="text-xs text-gray-500">Lines with variance</p>
+          <p className="text-lg font-semibold">{variances.summary.varianceLineCount}</p>
+        </Card>
+        <Card className="p-3">
+          <p className="text-xs text-gray-500">Shortage / Excess</p>
+          <p className="text-lg font-semibold">
+            <span className="text-red-600">{formatCurrency(variances.summary.shortageValue)}</span>
+            {' / '}
+            <span className="text-green-700">{formatCurrency(variances.summary.excessValue)}</span>
+          </p>
+        </Card>
+        <Card className="p-3">
+          <p className="text-xs text-gray-500">Net variance</p>
+          <p className={`text-lg font-semibold ${variances.summary.netVarianceValue < 0 ? 'text-red-600' : ''}`}>
+            {formatCurrency(variances.summary.netVarianceValue)}
+          </p>
+        </Card>
+      </div>
+
+      {stockTake.status === 'Submitted' && isManager && (
+        <Card className="p-4 space-y-3">
+          <h2 className="text-lg font-semibold">Review</h2>
+          <p className="text-sm text-gray-600">
+            Approving posts each variance as a correction on its batch. Lines left uncounted are not changed.
+          </p>
+          <textarea
+            value={reviewNotes}
+            onChange={(e) => setReviewNotes(e.target.value)}
+            placeholder="Review notes"
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            rows={2}
+          />
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={handleApprove} disabled={working} className="bg-green-600 hover:bg-green-700 text-white">
+              Approve &amp; Post Variances
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => runAction(() => stockTakeApi.reopenStockTake(stockTakeId, reviewNotes || undefined))}
+              disabled={working}
+            >
+              Send Back for Recount
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {stockTake.reviewNotes && stockTake.status !== 'Submitted' && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+          Review notes: {stockTake.reviewNotes}
+        </div>
+      )}
+
+      {stockTake.status === 'Approved' && (
+        <p className="text-sm text-gray-600">
+          Approved {stockTake.approvedAt ? new Date(stockTake.approvedAt).toLocaleString() : ''}: {transactions.length} correction(s) posted to stock.
+        </p>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={handleSearchKeyDown}
+          placeholder="Search material or scan batch ID..."
+          className="flex-1 p-3 border border-gray-300 rounded-md text-base"
+        />
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={uncountedOnly} onChange={(e) => setUncountedOnly(e.target.checked)} />
+          Uncounted only
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        {visibleLines.map((line) => {
+          const variance = varianceByLine.get(line._id);
+          const draft = drafts[line._id];
+          return (
+            <Card key={line._id} className="p-3">
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="flex-1 min-w-[12rem]">
+                  <p className="font-medium">{line.materialNameSnapshot}</p>
+                  <p className="text-xs text-gray-500">
+                    {describeSpec(line)}{describeSpec(line) ? ' · ' : ''}Batch {line.batchId}
+                  </p>
+                </div>
+                <div className="text-sm text-right w-24">
+                  <p className="text-xs text-gray-500">Expected</p>
+                  <p>{line.expectedQuantity} {line.quantityUnit}</p>
+                </div>
+                <div className="w-32">
+                  <p className="text-xs text-gray-500">Counted</p>
+                  {counting ? (
+                    <input
+                      ref={(el) => { inputRefs.current[line._id] = el; }}
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="any"
+                      value={draft ?? line.countedQuantity ?? ''}
+                      onChange={(e) => setDrafts((prev) => ({ ...prev, [line._id]: e.target.value }))}
+                      onBlur={() => saveCount(line)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      className={`w-full p-2 border rounded-md text-base ${draft !== undefined ? 'border-yellow-400' : 'border-gray-300'}`}
+                    />
+                  ) : (
+                    <p className="text-sm">{hasCount(line) ? `${line.countedQuantity} ${line.quantityUnit}` : '-'}</p>
+                  )}
+                </div>
+                <div className="text-sm text-right w-28">
+                  <p className="text-xs text-gray-500">Variance</p>
+                  {variance && variance.variance !== null ? (
+                    <p className={variance.variance < 0 ? 'text-red-600' : variance.variance > 0 ? 'text-green-700' : ''}>
+                      {variance.variance > 0 ? '+' : ''}{variance.variance}
+                      {variance.varianceValue ? <span className="block text-xs">{formatCurrency(variance.varianceValue)}</span> : null}
+                    </p>
+                  ) : (
+                    <p className="text-gray-400">-</p>
+                  )}
+                </div>
+                {stockTake.status === 'Approved' && line.postedQuantity !== undefined && (
+                  <div className="text-sm text-right w-24">
+                    <p className="text-xs text-gray-500">Posted</p>
+                    <p>{line.postedQuantity}</p>
+                  </div>
+                )}
+              </div>
+            </Card>
+          );
+        })}
+        {visibleLines.length === 0 && (
+          <Card className="p-6 text-center text-gray-500">No lines match.</Card>
+        )}
+      </div>
+    </div>
+  );
+}
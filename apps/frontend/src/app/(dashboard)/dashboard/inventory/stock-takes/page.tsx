@@ -0,0 +1,215 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { batchInventoryApi, BatchMaterial } from '@/lib/api/batchInventoryService';
+import { stockTakeApi, StockTakeListItem, StockTakeStatus } from '@/lib/api/stockTakeService';
+
+const CATEGORIES = ['Profile', 'Glass', 'Hardware', 'Accessories', 'Consumables', 'Wire Mesh'];
+const STATUSES: StockTakeStatus[] = ['Counting', 'Submitted', 'Approved', 'Cancelled'];
+
+const statusClasses: Record<StockTakeStatus, string> = {
+  Counting: 'bg-blue-100 text-blue-800',
+  Submitted: 'bg-yellow-100 text-yellow-800',
+  Approved: 'bg-green-100 text-green-800',
+  Cancelled: 'bg-red-100 text-red-800',
+};
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+export default function StockTakesPage() {
+  const router = useRouter();
+  const { user } = useAuthStore();
+  const [stockTakes, setStockTakes] = useState<StockTakeListItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState<StockTakeStatus | ''>('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [materials, setMaterials] = useState<BatchMaterial[]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [materialIds, setMaterialIds] = useState<string[]>([]);
+  const [notes, setNotes] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const canStart = user?.role === 'Admin' || user?.role === 'Manager';
+
+  useEffect(() => {
+    loadStockTakes();
+  }, [status]);
+
+  useEffect(() => {
+    if (showCreateForm && materials.length === 0) {
+      batchInventoryApi.getMaterials({ limit: 1000 })
+        .then((response) => setMaterials(response.data))
+        .catch(() => toast.error('Failed to load materials'));
+    }
+  }, [showCreateForm]);
+
+  const loadStockTakes = async () => {
+    try {
+      setLoading(true);
+      const response = await stockTakeApi.getStockTakes({ status: status || undefined });
+      setStockTakes(response.data.stockTakes);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load stock takes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (list: string[], value: string) =>
+    list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+  const handleCreate = async () => {
+    if (categories.length === 0 && materialIds.length === 0) {
+      toast.error('Choose categories or materials to count');
+      return;
+    }
+    setCreating(true);
+    try {
+      const response = await stockTakeApi.createStockTake({ categories, materialIds, notes: notes || undefined });
+      toast.success(response.message);
+      router.push(`/dashboard/inventory/stock-takes/${response.data.stockTake._id}`);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to start stock take');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Stock Takes</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Count batches and post the differences
+          </p>
+        </div>
+        {canStart && (
+          <Button onClick={() => setShowCreateForm(true)} className="bg-blue-600 hover:bg-blue-700 text-white">
+            New Stock Take
+          </Button>
+        )}
+      </div>
+
+      {showCreateForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">New Stock Take</h2>
+          <p className="text-sm text-gray-500">
+            Every batch in stock for the chosen categories and materials is listed with its current book quantity.
+          </p>
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Categories</p>
+            <div className="flex flex-wrap gap-3">
+              {CATEGORIES.map((category) => (
+                <label key={category} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={categories.includes(category)}
+                    onChange={() => setCategories(toggle(categories, category))}
+                  />
+                  {category}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Or individual materials</p>
+            <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md p-2 grid grid-cols-1 md:grid-cols-2 gap-1">
+              {materials
+                .filter((material) => !categories.includes(material.category))
+                .map((material) => (
+                  <label key={material.id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={materialIds.includes(material.id)}
+                      onChange={() => setMaterialIds(toggle(materialIds, material.id))}
+                    />
+                    {material.name} <span className="text-gray-400">({material.category})</span>
+                  </label>
+                ))}
+            </div>
+          </div>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes (e.g. rack or area being counted)"
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            rows={2}
+          />
+          <div className="flex gap-2">
+            <Button onClick={handleCreate} disabled={creating} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {creating ? 'Starting...' : 'Start Count'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowCreateForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="p-4">
+        <select
+          className="p-2 border border-gray-300 rounded-md text-sm"
+          value={status}
+          onChange={(e) => setStatus(e.target.value as StockTakeStatus | '')}
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((value) => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Counted</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Variance</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : stockTakes.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No stock takes found.</td></tr>
+            ) : (
+              stockTakes.map((stockTake) => (
+                <tr
+                  key={stockTake._id}
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => router.push(`/dashboard/inventory/stock-takes/${stockTake._id}`)}
+                >
+                  <td className="px-4 py-3 text-sm font-medium text-blue-600">{stockTake.stockTakeNumber}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusClasses[stockTake.status]}`}>{stockTake.status}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {[
+                      ...stockTake.scope.categories,
+                      ...(stockTake.scope.materialIds.length > 0 ? [`${stockTake.scope.materialIds.length} material(s)`] : []),
+                    ].join(', ')}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{stockTake.summary.countedCount} / {stockTake.summary.lineCount}</td>
+                  <td className={`px-4 py-3 text-sm text-right ${stockTake.summary.netVarianceValue < 0 ? 'text-red-600' : ''}`}>
+                    {formatCurrency(stockTake.summary.netVarianceValue)}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{new Date(stockTake.createdAt).toLocaleDateString()}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,337 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { batchInventoryApi, ExpiryAlert } from '@/lib/api/batchInventoryService';
+import { traceabilityApi, LotTrace, OrderTrace } from '@/lib/api/traceabilityService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : '—');
+
+export default function TraceabilityPage() {
+  const [lotQuery, setLotQuery] = useState('');
+  const [searchBy, setSearchBy] = useState<'lot' | 'batch'>('lot');
+  const [lotTrace, setLotTrace] = useState<LotTrace | null>(null);
+  const [orderQuery, setOrderQuery] = useState('');
+  const [orderTrace, setOrderTrace] = useState<OrderTrace | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [expiryDays, setExpiryDays] = useState(30);
+  const [alerts, setAlerts] = useState<ExpiryAlert[]>([]);
+
+  useEffect(() => {
+    batchInventoryApi.getExpiryAlerts(expiryDays)
+      .then((response) => setAlerts(response.data.alerts))
+      .catch(() => toast.error('Failed to load expiry alerts'));
+  }, [expiryDays]);
+
+  const handleTraceLot = async (query = lotQuery, by = searchBy) => {
+    if (!query.trim()) return;
+    setLoading(true);
+    try {
+      const response = await traceabilityApi.traceLot(by === 'lot' ? { lotNumber: query.trim() } : { batchId: query.trim() });
+      setLotTrace(response.data);
+      setOrderTrace(null);
+    } catch (err) {
+      setLotTrace(null);
+      toast.error((err as Error).message || 'Failed to trace lot');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTraceOrder = async (query = orderQuery) => {
+    if (!query.trim()) return;
+    setLoading(true);
+    try {
+      const response = await traceabilityApi.traceOrder(query.trim());
+      setOrderTrace(response.data);
+      setLotTrace(null);
+    } catch (err) {
+      setOrderTrace(null);
+      toast.error((err as Error).message || 'Failed to trace order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Jump from one direction of the trace to the other
+  const traceLotFromOrder = (lotNumber: string | undefined, batchId: string | undefined) => {
+    const by = lotNumber ? 'lot' : 'batch';
+    const query = lotNumber || batchId || '';
+    setSearchBy(by);
+    setLotQuery(query);
+    handleTraceLot(query, by);
+  };
+
+  const traceOrderFromLot = (orderIdDisplay: string) => {
+    setOrderQuery(orderIdDisplay);
+    handleTraceOrder(orderIdDisplay);
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Lot Traceability</h1>
+        <p className="text-gray-500 mt-1">
+          <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> / Which orders used a lot, which lots went into an order, and what is about to expire
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Card className="p-4 space-y-3">
+          <h2 className="font-semibold">Trace a lot</h2>
+          <div className="flex gap-2">
+            <select
+              value={searchBy}
+              onChange={(e) => setSearchBy(e.target.value as 'lot' | 'batch')}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="lot">Lot number</option>
+              <option value="batch">Batch ID</option>
+            </select>
+            <input
+              value={lotQuery}
+              onChange={(e) => setLotQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleTraceLot()}
+              placeholder={searchBy === 'lot' ? 'e.g. LOT-A123' : 'e.g. BATCH_20240401_...'}
+              className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <Button onClick={() => handleTraceLot()} disabled={loading || !lotQuery.trim()}>Trace</Button>
+          </div>
+        </Card>
+        <Card className="p-4 space-y-3">
+          <h2 className="font-semibold">Trace an order</h2>
+          <div className="flex gap-2">
+            <input
+              value={orderQuery}
+              onChange={(e) => setOrderQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleTraceOrder()}
+              placeholder="Order number, e.g. SO-2024-001"
+              className="flex-1 p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <Button onClick={() => handleTraceOrder()} disabled={loading || !orderQuery.trim()}>Trace</Button>
+          </div>
+        </Card>
+      </div>
+
+      {lotTrace && (
+        <>
+          <Card className="overflow-x-auto">
+            <h2 className="p-4 text-lg font-semibold">
+              {lotTrace.lotNumber ? `Lot ${lotTrace.lotNumber}` : `Batch ${lotTrace.batchId}`}: batches
+            </h2>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Supplier / Invoice</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expiry</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Received / Left</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {lotTrace.batches.map((batch) => (
+                  <tr key={`${batch.materialId}-${batch.batchId}`}>
+                    <td className="px-4 py-2 text-sm font-medium">
+                      {batch.materialName}
+                      {batch.length && <span className="text-gray-500"> {batch.length} {batch.lengthUnit}{batch.gauge ? ` / ${batch.gauge}` : ''}</span>}
+                    </td>
+                    <td className="px-4 py-2 text-sm font-mono">
+                      {batch.batchId}
+                      {batch.transferredFromBatchId && (
+                        <span className="block text-xs text-gray-500">split from {batch.transferredFromBatchId}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{batch.supplier || '—'} / {batch.invoiceNumber || '—'}</td>
+                    <td className="px-4 py-2 text-sm">{formatDate(batch.purchaseDate)}</td>
+                    <td className="px-4 py-2 text-sm">{formatDate(batch.expiryDate)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{batch.originalQuantity} / {batch.currentQuantity} {batch.unit}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Card>
+
+          <Card className="overflow-x-auto">
+            <h2 className="p-4 text-lg font-semibold">Orders that used it</h2>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Client</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoices</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {lotTrace.orders.length === 0 ? (
+                  <tr><td colSpan={4} className="px-4 py-4 text-center text-gray-500">Not used in any order yet.</td></tr>
+                ) : (
+                  lotTrace.orders.map((order) => (
+                    <tr key={order.orderId}>
+                      <td className="px-4 py-2 text-sm">
+                        <Link href={`/dashboard/orders/${order.orderId}`} className="text-blue-600 hover:underline font-medium">
+                          {order.orderIdDisplay}
+                        </Link>
+                        <span className="block text-xs text-gray-500">{order.status}</span>
+                        <button className="text-xs text-blue-600 hover:underline" onClick={() => traceOrderFromLot(order.orderIdDisplay)}>
+                          All lots in this order
+                        </button>
+                      </td>
+                      <td className="px-4 py-2 text-sm">{order.clientName || '—'}</td>
+                      <td className="px-4 py-2 text-sm">
+                        {order.invoices.length === 0 ? '—' : order.invoices.map((invoice) => (
+                          <span key={invoice.invoiceId} className="block">{invoice.invoiceIdDisplay} ({invoice.status})</span>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {order.usage.map((usage, index) => (
+                          <span key={index} className="block">
+                            {usage.materialName}: {usage.quantity} {usage.unit}{usage.remnantId ? ' (offcut)' : ''} on {formatDate(usage.date)}
+                          </span>
+                        ))}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </Card>
+
+          {lotTrace.otherUsage.length > 0 && (
+            <Card className="p-4">
+              <h2 className="text-lg font-semibold mb-2">Other issues and write-offs</h2>
+              <ul className="text-sm space-y-1">
+                {lotTrace.otherUsage.map((usage, index) => (
+                  <li key={index}>
+                    {formatDate(usage.date)} — {usage.type}: {usage.materialName} {usage.quantity} {usage.unit}
+                    {usage.notes && <span className="text-gray-500"> ({usage.notes})</span>}
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+        </>
+      )}
+
+      {orderTrace && (
+        <Card className="overflow-x-auto">
+          <div className="p-4">
+            <h2 className="text-lg font-semibold">
+              Lots used in{' '}
+              <Link href={`/dashboard/orders/${orderTrace.order.orderId}`} className="text-blue-600 hover:underline">
+                {orderTrace.order.orderIdDisplay}
+              </Link>
+              {orderTrace.order.clientName && <span className="text-gray-500 font-normal"> — {orderTrace.order.clientName}</span>}
+            </h2>
+            {orderTrace.invoices.length > 0 && (
+              <p className="text-sm text-gray-600">
+                Invoices: {orderTrace.invoices.map((invoice) => `${invoice.invoiceIdDisplay} (${invoice.status})`).join(', ')}
+              </p>
+            )}
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lot</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Supplier / Invoice</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {orderTrace.lots.length === 0 ? (
+                <tr><td colSpan={6} className="px-4 py-4 text-center text-gray-500">No stock has been issued to this order yet.</td></tr>
+              ) : (
+                orderTrace.lots.map((lot) => (
+                  <tr key={`${lot.materialId}-${lot.batchId}`}>
+                    <td className="px-4 py-2 text-sm font-medium">
+                      {lot.materialName}
+                      {lot.length && <span className="text-gray-500"> {lot.length} {lot.lengthUnit}{lot.gauge ? ` / ${lot.gauge}` : ''}</span>}
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      {lot.lotNumber ? (
+                        <button className="text-blue-600 hover:underline" onClick={() => traceLotFromOrder(lot.lotNumber, lot.batchId)}>
+                          {lot.lotNumber}
+                        </button>
+                      ) : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-sm font-mono">
+                      {lot.batchId ? (
+                        <button className="text-blue-600 hover:underline" onClick={() => traceLotFromOrder(undefined, lot.batchId)}>
+                          {lot.batchId}
+                        </button>
+                      ) : '—'}
+                      {lot.fromRemnant && <span className="block text-xs text-gray-500 font-sans">includes offcuts</span>}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{lot.supplier || '—'} / {lot.invoiceNumber || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-right">{lot.quantity} {lot.quantityUnit}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(lot.value)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      <Card className="overflow-x-auto">
+        <div className="p-4 flex flex-wrap justify-between items-center gap-3">
+          <h2 className="text-lg font-semibold">Expiry Alerts</h2>
+          <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(Number(e.target.value))}
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value={7}>Next 7 days</option>
+            <option value={30}>Next 30 days</option>
+            <option value={90}>Next 90 days</option>
+          </select>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch / Lot</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expiry</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {alerts.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-4 text-center text-gray-500">Nothing expired or expiring in this period.</td></tr>
+            ) : (
+              alerts.map((alert) => (
+                <tr key={`${alert.materialId}-${alert.batchId}`} className={alert.status === 'expired' ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-2 text-sm font-medium">{alert.materialName}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className="font-mono">{alert.batchId}</span>
+                    {alert.lotNumber && <span className="block text-xs text-gray-500">Lot {alert.lotNumber}</span>}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    {formatDate(alert.expiryDate)}
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${alert.status === 'expired' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                      {alert.status === 'expired' ? 'Expired' : `${alert.daysLeft} day(s) left`}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{alert.quantity} {alert.unit}</td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(alert.value)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
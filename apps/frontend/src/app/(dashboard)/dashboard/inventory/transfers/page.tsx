@@ -0,0 +1,289 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { useAuthStore } from '@/lib/store/auth-store';
+import { locationApi, LocationStock, StockLocation, StockTransfer } from '@/lib/api/locationService';
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+export default function StockTransfersPage() {
+  const { user } = useAuthStore();
+  const [transfers, setTransfers] = useState<StockTransfer[]>([]);
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [filterLocationId, setFilterLocationId] = useState('');
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [fromLocationId, setFromLocationId] = useState('');
+  const [toLocationId, setToLocationId] = useState('');
+  const [sourceStock, setSourceStock] = useState<LocationStock | null>(null);
+  const [search, setSearch] = useState('');
+  // `${materialId}:${batchId}` -> quantity to move
+  const [quantities, setQuantities] = useState<Record<string, string>>({});
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canTransfer = user?.role === 'Admin' || user?.role === 'Manager' || user?.role === 'Staff';
+
+  useEffect(() => {
+    locationApi.getLocations()
+      .then((response) => setLocations(response.data.locations))
+      .catch(() => toast.error('Failed to load locations'));
+  }, []);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [filterLocationId]);
+
+  useEffect(() => {
+    setQuantities({});
+    if (!fromLocationId) {
+      setSourceStock(null);
+      return;
+    }
+    locationApi.getLocationStock(fromLocationId)
+      .then((response) => setSourceStock(response.data))
+      .catch((err: Error) => toast.error(err.message || 'Failed to load stock at location'));
+  }, [fromLocationId]);
+
+  const loadTransfers = async () => {
+    try {
+      setLoading(true);
+      const response = await locationApi.getTransfers({ locationId: filterLocationId || undefined });
+      setTransfers(response.data.transfers);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load transfers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const lines = Object.entries(quantities)
+      .filter(([, quantity]) => parseFloat(quantity) > 0)
+      .map(([key, quantity]) => {
+        const [materialId, batchId] = key.split(':');
+        return { materialId, batchId, quantity: parseFloat(quantity) };
+      });
+    if (!fromLocationId || !toLocationId) {
+      toast.error('Choose the locations to move stock from and to');
+      return;
+    }
+    if (lines.length === 0) {
+      toast.error('Enter a quantity for at least one batch');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await locationApi.createTransfer({ fromLocationId, toLocationId, notes: notes || undefined, lines });
+      toast.success(response.message);
+      setShowCreateForm(false);
+      setFromLocationId('');
+      setToLocationId('');
+      setNotes('');
+      await loadTransfers();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to post transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const visibleMaterials = (sourceStock?.materials || []).filter((material) =>
+    !search || material.name.toLowerCase().includes(search.toLowerCase())
+  );
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Stock Transfers</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/inventory" className="text-blue-600 hover:underline">Inventory</Link> /{' '}
+            <Link href="/dashboard/inventory/locations" className="text-blue-600 hover:underline">Locations</Link> / Move batches between locations
+          </p>
+        </div>
+        {canTransfer && locations.length > 1 && (
+          <Button onClick={() => setShowCreateForm(true)} className="bg-blue-600 hover:bg-blue-700 text-white">
+            New Transfer
+          </Button>
+        )}
+      </div>
+
+      {showCreateForm && (
+        <Card className="p-6 space-y-4">
+          <h2 className="text-lg font-semibold">New Transfer</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select
+              value={fromLocationId}
+              onChange={(e) => setFromLocationId(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">From location...</option>
+              {locations.map((location) => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+            <select
+              value={toLocationId}
+              onChange={(e) => setToLocationId(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">To location...</option>
+              {locations.filter((location) => location._id !== fromLocationId).map((location) => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {sourceStock && (
+            <>
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search material..."
+                className="w-full p-2 border border-gray-300 rounded-md text-sm"
+              />
+              <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Batch</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Spec</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Move</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {visibleMaterials.length === 0 ? (
+                      <tr><td colSpan={5} className="px-3 py-4 text-center text-gray-500">No stock at this location.</td></tr>
+                    ) : (
+                      visibleMaterials.flatMap((material) => material.batches.map((batch, index) => {
+                        const key = `${material.materialId}:${batch.batchId}`;
+                        return (
+                          <tr key={key}>
+                            <td className="px-3 py-2 text-sm font-medium">{index === 0 ? material.name : ''}</td>
+                            <td className="px-3 py-2 text-sm font-mono">{batch.batchId}</td>
+                            <td className="px-3 py-2 text-sm">
+                              {batch.length !== undefined
+                                ? `${batch.length} ${batch.lengthUnit}${batch.gauge ? ` / ${batch.gauge}` : ''}`
+                                : batch.width !== undefined ? `${batch.width} ${batch.widthUnit || ''} wide` : '—'}
+                            </td>
+                            <td className="px-3 py-2 text-sm text-right">
+                              {batch.quantity} {material.category === 'Profile' ? 'pcs' : material.stockUnit}
+                              {batch.reserved > 0 && <span className="text-orange-600"> ({batch.reserved} reserved)</span>}
+                            </td>
+                            <td className="px-3 py-2 text-sm text-right">
+                              <input
+                                type="number"
+                                min="0"
+                                max={batch.quantity}
+                                step="any"
+                                value={quantities[key] || ''}
+                                onChange={(e) => setQuantities({ ...quantities, [key]: e.target.value })}
+                                className="w-24 p-1 border border-gray-300 rounded-md text-sm text-right"
+                              />
+                            </td>
+                          </tr>
+                        );
+                      }))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes (e.g. vehicle, site order)"
+            className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            rows={2}
+          />
+          <div className="flex gap-2">
+            <Button onClick={handleCreate} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white">
+              {saving ? 'Posting...' : 'Post Transfer'}
+            </Button>
+            <Button variant="outline" onClick={() => setShowCreateForm(false)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      <Card className="p-4">
+        <select
+          className="p-2 border border-gray-300 rounded-md text-sm"
+          value={filterLocationId}
+          onChange={(e) => setFilterLocationId(e.target.value)}
+        >
+          <option value="">All locations</option>
+          {locations.map((location) => (
+            <option key={location._id} value={location._id}>{location.name}</option>
+          ))}
+        </select>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">From</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">To</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lines</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : transfers.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No transfers found.</td></tr>
+            ) : (
+              transfers.flatMap((transfer) => [
+                <tr
+                  key={transfer._id}
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => setExpandedId(expandedId === transfer._id ? null : transfer._id)}
+                >
+                  <td className="px-4 py-3 text-sm font-medium text-blue-600">{transfer.transferNumber}</td>
+                  <td className="px-4 py-3 text-sm">{new Date(transfer.transferDate).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm">{transfer.fromLocationId?.name}</td>
+                  <td className="px-4 py-3 text-sm">{transfer.toLocationId?.name}</td>
+                  <td className="px-4 py-3 text-sm">{transfer.lines.length}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatCurrency(parseFloat(transfer.totalValue || '0'))}</td>
+                </tr>,
+                ...(expandedId === transfer._id ? [(
+                  <tr key={`${transfer._id}-lines`} className="bg-gray-50">
+                    <td colSpan={6} className="px-4 py-3 text-sm">
+                      {transfer.notes && <p className="text-gray-600 mb-2">{transfer.notes}</p>}
+                      <ul className="space-y-1">
+                        {transfer.lines.map((line) => (
+                          <li key={line._id}>
+                            {line.materialNameSnapshot}
+                            {line.length ? ` ${line.length} ${line.lengthUnit}` : ''}{line.gauge ? ` / ${line.gauge}` : ''}:{' '}
+                            {line.quantity} {line.quantityUnit} — batch <span className="font-mono">{line.batchId}</span>
+                            {line.destinationBatchId !== line.batchId && (
+                              <> → <span className="font-mono">{line.destinationBatchId}</span></>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                )] : []),
+              ])
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
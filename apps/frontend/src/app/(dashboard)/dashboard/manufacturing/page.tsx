@@ -6,6 +6,12 @@ import { Button } from '@/components/ui/Button';
 import { Card } from '@/components/ui/Card';
 import { manufacturingApi } from '@/lib/api/manufacturingService';
 import { Order } from '@/lib/api/orderService';
+import { CuttingBatchList } from '@/components/manufacturing/CuttingBatchList';
+
+// Orders whose cuts can still be (re-)optimized, alone or together with others
+const isOptimizable = (order: Order) =>
+  order.cuttingPlanStatus !== 'Committed' &&
+  ['Ready for Optimization', 'Optimization Complete', 'Optimization Failed'].includes(order.status);
 
 export default function ManufacturingQueuePage() {
   const router = useRouter();
@@ -14,6 +20,9 @@ export default function ManufacturingQueuePage() {
   const [error, setError] = useState<string | null>(null);
   const [optimizingOrderId, setOptimizingOrderId] = useState<string | null>(null);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [selectedOrderIds, setSelectedOrderIds] = useState<string[]>([]);
+  const [isOptimizingBatch, setIsOptimizingBatch] = useState(false);
+  const [batchRefreshKey, setBatchRefreshKey] = useState(0);
   const [filters, setFilters] = useState({
     status: 'Ready for Optimization',
     search: '',
@@ -27,6 +36,7 @@ export default function ManufacturingQueuePage() {
       setError(null);
       const response = await manufacturingApi.getManufacturingQueue(filters);
       setOrders(response.data.orders);
+      setSelectedOrderIds([]);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch manufacturing queue');
     } finally {
@@ -55,6 +65,35 @@ export default function ManufacturingQueuePage() {
     }
   };
 
+  const toggleOrderSelection = (orderId: string) => {
+    setSelectedOrderIds((current) =>
+      current.includes(orderId) ? current.filter((id) => id !== orderId) : [...current, orderId]
+    );
+  };
+
+  const handleOptimizeBatch = async () => {
+    try {
+      setIsOptimizingBatch(true);
+      setError(null);
+      setSuccessMessage(null);
+
+      const response = await manufacturingApi.optimizeBatch(selectedOrderIds);
+
+      setSuccessMessage(response.message);
+      setBatchRefreshKey((key) => key + 1);
+      fetchOrders();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to optimize orders together');
+    } finally {
+      setIsOptimizingBatch(false);
+    }
+  };
+
+  const handleBatchChanged = () => {
+    setBatchRefreshKey((key) => key + 1);
+    fetchOrders();
+  };
+
   const handleViewOrder = (orderId: string) => {
     router.push(`/dashboard/orders/${orderId}`);
   };
@@ -82,6 +121,19 @@ export default function ManufacturingQueuePage() {
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-3xl font-bold text-gray-900">Manufacturing Queue</h1>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => router.push('/dashboard/manufacturing/scan')}>
+            Scan Pieces
+          </Button>
+          <Button
+            onClick={handleOptimizeBatch}
+            disabled={selectedOrderIds.length < 2 || isOptimizingBatch}
+            className="bg-blue-600 hover:bg-blue-700 text-white"
+            title="Optimize the selected orders together so their cuts can share pipes"
+          >
+            {isOptimizingBatch ? 'Optimizing...' : `Optimize Selected Together (${selectedOrderIds.length})`}
+          </Button>
+        </div>
       </div>
 
       {error && (
@@ -139,6 +191,8 @@ export default function ManufacturingQueuePage() {
         </div>
       </Card>
 
+      <CuttingBatchList refreshKey={batchRefreshKey} onChanged={handleBatchChanged} />
+
       {isLoading ? (
         <div className="flex justify-center items-center h-64">
           <div className="text-lg">Loading manufacturing queue...</div>
@@ -152,6 +206,7 @@ export default function ManufacturingQueuePage() {
           <table className="min-w-full divide-y divide-gray-200 border">
             <thead className="bg-gray-50">
               <tr>
+                <th className="px-4 py-3"></th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Order ID
                 </th>
@@ -172,6 +227,16 @@ export default function ManufacturingQueuePage() {
             <tbody className="bg-white divide-y divide-gray-200">
               {orders.map((order) => (
                 <tr key={order._id}>
+                  <td className="px-4 py-4">
+                    {isOptimizable(order) && (
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${order.orderIdDisplay}`}
+                        checked={selectedOrderIds.includes(order._id)}
+                        onChange={() => toggleOrderSelection(order._id)}
+                      />
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {order.orderIdDisplay}
                   </td>
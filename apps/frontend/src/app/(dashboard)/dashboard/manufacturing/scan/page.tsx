@@ -0,0 +1,15 @@
+import React from 'react';
+import { ProductionScanStation } from '@/components/manufacturing/ProductionScanStation';
+
+export const metadata = {
+  title: 'Shop-Floor Scanning | Aluminium ERP',
+};
+
+export default function ProductionScanPage() {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Shop-Floor Scanning</h1>
+      <ProductionScanStation />
+    </div>
+  );
+}
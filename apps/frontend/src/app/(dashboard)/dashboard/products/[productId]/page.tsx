@@ -28,7 +28,7 @@ export default function ProductDetailPage() {
       try {
         const data = await productApi.getProductById(productId);
         setProduct(data);
-      } catch (err: any) {
+      } catch {
         setError('Failed to load product. Please try again.');
       } finally {
         setLoading(false);
@@ -251,9 +251,20 @@ export default function ProductDetailPage() {
                     <div>
                       <p className="text-sm text-gray-500 mb-2">Formulas</p>
                       <ul className="list-disc list-inside space-y-1">
-                        {material.formulas.map((formula, fIndex) => (
-                          <li key={fIndex} className="text-gray-700">{formula}</li>
-                        ))}
+                        {material.formulas.map((formula, fIndex) => {
+                          const angles = material.cutAngles?.[fIndex];
+                          const isMitred = !!angles && (angles.startAngle < 90 || angles.endAngle < 90);
+                          return (
+                            <li key={fIndex} className="text-gray-700">
+                              {formula}
+                              {isMitred && (
+                                <span className="ml-2 text-xs text-gray-500">
+                                  ({angles.startAngle}°/{angles.endAngle}°)
+                                </span>
+                              )}
+                            </li>
+                          );
+                        })}
                       </ul>
                     </div>
                   </div>
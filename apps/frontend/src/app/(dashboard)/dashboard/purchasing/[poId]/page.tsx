@@ -0,0 +1,277 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { purchaseApi, PurchaseOrder, PurchaseOrderLine, PurchaseStockTransaction } from '@/lib/api/purchaseService';
+
+interface ReceiveDraft {
+  quantity: string;
+  totalCost: string;
+  actualWeight: string;
+  lotNumber: string;
+}
+
+const describeLine = (line: PurchaseOrderLine) => {
+  if (line.category === 'Profile') return `${line.length} ${line.lengthUnit} · ${line.gauge}`;
+  if (line.category === 'Wire Mesh') return `${line.width} ${line.widthUnit || ''} x ${line.length} ${line.lengthUnit}`;
+  return '';
+};
+
+const outstandingQuantity = (line: PurchaseOrderLine) =>
+  Math.max(parseFloat(line.quantity || '0') - parseFloat(line.receivedQuantity || '0'), 0);
+
+export default function PurchaseOrderDetailPage() {
+  const params = useParams();
+  const poId = params.poId as string;
+  const [purchaseOrder, setPurchaseOrder] = useState<PurchaseOrder | null>(null);
+  const [stockTransactions, setStockTransactions] = useState<PurchaseStockTransaction[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [receiveDrafts, setReceiveDrafts] = useState<Record<string, ReceiveDraft> | null>(null);
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+
+  useEffect(() => {
+    loadPurchaseOrder();
+  }, [poId]);
+
+  const loadPurchaseOrder = async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseApi.getPurchaseOrder(poId);
+      setPurchaseOrder(response.data.purchaseOrder);
+      setStockTransactions(response.data.stockTransactions);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load purchase order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action: () => Promise<{ message: string }>) => {
+    setIsWorking(true);
+    try {
+      const response = await action();
+      toast.success(response.message);
+      await loadPurchaseOrder();
+    } catch (err) {
+      toast.error((err as Error).message || 'Action failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const startReceiving = () => {
+    if (!purchaseOrder) return;
+    const drafts: Record<string, ReceiveDraft> = {};
+    purchaseOrder.lines.forEach((line) => {
+      const outstanding = outstandingQuantity(line);
+      drafts[line._id] = {
+        quantity: outstanding > 0 ? String(outstanding) : '',
+        totalCost: '',
+        actualWeight: '',
+        lotNumber: '',
+      };
+    });
+    setReceiveDrafts(drafts);
+    setInvoiceNumber('');
+  };
+
+  const updateDraft = (lineId: string, changes: Partial<ReceiveDraft>) => {
+    setReceiveDrafts((current) => current && { ...current, [lineId]: { ...current[lineId], ...changes } });
+  };
+
+  const handleReceive = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!receiveDrafts) return;
+
+    const lines = Object.entries(receiveDrafts)
+      .filter(([, draft]) => parseFloat(draft.quantity) > 0)
+      .map(([lineId, draft]) => ({
+        lineId,
+        quantity: Number(draft.quantity),
+        totalCost: draft.totalCost ? Number(draft.totalCost) : undefined,
+        actualWeight: draft.actualWeight ? Number(draft.actualWeight) : undefined,
+        actualWeightUnit: draft.actualWeight ? 'kg' : undefined,
+        lotNumber: draft.lotNumber || undefined,
+      }));
+
+    if (lines.length === 0) {
+      toast.error('Enter a received quantity for at least one line');
+      return;
+    }
+
+    await runAction(() => purchaseApi.receivePurchaseOrder(poId, { invoiceNumber: invoiceNumber || undefined, lines }));
+    setReceiveDrafts(null);
+  };
+
+  if (loading && !purchaseOrder) {
+    return <div className="p-6 text-gray-500">Loading purchase order...</div>;
+  }
+
+  if (!purchaseOrder) {
+    return <div className="p-6 text-red-600">Purchase order not found.</div>;
+  }
+
+  const canReceive = purchaseOrder.status === 'Ordered' || purchaseOrder.status === 'Partially Received';
+  const canCancel = ['Draft', 'Ordered', 'Partially Received'].includes(purchaseOrder.status);
+  const inputClass = 'w-full p-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-sm text-gray-500">
+            <Link href="/dashboard/purchasing" className="text-blue-600 hover:underline">Purchasing</Link> / {purchaseOrder.poNumber}
+          </p>
+          <h1 className="text-3xl font-bold text-gray-900">{purchaseOrder.poNumber}</h1>
+          <p className="text-gray-500 mt-1">
+            {purchaseOrder.supplierNameSnapshot} · {purchaseOrder.status}
+            {purchaseOrder.expectedDate && ` · Expected ${new Date(purchaseOrder.expectedDate).toLocaleDateString()}`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {purchaseOrder.status === 'Draft' && (
+            <Button
+              onClick={() => runAction(() => purchaseApi.placePurchaseOrder(poId))}
+              disabled={isWorking}
+              className="bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              Place Order
+            </Button>
+          )}
+          {canReceive && !receiveDrafts && (
+            <Button onClick={startReceiving} disabled={isWorking} className="bg-green-600 hover:bg-green-700 text-white">
+              Receive Goods
+            </Button>
+          )}
+          {canCancel && (
+            <Button
+              variant="outline"
+              onClick={() => {
+                if (confirm(`Cancel ${purchaseOrder.poNumber}? Anything already received stays in stock.`)) {
+                  runAction(() => purchaseApi.cancelPurchaseOrder(poId));
+                }
+              }}
+              disabled={isWorking}
+            >
+              Cancel PO
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card className="overflow-x-auto">
+        <form onSubmit={handleReceive}>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Spec</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Line Total</th>
+                {receiveDrafts && (
+                  <>
+                    <th className="px-2 py-3 text-left text-xs font-medium text-gray-500 uppercase">Receive Qty</th>
+                    <th className="px-2 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoice Cost</th>
+                    <th className="px-2 py-3 text-left text-xs font-medium text-gray-500 uppercase">Weight (kg)</th>
+                    <th className="px-2 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lot No.</th>
+                  </>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {purchaseOrder.lines.map((line) => (
+                <tr key={line._id}>
+                  <td className="px-4 py-3 text-sm font-medium">{line.materialNameSnapshot}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{describeLine(line)}</td>
+                  <td className="px-4 py-3 text-sm text-right">{line.quantity} {line.quantityUnit}</td>
+                  <td className="px-4 py-3 text-sm text-right">{line.receivedQuantity}</td>
+                  <td className="px-4 py-3 text-sm text-right">{parseFloat(line.unitPrice).toFixed(2)}</td>
+                  <td className="px-4 py-3 text-sm text-right">{parseFloat(line.lineTotal || '0').toFixed(2)}</td>
+                  {receiveDrafts && (
+                    <>
+                      <td className="px-2 py-2">
+                        <input type="number" step="any" min="0" className={inputClass} value={receiveDrafts[line._id]?.quantity ?? ''} onChange={(e) => updateDraft(line._id, { quantity: e.target.value })} />
+                      </td>
+                      <td className="px-2 py-2">
+                        <input type="number" step="any" min="0" className={inputClass} placeholder="Qty x price" value={receiveDrafts[line._id]?.totalCost ?? ''} onChange={(e) => updateDraft(line._id, { totalCost: e.target.value })} />
+                      </td>
+                      <td className="px-2 py-2">
+                        <input type="number" step="any" min="0" className={inputClass} value={receiveDrafts[line._id]?.actualWeight ?? ''} onChange={(e) => updateDraft(line._id, { actualWeight: e.target.value })} />
+                      </td>
+                      <td className="px-2 py-2">
+                        <input type="text" className={inputClass} value={receiveDrafts[line._id]?.lotNumber ?? ''} onChange={(e) => updateDraft(line._id, { lotNumber: e.target.value })} />
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-between items-center px-4 py-3 bg-gray-50">
+            <span className="text-sm font-semibold">Total: {parseFloat(purchaseOrder.totalAmount || '0').toFixed(2)}</span>
+            {receiveDrafts && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  placeholder="Supplier invoice no."
+                  className="p-2 border border-gray-300 rounded-md text-sm"
+                  value={invoiceNumber}
+                  onChange={(e) => setInvoiceNumber(e.target.value)}
+                />
+                <Button type="button" variant="outline" onClick={() => setReceiveDrafts(null)} disabled={isWorking}>Cancel</Button>
+                <Button type="submit" disabled={isWorking} className="bg-green-600 hover:bg-green-700 text-white">
+                  {isWorking ? 'Receiving...' : 'Receive into Stock'}
+                </Button>
+              </div>
+            )}
+          </div>
+        </form>
+      </Card>
+
+      {purchaseOrder.receipts && purchaseOrder.receipts.length > 0 && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold mb-4">Receipts</h2>
+          <div className="space-y-3">
+            {purchaseOrder.receipts.map((receipt) => (
+              <div key={receipt._id} className="border border-gray-200 rounded-md p-3 text-sm">
+                <div className="flex justify-between text-gray-700">
+                  <span>{new Date(receipt.receivedAt).toLocaleString()}</span>
+                  <span>
+                    {receipt.invoiceNumber ? `Invoice ${receipt.invoiceNumber}` : ''}
+                    {typeof receipt.receivedBy === 'object' && receipt.receivedBy ? ` · ${receipt.receivedBy.firstName || ''} ${receipt.receivedBy.lastName || ''}` : ''}
+                  </span>
+                </div>
+                <ul className="mt-2 text-gray-600">
+                  {receipt.lines.map((receiptLine) => {
+                    const line = purchaseOrder.lines.find((l) => l._id === receiptLine.lineId);
+                    return (
+                      <li key={`${receipt._id}-${receiptLine.lineId}`}>
+                        {line?.materialNameSnapshot} — {receiptLine.quantity} received, cost {parseFloat(receiptLine.totalCost || '0').toFixed(2)}
+                        {receiptLine.lotNumber && `, lot ${receiptLine.lotNumber}`}
+                        <span className="font-mono text-xs text-gray-400"> ({receiptLine.batchId})</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {stockTransactions.length > 0 && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold mb-2">Stock Transactions</h2>
+          <p className="text-sm text-gray-500">{stockTransactions.length} inward transaction(s) recorded against this purchase order.</p>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { PurchaseOrderForm } from '@/components/purchasing/PurchaseOrderForm';
+import { purchaseApi, PurchaseOrder, PurchaseOrderFilters, PurchaseOrderStatus } from '@/lib/api/purchaseService';
+
+const STATUSES: PurchaseOrderStatus[] = ['Draft', 'Ordered', 'Partially Received', 'Received', 'Closed', 'Cancelled'];
+
+const statusClasses: Record<PurchaseOrderStatus, string> = {
+  Draft: 'bg-gray-100 text-gray-800',
+  Ordered: 'bg-blue-100 text-blue-800',
+  'Partially Received': 'bg-yellow-100 text-yellow-800',
+  Received: 'bg-green-100 text-green-800',
+  Closed: 'bg-purple-100 text-purple-800',
+  Cancelled: 'bg-red-100 text-red-800',
+};
+
+export default function PurchasingPage() {
+  const router = useRouter();
+  const [purchaseOrders, setPurchaseOrders] = useState<PurchaseOrder[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [filters, setFilters] = useState<PurchaseOrderFilters>({ page: 1, limit: 20 });
+  const [pagination, setPagination] = useState({ total: 0, page: 1, limit: 20, totalPages: 0 });
+
+  useEffect(() => {
+    loadPurchaseOrders();
+  }, [filters]);
+
+  const loadPurchaseOrders = async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseApi.getPurchaseOrders(filters);
+      setPurchaseOrders(response.data.purchaseOrders);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (amount: string) => {
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR'
+    }).format(parseFloat(amount || '0'));
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Purchasing</h1>
+          <p className="text-gray-500 mt-1">Raise purchase orders and receive deliveries into stock</p>
+        </div>
+        <div className="flex gap-2">
+          <Link href="/dashboard/purchasing/suppliers">
+            <Button variant="outline">Suppliers</Button>
+          </Link>
+          <Link href="/dashboard/purchasing/suggestions">
+            <Button variant="outline">Purchase Suggestions</Button>
+          </Link>
+          <Button onClick={() => setShowCreateForm(true)} className="bg-blue-600 hover:bg-blue-700 text-white">
+            New Purchase Order
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {showCreateForm && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold mb-4">New Purchase Order</h2>
+          <PurchaseOrderForm
+            onCreated={(purchaseOrder) => router.push(`/dashboard/purchasing/${purchaseOrder._id}`)}
+            onCancel={() => setShowCreateForm(false)}
+          />
+        </Card>
+      )}
+
+      <Card className="p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input
+            type="text"
+            placeholder="Search PO number..."
+            className="p-2 border border-gray-300 rounded-md text-sm"
+            value={filters.search || ''}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+          />
+          <select
+            className="p-2 border border-gray-300 rounded-md text-sm"
+            value={filters.status || ''}
+            onChange={(e) => setFilters({ ...filters, status: (e.target.value || undefined) as PurchaseOrderStatus | undefined, page: 1 })}
+          >
+            <option value="">All statuses</option>
+            {STATUSES.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO Number</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lines</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : purchaseOrders.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No purchase orders found.</td></tr>
+            ) : (
+              purchaseOrders.map((po) => (
+                <tr
+                  key={po._id}
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => router.push(`/dashboard/purchasing/${po._id}`)}
+                >
+                  <td className="px-4 py-3 text-sm font-medium text-blue-600">{po.poNumber}</td>
+                  <td className="px-4 py-3 text-sm">{po.supplierNameSnapshot}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusClasses[po.status]}`}>{po.status}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm">{po.lines.length}</td>
+                  <td className="px-4 py-3 text-sm">{po.expectedDate ? new Date(po.expectedDate).toLocaleDateString() : '-'}</td>
+                  <td className="px-4 py-3 text-sm text-right">{formatCurrency(po.totalAmount)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-end gap-2">
+          <Button
+            variant="outline"
+            disabled={pagination.page <= 1}
+            onClick={() => setFilters({ ...filters, page: pagination.page - 1 })}
+          >
+            Previous
+          </Button>
+          <span className="px-3 py-2 text-sm text-gray-600">Page {pagination.page} of {pagination.totalPages}</span>
+          <Button
+            variant="outline"
+            disabled={pagination.page >= pagination.totalPages}
+            onClick={() => setFilters({ ...filters, page: pagination.page + 1 })}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
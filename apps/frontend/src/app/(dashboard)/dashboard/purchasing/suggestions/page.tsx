@@ -0,0 +1,187 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import {
+  purchaseApi,
+  PurchaseSuggestions,
+  PurchaseSuggestionGroup,
+  PurchaseSuggestionLine,
+  Supplier
+} from '@/lib/api/purchaseService';
+
+const UNASSIGNED = 'unassigned';
+
+const describeSpec = (line: PurchaseSuggestionLine) => {
+  if (line.category === 'Profile') return `${line.length} ${line.lengthUnit}${line.gauge ? ` · ${line.gauge}` : ' · any gauge'}`;
+  if (line.category === 'Wire Mesh') {
+    return `${line.width} ${line.widthUnit} wide${line.rollLength ? ` · ${line.rollLength} ${line.rollLengthUnit} roll` : ''}`;
+  }
+  return '';
+};
+
+const groupKey = (group: PurchaseSuggestionGroup) => group.supplierId || UNASSIGNED;
+
+export default function PurchaseSuggestionsPage() {
+  const router = useRouter();
+  const [suggestions, setSuggestions] = useState<PurchaseSuggestions | null>(null);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [creatingFor, setCreatingFor] = useState<string | null>(null);
+  // Supplier chosen for lines that have no supplier on record
+  const [unassignedSupplierId, setUnassignedSupplierId] = useState('');
+
+  useEffect(() => {
+    loadSuggestions();
+    purchaseApi.getSuppliers()
+      .then((response) => setSuppliers(response.data.suppliers))
+      .catch(() => setSuppliers([]));
+  }, []);
+
+  const loadSuggestions = async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseApi.getPurchaseSuggestions();
+      setSuggestions(response.data);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load purchase suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateDraft = async (group: PurchaseSuggestionGroup) => {
+    const fromGroup = groupKey(group);
+    const supplierId = group.supplierId || unassignedSupplierId;
+    if (!supplierId) {
+      toast.error('Choose a supplier for these lines');
+      return;
+    }
+
+    setCreatingFor(fromGroup);
+    try {
+      const response = await purchaseApi.createDraftFromSuggestions({ supplierId, fromGroup });
+      toast.success(response.message);
+      response.data.skipped.forEach((skipped) => toast.warning(`${skipped.materialName} left out: ${skipped.reason}`));
+      router.push(`/dashboard/purchasing/${response.data.purchaseOrder._id}`);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to create draft purchase order');
+    } finally {
+      setCreatingFor(null);
+    }
+  };
+
+  const formatCurrency = (amount: number | null) => {
+    if (amount === null) return '-';
+    return new Intl.NumberFormat('en-IN', {
+      style: 'currency',
+      currency: 'INR'
+    }).format(amount);
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Purchase Suggestions</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/purchasing" className="text-blue-600 hover:underline">Purchasing</Link> / What open orders and reorder levels need
+          </p>
+        </div>
+        <Button variant="outline" onClick={loadSuggestions} disabled={loading}>
+          {loading ? 'Calculating...' : 'Recalculate'}
+        </Button>
+      </div>
+
+      {suggestions && (
+        <p className="text-sm text-gray-600">
+          Based on {suggestions.openOrders.length} open order(s) not yet drawn from stock, current batch stock,
+          quantities outstanding on placed purchase orders and each batch&apos;s reorder level.
+        </p>
+      )}
+
+      {suggestions && suggestions.warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+          <ul className="list-disc pl-5 space-y-1">
+            {suggestions.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {!loading && suggestions && suggestions.suppliers.length === 0 && (
+        <Card className="p-6 text-center text-gray-500">Nothing to buy: stock covers open orders and reorder levels.</Card>
+      )}
+
+      {suggestions?.suppliers.map((group) => (
+        <Card key={groupKey(group)} className="overflow-x-auto">
+          <div className="flex flex-wrap justify-between items-center gap-2 px-4 py-3 bg-gray-50 border-b border-gray-200">
+            <div>
+              <h2 className="text-lg font-semibold">{group.supplierName}</h2>
+              <p className="text-sm text-gray-500">{group.lines.length} line(s) · est. {formatCurrency(group.estimatedTotal)}</p>
+            </div>
+            <div className="flex gap-2 items-center">
+              {!group.supplierId && (
+                <select
+                  value={unassignedSupplierId}
+                  onChange={(e) => setUnassignedSupplierId(e.target.value)}
+                  className="p-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="">Order from...</option>
+                  {suppliers.map((supplier) => (
+                    <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                  ))}
+                </select>
+              )}
+              <Button
+                onClick={() => handleCreateDraft(group)}
+                disabled={creatingFor !== null}
+                className="bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                {creatingFor === groupKey(group) ? 'Creating...' : 'Create Draft PO'}
+              </Button>
+            </div>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Spec</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Needed</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">In Stock</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Order</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reorder Level</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Suggested</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Est. Cost</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">For Orders</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {group.lines.map((line, index) => (
+                <tr key={`${line.materialId}-${index}`}>
+                  <td className="px-4 py-2 text-sm font-medium">{line.materialName}</td>
+                  <td className="px-4 py-2 text-sm text-gray-600">{describeSpec(line)}</td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {line.demand ?? '-'}
+                    {line.category === 'Wire Mesh' && line.demandArea ? <span className="text-gray-400"> ({line.demandArea} {line.areaUnit})</span> : null}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{line.inStock}</td>
+                  <td className="px-4 py-2 text-sm text-right">{line.onOrder}</td>
+                  <td className="px-4 py-2 text-sm text-right">{line.reorderLevel}</td>
+                  <td className="px-4 py-2 text-sm text-right font-semibold">
+                    {line.suggestedQuantity ?? '-'} {line.quantityUnit}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{formatCurrency(line.estimatedCost)}</td>
+                  <td className="px-4 py-2 text-xs text-gray-500">{line.orders.length > 0 ? line.orders.join(', ') : 'Reorder level'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      ))}
+    </div>
+  );
+}
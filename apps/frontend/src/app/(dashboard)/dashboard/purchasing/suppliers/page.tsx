@@ -0,0 +1,191 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'sonner';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { purchaseApi, Supplier, SupplierFormData } from '@/lib/api/purchaseService';
+
+const emptySupplier: SupplierFormData = {
+  name: '',
+  contactPerson: '',
+  contactNumber: '',
+  email: '',
+  address: '',
+  gstin: '',
+  paymentTerms: '',
+  leadTimeDays: undefined,
+  notes: '',
+};
+
+const FIELDS: { key: keyof SupplierFormData; label: string; type?: string }[] = [
+  { key: 'name', label: 'Name' },
+  { key: 'contactPerson', label: 'Contact Person' },
+  { key: 'contactNumber', label: 'Contact Number' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'gstin', label: 'GSTIN' },
+  { key: 'paymentTerms', label: 'Payment Terms' },
+  { key: 'leadTimeDays', label: 'Lead Time (days)', type: 'number' },
+  { key: 'address', label: 'Address' },
+  { key: 'notes', label: 'Notes' },
+];
+
+export default function SuppliersPage() {
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [formData, setFormData] = useState<SupplierFormData | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadSuppliers();
+  }, [showInactive]);
+
+  const loadSuppliers = async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseApi.getSuppliers({ includeInactive: showInactive });
+      setSuppliers(response.data.suppliers);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load suppliers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEdit = (supplier?: Supplier) => {
+    setEditingId(supplier?._id || null);
+    setFormData(supplier ? FIELDS.reduce((data, { key }) => ({ ...data, [key]: supplier[key] }), { ...emptySupplier }) : { ...emptySupplier });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!formData) return;
+
+    setIsSaving(true);
+    try {
+      const payload = {
+        ...formData,
+        leadTimeDays: formData.leadTimeDays === undefined || String(formData.leadTimeDays) === '' ? undefined : Number(formData.leadTimeDays),
+      };
+      if (editingId) {
+        await purchaseApi.updateSupplier(editingId, payload);
+        toast.success('Supplier updated');
+      } else {
+        await purchaseApi.createSupplier(payload);
+        toast.success('Supplier added');
+      }
+      setFormData(null);
+      setEditingId(null);
+      await loadSuppliers();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to save supplier');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (supplier: Supplier) => {
+    try {
+      if (supplier.isActive) {
+        await purchaseApi.deleteSupplier(supplier._id);
+        toast.success(`${supplier.name} deactivated`);
+      } else {
+        await purchaseApi.updateSupplier(supplier._id, { isActive: true });
+        toast.success(`${supplier.name} reactivated`);
+      }
+      await loadSuppliers();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to update supplier');
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Suppliers</h1>
+          <p className="text-gray-500 mt-1">
+            <Link href="/dashboard/purchasing" className="text-blue-600 hover:underline">Purchasing</Link> / Suppliers
+          </p>
+        </div>
+        <Button onClick={() => startEdit()} className="bg-blue-600 hover:bg-blue-700 text-white">
+          Add Supplier
+        </Button>
+      </div>
+
+      {formData && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold mb-4">{editingId ? 'Edit Supplier' : 'New Supplier'}</h2>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {FIELDS.map(({ key, label, type }) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type || 'text'}
+                    value={formData[key] ?? ''}
+                    onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+                    required={key === 'name'}
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="outline" onClick={() => setFormData(null)} disabled={isSaving}>Cancel</Button>
+              <Button type="submit" disabled={isSaving} className="bg-blue-600 hover:bg-blue-700 text-white">
+                {isSaving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+        Show inactive suppliers
+      </label>
+
+      <Card className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">GSTIN</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lead Time</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>
+            ) : suppliers.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-500">No suppliers yet.</td></tr>
+            ) : (
+              suppliers.map((supplier) => (
+                <tr key={supplier._id} className={supplier.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-3 text-sm font-medium">{supplier.name}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {[supplier.contactPerson, supplier.contactNumber, supplier.email].filter(Boolean).join(' · ') || '-'}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{supplier.gstin || '-'}</td>
+                  <td className="px-4 py-3 text-sm">{supplier.leadTimeDays !== undefined ? `${supplier.leadTimeDays} days` : '-'}</td>
+                  <td className="px-4 py-3 text-sm text-right space-x-2">
+                    <Button variant="outline" size="sm" onClick={() => startEdit(supplier)}>Edit</Button>
+                    <Button variant="outline" size="sm" onClick={() => handleToggleActive(supplier)}>
+                      {supplier.isActive ? 'Deactivate' : 'Reactivate'}
+                    </Button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
@@ -1,11 +1,10 @@
 'use client';
 
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useRouter, useParams } from 'next/navigation';
 import { quotationApi } from '@/lib/api/quotationService';
-import { clientApi, productApi } from '@/lib/api';
+import { clientApi } from '@/lib/api';
 import { QuotationFormData, Client, Quotation, QuotationItem, QuotationCharge } from '@/lib/types';
-import { ProductType } from '@/lib/api/productService';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { ArrowLeft } from 'lucide-react';
@@ -15,7 +14,7 @@ import QuotationDiscountForm from '@/components/quotations/QuotationDiscountForm
 import QuotationSummary from '@/components/quotations/QuotationSummary';
 import { calculateItemDetailsFrontend, calculateQuotationTotalsFrontend } from '@/lib/utils/quotationCalculatorFrontend';
 import { useUnits } from '@/contexts/UnitContext';
-import { FiSettings, FiInfo } from 'react-icons/fi';
+import { FiInfo } from 'react-icons/fi';
 
 // Helper function to safely convert Decimal128 or any value to a number
 const safeParseFloat = (value: any): number => {
@@ -36,7 +35,6 @@ export default function EditQuotationPage() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [clients, setClients] = useState<Client[]>([]);
-  const [productTypes, setProductTypes] = useState<ProductType[]>([]);
   const [originalQuotation, setOriginalQuotation] = useState<Quotation | null>(null);
   const [formData, setFormData] = useState<QuotationFormData>({
     clientId: '',
@@ -85,14 +83,11 @@ export default function EditQuotationPage() {
         const clientsResponse = await clientApi.listClients({ limit: 100 });
         setClients(clientsResponse.data);
         
-        // Load product types
-        const productTypesResponse = await productApi.getProducts();
-        setProductTypes(productTypesResponse);
-        
         // Populate form with existing data
         setFormData({
           clientId: typeof quotation.clientId === 'string' ? quotation.clientId : (quotation.clientId as any)?._id || '',
           items: quotation.items.map((item: any) => ({
+            _id: item._id, // Lets the server keep the estimated cost of unchanged items
             productTypeId: typeof item.productTypeId === 'object' && item.productTypeId?._id 
                             ? item.productTypeId._id.toString() 
                             : item.productTypeId?.toString() || '',
@@ -106,7 +101,8 @@ export default function EditQuotationPage() {
             pricePerAreaUnit: safeParseFloat(item.pricePerAreaUnit),
             selectedGlassTypeId: item.selectedGlassTypeId || undefined,
             selectedGlassTypeNameSnapshot: item.selectedGlassTypeNameSnapshot || undefined,
-            frameColour: item.frameColour || undefined
+            frameColour: item.frameColour || undefined,
+            selectedOptions: item.selectedOptions || []
           })),
           charges: quotation.charges?.map((charge: any) => ({
             description: charge.description,
@@ -130,7 +126,8 @@ export default function EditQuotationPage() {
               width: safeParseFloat(item.width),
               height: safeParseFloat(item.height),
               quantity: item.quantity,
-              pricePerAreaUnit: safeParseFloat(item.pricePerAreaUnit)
+              pricePerAreaUnit: safeParseFloat(item.pricePerAreaUnit),
+              selectedOptions: item.selectedOptions
             },
             quotation.dimensionUnit || 'inches',
             quotation.areaUnit || 'sqft',
@@ -145,7 +142,7 @@ export default function EditQuotationPage() {
         );
         setPreviewTotals(initialTotals);
 
-      } catch (error) {
+      } catch {
         alert('Failed to load quotation data');
         router.push('/dashboard/quotations');
       } finally {
@@ -198,7 +195,7 @@ export default function EditQuotationPage() {
       setSaving(true);
       await quotationApi.updateQuotation(quotationId, formData);
       router.push(`/dashboard/quotations/${quotationId}`);
-    } catch (error) {
+    } catch {
       alert('Failed to update quotation');
     } finally {
       setSaving(false);
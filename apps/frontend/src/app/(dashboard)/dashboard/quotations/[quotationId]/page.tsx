@@ -4,14 +4,14 @@ import React, { useState, useEffect } from 'react';
 import { useRouter, useParams } from 'next/navigation';
 import { quotationApi } from '@/lib/api/quotationService';
 import { orderApi } from '@/lib/api/orderService';
-import { Quotation, Client, Staff, QuotationHistoryEntry } from '@/lib/types';
+import { Quotation, Client, Staff, QuotationHistoryEntry, QuotationMarginCheck } from '@/lib/types';
 import { Button } from '@/components/ui/Button';
-import { ArrowLeft, Edit, Trash2, FileText, Send, Mail, MessageSquare, Download } from 'lucide-react';
+import { ArrowLeft, Mail, MessageSquare } from 'lucide-react';
 import QuotationStatusBadge from '@/components/quotations/QuotationStatusBadge';
 import QuotationSummary from '@/components/quotations/QuotationSummary';
 import QuotationItemsTable from '@/components/quotations/QuotationItemsTable';
-import QuotationSVGPreview from '@/components/quotations/QuotationSVGPreview';
 import QuotationActions from '@/components/quotations/QuotationActions';
+import QuotationMarginPanel from '@/components/quotations/QuotationMarginPanel';
 import { toast } from 'sonner';
 
 // Helper function to safely convert Decimal128 or any value to a number
@@ -36,15 +36,6 @@ const convertDecimalToNumber = (value: any): number => {
   return 0;
 };
 
-// Helper function to format decimal for display
-const formatDecimalForDisplay = (value: any): string => {
-  const numValue = convertDecimalToNumber(value);
-  return numValue.toLocaleString('en-IN', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  });
-};
-
 // Helper function to format billing address
 const formatAddress = (addressInput: any): string => {
   if (!addressInput) return '—';
@@ -58,7 +49,7 @@ const formatAddress = (addressInput: any): string => {
       if (typeof parsed === 'object' && parsed !== null) {
         address = parsed;
       }
-    } catch (e) {
+    } catch {
       // Not a valid JSON string, treat as a plain string
     }
   }
@@ -106,6 +97,7 @@ export default function QuotationDetailPage() {
   const [updating, setUpdating] = useState(false);
   const [emailSending, setEmailSending] = useState(false);
   const [convertingToOrder, setConvertingToOrder] = useState(false);
+  const [marginCheck, setMarginCheck] = useState<QuotationMarginCheck | null>(null);
 
   const getQuotationId = (): string => quotation?._id || quotationIdFromParam;
 
@@ -134,6 +126,16 @@ export default function QuotationDetailPage() {
           chargeableAreaPerItem: convertDecimalToNumber(item.chargeableAreaPerItem),
           totalChargeableArea: convertDecimalToNumber(item.totalChargeableArea),
           itemSubtotal: convertDecimalToNumber(item.itemSubtotal),
+          costBasis: item.costBasis?.costPerItem ? {
+            ...item.costBasis,
+            materialCostPerItem: convertDecimalToNumber(item.costBasis.materialCostPerItem),
+            labourCostPerItem: convertDecimalToNumber(item.costBasis.labourCostPerItem),
+            costPerItem: convertDecimalToNumber(item.costBasis.costPerItem),
+            costPerAreaUnit: convertDecimalToNumber(item.costBasis.costPerAreaUnit),
+            suggestedPricePerAreaUnit: convertDecimalToNumber(item.costBasis.suggestedPricePerAreaUnit),
+          } : undefined,
+          totalCost: item.totalCost ? convertDecimalToNumber(item.totalCost) : undefined,
+          marginAmount: item.marginAmount ? convertDecimalToNumber(item.marginAmount) : undefined,
           materialsSnapshot: (item.materialsSnapshot || []).map((snapshot: any) => ({
             ...snapshot,
             quantity: convertDecimalToNumber(snapshot.quantity),
@@ -152,8 +154,11 @@ export default function QuotationDetailPage() {
         discountAmount: convertDecimalToNumber(fetchedQuotation.discountAmount),
         totalTax: convertDecimalToNumber(fetchedQuotation.totalTax),
         grandTotal: convertDecimalToNumber(fetchedQuotation.grandTotal),
+        totalCost: fetchedQuotation.totalCost ? convertDecimalToNumber(fetchedQuotation.totalCost) : undefined,
+        totalMargin: fetchedQuotation.totalMargin ? convertDecimalToNumber(fetchedQuotation.totalMargin) : undefined,
       };
       setQuotation(transformedQuotation);
+      setMarginCheck(response.data.marginCheck || null);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load quotation');
     } finally {
@@ -167,13 +172,20 @@ export default function QuotationDetailPage() {
     }
   }, [quotationIdFromParam]);
 
+  const showMarginWarnings = (warnings?: string[]) => {
+    if (warnings && warnings.length > 0) {
+      toast.warning(`Sent below the minimum margin: ${warnings.join(' ')}`);
+    }
+  };
+
   const handleStatusUpdate = async (newStatus: string) => {
     if (!quotation) return;
     const currentId = getQuotationId();
     try {
       setUpdating(true);
-      await quotationApi.updateStatus(currentId, newStatus);
+      const response = await quotationApi.updateStatus(currentId, newStatus);
       toast.success(`Quotation status updated to ${newStatus}`);
+      showMarginWarnings(response.data.marginWarnings);
       await loadQuotation();
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Failed to update status';
@@ -188,8 +200,9 @@ export default function QuotationDetailPage() {
     const currentId = getQuotationId();
     try {
       setUpdating(true);
-      await quotationApi.sendQuotation(currentId);
+      const response = await quotationApi.sendQuotation(currentId);
       toast.success('Quotation marked as Sent!');
+      showMarginWarnings(response.data.marginWarnings);
       await loadQuotation();
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Failed to send quotation';
@@ -205,7 +218,7 @@ export default function QuotationDetailPage() {
     toast.info('Generating PDF...');
     try {
       // Use the robust PDF utilities
-      const { generateAndDownloadPDF, debugBlob } = await import('@/lib/utils/pdfUtils');
+      const { generateAndDownloadPDF } = await import('@/lib/utils/pdfUtils');
       
       await generateAndDownloadPDF(
         () => quotationApi.generatePDF(currentId),
@@ -247,6 +260,7 @@ export default function QuotationDetailPage() {
       setEmailSending(true);
       const response = await quotationApi.sendQuotationByEmail(currentId);
       toast.success(response.message || 'Email sent successfully!');
+      showMarginWarnings(response.data?.marginWarnings);
       await loadQuotation();
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Failed to send email';
@@ -356,10 +370,6 @@ ${companyName}`
     );
   }
 
-  const finalStatuses = ['Accepted', 'Rejected', 'Converted', 'Expired'];
-  const canEdit = !finalStatuses.includes(quotation.status);
-  const canSend = quotation.status === 'Draft';
-  
   // Explicitly check if clientId is a populated Client object
   const clientDetails = (typeof quotation.clientId === 'object' && quotation.clientId !== null) ? (quotation.clientId as Client) : null;
   const hasClientEmail = !!clientDetails?.email;
@@ -496,6 +506,17 @@ ${companyName}`
         />
       </div>
       
+      {marginCheck && (
+        <QuotationMarginPanel
+          items={quotation.items}
+          areaUnit={quotation.areaUnit}
+          totalCost={quotation.totalCost}
+          totalMargin={quotation.totalMargin}
+          marginPercent={quotation.marginPercent}
+          marginCheck={marginCheck}
+        />
+      )}
+
       <QuotationSummary 
         subtotal={quotation.subtotal}
         charges={quotation.charges}
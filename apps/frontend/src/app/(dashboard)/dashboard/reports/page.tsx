@@ -8,6 +8,8 @@ import {
   ShoppingCart, 
   Package, 
   Settings,
+  Scale,
+  Trash2,
   BarChart3,
   Download
 } from 'lucide-react';
@@ -50,6 +52,14 @@ const reportCards = [
     color: 'bg-purple-50 border-purple-200',
     iconColor: 'text-purple-600',
   },
+  {
+    title: 'Stock Valuation',
+    description: 'Opening, inward, outward and closing stock value for a period, from the stock ledger',
+    href: '/dashboard/reports/stock-valuation',
+    icon: Scale,
+    color: 'bg-teal-50 border-teal-200',
+    iconColor: 'text-teal-600',
+  },
   {
     title: 'Manufacturing Reports',
     description: 'Analyze cutting efficiency, material utilization, and scrap rates',
@@ -58,6 +68,14 @@ const reportCards = [
     color: 'bg-indigo-50 border-indigo-200',
     iconColor: 'text-indigo-600',
   },
+  {
+    title: 'Wastage Reports',
+    description: 'Scrap length, weight and value by material, gauge, product, operator and month, against estimates',
+    href: '/dashboard/reports/wastage',
+    icon: Trash2,
+    color: 'bg-red-50 border-red-200',
+    iconColor: 'text-red-600',
+  },
 ];
 
 export default function ReportsPage() {
@@ -80,7 +98,7 @@ export default function ReportsPage() {
       } else {
         toast.error('Failed to load dashboard data');
       }
-    } catch (error) {
+    } catch {
       toast.error('Failed to load dashboard data');
     } finally {
       setIsLoading(false);
@@ -0,0 +1,201 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft } from 'lucide-react';
+import { toast } from 'sonner';
+import DateRangePicker from '@/components/ui/DateRangePicker';
+import { reportingApi, StockValuationReportData } from '@/lib/api/reportingService';
+
+const CATEGORIES = ['Profile', 'Glass', 'Hardware', 'Accessories', 'Consumables', 'Wire Mesh'];
+
+const METHOD_LABELS: Record<StockValuationReportData['valuationMethod'], string> = {
+  FIFO: 'FIFO',
+  WeightedAverage: 'Weighted Average',
+  SpecificBatch: 'Specific Batch',
+};
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const formatQuantity = (quantity: number, unit: string) => `${quantity.toLocaleString('en-IN')} ${unit}`;
+
+const toDateParam = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().split('T')[0];
+};
+
+export default function StockValuationReportPage() {
+  const [data, setData] = useState<StockValuationReportData | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [startDate, setStartDate] = useState<Date | null>(null);
+  const [endDate, setEndDate] = useState<Date | null>(null);
+  const [category, setCategory] = useState('');
+
+  const fetchData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const filters: Record<string, string> = {};
+      if (startDate) filters.startDate = toDateParam(startDate);
+      if (endDate) filters.endDate = toDateParam(endDate);
+      if (category) filters.category = category;
+
+      const response = await reportingApi.fetchStockValuationReport(filters);
+      if (response.success) {
+        setData(response.data);
+      } else {
+        toast.error('Failed to load stock valuation');
+      }
+    } catch {
+      toast.error('Failed to load stock valuation');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [startDate, endDate, category]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const headerCell = 'px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-4">
+        <Link
+          href="/dashboard/reports"
+          className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Reports
+        </Link>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Stock Valuation</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Opening, inward, outward and closing stock for the period, taken from the stock ledger
+            {data && <> · costed by <span className="font-medium">{METHOD_LABELS[data.valuationMethod]}</span></>}
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All categories</option>
+            {CATEGORIES.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <DateRangePicker
+            startDate={startDate}
+            endDate={endDate}
+            onDateChange={(start, end) => { setStartDate(start); setEndDate(end); }}
+            className="w-64"
+          />
+        </div>
+      </div>
+
+      {data && data.warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+          <ul className="list-disc pl-5 space-y-1">
+            {data.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {isLoading && !data && <p className="text-sm text-gray-500">Loading...</p>}
+
+      {data && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {([
+              ['Opening', data.totals.openingValue],
+              ['Inward', data.totals.inwardValue],
+              ['Outward', data.totals.outwardValue],
+              ['Closing', data.totals.closingValue],
+            ] as [string, number][]).map(([label, value]) => (
+              <div key={label} className="bg-white border border-gray-200 rounded-lg p-4">
+                <p className="text-sm text-gray-500">{label} Value</p>
+                <p className="text-xl font-semibold text-gray-900">{formatCurrency(value)}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+            <h3 className="px-4 py-3 text-lg font-semibold text-gray-900 border-b border-gray-200">By Category</h3>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Closing Quantity</th>
+                  <th className={headerCell}>Opening</th>
+                  <th className={headerCell}>Inward</th>
+                  <th className={headerCell}>Outward</th>
+                  <th className={headerCell}>Closing</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {Object.entries(data.categories).map(([name, totals]) => (
+                  <tr key={name}>
+                    <td className="px-4 py-2 text-sm font-medium">{name} <span className="text-gray-400">({totals.materialCount})</span></td>
+                    <td className="px-4 py-2 text-sm text-gray-600">
+                      {Object.entries(totals.quantities).map(([unit, quantities]) => formatQuantity(quantities.closing, unit)).join(', ')}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(totals.openingValue)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(totals.inwardValue)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(totals.outwardValue)}</td>
+                    <td className="px-4 py-2 text-sm text-right font-semibold">{formatCurrency(totals.closingValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+            <h3 className="px-4 py-3 text-lg font-semibold text-gray-900 border-b border-gray-200">By Material</h3>
+            {data.materials.length === 0 ? (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">No stock transactions up to the end of this period.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                    <th className={headerCell}>Opening</th>
+                    <th className={headerCell}>Inward</th>
+                    <th className={headerCell}>Outward</th>
+                    <th className={headerCell}>Closing</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {data.materials.map((row) => (
+                    <tr key={`${row.materialId}-${row.quantityUnit}-${row.isRemnant}`}>
+                      <td className="px-4 py-2 text-sm font-medium">
+                        {row.materialName}
+                        {row.isRemnant && <span className="ml-1 text-xs font-normal text-gray-500">(offcuts)</span>}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{row.category}</td>
+                      {([
+                        [row.openingQuantity, row.openingValue],
+                        [row.inwardQuantity, row.inwardValue],
+                        [row.outwardQuantity, row.outwardValue],
+                        [row.closingQuantity, row.closingValue],
+                      ] as [number, number][]).map(([quantity, value], index) => (
+                        <td key={index} className="px-4 py-2 text-sm text-right">
+                          <div>{formatCurrency(value)}</div>
+                          <div className="text-xs text-gray-500">{formatQuantity(quantity, row.quantityUnit)}</div>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
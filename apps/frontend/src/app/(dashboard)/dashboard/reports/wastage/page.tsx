@@ -0,0 +1,260 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft } from 'lucide-react';
+import { toast } from 'sonner';
+import DateRangePicker from '@/components/ui/DateRangePicker';
+import LineChart from '@/components/ui/LineChart';
+import { reportingApi, WastageGroupBy, WastageReportData, WastageTotals } from '@/lib/api/reportingService';
+
+const GROUP_OPTIONS: { value: WastageGroupBy; label: string }[] = [
+  { value: 'material', label: 'Material' },
+  { value: 'gauge', label: 'Gauge' },
+  { value: 'productType', label: 'Product Type' },
+  { value: 'operator', label: 'Operator' },
+  { value: 'period', label: 'Month' },
+];
+
+const TREND_LABELS: Record<string, string> = {
+  wasteValue: 'Waste Value',
+  writeOffValue: 'Written Off',
+  estimatedOffcutLength: 'Estimated Offcut',
+  actualOffcutLength: 'Actual Offcut',
+};
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+
+const formatLength = (feet: number) => `${feet.toLocaleString('en-IN')} ft`;
+
+const formatVariance = (feet: number) => (feet > 0 ? `+${formatLength(feet)}` : formatLength(feet));
+
+const toDateParam = (date: Date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().split('T')[0];
+};
+
+export default function WastageReportPage() {
+  const [data, setData] = useState<WastageReportData | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [startDate, setStartDate] = useState<Date | null>(null);
+  const [endDate, setEndDate] = useState<Date | null>(null);
+  const [groupBy, setGroupBy] = useState<WastageGroupBy>('material');
+
+  const fetchData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await reportingApi.fetchWastageReport({
+        startDate: startDate ? toDateParam(startDate) : undefined,
+        endDate: endDate ? toDateParam(endDate) : undefined,
+        groupBy,
+      });
+      if (response.success) {
+        setData(response.data);
+      } else {
+        toast.error('Failed to load wastage report');
+      }
+    } catch {
+      toast.error('Failed to load wastage report');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [startDate, endDate, groupBy]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const headerCell = 'px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase';
+  const groupLabel = GROUP_OPTIONS.find((option) => option.value === groupBy)?.label || 'Group';
+  const trendData = (data?.trend || []) as unknown as Record<string, unknown>[];
+  const hasEstimates = (data?.estimates.length || 0) > 0;
+
+  const summaryCards = (summary: WastageTotals): [string, string, string?][] => [
+    ['Waste Value', formatCurrency(summary.wasteValue), `${formatCurrency(summary.writeOffValue)} written off`],
+    ['Waste Length', formatLength(summary.wasteLength), `${formatLength(summary.writeOffLength)} written off`],
+    ['Waste Weight', `${summary.wasteWeight.toLocaleString('en-IN')} kg`],
+    ['Cutting Waste', `${summary.wastePercent}%`, `of ${formatLength(summary.stockLength)} cut`],
+    ['Kept as Remnants', formatLength(summary.remnantLength), `of ${formatLength(summary.offcutLength)} offcut`],
+    ['Offcut vs Estimate', formatVariance(summary.offcutVariance), `estimated ${formatLength(summary.estimatedOffcutLength)}`],
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-4">
+        <Link
+          href="/dashboard/reports"
+          className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Reports
+        </Link>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Wastage Report</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Offcut waste from committed cutting and stock written off as scrap, valued at batch cost.
+            Offcuts kept as remnants count only once written off.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value as WastageGroupBy)}
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          >
+            {GROUP_OPTIONS.map((option) => <option key={option.value} value={option.value}>By {option.label}</option>)}
+          </select>
+          <DateRangePicker
+            startDate={startDate}
+            endDate={endDate}
+            onDateChange={(start, end) => { setStartDate(start); setEndDate(end); }}
+            className="w-64"
+          />
+        </div>
+      </div>
+
+      {data && data.warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+          <ul className="list-disc pl-5 space-y-1">
+            {data.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {isLoading && !data && <p className="text-sm text-gray-500">Loading...</p>}
+
+      {data && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            {summaryCards(data.summary).map(([label, value, note]) => (
+              <div key={label} className="bg-white border border-gray-200 rounded-lg p-4">
+                <p className="text-sm text-gray-500">{label}</p>
+                <p className="text-xl font-semibold text-gray-900">{value}</p>
+                {note && <p className="text-xs text-gray-500 mt-1">{note}</p>}
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {data.summary.cuttingPlans} cutting plan(s), {data.summary.cuttingBatches} cutting batch(es) and {data.summary.writeOffs} write-off(s) in the period.
+          </p>
+
+          {trendData.length > 0 && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="bg-white p-6 rounded-lg border border-gray-200">
+                <LineChart
+                  data={trendData}
+                  xAxisKey="period"
+                  yAxisKey={['wasteValue', 'writeOffValue']}
+                  title="Monthly Waste Value"
+                  height={300}
+                  colors={['#EF4444', '#F59E0B']}
+                  formatYAxis={(value) => formatCurrency(Number(value))}
+                  formatTooltip={(value, name) => [formatCurrency(Number(value)), TREND_LABELS[name] || name]}
+                />
+              </div>
+              <div className="bg-white p-6 rounded-lg border border-gray-200">
+                <LineChart
+                  data={trendData}
+                  xAxisKey="period"
+                  yAxisKey={['estimatedOffcutLength', 'actualOffcutLength']}
+                  title="Estimated vs Actual Offcut"
+                  height={300}
+                  colors={['#3B82F6', '#8B5CF6']}
+                  formatYAxis={(value) => `${value} ft`}
+                  formatTooltip={(value, name) => [formatLength(Number(value)), TREND_LABELS[name] || name]}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+            <h3 className="px-4 py-3 text-lg font-semibold text-gray-900 border-b border-gray-200">By {groupLabel}</h3>
+            {data.groups.length === 0 ? (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">No committed cutting or scrap write-offs in this period.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{groupLabel}</th>
+                    <th className={headerCell}>Pipes</th>
+                    <th className={headerCell}>Stock Cut</th>
+                    <th className={headerCell}>Cutting Waste</th>
+                    <th className={headerCell}>Written Off</th>
+                    <th className={headerCell}>Weight</th>
+                    <th className={headerCell}>Value</th>
+                    <th className={headerCell}>Offcut vs Estimate</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {data.groups.map((row) => (
+                    <tr key={row.key || row.label}>
+                      <td className="px-4 py-2 text-sm font-medium">{row.label}</td>
+                      <td className="px-4 py-2 text-sm text-right">{row.pipes}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatLength(row.stockLength)}</td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        <div>{formatLength(row.cutWasteLength)}</div>
+                        <div className="text-xs text-gray-500">{row.wastePercent}%</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        <div>{formatLength(row.writeOffLength)}</div>
+                        <div className="text-xs text-gray-500">{formatCurrency(row.writeOffValue)}</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">{row.wasteWeight} kg</td>
+                      <td className="px-4 py-2 text-sm text-right font-semibold">{formatCurrency(row.wasteValue)}</td>
+                      <td className={`px-4 py-2 text-sm text-right ${row.offcutVariance > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                        {row.estimatedOffcutLength > 0 ? formatVariance(row.offcutVariance) : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {hasEstimates && (
+            <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+              <div className="px-4 py-3 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900">Estimated vs Actual by Order</h3>
+                <p className="text-sm text-gray-500">
+                  Offcut the order&apos;s pipe estimate left over its cuts, against the offcut the cutting plan produced. Largest differences first.
+                </p>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Material</th>
+                    <th className={headerCell}>Cuts</th>
+                    <th className={headerCell}>Stock (Est. / Actual)</th>
+                    <th className={headerCell}>Offcut (Est. / Actual)</th>
+                    <th className={headerCell}>Difference</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {data.estimates.slice(0, 20).map((row) => (
+                    <tr key={`${row.orderId}-${row.materialId}`}>
+                      <td className="px-4 py-2 text-sm font-medium">
+                        <Link href={`/dashboard/orders/${row.orderId}`} className="text-blue-600 hover:underline">{row.orderIdDisplay}</Link>
+                      </td>
+                      <td className="px-4 py-2 text-sm">{row.materialName}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatLength(row.cutLength)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatLength(row.estimatedStockLength)} / {formatLength(row.actualStockLength)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatLength(row.estimatedOffcutLength)} / {formatLength(row.actualOffcutLength)}</td>
+                      <td className={`px-4 py-2 text-sm text-right font-medium ${row.offcutVariance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatVariance(row.offcutVariance)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 import React from 'react';
 import UnitSettingsForm from '@/components/settings/UnitSettingsForm';
 import GstSettingsForm from '@/components/settings/GstSettingsForm';
+import CuttingSettingsForm from '@/components/settings/CuttingSettingsForm';
+import InventorySettingsForm from '@/components/settings/InventorySettingsForm';
+import PricingSettingsForm from '@/components/settings/PricingSettingsForm';
 import TermsEditor from '@/components/settings/TermsEditor';
 
 export const metadata = {
@@ -26,6 +29,18 @@ export default function GeneralSettingsPage() {
           <GstSettingsForm />
         </div>
 
+        <div className="rounded-lg border bg-card p-6">
+          <CuttingSettingsForm />
+        </div>
+
+        <div className="rounded-lg border bg-card p-6">
+          <InventorySettingsForm />
+        </div>
+
+        <div className="rounded-lg border bg-card p-6">
+          <PricingSettingsForm />
+        </div>
+
         <div className="rounded-lg border bg-card p-6">
           <TermsEditor />
         </div>
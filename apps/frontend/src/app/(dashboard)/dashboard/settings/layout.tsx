@@ -9,6 +9,7 @@ const settingsLinks = [
   { name: 'Company', href: '/dashboard/settings/company', description: 'Manage company profile' },
   { name: 'General', href: '/dashboard/settings/general', description: 'Units, GST, Terms & Conditions' },
   { name: 'Charges', href: '/dashboard/settings/charges', description: 'Predefined charges for quotations' },
+  { name: 'Machines', href: '/dashboard/settings/machines', description: 'Cut-list export formats for saws' },
   { name: 'Staff', href: '/dashboard/settings/staff', description: 'Manage staff members' },
   { name: 'Notifications', href: '/dashboard/settings/notifications', description: 'Configure notification preferences' },
 ];
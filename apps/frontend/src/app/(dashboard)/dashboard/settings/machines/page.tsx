@@ -0,0 +1,10 @@
+import React from 'react';
+import MachineProfilesPage from '@/components/settings/MachineProfilesPage';
+
+export const metadata = {
+  title: 'Cut-List Machines | Aluminium ERP',
+};
+
+export default function MachineSettingsPage() {
+  return <MachineProfilesPage />;
+}
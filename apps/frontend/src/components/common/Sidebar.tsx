@@ -35,6 +35,7 @@ export default function Sidebar() {
     { name: 'Dashboard', href: '/dashboard', current: pathname === '/dashboard' },
     { name: 'Clients', href: '/dashboard/clients', current: pathname.includes('/dashboard/clients') },
     { name: 'Inventory', href: '/dashboard/inventory', current: pathname.includes('/dashboard/inventory') },
+    { name: 'Purchasing', href: '/dashboard/purchasing', current: pathname.includes('/dashboard/purchasing') },
     { name: 'Products', href: '/dashboard/products', current: pathname.includes('/dashboard/products') },
     { name: 'Estimations', href: '/dashboard/estimations', current: pathname.includes('/dashboard/estimations') },
     { name: 'Quotations', href: '/dashboard/quotations', current: pathname.includes('/dashboard/quotations') },
@@ -0,0 +1,334 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/Button';
+import {
+  estimationApi,
+  EstimationCreateData,
+  EstimationImportOptions,
+  EstimationImportReport,
+  ImportMatch,
+  SheetUnit,
+} from '@/lib/api/estimationService';
+
+export type EstimationImportMode = 'append' | 'replace';
+
+interface EstimationImportPanelProps {
+  dimensionUnit: EstimationCreateData['dimensionUnitUsed'];
+  // Imports the checked sheet; resolves once the estimation has been created or updated
+  onImport: (content: string, options: EstimationImportOptions, mode: EstimationImportMode) => Promise<void>;
+  showModeSelect?: boolean; // Existing estimations can add to or replace their items
+  disabled?: boolean;
+}
+
+const SHEET_UNITS: SheetUnit[] = ['mm', 'cm', 'm', 'inches', 'ft'];
+
+const MatchCell: React.FC<{ match?: ImportMatch }> = ({ match }) => {
+  if (!match) return <span className="text-gray-400">—</span>;
+  if (!match.id) return <span className="text-red-600">{match.input}</span>;
+  return (
+    <span>
+      {match.name}
+      {!match.exact && (
+        <span className="ml-1 text-xs text-yellow-700" title={`Typed as "${match.input}"`}>
+          (from &quot;{match.input}&quot;, {Math.round(match.score * 100)}%)
+        </span>
+      )}
+    </span>
+  );
+};
+
+// A dimension as the sheet gave it, with the unit it was read in when the cell had none
+const asWritten = (source: { value: string; unit: string } | undefined, converted?: number) => {
+  if (!source) return converted ?? '?';
+  return /^[\d.,/\s]+$/.test(source.value) ? `${source.value} ${source.unit}` : source.value;
+};
+
+// Imports estimation items from a surveyor's measurement sheet: check first, then import the rows that resolve
+const EstimationImportPanel: React.FC<EstimationImportPanelProps> = ({
+  dimensionUnit,
+  onImport,
+  showModeSelect = false,
+  disabled = false,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [content, setContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [sheetUnit, setSheetUnit] = useState<SheetUnit | ''>('');
+  const [columns, setColumns] = useState<Record<string, string>>({});
+  const [mode, setMode] = useState<EstimationImportMode>('append');
+  const [report, setReport] = useState<EstimationImportReport | null>(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const importOptions = (): EstimationImportOptions => ({
+    ...(sheetUnit && { sheetUnit }),
+    ...(Object.keys(columns).length > 0 && { columns }),
+  });
+
+  const updateContent = (text: string, name = '') => {
+    setContent(text);
+    setFileName(name);
+    setColumns({});
+    setReport(null);
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    if (/\.xlsx?$/i.test(file.name)) {
+      toast.error('Save the sheet as CSV, or copy the cells and paste them below');
+      return;
+    }
+    updateContent(await file.text(), file.name);
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const blob = await estimationApi.downloadImportTemplate();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'estimation-items-template.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to download template');
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!content.trim()) {
+      toast.error('Choose a CSV file or paste the sheet first');
+      return;
+    }
+    setChecking(true);
+    try {
+      const response = await estimationApi.previewImport(content, dimensionUnit, importOptions());
+      setReport(response.report);
+    } catch (err) {
+      setReport(null);
+      toast.error((err as Error).message || 'Failed to check the sheet');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!report?.canImport) return;
+    const { importableCount, unresolvedCount } = report.summary;
+    const prompt = [
+      mode === 'replace' ? `Replace the estimation's items with ${importableCount} imported item(s)?` : `Import ${importableCount} item(s)?`,
+      unresolvedCount > 0 ? `${unresolvedCount} unresolved row(s) will be left out.` : '',
+    ].filter(Boolean).join(' ');
+    if (!window.confirm(prompt)) return;
+
+    setImporting(true);
+    try {
+      await onImport(content, importOptions(), mode);
+      updateContent('');
+      setOpen(false);
+    } catch (err) {
+      toast.error((err as Error).message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleColumnChange = (header: string, field: string) => {
+    setColumns(prev => {
+      const next = { ...prev };
+      if (field) next[header] = field;
+      else delete next[header];
+      return next;
+    });
+    setReport(null);
+  };
+
+  if (!open) {
+    return (
+      <div className="bg-white shadow rounded-lg p-4 flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">Have a site measurement sheet? Import the openings instead of typing them.</p>
+        <Button type="button" variant="outline" onClick={() => setOpen(true)} disabled={disabled}>
+          Import from Spreadsheet
+        </Button>
+      </div>
+    );
+  }
+
+  const mappedHeaders = Object.keys(columns);
+  const unmappedColumns = [...(report?.unknownColumns || []), ...mappedHeaders.filter(header => !report?.unknownColumns.includes(header))];
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold">Import from Spreadsheet</h2>
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" onClick={handleDownloadTemplate}>Download Template</Button>
+          <Button type="button" variant="outline" onClick={() => setOpen(false)}>Close</Button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        One row per opening: label, width, height, quantity, product type and glass. Product type and glass names are
+        matched to your catalogue even when abbreviated or misspelt. Dimensions may carry their own unit (&quot;1200 mm&quot;,
+        &quot;4&apos;6&quot;&quot;, &quot;48 1/2 in&quot;) and are converted to {dimensionUnit}. Upload a CSV, or copy the cells (with the
+        header row) from Excel and paste them here.
+      </p>
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+          className="text-sm"
+        />
+        {fileName && <span className="text-sm text-gray-500">{fileName}</span>}
+      </div>
+      <textarea
+        value={content}
+        onChange={(e) => updateContent(e.target.value)}
+        placeholder="...or paste the sheet here"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm font-mono"
+        rows={6}
+      />
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="sheetUnit" className="block text-sm font-medium text-gray-700">Numbers without a unit are in</label>
+          <select
+            id="sheetUnit"
+            value={sheetUnit}
+            onChange={(e) => {
+              setSheetUnit(e.target.value as SheetUnit | '');
+              setReport(null);
+            }}
+            className="mt-1 block py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm sm:text-sm"
+          >
+            <option value="">{dimensionUnit} (estimation unit)</option>
+            {SHEET_UNITS.filter(unit => unit !== dimensionUnit).map(unit => (
+              <option key={unit} value={unit}>{unit}</option>
+            ))}
+          </select>
+        </div>
+        {showModeSelect && (
+          <div>
+            <label htmlFor="importMode" className="block text-sm font-medium text-gray-700">Imported items</label>
+            <select
+              id="importMode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value as EstimationImportMode)}
+              className="mt-1 block py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm sm:text-sm"
+            >
+              <option value="append">Add to the existing items</option>
+              <option value="replace">Replace the existing items</option>
+            </select>
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Button type="button" onClick={handlePreview} disabled={checking || !content.trim()} className="bg-blue-600 hover:bg-blue-700 text-white">
+            {checking ? 'Checking...' : 'Check Sheet'}
+          </Button>
+          <Button
+            type="button"
+            onClick={handleImport}
+            disabled={importing || disabled || !report?.canImport}
+            className="bg-green-600 hover:bg-green-700 text-white"
+          >
+            {importing ? 'Importing...' : 'Import & Calculate'}
+          </Button>
+        </div>
+      </div>
+
+      {report && unmappedColumns.length > 0 && (
+        <div className="border border-yellow-200 bg-yellow-50 rounded-md p-3 text-sm">
+          <p className="text-yellow-800 mb-2">These columns were not recognised. Map any that hold item details, then check again.</p>
+          <div className="flex flex-wrap gap-4">
+            {unmappedColumns.map(header => (
+              <label key={header} className="flex items-center gap-2">
+                <span className="font-medium">{header}</span>
+                <select
+                  value={columns[header] || ''}
+                  onChange={(e) => handleColumnChange(header, e.target.value)}
+                  className="py-1 px-2 border border-gray-300 bg-white rounded-md"
+                >
+                  <option value="">Ignore</option>
+                  {Object.entries(report.fields).map(([field, label]) => (
+                    <option key={field} value={field}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Rows</p>
+              <p className="text-xl font-semibold">{report.summary.rowCount}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Ready to Import</p>
+              <p className="text-xl font-semibold text-green-700">{report.summary.importableCount}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Unresolved</p>
+              <p className={`text-xl font-semibold ${report.summary.unresolvedCount > 0 ? 'text-red-600' : ''}`}>{report.summary.unresolvedCount}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Total Quantity</p>
+              <p className="text-xl font-semibold">{report.summary.itemQuantity}</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Label</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Width × Height ({report.dimensionUnit})</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product Type</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Glass</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Messages</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {report.rows.map((row) => (
+                  <tr key={row.rowNumber} className={row.status === 'unresolved' ? 'bg-red-50' : row.warnings.length > 0 ? 'bg-yellow-50' : ''}>
+                    <td className="px-3 py-2 text-sm">{row.rowNumber}</td>
+                    <td className="px-3 py-2 text-sm">{row.itemLabel || '—'}</td>
+                    <td className="px-3 py-2 text-sm text-right whitespace-nowrap">
+                      {row.width ?? '?'} × {row.height ?? '?'}
+                      {(row.widthSource || row.heightSource) && (
+                        <div className="text-xs text-gray-500">
+                          sheet: {asWritten(row.widthSource, row.width)} × {asWritten(row.heightSource, row.height)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-right">{row.quantity}</td>
+                    <td className="px-3 py-2 text-sm"><MatchCell match={row.productType} /></td>
+                    <td className="px-3 py-2 text-sm"><MatchCell match={row.glass} /></td>
+                    <td className="px-3 py-2 text-sm">
+                      {row.errors.map((message, index) => <p key={`e${index}`} className="text-red-700">{message}</p>)}
+                      {row.warnings.map((message, index) => <p key={`w${index}`} className="text-yellow-800">{message}</p>)}
+                      {row.errors.length === 0 && row.warnings.length === 0 && <span className="text-gray-400">—</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {report.summary.unresolvedCount > 0 && report.canImport && (
+            <p className="text-sm text-gray-600">
+              Unresolved rows are left out of the import. Fix them in the sheet and check again, or add them by hand afterwards.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EstimationImportPanel;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { EstimationItem } from '@/lib/api/estimationService';
-import { productApi, ProductType } from '@/lib/api/productService';
+import { productApi, ProductType, SelectedOption } from '@/lib/api/productService';
 import GlassTypeSelector from './GlassTypeSelector';
+import ItemOptionsSelector from '@/components/products/ItemOptionsSelector';
 
 interface EstimationItemInputGridProps {
   items: EstimationItem[];
@@ -39,7 +40,7 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
         setLoading(true);
         const data = await productApi.getProducts();
         setProducts(data);
-      } catch (error) {
+      } catch {
       } finally {
         setLoading(false);
       }
@@ -70,7 +71,8 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
       selectedGlassTypeNameSnapshot: '',
       calculatedGlassQuantity: 0,
       calculatedGlassUnit: 'sqft',
-      calculatedGlassCost: 0
+      calculatedGlassCost: 0,
+      selectedOptions: []
     });
     onChange(updatedItems);
   };
@@ -84,11 +86,13 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
   const handleItemChange = (
     index: number, 
     field: keyof EstimationItem, 
-    value: string | number
+    value: string | number | SelectedOption[]
   ) => {
-    const updatedItems = localItems.map((item, i) =>
-      i === index ? { ...item, [field]: value } : item
-    );
+    const updatedItems = localItems.map((item, i) => {
+      if (i !== index) return item;
+      // Options belong to the product type, so choosing another product clears them
+      return field === 'productTypeId' ? { ...item, productTypeId: value as string, selectedOptions: [] } : { ...item, [field]: value };
+    });
     setLocalItems(updatedItems);
     onChange(updatedItems);
   };
@@ -130,6 +134,11 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
     return product ? product.name : 'Unknown Product';
   };
 
+  const getProductOptions = (productId: string) => {
+    const product = products.find(p => p._id === productId);
+    return product?.options;
+  };
+
   // Helper to get product with glass formula
   const getProductGlassFormula = (productId: string) => {
     const product = products.find(p => p._id === productId);
@@ -254,6 +263,17 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
               </div>
             </div>
                 
+                {(getProductOptions(item.productTypeId) || []).length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-gray-100">
+                    <ItemOptionsSelector
+                      options={getProductOptions(item.productTypeId)}
+                      selectedOptions={item.selectedOptions}
+                      onChange={(selectedOptions) => handleItemChange(index, 'selectedOptions', selectedOptions)}
+                      readOnly={readOnly}
+                    />
+                  </div>
+                )}
+
                 {/* Glass Type Selection for products with glass formulas */}
                 {productGlassFormula && !readOnly && (
                   <div className="mt-3 pt-3 border-t border-gray-100">
@@ -297,7 +317,7 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
           <div className="col-span-3">
             <select
               value={newItem.productTypeId}
-              onChange={(e) => setNewItem({ ...newItem, productTypeId: e.target.value })}
+              onChange={(e) => setNewItem({ ...newItem, productTypeId: e.target.value, selectedOptions: [] })}
               className="focus:ring-indigo-500 focus:border-indigo-500 block w-full p-2 sm:text-sm border-gray-300 rounded-md"
             >
               <option value="">Select Product</option>
@@ -361,6 +381,16 @@ const EstimationItemInputGrid: React.FC<EstimationItemInputGridProps> = ({
           </div>
           </div>
 
+          {(getProductOptions(newItem.productTypeId) || []).length > 0 && (
+            <div className="pb-3">
+              <ItemOptionsSelector
+                options={getProductOptions(newItem.productTypeId)}
+                selectedOptions={newItem.selectedOptions}
+                onChange={(selectedOptions) => setNewItem(prev => ({ ...prev, selectedOptions }))}
+              />
+            </div>
+          )}
+
           {/* Glass selection for new item if product has glass formula */}
           {getProductGlassFormula(newItem.productTypeId) && (
             <div className="pt-3 border-t border-gray-200">
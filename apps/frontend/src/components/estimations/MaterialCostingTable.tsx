@@ -165,7 +165,7 @@ const MaterialCostingTable: React.FC<MaterialCostingTableProps> = ({
                 {/* Auto rate display (read-only) */}
                 {material.autoUnitRate && parseFloat(material.autoUnitRate) > 0 && (
                   <div className="text-xs text-gray-500 mb-1">
-                    {parseFloat(material.autoUnitRate).toFixed(2)} / {material.autoRateUnit} (auto)
+                    {parseFloat(material.autoUnitRate).toFixed(2)} / {material.autoRateUnit} ({material.autoRateSource === 'priceList' ? 'price list' : 'auto'})
                   </div>
                 )}
                 {/* Manual rate input */}
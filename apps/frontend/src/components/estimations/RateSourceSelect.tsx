@@ -0,0 +1,43 @@
+import React from 'react';
+import Link from 'next/link';
+import { useSettings } from '@/contexts/SettingsContext';
+
+interface RateSourceSelectProps {
+  value: string;
+  onChange: (e: React.ChangeEvent<HTMLSelectElement>) => void;
+}
+
+const RATE_SOURCE_LABELS: Record<string, string> = {
+  stock: 'Actual stock cost',
+  priceList: 'Price list in effect',
+};
+
+// Chooses whether an estimation costs materials at stock batch averages or at the price list in effect
+const RateSourceSelect: React.FC<RateSourceSelectProps> = ({ value, onChange }) => {
+  const { settings } = useSettings();
+  const companyDefault = settings?.pricing?.estimationRateSource || 'stock';
+
+  return (
+    <div>
+      <label htmlFor="rateSource" className="block text-sm font-medium text-gray-700">
+        Material Rates
+      </label>
+      <select
+        id="rateSource"
+        name="rateSource"
+        value={value}
+        onChange={onChange}
+        className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+      >
+        <option value="">Company default ({RATE_SOURCE_LABELS[companyDefault]})</option>
+        <option value="stock">{RATE_SOURCE_LABELS.stock}</option>
+        <option value="priceList">{RATE_SOURCE_LABELS.priceList}</option>
+      </select>
+      <p className="mt-1 text-xs text-gray-500">
+        Materials missing from the <Link href="/dashboard/inventory/price-lists" className="text-blue-600 hover:underline">price list</Link> use stock cost.
+      </p>
+    </div>
+  );
+};
+
+export default RateSourceSelect;
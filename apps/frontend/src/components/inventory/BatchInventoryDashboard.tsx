@@ -1,14 +1,14 @@
 'use client';
 
 import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
 import { Button } from '@/components/ui/Button';
-import { FormInput } from '@/components/ui/FormInput';
 import { Card } from '@/components/ui/Card';
 import { Badge } from '@/components/ui/Badge';
 import { 
-  Plus, BarChart3, Package, TrendingUp, AlertTriangle, 
-  Search, Filter, Eye, Minus, History, Download,
-  Layers, Scale, Clock, Target, Wrench, Monitor, Scissors, Trash2
+  Plus, Package, TrendingUp, AlertTriangle, 
+  Search, Eye, Minus, History,
+  Layers, Scale, Target, Wrench, Scissors, Trash2
 } from 'lucide-react';
 import BatchHistoryViewer from './BatchHistoryViewer';
 import StockConsumptionForm from './StockConsumptionForm';
@@ -16,12 +16,11 @@ import SimplifiedMaterialCreationForm from './SimplifiedMaterialCreationForm';
 import HardwareGlassCreationForm from './HardwareGlassCreationForm';
 import SimplifiedBatchStockInwardForm from './SimplifiedBatchStockInwardForm';
 import ConsumptionHistoryViewer from './ConsumptionHistoryViewer';
+import RemnantStockViewer from './RemnantStockViewer';
 import MaterialEditForm from './MaterialEditForm';
 import { 
   batchInventoryApi, 
-  BatchMaterial, 
-  StockBatch,
-  MaterialStockReport 
+  BatchMaterial
 } from '@/lib/api/batchInventoryService';
 import { toast } from 'sonner';
 
@@ -43,7 +42,9 @@ const BatchInventoryDashboard: React.FC = () => {
     totalMaterials: 0,
     totalValue: 0,
     lowStockAlerts: 0,
-    activeBatches: 0
+    activeBatches: 0,
+    expiredBatches: 0,
+    expiringBatches: 0
   });
 
   // ============================================================================
@@ -64,7 +65,7 @@ const BatchInventoryDashboard: React.FC = () => {
         limit: 100
       });
       setMaterials(response.data);
-    } catch (error) {
+    } catch {
       toast.error('Failed to load materials');
     } finally {
       setLoading(false);
@@ -73,10 +74,11 @@ const BatchInventoryDashboard: React.FC = () => {
 
   const loadDashboardStats = async () => {
     try {
-      const [materialsResponse, lowStockAlerts, inventoryValuation] = await Promise.all([
+      const [materialsResponse, lowStockAlerts, inventoryValuation, expiryAlerts] = await Promise.all([
         batchInventoryApi.getMaterials({ limit: 1000 }),
         batchInventoryApi.getLowStockAlerts(),
-        batchInventoryApi.getInventoryValuation()
+        batchInventoryApi.getInventoryValuation(),
+        batchInventoryApi.getExpiryAlerts(30)
       ]);
 
       const activeBatches = materialsResponse.data.reduce((sum, material) => 
@@ -87,9 +89,11 @@ const BatchInventoryDashboard: React.FC = () => {
         totalMaterials: materialsResponse.data.length,
         totalValue: inventoryValuation.totalValue,
         lowStockAlerts: lowStockAlerts.length,
-        activeBatches
+        activeBatches,
+        expiredBatches: expiryAlerts.data.expiredCount,
+        expiringBatches: expiryAlerts.data.expiringCount
       });
-    } catch (error) {
+    } catch {
       toast.error('Failed to load dashboard stats');
     }
   };
@@ -103,7 +107,7 @@ const BatchInventoryDashboard: React.FC = () => {
     setViewMode('analytics');
   };
 
-  const handleStockInwardSuccess = (result: any) => {
+  const handleStockInwardSuccess = () => {
     // Refresh data after successful stock inward
     handleRefreshData();
   };
@@ -111,7 +115,7 @@ const BatchInventoryDashboard: React.FC = () => {
   const handleRefreshData = async () => {
     try {
       await Promise.all([loadMaterials(), loadDashboardStats()]);
-    } catch (error) {
+    } catch {
       // Error handling is already done in individual functions
     }
   };
@@ -232,7 +236,46 @@ const BatchInventoryDashboard: React.FC = () => {
           >
             🔧 Create Hardware & Glass
           </Button>
+          <Link href="/dashboard/inventory/stock-takes">
+            <Button variant="outline">
+              📋 Stock Takes
+            </Button>
+          </Link>
+          <Link href="/dashboard/inventory/locations">
+            <Button variant="outline">
+              🏬 Locations & Transfers
+            </Button>
+          </Link>
+          <Link href="/dashboard/inventory/traceability">
+            <Button variant="outline">
+              🔎 Lot Traceability
+            </Button>
+          </Link>
+          <Link href="/dashboard/inventory/import">
+            <Button variant="outline">
+              📥 Import Materials
+            </Button>
+          </Link>
+          <Link href="/dashboard/inventory/scrap">
+            <Button variant="outline">
+              ♻️ Scrap Sales
+            </Button>
+          </Link>
+          <Link href="/dashboard/inventory/price-lists">
+            <Button variant="outline">
+              🏷️ Price Lists
+            </Button>
+          </Link>
         </div>
+        {(dashboardStats.expiredBatches > 0 || dashboardStats.expiringBatches > 0) && (
+          <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-700">
+              <strong>Expiry:</strong> {dashboardStats.expiredBatches} batch(es) expired, {dashboardStats.expiringBatches} expiring
+              within 30 days.{' '}
+              <Link href="/dashboard/inventory/traceability" className="underline">Review</Link>
+            </p>
+          </div>
+        )}
         <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-md">
           <p className="text-sm text-blue-700">
             <strong>Quick Start:</strong> Use the streamlined creation forms for consistent material management. 
@@ -333,6 +376,12 @@ const BatchInventoryDashboard: React.FC = () => {
                         <div className="text-sm font-medium">
                           {parseFloat(material.aggregatedTotals.totalCurrentStock).toLocaleString()} {material.stockUnit}
                         </div>
+                        {parseFloat(material.aggregatedTotals.totalReservedStock || '0') > 0 && (
+                          <div className="text-xs text-orange-600">
+                            Reserved: {parseFloat(material.aggregatedTotals.totalReservedStock || '0').toLocaleString()} · Available:{' '}
+                            {Math.max(parseFloat(material.aggregatedTotals.totalCurrentStock) - parseFloat(material.aggregatedTotals.totalReservedStock || '0'), 0).toLocaleString()}
+                          </div>
+                        )}
                         <div className="text-xs text-gray-500">
                           Weight: {parseFloat(material.aggregatedTotals.totalCurrentWeight).toFixed(1)} kg
                         </div>
@@ -368,6 +417,11 @@ const BatchInventoryDashboard: React.FC = () => {
                         <div className="text-xs text-gray-500">
                           batches
                         </div>
+                        {!!material.activeRemnantCount && (
+                          <div className="text-xs text-green-600">
+                            {material.activeRemnantCount} remnants
+                          </div>
+                        )}
                       </div>
                     </td>
 
@@ -488,7 +542,11 @@ const BatchInventoryDashboard: React.FC = () => {
             <div className="text-xl font-bold">
               {parseFloat(selectedMaterial.aggregatedTotals.totalCurrentStock).toLocaleString()}
             </div>
-            <div className="text-xs text-gray-500">{selectedMaterial.stockUnit}</div>
+            <div className="text-xs text-gray-500">
+              {selectedMaterial.stockUnit}
+              {parseFloat(selectedMaterial.aggregatedTotals.totalReservedStock || '0') > 0 &&
+                ` · ${parseFloat(selectedMaterial.aggregatedTotals.totalReservedStock || '0').toLocaleString()} reserved for orders`}
+            </div>
           </Card>
 
           <Card className="p-4">
@@ -531,6 +589,15 @@ const BatchInventoryDashboard: React.FC = () => {
           materialName={selectedMaterial.name}
           materialCategory={selectedMaterial.category}
         />
+
+        {/* ===== REMNANT STOCK (PROFILES ONLY) ===== */}
+        {selectedMaterial.category === 'Profile' && (
+          <RemnantStockViewer
+            materialId={selectedMaterial.id}
+            materialName={selectedMaterial.name}
+            onRemnantsChanged={loadMaterials}
+          />
+        )}
       </div>
     );
   };
@@ -602,7 +669,7 @@ const BatchInventoryDashboard: React.FC = () => {
           <SimplifiedMaterialCreationForm
             isOpen={true}
             onClose={resetView}
-            onSuccess={(material) => {
+            onSuccess={() => {
               resetView();
               loadMaterials();
               toast.success('Material created successfully! You can now add stock or use it in estimations.');
@@ -613,7 +680,7 @@ const BatchInventoryDashboard: React.FC = () => {
         {viewMode === 'hardwareGlassCreate' && (
           <HardwareGlassCreationForm
             onClose={resetView}
-            onSuccess={(material) => {
+            onSuccess={() => {
               resetView();
               loadMaterials();
               toast.success('Material created successfully! You can now add stock or use it in estimations.');
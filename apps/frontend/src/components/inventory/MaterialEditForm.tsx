@@ -1,13 +1,13 @@
 'use client';
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Button } from '@/components/ui/Button';
 import { FormInput } from '@/components/ui/FormInput';
 import { Card } from '@/components/ui/Card';
 import { Badge } from '@/components/ui/Badge';
 import { 
-  Save, X, Plus, Trash2, AlertCircle, 
-  Package, Weight, Info, ArrowLeft 
+  Save, Plus, Trash2, AlertCircle, 
+  Package, Weight, Info, ArrowLeft, Scissors 
 } from 'lucide-react';
 import { BatchMaterial } from '@/lib/api/batchInventoryService';
 import { inventoryApi } from '@/lib/api/inventoryService';
@@ -30,6 +30,23 @@ interface GaugeWeight {
   unitLength: string;
 }
 
+// Blank values inherit the company cutting settings
+interface CuttingParametersForm {
+  kerf: string;
+  endTrim: string;
+  lengthUnit: 'inches' | 'mm';
+  minRemnantLength: string;
+  minRemnantUnit: 'inches' | 'ft' | 'mm' | 'm';
+  maxCutsPerBar: string;
+  mitreDepth: string;
+}
+
+const toFieldValue = (value: number | null | undefined) =>
+  value === null || value === undefined ? '' : String(value);
+
+const toOverride = (value: string) =>
+  value.trim() === '' ? null : parseFloat(value);
+
 interface MaterialFormData {
   name: string;
   supplier: string;
@@ -38,6 +55,7 @@ interface MaterialFormData {
   description: string;
   standardLengths: StandardLength[];
   referenceGaugeWeights: GaugeWeight[];
+  cuttingParameters: CuttingParametersForm;
 }
 
 const MaterialEditForm: React.FC<MaterialEditFormProps> = ({ 
@@ -52,7 +70,16 @@ const MaterialEditForm: React.FC<MaterialEditFormProps> = ({
     hsnCode: material.hsnCode || '',
     description: material.description || '',
     standardLengths: material.standardLengths || [],
-    referenceGaugeWeights: material.referenceGaugeWeights || []
+    referenceGaugeWeights: material.referenceGaugeWeights || [],
+    cuttingParameters: {
+      kerf: toFieldValue(material.cuttingParameters?.kerf),
+      endTrim: toFieldValue(material.cuttingParameters?.endTrim),
+      lengthUnit: material.cuttingParameters?.lengthUnit || 'inches',
+      minRemnantLength: toFieldValue(material.cuttingParameters?.minRemnantLength),
+      minRemnantUnit: material.cuttingParameters?.minRemnantUnit || 'ft',
+      maxCutsPerBar: toFieldValue(material.cuttingParameters?.maxCutsPerBar),
+      mitreDepth: toFieldValue(material.cuttingParameters?.mitreDepth)
+    }
   });
   
   const [loading, setLoading] = useState(false);
@@ -126,6 +153,13 @@ const MaterialEditForm: React.FC<MaterialEditFormProps> = ({
     }));
   };
 
+  const updateCuttingParameter = (field: keyof CuttingParametersForm, value: string) => {
+    setFormData(prev => ({
+      ...prev,
+      cuttingParameters: { ...prev.cuttingParameters, [field]: value }
+    }));
+  };
+
   const validateForm = (): boolean => {
     const newErrors: Record<string, string> = {};
 
@@ -154,6 +188,19 @@ const MaterialEditForm: React.FC<MaterialEditFormProps> = ({
           newErrors[`gaugeWeight_${index}`] = 'Weight must be a valid number';
         }
       });
+
+      // Validate cutting rule overrides (blank = use company setting)
+      const { cuttingParameters } = formData;
+      (['kerf', 'endTrim', 'minRemnantLength', 'mitreDepth'] as const).forEach(field => {
+        const value = cuttingParameters[field];
+        if (value.trim() && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+          newErrors[`cutting_${field}`] = 'Must be zero or more';
+        }
+      });
+      const maxCuts = cuttingParameters.maxCutsPerBar;
+      if (maxCuts.trim() && (!Number.isInteger(Number(maxCuts)) || Number(maxCuts) < 1)) {
+        newErrors.cutting_maxCutsPerBar = 'Must be a whole number of at least 1';
+      }
     }
 
     setErrors(newErrors);
@@ -192,6 +239,16 @@ const MaterialEditForm: React.FC<MaterialEditFormProps> = ({
           referenceWeight: parseFloat(gw.referenceWeight),
           unitLength: gw.unitLength
         }));
+
+        updateData.cuttingParameters = {
+          kerf: toOverride(formData.cuttingParameters.kerf),
+          endTrim: toOverride(formData.cuttingParameters.endTrim),
+          lengthUnit: formData.cuttingParameters.lengthUnit,
+          minRemnantLength: toOverride(formData.cuttingParameters.minRemnantLength),
+          minRemnantUnit: formData.cuttingParameters.minRemnantUnit,
+          maxCutsPerBar: toOverride(formData.cuttingParameters.maxCutsPerBar),
+          mitreDepth: toOverride(formData.cuttingParameters.mitreDepth)
+        };
       }
 
       await inventoryApi.updateMaterial(material.id, updateData);
@@ -470,6 +527,105 @@ const MaterialEditForm: React.FC<MaterialEditFormProps> = ({
                 </div>
               )}
             </Card>
+
+            {/* Cutting Rules */}
+            <Card className="p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <Scissors className="h-5 w-5 text-orange-600" />
+                <h2 className="text-lg font-semibold">Cutting Rules</h2>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                Leave a field empty to use the company cutting settings for this profile.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <FormInput
+                  id="cutting_kerf"
+                  name="cutting_kerf"
+                  label="Blade Kerf"
+                  value={formData.cuttingParameters.kerf}
+                  onChange={(e) => updateCuttingParameter('kerf', e.target.value)}
+                  error={errors.cutting_kerf}
+                  placeholder="Company setting"
+                  type="number"
+                  step="0.001"
+                />
+
+                <FormInput
+                  id="cutting_endTrim"
+                  name="cutting_endTrim"
+                  label="End Trim (each end)"
+                  value={formData.cuttingParameters.endTrim}
+                  onChange={(e) => updateCuttingParameter('endTrim', e.target.value)}
+                  error={errors.cutting_endTrim}
+                  placeholder="Company setting"
+                  type="number"
+                  step="0.01"
+                />
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Kerf / Trim Unit</label>
+                  <select
+                    value={formData.cuttingParameters.lengthUnit}
+                    onChange={(e) => updateCuttingParameter('lengthUnit', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="inches">inches</option>
+                    <option value="mm">mm</option>
+                  </select>
+                </div>
+
+                <FormInput
+                  id="cutting_minRemnantLength"
+                  name="cutting_minRemnantLength"
+                  label="Minimum Usable Remnant"
+                  value={formData.cuttingParameters.minRemnantLength}
+                  onChange={(e) => updateCuttingParameter('minRemnantLength', e.target.value)}
+                  error={errors.cutting_minRemnantLength}
+                  placeholder="Company setting"
+                  type="number"
+                  step="0.1"
+                />
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Remnant Unit</label>
+                  <select
+                    value={formData.cuttingParameters.minRemnantUnit}
+                    onChange={(e) => updateCuttingParameter('minRemnantUnit', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="ft">ft</option>
+                    <option value="inches">inches</option>
+                    <option value="m">m</option>
+                    <option value="mm">mm</option>
+                  </select>
+                </div>
+
+                <FormInput
+                  id="cutting_maxCutsPerBar"
+                  name="cutting_maxCutsPerBar"
+                  label="Max Cuts per Bar"
+                  value={formData.cuttingParameters.maxCutsPerBar}
+                  onChange={(e) => updateCuttingParameter('maxCutsPerBar', e.target.value)}
+                  error={errors.cutting_maxCutsPerBar}
+                  placeholder="Company setting"
+                  type="number"
+                  step="1"
+                />
+
+                <FormInput
+                  id="cutting_mitreDepth"
+                  name="cutting_mitreDepth"
+                  label="Mitre Depth (section depth, kerf / trim unit)"
+                  value={formData.cuttingParameters.mitreDepth}
+                  onChange={(e) => updateCuttingParameter('mitreDepth', e.target.value)}
+                  error={errors.cutting_mitreDepth}
+                  placeholder="No mitre nesting"
+                  type="number"
+                  step="0.1"
+                />
+              </div>
+            </Card>
           </>
         )}
 
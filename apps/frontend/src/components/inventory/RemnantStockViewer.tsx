@@ -0,0 +1,253 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import {
+  Recycle, Calendar, FileText, Clock, AlertCircle, Check, Trash2
+} from 'lucide-react';
+import { batchInventoryApi, RemnantPiece } from '@/lib/api/batchInventoryService';
+import { toast } from 'sonner';
+
+interface RemnantStockViewerProps {
+  materialId: string;
+  materialName: string;
+  onRemnantsChanged?: () => void;
+}
+
+const RemnantStockViewer: React.FC<RemnantStockViewerProps> = ({
+  materialId,
+  materialName,
+  onRemnantsChanged
+}) => {
+  const [remnants, setRemnants] = useState<RemnantPiece[]>([]);
+  const [totals, setTotals] = useState({ totalPieces: '0', totalValue: '0' });
+  const [loading, setLoading] = useState(true);
+  const [showCompleted, setShowCompleted] = useState(false);
+  const [processingId, setProcessingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadRemnants();
+  }, [materialId, showCompleted]);
+
+  const loadRemnants = async () => {
+    try {
+      setLoading(true);
+      const response = await batchInventoryApi.getRemnants(materialId, {
+        includeCompleted: showCompleted
+      });
+      setRemnants(response.data.remnants);
+      setTotals({
+        totalPieces: response.data.totalPieces,
+        totalValue: response.data.totalValue
+      });
+    } catch {
+      toast.error('Failed to load remnant stock');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemnantAction = async (remnant: RemnantPiece, action: 'consume' | 'writeOff') => {
+    if (action === 'writeOff' && !confirm(`Write off ${remnant.length} ${remnant.lengthUnit} remnant as scrap?`)) {
+      return;
+    }
+
+    try {
+      setProcessingId(remnant.remnantId);
+      const response = await batchInventoryApi.consumeRemnant(materialId, remnant.remnantId, {
+        quantity: 1,
+        action
+      });
+      toast.success(response.message);
+      await loadRemnants();
+      onRemnantsChanged?.();
+    } catch (error) {
+      toast.error((error as Error).message || 'Failed to update remnant');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const formatCurrency = (amount: number) => {
+    return `₹${amount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Recycle className="h-6 w-6 text-green-600" />
+          <div>
+            <h2 className="text-xl font-semibold">Remnant Stock</h2>
+            <p className="text-sm text-gray-600">
+              Reusable offcuts from committed cutting plans • {materialName}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-4">
+          <div className="text-right">
+            <div className="text-sm font-medium">{parseFloat(totals.totalPieces).toLocaleString()} pieces</div>
+            <div className="text-xs text-gray-500">{formatCurrency(parseFloat(totals.totalValue))}</div>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showCompleted}
+              onChange={(e) => setShowCompleted(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Show used
+          </label>
+        </div>
+      </div>
+
+      {/* Remnants Table */}
+      <Card className="overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Length & Gauge
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Source
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Value
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">
+                    <div className="flex items-center justify-center gap-2">
+                      <Clock className="h-4 w-4 animate-spin" />
+                      Loading remnants...
+                    </div>
+                  </td>
+                </tr>
+              ) : remnants.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-gray-500">
+                    <div className="flex flex-col items-center gap-2">
+                      <AlertCircle className="h-8 w-8 text-gray-400" />
+                      <p>No remnants available for this material.</p>
+                      <p className="text-sm text-gray-400">
+                        Offcuts long enough to reuse are added here when a cutting plan is committed.
+                      </p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                remnants.map((remnant) => (
+                  <tr key={remnant.remnantId} className="hover:bg-gray-50">
+
+                    {/* Length & Gauge */}
+                    <td className="px-4 py-4">
+                      <div className="space-y-1">
+                        <div className="text-sm font-medium">
+                          {parseFloat(remnant.length).toFixed(2)} {remnant.lengthUnit}
+                        </div>
+                        {remnant.gauge && (
+                          <Badge variant="outline">{remnant.gauge}</Badge>
+                        )}
+                      </div>
+                    </td>
+
+                    {/* Source */}
+                    <td className="px-4 py-4">
+                      <div className="space-y-1">
+                        <div className="flex items-center gap-2 text-sm">
+                          <Calendar className="h-4 w-4 text-gray-400" />
+                          {formatDate(remnant.createdDate)}
+                        </div>
+                        {remnant.sourcePipeLength && (
+                          <div className="flex items-center gap-2 text-xs text-gray-500">
+                            <FileText className="h-3 w-3" />
+                            From {remnant.sourcePipeLength} {remnant.sourcePipeLengthUnit} pipe
+                          </div>
+                        )}
+                        {remnant.notes && (
+                          <p className="text-xs text-gray-500 italic">{remnant.notes}</p>
+                        )}
+                      </div>
+                    </td>
+
+                    {/* Value */}
+                    <td className="px-4 py-4">
+                      <div className="text-sm font-medium">
+                        {formatCurrency(parseFloat(remnant.ratePerPiece))}
+                      </div>
+                      <div className="text-xs text-gray-500">per piece</div>
+                    </td>
+
+                    {/* Status */}
+                    <td className="px-4 py-4">
+                      {remnant.isCompleted ? (
+                        <Badge className="bg-gray-100 text-gray-800">Used</Badge>
+                      ) : (
+                        <Badge className="bg-green-100 text-green-800">
+                          {parseFloat(remnant.currentQuantity)} available
+                        </Badge>
+                      )}
+                    </td>
+
+                    {/* Actions */}
+                    <td className="px-4 py-4">
+                      {!remnant.isCompleted && (
+                        <div className="flex gap-2">
+                          <Button
+                            onClick={() => handleRemnantAction(remnant, 'consume')}
+                            disabled={processingId === remnant.remnantId}
+                            variant="outline"
+                            size="sm"
+                            className="flex items-center gap-1"
+                          >
+                            <Check className="h-3 w-3" />
+                            Use
+                          </Button>
+                          <Button
+                            onClick={() => handleRemnantAction(remnant, 'writeOff')}
+                            disabled={processingId === remnant.remnantId}
+                            variant="outline"
+                            size="sm"
+                            className="flex items-center gap-1 text-red-600"
+                          >
+                            <Trash2 className="h-3 w-3" />
+                            Scrap
+                          </Button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default RemnantStockViewer;
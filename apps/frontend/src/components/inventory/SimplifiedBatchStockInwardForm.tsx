@@ -2,12 +2,12 @@
 
 import React, { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/Button';
-import { Input } from '@/components/ui/Input';
 import { FormInput } from '@/components/ui/FormInput';
 import { Card } from '@/components/ui/Card';
 import { Badge } from '@/components/ui/Badge';
-import { Loader2, Package, Calculator, AlertCircle, CheckCircle, Info, ArrowLeft } from 'lucide-react';
+import { Loader2, Package, Calculator, AlertCircle, CheckCircle, Info } from 'lucide-react';
 import { batchInventoryApi, BatchStockInwardData, BatchMaterial } from '@/lib/api/batchInventoryService';
+import { locationApi, StockLocation } from '@/lib/api/locationService';
 import { toast } from 'sonner';
 
 interface SimplifiedBatchStockInwardFormProps {
@@ -42,13 +42,16 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
     supplier: '',
     invoiceNumber: '',
     lotNumber: '',
-    notes: ''
+    expiryDate: '',
+    notes: '',
+    locationId: ''
   });
 
   const [isLoading, setIsLoading] = useState(false);
   const [availableMaterials, setAvailableMaterials] = useState<MaterialWithConfig[]>([]);
   const [loadingMaterials, setLoadingMaterials] = useState(false);
   const [selectedMaterial, setSelectedMaterial] = useState<MaterialWithConfig | null>(null);
+  const [locations, setLocations] = useState<StockLocation[]>([]);
   const [calculatedValues, setCalculatedValues] = useState({
     ratePerPiece: 0,
     ratePerKg: 0,
@@ -62,6 +65,9 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
   
   useEffect(() => {
     loadMaterials();
+    locationApi.getLocations()
+      .then((response) => setLocations(response.data.locations))
+      .catch(() => setLocations([]));
   }, []);
 
   useEffect(() => {
@@ -84,7 +90,7 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
       );
       
       setAvailableMaterials(configuredMaterials);
-    } catch (error) {
+    } catch {
       toast.error('Failed to load materials');
     } finally {
       setLoadingMaterials(false);
@@ -120,6 +126,9 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
   // FORM HANDLERS
   // ============================================================================
   
+  // Shelf-life tracking applies to simple batches (sealants, silicones...), not to pipes or mesh rolls
+  const hasSimpleBatches = !!selectedMaterial && selectedMaterial.category !== 'Profile' && selectedMaterial.category !== 'Wire Mesh';
+
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -260,7 +269,9 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
         supplier: formData.supplier,
         invoiceNumber: formData.invoiceNumber,
         lotNumber: formData.lotNumber,
-        notes: formData.notes
+        expiryDate: hasSimpleBatches && formData.expiryDate ? formData.expiryDate : undefined,
+        notes: formData.notes,
+        locationId: formData.locationId || undefined
       };
 
       const result = await batchInventoryApi.recordStockInward(submitData);
@@ -292,7 +303,9 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
         supplier: formData.supplier, // Keep supplier for convenience
         invoiceNumber: '',
         lotNumber: '',
-        notes: ''
+        expiryDate: '',
+        notes: '',
+        locationId: formData.locationId // Keep location for convenience
       });
       
       // Re-trigger material selection to reset length and gauge
@@ -625,6 +638,35 @@ const SimplifiedBatchStockInwardForm: React.FC<SimplifiedBatchStockInwardFormPro
                   onChange={handleInputChange}
                   placeholder="LOT-A123"
                 />
+                {hasSimpleBatches && (
+                  <FormInput
+                    id="expiryDate"
+                    name="expiryDate"
+                    label="Expiry Date (optional)"
+                    type="date"
+                    value={formData.expiryDate || ''}
+                    onChange={handleInputChange}
+                  />
+                )}
+                {locations.length > 0 && (
+                  <div>
+                    <label htmlFor="locationId" className="block text-sm font-medium mb-1">Location</label>
+                    <select
+                      id="locationId"
+                      name="locationId"
+                      value={formData.locationId}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Default location</option>
+                      {locations.map((location) => (
+                        <option key={location._id} value={location._id}>
+                          {location.name}{location.isDefault ? ' (default)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
               </div>
               
               <div>
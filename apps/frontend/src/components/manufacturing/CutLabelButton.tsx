@@ -0,0 +1,70 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/Button';
+import {
+  manufacturingApi,
+  CUT_LABEL_SIZES,
+  CutLabelSize
+} from '@/lib/api/manufacturingService';
+import { Tag } from 'lucide-react';
+import { toast } from 'sonner';
+
+interface CutLabelButtonProps {
+  orderId?: string;
+  batchId?: string;
+}
+
+export function CutLabelButton({ orderId, batchId }: CutLabelButtonProps) {
+  const [size, setSize] = useState<CutLabelSize>(CUT_LABEL_SIZES[0].value);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const handlePrintLabels = async () => {
+    try {
+      setIsGenerating(true);
+      const { blob, fileName } = batchId
+        ? await manufacturingApi.downloadBatchCutLabels(batchId, { size })
+        : await manufacturingApi.downloadCutLabels(orderId as string, { size });
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.style.display = 'none';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to generate labels');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={size}
+        onChange={(e) => setSize(e.target.value as CutLabelSize)}
+        className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+        aria-label="Label size"
+      >
+        {CUT_LABEL_SIZES.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <Button
+        variant="outline"
+        onClick={handlePrintLabels}
+        disabled={isGenerating}
+        className="flex items-center gap-2"
+      >
+        <Tag size={16} />
+        {isGenerating ? 'Generating...' : 'Print Labels'}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/Button';
+import { settingsApi } from '@/lib/api';
+import {
+  manufacturingApi,
+  CutListExportOptions,
+  CutListFormat,
+  MachineProfile
+} from '@/lib/api/manufacturingService';
+import { FileDown } from 'lucide-react';
+import { toast } from 'sonner';
+
+interface CutListExportButtonProps {
+  orderId?: string;
+  batchId?: string;
+}
+
+// Built-in layouts, offered when the company has no machine profiles (or the user cannot read them)
+const BUILT_IN_FORMATS: { format: CutListFormat; label: string }[] = [
+  { format: 'csv', label: 'CSV (built-in)' },
+  { format: 'fixedWidth', label: 'Fixed width (built-in)' },
+  { format: 'xml', label: 'XML (built-in)' },
+];
+
+export function CutListExportButton({ orderId, batchId }: CutListExportButtonProps) {
+  const [profiles, setProfiles] = useState<MachineProfile[]>([]);
+  const [selection, setSelection] = useState<string>('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    const fetchProfiles = async () => {
+      try {
+        const response = await settingsApi.getMachineProfiles();
+        const list: MachineProfile[] = response.profiles || [];
+        setProfiles(list);
+        const defaultProfile = list.find((p) => p.isDefault) || list[0];
+        setSelection(defaultProfile?._id ? `profile:${defaultProfile._id}` : 'format:csv');
+      } catch {
+        // Machine profiles are a Manager/Admin setting; everyone else exports with the built-in layouts
+        setSelection('format:csv');
+      }
+    };
+
+    fetchProfiles();
+  }, []);
+
+  const handleExport = async () => {
+    const [kind, value] = selection.split(':');
+    const options: CutListExportOptions = kind === 'profile'
+      ? { profileId: value }
+      : { format: value as CutListFormat };
+
+    try {
+      setIsExporting(true);
+      const { blob, fileName } = batchId
+        ? await manufacturingApi.downloadBatchCutList(batchId, options)
+        : await manufacturingApi.downloadCutList(orderId as string, options);
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.style.display = 'none';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to export cut list');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={selection}
+        onChange={(e) => setSelection(e.target.value)}
+        className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+        aria-label="Cut list format"
+      >
+        {profiles.map((profile) => (
+          <option key={profile._id} value={`profile:${profile._id}`}>
+            {profile.name}
+          </option>
+        ))}
+        {BUILT_IN_FORMATS.map(({ format, label }) => (
+          <option key={format} value={`format:${format}`}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <Button
+        variant="outline"
+        onClick={handleExport}
+        disabled={isExporting || !selection}
+        className="flex items-center gap-2"
+      >
+        <FileDown size={16} />
+        {isExporting ? 'Exporting...' : 'Export Cut List'}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import {
+  manufacturingApi,
+  CuttingBatch,
+  CuttingBatchSummary
+} from '@/lib/api/manufacturingService';
+import { toast } from 'sonner';
+import { CutListExportButton } from './CutListExportButton';
+import { CutLabelButton } from './CutLabelButton';
+
+interface CuttingBatchListProps {
+  refreshKey: number;
+  onChanged: () => void;
+}
+
+export function CuttingBatchList({ refreshKey, onChanged }: CuttingBatchListProps) {
+  const [batches, setBatches] = useState<CuttingBatchSummary[]>([]);
+  const [expandedBatch, setExpandedBatch] = useState<CuttingBatch | null>(null);
+  const [busyBatchId, setBusyBatchId] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchBatches = async () => {
+      try {
+        const response = await manufacturingApi.getCuttingBatches({ status: 'Generated' });
+        setBatches(response.data.batches);
+      } catch (err) {
+        toast.error((err as Error).message || 'Failed to load cutting batches');
+      }
+    };
+
+    fetchBatches();
+  }, [refreshKey]);
+
+  const handleToggle = async (batchId: string) => {
+    if (expandedBatch?._id === batchId) {
+      setExpandedBatch(null);
+      return;
+    }
+    try {
+      const response = await manufacturingApi.getCuttingBatch(batchId);
+      setExpandedBatch(response.data.cuttingBatch);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to load cutting batch');
+    }
+  };
+
+  const handleCommit = async (batch: CuttingBatchSummary) => {
+    if (!confirm(`Commit cutting batch ${batch.batchNumber}? Stock will be deducted for all ${batch.orders.length} orders.`)) {
+      return;
+    }
+    try {
+      setBusyBatchId(batch._id);
+      const response = await manufacturingApi.commitCuttingBatch(batch._id);
+      toast.success(response.message);
+      setExpandedBatch(null);
+      onChanged();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to commit cutting batch');
+    } finally {
+      setBusyBatchId(null);
+    }
+  };
+
+  const handleCancel = async (batch: CuttingBatchSummary) => {
+    try {
+      setBusyBatchId(batch._id);
+      const response = await manufacturingApi.cancelCuttingBatch(batch._id);
+      toast.success(response.message);
+      setExpandedBatch(null);
+      onChanged();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to cancel cutting batch');
+    } finally {
+      setBusyBatchId(null);
+    }
+  };
+
+  if (batches.length === 0) {
+    return null;
+  }
+
+  // Cuts only carry the order ID; show the order number instead
+  const orderLabel = (batch: CuttingBatch, orderId?: string) =>
+    batch.orders.find((o) => o.orderId === orderId)?.orderIdDisplay || '—';
+
+  return (
+    <Card className="p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Open Cutting Batches</h2>
+      <div className="space-y-4">
+        {batches.map((batch) => (
+          <div key={batch._id} className="border rounded-md p-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+              <div>
+                <div className="font-medium">{batch.batchNumber}</div>
+                <div className="text-sm text-gray-600">
+                  Orders: {batch.orders.map((o) => o.orderIdDisplay).join(', ')}
+                </div>
+                {batch.optimization && (
+                  <div className="text-sm text-gray-600">
+                    {batch.optimization.result.pipesUsed} pipes, {batch.optimization.result.scrapPercent}% scrap ({batch.optimization.strategy})
+                  </div>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <CutListExportButton batchId={batch._id} />
+                <CutLabelButton batchId={batch._id} />
+                <Button variant="outline" className="text-sm" onClick={() => handleToggle(batch._id)}>
+                  {expandedBatch?._id === batch._id ? 'Hide Layout' : 'View Layout'}
+                </Button>
+                <Button
+                  variant="outline"
+                  className="text-sm"
+                  onClick={() => handleCancel(batch)}
+                  disabled={busyBatchId !== null}
+                >
+                  Cancel Batch
+                </Button>
+                <Button
+                  className="bg-blue-600 hover:bg-blue-700 text-white text-sm"
+                  onClick={() => handleCommit(batch)}
+                  disabled={busyBatchId !== null}
+                >
+                  {busyBatchId === batch._id ? 'Working...' : 'Commit Batch'}
+                </Button>
+              </div>
+            </div>
+
+            {expandedBatch?._id === batch._id && (
+              <div className="mt-4 space-y-4">
+                {expandedBatch.materialPlans.map((materialPlan) => (
+                  <div key={`${materialPlan.materialId}_${materialPlan.gaugeSnapshot || ''}`}>
+                    <h4 className="font-semibold text-sm mb-2">
+                      {materialPlan.materialNameSnapshot}{materialPlan.gaugeSnapshot && ` (${materialPlan.gaugeSnapshot})`}
+                    </h4>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pipe</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cuts</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {materialPlan.pipesUsed.map((pipe, pipeIndex) => (
+                          <tr key={pipeIndex}>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                              {pipe.standardLength} {pipe.standardLengthUnit}
+                              {pipe.sourceType === 'Remnant' && <span className="ml-1 text-xs text-gray-500">(remnant)</span>}
+                            </td>
+                            <td className="px-4 py-2">
+                              {pipe.cutsMade.map((cut, cutIndex) => (
+                                <span key={cutIndex} className="inline-block mr-3">
+                                  {cut.identifier || '-'}{' '}
+                                  <span className="text-xs text-blue-600">[{orderLabel(expandedBatch, cut.orderId)}]</span>
+                                </span>
+                              ))}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,224 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import {
+  manufacturingApi,
+  CuttingPlanVersionSummary,
+  CuttingPlanComparison
+} from '@/lib/api/manufacturingService';
+import { toast } from 'sonner';
+
+interface CuttingPlanVersionsProps {
+  orderId: string;
+  activePlanId: string;
+  canActivate: boolean;
+  onActivated: () => void;
+}
+
+const formatDiff = (value: number, digits = 0) => {
+  const rounded = value.toFixed(digits);
+  return value > 0 ? `+${rounded}` : rounded;
+};
+
+// Fewer pipes, less scrap and less weight are improvements
+const diffClass = (value: number) =>
+  value < 0 ? 'text-green-600' : value > 0 ? 'text-red-600' : 'text-gray-500';
+
+export function CuttingPlanVersions({ orderId, activePlanId, canActivate, onActivated }: CuttingPlanVersionsProps) {
+  const [versions, setVersions] = useState<CuttingPlanVersionSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activatingVersion, setActivatingVersion] = useState<number | null>(null);
+  const [fromVersion, setFromVersion] = useState<number | null>(null);
+  const [toVersion, setToVersion] = useState<number | null>(null);
+  const [comparison, setComparison] = useState<CuttingPlanComparison | null>(null);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        setIsLoading(true);
+        const response = await manufacturingApi.getCuttingPlanVersions(orderId);
+        const list = response.data.versions;
+        setVersions(list);
+        // Default comparison: previous version against the newest one
+        setToVersion(list[0]?.version ?? null);
+        setFromVersion(list[1]?.version ?? null);
+      } catch (err) {
+        toast.error((err as Error).message || 'Failed to load cutting plan versions');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (orderId) {
+      fetchVersions();
+    }
+  }, [orderId, activePlanId]);
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      if (!fromVersion || !toVersion || fromVersion === toVersion) {
+        setComparison(null);
+        return;
+      }
+      try {
+        const response = await manufacturingApi.compareCuttingPlanVersions(orderId, fromVersion, toVersion);
+        setComparison(response.data.comparison);
+      } catch (err) {
+        setComparison(null);
+        toast.error((err as Error).message || 'Failed to compare cutting plan versions');
+      }
+    };
+
+    fetchComparison();
+  }, [orderId, fromVersion, toVersion]);
+
+  const handleActivate = async (version: number) => {
+    try {
+      setActivatingVersion(version);
+      const response = await manufacturingApi.activateCuttingPlanVersion(orderId, version);
+      toast.success(response.message);
+      onActivated();
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to activate cutting plan version');
+    } finally {
+      setActivatingVersion(null);
+    }
+  };
+
+  if (isLoading || versions.length < 2) {
+    // Nothing to choose between until the order has been re-optimized
+    return null;
+  }
+
+  const versionSelect = (value: number | null, onChange: (version: number) => void) => (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(parseInt(e.target.value, 10))}
+      className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+    >
+      {versions.map((v) => (
+        <option key={v._id} value={v.version}>
+          v{v.version}{v.isActive ? ' (active)' : ''}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <Card className="p-6">
+      <h3 className="text-xl font-bold mb-4">Cutting Plan Versions</h3>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Generated</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Strategy</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pipes</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remnants</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scrap</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weight</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {versions.map((v) => (
+              <tr key={v._id} className={v.isActive ? 'bg-blue-50' : ''}>
+                <td className="px-4 py-2 whitespace-nowrap font-medium">
+                  v{v.version}
+                  {v.isActive && <span className="ml-2 text-xs text-blue-600">(active)</span>}
+                  {v.status === 'Committed' && <span className="ml-2 text-xs text-green-600">(committed)</span>}
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap text-sm">{new Date(v.generatedAt).toLocaleString()}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-sm">{v.strategy}</td>
+                <td className="px-4 py-2 whitespace-nowrap">{v.totals.pipesUsed}</td>
+                <td className="px-4 py-2 whitespace-nowrap">{v.totals.remnantsUsed}</td>
+                <td className="px-4 py-2 whitespace-nowrap">{v.totals.scrapLength.toFixed(2)} in ({v.totals.scrapPercent}%)</td>
+                <td className="px-4 py-2 whitespace-nowrap">{v.totals.totalWeight.toFixed(2)} kg</td>
+                <td className="px-4 py-2 whitespace-nowrap text-right">
+                  {canActivate && !v.isActive && v.status === 'Generated' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleActivate(v.version)}
+                      disabled={activatingVersion !== null}
+                    >
+                      {activatingVersion === v.version ? 'Activating...' : 'Make Active'}
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center space-x-2 mb-4 text-sm">
+        <span className="font-medium">Compare</span>
+        {versionSelect(fromVersion, setFromVersion)}
+        <span>with</span>
+        {versionSelect(toVersion, setToVersion)}
+      </div>
+
+      {comparison && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Material</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pipes</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remnants</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scrap</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weight (kg)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {comparison.materials.map((m) => (
+                <tr key={`${m.materialId}_${m.gaugeSnapshot || ''}`}>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {m.materialNameSnapshot}{m.gaugeSnapshot && ` (${m.gaugeSnapshot})`}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {m.from.pipesUsed} → {m.to.pipesUsed}{' '}
+                    <span className={diffClass(m.difference.pipesUsed)}>({formatDiff(m.difference.pipesUsed)})</span>
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {m.from.remnantsUsed} → {m.to.remnantsUsed}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {m.from.scrapLength.toFixed(2)} → {m.to.scrapLength.toFixed(2)} {m.scrapUnit}{' '}
+                    <span className={diffClass(m.difference.scrapLength)}>({formatDiff(m.difference.scrapLength, 2)})</span>
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {m.from.totalWeight.toFixed(2)} → {m.to.totalWeight.toFixed(2)}{' '}
+                    <span className={diffClass(m.difference.totalWeight)}>({formatDiff(m.difference.totalWeight, 2)})</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="bg-gray-100 font-semibold">
+                <td className="px-4 py-2">Total</td>
+                <td className="px-4 py-2">
+                  <span className={diffClass(comparison.difference.pipesUsed)}>{formatDiff(comparison.difference.pipesUsed)}</span>
+                </td>
+                <td className="px-4 py-2">{formatDiff(comparison.difference.remnantsUsed)}</td>
+                <td className="px-4 py-2">
+                  <span className={diffClass(comparison.difference.scrapLength)}>
+                    {formatDiff(comparison.difference.scrapLength, 2)} {comparison.lengthUnit} ({formatDiff(comparison.difference.scrapPercent, 2)}%)
+                  </span>
+                </td>
+                <td className="px-4 py-2">
+                  <span className={diffClass(comparison.difference.totalWeight)}>{formatDiff(comparison.difference.totalWeight, 2)}</span>
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+}
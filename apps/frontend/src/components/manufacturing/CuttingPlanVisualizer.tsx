@@ -5,6 +5,8 @@ import { manufacturingApi } from '@/lib/api/manufacturingService';
 import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Download } from 'lucide-react';
+import { CutListExportButton } from './CutListExportButton';
+import { CutLabelButton } from './CutLabelButton';
 
 interface CuttingPlanVisualizerProps {
   orderId: string;
@@ -65,7 +67,7 @@ export function CuttingPlanVisualizer({ orderId }: CuttingPlanVisualizerProps) {
           window.URL.revokeObjectURL(url);
         }, 1000);
         
-      } catch (downloadError) {
+      } catch {
         
         // Method 2: Try alternative download approach
         const url = URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
@@ -114,14 +116,18 @@ export function CuttingPlanVisualizer({ orderId }: CuttingPlanVisualizerProps) {
     <Card className="p-6 overflow-x-auto">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold text-gray-900">Cutting Plan Layout</h3>
-        <Button
-          onClick={handleDownloadPdf}
-          disabled={isDownloading}
-          className="bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2"
-        >
-          <Download size={16} />
-          {isDownloading ? 'Generating PDF...' : 'Download PDF'}
-        </Button>
+        <div className="flex items-center gap-2">
+          <CutListExportButton orderId={orderId} />
+          <CutLabelButton orderId={orderId} />
+          <Button
+            onClick={handleDownloadPdf}
+            disabled={isDownloading}
+            className="bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2"
+          >
+            <Download size={16} />
+            {isDownloading ? 'Generating PDF...' : 'Download PDF'}
+          </Button>
+        </div>
       </div>
       <div 
         className="w-full"
@@ -5,9 +5,11 @@ import { Button } from '@/components/ui/Button';
 import { Card } from '@/components/ui/Card';
 import { CuttingPlanVisualizer } from './CuttingPlanVisualizer';
 import { PipeOrderSummaryTable } from './PipeOrderSummaryTable';
-import { manufacturingApi, CuttingPlan } from '@/lib/api/manufacturingService';
+import { CuttingPlanVersions } from './CuttingPlanVersions';
+import { ProductionProgressPanel } from './ProductionProgressPanel';
+import { manufacturingApi, CuttingPlan, CuttingStrategy } from '@/lib/api/manufacturingService';
 import { Order } from '@/lib/api/orderService';
-import { toast } from 'sonner';
+import { locationApi, StockLocation } from '@/lib/api/locationService';
 
 interface ManufacturingViewProps {
   orderId: string;
@@ -20,6 +22,10 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [optimizationLoading, setOptimizationLoading] = useState(false);
+  const [strategy, setStrategy] = useState<CuttingStrategy>('greedy');
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  // '' = all stock; otherwise '<locationId>:restrict' or '<locationId>:prefer'
+  const [locationChoice, setLocationChoice] = useState('');
   const [commitLoading, setCommitLoading] = useState(false);
   const [commitMaterialsLoading, setCommitMaterialsLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
@@ -56,6 +62,12 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
     }
   }, [orderId]); // Remove lastFetchedOrderId from dependencies to avoid infinite loops
 
+  useEffect(() => {
+    locationApi.getLocations()
+      .then((response) => setLocations(response.data.locations))
+      .catch(() => setLocations([]));
+  }, []);
+
   const handleOptimizeCuts = async () => {
     if (!orderId) return;
     
@@ -64,8 +76,20 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
     setSuccessMessage(null);
     
     try {
-      await manufacturingApi.optimizeCuts(orderId);
-      setSuccessMessage('Cuts optimized successfully!');
+      const [locationId, locationMode] = locationChoice.split(':');
+      const response = await manufacturingApi.optimizeCuts(orderId, {
+        strategy,
+        ...(locationId ? { locationId, locationMode: locationMode as 'restrict' | 'prefer' } : {})
+      });
+      const report = response.data.optimization;
+      if (report && report.strategy !== 'greedy') {
+        setSuccessMessage(
+          `Cuts optimized successfully! ${report.result.pipesUsed} pipes at ${report.result.scrapPercent}% scrap ` +
+          `(greedy: ${report.greedyBaseline.pipesUsed} pipes at ${report.greedyBaseline.scrapPercent}% scrap).`
+        );
+      } else {
+        setSuccessMessage('Cuts optimized successfully!');
+      }
       // Force refetch by resetting the tracking state
       setLastFetchedOrderId(null);
       await fetchCuttingPlan();
@@ -78,6 +102,12 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
     }
   };
 
+  const handleVersionActivated = async () => {
+    setSuccessMessage(null);
+    await fetchCuttingPlan();
+    onRefresh(); // The order now points at the newly active plan
+  };
+
   const handleCommitCuts = async () => {
     if (!orderId) return;
     
@@ -135,6 +165,39 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
           <h2 className="text-2xl font-bold">Manufacturing Management</h2>
           
           <div className="flex space-x-2">
+            {isPlanGenerationAllowed && (
+              <select
+                value={strategy}
+                onChange={(e) => setStrategy(e.target.value as CuttingStrategy)}
+                disabled={optimizationLoading}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title="Cutting algorithm"
+              >
+                <option value="greedy">Greedy (fast)</option>
+                <option value="auto">Auto</option>
+                <option value="exact">Exact (small orders)</option>
+                <option value="localSearch">Local search</option>
+              </select>
+            )}
+
+            {isPlanGenerationAllowed && locations.length > 1 && (
+              <select
+                value={locationChoice}
+                onChange={(e) => setLocationChoice(e.target.value)}
+                disabled={optimizationLoading}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title="Stock location to cut from"
+              >
+                <option value="">Stock at all locations</option>
+                {locations.map((location) => (
+                  <React.Fragment key={location._id}>
+                    <option value={`${location._id}:restrict`}>Only {location.name}</option>
+                    <option value={`${location._id}:prefer`}>Prefer {location.name}</option>
+                  </React.Fragment>
+                ))}
+              </select>
+            )}
+
             {isPlanGenerationAllowed && (
               <Button
                 onClick={handleOptimizeCuts}
@@ -210,14 +273,29 @@ export function ManufacturingView({ orderId, order, onRefresh }: ManufacturingVi
         </div>
       ) : hasCuttingPlan ? (
         <>
+          {order.cuttingPlanStatus === 'Committed' && (
+            <ProductionProgressPanel orderId={orderId} />
+          )}
+
+          <CuttingPlanVersions
+            orderId={orderId}
+            activePlanId={cuttingPlan._id}
+            canActivate={order.cuttingPlanStatus !== 'Committed'}
+            onActivated={handleVersionActivated}
+          />
+
+          {/* Keyed on the active plan so both views reload when another version is activated */}
           <div className="space-y-6">
-            <h3 className="text-xl font-bold">Cutting Plan Visualization</h3>
-            <CuttingPlanVisualizer orderId={orderId} />
+            <h3 className="text-xl font-bold">
+              Cutting Plan Visualization
+              {cuttingPlan.version && <span className="ml-2 text-base font-normal text-gray-500">v{cuttingPlan.version}</span>}
+            </h3>
+            <CuttingPlanVisualizer key={cuttingPlan._id} orderId={orderId} />
           </div>
           
           <div className="space-y-6">
             <h3 className="text-xl font-bold">Material Requirements</h3>
-            <PipeOrderSummaryTable orderId={orderId} />
+            <PipeOrderSummaryTable key={cuttingPlan._id} orderId={orderId} />
           </div>
         </>
       ) : (
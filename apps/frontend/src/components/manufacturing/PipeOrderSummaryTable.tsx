@@ -84,7 +84,10 @@ export function PipeOrderSummaryTable({ orderId }: PipeOrderSummaryTableProps) {
               <tbody className="bg-white divide-y divide-gray-200">
                 {materialSummary.totalPipesPerLength.map((pipe, pipeIndex) => (
                   <tr key={pipeIndex}>
-                    <td className="px-4 py-2 whitespace-nowrap">{pipe.length} {pipe.unit}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {pipe.length} {pipe.unit}
+                      {pipe.isRemnant && <span className="ml-2 text-xs text-green-600">(remnant)</span>}
+                    </td>
                     <td className="px-4 py-2 whitespace-nowrap">{pipe.quantity}</td>
                     <td className="px-4 py-2 whitespace-nowrap">{parseFloat(pipe.totalScrap || '0').toFixed(2)} {pipe.scrapUnit || pipe.unit}</td>
                   </tr>
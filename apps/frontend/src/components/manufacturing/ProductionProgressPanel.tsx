@@ -0,0 +1,118 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Card } from '@/components/ui/Card';
+import {
+  manufacturingApi,
+  PRODUCTION_EVENTS,
+  ProductionProgress
+} from '@/lib/api/manufacturingService';
+import { toast } from 'sonner';
+
+interface ProductionProgressPanelProps {
+  orderId: string;
+  refreshKey?: number;
+}
+
+export function ProductionProgressPanel({ orderId, refreshKey = 0 }: ProductionProgressPanelProps) {
+  const [progress, setProgress] = useState<ProductionProgress | null>(null);
+  const [expandedItem, setExpandedItem] = useState<number | null>(null);
+
+  useEffect(() => {
+    const fetchProgress = async () => {
+      try {
+        const response = await manufacturingApi.getProductionProgress(orderId);
+        setProgress(response.data.progress);
+      } catch (err) {
+        toast.error((err as Error).message || 'Failed to load production progress');
+      }
+    };
+
+    fetchProgress();
+  }, [orderId, refreshKey]);
+
+  if (!progress || progress.totalPieces === 0) {
+    return null;
+  }
+
+  const scannedByName = (scannedBy?: string | { firstName?: string; lastName?: string }) =>
+    scannedBy && typeof scannedBy === 'object'
+      ? `${scannedBy.firstName || ''} ${scannedBy.lastName || ''}`.trim()
+      : '';
+
+  return (
+    <Card className="p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Production Progress</h3>
+        <span className="text-sm text-gray-600">
+          {progress.totalPieces} pieces, {progress.percentComplete}% complete
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+        {PRODUCTION_EVENTS.map((event) => (
+          <div key={event} className="bg-gray-100 p-2 rounded text-sm">
+            <span className="font-medium">{event}:</span> {progress.counts[event]} / {progress.totalPieces}
+          </div>
+        ))}
+      </div>
+
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item Code</th>
+            {PRODUCTION_EVENTS.map((event) => (
+              <th key={event} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{event}</th>
+            ))}
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Progress</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {progress.items.filter((item) => item.totalPieces > 0).map((item) => (
+            <React.Fragment key={item.itemIndex}>
+              <tr
+                className="cursor-pointer hover:bg-gray-50"
+                onClick={() => setExpandedItem(expandedItem === item.itemIndex ? null : item.itemIndex)}
+              >
+                <td className="px-4 py-2">
+                  {item.itemLabel}
+                  {item.productTypeNameSnapshot && <span className="ml-1 text-xs text-gray-500">({item.productTypeNameSnapshot})</span>}
+                </td>
+                <td className="px-4 py-2 font-mono text-xs">{item.itemCode}</td>
+                {PRODUCTION_EVENTS.map((event) => (
+                  <td key={event} className="px-4 py-2">{item.counts[event]} / {item.totalPieces}</td>
+                ))}
+                <td className="px-4 py-2">
+                  <div className="w-24 bg-gray-200 rounded h-2">
+                    <div className="bg-green-600 h-2 rounded" style={{ width: `${item.percentComplete}%` }} />
+                  </div>
+                </td>
+              </tr>
+              {expandedItem === item.itemIndex && progress.pieces
+                .filter((piece) => piece.itemIndex === item.itemIndex)
+                .map((piece) => (
+                  <tr key={piece.pieceId} className="bg-gray-50 text-xs">
+                    <td className="px-4 py-1 pl-8">
+                      {piece.materialNameSnapshot} {piece.length} {piece.lengthUnit}
+                      {piece.position && <span className="ml-1 text-gray-500">({piece.position})</span>}
+                    </td>
+                    <td className="px-4 py-1 font-mono">{piece.pieceId}</td>
+                    {PRODUCTION_EVENTS.map((event) => {
+                      const scan = piece.events[event];
+                      return (
+                        <td key={event} className="px-4 py-1" title={scan ? scannedByName(scan.scannedBy) : undefined}>
+                          {scan ? new Date(scan.scannedAt).toLocaleString() : '—'}
+                        </td>
+                      );
+                    })}
+                    <td className="px-4 py-1">{piece.currentStage || 'Not cut'}</td>
+                  </tr>
+                ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </Card>
+  );
+}
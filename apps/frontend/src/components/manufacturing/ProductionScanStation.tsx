@@ -0,0 +1,101 @@
+'use client';
+
+import React, { useState, useRef, useEffect } from 'react';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import {
+  manufacturingApi,
+  PRODUCTION_EVENTS,
+  ProductionEventType
+} from '@/lib/api/manufacturingService';
+
+interface ScanLogEntry {
+  code: string;
+  event: ProductionEventType;
+  ok: boolean;
+  message: string;
+  at: Date;
+}
+
+// Handheld scanners type the code and press Enter, so the input keeps focus between scans
+export function ProductionScanStation() {
+  const [event, setEvent] = useState<ProductionEventType>('Cut');
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [log, setLog] = useState<ScanLogEntry[]>([]);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [event]);
+
+  const handleScan = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const scannedCode = code.trim();
+    if (!scannedCode) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await manufacturingApi.recordScan(scannedCode, event);
+      setLog((current) => [{ code: scannedCode, event, ok: true, message: response.message, at: new Date() }, ...current].slice(0, 50));
+    } catch (err) {
+      setLog((current) => [{ code: scannedCode, event, ok: false, message: (err as Error).message || 'Scan failed', at: new Date() }, ...current].slice(0, 50));
+    } finally {
+      setCode('');
+      setIsSubmitting(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-6">
+        <div className="flex flex-wrap gap-2 mb-4">
+          {PRODUCTION_EVENTS.map((option) => (
+            <Button
+              key={option}
+              variant={option === event ? undefined : 'outline'}
+              className={option === event ? 'bg-blue-600 hover:bg-blue-700 text-white' : ''}
+              onClick={() => setEvent(option)}
+            >
+              {option}
+            </Button>
+          ))}
+        </div>
+
+        <form onSubmit={handleScan} className="flex gap-2">
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={`Scan a piece or item code to mark it ${event}`}
+            className="flex-1 p-3 border border-gray-300 rounded-md font-mono text-lg"
+            disabled={isSubmitting}
+            autoComplete="off"
+          />
+          <Button type="submit" disabled={isSubmitting || !code.trim()} className="bg-blue-600 hover:bg-blue-700 text-white">
+            Record
+          </Button>
+        </form>
+      </Card>
+
+      {log.length > 0 && (
+        <Card className="p-6">
+          <h3 className="text-lg font-semibold mb-3">Recent Scans</h3>
+          <ul className="divide-y divide-gray-200 text-sm">
+            {log.map((entry, index) => (
+              <li key={index} className="py-2 flex justify-between gap-4">
+                <span className="font-mono">{entry.code}</span>
+                <span className={`flex-1 ${entry.ok ? 'text-green-700' : 'text-red-600'}`}>
+                  {entry.event}: {entry.message}
+                </span>
+                <span className="text-gray-500">{entry.at.toLocaleTimeString()}</span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Card } from '@/components/ui/Card';
 import { Badge } from '@/components/ui/Badge';
 import { Button } from '@/components/ui/Button';
-import { AlertCircle, Download, RefreshCw } from 'lucide-react';
 import { orderApi, type RequiredCut, type StockAvailability, type StockItemDetail, type Order } from '@/lib/api/orderService';
+import { locationApi, type LocationMode, type StockLocation } from '@/lib/api/locationService';
 import { useAuthStore } from '@/lib/store/auth-store';
 import Table from '@/components/ui/Table';
 
@@ -57,6 +57,9 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
   const [isLoadingStock, setIsLoadingStock] = useState(false);
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [locations, setLocations] = useState<StockLocation[]>([]);
+  const [stockLocationId, setStockLocationId] = useState('');
+  const [stockLocationMode, setStockLocationMode] = useState<LocationMode>('restrict');
 
   // Permission checks
   const canViewCuts = user?.role === 'Admin' || user?.role === 'Manager' || user?.role === 'Staff';
@@ -203,7 +206,10 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
     try {
       setIsLoadingStock(true);
       setError(null);
-      const response = await orderApi.checkStock(orderId);
+      const response = await orderApi.checkStock(
+        orderId,
+        stockLocationId ? { locationId: stockLocationId, locationMode: stockLocationMode } : undefined
+      );
       setStockAvailability(response.data.detailedStockAvailability || []);
     } catch {
       setError('Failed to check stock availability');
@@ -248,6 +254,13 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
     fetchRequiredCuts();
   }, [orderId, orderStatus]);
 
+  useEffect(() => {
+    if (!canCheckStock) return;
+    locationApi.getLocations()
+      .then((response) => setLocations(response.data.locations))
+      .catch(() => setLocations([]));
+  }, [canCheckStock]);
+
   const getStockStatusBadge = (status: StockAvailability['status']) => {
     switch (status) {
       case 'Sufficient':
@@ -295,7 +308,12 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
     materialName: stock.materialName,
     status: getStockStatusBadge(stock.status),
     required: formatStockDetails(stock.requiredCutsDetail, stock.category),
-    available: formatStockDetails(stock.availableStockDetail, stock.category),
+    reserved: stock.reservedStockDetail?.length ? formatStockDetails(stock.reservedStockDetail, stock.category) : '—',
+    expired: stock.expiredStockDetail?.length ? formatStockDetails(stock.expiredStockDetail, stock.category) : '—',
+    available: formatStockDetails(stock.availableStockDetail, stock.category) +
+      (stockLocationId && stockLocationMode === 'prefer' && stock.availableStockDetail.some(detail => detail.atLocation !== undefined)
+        ? ` — at location: ${stock.availableStockDetail.map(detail => `${detail.length} ${detail.unit} (${detail.atLocation ?? 0})`).join(', ')}`
+        : ''),
     shortfall: formatStockDetails(stock.shortfallDetail, stock.category),
   }));
 
@@ -303,6 +321,8 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
     { header: 'Material', accessor: 'materialName' as const },
     { header: 'Status', accessor: 'status' as const },
     { header: 'Required', accessor: 'required' as const },
+    { header: 'Reserved (other orders)', accessor: 'reserved' as const },
+    { header: 'Expired', accessor: 'expired' as const },
     { header: 'Available', accessor: 'available' as const },
     { header: 'Shortfall', accessor: 'shortfall' as const },
   ];
@@ -415,6 +435,30 @@ export const RequiredCutsView: React.FC<RequiredCutsViewProps> = ({
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-xl font-semibold text-gray-900">Stock Availability</h2>
             <div className="flex space-x-2">
+              {locations.length > 1 && (
+                <>
+                  <select
+                    value={stockLocationId}
+                    onChange={(e) => setStockLocationId(e.target.value)}
+                    className="p-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">All locations</option>
+                    {locations.map((location) => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                  {stockLocationId && (
+                    <select
+                      value={stockLocationMode}
+                      onChange={(e) => setStockLocationMode(e.target.value as LocationMode)}
+                      className="p-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      <option value="restrict">Only this location</option>
+                      <option value="prefer">Prefer this location</option>
+                    </select>
+                  )}
+                </>
+              )}
               <Button
                 onClick={checkStock}
                 variant="default"
@@ -0,0 +1,67 @@
+import React from 'react';
+import { ProductOption, SelectedOption } from '@/lib/api/productService';
+import { resolveSelectedOptions } from '@/lib/utils/productOptions';
+
+interface ItemOptionsSelectorProps {
+  options?: ProductOption[];
+  selectedOptions?: SelectedOption[];
+  onChange: (selectedOptions: SelectedOption[]) => void;
+  readOnly?: boolean;
+}
+
+/**
+ * One select per product option for an estimation or quotation item. Changes are reported as the item's
+ * resolved selections (see resolveSelectedOptions), so options left unselected get their default choice.
+ */
+const ItemOptionsSelector: React.FC<ItemOptionsSelectorProps> = ({ options = [], selectedOptions = [], onChange, readOnly = false }) => {
+  if (options.length === 0) return null;
+
+  const selectedChoiceId = (optionId?: string) =>
+    selectedOptions.find(selected => selected.optionId === optionId)?.choiceId || '';
+
+  const handleSelect = (option: ProductOption, choiceId: string) => {
+    const others = selectedOptions.filter(selected => selected.optionId !== option._id);
+    const choice = option.choices.find(entry => entry._id === choiceId);
+    onChange(resolveSelectedOptions(options, choice && option._id
+      ? [...others, { optionId: option._id, optionName: option.name, choiceId, choiceLabel: choice.label }]
+      : others));
+  };
+
+  if (readOnly) {
+    const labels = options.map(option => {
+      const choice = option.choices.find(entry => entry._id === selectedChoiceId(option._id))
+        || option.choices.find(entry => entry.isDefault);
+      return choice ? `${option.name}: ${choice.label}` : null;
+    }).filter(Boolean);
+    return labels.length > 0 ? <div className="text-sm text-gray-600"><span className="font-medium">Options:</span> {labels.join(', ')}</div> : null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-3">
+      {options.map(option => {
+        const defaultChoice = option.choices.find(entry => entry.isDefault);
+        return (
+          <label key={option._id} className="flex flex-col text-xs text-gray-600">
+            {option.name}
+            <select
+              value={selectedChoiceId(option._id)}
+              onChange={(e) => handleSelect(option, e.target.value)}
+              className="mt-1 focus:ring-indigo-500 focus:border-indigo-500 block p-1.5 text-sm border-gray-300 rounded-md"
+            >
+              <option value="">{defaultChoice ? `Default (${defaultChoice.label})` : 'None'}</option>
+              {option.choices.map(choice => (
+                <option key={choice._id} value={choice._id}>
+                  {choice.label}
+                  {choice.pricePerAreaAdjustment ? ` (${choice.pricePerAreaAdjustment > 0 ? '+' : ''}₹${choice.pricePerAreaAdjustment}/area)` : ''}
+                  {choice.priceAdjustmentPerItem ? ` (${choice.priceAdjustmentPerItem > 0 ? '+' : ''}₹${choice.priceAdjustmentPerItem}/item)` : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ItemOptionsSelector;
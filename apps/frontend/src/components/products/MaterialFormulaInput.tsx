@@ -2,10 +2,10 @@ import React, { useEffect, useState } from 'react';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Label } from '@/components/ui/label';
-import { PlusCircle, Trash2, AlertCircle, CheckCircle2, Info, Plus, ChevronDown, ChevronUp, Zap } from 'lucide-react';
-import { productApi } from '@/lib/api/productService';
+import { Trash2, AlertCircle, CheckCircle2, Info, Plus, ChevronDown, ChevronUp, Zap } from 'lucide-react';
+import { productApi, CutAngles } from '@/lib/api/productService';
 import { inventoryApi, Material as InventoryMaterial } from '@/lib/api/inventoryService';
-import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Card, CardContent } from '@/components/ui/Card';
 import { useUnits } from '@/contexts/UnitContext';
 
 // Create simple UI components for select, checkbox, and card if they don't exist
@@ -75,12 +75,16 @@ interface MaterialInputValue {
     weightUnit: string;
   }>;
   formulas: string[];
+  cutAngles?: CutAngles[];
   formulaInputUnit: 'inches' | 'mm' | 'ft' | 'm';
   quantityUnit: 'ft' | 'inches' | 'mm' | 'sqft' | 'sqm' | 'pcs' | 'kg';
   isCutRequired: boolean;
   defaultGauge?: string;
 }
 
+const SQUARE_CUT_ANGLE = 90;
+const MIN_CUT_ANGLE = 15;
+
 interface MaterialFormulaInputProps {
   value: MaterialInputValue[];
   onChange: (materials: MaterialInputValue[]) => void;
@@ -130,7 +134,7 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
   const [loading, setLoading] = useState(false);
   const [formulaValidations, setFormulaValidations] = useState<Record<string, {valid: boolean, error?: string}>>({});
   const [showSplitNotification, setShowSplitNotification] = useState<{materialIndex: number, message: string} | null>(null);
-  const { getDefaultFormulaInputUnit, dimensionUnit, isUnitLoading } = useUnits();
+  const { getDefaultFormulaInputUnit } = useUnits();
   
   // Individual material expansion state - each material can be collapsed/expanded independently
   const [expandedMaterials, setExpandedMaterials] = useState<Set<number>>(new Set());
@@ -140,8 +144,8 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
     const fetchMaterials = async () => {
       setLoading(true);
       try {
-        const response = await inventoryApi.getMaterials();
-      } catch (error) {
+        await inventoryApi.getMaterials();
+      } catch {
         // Error loading materials
       } finally {
         setLoading(false);
@@ -301,8 +305,13 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
         newMaterials[materialIndex].formulas[formulaIndex] = formulaParts[0];
         
         // Add the remaining parts as new formulas
+        const cutAngles = newMaterials[materialIndex].cutAngles;
         for (let i = 1; i < formulaParts.length; i++) {
           newMaterials[materialIndex].formulas.splice(formulaIndex + i, 0, formulaParts[i]);
+          // Keep cut angles aligned with their formulas; split parts start as square cuts
+          if (cutAngles && cutAngles.length > formulaIndex + 1) {
+            cutAngles.splice(formulaIndex + i, 0, { startAngle: SQUARE_CUT_ANGLE, endAngle: SQUARE_CUT_ANGLE });
+          }
         }
         
         // Update the state
@@ -341,9 +350,32 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
     }
   };
   
+  const getCutAngles = (mat: MaterialInputValue, formulaIndex: number): CutAngles => {
+    return mat.cutAngles?.[formulaIndex] || { startAngle: SQUARE_CUT_ANGLE, endAngle: SQUARE_CUT_ANGLE };
+  };
+
+  /**
+   * Updates one end angle of a formula's piece. Values are clamped to the saw's range when the field loses focus.
+   */
+  const updateCutAngle = (materialIndex: number, formulaIndex: number, field: keyof CutAngles, angle: string, clamp = false) => {
+    const newMaterials = [...value];
+    const mat = newMaterials[materialIndex];
+    // cutAngles is parallel to formulas, so fill any gap before this formula with square cuts
+    const cutAngles = mat.formulas.map((_, i) => ({ ...getCutAngles(mat, i) }));
+    const parsed = parseFloat(angle);
+    if (isNaN(parsed)) {
+      cutAngles[formulaIndex][field] = SQUARE_CUT_ANGLE;
+    } else {
+      cutAngles[formulaIndex][field] = clamp ? Math.min(SQUARE_CUT_ANGLE, Math.max(MIN_CUT_ANGLE, parsed)) : parsed;
+    }
+    newMaterials[materialIndex] = { ...mat, cutAngles };
+    onChange(newMaterials);
+  };
+
   const removeFormula = (materialIndex: number, formulaIndex: number) => {
     const newMaterials = [...value];
     newMaterials[materialIndex].formulas.splice(formulaIndex, 1);
+    newMaterials[materialIndex].cutAngles?.splice(formulaIndex, 1);
     if (newMaterials[materialIndex].formulas.length === 0) {
       newMaterials[materialIndex].formulas.push(''); // Always keep at least one formula
     }
@@ -362,7 +394,7 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
         ...prev,
         [key]: result
       }));
-    } catch (error) {
+    } catch {
       setFormulaValidations(prev => ({
         ...prev,
         [key]: { valid: false, error: 'Error validating formula' }
@@ -370,11 +402,6 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
     }
   };
   
-  const getFormulaInputUnitDisplay = () => {
-    if (isUnitLoading) return 'Loading...';
-    return getDefaultFormulaInputUnit();
-  };
-
   return (
     <div className="space-y-4">
       {/* Simple Header */}
@@ -699,6 +726,35 @@ const MaterialFormulaInput: React.FC<MaterialFormulaInputProps> = ({
                                 )}
                               </div>
                               
+                              {mat.materialCategorySnapshot === 'Profile' && (
+                                <div className="flex items-center gap-1" title="Cut angle at each end of the piece (90° = square, 45° = mitre)">
+                                  <Input
+                                    type="number"
+                                    aria-label="Start angle"
+                                    className="w-16"
+                                    min={MIN_CUT_ANGLE}
+                                    max={SQUARE_CUT_ANGLE}
+                                    step="0.5"
+                                    value={getCutAngles(mat, formulaIndex).startAngle}
+                                    onChange={(e) => updateCutAngle(index, formulaIndex, 'startAngle', e.target.value)}
+                                    onBlur={(e) => updateCutAngle(index, formulaIndex, 'startAngle', e.target.value, true)}
+                                  />
+                                  <span className="text-xs text-gray-500">°/</span>
+                                  <Input
+                                    type="number"
+                                    aria-label="End angle"
+                                    className="w-16"
+                                    min={MIN_CUT_ANGLE}
+                                    max={SQUARE_CUT_ANGLE}
+                                    step="0.5"
+                                    value={getCutAngles(mat, formulaIndex).endAngle}
+                                    onChange={(e) => updateCutAngle(index, formulaIndex, 'endAngle', e.target.value)}
+                                    onBlur={(e) => updateCutAngle(index, formulaIndex, 'endAngle', e.target.value, true)}
+                                  />
+                                  <span className="text-xs text-gray-500">°</span>
+                                </div>
+                              )}
+
                               <Button
                                 type="button"
                                 variant="ghost"
@@ -12,27 +12,26 @@ import {
   CheckCircle, 
   AlertCircle, 
   Clock, 
-  Settings, 
   Package, 
   Calculator,
   Eye,
-  EyeOff,
   Save,
-  Plus,
-  FileImage
+  FileImage,
+  SlidersHorizontal
 } from 'lucide-react';
-import { productApi, ProductType, Material as ProductMaterialType, GlassFormula, TechnicalDrawing } from '@/lib/api/productService';
+import { productApi, ProductType, Material as ProductMaterialType, GlassFormula, TechnicalDrawing, ProductPricing, ProductOption } from '@/lib/api/productService';
 import { inventoryApi, Material as InventoryMaterial } from '@/lib/api/inventoryService';
 import MaterialFormulaInput from './MaterialFormulaInput';
 import GlassFormulaForm from './GlassFormulaForm';
 import TechnicalDrawingForm from './TechnicalDrawingForm';
+import ProductOptionsForm from './ProductOptionsForm';
 
 interface ProductFormProps {
   initialData?: ProductType;
   isEdit?: boolean;
 }
 
-type SectionId = 'basic' | 'labour' | 'materials' | 'glass' | 'drawing';
+type SectionId = 'basic' | 'labour' | 'materials' | 'options' | 'glass' | 'drawing';
 
 interface SectionStatus {
   completed: boolean;
@@ -91,6 +90,7 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
     basic: null,
     labour: null,
     materials: null,
+    options: null,
     glass: null,
     drawing: null
   });
@@ -101,11 +101,19 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
     imageUrl: initialData?.imageUrl || '',
     isActive: initialData?.isActive ?? true,
     materials: normalizeInitialMaterials(initialData?.materials),
+    options: initialData?.options || [],
     glassAreaFormula: initialData?.glassAreaFormula,
     technicalDrawing: initialData?.technicalDrawing,
     labourCost: {
       type: initialData?.labourCost?.type || 'fixed',
       value: getLabourCostValue(initialData?.labourCost)
+    },
+    pricing: {
+      method: initialData?.pricing?.method ?? null,
+      targetMarginPercent: initialData?.pricing?.targetMarginPercent ?? null,
+      markupPercent: initialData?.pricing?.markupPercent ?? null,
+      minimumPricePerArea: initialData?.pricing?.minimumPricePerArea ?? null,
+      minimumMarginPercent: initialData?.pricing?.minimumMarginPercent ?? null
     }
   });
   
@@ -115,11 +123,11 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
       try {
         const response = await inventoryApi.getAllMaterialsForProducts();
         setInventoryMaterials(response || []);
-      } catch (error) {
+      } catch {
         try {
           const fallbackResponse = await inventoryApi.getMaterials();
           setInventoryMaterials(fallbackResponse || []);
-        } catch (fallbackError) {
+        } catch {
           setInventoryMaterials([]);
         }
       }
@@ -163,6 +171,12 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
           hasErrors: !!sectionErrors.materials || !!materialsError,
           isOptional: false
         };
+      case 'options':
+        return {
+          completed: (formData.options || []).length > 0,
+          hasErrors: !!sectionErrors.options,
+          isOptional: true
+        };
       case 'glass':
         return {
           completed: !!formData.glassAreaFormula?.widthFormula && !!formData.glassAreaFormula?.heightFormula,
@@ -222,6 +236,14 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
     setSectionErrors(prev => ({ ...prev, materials: null }));
   };
 
+  const handleOptionsChange = (options: ProductOption[]) => {
+    setFormData(prev => ({
+      ...prev,
+      options
+    }));
+    setSectionErrors(prev => ({ ...prev, options: null }));
+  };
+
   const handleLabourCostChange = (field: 'type' | 'value', value: string) => {
     setFormData(prev => ({
       ...prev,
@@ -233,6 +255,17 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
     setSectionErrors(prev => ({ ...prev, labour: null }));
   };
 
+  // An empty field inherits the company pricing setting
+  const handlePricingChange = (field: keyof ProductPricing, value: string) => {
+    setFormData(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing!,
+        [field]: value === '' ? null : (field === 'method' ? value : parseFloat(value))
+      }
+    }));
+  };
+
   const handleGlassFormulaChange = (formula: GlassFormula) => {
     setFormData(prev => ({
       ...prev,
@@ -255,6 +288,7 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
       basic: null,
       labour: null,
       materials: null,
+      options: null,
       glass: null,
       drawing: null
     };
@@ -297,6 +331,15 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
       }
     }
 
+    // Validate options section (optional, but each option needs a name and labelled choices)
+    const incompleteOption = (formData.options || []).find(option =>
+      !option.name.trim() || option.choices.length === 0 || option.choices.some(choice => !choice.label.trim())
+    );
+    if (incompleteOption) {
+      newSectionErrors.options = 'Every option needs a name and at least one labelled choice';
+      isValid = false;
+    }
+
     // Validate glass section
     if (!formData.glassAreaFormula?.widthFormula || !formData.glassAreaFormula?.heightFormula) {
       newSectionErrors.glass = 'Both width and height formulas are required';
@@ -333,6 +376,7 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
     
     try {
       // Exclude technicalDrawing from product update as it has its own endpoint
+      // eslint-disable-next-line @typescript-eslint/no-unused-vars
       const { technicalDrawing, ...productData } = formData;
       
       if (isEdit && initialData?._id) {
@@ -362,7 +406,10 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
         }
       }
       
-      if (errorMessage.toLowerCase().includes('material')) {
+      if (errorMessage.toLowerCase().includes('option')) {
+        setSectionErrors(prev => ({ ...prev, options: errorMessage }));
+        setExpandedSections(prev => new Set([...prev, 'options']));
+      } else if (errorMessage.toLowerCase().includes('material')) {
         setMaterialsError(errorMessage);
         setSectionErrors(prev => ({ ...prev, materials: errorMessage }));
         setExpandedSections(prev => new Set([...prev, 'materials']));
@@ -631,6 +678,47 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
                   />
                 </div>
               </div>
+
+              <div className="pt-4 border-t space-y-2">
+                <h4 className="text-sm font-medium text-gray-900">Pricing Overrides</h4>
+                <p className="text-xs text-gray-500">
+                  Used to suggest this product&apos;s price when an estimation is converted to a quotation. Leave empty to use the company pricing settings.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="pricingMethod">Pricing Method</Label>
+                    <select
+                      id="pricingMethod"
+                      value={formData.pricing?.method || ''}
+                      onChange={(e) => handlePricingChange('method', e.target.value)}
+                      className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                      <option value="">Company setting</option>
+                      <option value="targetMargin">Target margin on selling price</option>
+                      <option value="markup">Markup on cost</option>
+                    </select>
+                  </div>
+                  {([
+                    ['targetMarginPercent', 'Target Margin (%)', '0.1'],
+                    ['markupPercent', 'Markup (%)', '0.1'],
+                    ['minimumPricePerArea', 'Minimum Price (₹ per area unit)', '1'],
+                    ['minimumMarginPercent', 'Minimum Margin (%)', '0.1']
+                  ] as [keyof ProductPricing, string, string][]).map(([field, label, step]) => (
+                    <div key={field} className="space-y-2">
+                      <Label htmlFor={`pricing-${field}`}>{label}</Label>
+                      <Input
+                        id={`pricing-${field}`}
+                        type="number"
+                        step={step}
+                        min="0"
+                        value={formData.pricing?.[field] ?? ''}
+                        onChange={(e) => handlePricingChange(field, e.target.value)}
+                        placeholder="Company setting"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
             </div>
           )}
         </Card>
@@ -665,6 +753,30 @@ const ProductForm: React.FC<ProductFormProps> = ({ initialData, isEdit = false }
           )}
         </Card>
 
+        {/* Options Section */}
+        <Card>
+          {renderSectionHeader(
+            'options',
+            `Options (${formData.options?.length || 0} added)`,
+            'Per-item choices such as handle, lock, mesh, tracks, grill or sill',
+            <SlidersHorizontal className="h-4 w-4 text-teal-600" />
+          )}
+          
+          {expandedSections.has('options') && (
+            <div className="border-t bg-white">
+              <div className="p-6">
+                <ProductOptionsForm
+                  value={formData.options || []}
+                  onChange={handleOptionsChange}
+                  productMaterials={formData.materials}
+                  materials={inventoryMaterials}
+                  error={sectionErrors.options || undefined}
+                />
+              </div>
+            </div>
+          )}
+        </Card>
+
         {/* Glass Configuration Section */}
         <Card>
           {renderSectionHeader(
@@ -0,0 +1,255 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Label } from '@/components/ui/label';
+import { Material as ProductMaterialType, MaterialChange, ProductOption, ProductOptionChoice } from '@/lib/api/productService';
+import { Material as InventoryMaterial } from '@/lib/api/inventoryService';
+
+interface ProductOptionsFormProps {
+  value: ProductOption[];
+  onChange: (options: ProductOption[]) => void;
+  productMaterials: ProductMaterialType[]; // Targets for 'replace' and 'remove'
+  materials: InventoryMaterial[];
+  error?: string;
+}
+
+const selectClassName = 'flex h-9 w-full rounded-md border border-input bg-background px-2 py-1 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring';
+
+const newChoice = (isDefault = false): ProductOptionChoice => ({
+  label: '',
+  isDefault,
+  materialChanges: [],
+  pricePerAreaAdjustment: 0,
+  priceAdjustmentPerItem: 0
+});
+
+/**
+ * Editor for a product's per-item options (handle type, lock, mesh, tracks, grill, sill...). Each choice can
+ * change the price and add, replace or remove materials of the product.
+ */
+const ProductOptionsForm: React.FC<ProductOptionsFormProps> = ({ value, onChange, productMaterials, materials, error }) => {
+  const updateOption = (optionIndex: number, changes: Partial<ProductOption>) => {
+    onChange(value.map((option, index) => (index === optionIndex ? { ...option, ...changes } : option)));
+  };
+
+  const updateChoice = (optionIndex: number, choiceIndex: number, changes: Partial<ProductOptionChoice>) => {
+    const option = value[optionIndex];
+    updateOption(optionIndex, {
+      choices: option.choices.map((choice, index) => {
+        if (index === choiceIndex) return { ...choice, ...changes };
+        // Only one default choice per option
+        return changes.isDefault ? { ...choice, isDefault: false } : choice;
+      })
+    });
+  };
+
+  const updateMaterialChange = (optionIndex: number, choiceIndex: number, changeIndex: number, changes: Partial<MaterialChange>) => {
+    const choice = value[optionIndex].choices[choiceIndex];
+    updateChoice(optionIndex, choiceIndex, {
+      materialChanges: choice.materialChanges.map((change, index) => (index === changeIndex ? { ...change, ...changes } : change))
+    });
+  };
+
+  const selectChangeMaterial = (optionIndex: number, choiceIndex: number, changeIndex: number, materialId: string) => {
+    const material = materials.find(entry => entry._id === materialId);
+    updateMaterialChange(optionIndex, choiceIndex, changeIndex, {
+      materialId: materialId || undefined,
+      materialNameSnapshot: material?.name,
+      materialCategorySnapshot: material?.category,
+      quantityUnit: material?.usageUnit, // Always the material's usage unit
+      isCutRequired: material?.category === 'Profile'
+    });
+  };
+
+  const targetName = (materialId?: string) =>
+    productMaterials.find(material => material.materialId === materialId)?.materialNameSnapshot || 'Material';
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Options are chosen per estimation and quotation item. A choice can add, replace or remove materials of the product
+        and change the selling price per area unit or per item. Items that do not choose an option get its default choice.
+      </p>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {value.map((option, optionIndex) => (
+        <div key={option._id || optionIndex} className="border rounded-lg p-4 space-y-3">
+          <div className="flex items-end gap-3">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor={`option-name-${optionIndex}`}>Option *</Label>
+              <Input
+                id={`option-name-${optionIndex}`}
+                value={option.name}
+                onChange={(e) => updateOption(optionIndex, { name: e.target.value })}
+                placeholder="e.g. Handle type, Mesh, Number of tracks"
+              />
+            </div>
+            <div className="flex-1 space-y-1">
+              <Label htmlFor={`option-description-${optionIndex}`}>Description</Label>
+              <Input
+                id={`option-description-${optionIndex}`}
+                value={option.description || ''}
+                onChange={(e) => updateOption(optionIndex, { description: e.target.value })}
+              />
+            </div>
+            <Button type="button" variant="outline" size="sm" onClick={() => onChange(value.filter((_, index) => index !== optionIndex))}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          {option.choices.map((choice, choiceIndex) => (
+            <div key={choice._id || choiceIndex} className="ml-4 border-l-2 pl-4 space-y-2">
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-2 items-end">
+                <div className="md:col-span-2 space-y-1">
+                  <Label className="text-xs">Choice *</Label>
+                  <Input
+                    value={choice.label}
+                    onChange={(e) => updateChoice(optionIndex, choiceIndex, { label: e.target.value })}
+                    placeholder="e.g. Premium, Yes, 3 tracks"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">+ ₹ per area unit</Label>
+                  <Input
+                    type="number"
+                    step="0.01"
+                    value={choice.pricePerAreaAdjustment}
+                    onChange={(e) => updateChoice(optionIndex, choiceIndex, { pricePerAreaAdjustment: parseFloat(e.target.value) || 0 })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">+ ₹ per item</Label>
+                  <Input
+                    type="number"
+                    step="0.01"
+                    value={choice.priceAdjustmentPerItem}
+                    onChange={(e) => updateChoice(optionIndex, choiceIndex, { priceAdjustmentPerItem: parseFloat(e.target.value) || 0 })}
+                  />
+                </div>
+                <div className="flex items-center gap-2 h-9">
+                  <label className="flex items-center gap-1 text-xs text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={choice.isDefault}
+                      onChange={(e) => updateChoice(optionIndex, choiceIndex, { isDefault: e.target.checked })}
+                    />
+                    Default
+                  </label>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => updateOption(optionIndex, { choices: option.choices.filter((_, index) => index !== choiceIndex) })}
+                  >
+                    <Trash2 className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              </div>
+
+              {choice.materialChanges.map((change, changeIndex) => (
+                <div key={changeIndex} className="grid grid-cols-1 md:grid-cols-6 gap-2 items-center bg-gray-50 rounded p-2">
+                  <select
+                    className={selectClassName}
+                    value={change.action}
+                    onChange={(e) => updateMaterialChange(optionIndex, choiceIndex, changeIndex, { action: e.target.value as MaterialChange['action'] })}
+                  >
+                    <option value="add">Add</option>
+                    <option value="replace">Replace</option>
+                    <option value="remove">Remove</option>
+                  </select>
+                  {change.action !== 'add' && (
+                    <select
+                      className={selectClassName}
+                      value={change.targetMaterialId || ''}
+                      onChange={(e) => updateMaterialChange(optionIndex, choiceIndex, changeIndex, { targetMaterialId: e.target.value || undefined })}
+                    >
+                      <option value="">Product material...</option>
+                      {productMaterials.filter(material => material.materialId).map(material => (
+                        <option key={material.materialId} value={material.materialId}>{targetName(material.materialId)}</option>
+                      ))}
+                    </select>
+                  )}
+                  {change.action !== 'remove' && (
+                    <>
+                      <select
+                        className={selectClassName}
+                        value={change.materialId || ''}
+                        onChange={(e) => selectChangeMaterial(optionIndex, choiceIndex, changeIndex, e.target.value)}
+                      >
+                        <option value="">{change.action === 'replace' ? 'Same material' : 'Material...'}</option>
+                        {materials.map(material => (
+                          <option key={material._id} value={material._id}>{material.name}</option>
+                        ))}
+                      </select>
+                      <Input
+                        className="md:col-span-2"
+                        value={(change.formulas || []).join('; ')}
+                        onChange={(e) => updateMaterialChange(optionIndex, choiceIndex, changeIndex, {
+                          formulas: e.target.value ? e.target.value.split(';').map(formula => formula.trim()) : undefined
+                        })}
+                        placeholder={change.action === 'replace' ? 'Formulas (empty keeps the current ones)' : 'Formulas, separated by ;'}
+                      />
+                      <select
+                        className={selectClassName}
+                        value={change.formulaInputUnit || ''}
+                        onChange={(e) => updateMaterialChange(optionIndex, choiceIndex, changeIndex, {
+                          formulaInputUnit: (e.target.value || undefined) as MaterialChange['formulaInputUnit']
+                        })}
+                      >
+                        <option value="">{change.action === 'replace' ? 'Same unit' : 'Input unit...'}</option>
+                        <option value="inches">inches</option>
+                        <option value="mm">mm</option>
+                        <option value="ft">ft</option>
+                        <option value="m">m</option>
+                      </select>
+                    </>
+                  )}
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => updateChoice(optionIndex, choiceIndex, {
+                      materialChanges: choice.materialChanges.filter((_, index) => index !== changeIndex)
+                    })}
+                  >
+                    <Trash2 className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => updateChoice(optionIndex, choiceIndex, {
+                  materialChanges: [...choice.materialChanges, { action: 'add', formulas: [''] }]
+                })}
+              >
+                <Plus className="h-3 w-3 mr-1" /> Material change
+              </Button>
+            </div>
+          ))}
+
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => updateOption(optionIndex, { choices: [...option.choices, newChoice(option.choices.length === 0)] })}
+          >
+            <Plus className="h-3 w-3 mr-1" /> Add choice
+          </Button>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        onClick={() => onChange([...value, { name: '', description: '', choices: [newChoice(true)] }])}
+      >
+        <Plus className="h-4 w-4 mr-2" /> Add option
+      </Button>
+    </div>
+  );
+};
+
+export default ProductOptionsForm;
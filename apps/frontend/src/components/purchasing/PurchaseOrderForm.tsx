@@ -0,0 +1,226 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/Button';
+import { batchInventoryApi, BatchMaterial } from '@/lib/api/batchInventoryService';
+import { purchaseApi, PurchaseOrder, PurchaseOrderLineInput, Supplier } from '@/lib/api/purchaseService';
+
+interface LineDraft {
+  materialId: string;
+  quantity: string;
+  unitPrice: string;
+  length: string;
+  lengthUnit: string;
+  gauge: string;
+  width: string;
+}
+
+const emptyLine = (): LineDraft => ({
+  materialId: '',
+  quantity: '',
+  unitPrice: '',
+  length: '',
+  lengthUnit: 'ft',
+  gauge: '',
+  width: '',
+});
+
+interface PurchaseOrderFormProps {
+  onCreated: (purchaseOrder: PurchaseOrder) => void;
+  onCancel: () => void;
+}
+
+export function PurchaseOrderForm({ onCreated, onCancel }: PurchaseOrderFormProps) {
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [materials, setMaterials] = useState<BatchMaterial[]>([]);
+  const [supplierId, setSupplierId] = useState('');
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState<LineDraft[]>([emptyLine()]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    Promise.all([purchaseApi.getSuppliers(), batchInventoryApi.getMaterials({ limit: 1000 })])
+      .then(([supplierResponse, materialResponse]) => {
+        setSuppliers(supplierResponse.data.suppliers);
+        setMaterials(materialResponse.data);
+      })
+      .catch((err: Error) => toast.error(err.message || 'Failed to load suppliers and materials'));
+  }, []);
+
+  const updateLine = (index: number, changes: Partial<LineDraft>) => {
+    setLines((current) => current.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  const materialFor = (materialId: string) => materials.find((material) => material.id === materialId);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!supplierId) {
+      toast.error('Select a supplier');
+      return;
+    }
+
+    const payloadLines: PurchaseOrderLineInput[] = lines
+      .filter((line) => line.materialId)
+      .map((line) => {
+        const category = materialFor(line.materialId)?.category;
+        const payload: PurchaseOrderLineInput = {
+          materialId: line.materialId,
+          quantity: Number(line.quantity),
+          unitPrice: Number(line.unitPrice),
+        };
+        if (category === 'Profile') {
+          payload.length = Number(line.length);
+          payload.lengthUnit = line.lengthUnit;
+          payload.gauge = line.gauge;
+        } else if (category === 'Wire Mesh') {
+          payload.width = Number(line.width);
+          payload.length = Number(line.length);
+          payload.lengthUnit = line.lengthUnit;
+        }
+        return payload;
+      });
+
+    if (payloadLines.length === 0) {
+      toast.error('Add at least one material');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await purchaseApi.createPurchaseOrder({
+        supplierId,
+        expectedDate: expectedDate || undefined,
+        notes: notes || undefined,
+        lines: payloadLines,
+      });
+      toast.success(response.message);
+      onCreated(response.data.purchaseOrder);
+    } catch (err) {
+      toast.error((err as Error).message || 'Failed to create purchase order');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+          <select value={supplierId} onChange={(e) => setSupplierId(e.target.value)} className={inputClass}>
+            <option value="">Select supplier</option>
+            {suppliers.map((supplier) => (
+              <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+          <input type="date" value={expectedDate} onChange={(e) => setExpectedDate(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {lines.map((line, index) => {
+          const material = materialFor(line.materialId);
+          return (
+            <div key={index} className="grid grid-cols-2 md:grid-cols-8 gap-2 items-end border-b border-gray-100 pb-2">
+              <div className="col-span-2">
+                <label className="block text-xs text-gray-500 mb-1">Material</label>
+                <select
+                  value={line.materialId}
+                  onChange={(e) => updateLine(index, { ...emptyLine(), materialId: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Select material</option>
+                  {materials.map((option) => (
+                    <option key={option.id} value={option.id}>{option.name} ({option.category})</option>
+                  ))}
+                </select>
+              </div>
+
+              {material?.category === 'Wire Mesh' && (
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Roll Width</label>
+                  <select value={line.width} onChange={(e) => updateLine(index, { width: e.target.value })} className={inputClass}>
+                    <option value="">Width</option>
+                    {(material.standardLengths || []).map((width) => (
+                      <option key={width.length} value={width.length}>{width.length} {width.unit}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {(material?.category === 'Profile' || material?.category === 'Wire Mesh') && (
+                <>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      {material.category === 'Profile' ? 'Pipe Length' : 'Roll Length'}
+                    </label>
+                    <input type="number" step="any" min="0" value={line.length} onChange={(e) => updateLine(index, { length: e.target.value })} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Unit</label>
+                    <select value={line.lengthUnit} onChange={(e) => updateLine(index, { lengthUnit: e.target.value })} className={inputClass}>
+                      <option value="ft">ft</option>
+                      <option value="inches">inches</option>
+                      <option value="mm">mm</option>
+                      <option value="m">m</option>
+                    </select>
+                  </div>
+                </>
+              )}
+
+              {material?.category === 'Profile' && (
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Gauge</label>
+                  <input type="text" value={line.gauge} onChange={(e) => updateLine(index, { gauge: e.target.value })} placeholder="e.g. 18G" className={inputClass} />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">
+                  Quantity{material ? ` (${material.category === 'Profile' ? 'pcs' : material.category === 'Wire Mesh' ? 'rolls' : material.stockUnit})` : ''}
+                </label>
+                <input type="number" step="any" min="0" value={line.quantity} onChange={(e) => updateLine(index, { quantity: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Unit Price</label>
+                <input type="number" step="any" min="0" value={line.unitPrice} onChange={(e) => updateLine(index, { unitPrice: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setLines((current) => current.filter((_, i) => i !== index))}
+                  disabled={lines.length === 1}
+                >
+                  Remove
+                </Button>
+              </div>
+            </div>
+          );
+        })}
+        <Button type="button" variant="outline" onClick={() => setLines((current) => [...current, emptyLine()])}>
+          Add Line
+        </Button>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" onClick={onCancel} disabled={isSubmitting}>Cancel</Button>
+        <Button type="submit" disabled={isSubmitting} className="bg-blue-600 hover:bg-blue-700 text-white">
+          {isSubmitting ? 'Saving...' : 'Create Draft PO'}
+        </Button>
+      </div>
+    </form>
+  );
+}
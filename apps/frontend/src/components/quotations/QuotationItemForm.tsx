@@ -5,7 +5,9 @@ import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Plus, Trash2 } from 'lucide-react';
 import { calculateItemDetailsFrontend } from '@/lib/utils/quotationCalculatorFrontend';
+import { resolveSelectedOptions } from '@/lib/utils/productOptions';
 import GlassAndFrameSelector from './GlassAndFrameSelector';
+import ItemOptionsSelector from '@/components/products/ItemOptionsSelector';
 
 interface QuotationItemFormProps {
   items: QuotationItem[];
@@ -30,7 +32,7 @@ const QuotationItemForm: React.FC<QuotationItemFormProps> = ({
       try {
         const data = await productApi.getProducts();
         setProductTypes(data);
-      } catch (error) {
+      } catch {
       } finally {
         setLoading(false);
       }
@@ -42,6 +44,10 @@ const QuotationItemForm: React.FC<QuotationItemFormProps> = ({
   const handleItemChange = (index: number, field: keyof QuotationItem, value: any) => {
     const updatedItems = [...items];
     updatedItems[index] = { ...updatedItems[index], [field]: value };
+    if (field === 'productTypeId') {
+      // Options belong to the product type: start from the new product's defaults
+      updatedItems[index].selectedOptions = resolveSelectedOptions(getProductOptions(value));
+    }
     onChange(updatedItems);
   };
 
@@ -64,6 +70,11 @@ const QuotationItemForm: React.FC<QuotationItemFormProps> = ({
     onChange(updatedItems);
   };
 
+  const getProductOptions = (productId: string) => {
+    const product = productTypes.find(p => p._id === productId);
+    return product?.options;
+  };
+
   // Helper to get product with glass formula
   const getProductGlassFormula = (productId: string) => {
     const product = productTypes.find(p => p._id === productId);
@@ -266,6 +277,22 @@ const QuotationItemForm: React.FC<QuotationItemFormProps> = ({
                 )}
               </div>
 
+              {readOnly && item.selectedOptions && item.selectedOptions.length > 0 && (
+                <div className="mt-4 text-sm text-gray-600">
+                  <span className="font-medium">Options:</span> {item.selectedOptions.map(option => `${option.optionName}: ${option.choiceLabel}`).join(', ')}
+                </div>
+              )}
+              {!readOnly && (getProductOptions(item.productTypeId) || []).length > 0 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Options</label>
+                  <ItemOptionsSelector
+                    options={getProductOptions(item.productTypeId)}
+                    selectedOptions={item.selectedOptions}
+                    onChange={(selectedOptions) => handleItemChange(index, 'selectedOptions', selectedOptions)}
+                  />
+                </div>
+              )}
+
               {/* Glass and Frame Selection for products with glass formulas */}
               {getProductGlassFormula(item.productTypeId) && (
                 <div className="col-span-full mt-4 pt-4 border-t">
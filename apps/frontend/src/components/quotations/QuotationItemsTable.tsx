@@ -121,6 +121,11 @@ const QuotationItemsTable: React.FC<QuotationItemsTableProps> = ({
                         Frame Colour: {item.frameColour}
                       </div>
                     )}
+                    {item.selectedOptions && item.selectedOptions.length > 0 && (
+                      <div className="text-xs text-gray-500">
+                        Options: {item.selectedOptions.map(option => `${option.optionName}: ${option.choiceLabel}`).join(', ')}
+                      </div>
+                    )}
                   </div>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -137,6 +142,9 @@ const QuotationItemsTable: React.FC<QuotationItemsTableProps> = ({
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   ₹{formatDecimal(item.pricePerAreaUnit)}
+                  {item.selectedOptions?.some(option => option.pricePerAreaAdjustment || option.priceAdjustmentPerItem) && (
+                    <div className="text-xs text-gray-500">+ options</div>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   ₹{formatDecimal(item.itemSubtotal)}
@@ -0,0 +1,141 @@
+import React from 'react';
+import { QuotationItem, QuotationMarginCheck } from '@/lib/types';
+
+interface QuotationMarginPanelProps {
+  items: QuotationItem[];
+  areaUnit: string;
+  totalCost?: number;
+  totalMargin?: number;
+  marginPercent?: number | null;
+  marginCheck: QuotationMarginCheck;
+}
+
+const METHOD_LABELS: Record<string, string> = {
+  targetMargin: 'Target margin',
+  markup: 'Markup',
+};
+
+const SOURCE_LABELS: Record<string, string> = {
+  productType: 'product',
+  company: 'company',
+  default: 'default',
+};
+
+const QuotationMarginPanel: React.FC<QuotationMarginPanelProps> = ({
+  items,
+  areaUnit,
+  totalCost,
+  totalMargin,
+  marginPercent,
+  marginCheck
+}) => {
+  const formatCurrency = (amount: number) => {
+    return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+  const isBelowMinimum = (percent?: number | null) =>
+    percent !== null && percent !== undefined && percent < marginCheck.minimumMarginPercent;
+
+  if (!marginCheck.checked) {
+    return (
+      <div className="bg-white p-6 rounded-lg border">
+        <h2 className="text-lg font-semibold mb-2">Cost &amp; Margin</h2>
+        <p className="text-sm text-gray-500">
+          No item carries an estimated cost. Margins are available for quotations converted from a calculated estimation.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg border space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <h2 className="text-lg font-semibold">Cost &amp; Margin</h2>
+        <span className="text-xs text-gray-500">
+          Minimum margin {marginCheck.minimumMarginPercent}% ({marginCheck.action === 'block' ? 'sending is blocked below it' : 'warned when sending'})
+        </span>
+      </div>
+
+      {marginCheck.warnings.length > 0 && (
+        <div className={`px-4 py-3 rounded text-sm border ${marginCheck.blocked ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+          <ul className="list-disc pl-5 space-y-1">
+            {marginCheck.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead>
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost / Item</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost / {areaUnit}</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Suggested / Price</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total Cost</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {items.map((item, index) => (
+              <tr key={item._id || index}>
+                <td className="px-3 py-2">
+                  <div className="font-medium">{item.productTypeNameSnapshot}</div>
+                  {item.itemLabel && <div className="text-xs text-gray-500">{item.itemLabel}</div>}
+                </td>
+                {item.costBasis && item.totalCost !== undefined ? (
+                  <>
+                    <td className="px-3 py-2 text-right">
+                      <div>{formatCurrency(item.costBasis.costPerItem || 0)}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatCurrency(item.costBasis.materialCostPerItem || 0)} material + {formatCurrency(item.costBasis.labourCostPerItem || 0)} labour
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(item.costBasis.costPerAreaUnit || 0)}</td>
+                    <td className="px-3 py-2 text-right">
+                      <div>{formatCurrency(item.costBasis.suggestedPricePerAreaUnit || 0)} / {formatCurrency(item.pricePerAreaUnit)}</div>
+                      {item.costBasis.pricingMethod && (
+                        <div className="text-xs text-gray-500">
+                          {METHOD_LABELS[item.costBasis.pricingMethod]} ({SOURCE_LABELS[item.costBasis.ruleSource || 'default']})
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(item.totalCost)}</td>
+                    <td className={`px-3 py-2 text-right font-medium ${isBelowMinimum(item.marginPercent) ? 'text-red-600' : 'text-green-700'}`}>
+                      <div>{formatCurrency(item.marginAmount || 0)}</div>
+                      <div className="text-xs">{item.marginPercent !== null && item.marginPercent !== undefined ? `${item.marginPercent}%` : '—'}</div>
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={5} className="px-3 py-2 text-right text-xs text-gray-500">
+                    Not costed (added or changed after conversion)
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="border-t pt-3 grid grid-cols-3 gap-4 text-sm">
+        <div>
+          <p className="text-gray-500">Total Cost</p>
+          <p className="font-semibold">{formatCurrency(totalCost || 0)}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Margin (after discount)</p>
+          <p className={`font-semibold ${isBelowMinimum(marginPercent) ? 'text-red-600' : 'text-green-700'}`}>
+            {formatCurrency(totalMargin || 0)}
+          </p>
+        </div>
+        <div>
+          <p className="text-gray-500">Margin %</p>
+          <p className={`font-semibold ${isBelowMinimum(marginPercent) ? 'text-red-600' : 'text-green-700'}`}>
+            {marginPercent !== null && marginPercent !== undefined ? `${marginPercent}%` : '—'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuotationMarginPanel;
@@ -0,0 +1,185 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useSettings, CuttingSettings } from '@/contexts/SettingsContext';
+import { Label } from '@/components/ui/label';
+
+const DEFAULT_CUTTING: CuttingSettings = {
+  kerf: 0.125,
+  endTrim: 0,
+  lengthUnit: 'inches',
+  minRemnantLength: 3,
+  minRemnantUnit: 'ft',
+  maxCutsPerBar: null,
+};
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const CuttingSettingsForm = () => {
+  const { settings, updateSettings, loading } = useSettings();
+  const [error, setError] = useState('');
+
+  const cutting = settings?.cutting || DEFAULT_CUTTING;
+
+  const saveCutting = (changes: Partial<CuttingSettings>) => {
+    if (settings) {
+      updateSettings({
+        cutting: {
+          ...cutting,
+          ...changes,
+        },
+      });
+    }
+  };
+
+  const handleLengthChange = (field: 'kerf' | 'endTrim' | 'minRemnantLength') => (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = parseFloat(e.target.value);
+    setError('');
+
+    if (isNaN(value) || value < 0) {
+      setError('Cutting lengths must be zero or more');
+      return;
+    }
+    saveCutting({ [field]: value });
+  };
+
+  const handleMaxCutsChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setError('');
+    if (e.target.value === '') {
+      saveCutting({ maxCutsPerBar: null });
+      return;
+    }
+
+    const value = parseInt(e.target.value, 10);
+    if (isNaN(value) || value < 1) {
+      setError('Max cuts per bar must be at least 1, or empty for no limit');
+      return;
+    }
+    saveCutting({ maxCutsPerBar: value });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium">Cutting Rules</h3>
+        <p className="text-sm text-gray-500">
+          Used for profile consumption in estimations and for cutting plans. Individual profiles can override these values.
+        </p>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <Label htmlFor="cuttingKerf" className="mb-2 block">
+            Blade Kerf
+          </Label>
+          <input
+            type="number"
+            id="cuttingKerf"
+            className={inputClassName}
+            value={cutting.kerf}
+            onChange={handleLengthChange('kerf')}
+            min="0"
+            step="0.001"
+            disabled={loading}
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Material lost with every cut
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="cuttingEndTrim" className="mb-2 block">
+            End Trim (each end)
+          </Label>
+          <input
+            type="number"
+            id="cuttingEndTrim"
+            className={inputClassName}
+            value={cutting.endTrim}
+            onChange={handleLengthChange('endTrim')}
+            min="0"
+            step="0.01"
+            disabled={loading}
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Squared off both ends of a bar before cutting
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="cuttingLengthUnit" className="mb-2 block">
+            Kerf / Trim Unit
+          </Label>
+          <select
+            id="cuttingLengthUnit"
+            className={inputClassName}
+            value={cutting.lengthUnit}
+            onChange={(e) => saveCutting({ lengthUnit: e.target.value as CuttingSettings['lengthUnit'] })}
+            disabled={loading}
+          >
+            <option value="inches">Inches</option>
+            <option value="mm">Millimeters (mm)</option>
+          </select>
+        </div>
+
+        <div>
+          <Label htmlFor="cuttingMaxCuts" className="mb-2 block">
+            Max Cuts per Bar
+          </Label>
+          <input
+            type="number"
+            id="cuttingMaxCuts"
+            className={inputClassName}
+            value={cutting.maxCutsPerBar ?? ''}
+            onChange={handleMaxCutsChange}
+            min="1"
+            step="1"
+            placeholder="No limit"
+            disabled={loading}
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Leave empty if the saw has no limit
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="cuttingMinRemnant" className="mb-2 block">
+            Minimum Usable Remnant
+          </Label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              id="cuttingMinRemnant"
+              className={inputClassName}
+              value={cutting.minRemnantLength}
+              onChange={handleLengthChange('minRemnantLength')}
+              min="0"
+              step="0.1"
+              disabled={loading}
+            />
+            <select
+              aria-label="Minimum remnant unit"
+              className="w-28 rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              value={cutting.minRemnantUnit}
+              onChange={(e) => saveCutting({ minRemnantUnit: e.target.value as CuttingSettings['minRemnantUnit'] })}
+              disabled={loading}
+            >
+              <option value="ft">ft</option>
+              <option value="inches">inches</option>
+              <option value="m">m</option>
+              <option value="mm">mm</option>
+            </select>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Shorter offcuts are counted as scrap instead of remnant stock
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default CuttingSettingsForm;
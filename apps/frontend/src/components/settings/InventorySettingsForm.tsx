@@ -0,0 +1,67 @@
+'use client';
+
+import React from 'react';
+import { useSettings, InventorySettings } from '@/contexts/SettingsContext';
+import { Label } from '@/components/ui/label';
+
+const DEFAULT_INVENTORY: InventorySettings = {
+  valuationMethod: 'FIFO',
+};
+
+const METHOD_DESCRIPTIONS: Record<InventorySettings['valuationMethod'], string> = {
+  FIFO: 'Stock is drawn oldest batch first and costed at that batch\'s purchase rate.',
+  WeightedAverage: 'Every draw is costed at the average rate of the stock on hand of the same size.',
+  SpecificBatch: 'Each draw is costed at the rate of the exact batch it came from, as chosen when consuming or planned by the cutting plan.',
+};
+
+const InventorySettingsForm = () => {
+  const { settings, updateSettings, loading } = useSettings();
+
+  const inventory = settings?.inventory || DEFAULT_INVENTORY;
+
+  const handleMethodChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    if (settings) {
+      updateSettings({
+        inventory: {
+          ...inventory,
+          valuationMethod: e.target.value as InventorySettings['valuationMethod'],
+        },
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium">Inventory Valuation</h3>
+        <p className="text-sm text-gray-500">
+          How consumed stock is costed in the stock ledger. Changing it applies to consumption from now on; past transactions keep their cost.
+        </p>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <Label htmlFor="valuationMethod" className="mb-2 block">
+            Costing Method
+          </Label>
+          <select
+            id="valuationMethod"
+            className="w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            value={inventory.valuationMethod}
+            onChange={handleMethodChange}
+            disabled={loading}
+          >
+            <option value="FIFO">FIFO (first in, first out)</option>
+            <option value="WeightedAverage">Weighted Average</option>
+            <option value="SpecificBatch">Specific Batch</option>
+          </select>
+          <p className="mt-1 text-sm text-gray-500">
+            {METHOD_DESCRIPTIONS[inventory.valuationMethod]}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventorySettingsForm;
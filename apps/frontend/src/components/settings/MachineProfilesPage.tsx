@@ -0,0 +1,459 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { settingsApi } from '@/lib/api';
+import { CutListField, CutListFieldKey, MachineProfile } from '@/lib/api/manufacturingService';
+import { Label } from '@/components/ui/label';
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const FIELD_LABELS: Record<CutListFieldKey, string> = {
+  barSequence: 'Bar sequence',
+  materialName: 'Material',
+  gauge: 'Gauge',
+  barLength: 'Bar length',
+  offcutLength: 'Offcut length',
+  stockSource: 'Stock batch / remnant',
+  cutSequence: 'Cut sequence',
+  cutLength: 'Cut length',
+  startAngle: 'Start angle',
+  endAngle: 'End angle',
+  label: 'Label text',
+  order: 'Order number',
+  identifier: 'Piece identifier',
+};
+
+const DEFAULT_FIELDS: CutListField[] = [
+  'barSequence', 'materialName', 'gauge', 'barLength', 'cutSequence', 'cutLength', 'startAngle', 'endAngle', 'label',
+].map((key) => ({ key: key as CutListFieldKey }));
+
+const EMPTY_PROFILE: MachineProfile = {
+  name: '',
+  format: 'csv',
+  lengthUnit: 'mm',
+  decimalPlaces: 1,
+  angleDecimalPlaces: 1,
+  fields: DEFAULT_FIELDS,
+  labelTemplate: '{order} {identifier}',
+  includeHeader: true,
+  delimiter: ',',
+  lineEnding: 'CRLF',
+  xmlRootElement: 'CutList',
+  xmlBarElement: 'Bar',
+  xmlCutElement: 'Cut',
+  isDefault: false,
+};
+
+const MachineProfilesPage = () => {
+  const [profiles, setProfiles] = useState<MachineProfile[]>([]);
+  const [availableFields, setAvailableFields] = useState<CutListFieldKey[]>(Object.keys(FIELD_LABELS) as CutListFieldKey[]);
+  const [editing, setEditing] = useState<MachineProfile | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchProfiles = async () => {
+    try {
+      const response = await settingsApi.getMachineProfiles();
+      setProfiles(response.profiles || []);
+      if (response.availableFields) {
+        setAvailableFields(response.availableFields);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load machine profiles');
+    }
+  };
+
+  useEffect(() => {
+    fetchProfiles();
+  }, []);
+
+  const updateEditing = (changes: Partial<MachineProfile>) => {
+    setEditing((current) => (current ? { ...current, ...changes } : current));
+  };
+
+  const updateField = (index: number, changes: Partial<CutListField>) => {
+    if (!editing) return;
+    updateEditing({ fields: editing.fields.map((field, i) => (i === index ? { ...field, ...changes } : field)) });
+  };
+
+  const moveField = (index: number, direction: -1 | 1) => {
+    if (!editing) return;
+    const fields = [...editing.fields];
+    const target = index + direction;
+    if (target < 0 || target >= fields.length) return;
+    [fields[index], fields[target]] = [fields[target], fields[index]];
+    updateEditing({ fields });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!editing) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { _id, ...profileData } = editing;
+      if (_id) {
+        await settingsApi.updateMachineProfile(_id, profileData);
+      } else {
+        await settingsApi.createMachineProfile(profileData);
+      }
+      await fetchProfiles();
+      setEditing(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save machine profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (profileId: string) => {
+    if (!window.confirm('Are you sure you want to delete this machine profile?')) {
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      await settingsApi.deleteMachineProfile(profileId);
+      await fetchProfiles();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete machine profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Cut-List Machines</h2>
+          <p className="text-muted-foreground">
+            Export formats for your saws and CNC controllers, so cut lengths no longer have to be typed in by hand.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing({ ...EMPTY_PROFILE, fields: [...DEFAULT_FIELDS] })}
+          className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          disabled={loading}
+        >
+          Add Machine
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 rounded-md p-4">
+          {error}
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="rounded-lg border bg-card shadow p-6 space-y-6">
+          <div className="grid gap-4 md:grid-cols-3">
+            <div>
+              <Label htmlFor="machineName" className="mb-2 block">Name</Label>
+              <input
+                id="machineName"
+                className={inputClassName}
+                value={editing.name}
+                onChange={(e) => updateEditing({ name: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="machineFormat" className="mb-2 block">Format</Label>
+              <select
+                id="machineFormat"
+                className={inputClassName}
+                value={editing.format}
+                onChange={(e) => updateEditing({ format: e.target.value as MachineProfile['format'] })}
+              >
+                <option value="csv">CSV</option>
+                <option value="fixedWidth">Fixed width</option>
+                <option value="xml">XML</option>
+              </select>
+            </div>
+            <div>
+              <Label htmlFor="machineUnit" className="mb-2 block">Length Unit</Label>
+              <select
+                id="machineUnit"
+                className={inputClassName}
+                value={editing.lengthUnit}
+                onChange={(e) => updateEditing({ lengthUnit: e.target.value as MachineProfile['lengthUnit'] })}
+              >
+                <option value="mm">mm</option>
+                <option value="cm">cm</option>
+                <option value="m">m</option>
+                <option value="inches">inches</option>
+              </select>
+            </div>
+            <div>
+              <Label htmlFor="machineDecimals" className="mb-2 block">Length Decimals</Label>
+              <input
+                type="number"
+                id="machineDecimals"
+                min={0}
+                max={4}
+                className={inputClassName}
+                value={editing.decimalPlaces}
+                onChange={(e) => updateEditing({ decimalPlaces: parseInt(e.target.value, 10) || 0 })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="machineAngleDecimals" className="mb-2 block">Angle Decimals</Label>
+              <input
+                type="number"
+                id="machineAngleDecimals"
+                min={0}
+                max={4}
+                className={inputClassName}
+                value={editing.angleDecimalPlaces}
+                onChange={(e) => updateEditing({ angleDecimalPlaces: parseInt(e.target.value, 10) || 0 })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="machineLabel" className="mb-2 block">Label Text</Label>
+              <input
+                id="machineLabel"
+                className={inputClassName}
+                value={editing.labelTemplate}
+                onChange={(e) => updateEditing({ labelTemplate: e.target.value })}
+              />
+              <p className="mt-1 text-xs text-gray-500">Placeholders: {'{order} {identifier} {material} {length}'}</p>
+            </div>
+            {editing.format === 'csv' && (
+              <div>
+                <Label htmlFor="machineDelimiter" className="mb-2 block">Delimiter</Label>
+                <input
+                  id="machineDelimiter"
+                  maxLength={1}
+                  className={inputClassName}
+                  value={editing.delimiter}
+                  onChange={(e) => updateEditing({ delimiter: e.target.value })}
+                />
+              </div>
+            )}
+            {editing.format === 'xml' && (
+              <>
+                <div>
+                  <Label htmlFor="machineXmlRoot" className="mb-2 block">Root Element</Label>
+                  <input
+                    id="machineXmlRoot"
+                    className={inputClassName}
+                    value={editing.xmlRootElement}
+                    onChange={(e) => updateEditing({ xmlRootElement: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="machineXmlBar" className="mb-2 block">Bar Element</Label>
+                  <input
+                    id="machineXmlBar"
+                    className={inputClassName}
+                    value={editing.xmlBarElement}
+                    onChange={(e) => updateEditing({ xmlBarElement: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="machineXmlCut" className="mb-2 block">Cut Element</Label>
+                  <input
+                    id="machineXmlCut"
+                    className={inputClassName}
+                    value={editing.xmlCutElement}
+                    onChange={(e) => updateEditing({ xmlCutElement: e.target.value })}
+                  />
+                </div>
+              </>
+            )}
+            <div>
+              <Label htmlFor="machineLineEnding" className="mb-2 block">Line Ending</Label>
+              <select
+                id="machineLineEnding"
+                className={inputClassName}
+                value={editing.lineEnding}
+                onChange={(e) => updateEditing({ lineEnding: e.target.value as MachineProfile['lineEnding'] })}
+              >
+                <option value="CRLF">Windows (CRLF)</option>
+                <option value="LF">Unix (LF)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex gap-6 text-sm">
+            {editing.format !== 'xml' && (
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={editing.includeHeader}
+                  onChange={(e) => updateEditing({ includeHeader: e.target.checked })}
+                />
+                Header row
+              </label>
+            )}
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={editing.isDefault}
+                onChange={(e) => updateEditing({ isDefault: e.target.checked })}
+              />
+              Default machine
+            </label>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-medium mb-2">Fields</h3>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {editing.format === 'xml' ? 'Attribute' : 'Heading'}
+                  </th>
+                  {editing.format === 'fixedWidth' && (
+                    <>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Width</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Align</th>
+                    </>
+                  )}
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {editing.fields.map((field, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-2">
+                      <select
+                        className={inputClassName}
+                        value={field.key}
+                        onChange={(e) => updateField(index, { key: e.target.value as CutListFieldKey })}
+                      >
+                        {availableFields.map((key) => (
+                          <option key={key} value={key}>{FIELD_LABELS[key] || key}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        className={inputClassName}
+                        placeholder={field.key}
+                        value={field.header || ''}
+                        onChange={(e) => updateField(index, { header: e.target.value || undefined })}
+                      />
+                    </td>
+                    {editing.format === 'fixedWidth' && (
+                      <>
+                        <td className="px-3 py-2 w-24">
+                          <input
+                            type="number"
+                            min={1}
+                            className={inputClassName}
+                            value={field.width ?? ''}
+                            onChange={(e) => updateField(index, { width: e.target.value ? parseInt(e.target.value, 10) : undefined })}
+                          />
+                        </td>
+                        <td className="px-3 py-2 w-28">
+                          <select
+                            className={inputClassName}
+                            value={field.align || 'left'}
+                            onChange={(e) => updateField(index, { align: e.target.value as 'left' | 'right' })}
+                          >
+                            <option value="left">Left</option>
+                            <option value="right">Right</option>
+                          </select>
+                        </td>
+                      </>
+                    )}
+                    <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                      <button type="button" className="text-gray-600 hover:text-gray-900" onClick={() => moveField(index, -1)}>↑</button>
+                      <button type="button" className="text-gray-600 hover:text-gray-900" onClick={() => moveField(index, 1)}>↓</button>
+                      <button
+                        type="button"
+                        className="text-red-600 hover:text-red-800"
+                        onClick={() => updateEditing({ fields: editing.fields.filter((_, i) => i !== index) })}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              type="button"
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+              onClick={() => updateEditing({ fields: [...editing.fields, { key: 'identifier' }] })}
+            >
+              + Add field
+            </button>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              {loading ? 'Saving...' : 'Save Machine'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="rounded-lg border bg-card">
+          {profiles.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">
+              No machines configured yet. Cut lists can still be exported in the built-in CSV, fixed-width and XML layouts (lengths in mm).
+            </p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Format</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fields</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {profiles.map((profile) => (
+                  <tr key={profile._id}>
+                    <td className="px-6 py-4 whitespace-nowrap font-medium">
+                      {profile.name}
+                      {profile.isDefault && <span className="ml-2 text-xs text-blue-600">(default)</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{profile.format}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{profile.lengthUnit}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {(profile.fields.length > 0 ? profile.fields : DEFAULT_FIELDS).map((field) => field.header || field.key).join(', ')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                      <button
+                        className="text-blue-600 hover:text-blue-800"
+                        onClick={() => setEditing({ ...EMPTY_PROFILE, ...profile, fields: profile.fields.length > 0 ? profile.fields : [...DEFAULT_FIELDS] })}
+                      >
+                        Edit
+                      </button>
+                      <button className="text-red-600 hover:text-red-800" onClick={() => profile._id && handleDelete(profile._id)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MachineProfilesPage;
@@ -0,0 +1,218 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useSettings, PricingSettings } from '@/contexts/SettingsContext';
+import { Label } from '@/components/ui/label';
+
+const DEFAULT_PRICING: PricingSettings = {
+  method: 'targetMargin',
+  targetMarginPercent: 25,
+  markupPercent: 30,
+  minimumPricePerArea: 0,
+  minimumMarginPercent: 10,
+  belowMinimumMarginAction: 'warn',
+  estimationRateSource: 'stock',
+  recostAlertPercent: 5,
+};
+
+const inputClassName =
+  'w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const PricingSettingsForm = () => {
+  const { settings, updateSettings, loading } = useSettings();
+  const [error, setError] = useState('');
+
+  const pricing = settings?.pricing || DEFAULT_PRICING;
+  const areaUnit = settings?.units?.area || 'sqft';
+
+  const savePricing = (changes: Partial<PricingSettings>) => {
+    if (settings) {
+      updateSettings({
+        pricing: {
+          ...pricing,
+          ...changes,
+        },
+      });
+    }
+  };
+
+  const handleNumberChange = (field: 'targetMarginPercent' | 'markupPercent' | 'minimumPricePerArea' | 'minimumMarginPercent' | 'recostAlertPercent') =>
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseFloat(e.target.value);
+      setError('');
+
+      if (isNaN(value) || value < 0) {
+        setError('Pricing values must be zero or more');
+        return;
+      }
+      if ((field === 'targetMarginPercent' || field === 'minimumMarginPercent') && value >= 100) {
+        setError('Margins must be below 100%');
+        return;
+      }
+      savePricing({ [field]: value });
+    };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium">Pricing Rules</h3>
+        <p className="text-sm text-gray-500">
+          Suggest item prices when an estimation is converted to a quotation, from the estimated material and labour cost.
+          Individual products can override these values.
+        </p>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <Label htmlFor="pricingMethod" className="mb-2 block">
+            Pricing Method
+          </Label>
+          <select
+            id="pricingMethod"
+            className={inputClassName}
+            value={pricing.method}
+            onChange={(e) => savePricing({ method: e.target.value as PricingSettings['method'] })}
+            disabled={loading}
+          >
+            <option value="targetMargin">Target margin on selling price</option>
+            <option value="markup">Markup on cost</option>
+          </select>
+        </div>
+
+        {pricing.method === 'markup' ? (
+          <div>
+            <Label htmlFor="pricingMarkup" className="mb-2 block">
+              Markup (%)
+            </Label>
+            <input
+              type="number"
+              id="pricingMarkup"
+              className={inputClassName}
+              value={pricing.markupPercent}
+              onChange={handleNumberChange('markupPercent')}
+              min="0"
+              step="0.1"
+              disabled={loading}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Added on top of material + labour cost
+            </p>
+          </div>
+        ) : (
+          <div>
+            <Label htmlFor="pricingTargetMargin" className="mb-2 block">
+              Target Margin (%)
+            </Label>
+            <input
+              type="number"
+              id="pricingTargetMargin"
+              className={inputClassName}
+              value={pricing.targetMarginPercent}
+              onChange={handleNumberChange('targetMarginPercent')}
+              min="0"
+              max="99"
+              step="0.1"
+              disabled={loading}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Share of the selling price left after material + labour cost
+            </p>
+          </div>
+        )}
+
+        <div>
+          <Label htmlFor="pricingMinimumPrice" className="mb-2 block">
+            Minimum Price per {areaUnit}
+          </Label>
+          <input
+            type="number"
+            id="pricingMinimumPrice"
+            className={inputClassName}
+            value={pricing.minimumPricePerArea}
+            onChange={handleNumberChange('minimumPricePerArea')}
+            min="0"
+            step="1"
+            disabled={loading}
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Suggested prices never go below this; 0 for no floor
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="pricingMinimumMargin" className="mb-2 block">
+            Minimum Margin (%)
+          </Label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              id="pricingMinimumMargin"
+              className={inputClassName}
+              value={pricing.minimumMarginPercent}
+              onChange={handleNumberChange('minimumMarginPercent')}
+              min="0"
+              max="99"
+              step="0.1"
+              disabled={loading}
+            />
+            <select
+              aria-label="Below minimum margin"
+              className="w-40 rounded-md border border-gray-300 bg-white px-3 py-2 text-gray-900 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              value={pricing.belowMinimumMarginAction}
+              onChange={(e) => savePricing({ belowMinimumMarginAction: e.target.value as PricingSettings['belowMinimumMarginAction'] })}
+              disabled={loading}
+            >
+              <option value="warn">Warn</option>
+              <option value="block">Block sending</option>
+            </select>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Checked when a costed quotation is sent, per item and overall
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="pricingRateSource" className="mb-2 block">
+            Estimation Material Rates
+          </Label>
+          <select
+            id="pricingRateSource"
+            className={inputClassName}
+            value={pricing.estimationRateSource || 'stock'}
+            onChange={(e) => savePricing({ estimationRateSource: e.target.value as PricingSettings['estimationRateSource'] })}
+            disabled={loading}
+          >
+            <option value="stock">Actual stock cost (batch averages)</option>
+            <option value="priceList">Price list in effect</option>
+          </select>
+          <p className="mt-1 text-sm text-gray-500">
+            Default for new estimations; materials missing from the price list use stock cost
+          </p>
+        </div>
+
+        <div>
+          <Label htmlFor="pricingRecostAlert" className="mb-2 block">
+            Re-cost Alert (%)
+          </Label>
+          <input
+            type="number"
+            id="pricingRecostAlert"
+            className={inputClassName}
+            value={pricing.recostAlertPercent ?? 5}
+            onChange={handleNumberChange('recostAlertPercent')}
+            min="0"
+            step="0.5"
+            disabled={loading}
+          />
+          <p className="mt-1 text-sm text-gray-500">
+            Re-costing open work flags costs that moved by more than this
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default PricingSettingsForm;
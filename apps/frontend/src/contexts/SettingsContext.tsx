@@ -29,6 +29,33 @@ export interface SettingsData {
     systemAlertsEnabled: boolean;
     emailSummaryEnabled: boolean;
   };
+  cutting: CuttingSettings;
+  inventory: InventorySettings;
+  pricing: PricingSettings;
+}
+
+export interface InventorySettings {
+  valuationMethod: 'FIFO' | 'WeightedAverage' | 'SpecificBatch';
+}
+
+export interface CuttingSettings {
+  kerf: number;
+  endTrim: number;
+  lengthUnit: 'inches' | 'mm';
+  minRemnantLength: number;
+  minRemnantUnit: 'inches' | 'ft' | 'mm' | 'm';
+  maxCutsPerBar: number | null;
+}
+
+export interface PricingSettings {
+  method: 'targetMargin' | 'markup';
+  targetMarginPercent: number;
+  markupPercent: number;
+  minimumPricePerArea: number;
+  minimumMarginPercent: number;
+  belowMinimumMarginAction: 'warn' | 'block';
+  estimationRateSource: 'stock' | 'priceList'; // Material rates for estimations that do not choose
+  recostAlertPercent: number; // Re-costing flags cost changes above this
 }
 
 interface SettingsContextType {
@@ -61,6 +88,27 @@ const defaultSettings: SettingsData = {
     systemAlertsEnabled: true,
     emailSummaryEnabled: true,
   },
+  cutting: {
+    kerf: 0.125,
+    endTrim: 0,
+    lengthUnit: 'inches',
+    minRemnantLength: 3,
+    minRemnantUnit: 'ft',
+    maxCutsPerBar: null,
+  },
+  inventory: {
+    valuationMethod: 'FIFO',
+  },
+  pricing: {
+    method: 'targetMargin',
+    targetMarginPercent: 25,
+    markupPercent: 30,
+    minimumPricePerArea: 0,
+    minimumMarginPercent: 10,
+    belowMinimumMarginAction: 'warn',
+    estimationRateSource: 'stock',
+    recostAlertPercent: 5,
+  },
 };
 
 const SettingsContext = createContext<SettingsContextType | undefined>(undefined);
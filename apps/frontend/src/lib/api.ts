@@ -1,5 +1,6 @@
 import { API_BASE_URL } from '@/lib/config';
 import { useAuthStore } from '@/lib/store/auth-store';
+import type { CutListFieldKey, MachineProfile } from '@/lib/api/manufacturingService';
 
 // Import API services
 export { productApi } from './api/productService';
@@ -135,6 +136,16 @@ export const settingsApi = {
   createCharge: (chargeData: any) => api<any>('/api/settings/charges', { method: 'POST', body: chargeData }),
   updateCharge: (chargeId: string, chargeData: any) => api<any>(`/api/settings/charges/${chargeId}`, { method: 'PUT', body: chargeData }),
   deleteCharge: (chargeId: string) => api<any>(`/api/settings/charges/${chargeId}`, { method: 'DELETE' }),
+
+  // Cut-list machine profiles API
+  getMachineProfiles: () =>
+    api<{ profiles: MachineProfile[]; availableFields: CutListFieldKey[] }>('/api/settings/machine-profiles'),
+  createMachineProfile: (profileData: Omit<MachineProfile, '_id'>) =>
+    api<MachineProfile>('/api/settings/machine-profiles', { method: 'POST', body: profileData }),
+  updateMachineProfile: (profileId: string, profileData: Partial<MachineProfile>) =>
+    api<MachineProfile>(`/api/settings/machine-profiles/${profileId}`, { method: 'PUT', body: profileData }),
+  deleteMachineProfile: (profileId: string) =>
+    api<{ message: string }>(`/api/settings/machine-profiles/${profileId}`, { method: 'DELETE' }),
   
   // Help and changelog
   getHelp: () => api<any>('/api/settings/help'),
@@ -58,9 +58,14 @@ export interface PnLSimpleResponse {
       totalCosts: number;
       entries: PnLSimpleEntry[];
     };
+    otherIncome?: {
+      totalOtherIncome: number;
+      entries: PnLSimpleEntry[];
+    };
     summary: {
       grossProfit: number;
       grossMargin: number;
+      otherIncome?: number;
       netProfit: number;
       netMargin: number;
     };
@@ -4,6 +4,19 @@ import { api } from '../api';
 // TYPE DEFINITIONS FOR BATCH INVENTORY SYSTEM
 // ============================================================================
 
+/**
+ * Per-profile cutting rule overrides; null values inherit the company cutting settings.
+ */
+export interface MaterialCuttingParameters {
+  kerf: number | null;
+  endTrim: number | null;
+  lengthUnit: 'inches' | 'mm';
+  minRemnantLength: number | null;
+  minRemnantUnit: 'inches' | 'ft' | 'mm' | 'm';
+  maxCutsPerBar: number | null;
+  mitreDepth?: number | null; // Profile depth across the mitred face, in lengthUnit
+}
+
 export interface BatchMaterial {
   id: string;
   name: string;
@@ -16,18 +29,23 @@ export interface BatchMaterial {
   description?: string;
   aggregatedTotals: {
     totalCurrentStock: string;
+    totalReservedStock?: string;
     totalCurrentWeight: string;
     totalCurrentValue: string;
     averageRatePerPiece: string;
     averageRatePerKg: string;
+    totalRemnantPieces?: string;
+    totalRemnantValue?: string;
     lastUpdated: string;
   };
   activeBatchCount: number;
+  activeRemnantCount?: number;
   hasLowStock: boolean;
   systemType?: 'v2' | 'legacy'; // Indicates if material is from new batch system or legacy system
   // Profile-specific fields for editing
   standardLengths?: Array<{ length: string; unit: string }>;
   referenceGaugeWeights?: Array<{ gauge: string; referenceWeight: string; unitLength: string }>;
+  cuttingParameters?: MaterialCuttingParameters;
 }
 
 export interface StockBatch {
@@ -63,12 +81,34 @@ export interface StockBatch {
   purchaseDate: string;
   invoiceNumber?: string;
   lotNumber?: string;
+  expiryDate?: string;
   notes?: string;
   isActive: boolean;
   isCompleted: boolean;
+  reservedQuantity?: string;
+  reservations?: Array<{ orderId: string; orderIdDisplay?: string; quantity: string; reservedAt: string }>;
   utilizationPercent: string;
 }
 
+export interface RemnantPiece {
+  remnantId: string;
+  length: string;
+  lengthUnit: string;
+  gauge?: string;
+  originalQuantity: string;
+  currentQuantity: string;
+  ratePerPiece: string;
+  sourceBatchId?: string;
+  sourceCuttingPlanId?: string;
+  sourceOrderId?: string;
+  sourcePipeLength?: string;
+  sourcePipeLengthUnit?: string;
+  createdDate: string;
+  notes?: string;
+  isActive: boolean;
+  isCompleted: boolean;
+}
+
 export interface StockSummary {
   [key: string]: {
     length: string;
@@ -99,14 +139,18 @@ export interface MaterialStockReport {
   };
   aggregatedTotals: {
     totalCurrentStock: string;
+    totalReservedStock?: string;
     totalCurrentWeight: string;
     totalCurrentValue: string;
     averageRatePerPiece: string;
     averageRatePerKg: string;
+    totalRemnantPieces?: string;
+    totalRemnantValue?: string;
     lastUpdated: string;
   };
   stockSummary: StockSummary;
   activeBatches: StockBatch[];
+  remnants?: RemnantPiece[];
   totalBatches: number;
   lastUpdated: string;
 }
@@ -139,7 +183,9 @@ export interface BatchStockInwardData {
   supplier?: string;
   invoiceNumber?: string;
   lotNumber?: string;
+  expiryDate?: string; // Shelf-life end, for simple-batch materials such as sealants
   notes?: string;
+  locationId?: string; // Defaults to the company's default location
 }
 
 export interface SimplifiedMaterialData {
@@ -241,6 +287,61 @@ export interface ConsumptionHistoryFilters {
   limit?: number;
 }
 
+/**
+ * A batch past or close to its expiry date that still has stock.
+ */
+export interface ExpiryAlert {
+  materialId: string;
+  materialName: string;
+  category: string;
+  batchId: string;
+  lotNumber?: string;
+  supplier?: string;
+  expiryDate: string;
+  daysLeft: number;
+  status: 'expired' | 'expiring';
+  quantity: number;
+  unit: string;
+  value: number;
+  locationId?: string;
+}
+
+/**
+ * Row-level result of a bulk material import dry run.
+ */
+export interface MaterialImportRowResult {
+  rowNumber: number;
+  name?: string;
+  status: 'ok' | 'warning' | 'error' | 'skipped';
+  messages: string[];
+}
+
+export interface MaterialImportReport {
+  rows: MaterialImportRowResult[];
+  materials: {
+    name: string;
+    category: string;
+    rows: number[];
+    standardLengths: string[];
+    gauges: string[];
+    openingBatches: number;
+    openingQuantity: number;
+    openingValue: number;
+    hasError: boolean;
+  }[];
+  unknownColumns: string[];
+  summary: {
+    rowCount: number;
+    errorCount: number;
+    warningCount: number;
+    skippedCount: number;
+    materialCount: number;
+    batchCount: number;
+    openingValue: number;
+  };
+  canImport: boolean;
+}
+
 // ============================================================================
 // BATCH INVENTORY API SERVICE
 // ============================================================================
@@ -428,6 +529,128 @@ export const batchInventoryApi = {
     }>(url);
   },
 
+  /**
+   * Batches expired or expiring within the given number of days
+   */
+  getExpiryAlerts: (days = 30) =>
+    api<{
+      success: boolean;
+      data: {
+        days: number;
+        alerts: ExpiryAlert[];
+        expiredCount: number;
+        expiringCount: number;
+        expiredValue: number;
+      };
+    }>(`/api/v2/inventory/expiry-alerts?days=${days}`),
+
+  // ========================================
+  // Bulk Import
+  // ========================================
+
+  /**
+   * Download the CSV template for material and opening stock import
+   */
+  downloadImportTemplate: async () => {
+    const { useAuthStore } = await import('@/lib/store/auth-store');
+    const token = useAuthStore.getState().token;
+
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/v2/inventory/import/template`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.blob();
+  },
+
+  /**
+   * Validate an import sheet (CSV or cells pasted from Excel) without saving anything
+   */
+  previewImport: (content: string, skipExisting?: boolean) =>
+    api<{
+      success: boolean;
+      message: string;
+      data: MaterialImportReport;
+    }>('/api/v2/inventory/import/preview', {
+      method: 'POST',
+      body: { content, skipExisting }
+    }),
+
+  /**
+   * Import materials, gauge weights and opening stock; nothing is saved if any row has an error
+   */
+  importMaterials: (content: string, skipExisting?: boolean) =>
+    api<{
+      success: boolean;
+      message: string;
+      data: {
+        report: MaterialImportReport;
+        materials: {
+          id: string;
+          name: string;
+          category: string;
+          totalCurrentStock: string;
+          totalCurrentValue: string;
+        }[];
+        transactionCount: number;
+      };
+    }>('/api/v2/inventory/import', {
+      method: 'POST',
+      body: { content, skipExisting }
+    }),
+
+  // ========================================
+  // Remnant (Offcut) Operations
+  // ========================================
+
+  /**
+   * Get reusable offcuts produced by committed cutting plans
+   */
+  getRemnants: (materialId: string, options?: { gauge?: string; includeCompleted?: boolean }) => {
+    const queryParams = new URLSearchParams();
+    if (options?.gauge) queryParams.set('gauge', options.gauge);
+    if (options?.includeCompleted !== undefined) {
+      queryParams.set('includeCompleted', options.includeCompleted.toString());
+    }
+
+    const queryString = queryParams.toString();
+    const url = `/api/v2/inventory/remnants/${materialId}${queryString ? `?${queryString}` : ''}`;
+
+    return api<{
+      success: boolean;
+      data: {
+        remnants: RemnantPiece[];
+        totalPieces: string;
+        totalValue: string;
+      };
+      count: number;
+    }>(url);
+  },
+
+  /**
+   * Consume a remnant piece, or write it off as scrap
+   */
+  consumeRemnant: (
+    materialId: string,
+    remnantId: string,
+    data: { quantity?: number; action?: 'consume' | 'writeOff'; notes?: string }
+  ) =>
+    api<{
+      success: boolean;
+      message: string;
+      data: {
+        remnant: RemnantPiece;
+        transactionId: string;
+      };
+    }>(`/api/v2/inventory/remnants/${materialId}/${remnantId}/consume`, {
+      method: 'POST',
+      body: data
+    }),
+
   // ========================================
   // Analytics & Insights
   // ========================================
@@ -436,7 +659,6 @@ export const batchInventoryApi = {
    * Get supplier performance analytics
    */
   getSupplierAnalytics: async (materialId: string, dateRange?: { start: string; end: string }) => {
-    const report = await batchInventoryApi.getStockReport(materialId);
     const batchHistory = await batchInventoryApi.getBatchHistory(materialId, {
       startDate: dateRange?.start,
       endDate: dateRange?.end,
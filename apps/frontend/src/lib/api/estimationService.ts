@@ -1,9 +1,12 @@
 import { api } from '../api';
 import { useAuthStore } from '../store/auth-store';
 import { API_BASE_URL } from '../config';
+import { SelectedOption } from './productService';
 
 export interface EstimationItem {
+  _id?: string;
   productTypeId: string;
+  productTypeNameSnapshot?: string;
   width: number;
   height: number;
   quantity: number;
@@ -14,6 +17,7 @@ export interface EstimationItem {
   calculatedGlassQuantity?: string | number;
   calculatedGlassUnit?: 'sqft' | 'sqm';
   calculatedGlassCost?: string | number;
+  selectedOptions?: SelectedOption[]; // Product options chosen for the item
 }
 
 // Define the interface for individual breakdown items for use in CalculatedMaterial
@@ -34,6 +38,7 @@ export interface CalculatedMaterial {
   weightUnit: string; // Added field for weight unit (kg, lb, etc.)
   autoUnitRate: string; // Added field for auto-filled rate
   autoRateUnit: string; // Added field for auto-filled rate unit
+  autoRateSource?: 'stock' | 'priceList'; // Where the auto rate came from
   manualUnitRate: string;
   manualRateUnit?: string; // Added optional manualRateUnit
   calculatedCost: string;
@@ -58,12 +63,99 @@ export interface ManualCharge {
   rateDescription?: string;
 }
 
+export interface EstimationVariantItemOverride {
+  itemId: string;
+  productTypeId?: string;
+  productTypeNameSnapshot?: string;
+  selectedGlassTypeId?: string;
+  selectedGlassTypeNameSnapshot?: string;
+}
+
+// A named option of the estimation, e.g. a heavier gauge or toughened glass
+export interface EstimationVariant {
+  _id: string;
+  name: string;
+  description?: string;
+  gauge?: string;
+  selectedGlassTypeId?: string;
+  selectedGlassTypeNameSnapshot?: string;
+  itemOverrides: EstimationVariantItemOverride[];
+  subtotalMaterials: string;
+  subtotalLabour: string;
+  totalEstimatedCost: string;
+  markedUpTotal: string;
+  calculatedAt?: string;
+  calculationError?: string;
+}
+
+export interface EstimationVariantInput {
+  name: string;
+  description?: string;
+  gauge?: string;
+  selectedGlassTypeId?: string;
+  itemOverrides?: { itemId: string; productTypeId?: string; selectedGlassTypeId?: string }[];
+}
+
+export interface VariantComparisonTotals {
+  subtotalProfiles: number;
+  subtotalGlass: number;
+  subtotalOtherMaterials: number;
+  subtotalMaterials: number;
+  subtotalLabour: number;
+  subtotalOtherCharges: number;
+  totalEstimatedCost: number;
+  markedUpTotal: number;
+  totalWeight: number; // kg of profiles
+}
+
+export interface VariantComparisonOption {
+  variantId: string | null; // null for the base estimation
+  name: string;
+  description: string;
+  changes: string[];
+  calculated: boolean;
+  calculatedAt: string | null;
+  calculationError: string | null;
+  totals: VariantComparisonTotals;
+  differenceFromBase: number | null;
+}
+
+export interface VariantComparison {
+  estimation: {
+    _id: string;
+    projectName: string;
+    clientName: string | null;
+    status: Estimation['status'];
+    dimensionUnitUsed: string;
+    markupPercentage: number;
+    itemCount: number;
+    convertedVariantId: string | null;
+  };
+  options: VariantComparisonOption[];
+  materials: {
+    materialId: string;
+    materialName: string;
+    category: string;
+    // Parallel to options; null where the option does not use the material
+    options: ({ totalQuantity: number; quantityUnit: string; totalWeight: number; calculatedCost: number } | null)[];
+  }[];
+}
+
 export interface Estimation {
   _id: string;
   projectName: string;
   clientId?: string | { _id: string; clientName: string; email?: string; /* other fields */ };
   clientNameSnapshot?: string;
   dimensionUnitUsed: 'inches' | 'mm' | 'ft' | 'm';
+  gauge?: string;
+  rateSource?: EstimationRateSource | null; // Blank follows the company default
+  costedWith?: {
+    rateSource: EstimationRateSource;
+    priceListId?: string;
+    priceListName?: string;
+    priceListEffectiveFrom?: string;
+    calculatedAt?: string;
+  };
   items: EstimationItem[];
   calculatedMaterials: CalculatedMaterial[];
   manualCharges: ManualCharge[];
@@ -73,16 +165,21 @@ export interface Estimation {
   markupPercentage: string;
   markedUpTotal: string;
   status: 'Draft' | 'Calculated' | 'Converted' | 'Archived';
+  variants?: EstimationVariant[];
+  convertedVariantId?: string;
   notes?: string; // Added optional notes
   createdBy: string;
   createdAt: string;
   updatedAt: string;
 }
 
+export type EstimationRateSource = 'stock' | 'priceList';
+
 export interface EstimationCreateData {
   projectName: string;
   clientId?: string;
   dimensionUnitUsed: 'inches' | 'mm' | 'ft' | 'm';
+  rateSource?: EstimationRateSource | '';
   items: EstimationItem[];
 }
 
@@ -92,6 +189,59 @@ export interface EstimationUpdateData extends EstimationCreateData {
   calculatedMaterials?: Partial<CalculatedMaterial>[];
 }
 
+export type SheetUnit = 'inches' | 'mm' | 'cm' | 'ft' | 'm';
+
+export interface ImportMatch {
+  input: string;
+  id: string | null;
+  name: string | null;
+  score: number;
+  exact: boolean;
+}
+
+export interface EstimationImportRow {
+  rowNumber: number;
+  itemLabel: string;
+  width?: number; // In the estimation's dimension unit
+  height?: number;
+  widthSource?: { value: string; unit: string }; // As written in the sheet when converted
+  heightSource?: { value: string; unit: string };
+  quantity: number;
+  productType?: ImportMatch;
+  glass?: ImportMatch;
+  status: 'ok' | 'unresolved';
+  errors: string[];
+  warnings: string[];
+}
+
+export interface EstimationImportReport {
+  rows: EstimationImportRow[];
+  unknownColumns: string[];
+  fields: Record<string, string>;
+  dimensionUnit: string;
+  sheetUnit: string;
+  summary: {
+    rowCount: number;
+    importableCount: number;
+    unresolvedCount: number;
+    warningCount: number;
+    itemQuantity: number;
+  };
+  canImport: boolean;
+}
+
+export interface EstimationImportOptions {
+  sheetUnit?: SheetUnit;
+  columns?: Record<string, string>; // Sheet header -> field, for headers not recognised automatically
+}
+
+export interface EstimationImportResult {
+  message: string;
+  estimation: Estimation;
+  report: EstimationImportReport;
+  calculationError: string | null;
+}
+
 export const estimationApi = {
   // Create a new estimation
   createEstimation: async (data: EstimationCreateData): Promise<Estimation> => {
@@ -194,10 +344,110 @@ export const estimationApi = {
     }
   },
 
-  // Convert an estimation to a quotation
-  convertToQuotation: async (id: string): Promise<{ message: string; quotationId: string }> => {
+  // Convert an estimation to a quotation, optionally quoting one of its variants
+  convertToQuotation: async (id: string, variantId?: string): Promise<{ message: string; quotationId: string }> => {
     return await api<{ message: string; quotationId: string }>(`/api/estimations/${id}/to-quotation`, { 
-      method: 'POST' 
+      method: 'POST',
+      body: variantId ? { variantId } : undefined
+    });
+  },
+
+  // Add a named variant and price it
+  addVariant: async (id: string, data: EstimationVariantInput): Promise<Estimation> => {
+    const response = await api<{ message: string; estimation: Estimation }>(`/api/estimations/${id}/variants`, {
+      method: 'POST',
+      body: data
+    });
+    return response.estimation;
+  },
+
+  // Replace a variant's overrides and price it again
+  updateVariant: async (id: string, variantId: string, data: EstimationVariantInput): Promise<Estimation> => {
+    const response = await api<{ message: string; estimation: Estimation }>(`/api/estimations/${id}/variants/${variantId}`, {
+      method: 'PUT',
+      body: data
+    });
+    return response.estimation;
+  },
+
+  deleteVariant: async (id: string, variantId: string): Promise<Estimation> => {
+    const response = await api<{ message: string; estimation: Estimation }>(`/api/estimations/${id}/variants/${variantId}`, {
+      method: 'DELETE'
+    });
+    return response.estimation;
+  },
+
+  // Base estimation and variants side by side
+  compareVariants: async (id: string): Promise<VariantComparison> => {
+    return await api<VariantComparison>(`/api/estimations/${id}/variants/compare`);
+  },
+
+  generateVariantComparisonPDF: async (id: string): Promise<Blob> => {
+    const token = useAuthStore.getState().token;
+    const response = await fetch(`${API_BASE_URL}/api/estimations/${id}/variants/compare/pdf`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to generate PDF: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.blob();
+  },
+
+  // Site measurement sheet template (CSV)
+  downloadImportTemplate: async (): Promise<Blob> => {
+    const token = useAuthStore.getState().token;
+    const response = await fetch(`${API_BASE_URL}/api/estimations/import/template`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download template: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.blob();
+  },
+
+  // Resolve a sheet of openings into items without saving anything
+  previewImport: async (
+    content: string,
+    dimensionUnitUsed: EstimationCreateData['dimensionUnitUsed'],
+    options: EstimationImportOptions = {}
+  ) => {
+    return await api<{ message: string; report: EstimationImportReport }>('/api/estimations/import/preview', {
+      method: 'POST',
+      body: { content, dimensionUnitUsed, ...options }
+    });
+  },
+
+  // Create an estimation from a sheet and calculate it
+  importEstimation: async (
+    content: string,
+    data: Omit<EstimationCreateData, 'items'> & EstimationImportOptions
+  ): Promise<EstimationImportResult> => {
+    return await api<EstimationImportResult>('/api/estimations/import', {
+      method: 'POST',
+      body: { content, ...data }
+    });
+  },
+
+  // Add (or replace) an estimation's items from a sheet and recalculate it
+  importIntoEstimation: async (
+    id: string,
+    content: string,
+    mode: 'append' | 'replace',
+    options: EstimationImportOptions = {}
+  ): Promise<EstimationImportResult> => {
+    return await api<EstimationImportResult>(`/api/estimations/${id}/import`, {
+      method: 'POST',
+      body: { content, mode, ...options }
     });
   },
 
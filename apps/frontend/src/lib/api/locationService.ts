@@ -0,0 +1,131 @@
+import { api } from '../api';
+
+export type LocationMode = 'restrict' | 'prefer';
+
+export interface StockLocation {
+  _id: string;
+  name: string;
+  code?: string;
+  address?: string;
+  notes?: string;
+  isDefault: boolean;
+  isActive: boolean;
+  createdAt: string;
+}
+
+export interface LocationInput {
+  name?: string;
+  code?: string;
+  address?: string;
+  notes?: string;
+  isDefault?: boolean;
+  isActive?: boolean;
+}
+
+export interface LocationStockBatch {
+  batchId: string;
+  length?: number;
+  lengthUnit?: string;
+  gauge?: string;
+  width?: number;
+  widthUnit?: string;
+  quantity: number;
+  reserved: number;
+  area?: number;
+  areaUnit?: string;
+  rate: number;
+  value: number;
+  purchaseDate?: string;
+}
+
+export interface LocationStockMaterial {
+  materialId: string;
+  name: string;
+  category: string;
+  stockUnit: string;
+  totalStock: number;
+  remnantPieces: number;
+  value: number;
+  batches: LocationStockBatch[];
+}
+
+export interface LocationStock {
+  location: StockLocation;
+  materials: LocationStockMaterial[];
+  totalValue: number;
+}
+
+export interface StockTransferLine {
+  _id: string;
+  materialId: string;
+  materialNameSnapshot: string;
+  category: string;
+  batchId: string;
+  destinationBatchId: string;
+  length?: string;
+  lengthUnit?: string;
+  gauge?: string;
+  quantity: string;
+  quantityUnit?: string;
+  unitRate?: string;
+  notes?: string;
+}
+
+export interface StockTransfer {
+  _id: string;
+  transferNumber: string;
+  fromLocationId: Pick<StockLocation, '_id' | 'name' | 'code'>;
+  toLocationId: Pick<StockLocation, '_id' | 'name' | 'code'>;
+  transferDate: string;
+  lines: StockTransferLine[];
+  totalValue?: string;
+  notes?: string;
+  createdBy?: { _id: string; firstName?: string; lastName?: string };
+}
+
+export interface StockTransferInput {
+  fromLocationId: string;
+  toLocationId: string;
+  notes?: string;
+  lines: { materialId: string; batchId: string; quantity: number; notes?: string }[];
+}
+
+export const locationApi = {
+  getLocations: (includeInactive = false) =>
+    api<{ data: { locations: StockLocation[] } }>(`/api/locations${includeInactive ? '?includeInactive=true' : ''}`),
+
+  createLocation: (data: LocationInput) =>
+    api<{ data: { location: StockLocation } }>('/api/locations', {
+      method: 'POST',
+      body: data,
+    }),
+
+  updateLocation: (locationId: string, data: LocationInput) =>
+    api<{ data: { location: StockLocation } }>(`/api/locations/${locationId}`, {
+      method: 'PUT',
+      body: data,
+    }),
+
+  getLocationStock: (locationId: string) =>
+    api<{ data: LocationStock }>(`/api/locations/${locationId}/stock`),
+
+  getTransfers: (filters?: { locationId?: string; page?: number; limit?: number }) => {
+    const queryParams = new URLSearchParams();
+    if (filters?.locationId) queryParams.append('locationId', filters.locationId);
+    if (filters?.page) queryParams.append('page', filters.page.toString());
+    if (filters?.limit) queryParams.append('limit', filters.limit.toString());
+    const queryString = queryParams.toString();
+    return api<{
+      data: {
+        transfers: StockTransfer[];
+        pagination: { total: number; page: number; limit: number; totalPages: number };
+      };
+    }>(`/api/stock-transfers${queryString ? `?${queryString}` : ''}`);
+  },
+
+  createTransfer: (data: StockTransferInput) =>
+    api<{ message: string; data: { transfer: StockTransfer } }>('/api/stock-transfers', {
+      method: 'POST',
+      body: data,
+    }),
+};
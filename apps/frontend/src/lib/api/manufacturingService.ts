@@ -6,26 +6,81 @@ export interface CuttingPlan {
   orderIdDisplay: string;
   companyId: string;
   generatedBy: string;
+  version?: number;
+  isActive?: boolean;
+  status?: 'Generated' | 'Committed';
   materialPlans: MaterialPlan[];
   summary: {
     totalWeight: number;
     totalScrapWeight: number;
   };
+  optimization?: OptimizationReport;
   createdAt: string;
   updatedAt: string;
 }
 
+export type CuttingStrategy = 'greedy' | 'exact' | 'localSearch' | 'auto';
+
+export interface OptimizationStats {
+  pipesUsed: number;
+  remnantsUsed: number;
+  totalStockLength: number;
+  scrapLength: number;
+  scrapPercent: number;
+}
+
+export interface OptimizationReport {
+  strategy: CuttingStrategy;
+  isOptimal: boolean;
+  elapsedMs: number;
+  lengthUnit: string;
+  result: OptimizationStats;
+  greedyBaseline: OptimizationStats;
+}
+
+export type CuttingRuleSource = 'material' | 'company' | 'default';
+
+// Cutting rules that were active when the plan was generated (lengths in inches)
+export interface PlanCuttingParameters {
+  kerf: number;
+  endTrim: number;
+  minRemnantLength: number;
+  maxCutsPerBar: number | null;
+  mitreDepth?: number; // Profile depth used to nest opposite mitres
+  unit: string;
+  sources?: {
+    kerf: CuttingRuleSource;
+    endTrim: CuttingRuleSource;
+    minRemnantLength: CuttingRuleSource;
+    maxCutsPerBar: CuttingRuleSource;
+  };
+}
+
 export interface MaterialPlan {
   materialId: string;
   materialNameSnapshot: string;
   gaugeSnapshot?: string;
+  cuttingParameters?: PlanCuttingParameters;
   pipesUsed: PipeUsed[];
 }
 
 export interface PipeUsed {
   standardLength: number;
   standardLengthUnit: string;
-  cutsMade: { length: number; unit: string }[];
+  sourceType?: 'Batch' | 'Remnant';
+  sourceBatchId?: string;
+  sourceRemnantId?: string;
+  cutsMade: {
+    length: number;
+    unit: string;
+    identifier?: string;
+    startAngle?: number;
+    endAngle?: number;
+    orderId?: string;
+    pieceId?: string;
+    itemIndex?: number;
+    position?: string;
+  }[];
   scrapGenerated: number;
   calculatedWeight?: number;
 }
@@ -39,22 +94,298 @@ export interface PipeOrderSummary {
     quantity: number;
     totalScrap: string;
     scrapUnit?: string;
+    isRemnant?: boolean;
   }[];
   totalWeight: string;
 }
 
+export interface CuttingPlanVersionTotals {
+  pipesUsed: number;
+  remnantsUsed: number;
+  totalStockLength: number; // inches
+  scrapLength: number; // inches
+  scrapPercent: number;
+  totalWeight: number;
+}
+
+export interface CuttingPlanVersionSummary {
+  _id: string;
+  version: number;
+  isActive: boolean;
+  status: 'Generated' | 'Committed';
+  strategy: CuttingStrategy;
+  timeLimitMs?: number;
+  generatedAt: string;
+  generatedBy: string | null;
+  totals: CuttingPlanVersionTotals;
+}
+
+export interface MaterialVersionTotals {
+  pipesUsed: number;
+  remnantsUsed: number;
+  scrapLength: number;
+  totalWeight: number;
+}
+
+// Differences are reported as `to - from`
+export interface CuttingPlanComparison {
+  from: CuttingPlanVersionSummary;
+  to: CuttingPlanVersionSummary;
+  difference: MaterialVersionTotals & { scrapPercent: number };
+  lengthUnit: string;
+  materials: {
+    materialId: string;
+    materialNameSnapshot: string;
+    gaugeSnapshot?: string;
+    scrapUnit: string;
+    from: MaterialVersionTotals;
+    to: MaterialVersionTotals;
+    difference: MaterialVersionTotals;
+  }[];
+}
+
+export type CuttingBatchStatus = 'Generated' | 'Committed' | 'Cancelled';
+
+export interface CuttingBatchOrder {
+  orderId: string;
+  orderIdDisplay: string;
+  clientNameSnapshot?: string;
+}
+
+export interface CuttingBatchSummary {
+  _id: string;
+  batchNumber: string;
+  orders: CuttingBatchOrder[];
+  status: CuttingBatchStatus;
+  requestedOptions?: { strategy: CuttingStrategy; timeLimitMs?: number };
+  generatedAt: string;
+  committedAt?: string;
+  optimization?: OptimizationReport;
+  notes?: string;
+}
+
+// What each order was charged when the batch was committed
+export interface CuttingBatchOrderAllocation {
+  orderId: string;
+  materialId: string;
+  materialNameSnapshot: string;
+  pipeShare: string;
+  cutLength: string;
+  lengthUnit: string;
+  value: string;
+}
+
+export interface CuttingBatch extends CuttingBatchSummary {
+  materialPlans: MaterialPlan[];
+  orderAllocations: CuttingBatchOrderAllocation[];
+}
+
+export type CutListFormat = 'csv' | 'fixedWidth' | 'xml';
+
+export type CutListFieldKey =
+  | 'barSequence' | 'materialName' | 'gauge' | 'barLength' | 'offcutLength' | 'stockSource'
+  | 'cutSequence' | 'cutLength' | 'startAngle' | 'endAngle' | 'label' | 'order' | 'identifier';
+
+export interface CutListField {
+  key: CutListFieldKey;
+  header?: string;
+  width?: number; // fixedWidth only
+  align?: 'left' | 'right'; // fixedWidth only
+}
+
+// Cut-list layout for one saw / CNC controller, stored in company settings
+export interface MachineProfile {
+  _id?: string;
+  name: string;
+  format: CutListFormat;
+  lengthUnit: 'mm' | 'inches' | 'cm' | 'm';
+  decimalPlaces: number;
+  angleDecimalPlaces: number;
+  fields: CutListField[];
+  labelTemplate: string;
+  includeHeader: boolean;
+  delimiter: string;
+  lineEnding: 'LF' | 'CRLF';
+  xmlRootElement: string;
+  xmlBarElement: string;
+  xmlCutElement: string;
+  isDefault: boolean;
+}
+
+export interface CutListExportOptions {
+  profileId?: string;
+  format?: CutListFormat;
+  version?: number;
+}
+
+export type CutLabelSize = '50x25' | '62x29' | '100x50' | '4x2in' | 'a4-3x8' | 'a4-2x7' | 'letter-3x10';
+
+export const CUT_LABEL_SIZES: { value: CutLabelSize; label: string }[] = [
+  { value: '62x29', label: '62 x 29 mm roll' },
+  { value: '50x25', label: '50 x 25 mm roll' },
+  { value: '100x50', label: '100 x 50 mm roll' },
+  { value: '4x2in', label: '4 x 2 in roll' },
+  { value: 'a4-3x8', label: 'A4 sheet, 24 labels' },
+  { value: 'a4-2x7', label: 'A4 sheet, 14 labels' },
+  { value: 'letter-3x10', label: 'Letter sheet, 30 labels' },
+];
+
+export interface CutLabelOptions {
+  size?: CutLabelSize;
+  includeBars?: boolean;
+  version?: number;
+}
+
+export type ProductionEventType = 'Cut' | 'Assembled' | 'QC Passed' | 'Packed';
+
+export const PRODUCTION_EVENTS: ProductionEventType[] = ['Cut', 'Assembled', 'QC Passed', 'Packed'];
+
+export type ProductionStageCounts = Record<ProductionEventType, number>;
+
+export interface ProductionPiece {
+  pieceId: string;
+  itemIndex: number;
+  itemLabel: string;
+  materialNameSnapshot: string;
+  length: string;
+  lengthUnit: string;
+  position: string;
+  currentStage: ProductionEventType | null;
+  events: Partial<Record<ProductionEventType, {
+    scannedAt: string;
+    scannedBy?: string | { _id: string; firstName?: string; lastName?: string };
+  }>>;
+}
+
+export interface ProductionItemProgress {
+  itemIndex: number;
+  itemLabel: string;
+  itemCode: string;
+  productTypeNameSnapshot?: string;
+  totalPieces: number;
+  counts: ProductionStageCounts;
+  percentComplete: number;
+  completedStage: ProductionEventType | null;
+}
+
+export interface ProductionProgress {
+  totalPieces: number;
+  counts: ProductionStageCounts;
+  percentComplete: number;
+  completedStage: ProductionEventType | null;
+  items: ProductionItemProgress[];
+  pieces: ProductionPiece[];
+}
+
+export interface ProductionScanResult {
+  order: { _id: string; orderIdDisplay: string; status: string };
+  recorded: string[];
+  alreadyRecorded: string[];
+  stageAdvancedTo: string | null;
+  progress: ProductionProgress;
+}
+
+// Fetches a generated file (cut list, label PDF) and the file name the server gave it
+const downloadManufacturingFile = async (path: string, queryParams: URLSearchParams, fallbackFileName: string) => {
+  const { useAuthStore } = await import('@/lib/store/auth-store');
+  const token = useAuthStore.getState().token;
+
+  const queryString = queryParams.toString();
+
+  const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}${path}${queryString ? `?${queryString}` : ''}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  // The server names the file after the order/batch (and, for cut lists, the profile's format)
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFileName;
+  const blob = await response.blob();
+  return { blob, fileName };
+};
+
+const downloadCutListFile = (path: string, options?: CutListExportOptions) => {
+  const queryParams = new URLSearchParams();
+  if (options?.profileId) queryParams.append('profileId', options.profileId);
+  if (options?.format) queryParams.append('format', options.format);
+  if (options?.version) queryParams.append('version', options.version.toString());
+  return downloadManufacturingFile(path, queryParams, 'Cut-List.csv');
+};
+
+const downloadCutLabelFile = (path: string, options?: CutLabelOptions) => {
+  const queryParams = new URLSearchParams();
+  if (options?.size) queryParams.append('size', options.size);
+  if (options?.includeBars === false) queryParams.append('includeBars', 'false');
+  if (options?.version) queryParams.append('version', options.version.toString());
+  return downloadManufacturingFile(path, queryParams, 'Cut-Labels.pdf');
+};
+
 export const manufacturingApi = {
   // Optimize cuts for a given order
-  optimizeCuts: (orderId: string) =>
-    api<{ data: { cuttingPlan: CuttingPlan } }>(`/api/manufacturing/optimize-cuts`, {
+  optimizeCuts: (orderId: string, options?: { strategy?: CuttingStrategy; timeLimitMs?: number; locationId?: string; locationMode?: 'restrict' | 'prefer' }) =>
+    api<{ data: { cuttingPlanId: string; orderStatus: string; optimization?: OptimizationReport } }>(`/api/manufacturing/optimize-cuts`, {
       method: 'POST',
-      body: { orderId },
+      body: { orderId, ...options },
     }),
 
   // Get cutting plan for an order
   getCuttingPlan: (orderId: string) =>
     api<{ data: { cuttingPlan: CuttingPlan } }>(`/api/manufacturing/orders/${orderId}/cutting-plan`),
 
+  // List every cutting plan version of an order, newest first
+  getCuttingPlanVersions: (orderId: string) =>
+    api<{ data: { versions: CuttingPlanVersionSummary[] } }>(`/api/manufacturing/orders/${orderId}/cutting-plans`),
+
+  // Make a version the one used when committing cuts
+  activateCuttingPlanVersion: (orderId: string, version: number) =>
+    api<{ data: { cuttingPlanId: string; version: number }; message: string }>(`/api/manufacturing/orders/${orderId}/cutting-plans/${version}/activate`, {
+      method: 'PUT',
+    }),
+
+  // Compare two versions (pipes, scrap, weight)
+  compareCuttingPlanVersions: (orderId: string, fromVersion: number, toVersion: number) =>
+    api<{ data: { comparison: CuttingPlanComparison } }>(`/api/manufacturing/orders/${orderId}/cutting-plans/compare?from=${fromVersion}&to=${toVersion}`),
+
+  // Optimize several orders together so their cuts can share pipes
+  optimizeBatch: (orderIds: string[], options?: { strategy?: CuttingStrategy; timeLimitMs?: number; notes?: string; locationId?: string; locationMode?: 'restrict' | 'prefer' }) =>
+    api<{ data: { cuttingBatchId: string; batchNumber: string; optimization?: OptimizationReport }; message: string }>(`/api/manufacturing/batches/optimize`, {
+      method: 'POST',
+      body: { orderIds, ...options },
+    }),
+
+  // List cutting batches, newest first
+  getCuttingBatches: (filters?: { status?: CuttingBatchStatus; orderId?: string }) => {
+    const queryParams = new URLSearchParams();
+    if (filters?.status) queryParams.append('status', filters.status);
+    if (filters?.orderId) queryParams.append('orderId', filters.orderId);
+
+    const queryString = queryParams.toString();
+    return api<{ data: { batches: CuttingBatchSummary[] } }>(
+      queryString ? `/api/manufacturing/batches?${queryString}` : '/api/manufacturing/batches'
+    );
+  },
+
+  // Get a cutting batch with its layout
+  getCuttingBatch: (batchId: string) =>
+    api<{ data: { cuttingBatch: CuttingBatch } }>(`/api/manufacturing/batches/${batchId}`),
+
+  // Commit a cutting batch (deduct stock once, charge each order its share)
+  commitCuttingBatch: (batchId: string) =>
+    api<{ data: { cuttingBatchId: string; remnantsCreated: number }; message: string }>(`/api/manufacturing/batches/${batchId}/commit`, {
+      method: 'POST',
+    }),
+
+  // Cancel a cutting batch that has not been committed
+  cancelCuttingBatch: (batchId: string) =>
+    api<{ data: { cuttingBatchId: string }; message: string }>(`/api/manufacturing/batches/${batchId}/cancel`, {
+      method: 'POST',
+    }),
+
   // Get SVG visualization of the cutting plan
   getCuttingPlanSvg: async (orderId: string) => {
     const { useAuthStore } = await import('@/lib/store/auth-store');
@@ -93,6 +424,22 @@ export const manufacturingApi = {
     return blob;
   },
 
+  // Download the cutting plan as a machine-readable cut list (CSV, fixed-width or XML)
+  downloadCutList: (orderId: string, options?: CutListExportOptions) =>
+    downloadCutListFile(`/api/manufacturing/orders/${orderId}/cutting-plan/export`, options),
+
+  // Download a cutting batch as a machine-readable cut list
+  downloadBatchCutList: (batchId: string, options?: Omit<CutListExportOptions, 'version'>) =>
+    downloadCutListFile(`/api/manufacturing/batches/${batchId}/export`, options),
+
+  // Download printable barcode labels for every cut piece (and bar) of the cutting plan
+  downloadCutLabels: (orderId: string, options?: CutLabelOptions) =>
+    downloadCutLabelFile(`/api/manufacturing/orders/${orderId}/cutting-plan/labels`, options),
+
+  // Download printable barcode labels for a cutting batch
+  downloadBatchCutLabels: (batchId: string, options?: Omit<CutLabelOptions, 'version'>) =>
+    downloadCutLabelFile(`/api/manufacturing/batches/${batchId}/labels`, options),
+
   // Get pipe order summary
   getPipeOrderSummary: (orderId: string) =>
     api<{ data: { summary: PipeOrderSummary[] } }>(`/api/manufacturing/orders/${orderId}/pipe-order-summary`),
@@ -104,6 +451,17 @@ export const manufacturingApi = {
       body: { status, notes },
     }),
 
+  // Record a shop-floor scan of a piece or item code
+  recordScan: (code: string, event: ProductionEventType, notes?: string) =>
+    api<{ data: ProductionScanResult; message: string }>('/api/manufacturing/scans', {
+      method: 'POST',
+      body: { code, event, notes },
+    }),
+
+  // Get piece-level production progress of an order
+  getProductionProgress: (orderId: string) =>
+    api<{ data: { order: { _id: string; orderIdDisplay: string; status: string }; progress: ProductionProgress } }>(`/api/manufacturing/orders/${orderId}/progress`),
+
   // Commit cuts (deduct from inventory)
   commitCuts: (orderId: string) =>
     api<{ data: { order: any; cuttingPlan: any }; message: string }>(`/api/manufacturing/orders/${orderId}/commit-cuts`, {
@@ -82,6 +82,7 @@ export interface Order {
   finalGrandTotal: number;
   cuttingPlanId?: string;
   cuttingPlanStatus: 'Pending' | 'Generated' | 'Committed';
+  cuttingBatchId?: string; // Set when the order's cuts were optimized together with other orders
   
   // Material commitment tracking
   materialsCommitted?: boolean;
@@ -116,6 +117,10 @@ export interface StockItemDetail {
   length: number | string;
   count: number;
   unit: string;
+  onHand?: number;
+  reserved?: number;
+  /** Available at the preferred location, when checking with locationMode 'prefer' */
+  atLocation?: number;
 }
 
 export interface StockAvailability {
@@ -126,6 +131,10 @@ export interface StockAvailability {
   usageUnit: string;
   requiredCutsDetail: StockItemDetail[];
   availableStockDetail: StockItemDetail[];
+  /** Stock held for other confirmed orders, already left out of availableStockDetail */
+  reservedStockDetail?: StockItemDetail[];
+  /** Stock in expired batches, which cannot be consumed and is not counted in availableStockDetail */
+  expiredStockDetail?: StockItemDetail[];
   shortfallDetail: StockItemDetail[];
 }
 
@@ -188,8 +197,13 @@ export const orderApi = {
     api<{ data: { requiredCuts: RequiredCut[] } }>(`/api/orders/${orderId}/required-cuts`),
 
   // Check stock availability for an order
-  checkStock: async (orderId: string) => {
-    const response = await api<{ data: { detailedStockAvailability: StockAvailability[] } }>(`/api/orders/${orderId}/check-stock`, {
+  // Pass a location to check only its stock ('restrict') or all stock with the location's share shown ('prefer')
+  checkStock: async (orderId: string, location?: { locationId: string; locationMode?: 'restrict' | 'prefer' }) => {
+    const queryParams = new URLSearchParams();
+    if (location?.locationId) queryParams.append('locationId', location.locationId);
+    if (location?.locationMode) queryParams.append('locationMode', location.locationMode);
+    const queryString = queryParams.toString();
+    const response = await api<{ data: { detailedStockAvailability: StockAvailability[] } }>(`/api/orders/${orderId}/check-stock${queryString ? `?${queryString}` : ''}`, {
       method: 'POST',
     });
     return response;
@@ -0,0 +1,107 @@
+import { api } from '../api';
+
+export interface PriceListEntry {
+  _id?: string;
+  materialId: string;
+  materialNameSnapshot?: string;
+  category?: string;
+  gauge?: string; // Profiles only; blank covers every gauge without its own entry
+  rate: string;
+  rateUnit: string; // 'kg' for profiles, 'sqft' | 'sqm' for glass, else the material's stock unit
+}
+
+export interface PriceList {
+  _id: string;
+  name: string;
+  effectiveFrom: string;
+  entries?: PriceListEntry[];
+  entryCount?: number;
+  notes?: string;
+  createdBy?: { _id: string; firstName?: string; lastName?: string };
+  createdAt: string;
+}
+
+export interface PriceListInput {
+  name: string;
+  effectiveFrom: string;
+  notes?: string;
+  entries: { materialId: string; gauge?: string; rate: number; rateUnit?: string }[];
+}
+
+export interface RecostMaterialChange {
+  materialName: string;
+  previousCost: number;
+  newCost: number;
+  changePercent: number | null;
+  rateSource: 'stock' | 'priceList';
+}
+
+export interface RecostEstimationResult {
+  estimationId: string;
+  projectName: string;
+  previousCost: number;
+  newCost?: number;
+  changePercent?: number | null; // null when there was no previous cost
+  flagged: boolean;
+  rateSource?: 'stock' | 'priceList';
+  materialChanges?: RecostMaterialChange[];
+  error?: string;
+}
+
+export interface RecostQuotationResult {
+  quotationId: string;
+  quotationIdDisplay: string;
+  clientName?: string;
+  previousCost: number;
+  newCost?: number;
+  changePercent?: number | null;
+  previousMarginPercent?: number | null;
+  newMarginPercent?: number | null;
+  flagged: boolean;
+  marginWarnings?: string[];
+  error?: string;
+}
+
+export interface RecostResult {
+  recostedAt: string;
+  thresholdPercent: number;
+  priceList: { _id: string; name: string; effectiveFrom: string } | null;
+  estimations: RecostEstimationResult[];
+  quotations: RecostQuotationResult[];
+  summary: {
+    estimationsRecosted: number;
+    estimationsFlagged: number;
+    quotationsRecosted: number;
+    quotationsFlagged: number;
+    failed: number;
+  };
+}
+
+export const priceListApi = {
+  getPriceLists: () =>
+    api<{ data: { priceLists: PriceList[]; activePriceListId: string | null } }>('/api/price-lists'),
+
+  getPriceList: (priceListId: string) =>
+    api<{ data: { priceList: PriceList } }>(`/api/price-lists/${priceListId}`),
+
+  createPriceList: (data: PriceListInput) =>
+    api<{ message: string; data: { priceList: PriceList } }>('/api/price-lists', {
+      method: 'POST',
+      body: data,
+    }),
+
+  updatePriceList: (priceListId: string, data: PriceListInput) =>
+    api<{ message: string; data: { priceList: PriceList } }>(`/api/price-lists/${priceListId}`, {
+      method: 'PUT',
+      body: data,
+    }),
+
+  deletePriceList: (priceListId: string) =>
+    api<void>(`/api/price-lists/${priceListId}`, { method: 'DELETE' }),
+
+  recost: (thresholdPercent?: number) =>
+    api<{ message: string; data: RecostResult }>('/api/price-lists/recost', {
+      method: 'POST',
+      body: thresholdPercent !== undefined ? { thresholdPercent } : {},
+    }),
+};
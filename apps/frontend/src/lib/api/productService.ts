@@ -1,17 +1,58 @@
 import { api } from '../api';
 
 // Type definitions based on ProductType model
+
+// Cut angles in degrees for the piece a formula produces; 90 is a square cut
+export interface CutAngles {
+  startAngle: number;
+  endAngle: number;
+}
+
 export interface Material {
   materialId: string;
   materialNameSnapshot?: string;
   materialCategorySnapshot?: string;
   formulas: string[];
+  cutAngles?: CutAngles[]; // Parallel to formulas; missing entries are square cuts
   formulaInputUnit: 'inches' | 'mm' | 'ft' | 'm';
   quantityUnit: 'ft' | 'inches' | 'mm' | 'sqft' | 'sqm' | 'pcs' | 'kg';
   isCutRequired: boolean;
   defaultGauge?: string;
 }
 
+// A material change made by an option choice; 'replace' and 'remove' target one of the product's materials
+export interface MaterialChange extends Partial<Material> {
+  action: 'add' | 'replace' | 'remove';
+  targetMaterialId?: string;
+}
+
+export interface ProductOptionChoice {
+  _id?: string;
+  label: string;
+  isDefault: boolean;
+  materialChanges: MaterialChange[];
+  pricePerAreaAdjustment: number; // Added to the rate per area unit
+  priceAdjustmentPerItem: number; // Added per item (fixed amount)
+}
+
+// Per-item option such as handle type, lock, mesh or number of tracks
+export interface ProductOption {
+  _id?: string;
+  name: string;
+  description?: string;
+  choices: ProductOptionChoice[];
+}
+
+// Option chosen on an estimation, quotation or order item (snapshot of the choice at the time)
+export interface SelectedOption {
+  optionId: string;
+  optionName?: string;
+  choiceId: string;
+  choiceLabel?: string;
+  pricePerAreaAdjustment?: number;
+  priceAdjustmentPerItem?: number;
+}
+
 // Glass formula type definition - using separate formulas for optimal glass cutting
 export interface GlassFormula {
   // Separate width and height formulas for precise glass cutting optimization
@@ -33,6 +74,14 @@ export interface TechnicalDrawing {
   isActive: boolean;
 }
 
+export interface ProductPricing {
+  method: 'targetMargin' | 'markup' | null;
+  targetMarginPercent: number | null;
+  markupPercent: number | null;
+  minimumPricePerArea: number | null;
+  minimumMarginPercent: number | null;
+}
+
 export interface ProductType {
   _id?: string;
   name: string;
@@ -40,6 +89,7 @@ export interface ProductType {
   imageUrl?: string;
   isActive: boolean;
   materials: Material[];
+  options?: ProductOption[];
   // NEW: Glass area formula
   glassAreaFormula?: GlassFormula;
   // NEW: Technical drawing SVG
@@ -48,6 +98,8 @@ export interface ProductType {
     type: 'fixed' | 'perSqft' | 'perSqm' | 'percentage';
     value: string;
   };
+  // Overrides of the company pricing rules; null inherits
+  pricing?: ProductPricing;
   createdAt?: string;
   updatedAt?: string;
 }
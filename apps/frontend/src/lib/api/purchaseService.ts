@@ -0,0 +1,261 @@
+import { api } from '../api';
+
+export interface Supplier {
+  _id: string;
+  name: string;
+  contactPerson?: string;
+  contactNumber?: string;
+  email?: string;
+  address?: string;
+  gstin?: string;
+  paymentTerms?: string;
+  leadTimeDays?: number;
+  notes?: string;
+  isActive: boolean;
+  createdAt: string;
+}
+
+export type SupplierFormData = Omit<Supplier, '_id' | 'isActive' | 'createdAt'>;
+
+export type PurchaseOrderStatus = 'Draft' | 'Ordered' | 'Partially Received' | 'Received' | 'Closed' | 'Cancelled';
+
+export interface PurchaseOrderLine {
+  _id: string;
+  materialId: string;
+  materialNameSnapshot: string;
+  category: string;
+  length?: string;
+  lengthUnit?: string;
+  gauge?: string;
+  width?: string;
+  widthUnit?: string;
+  quantity: string;
+  quantityUnit?: string;
+  receivedQuantity: string;
+  unitPrice: string;
+  lineTotal: string;
+  notes?: string;
+}
+
+export interface PurchaseReceipt {
+  _id: string;
+  receivedAt: string;
+  receivedBy?: { _id: string; firstName?: string; lastName?: string } | string;
+  invoiceNumber?: string;
+  notes?: string;
+  lines: {
+    lineId: string;
+    materialId: string;
+    quantity: string;
+    totalCost: string;
+    actualWeight?: string;
+    actualWeightUnit?: string;
+    lotNumber?: string;
+    batchId: string;
+  }[];
+}
+
+export interface PurchaseOrder {
+  _id: string;
+  poNumber: string;
+  supplierId: string;
+  supplierNameSnapshot: string;
+  status: PurchaseOrderStatus;
+  orderDate?: string;
+  expectedDate?: string;
+  lines: PurchaseOrderLine[];
+  receipts?: PurchaseReceipt[];
+  totalAmount: string;
+  notes?: string;
+  createdAt: string;
+}
+
+/** Inward stock transaction booked by a receipt. */
+export interface PurchaseStockTransaction {
+  _id: string;
+  materialId: string;
+  batchId?: string;
+  quantityChange: string;
+  quantityUnit: string;
+  totalValueChange?: string;
+  transactionDate: string;
+  notes?: string;
+}
+
+export interface PurchaseOrderLineInput {
+  materialId: string;
+  quantity: number;
+  unitPrice: number;
+  length?: number;
+  lengthUnit?: string;
+  gauge?: string;
+  width?: number;
+  notes?: string;
+}
+
+export interface PurchaseOrderInput {
+  supplierId: string;
+  expectedDate?: string;
+  notes?: string;
+  lines: PurchaseOrderLineInput[];
+}
+
+export interface PurchaseReceiptInput {
+  invoiceNumber?: string;
+  notes?: string;
+  lines: {
+    lineId: string;
+    quantity: number;
+    totalCost?: number;
+    actualWeight?: number;
+    actualWeightUnit?: string;
+    lotNumber?: string;
+  }[];
+}
+
+export interface PurchaseOrderFilters {
+  status?: PurchaseOrderStatus;
+  supplierId?: string;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface PurchaseSuggestionLine {
+  materialId: string;
+  materialName: string;
+  category: string;
+  orders: string[];
+  length?: number;
+  lengthUnit?: string;
+  gauge?: string;
+  width?: number;
+  widthUnit?: string;
+  rollLength?: number | null;
+  rollLengthUnit?: string | null;
+  demandArea?: number;
+  areaUnit?: string;
+  quantityUnit: string;
+  unitPrice: number | null;
+  demand: number | null;
+  inStock: number;
+  onOrder: number;
+  reorderLevel: number;
+  shortfall: number | null;
+  suggestedQuantity: number | null;
+  estimatedCost: number | null;
+}
+
+export interface PurchaseSuggestionGroup {
+  supplierId: string | null;
+  supplierName: string;
+  lines: PurchaseSuggestionLine[];
+  estimatedTotal: number;
+}
+
+export interface PurchaseSuggestions {
+  generatedAt: string;
+  openOrders: { _id: string; orderIdDisplay: string; status: string }[];
+  suppliers: PurchaseSuggestionGroup[];
+  warnings: string[];
+}
+
+export interface DraftFromSuggestionsInput {
+  supplierId: string;
+  fromGroup?: string;
+  materialIds?: string[];
+  expectedDate?: string;
+  notes?: string;
+}
+
+export const purchaseApi = {
+  // Suppliers
+  getSuppliers: (options?: { search?: string; includeInactive?: boolean }) => {
+    const queryParams = new URLSearchParams();
+    if (options?.search) queryParams.append('search', options.search);
+    if (options?.includeInactive) queryParams.append('includeInactive', 'true');
+    const queryString = queryParams.toString();
+    return api<{ data: { suppliers: Supplier[] } }>(`/api/purchasing/suppliers${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getSupplier: (supplierId: string) =>
+    api<{ data: { supplier: Supplier; purchaseOrders: PurchaseOrder[] } }>(`/api/purchasing/suppliers/${supplierId}`),
+
+  createSupplier: (data: SupplierFormData) =>
+    api<{ data: { supplier: Supplier } }>('/api/purchasing/suppliers', {
+      method: 'POST',
+      body: data,
+    }),
+
+  updateSupplier: (supplierId: string, data: Partial<SupplierFormData> & { isActive?: boolean }) =>
+    api<{ data: { supplier: Supplier } }>(`/api/purchasing/suppliers/${supplierId}`, {
+      method: 'PUT',
+      body: data,
+    }),
+
+  deleteSupplier: (supplierId: string) =>
+    api<{ message: string }>(`/api/purchasing/suppliers/${supplierId}`, {
+      method: 'DELETE',
+    }),
+
+  // Purchase orders
+  getPurchaseOrders: (filters?: PurchaseOrderFilters) => {
+    const queryParams = new URLSearchParams();
+    if (filters?.status) queryParams.append('status', filters.status);
+    if (filters?.supplierId) queryParams.append('supplierId', filters.supplierId);
+    if (filters?.search) queryParams.append('search', filters.search);
+    if (filters?.page) queryParams.append('page', filters.page.toString());
+    if (filters?.limit) queryParams.append('limit', filters.limit.toString());
+    const queryString = queryParams.toString();
+    return api<{
+      data: {
+        purchaseOrders: PurchaseOrder[];
+        pagination: { total: number; page: number; limit: number; totalPages: number };
+      };
+    }>(`/api/purchasing/purchase-orders${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getPurchaseOrder: (poId: string) =>
+    api<{ data: { purchaseOrder: PurchaseOrder; stockTransactions: PurchaseStockTransaction[] } }>(`/api/purchasing/purchase-orders/${poId}`),
+
+  createPurchaseOrder: (data: PurchaseOrderInput) =>
+    api<{ data: { purchaseOrder: PurchaseOrder }; message: string }>('/api/purchasing/purchase-orders', {
+      method: 'POST',
+      body: data,
+    }),
+
+  updatePurchaseOrder: (poId: string, data: Partial<PurchaseOrderInput>) =>
+    api<{ data: { purchaseOrder: PurchaseOrder } }>(`/api/purchasing/purchase-orders/${poId}`, {
+      method: 'PUT',
+      body: data,
+    }),
+
+  placePurchaseOrder: (poId: string) =>
+    api<{ data: { purchaseOrder: PurchaseOrder }; message: string }>(`/api/purchasing/purchase-orders/${poId}/place`, {
+      method: 'POST',
+    }),
+
+  receivePurchaseOrder: (poId: string, data: PurchaseReceiptInput) =>
+    api<{ data: { purchaseOrder: PurchaseOrder; receipt: PurchaseReceipt }; message: string }>(`/api/purchasing/purchase-orders/${poId}/receive`, {
+      method: 'POST',
+      body: data,
+    }),
+
+  cancelPurchaseOrder: (poId: string) =>
+    api<{ data: { purchaseOrder: PurchaseOrder }; message: string }>(`/api/purchasing/purchase-orders/${poId}/cancel`, {
+      method: 'POST',
+    }),
+
+  // Purchase suggestions
+  getPurchaseSuggestions: () =>
+    api<{ data: PurchaseSuggestions }>('/api/purchasing/suggestions'),
+
+  createDraftFromSuggestions: (data: DraftFromSuggestionsInput) =>
+    api<{
+      data: { purchaseOrder: PurchaseOrder; skipped: { materialName: string; gauge?: string; width?: number; reason: string }[] };
+      message: string;
+    }>('/api/purchasing/suggestions/draft-po', {
+      method: 'POST',
+      body: data,
+    }),
+};
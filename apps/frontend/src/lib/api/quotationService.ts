@@ -5,10 +5,7 @@ import {
   Quotation, 
   QuotationFormData, 
   QuotationFilters,
-  QuotationItem,
-  QuotationCharge,
-  QuotationDiscount,
-  ClientSnapshot
+  QuotationMarginCheck
 } from '../types';
 
 export interface QuotationListResponse {
@@ -28,6 +25,8 @@ export interface QuotationResponse {
   status: string;
   data: {
     quotation: Quotation;
+    marginCheck?: QuotationMarginCheck; // Admin and Manager only
+    marginWarnings?: string[]; // Sending below the minimum margin, when the rules only warn
   };
 }
 
@@ -185,8 +184,8 @@ export const quotationApi = {
   },
 
   // Send quotation PDF via Email
-  sendQuotationByEmail: async (quotationId: string, emailBody?: string): Promise<{ status: string; message: string }> => {
-    return await api<{ status: string; message: string }>(`/api/quotations/${quotationId}/send-email`, {
+  sendQuotationByEmail: async (quotationId: string, emailBody?: string): Promise<{ status: string; message: string; data?: { marginWarnings?: string[] } }> => {
+    return await api<{ status: string; message: string; data?: { marginWarnings?: string[] } }>(`/api/quotations/${quotationId}/send-email`, {
       method: 'POST',
       body: { emailBody } // Send emailBody in the request
     });
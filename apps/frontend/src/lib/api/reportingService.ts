@@ -114,6 +114,88 @@ export interface InventoryReportData {
   }>;
 }
 
+export interface StockValuationMaterialRow {
+  materialId: string;
+  materialName: string;
+  category: string;
+  quantityUnit: string;
+  isRemnant: boolean; // Offcuts, listed apart from full stock
+  openingQuantity: number;
+  openingValue: number;
+  inwardQuantity: number;
+  inwardValue: number;
+  outwardQuantity: number;
+  outwardValue: number;
+  closingQuantity: number;
+  closingValue: number;
+  transactionCount: number;
+}
+
+export interface StockValuationTotals {
+  openingValue: number;
+  inwardValue: number;
+  outwardValue: number;
+  closingValue: number;
+}
+
+export interface StockValuationReportData {
+  period: { startDate: string | null; endDate: string };
+  valuationMethod: 'FIFO' | 'WeightedAverage' | 'SpecificBatch';
+  materials: StockValuationMaterialRow[];
+  categories: Record<string, StockValuationTotals & {
+    materialCount: number;
+    quantities: Record<string, { opening: number; inward: number; outward: number; closing: number }>;
+  }>;
+  totals: StockValuationTotals;
+  warnings: string[];
+}
+
+export type WastageGroupBy = 'material' | 'gauge' | 'productType' | 'operator' | 'period';
+
+/** Lengths in feet, weight in kg; offcut estimates only cover orders with a pipe breakdown */
+export interface WastageTotals {
+  pipes: number;
+  stockLength: number;
+  cutLength: number;
+  offcutLength: number;
+  remnantLength: number;
+  cutWasteLength: number;
+  writeOffLength: number;
+  wasteLength: number;
+  wasteWeight: number;
+  wasteValue: number;
+  writeOffValue: number;
+  wastePercent: number;
+  estimatedOffcutLength: number;
+  actualOffcutLength: number;
+  offcutVariance: number;
+}
+
+export interface WastageEstimateRow {
+  orderId: string;
+  orderIdDisplay: string;
+  materialId: string;
+  materialName: string;
+  cutLength: number;
+  estimatedStockLength: number;
+  actualStockLength: number;
+  estimatedOffcutLength: number;
+  actualOffcutLength: number;
+  offcutVariance: number;
+}
+
+export interface WastageReportData {
+  period: { startDate: string | null; endDate: string };
+  groupBy: WastageGroupBy;
+  lengthUnit: string;
+  weightUnit: string;
+  summary: WastageTotals & { cuttingPlans: number; cuttingBatches: number; writeOffs: number };
+  groups: Array<WastageTotals & { key: string; label: string }>;
+  trend: Array<WastageTotals & { period: string }>;
+  estimates: WastageEstimateRow[];
+  warnings: string[];
+}
+
 export interface ManufacturingReportData {
   summary: {
     totalPlans: number;
@@ -200,6 +282,7 @@ export interface ReportFilters {
   category?: string;
   lowStockOnly?: boolean;
   materialId?: string;
+  groupBy?: WastageGroupBy;
 }
 
 export const reportingApi = {
@@ -279,6 +362,25 @@ export const reportingApi = {
     return api<{success: boolean; data: InventoryReportData}>(endpoint);
   },
 
+  /**
+   * Fetch period-end stock valuation report (opening, inward, outward, closing) from the stock ledger
+   */
+  fetchStockValuationReport: (filters?: ReportFilters) => {
+    const queryParams = new URLSearchParams();
+    if (filters) {
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          queryParams.append(key, value.toString());
+        }
+      });
+    }
+    
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/api/reports/stock-valuation?${queryString}` : '/api/reports/stock-valuation';
+    
+    return api<{success: boolean; data: StockValuationReportData}>(endpoint);
+  },
+
   /**
    * Fetch manufacturing analytics report
    */
@@ -298,6 +400,25 @@ export const reportingApi = {
     return api<{success: boolean; data: ManufacturingReportData}>(endpoint);
   },
 
+  /**
+   * Fetch wastage report: offcut waste and scrap write-offs with weight, value and estimated vs actual offcut
+   */
+  fetchWastageReport: (filters?: ReportFilters) => {
+    const queryParams = new URLSearchParams();
+    if (filters) {
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          queryParams.append(key, value.toString());
+        }
+      });
+    }
+    
+    const queryString = queryParams.toString();
+    const endpoint = queryString ? `/api/reports/wastage?${queryString}` : '/api/reports/wastage';
+    
+    return api<{success: boolean; data: WastageReportData}>(endpoint);
+  },
+
   /**
    * Fetch dashboard overview with combined metrics
    */
@@ -0,0 +1,68 @@
+import { api } from '../api';
+
+export interface ScrapBalance {
+  materialId: string;
+  materialName: string;
+  generatedWeight: number; // kg of cutting waste and write-offs to date
+  disposedWeight: number;
+  availableWeight: number;
+  recoveredAmount: number;
+  lastRatePerKg: number | null;
+  lastDisposalDate: string | null;
+}
+
+export interface ScrapDisposalLine {
+  _id: string;
+  materialId: string;
+  materialNameSnapshot: string;
+  category?: string;
+  weight: string;
+  availableWeightSnapshot?: string;
+  ratePerKg: string;
+  amount: string;
+  notes?: string;
+}
+
+export interface ScrapDisposal {
+  _id: string;
+  disposalNumber: string;
+  disposalDate: string;
+  buyer: { name: string; phone?: string; gstin?: string };
+  lines: ScrapDisposalLine[];
+  totalWeight: string;
+  totalAmount: string;
+  notes?: string;
+  createdBy?: { _id: string; firstName?: string; lastName?: string };
+}
+
+export interface ScrapDisposalInput {
+  buyer: { name: string; phone?: string; gstin?: string };
+  disposalDate?: string;
+  notes?: string;
+  lines: { materialId: string; weight: number; ratePerKg: number; notes?: string }[];
+}
+
+export const scrapDisposalApi = {
+  getBalances: () =>
+    api<{ data: { balances: ScrapBalance[]; totalAvailableWeight: number; warnings: string[] } }>('/api/scrap-disposals/balances'),
+
+  getDisposals: (filters?: { materialId?: string; page?: number; limit?: number }) => {
+    const queryParams = new URLSearchParams();
+    if (filters?.materialId) queryParams.append('materialId', filters.materialId);
+    if (filters?.page) queryParams.append('page', filters.page.toString());
+    if (filters?.limit) queryParams.append('limit', filters.limit.toString());
+    const queryString = queryParams.toString();
+    return api<{
+      data: {
+        disposals: ScrapDisposal[];
+        pagination: { total: number; page: number; limit: number; totalPages: number };
+      };
+    }>(`/api/scrap-disposals${queryString ? `?${queryString}` : ''}`);
+  },
+
+  createDisposal: (data: ScrapDisposalInput) =>
+    api<{ message: string; data: { disposal: ScrapDisposal; warnings: string[] } }>('/api/scrap-disposals', {
+      method: 'POST',
+      body: data,
+    }),
+};
@@ -0,0 +1,140 @@
+import { api } from '../api';
+
+export type StockTakeStatus = 'Counting' | 'Submitted' | 'Approved' | 'Cancelled';
+
+export interface StockTakeUser {
+  _id: string;
+  firstName?: string;
+  lastName?: string;
+}
+
+export interface StockTakeLine {
+  _id: string;
+  materialId: string;
+  materialNameSnapshot: string;
+  category: string;
+  batchId: string;
+  length?: string;
+  lengthUnit?: string;
+  gauge?: string;
+  width?: string;
+  widthUnit?: string;
+  countByArea: boolean;
+  quantityUnit?: string;
+  expectedQuantity: string;
+  countedQuantity?: string | null;
+  unitRate?: string;
+  countedBy?: StockTakeUser | string;
+  countedAt?: string;
+  postedQuantity?: string;
+  notes?: string;
+}
+
+export interface StockTakeSummary {
+  lineCount: number;
+  countedCount: number;
+  varianceLineCount: number;
+  shortageValue: number;
+  excessValue: number;
+  netVarianceValue: number;
+}
+
+export interface StockTakeVariances {
+  lines: { lineId: string; variance: number | null; varianceValue: number | null }[];
+  summary: StockTakeSummary;
+}
+
+export interface StockTake {
+  _id: string;
+  stockTakeNumber: string;
+  status: StockTakeStatus;
+  scope: { categories: string[]; materialIds: string[] };
+  lines: StockTakeLine[];
+  notes?: string;
+  reviewNotes?: string;
+  createdBy?: StockTakeUser;
+  submittedBy?: StockTakeUser;
+  submittedAt?: string;
+  approvedBy?: StockTakeUser;
+  approvedAt?: string;
+  createdAt: string;
+}
+
+export type StockTakeListItem = Omit<StockTake, 'lines'> & { summary: StockTakeSummary };
+
+export interface StockTakeTransaction {
+  _id: string;
+  batchId?: string;
+  quantityChange: string;
+  quantityUnit: string;
+  totalValueChange?: string;
+  notes?: string;
+}
+
+export interface StockTakeCount {
+  lineId: string;
+  countedQuantity?: number | string | null;
+  notes?: string;
+}
+
+export const stockTakeApi = {
+  getStockTakes: (filters?: { status?: StockTakeStatus; page?: number; limit?: number }) => {
+    const queryParams = new URLSearchParams();
+    if (filters?.status) queryParams.append('status', filters.status);
+    if (filters?.page) queryParams.append('page', filters.page.toString());
+    if (filters?.limit) queryParams.append('limit', filters.limit.toString());
+    const queryString = queryParams.toString();
+    return api<{
+      data: {
+        stockTakes: StockTakeListItem[];
+        pagination: { total: number; page: number; limit: number; totalPages: number };
+      };
+    }>(`/api/stock-takes${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getStockTake: (stockTakeId: string) =>
+    api<{ data: { stockTake: StockTake; variances: StockTakeVariances; stockTransactions: StockTakeTransaction[] } }>(
+      `/api/stock-takes/${stockTakeId}`
+    ),
+
+  createStockTake: (data: { categories?: string[]; materialIds?: string[]; notes?: string }) =>
+    api<{ message: string; data: { stockTake: StockTake } }>('/api/stock-takes', {
+      method: 'POST',
+      body: data,
+    }),
+
+  recordCounts: (stockTakeId: string, counts: StockTakeCount[]) =>
+    api<{ data: { stockTake: StockTake; variances: StockTakeVariances } }>(`/api/stock-takes/${stockTakeId}/counts`, {
+      method: 'PUT',
+      body: { counts },
+    }),
+
+  submitStockTake: (stockTakeId: string) =>
+    api<{ message: string; data: { stockTake: StockTake } }>(`/api/stock-takes/${stockTakeId}/submit`, {
+      method: 'POST',
+    }),
+
+  reopenStockTake: (stockTakeId: string, reviewNotes?: string) =>
+    api<{ message: string; data: { stockTake: StockTake } }>(`/api/stock-takes/${stockTakeId}/reopen`, {
+      method: 'POST',
+      body: { reviewNotes },
+    }),
+
+  approveStockTake: (stockTakeId: string, reviewNotes?: string) =>
+    api<{
+      message: string;
+      data: {
+        stockTake: StockTake;
+        transactions: StockTakeTransaction[];
+        skipped: { lineId: string; batchId: string; materialName: string; reason: string }[];
+      };
+    }>(`/api/stock-takes/${stockTakeId}/approve`, {
+      method: 'POST',
+      body: { reviewNotes },
+    }),
+
+  cancelStockTake: (stockTakeId: string) =>
+    api<{ message: string; data: { stockTake: StockTake } }>(`/api/stock-takes/${stockTakeId}/cancel`, {
+      method: 'POST',
+    }),
+};
@@ -0,0 +1,74 @@
+import { api } from '../api';
+
+export interface TracedBatch {
+  materialId: string;
+  materialName: string;
+  category?: string;
+  batchId: string;
+  lotNumber?: string;
+  invoiceNumber?: string;
+  supplier?: string;
+  purchaseDate?: string;
+  expiryDate?: string;
+  length?: string;
+  lengthUnit?: string;
+  gauge?: string;
+  originalQuantity?: number;
+  currentQuantity?: number;
+  unit?: string;
+  locationId?: string;
+  transferredFromBatchId?: string;
+}
+
+export interface LotUsage {
+  materialName: string;
+  batchId?: string;
+  remnantId?: string;
+  type: string;
+  quantity: number;
+  unit: string;
+  value: number;
+  date: string;
+  notes?: string;
+}
+
+export interface TracedInvoice {
+  invoiceId: string;
+  invoiceIdDisplay: string;
+  status: string;
+  invoiceDate?: string;
+}
+
+export interface LotTrace {
+  lotNumber?: string;
+  batchId?: string;
+  batches: TracedBatch[];
+  orders: {
+    orderId: string;
+    orderIdDisplay: string;
+    clientName?: string;
+    status: string;
+    invoices: TracedInvoice[];
+    usage: LotUsage[];
+  }[];
+  otherUsage: LotUsage[];
+}
+
+export interface OrderTrace {
+  order: { orderId: string; orderIdDisplay: string; clientName?: string; status: string };
+  invoices: TracedInvoice[];
+  lots: (TracedBatch & { quantity: number; quantityUnit: string; value: number; fromRemnant: boolean })[];
+}
+
+export const traceabilityApi = {
+  traceLot: (query: { lotNumber?: string; batchId?: string }) => {
+    const queryParams = new URLSearchParams();
+    if (query.lotNumber) queryParams.append('lotNumber', query.lotNumber);
+    if (query.batchId) queryParams.append('batchId', query.batchId);
+    return api<{ data: LotTrace }>(`/api/traceability/lots?${queryParams.toString()}`);
+  },
+
+  // Accepts the order id or its number (e.g. SO-2024-001)
+  traceOrder: (orderId: string) =>
+    api<{ data: OrderTrace }>(`/api/traceability/orders/${encodeURIComponent(orderId)}`),
+};
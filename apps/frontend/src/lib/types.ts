@@ -1,3 +1,5 @@
+import type { SelectedOption } from './api/productService';
+
 export interface Company {
   _id: string;
   name: string;
@@ -121,6 +123,31 @@ export interface QuotationItem {
   selectedGlassTypeId?: string;
   selectedGlassTypeNameSnapshot?: string;
   frameColour?: string;
+  selectedOptions?: SelectedOption[]; // Product options chosen, with their price adjustments
+  // Estimated cost of one item, for items converted from an estimation (Decimal128 values from the API)
+  costBasis?: QuotationItemCostBasis;
+  totalCost?: number;
+  marginAmount?: number;
+  marginPercent?: number | null;
+}
+
+export interface QuotationItemCostBasis {
+  materialCostPerItem?: number;
+  labourCostPerItem?: number;
+  costPerItem?: number;
+  costPerAreaUnit?: number;
+  suggestedPricePerAreaUnit?: number;
+  pricingMethod?: 'targetMargin' | 'markup';
+  ruleSource?: 'productType' | 'company' | 'default';
+}
+
+// Result of checking a quotation's margins against the pricing rules' minimum margin
+export interface QuotationMarginCheck {
+  checked: boolean;
+  action: 'warn' | 'block';
+  minimumMarginPercent: number;
+  warnings: string[];
+  blocked: boolean;
 }
 
 export interface MaterialSnapshot {
@@ -189,11 +216,15 @@ export interface Quotation {
   updatedAt: string;
   history?: QuotationHistoryEntry[];
   companyNameSnapshot?: string;
+  estimationId?: string;
+  totalCost?: number;
+  totalMargin?: number;
+  marginPercent?: number | null;
 }
 
 export interface QuotationFormData {
   clientId: string;
-  items: Omit<QuotationItem, '_id' | 'productTypeNameSnapshot' | 'rawAreaPerItem' | 'roundedAreaPerItem' | 'chargeableAreaPerItem' | 'totalChargeableArea' | 'itemSubtotal' | 'materialsSnapshot'>[];
+  items: Omit<QuotationItem, 'productTypeNameSnapshot' | 'rawAreaPerItem' | 'roundedAreaPerItem' | 'chargeableAreaPerItem' | 'totalChargeableArea' | 'itemSubtotal' | 'materialsSnapshot'>[];
   charges?: Omit<QuotationCharge, '_id'>[];
   discount?: QuotationDiscount;
   notes?: string;
@@ -0,0 +1,35 @@
+import { ProductOption, SelectedOption } from '@/lib/api/productService';
+
+/**
+ * Resolves an item's chosen options against its product type's options, mirroring the backend: options the
+ * item does not choose get their default choice, and selections that no longer match are left out.
+ * Selections that already carry price adjustments keep them (quotations keep the price they were quoted at).
+ */
+export function resolveSelectedOptions(options: ProductOption[] = [], selected: SelectedOption[] = []): SelectedOption[] {
+  return options.flatMap(option => {
+    const current = selected.find(entry => entry.optionId === option._id);
+    const choice = option.choices.find(entry => current && entry._id === current.choiceId)
+      || option.choices.find(entry => entry.isDefault);
+    if (!option._id || !choice?._id) return [];
+
+    const keepSnapshot = current && current.choiceId === choice._id && current.pricePerAreaAdjustment !== undefined;
+    return [{
+      optionId: option._id,
+      optionName: option.name,
+      choiceId: choice._id,
+      choiceLabel: choice.label,
+      pricePerAreaAdjustment: keepSnapshot ? current.pricePerAreaAdjustment : choice.pricePerAreaAdjustment || 0,
+      priceAdjustmentPerItem: keepSnapshot ? current.priceAdjustmentPerItem : choice.priceAdjustmentPerItem || 0
+    }];
+  });
+}
+
+/**
+ * Total price adjustments of an item's option selections.
+ */
+export function sumPriceAdjustments(selected: SelectedOption[] = []): { pricePerAreaAdjustment: number; priceAdjustmentPerItem: number } {
+  return selected.reduce((totals, entry) => ({
+    pricePerAreaAdjustment: totals.pricePerAreaAdjustment + (Number(entry.pricePerAreaAdjustment) || 0),
+    priceAdjustmentPerItem: totals.priceAdjustmentPerItem + (Number(entry.priceAdjustmentPerItem) || 0)
+  }), { pricePerAreaAdjustment: 0, priceAdjustmentPerItem: 0 });
+}
@@ -1,15 +1,19 @@
+import { SelectedOption } from '@/lib/api/productService';
+import { sumPriceAdjustments } from './productOptions';
+
 /**
  * Calculates detailed area and subtotal for a single quotation item for frontend preview,
  * mirroring the backend logic with new specific rules.
  *
- * @param item - The quotation item (plain object with width, height, quantity, pricePerAreaUnit as numbers or strings).
+ * @param item - The quotation item (plain object with width, height, quantity, pricePerAreaUnit as numbers or strings,
+ *   and the selectedOptions whose price adjustments apply).
  * @param dimensionUnit - The unit of the item's dimensions (e.g., 'inches', 'mm').
  * @param areaUnit - The target area unit for calculation (e.g., 'sqft', 'sqm').
  * @param {boolean} [applyMinimum=true] - Whether to apply the minimum chargeable area rules.
  * @returns Calculated details: { rawAreaInDimUnits, convertedAreaBeforeRules, roundedArea, finalChargeableAreaPerItem, totalFinalChargeableArea, itemSubtotal }
  */
 export function calculateItemDetailsFrontend(
-  item: { width: string | number; height: string | number; quantity: number; pricePerAreaUnit: string | number },
+  item: { width: string | number; height: string | number; quantity: number; pricePerAreaUnit: string | number; selectedOptions?: SelectedOption[] },
   dimensionUnit: 'inches' | 'mm',
   areaUnit: 'sqft' | 'sqm',
   applyMinimum: boolean = true // New parameter, settings removed
@@ -92,7 +96,8 @@ export function calculateItemDetailsFrontend(
   }
 
   const totalFinalChargeableArea = finalChargeableAreaPerItem * quantity;
-  const itemSubtotal = totalFinalChargeableArea * pricePerAreaUnit;
+  const { pricePerAreaAdjustment, priceAdjustmentPerItem } = sumPriceAdjustments(item.selectedOptions);
+  const itemSubtotal = totalFinalChargeableArea * (pricePerAreaUnit + pricePerAreaAdjustment) + priceAdjustmentPerItem * quantity;
 
   return {
     rawAreaInDimUnits: parseFloat(rawAreaInDimUnits.toFixed(6)),